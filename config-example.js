@@ -20,6 +20,7 @@ Config.Static_Admin_Account_Password = "";
  * Data Mode:
  * RAW - Data is stored as flat files
  * MYSQL - Data is stored in a remote MYSQL database
+ * SQLITE - Data is stored in a local SQLite database file (requires the better-sqlite3 package)
  */
 Config.Data_Mode = "RAW";
 
@@ -34,3 +35,10 @@ Config.MYSQL.user = "";
 Config.MYSQL.password = "";
 
 Config.MYSQL.database = "";
+
+/* SQLITE */
+
+Config.SQLITE = Object.create(null);
+
+/* Database file (relative to the configuration path). Default: data.sqlite */
+Config.SQLITE.file = "";
@@ -24,8 +24,11 @@ const Server = require(Path.resolve(__dirname, 'server/server.js')).Server;
 const DataManager = require(Path.resolve(__dirname, 'data.js'));
 const CommandParser = require(Path.resolve(__dirname, 'command-parser.js')).CommandParser;
 const ConnectionMonitor = require(Path.resolve(__dirname, 'connection-monitor.js'));
+const BotConnections = require(Path.resolve(__dirname, 'bot-connections.js'));
 const LanguageManager = require(Path.resolve(__dirname, 'multi-lang.js'));
 const UserDataManager = require(Path.resolve(__dirname, 'user-data.js'));
+const BackupManager = require(Path.resolve(__dirname, 'backup-manager.js'));
+const DataHistory = require(Path.resolve(__dirname, 'data-history.js'));
 
 const uncacheTree = Tools('uncachetree');
 const checkDir = Tools('checkdir');
@@ -42,6 +45,12 @@ class ChatBotApp {
 		/* Initial Status */
 		this.status = 'stopped';
 		this.env = env;
+
+		/* Console (env.console replaces the process console, see setConsole) */
+		this.console = null;
+		if (env.console) {
+			this.setConsole(env.console);
+		}
 		this.dam = dam;
 
 		/* Check paths */
@@ -64,14 +73,14 @@ class ChatBotApp {
 			try {
 				FileSystem.writeFileSync(this.jsInjectFile, JSON.stringify({ inject: true }));
 			} catch (ex) {
-				console.log("Error creating injection script: " + ex.message);
+				this.logToConsole("Error creating injection script: " + ex.message);
 			}
 		}
 
 		try {
 			this.jsInject = !!JSON.parse(FileSystem.readFileSync(this.jsInjectFile).toString()).inject;
 		} catch (ex) {
-			console.log("Error reading injection script: " + ex.message);
+			this.logToConsole("Error reading injection script: " + ex.message);
 		}
 
 		FileSystem.watchFile(this.jsInjectFile, function (curr, prev) {
@@ -79,7 +88,7 @@ class ChatBotApp {
 				this.jsInject = !!JSON.parse(FileSystem.readFileSync(this.jsInjectFile).toString()).inject;
 				this.log("[SECURITY MONITOR] Javascript injection setting is now set to " + this.jsInject);
 			} catch (ex) {
-				console.log("Error reading injection script: " + ex.message);
+				this.logToConsole("Error reading injection script: " + ex.message);
 			}
 		}.bind(this));
 
@@ -97,7 +106,7 @@ class ChatBotApp {
 				let oldConfig = JSON.parseNoPrototype(FileSystem.readFileSync(Path.resolve(confDir, 'config.json')).toString());
 				this.db.set(oldConfig);
 				this.db.write();
-				console.log("Configuration was encrypted");
+				this.logToConsole("Configuration was encrypted");
 			} catch (err) {
 				this.reportCrash(err);
 			}
@@ -158,6 +167,10 @@ class ChatBotApp {
 			this.config.menuOrder = Object.create(null);
 		}
 
+		/* Databases history */
+		this.history = new DataHistory(this);
+		this.dam.dataBaseCreatedFunction = this.history.register.bind(this.history);
+
 		if (env.port !== undefined) {
 			this.config.server.port = env.port;
 		} else if (process.env['PORT']) {
@@ -242,6 +255,7 @@ class ChatBotApp {
 
 		/* Command parser bot events */
 		this.bot.on('userchat', function (room, time, by, msg) {
+			if (!this.connections.handlesRoom(BotConnections.Main_Connection, room)) return;
 			this.parser.parse(msg, room, by);
 		}.bind(this));
 		this.bot.on('pm', function (by, msg) {
@@ -257,29 +271,34 @@ class ChatBotApp {
 		/* Bot Status events */
 		this.bot.on('connecting', function () {
 			this.log('Connecting to server: ' + this.bot.server + ":" + this.bot.port);
-			console.log('Connecting to server: ' + this.bot.server + ":" + this.bot.port);
+			this.logToConsole('Connecting to server: ' + this.bot.server + ":" + this.bot.port);
 		}.bind(this));
 		this.bot.on('connect', function () {
 			this.log('Bot connected to server: ' + this.bot.server + ":" + this.bot.port);
-			console.log('Bot connected to server: ' + this.bot.server + ":" + this.bot.port);
+			this.logToConsole('Bot connected to server: ' + this.bot.server + ":" + this.bot.port);
 		}.bind(this));
 		this.bot.on('connectFailed', function (err) {
 			this.log('Could not connect to the server' + (err ? (" | " + err.code + ": " + err.message) : ''));
-			console.log('Could not connect to the server' + (err ? (" | " + err.code + ": " + err.message) : ''));
+			this.logToConsole('Could not connect to the server' + (err ? (" | " + err.code + ": " + err.message) : ''));
 		}.bind(this));
 		this.bot.on('disconnect', function (err) {
 			this.log('Bot Disconnected' + (err ? (" | " + err.code + ": " + err.message) : ''));
-			console.log('Bot Disconnected' + (err ? (" | " + err.code + ": " + err.message) : ''));
+			this.logToConsole('Bot Disconnected' + (err ? (" | " + err.code + ": " + err.message) : ''));
 		}.bind(this));
 
 		/* Monitor */
 		this.connMonitor = new ConnectionMonitor(this);
 
+		/* Additional bot accounts */
+		this.connections = new BotConnections(this);
+
 		/* User data manager */
 		this.userdata = new UserDataManager(this);
 
+		/* Automatic backups */
+		this.backups = new BackupManager(this);
+
 		/* Other initial values */
-		this.console = null;
 		this.modules = Object.create(null);
 
 		/* Add-ons */
@@ -312,7 +331,7 @@ class ChatBotApp {
 	 * @param {Path} path - Directory where the modules are located
 	 */
 	loadModules(path) {
-		console.log('Loading bot modules...');
+		this.logToConsole('Loading bot modules...');
 		if (FileSystem.existsSync(path) && FileSystem.statSync(path).isDirectory()) {
 			let files = FileSystem.readdirSync(path);
 			files.forEach(function (file) {
@@ -321,28 +340,29 @@ class ChatBotApp {
 					try {
 						let conf = require(absFile);
 						if (conf.id && this.config.loadmodules[conf.id] !== false) {
-							let mod = new BotMod(Path.resolve(path, file), conf, this);
+							let mod = new BotMod(Path.resolve(path, file), conf, this.connections.getModuleApp(conf.id));
 							this.modules[mod.id] = mod;
 							this.parser.addCommands(mod.commands);
-							this.multilang.addLangFiles(mod.langfiles, Path.resolve(path, file));
-							console.log('NEW MODULE: ' + mod.name);
+							this.multilang.addLangFiles(mod.langfiles, Path.resolve(path, file), mod.id);
+							this.logToConsole('NEW MODULE: ' + mod.name);
 						} else if (!this.modules[conf.id]) {
 							this.modules[conf.id] = {
 								id: conf.id,
 								name: conf.name,
 								description: conf.description,
 								commands: Object.create(null),
+								help: Object.create(null),
 								system: null,
 								enabled: false,
 							};
 						}
 					} catch (err) {
-						console.log('Error: Cannot load module "' + file + '" - ' + err.message + '\n' + err.stack);
+						this.logToConsole('Error: Cannot load module "' + file + '" - ' + err.message + '\n' + err.stack);
 					}
 				}
 			}.bind(this));
 		} else {
-			console.log('Error: No modules found (wrong path)');
+			this.logToConsole('Error: No modules found (wrong path)');
 		}
 	}
 
@@ -359,6 +379,9 @@ class ChatBotApp {
 					try {
 						uncacheTree(absFile);
 						let conf = require(absFile);
+						if (this.modules[conf.id]) {
+							this.modules[conf.id].help = conf.help || Object.create(null);
+						}
 						if (conf.commands) {
 							for (let i = 0; i < conf.commands.length; i++) {
 								let cmdFile = Path.resolve(path, file, conf.commands[i]);
@@ -370,7 +393,7 @@ class ChatBotApp {
 							}
 						}
 					} catch (err) {
-						console.log('Error: Cannot load module "' + file + '" - ' + err.message);
+						this.logToConsole('Error: Cannot load module "' + file + '" - ' + err.message);
 					}
 				}
 			}.bind(this));
@@ -404,7 +427,7 @@ class ChatBotApp {
 			}
 			return true;
 		} catch (err) {
-			console.log("Add-on Crashed: " + file);
+			this.logToConsole("Add-on Crashed: " + file);
 			this.log("Add-on Crashed: " + file);
 			this.reportCrash(err);
 			return false;
@@ -495,7 +518,7 @@ class ChatBotApp {
 		text += "CRASH - ";
 		text += err.message + "\n";
 		text += err.stack;
-		console.log(text);
+		this.logToConsole(text);
 		this.log(text);
 	}
 
@@ -539,6 +562,7 @@ class ChatBotApp {
 	 * Runs the bot if it can
 	 */
 	tryRunBot() {
+		this.connections.startAll();
 		if (!this.bot.server) return;
 		if (this.status === 'stopped') {
 			this.status = 'running';
@@ -0,0 +1,386 @@
+/**
+ * Backup Manager for Showdown ChatBot
+ * Showdown ChatBot is distributed under the terms of the MIT License
+ * (https://github.com/AgustinSRG/Showdown-ChatBot/blob/master/LICENSE)
+ *
+ * This file creates, verifies and restores the encrypted backups.
+ * Automatic backups are saved periodically in a local directory,
+ * old backups are removed following the retention rules
+ * (keep the last backup of the last N days and N weeks)
+ *
+ * The key of the automatic backups is derived from the password (scrypt, with
+ * a random salt stored in each backup) and saved in the data directory
+ * (backups.key), outside the configuration, so it is not included in the backups.
+ * Anyone who can read that file can decrypt the automatic backups
+ */
+
+'use strict';
+
+const Path = require("path");
+const FileSystem = require("fs");
+const Crypto = require("crypto");
+const checkDir = Tools('checkdir');
+const AES = Tools('aes');
+
+const Backup_Signature = "$BACKUP$NATIVE$ENCRYPTED$";
+const Backup_Algorithm = "aes-256-ctr";
+const Backup_Salt_Regex = /^\$SCRYPT\$([0-9a-f]+)\$/;
+const Key_File = "backups.key";
+const Backup_File_Regex = /^showdown_chatbot_([0-9]{4})_([0-9]{2})_([0-9]{2})_([0-9]{2})_([0-9]{2})_([0-9]{2})\.backup$/;
+
+const Check_Interval = 10 * 60 * 1000;
+const Hour = 60 * 60 * 1000;
+
+/**
+ * @param {String} content
+ * @returns {String} SHA-256 checksum (hex)
+ */
+function getChecksum(content) {
+	return Crypto.createHash('sha256').update(content + "", 'utf8').digest('hex');
+}
+
+/**
+ * @param {String|Object} password - Password or stored key (see BackupManager.getKey)
+ * @param {String} salt - Salt of the backup (hex), a new one is generated if not specified
+ * @returns {Object} salt (hex), key (Buffer)
+ * @throws {Error} If the stored key was derived with another salt
+ */
+function deriveKey(password, salt) {
+	if (password && typeof password === "object") {
+		if (salt && salt !== password.salt) throw new Error("The backup was not saved with the password of the automatic backups.");
+		return password;
+	}
+	salt = salt || Crypto.randomBytes(16).toString('hex');
+	return { salt: salt, key: AES.deriveKey(password + "", salt) };
+}
+
+/**
+ * @param {Number} n
+ * @returns {String} Number with 2 digits
+ */
+function pad(n) {
+	return (n < 10 ? "0" : "") + n;
+}
+
+class BackupManager {
+	/**
+	 * @param {ChatBotApp} App
+	 */
+	constructor(App) {
+		this.app = App;
+		this.timer = null;
+		if (!App.config.backups) {
+			App.config.backups = {
+				enabled: false,
+				dir: "",
+				interval: 24,
+				keepDaily: 7,
+				keepWeekly: 4,
+			};
+		}
+		if (App.config.backups.password) {
+			/* Older configurations stored the password */
+			this.setPassword(App.config.backups.password);
+			delete App.config.backups.password;
+		}
+		if (App.config.backups.key) {
+			/* Unsalted key, it cannot be migrated */
+			delete App.config.backups.key;
+			App.log("[BACKUPS] The password of the automatic backups must be set again");
+		}
+		this.start();
+	}
+
+	/**
+	 * @returns {Path} File where the key of the automatic backups is stored
+	 */
+	getKeyFile() {
+		return Path.resolve(this.app.dataDir, Key_File);
+	}
+
+	/**
+	 * Sets the password of the automatic backups. Only the
+	 * key derived from it is stored (see getKeyFile)
+	 * @param {String} password
+	 */
+	setPassword(password) {
+		let key = deriveKey(password);
+		FileSystem.writeFileSync(this.getKeyFile(), JSON.stringify({ salt: key.salt, key: key.key.toString('hex') }), { mode: 0o600 });
+	}
+
+	/**
+	 * @returns {Object} Key of the automatic backups (salt, key), or null if there is no password
+	 */
+	getKey() {
+		let data;
+		try {
+			data = JSON.parseNoPrototype(FileSystem.readFileSync(this.getKeyFile()).toString());
+		} catch (err) {
+			return null;
+		}
+		if (!data || typeof data.salt !== "string" || typeof data.key !== "string") return null;
+		return { salt: data.salt, key: Buffer.from(data.key, 'hex') };
+	}
+
+	/**
+	 * @returns {Boolean} true if the password of the automatic backups is set
+	 */
+	hasKey() {
+		return !!this.getKey();
+	}
+
+	/**
+	 * Starts checking if an automatic backup is needed
+	 */
+	start() {
+		this.stop();
+		if (!this.app.config.backups.enabled) return;
+		this.timer = setInterval(function () {
+			this.check();
+		}.bind(this), Check_Interval);
+	}
+
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+
+	/**
+	 * Saves an automatic backup if the last one is too old
+	 */
+	check() {
+		let conf = this.app.config.backups;
+		if (!conf.enabled || !this.hasKey()) return;
+		let last = this.list()[0];
+		if (last && (Date.now() - last.time) < (conf.interval * Hour)) return;
+		try {
+			let file = this.save(this.getKey());
+			this.app.log("[BACKUPS] Automatic backup saved: " + file);
+		} catch (err) {
+			this.app.log("[BACKUPS] Could not save the automatic backup: " + err.message);
+			this.app.reportCrash(err);
+		}
+	}
+
+	/**
+	 * @returns {Path} Directory where the backups are saved
+	 */
+	getDirectory() {
+		if (this.app.config.backups.dir) {
+			return Path.resolve(this.app.appDir, this.app.config.backups.dir);
+		}
+		return Path.resolve(this.app.dataDir, "backups");
+	}
+
+	/**
+	 * Creates a backup of the configuration and databases
+	 * @param {String|Object} password - Password or stored key (see getKey)
+	 * @returns {String} Encrypted backup
+	 */
+	create(password) {
+		let backupData = this.app.dam.getBackup();
+		let checksums = Object.create(null);
+		for (let file of backupData.files) {
+			checksums[file.file] = getChecksum(file.content);
+		}
+		let backup = {
+			signature: Backup_Signature + "/Showdown-Chatbot/" + this.app.env.package.version,
+			time: Date.now(),
+			files: backupData.files,
+			directories: backupData.directories,
+			checksums: checksums,
+		};
+		let key = deriveKey(password);
+		return "$SCRYPT$" + key.salt + "$" + AES.encrypt(JSON.stringify(backup), Backup_Algorithm, key.key);
+	}
+
+	/**
+	 * Decrypts a backup
+	 * @param {String} data - Encrypted backup
+	 * @param {String|Object} password - Password or stored key (see getKey)
+	 * @returns {Object} Backup (signature, time, files, directories, checksums)
+	 * @throws {Error} If the backup is not valid
+	 */
+	read(data, password) {
+		data = data + "";
+		let salt = Backup_Salt_Regex.exec(data);
+		if (!salt && password && typeof password === "object") {
+			throw new Error("The password is required to open backups saved with older versions.");
+		}
+		/* Backups saved with older versions do not have salt (the key is derived from the password only) */
+		let key = salt ? deriveKey(password, salt[1]).key : (password + "");
+		let backup;
+		try {
+			backup = JSON.parseNoPrototype(AES.decrypt(data.substr(salt ? salt[0].length : 0), Backup_Algorithm, key));
+		} catch (err) {
+			throw new Error("Invalid password or corrupted file.");
+		}
+		if (!backup || typeof backup !== "object" || typeof backup.signature !== "string") {
+			throw new Error("Invalid password or corrupted file.");
+		}
+		if (backup.signature.substr(0, Backup_Signature.length) !== Backup_Signature) {
+			throw new Error("Invalid signature.");
+		}
+		if (!Array.isArray(backup.files) || !Array.isArray(backup.directories)) {
+			throw new Error("Corrupted data.");
+		}
+		return backup;
+	}
+
+	/**
+	 * Checks the integrity of the files of a backup
+	 * @param {Object} backup - Decrypted backup
+	 * @returns {Array<String>} Corrupted files, or null if the backup does not have checksums (old backups)
+	 */
+	verify(backup) {
+		if (!backup.checksums) return null;
+		let corrupted = [];
+		for (let file of backup.files) {
+			if (backup.checksums[file.file] !== getChecksum(file.content)) {
+				corrupted.push(file.file);
+			}
+		}
+		return corrupted;
+	}
+
+	/**
+	 * Saves a backup in the backups directory and removes
+	 * the old ones following the retention rules
+	 * @param {String|Object} password - Password or stored key (see getKey)
+	 * @returns {String} Name of the backup file
+	 * @throws {Error} If the backup could not be saved or verified
+	 */
+	save(password) {
+		let dir = this.getDirectory();
+		checkDir(dir);
+		let date = new Date();
+		let file = "showdown_chatbot_" + date.getFullYear() + "_" + pad(date.getMonth() + 1) + "_" + pad(date.getDate()) +
+			"_" + pad(date.getHours()) + "_" + pad(date.getMinutes()) + "_" + pad(date.getSeconds()) + ".backup";
+		FileSystem.writeFileSync(Path.resolve(dir, file), this.create(password));
+
+		/* Verify the written file */
+		let corrupted = this.verify(this.read(FileSystem.readFileSync(Path.resolve(dir, file)).toString(), password));
+		if (corrupted.length > 0) {
+			throw new Error("The backup " + file + " is corrupted: " + corrupted.join(", "));
+		}
+
+		this.applyRetention();
+		return file;
+	}
+
+	/**
+	 * @returns {Array<Object>} Saved backups (file, time, size), the newest first
+	 */
+	list() {
+		let dir = this.getDirectory();
+		let backups = [];
+		let files;
+		try {
+			files = FileSystem.readdirSync(dir);
+		} catch (err) {
+			return backups;
+		}
+		for (let file of files) {
+			let match = Backup_File_Regex.exec(file);
+			if (!match) continue;
+			let time = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]),
+				parseInt(match[4]), parseInt(match[5]), parseInt(match[6])).getTime();
+			let size = 0;
+			try {
+				size = FileSystem.statSync(Path.resolve(dir, file)).size;
+			} catch (err) {}
+			backups.push({ file: file, time: time, size: size });
+		}
+		return backups.sort((a, b) => (b.time - a.time));
+	}
+
+	/**
+	 * Removes the backups that are not needed to keep
+	 * the last one of each day (keepDaily) and each week (keepWeekly)
+	 * @returns {Array<String>} Removed backups
+	 */
+	applyRetention() {
+		let conf = this.app.config.backups;
+		let keepDaily = conf.keepDaily || 0;
+		let keepWeekly = conf.keepWeekly || 0;
+		if (!keepDaily && !keepWeekly) return [];
+		let days = Object.create(null), weeks = Object.create(null);
+		let removed = [];
+		for (let backup of this.list()) {
+			let date = new Date(backup.time);
+			let day = date.getFullYear() + "-" + (date.getMonth() + 1) + "-" + date.getDate();
+			let weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+			let week = weekStart.getFullYear() + "-" + (weekStart.getMonth() + 1) + "-" + weekStart.getDate();
+			let keep = false;
+			if (!days[day] && Object.keys(days).length < keepDaily) {
+				days[day] = true;
+				keep = true;
+			}
+			if (!weeks[week] && Object.keys(weeks).length < keepWeekly) {
+				weeks[week] = true;
+				keep = true;
+			}
+			if (!keep) {
+				try {
+					FileSystem.unlinkSync(Path.resolve(this.getDirectory(), backup.file));
+					removed.push(backup.file);
+				} catch (err) {
+					this.app.reportCrash(err);
+				}
+			}
+		}
+		return removed;
+	}
+
+	/**
+	 * @param {String} file - Name of a saved backup
+	 * @returns {Path} Full path of the backup, or null if the name is not valid
+	 */
+	getFile(file) {
+		if (!Backup_File_Regex.test(file)) return null;
+		return Path.resolve(this.getDirectory(), file);
+	}
+
+	/**
+	 * Reads a saved backup
+	 * @param {String} file - Name of the backup
+	 * @param {String|Object} password - Password or stored key (see getKey)
+	 * @returns {Object} Decrypted backup
+	 * @throws {Error} If the backup does not exist or is not valid
+	 */
+	load(file, password) {
+		let path = this.getFile(file);
+		if (!path || !FileSystem.existsSync(path)) {
+			throw new Error("The backup does not exist.");
+		}
+		return this.read(FileSystem.readFileSync(path).toString(), password);
+	}
+
+	/**
+	 * @param {String} file - Name of a saved backup
+	 */
+	remove(file) {
+		let path = this.getFile(file);
+		if (path) {
+			FileSystem.unlinkSync(path);
+		}
+	}
+
+	/**
+	 * Restores the files of a backup. The changes are applied
+	 * after restarting the application
+	 * @param {Object} backup - Decrypted backup
+	 * @param {Array<String>} files - Files to restore (all if not specified)
+	 */
+	restore(backup, files) {
+		let selected = backup.files;
+		if (files) {
+			selected = backup.files.filter(file => files.indexOf(file.file) >= 0);
+		}
+		this.app.dam.restoreBackup(backup.directories, selected);
+	}
+}
+
+module.exports = BackupManager;
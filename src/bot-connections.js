@@ -0,0 +1,411 @@
+/**
+ * Bot Connections for Showdown ChatBot
+ * Showdown ChatBot is distributed under the terms of the MIT License
+ * (https://github.com/AgustinSRG/Showdown-ChatBot/blob/master/LICENSE)
+ *
+ * This file manages the additional bot accounts. Each connection
+ * has its own server and credentials, joins its assigned rooms and
+ * handles the commands received in them. Bot modules can be assigned
+ * to a connection too (they use it instead of the main one)
+ *
+ * Modules get their connection when they are loaded, so changing
+ * the module assignments requires restarting the application
+ *
+ * The main connection (App.bot) is configured in the Bot Configuration
+ * section and its login is handled by the core module
+ */
+
+'use strict';
+
+const Path = require('path');
+
+const ShowdownBot = require(Path.resolve(__dirname, 'showdown/showdown-sockjs.js')).Bot;
+
+const Main_Connection = 'main';
+
+const Default_Login_Server = "play.pokemonshowdown.com";
+const Login_Timeout = 30 * 1000;
+const Login_Retry_Delay = 5000;
+
+class BotConnections {
+	/**
+	 * @param {ChatBotApp} App
+	 */
+	constructor(App) {
+		this.app = App;
+		this.bots = Object.create(null);
+		this.logins = Object.create(null);
+		this.connectionApps = Object.create(null);
+		if (!App.config.connections) {
+			App.config.connections = Object.create(null);
+		}
+		this.config = App.config.connections;
+		for (let id in this.config) {
+			this.create(id);
+		}
+	}
+
+	/**
+	 * @returns {Array<String>} Connection IDs (the main one first)
+	 */
+	getIds() {
+		return [Main_Connection].concat(Object.keys(this.config).sort());
+	}
+
+	/**
+	 * @param {String} id - Connection ID
+	 * @returns {Bot} The connection or null if it does not exist
+	 */
+	get(id) {
+		if (!id || id === Main_Connection) return this.app.bot;
+		return this.bots[id] || null;
+	}
+
+	/**
+	 * @param {Bot} bot
+	 * @returns {String} Connection ID
+	 */
+	getId(bot) {
+		for (let id in this.bots) {
+			if (this.bots[id] === bot) return id;
+		}
+		return Main_Connection;
+	}
+
+	/**
+	 * @param {String} room - Room ID
+	 * @returns {String} ID of the connection assigned to the room (main if not assigned)
+	 */
+	getRoomConnection(room) {
+		for (let id in this.config) {
+			if ((this.config[id].rooms || []).indexOf(room) >= 0) return id;
+		}
+		return Main_Connection;
+	}
+
+	/**
+	 * @param {String} room - Room ID
+	 * @returns {Bot} Connection assigned to the room
+	 */
+	getRoomBot(room) {
+		return this.get(this.getRoomConnection(room)) || this.app.bot;
+	}
+
+	/**
+	 * Checks if a connection must handle the commands of a room,
+	 * to avoid running them twice if several accounts are in the room
+	 * @param {String} id - Connection ID
+	 * @param {String} room - Room ID
+	 * @returns {Boolean}
+	 */
+	handlesRoom(id, room) {
+		let assigned = this.getRoomConnection(room);
+		if (assigned !== Main_Connection && this.bots[assigned]) return assigned === id;
+		if (id === Main_Connection) return true;
+		return !this.app.bot.rooms[room];
+	}
+
+	/**
+	 * @param {String} mod - Module ID
+	 * @returns {String} ID of the connection assigned to the module (main if not assigned)
+	 */
+	getModuleConnection(mod) {
+		for (let id in this.config) {
+			if ((this.config[id].modules || []).indexOf(mod) >= 0) return id;
+		}
+		return Main_Connection;
+	}
+
+	/**
+	 * Gets the application seen by the code that uses a connection.
+	 * App.bot is the connection, the other properties are the ones of
+	 * the application (assignments included). New properties cannot be
+	 * added through it, so they never hide the ones of the application
+	 * @param {String} id - Connection ID
+	 * @returns {ChatBotApp}
+	 */
+	getConnectionApp(id) {
+		if (id === Main_Connection || !this.bots[id]) return this.app;
+		if (!this.connectionApps[id]) {
+			let app = this.app;
+			let connectionApp = Object.create(app);
+			for (let key of Object.keys(app)) {
+				if (key === 'bot') continue;
+				Object.defineProperty(connectionApp, key, {
+					get: function () {
+						return app[key];
+					},
+					set: function (value) {
+						app[key] = value;
+					},
+				});
+			}
+			Object.defineProperty(connectionApp, 'bot', {
+				get: () => {
+					return this.bots[id] || app.bot;
+				},
+			});
+			this.connectionApps[id] = Object.preventExtensions(connectionApp);
+		}
+		return this.connectionApps[id];
+	}
+
+	/**
+	 * Gets the application seen by a bot module. If the module is assigned
+	 * to another connection, its App.bot is that connection
+	 * @param {String} mod - Module ID
+	 * @returns {ChatBotApp}
+	 */
+	getModuleApp(mod) {
+		return this.getConnectionApp(this.getModuleConnection(mod));
+	}
+
+	/**
+	 * Gets the application seen by the commands received by a connection,
+	 * so they reply through the account that received them
+	 * @param {Bot} bot - Connection
+	 * @returns {ChatBotApp}
+	 */
+	getBotApp(bot) {
+		return this.getConnectionApp(this.getId(bot));
+	}
+
+	/**
+	 * Creates a connection from its configuration
+	 * @param {String} id - Connection ID
+	 * @returns {Bot}
+	 */
+	create(id) {
+		let conf = this.config[id];
+		let bot = new ShowdownBot(
+			conf.server,
+			conf.port,
+			conf.serverid,
+			conf.loginserv || Default_Login_Server,
+			true,
+			conf.retrydelay,
+			conf.secure,
+			conf.msgQueueMaxLength || 120,
+			conf.accountType || "regular",
+			conf.safetyThrottleExtraDelay || 50
+		);
+		this.bots[id] = bot;
+		this.logins[id] = { named: false, timer: null };
+
+		let log = text => {
+			this.app.log('[Connection: ' + id + '] ' + text);
+		};
+
+		bot.on('userchat', (room, time, by, msg) => {
+			if (!this.handlesRoom(id, room)) return;
+			this.app.parser.parse(msg, room, by, false, bot);
+		});
+		bot.on('pm', (by, msg) => {
+			this.app.parser.parse(msg, null, by, false, bot);
+		});
+
+		bot.on('connecting', () => {
+			log('Connecting to server: ' + bot.server + ":" + bot.port);
+		});
+		bot.on('connect', () => {
+			log('Connected to server: ' + bot.server + ":" + bot.port);
+		});
+		bot.on('connectFailed', err => {
+			log('Could not connect to the server' + (err ? (" | " + err.code + ": " + err.message) : ''));
+		});
+		bot.on('disconnect', err => {
+			this.clearLoginTimer(id);
+			this.logins[id].named = false;
+			log('Disconnected' + (err ? (" | " + err.code + ": " + err.message) : ''));
+		});
+
+		/* Login */
+		bot.on('challstr', () => {
+			if (!this.config[id] || !this.config[id].nick) return;
+			log('Logging into ' + this.config[id].nick + '...');
+			this.setLoginTimer(id, Login_Timeout);
+			bot.rename(this.config[id].nick, this.config[id].pass);
+		});
+		bot.on('renamefailure', err => {
+			if (this.logins[id].named || !bot.isConnected() || !this.config[id]) return;
+			this.clearLoginTimer(id);
+			if (err === 'wrongpassword') {
+				log('Login Error: Wrong password.');
+			} else if (this.config[id].nick) {
+				log('Login Error: ' + (err || 'Connection error') + '. Retrying in 5 seconds');
+				bot.retryRename(Login_Retry_Delay, this.config[id].nick, this.config[id].pass);
+				this.setLoginTimer(id, Login_Timeout + Login_Retry_Delay);
+			}
+		});
+		bot.on('updateuser', (nick, named) => {
+			if (named) this.clearLoginTimer(id);
+			if (named && !this.logins[id].named) {
+				log('Logged in as ' + nick);
+				this.runFirstLogin(id);
+			}
+			this.logins[id].named = named;
+		});
+
+		return bot;
+	}
+
+	/**
+	 * @param {String} id - Connection ID
+	 * @param {Number} time - Milliseconds to wait for the login
+	 */
+	setLoginTimer(id, time) {
+		this.clearLoginTimer(id);
+		this.logins[id].timer = setTimeout(() => {
+			this.logins[id].timer = null;
+			if (!this.config[id] || !this.bots[id].isConnected()) return;
+			this.app.log('[Connection: ' + id + '] Login Timeout. Retrying in 5 seconds');
+			this.bots[id].retryRename(Login_Retry_Delay, this.config[id].nick, this.config[id].pass);
+		}, time);
+	}
+
+	/**
+	 * @param {String} id - Connection ID
+	 */
+	clearLoginTimer(id) {
+		if (this.logins[id] && this.logins[id].timer) {
+			clearTimeout(this.logins[id].timer);
+			this.logins[id].timer = null;
+		}
+	}
+
+	/**
+	 * Joins the assigned rooms and sets the avatar and status
+	 * @param {String} id - Connection ID
+	 */
+	runFirstLogin(id) {
+		let conf = this.config[id];
+		if (!conf) return;
+		let cmds = [];
+		for (let room of (conf.rooms || [])) {
+			cmds.push('|/join ' + room);
+		}
+		if (conf.avatar) {
+			cmds.push('|/avatar ' + conf.avatar);
+		}
+		if (conf.status) {
+			cmds.push('|/status ' + conf.status);
+		}
+		if (cmds.length) {
+			this.bots[id].send(cmds);
+		}
+	}
+
+	/**
+	 * Connects if the connection is enabled
+	 * @param {String} id - Connection ID
+	 * @returns {Boolean} true if the connection was started
+	 */
+	start(id) {
+		let bot = this.bots[id];
+		if (!bot || !bot.server || this.config[id].disabled) return false;
+		if (bot.isConnected() || bot.connecting) return false;
+		bot.connect();
+		return true;
+	}
+
+	/**
+	 * @param {String} id - Connection ID
+	 * @returns {Boolean} true if the connection was restarted
+	 */
+	restart(id) {
+		let bot = this.bots[id];
+		if (!bot || !bot.server || bot.connecting) return false;
+		this.clearLoginTimer(id);
+		this.logins[id].named = false;
+		bot.reconnect();
+		return true;
+	}
+
+	/**
+	 * @param {String} id - Connection ID
+	 * @returns {Boolean} true if the connection was stopped
+	 */
+	stop(id) {
+		let bot = this.bots[id];
+		if (!bot || (!bot.isConnected() && !bot.connecting && !bot.socket)) return false;
+		this.clearLoginTimer(id);
+		this.logins[id].named = false;
+		bot.disconnect();
+		return true;
+	}
+
+	/**
+	 * Starts every enabled connection
+	 */
+	startAll() {
+		for (let id in this.bots) {
+			this.start(id);
+		}
+	}
+
+	/**
+	 * Adds or reconfigures a connection. The changes on the server
+	 * are applied the next time it connects
+	 * @param {String} id - Connection ID
+	 * @param {Object} conf - Configuration
+	 * @returns {Bot}
+	 */
+	set(id, conf) {
+		this.config[id] = conf;
+		let bot = this.bots[id];
+		if (!bot) return this.create(id);
+		bot.server = conf.server;
+		bot.port = conf.port;
+		bot.secure = !!conf.secure;
+		bot.loginUrl.serverId = conf.serverid || 'showdown';
+		bot.errOptions.retryDelay = conf.retrydelay;
+		bot.accountType = conf.accountType || "regular";
+		bot.msgQueueMaxLength = conf.msgQueueMaxLength || 120;
+		return bot;
+	}
+
+	/**
+	 * Disconnects and removes a connection
+	 * @param {String} id - Connection ID
+	 */
+	remove(id) {
+		if (this.bots[id]) {
+			this.stop(id);
+			delete this.bots[id];
+			delete this.logins[id];
+			delete this.connectionApps[id];
+		}
+		delete this.config[id];
+	}
+
+	/**
+	 * @param {String} id - Connection ID
+	 * @returns {Object} Status (id, server, nick, connected, connecting, conntime, rooms, battles, queue)
+	 */
+	getStatus(id) {
+		let bot = this.get(id);
+		let status = {
+			id: id,
+			server: bot.server ? (bot.server + ":" + bot.port) : "",
+			nick: (bot.getBotNick().substr(1) || ""),
+			connected: bot.isConnected(),
+			connecting: !!bot.connecting,
+			conntime: bot.conntime,
+			rooms: [],
+			battles: [],
+			queue: bot.msgQueue.length,
+		};
+		for (let room in bot.rooms) {
+			if (bot.rooms[room].type === 'battle') {
+				status.battles.push(room);
+			} else {
+				status.rooms.push(room);
+			}
+		}
+		return status;
+	}
+}
+
+BotConnections.Main_Connection = Main_Connection;
+
+module.exports = BotConnections;
@@ -27,9 +27,14 @@ exports.setup = function (App) {
 	BattleLogMod.data = BattleLogMod.db.data;
 	BattleLogMod.path = Path.resolve(App.logsDir, "battle/");
 
-	if (!BattleLogMod.data.rooms) {
-		BattleLogMod.data.rooms = Object.create(null);
-	}
+	BattleLogMod.loadData = function () {
+		if (!this.data.rooms) {
+			this.data.rooms = Object.create(null);
+		}
+	};
+
+	BattleLogMod.db.on('reload', BattleLogMod.loadData.bind(BattleLogMod));
+	BattleLogMod.loadData();
 
 	BattleLogMod.saveData = function () {
 		this.db.write();
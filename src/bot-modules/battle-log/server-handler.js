@@ -41,9 +41,76 @@ exports.setup = function (App) {
 
 		context.endWithWebPage(replayTemplate.make({
 			battle_id: Text.toRoomid(file),
+			decisions: getDecisionsHTML(Text.toRoomid(file)),
 		}), { title: "Battle Replay - Showdown ChatBot" });
 	}
 
+	function getDecisionsHTML(battle) {
+		let records = [];
+		if (App.modules.battle && App.modules.battle.system) {
+			records = App.modules.battle.system.BattleBot.decisionLog.get(battle);
+		}
+		if (!records.length) {
+			return '<p><em>There are no decisions logged for this battle.</em></p>';
+		}
+
+		let turns = [];
+		let byTurn = Object.create(null);
+		for (let record of records) {
+			let turn = "" + (record.turn || 0);
+			if (!byTurn[turn]) {
+				byTurn[turn] = [];
+				turns.push(turn);
+			}
+			byTurn[turn].push(record);
+		}
+
+		let html = '';
+		html += '<p><button id="decision-prev">&lt;</button>&nbsp;<select id="decision-turn">';
+		for (let turn of turns) {
+			html += '<option value="' + Text.escapeHTML(turn) + '">' + (turn === "0" ? "Team preview / Lead" : "Turn " + Text.escapeHTML(turn)) + '</option>';
+		}
+		html += '</select>&nbsp;<button id="decision-next">&gt;</button></p>';
+
+		for (let turn of turns) {
+			html += '<div class="decision-turn" data-turn="' + Text.escapeHTML(turn) + '">';
+			for (let record of byTurn[turn]) {
+				html += '<p><strong>' + Text.escapeHTML(record.type === "team" ? "Team preview" : (record.type === "switch" ? "Forced switch" : "Move")) + '</strong>';
+				html += ' (' + Text.escapeHTML(new Date(record.time).toISOString()) + ', module: ' + Text.escapeHTML(record.module || "none") + ')<br />';
+				html += Text.escapeHTML((record.self || []).filter(p => !!p).join(", ") || "-") + ' <em>vs</em> ' + Text.escapeHTML((record.foe || []).filter(p => !!p).join(", ") || "-") + '</p>';
+				html += '<p>Chosen: <strong>' + Text.escapeHTML(record.chosen) + '</strong>';
+				if (record.reason) {
+					html += '<br />Reason: ' + Text.escapeHTML(record.reason);
+				}
+				html += '</p>';
+				html += '<table border="1" style="width: 100%;">';
+				html += '<tr><td><div align="center"><strong>Option</strong></div></td><td><div align="center"><strong>Scores</strong></div></td></tr>';
+				for (let option of (record.options || [])) {
+					let scores = [];
+					for (let key in option.info) {
+						scores.push(Text.escapeHTML(key) + ': ' + Text.escapeHTML(option.info[key]));
+					}
+					let chosen = option.decision === record.chosen;
+					html += '<tr' + (chosen ? ' style="font-weight: bold;"' : '') + '>';
+					html += '<td>' + Text.escapeHTML(option.decision) + '</td>';
+					html += '<td>' + (scores.join('<br />') || '-') + '</td>';
+					html += '</tr>';
+				}
+				html += '</table>';
+				if (record.notes && record.notes.length) {
+					html += '<ul>';
+					for (let note of record.notes) {
+						html += '<li>' + Text.escapeHTML(note) + '</li>';
+					}
+					html += '</ul>';
+				}
+				html += '<hr />';
+			}
+			html += '</div>';
+		}
+		return html;
+	}
+
 	/* Handlers */
 	App.server.setHandler('battlelog', (context, parts) => {
 		if (parts[0]) {
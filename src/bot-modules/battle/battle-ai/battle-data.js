@@ -14,6 +14,57 @@ const Natures = require(Path.resolve(__dirname, "natures.js")).Natures;
 exports.setup = function (App) {
 	const BattleDataManager = Object.create(null);
 
+	/**
+	 * @param {Number} gen
+	 * @param {String} file - File name (pokedex.js, moves.js, ...)
+	 * @param {String} table - Exported table (BattlePokedex, BattleMovedex, ...)
+	 * @returns {Object} Local data table or null if it does not exist
+	 */
+	function getGenData(gen, file, table) {
+		try {
+			return require(Path.resolve(BAT_DATA_DIR, "gen" + gen, file))[table] || null;
+		} catch (e) {
+			return null;
+		}
+	}
+
+	/**
+	 * Gets an entry of the battle data for a generation
+	 * The downloaded data is the base (the local gen 9 data is used
+	 * if it is not available), then the changes of each older generation
+	 * are applied, from gen 8 to the requested one
+	 * @param {String} id - Entry ID
+	 * @param {Number} gen
+	 * @param {String} file - File name (pokedex.js, moves.js, ...)
+	 * @param {String} table - Exported table (BattlePokedex, BattleMovedex, ...)
+	 * @param {function} getDownloaded - Returns the downloaded data table
+	 * @returns {Object}
+	 */
+	function getEntry(id, gen, file, table, getDownloaded) {
+		let entry = Object.create(null);
+		let temp;
+		try {
+			temp = getDownloaded()[id];
+		} catch (e) {
+			temp = null;
+		}
+		if (!temp) {
+			let local = getGenData(9, file, table);
+			temp = local ? local[id] : null;
+		}
+		for (let i in temp) entry[i] = temp[i];
+		for (let i = 8; i >= gen; i--) {
+			temp = getGenData(i, file, table);
+			temp = temp ? temp[id] : null;
+			if (!temp) continue;
+			if (!temp.inherit) {
+				for (let k in entry) delete entry[k];
+			}
+			for (let k in temp) entry[k] = temp[k];
+		}
+		return entry;
+	}
+
 	BattleDataManager.getEffect = function (effect, gen) {
 		if (!effect || typeof effect === 'string') {
 			let name = (effect || '').trim();
@@ -67,24 +118,7 @@ exports.setup = function (App) {
 	BattleDataManager.getPokemon = BattleDataManager.getTemplate = function (poke, gen) {
 		if (!gen || gen > 9 || gen < 1) gen = 9;
 		poke = Text.toId(poke || "");
-		let pokemon = Object.create(null);
-		let temp;
-		try {
-			temp = App.data.getPokedex()[poke];
-			for (let i in temp) pokemon[i] = temp[i];
-		} catch (e) { }
-		for (let i = 8; i >= gen; i--) {
-			try {
-				temp = require(Path.resolve(BAT_DATA_DIR, "gen" + i, "pokedex.js")).BattlePokedex[poke];
-				if (!temp) continue;
-			} catch (e) {
-				continue;
-			}
-			if (!temp.inherit) {
-				for (let i in pokemon) delete pokemon[i];
-			}
-			for (let i in temp) pokemon[i] = temp[i];
-		}
+		let pokemon = getEntry(poke, gen, "pokedex.js", "BattlePokedex", () => App.data.getPokedex());
 		if (pokemon.name) {
 			pokemon.species = pokemon.name;
 		}
@@ -172,24 +206,7 @@ exports.setup = function (App) {
 		if (move.indexOf("hiddenpower") === 0) {
 			move = move.replace(/[0-9]/g, "");
 		}
-		let moveData = Object.create(null);
-		let temp;
-		try {
-			temp = App.data.getMoves()[move];
-			for (let i in temp) moveData[i] = temp[i];
-		} catch (e) { }
-		for (let i = 8; i >= gen; i--) {
-			try {
-				temp = require(Path.resolve(BAT_DATA_DIR, "gen" + i, "moves.js")).BattleMovedex[move];
-				if (!temp) continue;
-			} catch (e) {
-				continue;
-			}
-			if (!temp.inherit) {
-				for (let i in moveData) delete moveData[i];
-			}
-			for (let i in temp) moveData[i] = temp[i];
-		}
+		let moveData = getEntry(move, gen, "moves.js", "BattleMovedex", () => App.data.getMoves());
 		if (moveData.name) {
 			moveData.id = Text.toId(moveData.name);
 		}
@@ -220,24 +237,7 @@ exports.setup = function (App) {
 	BattleDataManager.getItem = function (item, gen) {
 		if (!gen || gen > 9 || gen < 1) gen = 9;
 		item = Text.toId(item || "");
-		let itemData = Object.create(null);
-		let temp;
-		try {
-			temp = App.data.getItems()[item];
-			for (let i in temp) itemData[i] = temp[i];
-		} catch (e) { }
-		for (let i = 8; i >= gen; i--) {
-			try {
-				temp = require(Path.resolve(BAT_DATA_DIR, "gen" + i, "items.js")).BattleItems[item];
-				if (!temp) continue;
-			} catch (e) {
-				continue;
-			}
-			if (!temp.inherit) {
-				for (let i in itemData) delete itemData[i];
-			}
-			for (let i in temp) itemData[i] = temp[i];
-		}
+		let itemData = getEntry(item, gen, "items.js", "BattleItems", () => App.data.getItems());
 		if (itemData.name) {
 			itemData.id = Text.toId(itemData.name);
 		}
@@ -261,24 +261,7 @@ exports.setup = function (App) {
 	BattleDataManager.getAbility = function (ab, gen) {
 		if (!gen || gen > 9 || gen < 1) gen = 9;
 		ab = Text.toId(ab || "");
-		let ability = Object.create(null);
-		let temp;
-		try {
-			temp = App.data.getAbilities()[ab];
-			for (let i in temp) ability[i] = temp[i];
-		} catch (e) { }
-		for (let i = 8; i >= gen; i--) {
-			try {
-				temp = require(Path.resolve(BAT_DATA_DIR, "gen" + i, "abilities.js")).BattleAbilities[ab];
-				if (!temp) continue;
-			} catch (e) {
-				continue;
-			}
-			if (!temp.inherit) {
-				for (let i in ability) delete ability[i];
-			}
-			for (let i in temp) ability[i] = temp[i];
-		}
+		let ability = getEntry(ab, gen, "abilities.js", "BattleAbilities", () => App.data.getAbilities());
 		if (ability.name) {
 			ability.id = Text.toId(ability.name);
 		}
@@ -552,6 +535,20 @@ exports.setup = function (App) {
 
 	BattleDataManager.getFormatsData = function (gen) {
 		if (!gen || gen > 9 || gen < 1) gen = 9;
+		if (gen === 9) {
+			/* Downloaded data, completed with the local gen 9 data */
+			let formatsData = Object.create(null);
+			let downloaded = null;
+			try {
+				downloaded = App.data.getFormatsData();
+			} catch (e) { }
+			for (let id in downloaded) formatsData[id] = downloaded[id];
+			let local = getGenData(9, "formats-data.js", "BattleFormatsData") || {};
+			for (let id in local) {
+				if (!formatsData[id]) formatsData[id] = local[id];
+			}
+			return formatsData;
+		}
 		try {
 			return require(Path.resolve(BAT_DATA_DIR, "gen" + gen, "formats-data.js")).BattleFormatsData;
 		} catch (e) {
@@ -27,6 +27,10 @@ exports.setup = function (App, BattleData) {
 				return;
 			}
 			this.rqid = this.request ? this.request.rqid : -1;
+			if (!this.initialTeam && this.request && this.request.side && this.request.side.pokemon) {
+				this.initialTeam = this.request.side.pokemon.map(poke => this.parseDetails(poke.details).species);
+				this.findTeam();
+			}
 			if (this.waitingForRequestToMove) {
 				this.waitingForRequestToMove = false;
 				this.makeDecision();
@@ -35,6 +39,15 @@ exports.setup = function (App, BattleData) {
 			}
 		},
 
+		raw: function (args, kwargs, isIntro) {
+			if (!this.self || isIntro) return;
+			// Rating change after a rated battle: "Name's rating: 1000 &rarr; <strong>1025</strong>"
+			let match = /^(.+)'s rating: ([0-9]+) &rarr; <strong>([0-9]+)<\/strong>/.exec(args.slice(1).join("|"));
+			if (match && Text.toId(match[1]) === Text.toId(App.bot.getBotNick())) {
+				this.reportRating(parseInt(match[2]), parseInt(match[3]));
+			}
+		},
+
 		start: function (args, kwargs, isIntro) {
 			this.battleReadyToStart = true;
 			this.started = true;
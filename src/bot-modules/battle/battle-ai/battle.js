@@ -13,7 +13,7 @@ const Util = require('util');
 const Text = Tools('text');
 const HtmlMaker = Tools('html-maker');
 
-exports.setup = function (App, CustomModules) {
+exports.setup = function (App, CustomModules, DecisionLog, BattleStats) {
 	const BattleData = require(Path.resolve(__dirname, "battle-data.js")).setup(App);
 	const Modules = require(Path.resolve(__dirname, "modules.js")).setup(App, BattleData, CustomModules);
 	const DecisionMaker = require(Path.resolve(__dirname, "decision.js"));
@@ -81,6 +81,10 @@ exports.setup = function (App, CustomModules) {
 				bp: 50,
 			};
 			this.leaveForbidden = false;
+			this.explanation = null;
+			this.initialTeam = null;
+			this.teamId = "";
+			this.moduleId = "";
 		}
 
 		send(data) {
@@ -101,6 +105,51 @@ exports.setup = function (App, CustomModules) {
 			this.log('DEBUG: ' + txt, true);
 		}
 
+		/**
+		 * Adds a note to the explanation of the current decision
+		 * @param {String} note
+		 */
+		explain(note) {
+			if (!this.explanation) return;
+			DecisionLog.addNote(this.explanation, note);
+		}
+
+		/**
+		 * Adds scores of an option to the explanation of the current decision
+		 * @param {Array<Object>} decision
+		 * @param {Object} info - Scores (key => value)
+		 */
+		explainOption(decision, info) {
+			if (!this.explanation || !decision) return;
+			DecisionLog.explainOption(this.explanation, decision, info);
+		}
+
+		/**
+		 * Sets the reason of the current decision
+		 * @param {String} reason
+		 */
+		explainReason(reason) {
+			if (!this.explanation) return;
+			this.explanation.reason = reason;
+		}
+
+		/**
+		 * Stores the explanation of the current decision
+		 * @param {Array<Object>} decision - Chosen decision
+		 * @param {String} modId - Battle module
+		 */
+		logDecision(decision, modId) {
+			if (!this.explanation) return;
+			let record = this.explanation;
+			this.explanation = null;
+			record.module = modId || "";
+			try {
+				DecisionLog.write(this.id, record, decision);
+			} catch (err) {
+				this.debug("Could not write the decision log: " + err.message);
+			}
+		}
+
 		evalBattle(txt) {
 			if (App.jsInject) {
 				return eval(txt);
@@ -253,6 +302,7 @@ exports.setup = function (App, CustomModules) {
 		win(winner) {
 			if (!this.self) return; // Not playing
 			let win = this.isTeamsBattle() ? this.isMyTeamWiner(winner) : (Text.toId(winner) === Text.toId(App.bot.getBotNick()));
+			this.reportResult(winner === undefined ? "tie" : (win ? "win" : "loss"));
 			let txt = '';
 			let server = App.config.server.url;
 			if (server && App.config.debug) {
@@ -282,6 +332,49 @@ exports.setup = function (App, CustomModules) {
 			}
 		}
 
+		/**
+		 * Finds the team of the bot (sent to the server before the battle)
+		 * and stores it, so the result is recorded for that team
+		 */
+		findTeam() {
+			try {
+				this.teamId = BattleStats.getBattleTeam(this.id);
+				if (this.teamId) return;
+				const mod = App.modules.battle.system;
+				this.teamId = mod.TeamBuilder.takeSentTeam(Text.toId(this.tier || ""), this.initialTeam);
+				if (this.teamId) {
+					BattleStats.setBattleTeam(this.id, this.teamId);
+				}
+			} catch (err) {
+				App.reportCrash(err);
+			}
+		}
+
+		/**
+		 * Stores the result of the battle in the battle statistics
+		 * @param {String} result - win, loss or tie
+		 */
+		reportResult(result) {
+			try {
+				BattleStats.add(this, result);
+			} catch (err) {
+				App.reportCrash(err);
+			}
+		}
+
+		/**
+		 * Stores the rating change of the battle in the battle statistics
+		 * @param {Number} before - Rating before the battle
+		 * @param {Number} after - Rating after the battle
+		 */
+		reportRating(before, after) {
+			try {
+				BattleStats.setRating(this.id, before, after);
+			} catch (err) {
+				App.reportCrash(err);
+			}
+		}
+
 		message(type, targetPlayer, targetPoke, sourcePlayer, sourcePoke) {
 			if (!this.self) return; // Not playing
 			if (!Config.otherMessages) return;
@@ -383,20 +476,26 @@ exports.setup = function (App, CustomModules) {
 				this.lock = false;
 				return;
 			}
+			this.explanation = Config.decisionLog ? DecisionLog.createRecord(this, decisions) : null;
 			try {
 				mod = Modules.choose(this);
 				if (mod) {
 					let decision = mod.decide(this, decisions);
 					if (decision instanceof Array) {
 						this.lock = false;
+						this.moduleId = mod.id;
+						this.logDecision(decision, mod.id);
 						this.sendDecision(decision);
 						return;
 					} else if (mod.fallback) {
+						this.explain("Module " + mod.id + " did not decide, using the fallback module: " + mod.fallback);
 						mod = Modules.find(mod.fallback);
 						if (mod) {
 							decision = mod.decide(this, decisions);
 							if (decision instanceof Array) {
 								this.lock = false;
+								this.moduleId = mod.id;
+								this.logDecision(decision, mod.id);
 								this.sendDecision(decision);
 								return;
 							}
@@ -406,10 +505,14 @@ exports.setup = function (App, CustomModules) {
 			} catch (ex) {
 				this.debug(ex.stack);
 				this.debug("Module failed: " + mod.id + " | " + ex.message);
+				this.explain("Module failed: " + mod.id + " | " + ex.message);
 				App.reportCrash(ex);
 			}
 			this.lock = false;
-			this.sendDecision(decisions[Math.floor(Math.random() * decisions.length)]);
+			let randomDecision = decisions[Math.floor(Math.random() * decisions.length)];
+			this.explainReason("Random decision (no decision from the battle modules)");
+			this.logDecision(randomDecision, "");
+			this.sendDecision(randomDecision);
 		}
 
 		add(line, isIntro) {
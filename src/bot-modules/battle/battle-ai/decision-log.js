@@ -0,0 +1,231 @@
+/**
+ * Battle decisions log
+ * Stores the decisions made by the battle bot with the evaluated
+ * options, so they can be reviewed turn by turn
+ *
+ * Each battle is stored in a separate file, one JSON object per line
+ */
+
+'use strict';
+
+const Path = require('path');
+const FileSystem = require('fs');
+const Text = Tools('text');
+const checkDir = Tools('checkdir');
+
+const Max_Notes = 64;
+
+/**
+ * @param {Array<Object>} decision
+ * @returns {String} Human readable decision
+ */
+function decisionToString(decision) {
+	if (!decision || !decision.length) return "-";
+	let parts = [];
+	for (let des of decision) {
+		switch (des.type) {
+			case "team":
+				parts.push("team " + des.team.map(p => p + 1).join(""));
+				break;
+			case "move":
+				{
+					let str = "move " + des.move;
+					if (des.target !== undefined && des.target !== null) str += " (target: " + des.target + ")";
+					if (des.mega) str += " + mega";
+					if (des.zmove) str += " + z-move";
+					if (des.ultra) str += " + ultra burst";
+					if (des.dynamax) str += " + dynamax";
+					if (des.terastallize) str += " + terastallize";
+					parts.push(str);
+				}
+				break;
+			case "switch":
+				parts.push("switch " + ("" + des.poke).replace(/^p[1-4][a-z]?: /, ""));
+				break;
+			default:
+				parts.push(des.type);
+		}
+	}
+	return parts.join(", ");
+}
+
+class BattleDecisionLog {
+	/**
+	 * @param {Path} path - Directory to store the logs
+	 * @param {function} getMaxBattles - Returns the max number of battles to keep
+	 */
+	constructor(path, getMaxBattles) {
+		this.path = path;
+		this.getMaxBattles = getMaxBattles;
+		this.started = Object.create(null);
+		checkDir(path);
+	}
+
+	/**
+	 * @param {String} battle - Battle ID
+	 * @returns {Path}
+	 */
+	getFile(battle) {
+		return Path.resolve(this.path, Text.toRoomid(battle) + ".log");
+	}
+
+	/**
+	 * Creates an empty decision record
+	 * @param {Battle} battle
+	 * @param {Array<Array<Object>>} decisions - Available decisions
+	 * @returns {Object}
+	 */
+	createRecord(battle, decisions) {
+		let record = {
+			time: Date.now(),
+			turn: battle.turn,
+			rqid: battle.rqid,
+			type: "move",
+			module: "",
+			self: [],
+			foe: [],
+			options: [],
+			notes: [],
+			chosen: "",
+			reason: "",
+		};
+		if (battle.request && battle.request.teamPreview) {
+			record.type = "team";
+		} else if (battle.request && battle.request.forceSwitch) {
+			record.type = "switch";
+		}
+		if (battle.self) {
+			record.self = battle.self.active.map(p => (p ? p.name : ""));
+		}
+		if (battle.foe) {
+			record.foe = battle.foe.active.map(p => (p ? p.name : ""));
+		}
+		for (let decision of (decisions || [])) {
+			record.options.push({
+				decision: decisionToString(decision),
+				info: Object.create(null),
+			});
+		}
+		return record;
+	}
+
+	/**
+	 * Adds information to an option of a record
+	 * @param {Object} record
+	 * @param {Array<Object>} decision
+	 * @param {Object} info - Scores (key => value)
+	 */
+	explainOption(record, decision, info) {
+		let str = decisionToString(decision);
+		let option = null;
+		for (let opt of record.options) {
+			if (opt.decision === str) {
+				option = opt;
+				break;
+			}
+		}
+		if (!option) {
+			option = {
+				decision: str,
+				info: Object.create(null),
+			};
+			record.options.push(option);
+		}
+		for (let key in info) {
+			option.info[key] = info[key];
+		}
+	}
+
+	/**
+	 * Adds a note to a record
+	 * @param {Object} record
+	 * @param {String} note
+	 */
+	addNote(record, note) {
+		if (record.notes.length >= Max_Notes) return;
+		record.notes.push("" + note);
+	}
+
+	/**
+	 * Stores a record
+	 * @param {String} battle - Battle ID
+	 * @param {Object} record
+	 * @param {Array<Object>} decision - Chosen decision
+	 */
+	write(battle, record, decision) {
+		record.chosen = decisionToString(decision);
+		if (!this.started[battle]) {
+			this.started[battle] = true;
+			this.sweep(battle);
+		}
+		FileSystem.appendFileSync(this.getFile(battle), JSON.stringify(record) + "\n");
+	}
+
+	/**
+	 * Updates the log when a battle room is renamed
+	 * @param {String} battle - Old battle ID
+	 * @param {String} newId - New battle ID
+	 */
+	rename(battle, newId) {
+		if (this.started[battle]) {
+			this.started[newId] = true;
+			delete this.started[battle];
+		}
+		try {
+			if (FileSystem.existsSync(this.getFile(battle))) {
+				FileSystem.renameSync(this.getFile(battle), this.getFile(newId));
+			}
+		} catch (err) {}
+	}
+
+	/**
+	 * @param {String} battle - Battle ID
+	 * @returns {Array<Object>} Decision records, in order
+	 */
+	get(battle) {
+		let content;
+		try {
+			content = FileSystem.readFileSync(this.getFile(battle)).toString();
+		} catch (err) {
+			return [];
+		}
+		let records = [];
+		for (let line of content.split("\n")) {
+			if (!line.trim()) continue;
+			try {
+				records.push(JSON.parseNoPrototype(line));
+			} catch (err) {}
+		}
+		return records;
+	}
+
+	/**
+	 * Removes the oldest logs
+	 * @param {String} exclude - Battle ID to keep
+	 */
+	sweep(exclude) {
+		let max = this.getMaxBattles();
+		if (!max || max < 0) return;
+		let files;
+		try {
+			files = FileSystem.readdirSync(this.path).filter(file => file.endsWith(".log") && file !== Text.toRoomid(exclude) + ".log");
+		} catch (err) {
+			return;
+		}
+		if (files.length < max) return;
+		let stats = [];
+		for (let file of files) {
+			try {
+				stats.push({ file: file, time: FileSystem.statSync(Path.resolve(this.path, file)).mtimeMs });
+			} catch (err) {}
+		}
+		stats.sort((a, b) => b.time - a.time);
+		for (let i = max - 1; i < stats.length; i++) {
+			FileSystem.unlink(Path.resolve(this.path, stats[i].file), function () {});
+		}
+	}
+}
+
+BattleDecisionLog.decisionToString = decisionToString;
+
+module.exports = BattleDecisionLog;
@@ -7,10 +7,15 @@
 const Text = Tools('text');
 const Path = require('path');
 
-exports.setup = function (App) {
+exports.setup = function (App, BattleStats) {
 	const CustomModules = Object.create(null);
 
-	const Battle = require(Path.resolve(__dirname, 'battle.js')).setup(App, CustomModules);
+	const BattleDecisionLog = require(Path.resolve(__dirname, 'decision-log.js'));
+	const DecisionLog = new BattleDecisionLog(Path.resolve(App.logsDir, 'battle-decisions/'), function () {
+		return App.config.modules.battle.maxDecisionLogs;
+	});
+
+	const Battle = require(Path.resolve(__dirname, 'battle.js')).setup(App, CustomModules, DecisionLog, BattleStats);
 
 	App.bot.on("line", (room, line, spl, isIntro) => {
 		if (spl[0] === "updatesearch" && !App.config.modules.battle.ignoreAbandonedbattles) {
@@ -30,6 +35,7 @@ exports.setup = function (App) {
 		battles: Object.create(null),
 		interval: null,
 		customModules: CustomModules,
+		decisionLog: DecisionLog,
 
 		init: function () {
 			for (let room in this.battles) {
@@ -85,6 +91,8 @@ exports.setup = function (App) {
 					this.battles[newID].id = newID;
 					this.battles[newID].title = spl[3] || "";
 				}
+				DecisionLog.rename(room, Text.toRoomid(spl[2]));
+				BattleStats.renameBattle(room, Text.toRoomid(spl[2]));
 			}
 		},
 
@@ -1208,12 +1208,14 @@ exports.setup = function (Data) {
 				}
 				let hp = pokeB.hp;
 				if (dmg === 0 || move.id === "struggle") {
+					battle.explainOption(decisions[i], { target: pokeB.name, damage: 0 });
 					res.immune.push(decisions[i]);
 					continue;
 				}
 				let pc = dmg * 100 / hp;
 				let pcMin = dmgMin * 100 / hp;
 				battle.debug("Move: " + move.name + " | Target: " + pokeB.name + " | Damage = " + dmg + " | Percent: " + pc);
+				battle.explainOption(decisions[i], { target: pokeB.name, damage: dmg, percent: Math.round(pc), percentMin: Math.round(pcMin) });
 				if (move.id === "fakeout") {
 					if (findAnyNotNull(battle.self.active).helpers.sw === battle.turn || findAnyNotNull(battle.self.active).helpers.sw === battle.turn - 1) {
 						if (TypeChart.getMultipleEff("Normal", defTypes, battle.gen, true, !!battle.conditions["inversebattle"]) >= 1) {
@@ -1258,6 +1260,7 @@ exports.setup = function (Data) {
 	function debugBestMove(battle, bestSw, damageMoves, supportMoves) {
 		let bSwitchSingle = bestSw ? findValidDecision(bestSw, 'switch') : null;
 		battle.debug("Best switch: " + (bSwitchSingle ? bSwitchSingle.des.poke : "none"));
+		battle.explainOption(bestSw, { bestSwitch: true });
 		let tmp;
 		for (let i in damageMoves) {
 			if (!damageMoves[i] || !damageMoves[i].length) continue;
@@ -1266,6 +1269,7 @@ exports.setup = function (Data) {
 				let vd = findValidDecision(damageMoves[i][j], 'move');
 				if (!vd) continue;
 				tmp.push(vd.des.move);
+				battle.explainOption(damageMoves[i][j], { damageClass: i });
 			}
 			battle.debug("Damage Moves (" + i + ") -> " + tmp);
 		}
@@ -1276,11 +1280,17 @@ exports.setup = function (Data) {
 				let vd = findValidDecision(supportMoves[i][j], 'move');
 				if (!vd) continue;
 				tmp.push(vd.des.move);
+				battle.explainOption(supportMoves[i][j], { supportClass: i });
 			}
 			battle.debug("Support Moves (" + i + ") -> " + tmp);
 		}
 	}
 
+	function explainChoice(battle, decision, reason) {
+		battle.explainReason(reason);
+		return decision;
+	}
+
 	let getBestMove = BattleModule.getBestMove = function (battle, decisions) {
 		let bestSW = BattleModule.getBestSwitch(battle, decisions);
 		let damageMoves = getViableDamageMoves(battle, decisions);
@@ -1291,6 +1301,9 @@ exports.setup = function (Data) {
 
 		debugBestMove(battle, bestSW, damageMoves, supportMoves);
 
+		battle.explain("Active pokemon: type score = " + ev.t + ", max damage = " + ev.d + (evNoMega.t !== ev.t ? " (without mega: " + evNoMega.t + ")" : ""));
+		battle.explain("Hazards: self side = " + countHazards(battle.self.side, true));
+
 		/* Special switch cases */
 
 		let switchIfNoOption = false;
@@ -1302,9 +1315,15 @@ exports.setup = function (Data) {
 			inmediate: { beatup_bp: battle.getBeatupBasePower(), last_respects_bp: battle.getLastRespectsBasePower() }
 		});
 		if (bestSW) {
-			if (conditionsA.volatiles["perish1"] && bestSW) return bestSW; // Perish Song
-			if ((!pokeA.item || pokeA.item.id !== "heavydutyboots" || battle.conditions["magicroom"] || conditionsA.volatiles["embargo"]) && Calc.getHazardsDamage(pokeA, conditionsA, battle.gen, !!battle.conditions["inversebattle"]) > pokeA.hp) bestSW = null; //No switch if you die
-			if (conditionsA.volatiles["substitute"] && damageMoves.meh.length) bestSW = null;
+			if (conditionsA.volatiles["perish1"] && bestSW) return explainChoice(battle, bestSW, "Perish Song is about to end, switching"); // Perish Song
+			if ((!pokeA.item || pokeA.item.id !== "heavydutyboots" || battle.conditions["magicroom"] || conditionsA.volatiles["embargo"]) && Calc.getHazardsDamage(pokeA, conditionsA, battle.gen, !!battle.conditions["inversebattle"]) > pokeA.hp) {
+				battle.explain("Switching discarded: the hazards damage would faint the pokemon");
+				bestSW = null; //No switch if you die
+			}
+			if (conditionsA.volatiles["substitute"] && damageMoves.meh.length) {
+				battle.explain("Switching discarded: the pokemon is behind a substitute");
+				bestSW = null;
+			}
 			if (conditionsA.volatiles["leechseed"]) switchIfNoOption = true;
 			if (conditionsA.boosts["spa"] && conditionsA.boosts["spa"] < 1) switchIfNoOption = true;
 			if (conditionsA.boosts["atk"] && conditionsA.boosts["atk"] < 1) switchIfNoOption = true;
@@ -1313,14 +1332,14 @@ exports.setup = function (Data) {
 		/* Normal situations */
 
 		if (damageMoves.ohko.length) {
-			if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
-			return damageMoves.ohko[Math.floor(Math.random() * damageMoves.ohko.length)];
+			if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
+			return explainChoice(battle, damageMoves.ohko[Math.floor(Math.random() * damageMoves.ohko.length)], "Random move among the ones that can KO a foe");
 		} else if (damageMoves.thko.length) {
-			if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
+			if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
 			if (supportMoves.viable.length && (Math.random() * 100) > 50) {
-				return supportMoves.viable[Math.floor(Math.random() * supportMoves.viable.length)];
+				return explainChoice(battle, supportMoves.viable[Math.floor(Math.random() * supportMoves.viable.length)], "Random viable support move (50% chance when there are moves that deal 50% or more)");
 			} else {
-				return damageMoves.thko[Math.floor(Math.random() * damageMoves.thko.length)];
+				return explainChoice(battle, damageMoves.thko[Math.floor(Math.random() * damageMoves.thko.length)], "Random move among the ones that deal 50% or more");
 			}
 		} else if (damageMoves.meh.length) {
 			let moves = damageMoves.meh.concat(supportMoves.viable);
@@ -1328,14 +1347,14 @@ exports.setup = function (Data) {
 			if (bestSW && bestSwitchDecision) {
 				let evBS = evaluatePokemon(battle, bestSwitchDecision.des.pokeId);
 				if ((evBS.t < ev.t && evBS.t < evNoMega.t) || (evBS.t === ev.t && evBS.d > ev.d)) {
-					return bestSW;
+					return explainChoice(battle, bestSW, "The best switch has a better matchup (type score = " + evBS.t + ", max damage = " + evBS.d + ")");
 				} else {
-					if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
-					return moves[Math.floor(Math.random() * moves.length)];
+					if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
+					return explainChoice(battle, moves[Math.floor(Math.random() * moves.length)], "The best switch has not a better matchup, random move among the non-KO damage moves and the viable support moves");
 				}
 			} else {
-				if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
-				return moves[Math.floor(Math.random() * moves.length)];
+				if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
+				return explainChoice(battle, moves[Math.floor(Math.random() * moves.length)], "No switch available, random move among the non-KO damage moves and the viable support moves");
 			}
 		} else if (damageMoves.bad.length || supportMoves.viable.length) {
 			let moves = damageMoves.bad.concat(supportMoves.viable);
@@ -1343,19 +1362,19 @@ exports.setup = function (Data) {
 			if (bestSW && bestSwitchDecision) {
 				let evBS = evaluatePokemon(battle, bestSwitchDecision.des.pokeId);
 				if ((evBS.t < ev.t && evBS.t < evNoMega.t) || (evBS.t === ev.t && evBS.d > ev.d) || switchIfNoOption) {
-					return bestSW;
+					return explainChoice(battle, bestSW, "The best switch has a better matchup (type score = " + evBS.t + ", max damage = " + evBS.d + ")");
 				} else {
-					if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
-					return moves[Math.floor(Math.random() * moves.length)];
+					if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
+					return explainChoice(battle, moves[Math.floor(Math.random() * moves.length)], "The best switch has not a better matchup, random move among the non-KO damage moves and the viable support moves");
 				}
 			} else {
-				if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
-				return moves[Math.floor(Math.random() * moves.length)];
+				if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
+				return explainChoice(battle, moves[Math.floor(Math.random() * moves.length)], "No switch available, random move among the non-KO damage moves and the viable support moves");
 			}
 		} else if (bestSW) {
-			return bestSW;
+			return explainChoice(battle, bestSW, "No viable moves, switching");
 		} else {
-			return decisions[Math.floor(Math.random() * decisions.length)];
+			return explainChoice(battle, decisions[Math.floor(Math.random() * decisions.length)], "No viable moves or switches, random decision");
 		}
 	};
 
@@ -1371,6 +1390,7 @@ exports.setup = function (Data) {
 			if (des.type !== "switch") continue; // not a move
 
 			tmp = evaluatePokemon(battle, des.pokeId);
+			battle.explainOption(decisions[i], { typeScore: tmp.t, maxDamage: tmp.d });
 			if (maxi === null) {
 				maxi = tmp;
 				chosen = decisions[i];
@@ -1386,11 +1406,11 @@ exports.setup = function (Data) {
 
 	BattleModule.decide = function (battle, decisions) {
 		if (battle.request.forceSwitch) {
-			return getBestSwitch(battle, decisions);
+			return explainChoice(battle, getBestSwitch(battle, decisions), "Forced switch: lowest type score against the foes (ties broken by max damage)");
 		} else if (battle.request.active) {
 			return getBestMove(battle, decisions);
 		} else {
-			return decisions[Math.floor(Math.random() * decisions.length)];
+			return explainChoice(battle, decisions[Math.floor(Math.random() * decisions.length)], "Random decision");
 		}
 	};
 
@@ -999,12 +999,14 @@ exports.setup = function (Data) {
 			}
 			let hp = pokeB.hp;
 			if (dmg === 0 || move.id === "struggle") {
+				battle.explainOption(decisions[i], { damage: 0 });
 				res.immune.push(decisions[i]);
 				continue;
 			}
 			let pc = dmg * 100 / hp;
 			let pcMin = dmgMin * 100 / hp;
 			battle.debug("Move: " + move.name + (des.terastallize ? " (TERA)" : "") + " | Damage = " + dmg + " | Percent: " + pc);
+			battle.explainOption(decisions[i], { damage: dmg, percent: Math.round(pc), percentMin: Math.round(pcMin) });
 			if (move.id === "fakeout") {
 				if (battle.self.active[0].helpers.sw === battle.turn || battle.self.active[0].helpers.sw === battle.turn - 1) {
 					if (TypeChart.getMultipleEff("Normal", defTypes, battle.gen, true, !!battle.conditions["inversebattle"]) >= 1) {
@@ -1049,6 +1051,7 @@ exports.setup = function (Data) {
 
 	function debugBestMove(battle, bestSw, damageMoves, supportMoves) {
 		battle.debug("Best switch: " + (bestSw ? bestSw[0].poke : "none"));
+		battle.explainOption(bestSw, { bestSwitch: true });
 		let tmp;
 		for (let i in damageMoves) {
 			if (!damageMoves[i] || !damageMoves[i].length) continue;
@@ -1056,6 +1059,7 @@ exports.setup = function (Data) {
 			for (let j = 0; j < damageMoves[i].length; j++) {
 				if (!damageMoves[i][j][0]) continue;
 				tmp.push(damageMoves[i][j][0].move);
+				battle.explainOption(damageMoves[i][j], { damageClass: i });
 			}
 			battle.debug("Damage Moves (" + i + ") -> " + tmp);
 		}
@@ -1065,11 +1069,17 @@ exports.setup = function (Data) {
 			for (let j = 0; j < supportMoves[i].length; j++) {
 				if (!supportMoves[i][j][0]) continue;
 				tmp.push(supportMoves[i][j][0].move);
+				battle.explainOption(supportMoves[i][j], { supportClass: i });
 			}
 			battle.debug("Support Moves (" + i + ") -> " + tmp);
 		}
 	}
 
+	function explainChoice(battle, decision, reason) {
+		battle.explainReason(reason);
+		return decision;
+	}
+
 	let getBestMove = BattleModule.getBestMove = function (battle, decisions) {
 		let bestSW = BattleModule.getBestSwitch(battle, decisions);
 		let damageMoves = getViableDamageMoves(battle, decisions);
@@ -1080,6 +1090,9 @@ exports.setup = function (Data) {
 
 		debugBestMove(battle, bestSW, damageMoves, supportMoves);
 
+		battle.explain("Active pokemon: type score = " + ev.t + ", max damage = " + ev.d + (evNoMega.t !== ev.t ? " (without mega: " + evNoMega.t + ")" : ""));
+		battle.explain("Hazards: self side = " + countHazards(battle.self.side, true) + ", foe side = " + countHazards(battle.foe.side, true));
+
 		/* Special switch cases */
 
 		let switchIfNoOption = false;
@@ -1091,9 +1104,15 @@ exports.setup = function (Data) {
 			inmediate: { beatup_bp: battle.getBeatupBasePower(), last_respects_bp: battle.getLastRespectsBasePower() }
 		});
 		if (bestSW) {
-			if (conditionsA.volatiles["perish1"] && bestSW) return bestSW; // Perish Song
-			if ((!pokeA.item || pokeA.item.id !== "heavydutyboots" || battle.conditions["magicroom"] || conditionsA.volatiles["embargo"]) && Calc.getHazardsDamage(pokeA, conditionsA, battle.gen, !!battle.conditions["inversebattle"]) > pokeA.hp) bestSW = null; //No switch if you die
-			if (conditionsA.volatiles["substitute"] && damageMoves.meh.length) bestSW = null;
+			if (conditionsA.volatiles["perish1"] && bestSW) return explainChoice(battle, bestSW, "Perish Song is about to end, switching"); // Perish Song
+			if ((!pokeA.item || pokeA.item.id !== "heavydutyboots" || battle.conditions["magicroom"] || conditionsA.volatiles["embargo"]) && Calc.getHazardsDamage(pokeA, conditionsA, battle.gen, !!battle.conditions["inversebattle"]) > pokeA.hp) {
+				battle.explain("Switching discarded: the hazards damage would faint the pokemon");
+				bestSW = null; //No switch if you die
+			}
+			if (conditionsA.volatiles["substitute"] && damageMoves.meh.length) {
+				battle.explain("Switching discarded: the pokemon is behind a substitute");
+				bestSW = null;
+			}
 			if (conditionsA.volatiles["leechseed"]) switchIfNoOption = true;
 			if (conditionsA.boosts["spa"] && conditionsA.boosts["spa"] < 1) switchIfNoOption = true;
 			if (conditionsA.boosts["atk"] && conditionsA.boosts["atk"] < 1) switchIfNoOption = true;
@@ -1102,14 +1121,14 @@ exports.setup = function (Data) {
 		/* Normal situations */
 
 		if (damageMoves.ohko.length) {
-			if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
-			return damageMoves.ohko[Math.floor(Math.random() * damageMoves.ohko.length)];
+			if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
+			return explainChoice(battle, damageMoves.ohko[Math.floor(Math.random() * damageMoves.ohko.length)], "Random move among the ones that can KO the foe");
 		} else if (damageMoves.thko.length) {
-			if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
+			if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
 			if (supportMoves.viable.length && (Math.random() * 100) > 50) {
-				return supportMoves.viable[Math.floor(Math.random() * supportMoves.viable.length)];
+				return explainChoice(battle, supportMoves.viable[Math.floor(Math.random() * supportMoves.viable.length)], "Random viable support move (50% chance when there are moves that deal 50% or more)");
 			} else {
-				return damageMoves.thko[Math.floor(Math.random() * damageMoves.thko.length)];
+				return explainChoice(battle, damageMoves.thko[Math.floor(Math.random() * damageMoves.thko.length)], "Random move among the ones that deal 50% or more");
 			}
 		} else if (damageMoves.meh.length) {
 			let moves = damageMoves.meh.concat(supportMoves.viable);
@@ -1117,17 +1136,17 @@ exports.setup = function (Data) {
 				let evBS = evaluatePokemon(battle, bestSW[0].pokeId);
 				if ((evBS.t < ev.t && evBS.t < evNoMega.t) || (evBS.t === ev.t && evBS.d > ev.d)) {
 					if (supportMoves.batonPass) {
-						return supportMoves.batonPass;
+						return explainChoice(battle, supportMoves.batonPass, "The best switch has a better matchup (type score = " + evBS.t + ", max damage = " + evBS.d + "), passing with Baton Pass");
 					} else {
-						return bestSW;
+						return explainChoice(battle, bestSW, "The best switch has a better matchup (type score = " + evBS.t + ", max damage = " + evBS.d + ")");
 					}
 				} else {
-					if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
-					return moves[Math.floor(Math.random() * moves.length)];
+					if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
+					return explainChoice(battle, moves[Math.floor(Math.random() * moves.length)], "The best switch has not a better matchup, random move among the non-KO damage moves and the viable support moves");
 				}
 			} else {
-				if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
-				return moves[Math.floor(Math.random() * moves.length)];
+				if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
+				return explainChoice(battle, moves[Math.floor(Math.random() * moves.length)], "No switch available, random move among the non-KO damage moves and the viable support moves");
 			}
 		} else if (damageMoves.bad.length || supportMoves.viable.length) {
 			let moves = damageMoves.bad.concat(supportMoves.viable);
@@ -1135,27 +1154,27 @@ exports.setup = function (Data) {
 				let evBS = evaluatePokemon(battle, bestSW[0].pokeId);
 				if ((evBS.t < ev.t && evBS.t < evNoMega.t) || (evBS.t === ev.t && evBS.d > ev.d) || switchIfNoOption) {
 					if (supportMoves.batonPass) {
-						return supportMoves.batonPass;
+						return explainChoice(battle, supportMoves.batonPass, "The best switch has a better matchup (type score = " + evBS.t + ", max damage = " + evBS.d + "), passing with Baton Pass");
 					} else {
-						return bestSW;
+						return explainChoice(battle, bestSW, "The best switch has a better matchup (type score = " + evBS.t + ", max damage = " + evBS.d + ")");
 					}
 				} else {
-					if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
-					return moves[Math.floor(Math.random() * moves.length)];
+					if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
+					return explainChoice(battle, moves[Math.floor(Math.random() * moves.length)], "The best switch has not a better matchup, random move among the non-KO damage moves and the viable support moves");
 				}
 			} else {
-				if (supportMoves.sleepTalk) return supportMoves.sleepTalk;
-				return moves[Math.floor(Math.random() * moves.length)];
+				if (supportMoves.sleepTalk) return explainChoice(battle, supportMoves.sleepTalk, "Sleep Talk (asleep)");
+				return explainChoice(battle, moves[Math.floor(Math.random() * moves.length)], "No switch available, random move among the non-KO damage moves and the viable support moves");
 			}
 		} else if (bestSW) {
 			battle.self.active[0].helpers.hasNoViableMoves = battle.foe.active[0].name;
 			if (supportMoves.batonPass) {
-				return supportMoves.batonPass;
+				return explainChoice(battle, supportMoves.batonPass, "No viable moves, passing with Baton Pass");
 			} else {
-				return bestSW;
+				return explainChoice(battle, bestSW, "No viable moves, switching");
 			}
 		} else {
-			return decisions[Math.floor(Math.random() * decisions.length)];
+			return explainChoice(battle, decisions[Math.floor(Math.random() * decisions.length)], "No viable moves or switches, random decision");
 		}
 	};
 
@@ -1171,6 +1190,7 @@ exports.setup = function (Data) {
 					if (pk.helpers.hasNoViableMoves === battle.foe.active[0].name) continue;
 				}
 				tmp = evaluatePokemon(battle, decisions[i][0].pokeId);
+				battle.explainOption(decisions[i], { typeScore: tmp.t, maxDamage: tmp.d });
 				if (maxi === null) {
 					maxi = tmp;
 					chosen = decisions[i];
@@ -1188,11 +1208,11 @@ exports.setup = function (Data) {
 	BattleModule.decide = function (battle, decisions) {
 		if (battle.gametype !== "singles") throw new Error("This module only works for singles gametype");
 		if (battle.request.forceSwitch) {
-			return getBestSwitch(battle, decisions);
+			return explainChoice(battle, getBestSwitch(battle, decisions), "Forced switch: lowest type score against the foe (ties broken by max damage)");
 		} else if (battle.request.active) {
 			return getBestMove(battle, decisions);
 		} else {
-			return decisions[Math.floor(Math.random() * decisions.length)];
+			return explainChoice(battle, decisions[Math.floor(Math.random() * decisions.length)], "Random decision");
 		}
 	};
 
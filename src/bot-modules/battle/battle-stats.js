@@ -0,0 +1,217 @@
+/**
+ * Battle Statistics
+ * Stores the results of the battles played by the bot
+ * (format, opponent, team, battle module, turns, rating)
+ */
+
+'use strict';
+
+const Max_Battles = 10000;
+const Battle_Team_Expiration = 24 * 60 * 60 * 1000;
+
+const Text = Tools('text');
+
+class BattleStats {
+	/**
+	 * @param {ChatBotApp} app
+	 */
+	constructor(app) {
+		this.app = app;
+		this.db = app.dam.getDataBase('battle-stats.json');
+		this.db.on('reload', this.load.bind(this));
+		this.load();
+	}
+
+	/**
+	 * Reads the data of the database (also when it is rolled back)
+	 */
+	load() {
+		this.data = this.db.data;
+		if (!Array.isArray(this.data.battles)) {
+			this.data.battles = [];
+		}
+		if (!this.data.teams) {
+			this.data.teams = Object.create(null); /* Teams of the battles in progress (battle ID => team ID) */
+		}
+	}
+
+	save() {
+		this.db.write();
+	}
+
+	/**
+	 * Stores the team used in a battle, so the result is recorded
+	 * for that team (even if the bot is restarted during the battle)
+	 * @param {String} battle - Battle ID
+	 * @param {String} team - Team ID
+	 */
+	setBattleTeam(battle, team) {
+		let now = Date.now();
+		for (let id in this.data.teams) {
+			if (now - this.data.teams[id].time > Battle_Team_Expiration) {
+				delete this.data.teams[id];
+			}
+		}
+		this.data.teams[battle] = { team: team, time: now };
+		this.save();
+	}
+
+	/**
+	 * @param {String} battle - Battle ID
+	 * @returns {String} ID of the team used in the battle or empty string if it is not known
+	 */
+	getBattleTeam(battle) {
+		return this.data.teams[battle] ? this.data.teams[battle].team : "";
+	}
+
+	/**
+	 * Updates the stored team when a battle room is renamed
+	 * @param {String} battle - Old battle ID
+	 * @param {String} newId - New battle ID
+	 */
+	renameBattle(battle, newId) {
+		if (!this.data.teams[battle]) return;
+		this.data.teams[newId] = this.data.teams[battle];
+		delete this.data.teams[battle];
+		this.save();
+	}
+
+	/**
+	 * Stores the result of a battle
+	 * @param {Battle} battle
+	 * @param {String} result - win, loss or tie
+	 * @returns {Object} The new entry
+	 */
+	add(battle, result) {
+		const format = Text.toId(battle.tier);
+		let opponents = [];
+		for (let id in battle.players) {
+			let player = battle.players[id];
+			if (player !== battle.self && player.name) {
+				opponents.push(player.name);
+			}
+		}
+		let entry = {
+			id: battle.id,
+			time: Date.now(),
+			format: format,
+			formatName: battle.tier || format,
+			rated: !!battle.rated,
+			opponent: opponents.join(", "),
+			team: "",
+			teamId: battle.teamId || this.getBattleTeam(battle.id),
+			module: battle.moduleId || "",
+			turns: battle.turn,
+			result: result,
+			rating: null,
+		};
+		if (entry.teamId) {
+			const mod = this.app.modules.battle.system;
+			const team = (mod && mod.TeamBuilder) ? mod.TeamBuilder.dynTeams[entry.teamId] : null;
+			entry.team = (team && team.name) || entry.teamId;
+		}
+		delete this.data.teams[battle.id];
+		this.data.battles.push(entry);
+		if (this.data.battles.length > Max_Battles) {
+			this.data.battles.splice(0, this.data.battles.length - Max_Battles);
+		}
+		this.save();
+		return entry;
+	}
+
+	/**
+	 * Sets the rating change of a stored battle
+	 * @param {String} id - Battle ID
+	 * @param {Number} before - Rating before the battle
+	 * @param {Number} after - Rating after the battle
+	 */
+	setRating(id, before, after) {
+		for (let i = this.data.battles.length - 1; i >= 0; i--) {
+			if (this.data.battles[i].id === id) {
+				this.data.battles[i].rating = { before: before, after: after };
+				this.save();
+				return;
+			}
+		}
+	}
+
+	/**
+	 * @param {String} format - Format ID (optional)
+	 * @returns {Array<Object>} Stored battles, oldest first
+	 */
+	getBattles(format) {
+		if (!format) return this.data.battles;
+		return this.data.battles.filter(entry => entry.format === format);
+	}
+
+	/**
+	 * @returns {Array<String>} Formats with stored battles
+	 */
+	getFormats() {
+		let formats = Object.create(null);
+		for (let entry of this.data.battles) {
+			formats[entry.format] = true;
+		}
+		return Object.keys(formats).sort();
+	}
+
+	/**
+	 * Summarizes a list of battles
+	 * @param {Array<Object>} battles
+	 * @returns {Object} total, win, loss, tie, winRate (percent), turns (average), rated, ratingChange
+	 */
+	summarize(battles) {
+		let summary = { total: 0, win: 0, loss: 0, tie: 0, winRate: 0, turns: 0, rated: 0, ratingChange: 0 };
+		for (let entry of battles) {
+			summary.total++;
+			summary[entry.result]++;
+			summary.turns += entry.turns || 0;
+			if (entry.rating) {
+				summary.rated++;
+				summary.ratingChange += entry.rating.after - entry.rating.before;
+			}
+		}
+		if (summary.total > 0) {
+			summary.winRate = Math.round(summary.win * 1000 / summary.total) / 10;
+			summary.turns = Math.round(summary.turns * 10 / summary.total) / 10;
+		}
+		return summary;
+	}
+
+	/**
+	 * Summarizes the battles grouped by a field
+	 * @param {Array<Object>} battles
+	 * @param {String} field - team, module, format, opponent
+	 * @returns {Array<Object>} Summaries with the group key, sorted by number of battles
+	 */
+	groupBy(battles, field) {
+		let groups = Object.create(null);
+		for (let entry of battles) {
+			let key = entry[field] || "";
+			if (!groups[key]) groups[key] = [];
+			groups[key].push(entry);
+		}
+		let result = [];
+		for (let key in groups) {
+			let summary = this.summarize(groups[key]);
+			summary.key = key;
+			result.push(summary);
+		}
+		return result.sort((a, b) => (b.total - a.total) || (b.winRate - a.winRate));
+	}
+
+	/**
+	 * Removes the stored battles
+	 * @param {String} format - Format ID (optional, all formats if not specified)
+	 */
+	clear(format) {
+		if (format) {
+			this.data.battles = this.data.battles.filter(entry => entry.format !== format);
+		} else {
+			this.data.battles = [];
+		}
+		this.save();
+	}
+}
+
+module.exports = BattleStats;
@@ -13,8 +13,8 @@ const Lang_File = Path.resolve(__dirname, 'commands.translations');
 exports.setup = function (App) {
 	const Config = App.config.modules.battle;
 
-	function getLanguage(room) {
-		return App.config.language.rooms[room] || App.config.language['default'];
+	function getLanguage(room, user) {
+		return App.multilang.getLanguage(room, user);
 	}
 
 	const ChallManager = Object.create(null);
@@ -126,13 +126,13 @@ exports.setup = function (App) {
 					}
 					if (hasCustomRules && App.bot.formats[format].team && !canUseCustomRules(from)) {
 						cmds.push('/reject ' + from);
-						cmds.push('/pm ' + from + "," + App.multilang.mlt(Lang_File, getLanguage("default"), "customrules") + ': ' + Chat.italics(App.bot.formats[format].name));
+						cmds.push('/pm ' + from + "," + App.multilang.mlt(Lang_File, getLanguage(null, from), "customrules") + ': ' + Chat.italics(App.bot.formats[format].name));
 						App.bot.sendTo('', cmds);
 						return;
 					}
 					if (App.bot.formats[format].team && !mod.TeamBuilder.hasTeam(format)) {
 						cmds.push('/reject ' + from);
-						cmds.push('/pm ' + from + "," + App.multilang.mlt(Lang_File, getLanguage("default"), 2) + ' ' + Chat.italics(App.bot.formats[format].name));
+						cmds.push('/pm ' + from + "," + App.multilang.mlt(Lang_File, getLanguage(null, from), 2) + ' ' + Chat.italics(App.bot.formats[format].name));
 						App.bot.sendTo('', cmds);
 						return;
 					}
@@ -146,7 +146,7 @@ exports.setup = function (App) {
 					cmds.push('/accept ' + from);
 				} else {
 					cmds.push('/reject ' + from);
-					cmds.push('/pm ' + from + "," + App.multilang.mlt(Lang_File, getLanguage("default"), "busy").replace("#BN", "" + nBattles));
+					cmds.push('/pm ' + from + "," + App.multilang.mlt(Lang_File, getLanguage(null, from), "busy").replace("#BN", "" + nBattles));
 				}
 				if (cmds.length > 0) {
 					App.bot.sendTo('', cmds);
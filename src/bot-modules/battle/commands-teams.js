@@ -1,7 +1,7 @@
 /**
  * Team management commands
  *
- * addteam: Adds a team
+ * addteam: Adds a team (with an optional weight for the team selection)
  * deleteteam: Deletes a team
  * getteam: Gets a team (by name)
  * listteams: List teams of a format
@@ -69,9 +69,9 @@ module.exports = {
 
 		if (!this.can('teams', this.room)) return this.replyAccessDenied('teams');
 
-		if (this.args.length !== 3) {
+		if (this.args.length !== 3 && this.args.length !== 4) {
 			return this.errorReply(this.usage({ desc: this.mlt(0) }, { desc: this.mlt(1) },
-				{ desc: this.mlt(2) }));
+				{ desc: this.mlt(2) }, { desc: this.mlt('weight'), optional: true }));
 		}
 
 		const mod = App.modules.battle.system;
@@ -91,7 +91,15 @@ module.exports = {
 
 		if (!teamId) {
 			return this.errorReply(this.usage({ desc: this.mlt(0) }, { desc: this.mlt(1) },
-				{ desc: this.mlt(2) }));
+				{ desc: this.mlt(2) }, { desc: this.mlt('weight'), optional: true }));
+		}
+
+		let weight = 1;
+		if (this.args.length === 4) {
+			weight = parseFloat(this.args[3]);
+			if (isNaN(weight) || weight < 0) {
+				return this.errorReply(this.mlt('invalidweight'));
+			}
 		}
 
 		if (mod.TeamBuilder.dynTeams[teamId]) {
@@ -126,6 +134,10 @@ module.exports = {
 				packed: packed,
 			};
 
+			if (weight !== 1) {
+				mod.TeamBuilder.dynTeams[teamId].weight = weight;
+			}
+
 			mod.TeamBuilder.saveTeams();
 			mod.TeamBuilder.mergeTeams();
 
@@ -240,6 +252,7 @@ module.exports = {
 			teams.push({
 				packed: team.packed,
 				name: team.name || key,
+				weight: mod.TeamBuilder.getWeight(key),
 			});
 		}
 
@@ -248,7 +261,7 @@ module.exports = {
 		}
 
 		const code = "!code " + this.mlt(14) + " " + formatName + ":\n\n" + teams.map(t => {
-			return "  - " + t.name + ": " + Teams.teamOverview(t.packed);
+			return "  - " + t.name + (t.weight !== 1 ? (" (" + this.mlt('weight') + ": " + t.weight + ")") : "") + ": " + Teams.teamOverview(t.packed);
 		}).join("\n");
 
 		if (canCode) {
@@ -8,6 +8,7 @@
  * stopladdering: stops searching battles in ladder
  * jointour: joins tournament
  * leavetour: leaves tournament
+ * battlestats: shows the bot battle statistics (win rate per format, team and battle algorithm)
  * evalbattle: runs arbitrary javascript in a battle context
  */
 
@@ -238,6 +239,52 @@ module.exports = {
 		this.reply("/tour leave");
 	},
 
+	battlestats: function (App) {
+		this.setLangFile(Lang_File);
+		if (!this.can('battlestats', this.room)) return this.replyAccessDenied('battlestats');
+		const Stats = App.modules.battle.system.BattleStats;
+
+		let format = Text.toId(this.arg);
+		if (format && Stats.getFormats().indexOf(format) === -1) {
+			format = parseAliases(format, App);
+		}
+
+		const battles = Stats.getBattles(format);
+		if (!battles.length) {
+			return this.errorReply(this.mlt('nostats') + (format ? (" (" + Chat.italics(format) + ")") : ""));
+		}
+
+		const summaryToString = function (summary) {
+			let str = summary.total + " " + this.mlt('battles') + ", " + summary.win + " " + this.mlt('wins') + ", " +
+				summary.loss + " " + this.mlt('losses') + ", " + summary.tie + " " + this.mlt('ties') + " (" +
+				summary.winRate + "% " + this.mlt('winrate') + ", " + summary.turns + " " + this.mlt('avgturns') + ")";
+			if (summary.rated > 0) {
+				str += ", " + this.mlt('rating') + ": " + (summary.ratingChange >= 0 ? "+" : "") + summary.ratingChange;
+			}
+			return str;
+		}.bind(this);
+
+		let text = this.mlt('stats') + (format ? (" - " + (battles[battles.length - 1].formatName || format)) : "") + ":\n\n";
+		text += summaryToString(Stats.summarize(battles)) + "\n";
+
+		let groups = [];
+		if (format) {
+			groups.push({ title: this.mlt('teams'), list: Stats.groupBy(battles, 'team'), none: this.mlt('noteam') });
+		} else {
+			groups.push({ title: this.mlt('formats'), list: Stats.groupBy(battles, 'format'), none: "-" });
+		}
+		groups.push({ title: this.mlt('modules'), list: Stats.groupBy(battles, 'module'), none: this.mlt('nomodule') });
+
+		for (let group of groups) {
+			text += "\n" + group.title + ":\n";
+			for (let summary of group.list.slice(0, 10)) {
+				text += "    " + (summary.key || group.none) + ": " + summaryToString(summary) + "\n";
+			}
+		}
+
+		this.replyCommand("!code " + text.trim());
+	},
+
 	evalbattle: function (App) {
 		this.setLangFile(Lang_File);
 		if (!App.config.debug) return;
@@ -0,0 +1,2128 @@
+'use strict';
+
+exports.BattleAbilities = {
+	noability: {
+		isNonstandard: "Past",
+		flags: {},
+		name: "No Ability",
+		rating: 0.1,
+		num: 0,
+	},
+	adaptability: {
+		flags: {},
+		name: "Adaptability",
+		rating: 4,
+		num: 91,
+	},
+	aerilate: {
+		onModifyTypePriority: -1,
+		onBasePowerPriority: 23,
+		flags: {},
+		name: "Aerilate",
+		rating: 4,
+		num: 184,
+	},
+	aftermath: {
+		onDamagingHitOrder: 1,
+		flags: {},
+		name: "Aftermath",
+		rating: 2,
+		num: 106,
+	},
+	airlock: {
+		suppressWeather: true,
+		flags: {},
+		name: "Air Lock",
+		rating: 1.5,
+		num: 76,
+	},
+	analytic: {
+		onBasePowerPriority: 21,
+		flags: {},
+		name: "Analytic",
+		rating: 2.5,
+		num: 148,
+	},
+	angerpoint: {
+		flags: {},
+		name: "Anger Point",
+		rating: 1,
+		num: 83,
+	},
+	angershell: {
+		flags: {},
+		name: "Anger Shell",
+		rating: 3,
+		num: 271,
+	},
+	anticipation: {
+		flags: {},
+		name: "Anticipation",
+		rating: 0.5,
+		num: 107,
+	},
+	arenatrap: {
+		flags: {},
+		name: "Arena Trap",
+		rating: 5,
+		num: 71,
+	},
+	armortail: {
+		flags: {breakable: 1},
+		name: "Armor Tail",
+		rating: 2.5,
+		num: 296,
+	},
+	aromaveil: {
+		flags: {breakable: 1},
+		name: "Aroma Veil",
+		rating: 2,
+		num: 165,
+	},
+	asoneglastrier: {
+		onSwitchInPriority: 1,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1},
+		name: "As One (Glastrier)",
+		rating: 3.5,
+		num: 266,
+	},
+	asonespectrier: {
+		onSwitchInPriority: 1,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1},
+		name: "As One (Spectrier)",
+		rating: 3.5,
+		num: 267,
+	},
+	aurabreak: {
+		flags: {breakable: 1},
+		name: "Aura Break",
+		rating: 1,
+		num: 188,
+	},
+	baddreams: {
+		onResidualOrder: 28,
+		onResidualSubOrder: 2,
+		flags: {},
+		name: "Bad Dreams",
+		rating: 1.5,
+		num: 123,
+	},
+	ballfetch: {
+		flags: {},
+		name: "Ball Fetch",
+		rating: 0,
+		num: 237,
+	},
+	battery: {
+		onAllyBasePowerPriority: 22,
+		flags: {},
+		name: "Battery",
+		rating: 0,
+		num: 217,
+	},
+	battlearmor: {
+		onCriticalHit: false,
+		flags: {breakable: 1},
+		name: "Battle Armor",
+		rating: 1,
+		num: 4,
+	},
+	battlebond: {
+		onModifyMovePriority: -1,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1},
+		name: "Battle Bond",
+		rating: 3.5,
+		num: 210,
+	},
+	beadsofruin: {
+		flags: {},
+		name: "Beads of Ruin",
+		rating: 4.5,
+		num: 284,
+	},
+	beastboost: {
+		flags: {},
+		name: "Beast Boost",
+		rating: 3.5,
+		num: 224,
+	},
+	berserk: {
+		flags: {},
+		name: "Berserk",
+		rating: 2,
+		num: 201,
+	},
+	bigpecks: {
+		flags: {breakable: 1},
+		name: "Big Pecks",
+		rating: 0.5,
+		num: 145,
+	},
+	blaze: {
+		onModifyAtkPriority: 5,
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Blaze",
+		rating: 2,
+		num: 66,
+	},
+	bulletproof: {
+		flags: {breakable: 1},
+		name: "Bulletproof",
+		rating: 3,
+		num: 171,
+	},
+	cheekpouch: {
+		flags: {},
+		name: "Cheek Pouch",
+		rating: 2,
+		num: 167,
+	},
+	chillingneigh: {
+		flags: {},
+		name: "Chilling Neigh",
+		rating: 3,
+		num: 264,
+	},
+	chlorophyll: {
+		flags: {},
+		name: "Chlorophyll",
+		rating: 3,
+		num: 34,
+	},
+	clearbody: {
+		flags: {breakable: 1},
+		name: "Clear Body",
+		rating: 2,
+		num: 29,
+	},
+	cloudnine: {
+		suppressWeather: true,
+		flags: {},
+		name: "Cloud Nine",
+		rating: 1.5,
+		num: 13,
+	},
+	colorchange: {
+		flags: {},
+		name: "Color Change",
+		rating: 0,
+		num: 16,
+	},
+	comatose: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1},
+		name: "Comatose",
+		rating: 4,
+		num: 213,
+	},
+	commander: {
+		onAnySwitchInPriority: -2,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1},
+		name: "Commander",
+		rating: 0,
+		num: 279,
+	},
+	competitive: {
+		flags: {},
+		name: "Competitive",
+		rating: 2.5,
+		num: 172,
+	},
+	compoundeyes: {
+		onSourceModifyAccuracyPriority: -1,
+		flags: {},
+		name: "Compound Eyes",
+		rating: 3,
+		num: 14,
+	},
+	contrary: {
+		flags: {breakable: 1},
+		name: "Contrary",
+		rating: 4.5,
+		num: 126,
+	},
+	corrosion: {
+		flags: {},
+		name: "Corrosion",
+		rating: 2.5,
+		num: 212,
+	},
+	costar: {
+		onSwitchInPriority: -2,
+		flags: {},
+		name: "Costar",
+		rating: 0,
+		num: 294,
+	},
+	cottondown: {
+		flags: {},
+		name: "Cotton Down",
+		rating: 2,
+		num: 238,
+	},
+	cudchew: {
+		onResidualOrder: 28,
+		onResidualSubOrder: 2,
+		flags: {},
+		name: "Cud Chew",
+		rating: 2,
+		num: 291,
+	},
+	curiousmedicine: {
+		flags: {},
+		name: "Curious Medicine",
+		rating: 0,
+		num: 261,
+	},
+	cursedbody: {
+		flags: {},
+		name: "Cursed Body",
+		rating: 2,
+		num: 130,
+	},
+	cutecharm: {
+		flags: {},
+		name: "Cute Charm",
+		rating: 0.5,
+		num: 56,
+	},
+	damp: {
+		flags: {breakable: 1},
+		name: "Damp",
+		rating: 0.5,
+		num: 6,
+	},
+	dancer: {
+		flags: {},
+		name: "Dancer",
+		rating: 1.5,
+		num: 216,
+	},
+	darkaura: {
+		onAnyBasePowerPriority: 20,
+		flags: {},
+		name: "Dark Aura",
+		rating: 3,
+		num: 186,
+	},
+	dauntlessshield: {
+		flags: {},
+		name: "Dauntless Shield",
+		rating: 3.5,
+		num: 235,
+	},
+	dazzling: {
+		flags: {breakable: 1},
+		name: "Dazzling",
+		rating: 2.5,
+		num: 219,
+	},
+	defeatist: {
+		onModifyAtkPriority: 5,
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Defeatist",
+		rating: -1,
+		num: 129,
+	},
+	defiant: {
+		flags: {},
+		name: "Defiant",
+		rating: 3,
+		num: 128,
+	},
+	deltastream: {
+		flags: {},
+		name: "Delta Stream",
+		rating: 4,
+		num: 191,
+	},
+	desolateland: {
+		flags: {},
+		name: "Desolate Land",
+		rating: 4.5,
+		num: 190,
+	},
+	disguise: {
+		onDamagePriority: 1,
+		flags: {
+			failroleplay: 1,
+			noreceiver: 1,
+			noentrain: 1,
+			notrace: 1,
+			failskillswap: 1,
+			cantsuppress: 1,
+			breakable: 1,
+			notransform: 1,
+		},
+		name: "Disguise",
+		rating: 3.5,
+		num: 209,
+	},
+	download: {
+		flags: {},
+		name: "Download",
+		rating: 3.5,
+		num: 88,
+	},
+	dragonize: {
+		isNonstandard: "Future",
+		onModifyTypePriority: -1,
+		onBasePowerPriority: 23,
+		flags: {},
+		name: "Dragonize",
+		rating: 4,
+		num: 312,
+	},
+	dragonsmaw: {
+		onModifyAtkPriority: 5,
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Dragon's Maw",
+		rating: 3.5,
+		num: 263,
+	},
+	drizzle: {
+		flags: {},
+		name: "Drizzle",
+		rating: 4,
+		num: 2,
+	},
+	drought: {
+		flags: {},
+		name: "Drought",
+		rating: 4,
+		num: 70,
+	},
+	dryskin: {
+		onSourceBasePowerPriority: 17,
+		flags: {breakable: 1},
+		name: "Dry Skin",
+		rating: 3,
+		num: 87,
+	},
+	earlybird: {
+		flags: {},
+		name: "Early Bird",
+		rating: 1.5,
+		num: 48,
+	},
+	eartheater: {
+		flags: {breakable: 1},
+		name: "Earth Eater",
+		rating: 3.5,
+		num: 297,
+	},
+	eelevate: {
+		isNonstandard: "Future",
+		flags: {breakable: 1},
+		name: "Eelevate",
+		rating: 4,
+		num: 313,
+	},
+	effectspore: {
+		flags: {},
+		name: "Effect Spore",
+		rating: 2,
+		num: 27,
+	},
+	electricsurge: {
+		flags: {},
+		name: "Electric Surge",
+		rating: 4,
+		num: 226,
+	},
+	electromorphosis: {
+		onDamagingHitOrder: 1,
+		flags: {},
+		name: "Electromorphosis",
+		rating: 3,
+		num: 280,
+	},
+	embodyaspectcornerstone: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, notransform: 1},
+		name: "Embody Aspect (Cornerstone)",
+		rating: 3.5,
+		num: 304,
+	},
+	embodyaspecthearthflame: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, notransform: 1},
+		name: "Embody Aspect (Hearthflame)",
+		rating: 3.5,
+		num: 303,
+	},
+	embodyaspectteal: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, notransform: 1},
+		name: "Embody Aspect (Teal)",
+		rating: 3.5,
+		num: 301,
+	},
+	embodyaspectwellspring: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, notransform: 1},
+		name: "Embody Aspect (Wellspring)",
+		rating: 3.5,
+		num: 302,
+	},
+	emergencyexit: {
+		flags: {},
+		name: "Emergency Exit",
+		rating: 1,
+		num: 194,
+	},
+	fairyaura: {
+		onAnyBasePowerPriority: 20,
+		flags: {},
+		name: "Fairy Aura",
+		rating: 3,
+		num: 187,
+	},
+	filter: {
+		flags: {breakable: 1},
+		name: "Filter",
+		rating: 3,
+		num: 111,
+	},
+	firemane: {
+		isNonstandard: "Future",
+		onModifyAtkPriority: 5,
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Fire Mane",
+		rating: 3.5,
+		num: 316,
+	},
+	flamebody: {
+		flags: {},
+		name: "Flame Body",
+		rating: 2,
+		num: 49,
+	},
+	flareboost: {
+		onBasePowerPriority: 19,
+		flags: {},
+		name: "Flare Boost",
+		rating: 2,
+		num: 138,
+	},
+	flashfire: {
+		condition: {noCopy: true, onModifyAtkPriority: 5, onModifySpAPriority: 5},
+		flags: {breakable: 1},
+		name: "Flash Fire",
+		rating: 3.5,
+		num: 18,
+	},
+	flowergift: {
+		onSwitchInPriority: -2,
+		onAllyModifyAtkPriority: 3,
+		onAllyModifySpDPriority: 4,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, breakable: 1},
+		name: "Flower Gift",
+		rating: 1,
+		num: 122,
+	},
+	flowerveil: {
+		flags: {breakable: 1},
+		name: "Flower Veil",
+		rating: 0,
+		num: 166,
+	},
+	fluffy: {
+		flags: {breakable: 1},
+		name: "Fluffy",
+		rating: 3.5,
+		num: 218,
+	},
+	forecast: {
+		onSwitchInPriority: -2,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1},
+		name: "Forecast",
+		rating: 2,
+		num: 59,
+	},
+	forewarn: {
+		flags: {},
+		name: "Forewarn",
+		rating: 0.5,
+		num: 108,
+	},
+	friendguard: {
+		flags: {breakable: 1},
+		name: "Friend Guard",
+		rating: 0,
+		num: 132,
+	},
+	frisk: {
+		flags: {},
+		name: "Frisk",
+		rating: 1.5,
+		num: 119,
+	},
+	fullmetalbody: {
+		flags: {},
+		name: "Full Metal Body",
+		rating: 2,
+		num: 230,
+	},
+	furcoat: {
+		onModifyDefPriority: 6,
+		flags: {breakable: 1},
+		name: "Fur Coat",
+		rating: 4,
+		num: 169,
+	},
+	galewings: {
+		flags: {},
+		name: "Gale Wings",
+		rating: 1.5,
+		num: 177,
+	},
+	galvanize: {
+		onModifyTypePriority: -1,
+		onBasePowerPriority: 23,
+		flags: {},
+		name: "Galvanize",
+		rating: 4,
+		num: 206,
+	},
+	gluttony: {
+		flags: {},
+		name: "Gluttony",
+		rating: 1.5,
+		num: 82,
+	},
+	goodasgold: {
+		flags: {breakable: 1},
+		name: "Good as Gold",
+		rating: 5,
+		num: 283,
+	},
+	gooey: {
+		flags: {},
+		name: "Gooey",
+		rating: 2,
+		num: 183,
+	},
+	gorillatactics: {
+		onModifyAtkPriority: 1,
+		flags: {},
+		name: "Gorilla Tactics",
+		rating: 4.5,
+		num: 255,
+	},
+	grasspelt: {
+		onModifyDefPriority: 6,
+		flags: {breakable: 1},
+		name: "Grass Pelt",
+		rating: 0.5,
+		num: 179,
+	},
+	grassysurge: {
+		flags: {},
+		name: "Grassy Surge",
+		rating: 4,
+		num: 229,
+	},
+	grimneigh: {
+		flags: {},
+		name: "Grim Neigh",
+		rating: 3,
+		num: 265,
+	},
+	guarddog: {
+		onDragOutPriority: 1,
+		onTryBoostPriority: 2,
+		flags: {breakable: 1},
+		name: "Guard Dog",
+		rating: 2,
+		num: 275,
+	},
+	gulpmissile: {
+		flags: {cantsuppress: 1, notransform: 1},
+		name: "Gulp Missile",
+		rating: 2.5,
+		num: 241,
+	},
+	guts: {
+		onModifyAtkPriority: 5,
+		flags: {},
+		name: "Guts",
+		rating: 3.5,
+		num: 62,
+	},
+	hadronengine: {
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Hadron Engine",
+		rating: 4.5,
+		num: 289,
+	},
+	harvest: {
+		onResidualOrder: 28,
+		onResidualSubOrder: 2,
+		flags: {},
+		name: "Harvest",
+		rating: 2.5,
+		num: 139,
+	},
+	healer: {
+		onResidualOrder: 5,
+		onResidualSubOrder: 3,
+		flags: {},
+		name: "Healer",
+		rating: 0,
+		num: 131,
+	},
+	heatproof: {
+		onSourceModifyAtkPriority: 6,
+		onSourceModifySpAPriority: 5,
+		flags: {breakable: 1},
+		name: "Heatproof",
+		rating: 2,
+		num: 85,
+	},
+	heavymetal: {
+		onModifyWeightPriority: 1,
+		flags: {breakable: 1},
+		name: "Heavy Metal",
+		rating: 0,
+		num: 134,
+	},
+	honeygather: {
+		flags: {},
+		name: "Honey Gather",
+		rating: 0,
+		num: 118,
+	},
+	hospitality: {
+		onSwitchInPriority: -2,
+		flags: {},
+		name: "Hospitality",
+		rating: 0,
+		num: 299,
+	},
+	hugepower: {
+		onModifyAtkPriority: 5,
+		flags: {},
+		name: "Huge Power",
+		rating: 5,
+		num: 37,
+	},
+	hungerswitch: {
+		onResidualOrder: 29,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, notransform: 1},
+		name: "Hunger Switch",
+		rating: 1,
+		num: 258,
+	},
+	hustle: {
+		onModifyAtkPriority: 5,
+		onSourceModifyAccuracyPriority: -1,
+		flags: {},
+		name: "Hustle",
+		rating: 3.5,
+		num: 55,
+	},
+	hydration: {
+		onResidualOrder: 5,
+		onResidualSubOrder: 3,
+		flags: {},
+		name: "Hydration",
+		rating: 1.5,
+		num: 93,
+	},
+	hypercutter: {
+		flags: {breakable: 1},
+		name: "Hyper Cutter",
+		rating: 1.5,
+		num: 52,
+	},
+	icebody: {
+		flags: {},
+		name: "Ice Body",
+		rating: 1,
+		num: 115,
+	},
+	iceface: {
+		onSwitchInPriority: -2,
+		onDamagePriority: 1,
+		flags: {
+			failroleplay: 1,
+			noreceiver: 1,
+			noentrain: 1,
+			notrace: 1,
+			failskillswap: 1,
+			cantsuppress: 1,
+			breakable: 1,
+			notransform: 1,
+		},
+		name: "Ice Face",
+		rating: 3,
+		num: 248,
+	},
+	icescales: {
+		flags: {breakable: 1},
+		name: "Ice Scales",
+		rating: 4,
+		num: 246,
+	},
+	illuminate: {
+		flags: {breakable: 1},
+		name: "Illuminate",
+		rating: 0.5,
+		num: 35,
+	},
+	illusion: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1},
+		name: "Illusion",
+		rating: 4.5,
+		num: 149,
+	},
+	immunity: {
+		flags: {breakable: 1},
+		name: "Immunity",
+		rating: 2,
+		num: 17,
+	},
+	imposter: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1},
+		name: "Imposter",
+		rating: 5,
+		num: 150,
+	},
+	infiltrator: {
+		flags: {},
+		name: "Infiltrator",
+		rating: 2.5,
+		num: 151,
+	},
+	innardsout: {
+		onDamagingHitOrder: 1,
+		flags: {},
+		name: "Innards Out",
+		rating: 4,
+		num: 215,
+	},
+	innerfocus: {
+		flags: {breakable: 1},
+		name: "Inner Focus",
+		rating: 1,
+		num: 39,
+	},
+	insomnia: {
+		flags: {breakable: 1},
+		name: "Insomnia",
+		rating: 1.5,
+		num: 15,
+	},
+	intimidate: {
+		flags: {},
+		name: "Intimidate",
+		rating: 3.5,
+		num: 22,
+	},
+	intrepidsword: {
+		flags: {},
+		name: "Intrepid Sword",
+		rating: 4,
+		num: 234,
+	},
+	ironbarbs: {
+		onDamagingHitOrder: 1,
+		flags: {},
+		name: "Iron Barbs",
+		rating: 2.5,
+		num: 160,
+	},
+	ironfist: {
+		onBasePowerPriority: 23,
+		flags: {},
+		name: "Iron Fist",
+		rating: 3,
+		num: 89,
+	},
+	justified: {
+		flags: {},
+		name: "Justified",
+		rating: 2.5,
+		num: 154,
+	},
+	keeneye: {
+		flags: {breakable: 1},
+		name: "Keen Eye",
+		rating: 0.5,
+		num: 51,
+	},
+	klutz: {
+		onSwitchInPriority: 1,
+		flags: {},
+		name: "Klutz",
+		rating: -1,
+		num: 103,
+	},
+	leafguard: {
+		flags: {breakable: 1},
+		name: "Leaf Guard",
+		rating: 0.5,
+		num: 102,
+	},
+	levitate: {
+		flags: {breakable: 1},
+		name: "Levitate",
+		rating: 3.5,
+		num: 26,
+	},
+	libero: {
+		flags: {},
+		name: "Libero",
+		rating: 4,
+		num: 236,
+	},
+	lightmetal: {
+		flags: {breakable: 1},
+		name: "Light Metal",
+		rating: 1,
+		num: 135,
+	},
+	lightningrod: {
+		flags: {breakable: 1},
+		name: "Lightning Rod",
+		rating: 3,
+		num: 31,
+	},
+	limber: {
+		flags: {breakable: 1},
+		name: "Limber",
+		rating: 2,
+		num: 7,
+	},
+	lingeringaroma: {
+		flags: {},
+		name: "Lingering Aroma",
+		rating: 2,
+		num: 268,
+	},
+	liquidooze: {
+		flags: {},
+		name: "Liquid Ooze",
+		rating: 2.5,
+		num: 64,
+	},
+	liquidvoice: {
+		onModifyTypePriority: -1,
+		flags: {},
+		name: "Liquid Voice",
+		rating: 1.5,
+		num: 204,
+	},
+	longreach: {
+		flags: {},
+		name: "Long Reach",
+		rating: 1,
+		num: 203,
+	},
+	magicbounce: {
+		onTryHitPriority: 1,
+		flags: {breakable: 1},
+		name: "Magic Bounce",
+		rating: 4,
+		num: 156,
+	},
+	magicguard: {
+		flags: {},
+		name: "Magic Guard",
+		rating: 4,
+		num: 98,
+	},
+	magician: {
+		flags: {},
+		name: "Magician",
+		rating: 1,
+		num: 170,
+	},
+	magmaarmor: {
+		flags: {breakable: 1},
+		name: "Magma Armor",
+		rating: 0.5,
+		num: 40,
+	},
+	magnetpull: {
+		flags: {},
+		name: "Magnet Pull",
+		rating: 4,
+		num: 42,
+	},
+	marvelscale: {
+		onModifyDefPriority: 6,
+		flags: {breakable: 1},
+		name: "Marvel Scale",
+		rating: 2.5,
+		num: 63,
+	},
+	megalauncher: {
+		onBasePowerPriority: 19,
+		flags: {},
+		name: "Mega Launcher",
+		rating: 3,
+		num: 178,
+	},
+	megasol: {
+		isNonstandard: "Future",
+		onWeatherModifyDamagePriority: 1,
+		flags: {},
+		name: "Mega Sol",
+		rating: 3,
+		num: 315,
+	},
+	merciless: {
+		flags: {},
+		name: "Merciless",
+		rating: 1.5,
+		num: 196,
+	},
+	mimicry: {
+		onSwitchInPriority: -1,
+		flags: {},
+		name: "Mimicry",
+		rating: 0,
+		num: 250,
+	},
+	mindseye: {
+		onModifyMovePriority: -5,
+		flags: {breakable: 1},
+		name: "Mind's Eye",
+		rating: 0,
+		num: 300,
+	},
+	minus: {
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Minus",
+		rating: 0,
+		num: 58,
+	},
+	mirrorarmor: {
+		flags: {breakable: 1},
+		name: "Mirror Armor",
+		rating: 2,
+		num: 240,
+	},
+	mistysurge: {
+		flags: {},
+		name: "Misty Surge",
+		rating: 3.5,
+		num: 228,
+	},
+	moldbreaker: {
+		flags: {},
+		name: "Mold Breaker",
+		rating: 3,
+		num: 104,
+	},
+	moody: {
+		onResidualOrder: 28,
+		onResidualSubOrder: 2,
+		flags: {},
+		name: "Moody",
+		rating: 5,
+		num: 141,
+	},
+	motordrive: {
+		flags: {breakable: 1},
+		name: "Motor Drive",
+		rating: 3,
+		num: 78,
+	},
+	moxie: {
+		flags: {},
+		name: "Moxie",
+		rating: 3,
+		num: 153,
+	},
+	multiscale: {
+		flags: {breakable: 1},
+		name: "Multiscale",
+		rating: 3.5,
+		num: 136,
+	},
+	multitype: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1},
+		name: "Multitype",
+		rating: 4,
+		num: 121,
+	},
+	mummy: {
+		flags: {},
+		name: "Mummy",
+		rating: 2,
+		num: 152,
+	},
+	myceliummight: {
+		onFractionalPriorityPriority: -1,
+		flags: {},
+		name: "Mycelium Might",
+		rating: 2,
+		num: 298,
+	},
+	naturalcure: {
+		flags: {},
+		name: "Natural Cure",
+		rating: 2.5,
+		num: 30,
+	},
+	neuroforce: {
+		flags: {},
+		name: "Neuroforce",
+		rating: 2.5,
+		num: 233,
+	},
+	neutralizinggas: {
+		onSwitchInPriority: 2,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, notransform: 1},
+		name: "Neutralizing Gas",
+		rating: 3.5,
+		num: 256,
+	},
+	noguard: {
+		onAnyInvulnerabilityPriority: 1,
+		flags: {},
+		name: "No Guard",
+		rating: 4,
+		num: 99,
+	},
+	normalize: {
+		onModifyTypePriority: 1,
+		onBasePowerPriority: 23,
+		flags: {},
+		name: "Normalize",
+		rating: 0,
+		num: 96,
+	},
+	oblivious: {
+		flags: {breakable: 1},
+		name: "Oblivious",
+		rating: 1.5,
+		num: 12,
+	},
+	opportunist: {
+		onAnySwitchInPriority: -3,
+		onResidualOrder: 29,
+		flags: {},
+		name: "Opportunist",
+		rating: 3,
+		num: 290,
+	},
+	orichalcumpulse: {
+		onModifyAtkPriority: 5,
+		flags: {},
+		name: "Orichalcum Pulse",
+		rating: 4.5,
+		num: 288,
+	},
+	overcoat: {
+		onTryHitPriority: 1,
+		flags: {breakable: 1},
+		name: "Overcoat",
+		rating: 2,
+		num: 142,
+	},
+	overgrow: {
+		onModifyAtkPriority: 5,
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Overgrow",
+		rating: 2,
+		num: 65,
+	},
+	owntempo: {
+		flags: {breakable: 1},
+		name: "Own Tempo",
+		rating: 1.5,
+		num: 20,
+	},
+	parentalbond: {
+		flags: {},
+		name: "Parental Bond",
+		rating: 4.5,
+		num: 185,
+	},
+	pastelveil: {
+		flags: {breakable: 1},
+		name: "Pastel Veil",
+		rating: 2,
+		num: 257,
+	},
+	perishbody: {
+		flags: {},
+		name: "Perish Body",
+		rating: 1,
+		num: 253,
+	},
+	pickpocket: {
+		flags: {},
+		name: "Pickpocket",
+		rating: 1,
+		num: 124,
+	},
+	pickup: {
+		onResidualOrder: 28,
+		onResidualSubOrder: 2,
+		flags: {},
+		name: "Pickup",
+		rating: 0.5,
+		num: 53,
+	},
+	piercingdrill: {
+		isNonstandard: "Future",
+		flags: {},
+		name: "Piercing Drill",
+		rating: 1,
+		num: 311,
+	},
+	pixilate: {
+		onModifyTypePriority: -1,
+		onBasePowerPriority: 23,
+		flags: {},
+		name: "Pixilate",
+		rating: 4,
+		num: 182,
+	},
+	plus: {
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Plus",
+		rating: 0,
+		num: 57,
+	},
+	poisonheal: {
+		onDamagePriority: 1,
+		flags: {},
+		name: "Poison Heal",
+		rating: 4,
+		num: 90,
+	},
+	poisonpoint: {
+		flags: {},
+		name: "Poison Point",
+		rating: 1.5,
+		num: 38,
+	},
+	poisonpuppeteer: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1},
+		name: "Poison Puppeteer",
+		rating: 3,
+		num: 310,
+	},
+	poisontouch: {
+		flags: {},
+		name: "Poison Touch",
+		rating: 2,
+		num: 143,
+	},
+	powerconstruct: {
+		onResidualOrder: 29,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1},
+		name: "Power Construct",
+		rating: 5,
+		num: 211,
+	},
+	powerofalchemy: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1},
+		name: "Power of Alchemy",
+		rating: 0,
+		num: 223,
+	},
+	powerspot: {
+		onAllyBasePowerPriority: 22,
+		flags: {},
+		name: "Power Spot",
+		rating: 0,
+		num: 249,
+	},
+	prankster: {
+		flags: {},
+		name: "Prankster",
+		rating: 4,
+		num: 158,
+	},
+	pressure: {
+		flags: {},
+		name: "Pressure",
+		rating: 2.5,
+		num: 46,
+	},
+	primordialsea: {
+		flags: {},
+		name: "Primordial Sea",
+		rating: 4.5,
+		num: 189,
+	},
+	prismarmor: {
+		flags: {},
+		name: "Prism Armor",
+		rating: 3,
+		num: 232,
+	},
+	propellertail: {
+		onModifyMovePriority: 1,
+		flags: {},
+		name: "Propeller Tail",
+		rating: 0,
+		num: 239,
+	},
+	protean: {
+		flags: {},
+		name: "Protean",
+		rating: 4,
+		num: 168,
+	},
+	protosynthesis: {
+		onSwitchInPriority: -2,
+		condition: {noCopy: true, onModifyAtkPriority: 5, onModifyDefPriority: 6, onModifySpAPriority: 5, onModifySpDPriority: 6},
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, notransform: 1},
+		name: "Protosynthesis",
+		rating: 3,
+		num: 281,
+	},
+	psychicsurge: {
+		flags: {},
+		name: "Psychic Surge",
+		rating: 4,
+		num: 227,
+	},
+	punkrock: {
+		onBasePowerPriority: 7,
+		flags: {breakable: 1},
+		name: "Punk Rock",
+		rating: 3.5,
+		num: 244,
+	},
+	purepower: {
+		onModifyAtkPriority: 5,
+		flags: {},
+		name: "Pure Power",
+		rating: 5,
+		num: 74,
+	},
+	purifyingsalt: {
+		onSourceModifyAtkPriority: 6,
+		onSourceModifySpAPriority: 5,
+		flags: {breakable: 1},
+		name: "Purifying Salt",
+		rating: 4,
+		num: 272,
+	},
+	quarkdrive: {
+		onSwitchInPriority: -2,
+		condition: {noCopy: true, onModifyAtkPriority: 5, onModifyDefPriority: 6, onModifySpAPriority: 5, onModifySpDPriority: 6},
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, notransform: 1},
+		name: "Quark Drive",
+		rating: 3,
+		num: 282,
+	},
+	queenlymajesty: {
+		flags: {breakable: 1},
+		name: "Queenly Majesty",
+		rating: 2.5,
+		num: 214,
+	},
+	quickdraw: {
+		onFractionalPriorityPriority: -1,
+		flags: {},
+		name: "Quick Draw",
+		rating: 2.5,
+		num: 259,
+	},
+	quickfeet: {
+		flags: {},
+		name: "Quick Feet",
+		rating: 2.5,
+		num: 95,
+	},
+	raindish: {
+		flags: {},
+		name: "Rain Dish",
+		rating: 1.5,
+		num: 44,
+	},
+	rattled: {
+		flags: {},
+		name: "Rattled",
+		rating: 1,
+		num: 155,
+	},
+	receiver: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1},
+		name: "Receiver",
+		rating: 0,
+		num: 222,
+	},
+	reckless: {
+		onBasePowerPriority: 23,
+		flags: {},
+		name: "Reckless",
+		rating: 3,
+		num: 120,
+	},
+	refrigerate: {
+		onModifyTypePriority: -1,
+		onBasePowerPriority: 23,
+		flags: {},
+		name: "Refrigerate",
+		rating: 4,
+		num: 174,
+	},
+	regenerator: {
+		flags: {},
+		name: "Regenerator",
+		rating: 4.5,
+		num: 144,
+	},
+	ripen: {
+		onSourceModifyDamagePriority: -1,
+		onTryEatItemPriority: -1,
+		flags: {},
+		name: "Ripen",
+		rating: 2,
+		num: 247,
+	},
+	rivalry: {
+		onBasePowerPriority: 24,
+		flags: {},
+		name: "Rivalry",
+		rating: 0,
+		num: 79,
+	},
+	rkssystem: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1},
+		name: "RKS System",
+		rating: 4,
+		num: 225,
+	},
+	rockhead: {
+		flags: {},
+		name: "Rock Head",
+		rating: 3,
+		num: 69,
+	},
+	rockypayload: {
+		onModifyAtkPriority: 5,
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Rocky Payload",
+		rating: 3.5,
+		num: 276,
+	},
+	roughskin: {
+		onDamagingHitOrder: 1,
+		flags: {},
+		name: "Rough Skin",
+		rating: 2.5,
+		num: 24,
+	},
+	runaway: {
+		flags: {},
+		name: "Run Away",
+		rating: 0,
+		num: 50,
+	},
+	sandforce: {
+		onBasePowerPriority: 21,
+		flags: {},
+		name: "Sand Force",
+		rating: 2,
+		num: 159,
+	},
+	sandrush: {
+		flags: {},
+		name: "Sand Rush",
+		rating: 3,
+		num: 146,
+	},
+	sandspit: {
+		flags: {},
+		name: "Sand Spit",
+		rating: 1,
+		num: 245,
+	},
+	sandstream: {
+		flags: {},
+		name: "Sand Stream",
+		rating: 4,
+		num: 45,
+	},
+	sandveil: {
+		onModifyAccuracyPriority: -1,
+		flags: {breakable: 1},
+		name: "Sand Veil",
+		rating: 1.5,
+		num: 8,
+	},
+	sapsipper: {
+		onTryHitPriority: 1,
+		flags: {breakable: 1},
+		name: "Sap Sipper",
+		rating: 3,
+		num: 157,
+	},
+	schooling: {
+		onSwitchInPriority: -1,
+		onResidualOrder: 29,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1},
+		name: "Schooling",
+		rating: 3,
+		num: 208,
+	},
+	scrappy: {
+		onModifyMovePriority: -5,
+		flags: {},
+		name: "Scrappy",
+		rating: 3,
+		num: 113,
+	},
+	screencleaner: {
+		flags: {},
+		name: "Screen Cleaner",
+		rating: 2,
+		num: 251,
+	},
+	seedsower: {
+		flags: {},
+		name: "Seed Sower",
+		rating: 2.5,
+		num: 269,
+	},
+	serenegrace: {
+		onModifyMovePriority: -2,
+		flags: {},
+		name: "Serene Grace",
+		rating: 3.5,
+		num: 32,
+	},
+	shadowshield: {
+		flags: {},
+		name: "Shadow Shield",
+		rating: 3.5,
+		num: 231,
+	},
+	shadowtag: {
+		flags: {},
+		name: "Shadow Tag",
+		rating: 5,
+		num: 23,
+	},
+	sharpness: {
+		onBasePowerPriority: 19,
+		flags: {},
+		name: "Sharpness",
+		rating: 3.5,
+		num: 292,
+	},
+	shedskin: {
+		onResidualOrder: 5,
+		onResidualSubOrder: 3,
+		flags: {},
+		name: "Shed Skin",
+		rating: 3,
+		num: 61,
+	},
+	sheerforce: {
+		onBasePowerPriority: 21,
+		flags: {},
+		name: "Sheer Force",
+		rating: 3.5,
+		num: 125,
+	},
+	shellarmor: {
+		onCriticalHit: false,
+		flags: {breakable: 1},
+		name: "Shell Armor",
+		rating: 1,
+		num: 75,
+	},
+	shielddust: {
+		flags: {breakable: 1},
+		name: "Shield Dust",
+		rating: 2,
+		num: 19,
+	},
+	shieldsdown: {
+		onSwitchInPriority: -1,
+		onResidualOrder: 29,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1},
+		name: "Shields Down",
+		rating: 3,
+		num: 197,
+	},
+	simple: {
+		flags: {breakable: 1},
+		name: "Simple",
+		rating: 4,
+		num: 86,
+	},
+	skilllink: {
+		flags: {},
+		name: "Skill Link",
+		rating: 3,
+		num: 92,
+	},
+	slowstart: {
+		onResidualOrder: 28,
+		onResidualSubOrder: 2,
+		onModifyAtkPriority: 5,
+		flags: {},
+		name: "Slow Start",
+		rating: -1,
+		num: 112,
+	},
+	slushrush: {
+		flags: {},
+		name: "Slush Rush",
+		rating: 3,
+		num: 202,
+	},
+	sniper: {
+		flags: {},
+		name: "Sniper",
+		rating: 2,
+		num: 97,
+	},
+	snowcloak: {
+		onModifyAccuracyPriority: -1,
+		flags: {breakable: 1},
+		name: "Snow Cloak",
+		rating: 1.5,
+		num: 81,
+	},
+	snowwarning: {
+		flags: {},
+		name: "Snow Warning",
+		rating: 4,
+		num: 117,
+	},
+	solarpower: {
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Solar Power",
+		rating: 2,
+		num: 94,
+	},
+	solidrock: {
+		flags: {breakable: 1},
+		name: "Solid Rock",
+		rating: 3,
+		num: 116,
+	},
+	soulheart: {
+		onAnyFaintPriority: 1,
+		flags: {},
+		name: "Soul-Heart",
+		rating: 3.5,
+		num: 220,
+	},
+	soundproof: {
+		flags: {breakable: 1},
+		name: "Soundproof",
+		rating: 2,
+		num: 43,
+	},
+	speedboost: {
+		onResidualOrder: 28,
+		onResidualSubOrder: 2,
+		flags: {},
+		name: "Speed Boost",
+		rating: 4.5,
+		num: 3,
+	},
+	spicyspray: {
+		isNonstandard: "Future",
+		flags: {},
+		name: "Spicy Spray",
+		rating: 3,
+		num: 318,
+	},
+	stakeout: {
+		onModifyAtkPriority: 5,
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Stakeout",
+		rating: 4.5,
+		num: 198,
+	},
+	stall: {
+		onFractionalPriority: -0.1,
+		flags: {},
+		name: "Stall",
+		rating: -1,
+		num: 100,
+	},
+	stalwart: {
+		onModifyMovePriority: 1,
+		flags: {},
+		name: "Stalwart",
+		rating: 0,
+		num: 242,
+	},
+	stamina: {
+		flags: {},
+		name: "Stamina",
+		rating: 4,
+		num: 192,
+	},
+	stancechange: {
+		onModifyMovePriority: 1,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1},
+		name: "Stance Change",
+		rating: 4,
+		num: 176,
+	},
+	static: {
+		flags: {},
+		name: "Static",
+		rating: 2,
+		num: 9,
+	},
+	steadfast: {
+		flags: {},
+		name: "Steadfast",
+		rating: 1,
+		num: 80,
+	},
+	steamengine: {
+		flags: {},
+		name: "Steam Engine",
+		rating: 2,
+		num: 243,
+	},
+	steelworker: {
+		onModifyAtkPriority: 5,
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Steelworker",
+		rating: 3.5,
+		num: 200,
+	},
+	steelyspirit: {
+		onAllyBasePowerPriority: 22,
+		flags: {},
+		name: "Steely Spirit",
+		rating: 3.5,
+		num: 252,
+	},
+	stench: {
+		onModifyMovePriority: -1,
+		flags: {},
+		name: "Stench",
+		rating: 0.5,
+		num: 1,
+	},
+	stickyhold: {
+		flags: {breakable: 1},
+		name: "Sticky Hold",
+		rating: 1.5,
+		num: 60,
+	},
+	stormdrain: {
+		flags: {breakable: 1},
+		name: "Storm Drain",
+		rating: 3,
+		num: 114,
+	},
+	strongjaw: {
+		onBasePowerPriority: 19,
+		flags: {},
+		name: "Strong Jaw",
+		rating: 3.5,
+		num: 173,
+	},
+	sturdy: {
+		onDamagePriority: -30,
+		flags: {breakable: 1},
+		name: "Sturdy",
+		rating: 3,
+		num: 5,
+	},
+	suctioncups: {
+		onDragOutPriority: 1,
+		flags: {breakable: 1},
+		name: "Suction Cups",
+		rating: 1,
+		num: 21,
+	},
+	superluck: {
+		flags: {},
+		name: "Super Luck",
+		rating: 1.5,
+		num: 105,
+	},
+	supersweetsyrup: {
+		flags: {},
+		name: "Supersweet Syrup",
+		rating: 1.5,
+		num: 306,
+	},
+	supremeoverlord: {
+		onBasePowerPriority: 21,
+		flags: {},
+		name: "Supreme Overlord",
+		rating: 4,
+		num: 293,
+	},
+	surgesurfer: {
+		flags: {},
+		name: "Surge Surfer",
+		rating: 3,
+		num: 207,
+	},
+	swarm: {
+		onModifyAtkPriority: 5,
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Swarm",
+		rating: 2,
+		num: 68,
+	},
+	sweetveil: {
+		flags: {breakable: 1},
+		name: "Sweet Veil",
+		rating: 2,
+		num: 175,
+	},
+	swiftswim: {
+		flags: {},
+		name: "Swift Swim",
+		rating: 3,
+		num: 33,
+	},
+	swordofruin: {
+		flags: {},
+		name: "Sword of Ruin",
+		rating: 4.5,
+		num: 285,
+	},
+	symbiosis: {
+		flags: {},
+		name: "Symbiosis",
+		rating: 0,
+		num: 180,
+	},
+	synchronize: {
+		flags: {},
+		name: "Synchronize",
+		rating: 2,
+		num: 28,
+	},
+	tabletsofruin: {
+		flags: {},
+		name: "Tablets of Ruin",
+		rating: 4.5,
+		num: 284,
+	},
+	tangledfeet: {
+		onModifyAccuracyPriority: -1,
+		flags: {breakable: 1},
+		name: "Tangled Feet",
+		rating: 1,
+		num: 77,
+	},
+	tanglinghair: {
+		flags: {},
+		name: "Tangling Hair",
+		rating: 2,
+		num: 221,
+	},
+	technician: {
+		onBasePowerPriority: 30,
+		flags: {},
+		name: "Technician",
+		rating: 3.5,
+		num: 101,
+	},
+	telepathy: {
+		flags: {breakable: 1},
+		name: "Telepathy",
+		rating: 0,
+		num: 140,
+	},
+	teraformzero: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1},
+		name: "Teraform Zero",
+		rating: 3,
+		num: 309,
+	},
+	terashell: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, breakable: 1},
+		name: "Tera Shell",
+		rating: 3.5,
+		num: 308,
+	},
+	terashift: {
+		onSwitchInPriority: 2,
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1, notransform: 1},
+		name: "Tera Shift",
+		rating: 3,
+		num: 307,
+	},
+	teravolt: {
+		flags: {},
+		name: "Teravolt",
+		rating: 3,
+		num: 164,
+	},
+	thermalexchange: {
+		flags: {breakable: 1},
+		name: "Thermal Exchange",
+		rating: 2.5,
+		num: 270,
+	},
+	thickfat: {
+		onSourceModifyAtkPriority: 6,
+		onSourceModifySpAPriority: 5,
+		flags: {breakable: 1},
+		name: "Thick Fat",
+		rating: 3.5,
+		num: 47,
+	},
+	tintedlens: {
+		flags: {},
+		name: "Tinted Lens",
+		rating: 4,
+		num: 110,
+	},
+	torrent: {
+		onModifyAtkPriority: 5,
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Torrent",
+		rating: 2,
+		num: 67,
+	},
+	toughclaws: {
+		onBasePowerPriority: 21,
+		flags: {},
+		name: "Tough Claws",
+		rating: 3.5,
+		num: 181,
+	},
+	toxicboost: {
+		onBasePowerPriority: 19,
+		flags: {},
+		name: "Toxic Boost",
+		rating: 3,
+		num: 137,
+	},
+	toxicchain: {
+		flags: {},
+		name: "Toxic Chain",
+		rating: 4.5,
+		num: 305,
+	},
+	toxicdebris: {
+		flags: {},
+		name: "Toxic Debris",
+		rating: 3.5,
+		num: 295,
+	},
+	trace: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1},
+		name: "Trace",
+		rating: 2.5,
+		num: 36,
+	},
+	transistor: {
+		onModifyAtkPriority: 5,
+		onModifySpAPriority: 5,
+		flags: {},
+		name: "Transistor",
+		rating: 3.5,
+		num: 262,
+	},
+	triage: {
+		flags: {},
+		name: "Triage",
+		rating: 3.5,
+		num: 205,
+	},
+	truant: {
+		onBeforeMovePriority: 9,
+		condition: {},
+		flags: {},
+		name: "Truant",
+		rating: -1,
+		num: 54,
+	},
+	turboblaze: {
+		flags: {},
+		name: "Turboblaze",
+		rating: 3,
+		num: 163,
+	},
+	unaware: {
+		flags: {breakable: 1},
+		name: "Unaware",
+		rating: 4,
+		num: 109,
+	},
+	unburden: {
+		condition: {},
+		flags: {},
+		name: "Unburden",
+		rating: 3.5,
+		num: 84,
+	},
+	unnerve: {
+		onSwitchInPriority: 1,
+		flags: {},
+		name: "Unnerve",
+		rating: 1,
+		num: 127,
+	},
+	unseenfist: {
+		flags: {},
+		name: "Unseen Fist",
+		rating: 2,
+		num: 260,
+	},
+	vesselofruin: {
+		flags: {},
+		name: "Vessel of Ruin",
+		rating: 4.5,
+		num: 284,
+	},
+	victorystar: {
+		onAnyModifyAccuracyPriority: -1,
+		flags: {},
+		name: "Victory Star",
+		rating: 2,
+		num: 162,
+	},
+	vitalspirit: {
+		flags: {breakable: 1},
+		name: "Vital Spirit",
+		rating: 1.5,
+		num: 72,
+	},
+	voltabsorb: {
+		flags: {breakable: 1},
+		name: "Volt Absorb",
+		rating: 3.5,
+		num: 10,
+	},
+	wanderingspirit: {
+		flags: {},
+		name: "Wandering Spirit",
+		rating: 2.5,
+		num: 254,
+	},
+	waterabsorb: {
+		flags: {breakable: 1},
+		name: "Water Absorb",
+		rating: 3.5,
+		num: 11,
+	},
+	waterbubble: {
+		onSourceModifyAtkPriority: 5,
+		onSourceModifySpAPriority: 5,
+		flags: {breakable: 1},
+		name: "Water Bubble",
+		rating: 4.5,
+		num: 199,
+	},
+	watercompaction: {
+		flags: {},
+		name: "Water Compaction",
+		rating: 1.5,
+		num: 195,
+	},
+	waterveil: {
+		flags: {breakable: 1},
+		name: "Water Veil",
+		rating: 2,
+		num: 41,
+	},
+	weakarmor: {
+		flags: {},
+		name: "Weak Armor",
+		rating: 1,
+		num: 133,
+	},
+	wellbakedbody: {
+		flags: {breakable: 1},
+		name: "Well-Baked Body",
+		rating: 3.5,
+		num: 273,
+	},
+	whitesmoke: {
+		flags: {breakable: 1},
+		name: "White Smoke",
+		rating: 2,
+		num: 73,
+	},
+	wimpout: {
+		flags: {},
+		name: "Wimp Out",
+		rating: 1,
+		num: 193,
+	},
+	windpower: {
+		onDamagingHitOrder: 1,
+		flags: {},
+		name: "Wind Power",
+		rating: 1,
+		num: 277,
+	},
+	windrider: {
+		flags: {breakable: 1},
+		name: "Wind Rider",
+		rating: 3.5,
+		num: 274,
+	},
+	wonderguard: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, failskillswap: 1, breakable: 1},
+		name: "Wonder Guard",
+		rating: 5,
+		num: 25,
+	},
+	wonderskin: {
+		onModifyAccuracyPriority: 10,
+		flags: {breakable: 1},
+		name: "Wonder Skin",
+		rating: 2,
+		num: 147,
+	},
+	zenmode: {
+		onResidualOrder: 29,
+		condition: {},
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1},
+		name: "Zen Mode",
+		rating: 0,
+		num: 161,
+	},
+	zerotohero: {
+		flags: {failroleplay: 1, noreceiver: 1, noentrain: 1, notrace: 1, failskillswap: 1, cantsuppress: 1, notransform: 1},
+		name: "Zero to Hero",
+		rating: 5,
+		num: 278,
+	},
+	mountaineer: {
+		isNonstandard: "CAP",
+		flags: {breakable: 1},
+		name: "Mountaineer",
+		rating: 3,
+		num: -1,
+	},
+	rebound: {
+		isNonstandard: "CAP",
+		onTryHitPriority: 1,
+		flags: {breakable: 1},
+		name: "Rebound",
+		rating: 3,
+		num: -2,
+	},
+	persistent: {
+		isNonstandard: "CAP",
+		flags: {},
+		name: "Persistent",
+		rating: 3,
+		num: -3,
+	},
+};
@@ -0,0 +1,14639 @@
+'use strict';
+
+exports.BattleMovedex = {
+	"10000000voltthunderbolt": {
+		num: 719,
+		accuracy: true,
+		basePower: 195,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "10,000,000 Volt Thunderbolt",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "pikashuniumz",
+		critRatio: 3,
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	absorb: {
+		num: 71,
+		accuracy: 100,
+		basePower: 20,
+		category: "Special",
+		name: "Absorb",
+		pp: 25,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, heal: 1, metronome: 1},
+		drain: [1, 2],
+		target: "normal",
+		type: "Grass",
+		contestType: "Clever",
+	},
+	accelerock: {
+		num: 709,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Accelerock",
+		pp: 20,
+		priority: 1,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Rock",
+		contestType: "Cool",
+	},
+	acid: {
+		num: 51,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Acid",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			boosts: {spd: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Poison",
+		contestType: "Clever",
+	},
+	acidarmor: {
+		num: 151,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Acid Armor",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {def: 2},
+		target: "self",
+		type: "Poison",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Tough",
+	},
+	aciddownpour: {
+		num: 628,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Acid Downpour",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "poisoniumz",
+		target: "normal",
+		type: "Poison",
+		contestType: "Cool",
+	},
+	acidspray: {
+		num: 491,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Acid Spray",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spd: -2},
+		},
+		target: "normal",
+		type: "Poison",
+		contestType: "Beautiful",
+	},
+	acrobatics: {
+		num: 512,
+		accuracy: 100,
+		basePower: 55,
+		category: "Physical",
+		name: "Acrobatics",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, distance: 1, metronome: 1},
+		target: "any",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	acupressure: {
+		num: 367,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Acupressure",
+		pp: 30,
+		priority: 0,
+		flags: {metronome: 1},
+		target: "adjacentAllyOrSelf",
+		type: "Normal",
+		zMove: {effect: "crit2"},
+		contestType: "Tough",
+	},
+	aerialace: {
+		num: 332,
+		accuracy: true,
+		basePower: 60,
+		category: "Physical",
+		name: "Aerial Ace",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, distance: 1, metronome: 1, slicing: 1},
+		target: "any",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	aeroblast: {
+		num: 177,
+		accuracy: 95,
+		basePower: 100,
+		category: "Special",
+		name: "Aeroblast",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, distance: 1, metronome: 1, wind: 1},
+		critRatio: 2,
+		target: "any",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	afteryou: {
+		num: 495,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "After You",
+		pp: 15,
+		priority: 0,
+		flags: {bypasssub: 1, allyanim: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Cute",
+	},
+	agility: {
+		num: 97,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Agility",
+		pp: 30,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {spe: 2},
+		target: "self",
+		type: "Psychic",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cool",
+	},
+	aircutter: {
+		num: 314,
+		accuracy: 95,
+		basePower: 60,
+		category: "Special",
+		name: "Air Cutter",
+		pp: 25,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, slicing: 1, wind: 1},
+		critRatio: 2,
+		target: "allAdjacentFoes",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	airslash: {
+		num: 403,
+		accuracy: 95,
+		basePower: 75,
+		category: "Special",
+		name: "Air Slash",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, distance: 1, metronome: 1, slicing: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "any",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	alloutpummeling: {
+		num: 624,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "All-Out Pummeling",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "fightiniumz",
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	alluringvoice: {
+		num: 914,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Alluring Voice",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		secondary: {chance: 100},
+		target: "normal",
+		type: "Fairy",
+	},
+	allyswitch: {
+		num: 502,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Ally Switch",
+		pp: 15,
+		priority: 2,
+		flags: {metronome: 1},
+		condition: {duration: 2, counterMax: 729},
+		target: "self",
+		type: "Psychic",
+		zMove: {
+			boost: {spe: 2},
+		},
+		contestType: "Clever",
+	},
+	amnesia: {
+		num: 133,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Amnesia",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {spd: 2},
+		target: "self",
+		type: "Psychic",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	anchorshot: {
+		num: 677,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Anchor Shot",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 100},
+		target: "normal",
+		type: "Steel",
+		contestType: "Tough",
+	},
+	ancientpower: {
+		num: 246,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		name: "Ancient Power",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			self: {
+				boosts: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+			},
+		},
+		target: "normal",
+		type: "Rock",
+		contestType: "Tough",
+	},
+	appleacid: {
+		num: 787,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Apple Acid",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spd: -1},
+		},
+		target: "normal",
+		type: "Grass",
+	},
+	aquacutter: {
+		num: 895,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "Aqua Cutter",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Water",
+		contestType: "Cool",
+	},
+	aquajet: {
+		num: 453,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Aqua Jet",
+		pp: 20,
+		priority: 1,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Water",
+		contestType: "Cool",
+	},
+	aquaring: {
+		num: 392,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Aqua Ring",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		volatileStatus: "aquaring",
+		condition: {onResidualOrder: 6},
+		target: "self",
+		type: "Water",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Beautiful",
+	},
+	aquastep: {
+		num: 872,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Aqua Step",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, dance: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			self: {
+				boosts: {spe: 1},
+			},
+		},
+		target: "normal",
+		type: "Water",
+		contestType: "Cool",
+	},
+	aquatail: {
+		num: 401,
+		accuracy: 90,
+		basePower: 90,
+		category: "Physical",
+		name: "Aqua Tail",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	armorcannon: {
+		num: 890,
+		accuracy: 100,
+		basePower: 120,
+		category: "Special",
+		name: "Armor Cannon",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		self: {
+			boosts: {def: -1, spd: -1},
+		},
+		target: "normal",
+		type: "Fire",
+	},
+	armthrust: {
+		num: 292,
+		accuracy: 100,
+		basePower: 15,
+		category: "Physical",
+		name: "Arm Thrust",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	aromatherapy: {
+		num: 312,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Aromatherapy",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, distance: 1, metronome: 1},
+		target: "allyTeam",
+		type: "Grass",
+		zMove: {effect: "heal"},
+		contestType: "Clever",
+	},
+	aromaticmist: {
+		num: 597,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Aromatic Mist",
+		pp: 20,
+		priority: 0,
+		flags: {bypasssub: 1, metronome: 1},
+		boosts: {spd: 1},
+		target: "adjacentAlly",
+		type: "Fairy",
+		zMove: {
+			boost: {spd: 2},
+		},
+		contestType: "Beautiful",
+	},
+	assist: {
+		num: 274,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Assist",
+		pp: 20,
+		priority: 0,
+		flags: {failencore: 1, nosleeptalk: 1, noassist: 1, failcopycat: 1, failmimic: 1, failinstruct: 1},
+		callsMove: true,
+		target: "self",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	assurance: {
+		num: 372,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Assurance",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dark",
+		contestType: "Clever",
+	},
+	astonish: {
+		num: 310,
+		accuracy: 100,
+		basePower: 30,
+		category: "Physical",
+		name: "Astonish",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cute",
+	},
+	astralbarrage: {
+		num: 825,
+		accuracy: 100,
+		basePower: 120,
+		category: "Special",
+		name: "Astral Barrage",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "allAdjacentFoes",
+		type: "Ghost",
+	},
+	attackorder: {
+		num: 454,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "Attack Order",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Bug",
+		contestType: "Clever",
+	},
+	attract: {
+		num: 213,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Attract",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, bypasssub: 1, metronome: 1},
+		volatileStatus: "attract",
+		condition: {noCopy: true, onBeforeMovePriority: 2},
+		target: "normal",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	aurasphere: {
+		num: 396,
+		accuracy: true,
+		basePower: 80,
+		category: "Special",
+		name: "Aura Sphere",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, distance: 1, metronome: 1, bullet: 1, pulse: 1},
+		target: "any",
+		type: "Fighting",
+		contestType: "Beautiful",
+	},
+	aurawheel: {
+		num: 783,
+		accuracy: 100,
+		basePower: 110,
+		category: "Physical",
+		name: "Aura Wheel",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		secondary: {
+			chance: 100,
+			self: {
+				boosts: {spe: 1},
+			},
+		},
+		target: "normal",
+		type: "Electric",
+	},
+	aurorabeam: {
+		num: 62,
+		accuracy: 100,
+		basePower: 65,
+		category: "Special",
+		name: "Aurora Beam",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			boosts: {atk: -1},
+		},
+		target: "normal",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	auroraveil: {
+		num: 694,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Aurora Veil",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		sideCondition: "auroraveil",
+		condition: {duration: 5, onSideResidualOrder: 26, onSideResidualSubOrder: 10},
+		target: "allySide",
+		type: "Ice",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Beautiful",
+	},
+	autotomize: {
+		num: 475,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Autotomize",
+		pp: 15,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {spe: 2},
+		target: "self",
+		type: "Steel",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	avalanche: {
+		num: 419,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Avalanche",
+		pp: 10,
+		priority: -4,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	axekick: {
+		num: 853,
+		accuracy: 90,
+		basePower: 120,
+		category: "Physical",
+		name: "Axe Kick",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		hasCrashDamage: true,
+		secondary: {chance: 30, volatileStatus: "confusion"},
+		target: "normal",
+		type: "Fighting",
+	},
+	babydolleyes: {
+		num: 608,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Baby-Doll Eyes",
+		pp: 30,
+		priority: 1,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		boosts: {atk: -1},
+		target: "normal",
+		type: "Fairy",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cute",
+	},
+	baddybad: {
+		num: 737,
+		accuracy: 95,
+		basePower: 80,
+		category: "Special",
+		isNonstandard: "LGPE",
+		name: "Baddy Bad",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		self: {sideCondition: "reflect"},
+		target: "normal",
+		type: "Dark",
+		contestType: "Clever",
+	},
+	banefulbunker: {
+		num: 661,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Baneful Bunker",
+		pp: 10,
+		priority: 4,
+		flags: {noassist: 1, failcopycat: 1},
+		stallingMove: true,
+		volatileStatus: "banefulbunker",
+		condition: {duration: 1, onTryHitPriority: 3},
+		target: "self",
+		type: "Poison",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Tough",
+	},
+	barbbarrage: {
+		num: 839,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Barb Barrage",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 50, status: "psn"},
+		target: "normal",
+		type: "Poison",
+	},
+	barrage: {
+		num: 140,
+		accuracy: 85,
+		basePower: 15,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Barrage",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	barrier: {
+		num: 112,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Barrier",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {def: 2},
+		target: "self",
+		type: "Psychic",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cool",
+	},
+	batonpass: {
+		num: 226,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Baton Pass",
+		pp: 40,
+		priority: 0,
+		flags: {metronome: 1},
+		self: {},
+		selfSwitch: "copyvolatile",
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	beakblast: {
+		num: 690,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		name: "Beak Blast",
+		pp: 15,
+		priority: -3,
+		flags: {protect: 1, failmefirst: 1, nosleeptalk: 1, noassist: 1, failcopycat: 1, failinstruct: 1, bullet: 1},
+		condition: {duration: 1},
+		target: "normal",
+		type: "Flying",
+		contestType: "Tough",
+	},
+	beatup: {
+		num: 251,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Beat Up",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Dark",
+		contestType: "Clever",
+	},
+	behemothbash: {
+		num: 782,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		name: "Behemoth Bash",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, failcopycat: 1, failmimic: 1},
+		target: "normal",
+		type: "Steel",
+	},
+	behemothblade: {
+		num: 781,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		name: "Behemoth Blade",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, failcopycat: 1, failmimic: 1, slicing: 1},
+		target: "normal",
+		type: "Steel",
+	},
+	belch: {
+		num: 562,
+		accuracy: 90,
+		basePower: 120,
+		category: "Special",
+		name: "Belch",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, failmefirst: 1, nosleeptalk: 1, noassist: 1, failcopycat: 1, failmimic: 1, failinstruct: 1},
+		target: "normal",
+		type: "Poison",
+		contestType: "Tough",
+	},
+	bellydrum: {
+		num: 187,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Belly Drum",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "heal"},
+		contestType: "Cute",
+	},
+	bestow: {
+		num: 516,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Bestow",
+		pp: 15,
+		priority: 0,
+		flags: {mirror: 1, bypasssub: 1, allyanim: 1, noassist: 1, failcopycat: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 2},
+		},
+		contestType: "Cute",
+	},
+	bide: {
+		num: 117,
+		accuracy: true,
+		basePower: 0,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Bide",
+		pp: 10,
+		priority: 1,
+		flags: {contact: 1, protect: 1, metronome: 1, nosleeptalk: 1, failinstruct: 1},
+		volatileStatus: "bide",
+		ignoreImmunity: true,
+		condition: {duration: 3, onLockMove: "bide", onDamagePriority: -101},
+		target: "self",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	bind: {
+		num: 20,
+		accuracy: 85,
+		basePower: 15,
+		category: "Physical",
+		name: "Bind",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		volatileStatus: "partiallytrapped",
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	bite: {
+		num: 44,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Bite",
+		pp: 25,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, bite: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Dark",
+		contestType: "Tough",
+	},
+	bitterblade: {
+		num: 891,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "Bitter Blade",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, heal: 1, metronome: 1, slicing: 1},
+		drain: [1, 2],
+		target: "normal",
+		type: "Fire",
+	},
+	bittermalice: {
+		num: 841,
+		accuracy: 100,
+		basePower: 75,
+		category: "Special",
+		name: "Bitter Malice",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {atk: -1},
+		},
+		target: "normal",
+		type: "Ghost",
+	},
+	blackholeeclipse: {
+		num: 654,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Black Hole Eclipse",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "darkiniumz",
+		target: "normal",
+		type: "Dark",
+		contestType: "Cool",
+	},
+	blastburn: {
+		num: 307,
+		accuracy: 90,
+		basePower: 150,
+		category: "Special",
+		name: "Blast Burn",
+		pp: 5,
+		priority: 0,
+		flags: {recharge: 1, protect: 1, mirror: 1, metronome: 1},
+		self: {volatileStatus: "mustrecharge"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	blazekick: {
+		num: 299,
+		accuracy: 90,
+		basePower: 85,
+		category: "Physical",
+		name: "Blaze Kick",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		secondary: {chance: 10, status: "brn"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Cool",
+	},
+	blazingtorque: {
+		num: 896,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		isNonstandard: "Unobtainable",
+		name: "Blazing Torque",
+		pp: 10,
+		priority: 0,
+		flags: {
+			protect: 1,
+			failencore: 1,
+			failmefirst: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failcopycat: 1,
+			failmimic: 1,
+			failinstruct: 1,
+			nosketch: 1,
+		},
+		secondary: {chance: 30, status: "brn"},
+		target: "normal",
+		type: "Fire",
+	},
+	bleakwindstorm: {
+		num: 846,
+		accuracy: 80,
+		basePower: 100,
+		category: "Special",
+		name: "Bleakwind Storm",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, wind: 1},
+		secondary: {
+			chance: 30,
+			boosts: {spe: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Flying",
+	},
+	blizzard: {
+		num: 59,
+		accuracy: 70,
+		basePower: 110,
+		category: "Special",
+		name: "Blizzard",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, wind: 1},
+		secondary: {chance: 10, status: "frz"},
+		target: "allAdjacentFoes",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	block: {
+		num: 335,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Block",
+		pp: 5,
+		priority: 0,
+		flags: {reflectable: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cute",
+	},
+	bloodmoon: {
+		num: 901,
+		accuracy: 100,
+		basePower: 140,
+		category: "Special",
+		name: "Blood Moon",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, cantusetwice: 1},
+		target: "normal",
+		type: "Normal",
+	},
+	bloomdoom: {
+		num: 644,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Bloom Doom",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "grassiumz",
+		target: "normal",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	blueflare: {
+		num: 551,
+		accuracy: 85,
+		basePower: 130,
+		category: "Special",
+		name: "Blue Flare",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 20, status: "brn"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	bodypress: {
+		num: 776,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Body Press",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		overrideOffensiveStat: "def",
+		target: "normal",
+		type: "Fighting",
+	},
+	bodyslam: {
+		num: 34,
+		accuracy: 100,
+		basePower: 85,
+		category: "Physical",
+		name: "Body Slam",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, nonsky: 1, metronome: 1, minimize: 1},
+		secondary: {chance: 30, status: "par"},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	boltbeak: {
+		num: 754,
+		accuracy: 100,
+		basePower: 85,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Bolt Beak",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Electric",
+	},
+	boltstrike: {
+		num: 550,
+		accuracy: 85,
+		basePower: 130,
+		category: "Physical",
+		name: "Bolt Strike",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 20, status: "par"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Beautiful",
+	},
+	boneclub: {
+		num: 125,
+		accuracy: 85,
+		basePower: 65,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Bone Club",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Ground",
+		contestType: "Tough",
+	},
+	bonemerang: {
+		num: 155,
+		accuracy: 90,
+		basePower: 50,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Bonemerang",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		multihit: 2,
+		target: "normal",
+		type: "Ground",
+		maxMove: {basePower: 130},
+		contestType: "Tough",
+	},
+	bonerush: {
+		num: 198,
+		accuracy: 90,
+		basePower: 25,
+		category: "Physical",
+		name: "Bone Rush",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Ground",
+		zMove: {basePower: 140},
+		maxMove: {basePower: 130},
+		contestType: "Tough",
+	},
+	boomburst: {
+		num: 586,
+		accuracy: 100,
+		basePower: 140,
+		category: "Special",
+		name: "Boomburst",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		target: "allAdjacent",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	bounce: {
+		num: 340,
+		accuracy: 85,
+		basePower: 85,
+		category: "Physical",
+		name: "Bounce",
+		pp: 5,
+		priority: 0,
+		flags: {
+			contact: 1,
+			charge: 1,
+			protect: 1,
+			mirror: 1,
+			gravity: 1,
+			distance: 1,
+			metronome: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failinstruct: 1,
+		},
+		condition: {duration: 2},
+		secondary: {chance: 30, status: "par"},
+		target: "any",
+		type: "Flying",
+		contestType: "Cute",
+	},
+	bouncybubble: {
+		num: 733,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		isNonstandard: "LGPE",
+		name: "Bouncy Bubble",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, heal: 1},
+		drain: [1, 2],
+		target: "normal",
+		type: "Water",
+		contestType: "Clever",
+	},
+	branchpoke: {
+		num: 785,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Branch Poke",
+		pp: 40,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		target: "normal",
+		type: "Grass",
+	},
+	bravebird: {
+		num: 413,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Brave Bird",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, distance: 1, metronome: 1},
+		recoil: [33, 100],
+		target: "any",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	breakingswipe: {
+		num: 784,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Breaking Swipe",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		secondary: {
+			chance: 100,
+			boosts: {atk: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Dragon",
+	},
+	breakneckblitz: {
+		num: 622,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Breakneck Blitz",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "normaliumz",
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	brickbreak: {
+		num: 280,
+		accuracy: 100,
+		basePower: 75,
+		category: "Physical",
+		name: "Brick Break",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	brine: {
+		num: 362,
+		accuracy: 100,
+		basePower: 65,
+		category: "Special",
+		name: "Brine",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Water",
+		contestType: "Tough",
+	},
+	brutalswing: {
+		num: 693,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Brutal Swing",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "allAdjacent",
+		type: "Dark",
+		contestType: "Tough",
+	},
+	bubble: {
+		num: 145,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Bubble",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			boosts: {spe: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Water",
+		contestType: "Cute",
+	},
+	bubblebeam: {
+		num: 61,
+		accuracy: 100,
+		basePower: 65,
+		category: "Special",
+		name: "Bubble Beam",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			boosts: {spe: -1},
+		},
+		target: "normal",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	bugbite: {
+		num: 450,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Bug Bite",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Bug",
+		contestType: "Cute",
+	},
+	bugbuzz: {
+		num: 405,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Bug Buzz",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			boosts: {spd: -1},
+		},
+		target: "normal",
+		type: "Bug",
+		contestType: "Beautiful",
+	},
+	bulkup: {
+		num: 339,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Bulk Up",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {atk: 1, def: 1},
+		target: "self",
+		type: "Fighting",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Cool",
+	},
+	bulldoze: {
+		num: 523,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Bulldoze",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spe: -1},
+		},
+		target: "allAdjacent",
+		type: "Ground",
+		contestType: "Tough",
+	},
+	bulletpunch: {
+		num: 418,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Bullet Punch",
+		pp: 30,
+		priority: 1,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		target: "normal",
+		type: "Steel",
+		contestType: "Tough",
+	},
+	bulletseed: {
+		num: 331,
+		accuracy: 100,
+		basePower: 25,
+		category: "Physical",
+		name: "Bullet Seed",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Grass",
+		zMove: {basePower: 140},
+		maxMove: {basePower: 130},
+		contestType: "Cool",
+	},
+	burningbulwark: {
+		num: 908,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Burning Bulwark",
+		pp: 10,
+		priority: 4,
+		flags: {metronome: 1, noassist: 1, failcopycat: 1},
+		stallingMove: true,
+		volatileStatus: "burningbulwark",
+		condition: {duration: 1, onTryHitPriority: 3},
+		target: "self",
+		type: "Fire",
+	},
+	burningjealousy: {
+		num: 807,
+		accuracy: 100,
+		basePower: 70,
+		category: "Special",
+		name: "Burning Jealousy",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 100},
+		target: "allAdjacentFoes",
+		type: "Fire",
+		contestType: "Tough",
+	},
+	burnup: {
+		num: 682,
+		accuracy: 100,
+		basePower: 130,
+		category: "Special",
+		isNonstandard: "Unobtainable",
+		name: "Burn Up",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, defrost: 1, metronome: 1},
+		self: {},
+		target: "normal",
+		type: "Fire",
+		contestType: "Clever",
+	},
+	buzzybuzz: {
+		num: 734,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		isNonstandard: "LGPE",
+		name: "Buzzy Buzz",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		secondary: {chance: 100, status: "par"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Clever",
+	},
+	calmmind: {
+		num: 347,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Calm Mind",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {spa: 1, spd: 1},
+		target: "self",
+		type: "Psychic",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	camouflage: {
+		num: 293,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Camouflage",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {evasion: 1},
+		},
+		contestType: "Clever",
+	},
+	captivate: {
+		num: 445,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Captivate",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		boosts: {spa: -2},
+		target: "allAdjacentFoes",
+		type: "Normal",
+		zMove: {
+			boost: {spd: 2},
+		},
+		contestType: "Cute",
+	},
+	catastropika: {
+		num: 658,
+		accuracy: true,
+		basePower: 210,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Catastropika",
+		pp: 1,
+		priority: 0,
+		flags: {contact: 1},
+		isZ: "pikaniumz",
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	ceaselessedge: {
+		num: 845,
+		accuracy: 90,
+		basePower: 65,
+		category: "Physical",
+		name: "Ceaseless Edge",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		secondary: {},
+		target: "normal",
+		type: "Dark",
+	},
+	celebrate: {
+		num: 606,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Celebrate",
+		pp: 40,
+		priority: 0,
+		flags: {nosleeptalk: 1, noassist: 1, failcopycat: 1, failmimic: 1, failinstruct: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		},
+		contestType: "Cute",
+	},
+	charge: {
+		num: 268,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Charge",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		volatileStatus: "charge",
+		condition: {onBasePowerPriority: 9},
+		boosts: {spd: 1},
+		target: "self",
+		type: "Electric",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Clever",
+	},
+	chargebeam: {
+		num: 451,
+		accuracy: 90,
+		basePower: 50,
+		category: "Special",
+		name: "Charge Beam",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 70,
+			self: {
+				boosts: {spa: 1},
+			},
+		},
+		target: "normal",
+		type: "Electric",
+		contestType: "Beautiful",
+	},
+	charm: {
+		num: 204,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Charm",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		boosts: {atk: -2},
+		target: "normal",
+		type: "Fairy",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cute",
+	},
+	chatter: {
+		num: 448,
+		accuracy: 100,
+		basePower: 65,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Chatter",
+		pp: 20,
+		priority: 0,
+		flags: {
+			protect: 1,
+			mirror: 1,
+			sound: 1,
+			distance: 1,
+			bypasssub: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failcopycat: 1,
+			failmimic: 1,
+			failinstruct: 1,
+		},
+		secondary: {chance: 100, volatileStatus: "confusion"},
+		target: "any",
+		type: "Flying",
+		contestType: "Cute",
+	},
+	chillingwater: {
+		num: 886,
+		accuracy: 100,
+		basePower: 50,
+		category: "Special",
+		name: "Chilling Water",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		secondary: {
+			chance: 100,
+			boosts: {atk: -1},
+		},
+		target: "normal",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	chillyreception: {
+		num: 881,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Chilly Reception",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		weather: "snowscape",
+		selfSwitch: true,
+		condition: {duration: 1, onBeforeMovePriority: 100},
+		target: "all",
+		type: "Ice",
+	},
+	chipaway: {
+		num: 498,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Chip Away",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		ignoreDefensive: true,
+		ignoreEvasion: true,
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	chloroblast: {
+		num: 835,
+		accuracy: 95,
+		basePower: 150,
+		category: "Special",
+		name: "Chloroblast",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		chloroblastRecoil: true,
+		target: "normal",
+		type: "Grass",
+	},
+	circlethrow: {
+		num: 509,
+		accuracy: 90,
+		basePower: 60,
+		category: "Physical",
+		name: "Circle Throw",
+		pp: 10,
+		priority: -6,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, noassist: 1, failcopycat: 1},
+		forceSwitch: true,
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	clamp: {
+		num: 128,
+		accuracy: 85,
+		basePower: 35,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Clamp",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		volatileStatus: "partiallytrapped",
+		target: "normal",
+		type: "Water",
+		contestType: "Tough",
+	},
+	clangingscales: {
+		num: 691,
+		accuracy: 100,
+		basePower: 110,
+		category: "Special",
+		name: "Clanging Scales",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		selfBoost: {
+			boosts: {def: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Dragon",
+		contestType: "Tough",
+	},
+	clangoroussoul: {
+		num: 775,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Clangorous Soul",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, sound: 1, dance: 1},
+		boosts: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		target: "self",
+		type: "Dragon",
+	},
+	clangoroussoulblaze: {
+		num: 728,
+		accuracy: true,
+		basePower: 185,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Clangorous Soulblaze",
+		pp: 1,
+		priority: 0,
+		flags: {sound: 1, bypasssub: 1},
+		selfBoost: {
+			boosts: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		},
+		isZ: "kommoniumz",
+		secondary: {},
+		target: "allAdjacentFoes",
+		type: "Dragon",
+		contestType: "Cool",
+	},
+	clearsmog: {
+		num: 499,
+		accuracy: true,
+		basePower: 50,
+		category: "Special",
+		name: "Clear Smog",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Poison",
+		contestType: "Beautiful",
+	},
+	closecombat: {
+		num: 370,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Close Combat",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		self: {
+			boosts: {def: -1, spd: -1},
+		},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	coaching: {
+		num: 811,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Coaching",
+		pp: 10,
+		priority: 0,
+		flags: {bypasssub: 1, allyanim: 1, metronome: 1},
+		boosts: {atk: 1, def: 1},
+		target: "adjacentAlly",
+		type: "Fighting",
+	},
+	coil: {
+		num: 489,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Coil",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {atk: 1, def: 1, accuracy: 1},
+		target: "self",
+		type: "Poison",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Tough",
+	},
+	collisioncourse: {
+		num: 878,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		name: "Collision Course",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	combattorque: {
+		num: 899,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		isNonstandard: "Unobtainable",
+		name: "Combat Torque",
+		pp: 10,
+		priority: 0,
+		flags: {
+			protect: 1,
+			failencore: 1,
+			failmefirst: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failcopycat: 1,
+			failmimic: 1,
+			failinstruct: 1,
+			nosketch: 1,
+		},
+		secondary: {chance: 30, status: "par"},
+		target: "normal",
+		type: "Fighting",
+	},
+	cometpunch: {
+		num: 4,
+		accuracy: 85,
+		basePower: 18,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Comet Punch",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Normal",
+		maxMove: {basePower: 100},
+		contestType: "Tough",
+	},
+	comeuppance: {
+		num: 894,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Comeuppance",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, failmefirst: 1},
+		target: "scripted",
+		type: "Dark",
+		contestType: "Cool",
+	},
+	confide: {
+		num: 590,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Confide",
+		pp: 20,
+		priority: 0,
+		flags: {reflectable: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		boosts: {spa: -1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Cute",
+	},
+	confuseray: {
+		num: 109,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Confuse Ray",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		volatileStatus: "confusion",
+		target: "normal",
+		type: "Ghost",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	confusion: {
+		num: 93,
+		accuracy: 100,
+		basePower: 50,
+		category: "Special",
+		name: "Confusion",
+		pp: 25,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, volatileStatus: "confusion"},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	constrict: {
+		num: 132,
+		accuracy: 100,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Constrict",
+		pp: 35,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			boosts: {spe: -1},
+		},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	continentalcrush: {
+		num: 632,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Continental Crush",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "rockiumz",
+		target: "normal",
+		type: "Rock",
+		contestType: "Cool",
+	},
+	conversion: {
+		num: 160,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Conversion",
+		pp: 30,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		},
+		contestType: "Beautiful",
+	},
+	conversion2: {
+		num: 176,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Conversion 2",
+		pp: 30,
+		priority: 0,
+		flags: {bypasssub: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {effect: "heal"},
+		contestType: "Beautiful",
+	},
+	copycat: {
+		num: 383,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Copycat",
+		pp: 20,
+		priority: 0,
+		flags: {failencore: 1, nosleeptalk: 1, noassist: 1, failcopycat: 1, failmimic: 1, failinstruct: 1},
+		callsMove: true,
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {accuracy: 1},
+		},
+		contestType: "Cute",
+	},
+	coreenforcer: {
+		num: 687,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Core Enforcer",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "allAdjacentFoes",
+		type: "Dragon",
+		zMove: {basePower: 140},
+		contestType: "Tough",
+	},
+	corkscrewcrash: {
+		num: 638,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Corkscrew Crash",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "steeliumz",
+		target: "normal",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	corrosivegas: {
+		num: 810,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Unobtainable",
+		name: "Corrosive Gas",
+		pp: 40,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		target: "allAdjacent",
+		type: "Poison",
+	},
+	cosmicpower: {
+		num: 322,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Cosmic Power",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {def: 1, spd: 1},
+		target: "self",
+		type: "Psychic",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Beautiful",
+	},
+	cottonguard: {
+		num: 538,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Cotton Guard",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {def: 3},
+		target: "self",
+		type: "Grass",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	cottonspore: {
+		num: 178,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Cotton Spore",
+		pp: 40,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1, powder: 1},
+		boosts: {spe: -2},
+		target: "allAdjacentFoes",
+		type: "Grass",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	counter: {
+		num: 68,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Counter",
+		pp: 20,
+		priority: -5,
+		flags: {contact: 1, protect: 1, failmefirst: 1, noassist: 1, failcopycat: 1},
+		condition: {duration: 1, noCopy: true, onRedirectTargetPriority: -1},
+		target: "scripted",
+		type: "Fighting",
+		maxMove: {basePower: 75},
+		contestType: "Tough",
+	},
+	courtchange: {
+		num: 756,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Court Change",
+		pp: 10,
+		priority: 0,
+		flags: {mirror: 1, metronome: 1},
+		target: "all",
+		type: "Normal",
+	},
+	covet: {
+		num: 343,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Covet",
+		pp: 25,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, failmefirst: 1, noassist: 1, failcopycat: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	crabhammer: {
+		num: 152,
+		accuracy: 90,
+		basePower: 100,
+		category: "Physical",
+		name: "Crabhammer",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Water",
+		contestType: "Tough",
+	},
+	craftyshield: {
+		num: 578,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Crafty Shield",
+		pp: 10,
+		priority: 3,
+		flags: {},
+		sideCondition: "craftyshield",
+		condition: {duration: 1, onTryHitPriority: 3},
+		target: "allySide",
+		type: "Fairy",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Clever",
+	},
+	crosschop: {
+		num: 238,
+		accuracy: 80,
+		basePower: 100,
+		category: "Physical",
+		name: "Cross Chop",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	crosspoison: {
+		num: 440,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "Cross Poison",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		secondary: {chance: 10, status: "psn"},
+		critRatio: 2,
+		target: "normal",
+		type: "Poison",
+		contestType: "Cool",
+	},
+	crunch: {
+		num: 242,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Crunch",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, bite: 1},
+		secondary: {
+			chance: 20,
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Dark",
+		contestType: "Tough",
+	},
+	crushclaw: {
+		num: 306,
+		accuracy: 95,
+		basePower: 75,
+		category: "Physical",
+		name: "Crush Claw",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 50,
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	crushgrip: {
+		num: 462,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Crush Grip",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 190},
+		maxMove: {basePower: 140},
+		contestType: "Tough",
+	},
+	curse: {
+		num: 174,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Curse",
+		pp: 10,
+		priority: 0,
+		flags: {bypasssub: 1, metronome: 1},
+		volatileStatus: "curse",
+		condition: {onResidualOrder: 12},
+		target: "normal",
+		nonGhostTarget: "self",
+		type: "Ghost",
+		zMove: {effect: "curse"},
+		contestType: "Tough",
+	},
+	cut: {
+		num: 15,
+		accuracy: 95,
+		basePower: 50,
+		category: "Physical",
+		isNonstandard: "Unobtainable",
+		name: "Cut",
+		pp: 30,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	darkestlariat: {
+		num: 663,
+		accuracy: 100,
+		basePower: 85,
+		category: "Physical",
+		name: "Darkest Lariat",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		ignoreEvasion: true,
+		ignoreDefensive: true,
+		target: "normal",
+		type: "Dark",
+		contestType: "Cool",
+	},
+	darkpulse: {
+		num: 399,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Dark Pulse",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, distance: 1, metronome: 1, pulse: 1},
+		secondary: {chance: 20, volatileStatus: "flinch"},
+		target: "any",
+		type: "Dark",
+		contestType: "Cool",
+	},
+	darkvoid: {
+		num: 464,
+		accuracy: 50,
+		basePower: 0,
+		category: "Status",
+		name: "Dark Void",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1, nosketch: 1},
+		status: "slp",
+		target: "allAdjacentFoes",
+		type: "Dark",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	dazzlinggleam: {
+		num: 605,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Dazzling Gleam",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "allAdjacentFoes",
+		type: "Fairy",
+		contestType: "Beautiful",
+	},
+	decorate: {
+		num: 777,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Decorate",
+		pp: 15,
+		priority: 0,
+		flags: {allyanim: 1},
+		boosts: {atk: 2, spa: 2},
+		target: "normal",
+		type: "Fairy",
+	},
+	defendorder: {
+		num: 455,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Defend Order",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {def: 1, spd: 1},
+		target: "self",
+		type: "Bug",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Clever",
+	},
+	defensecurl: {
+		num: 111,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Defense Curl",
+		pp: 40,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {def: 1},
+		volatileStatus: "defensecurl",
+		condition: {noCopy: true},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {accuracy: 1},
+		},
+		contestType: "Cute",
+	},
+	defog: {
+		num: 432,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Defog",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, bypasssub: 1, metronome: 1},
+		target: "normal",
+		type: "Flying",
+		zMove: {
+			boost: {accuracy: 1},
+		},
+		contestType: "Cool",
+	},
+	destinybond: {
+		num: 194,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Destiny Bond",
+		pp: 5,
+		priority: 0,
+		flags: {bypasssub: 1, noassist: 1, failcopycat: 1},
+		volatileStatus: "destinybond",
+		condition: {noCopy: true, onBeforeMovePriority: -1},
+		target: "self",
+		type: "Ghost",
+		zMove: {effect: "redirect"},
+		contestType: "Clever",
+	},
+	detect: {
+		num: 197,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Detect",
+		pp: 5,
+		priority: 4,
+		flags: {noassist: 1, failcopycat: 1},
+		stallingMove: true,
+		volatileStatus: "protect",
+		target: "self",
+		type: "Fighting",
+		zMove: {
+			boost: {evasion: 1},
+		},
+		contestType: "Cool",
+	},
+	devastatingdrake: {
+		num: 652,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Devastating Drake",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "dragoniumz",
+		target: "normal",
+		type: "Dragon",
+		contestType: "Cool",
+	},
+	diamondstorm: {
+		num: 591,
+		accuracy: 95,
+		basePower: 100,
+		category: "Physical",
+		name: "Diamond Storm",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		self: {
+			chance: 50,
+			boosts: {def: 2},
+		},
+		secondary: {},
+		target: "allAdjacentFoes",
+		type: "Rock",
+		contestType: "Beautiful",
+	},
+	dig: {
+		num: 91,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Dig",
+		pp: 10,
+		priority: 0,
+		flags: {
+			contact: 1,
+			charge: 1,
+			protect: 1,
+			mirror: 1,
+			nonsky: 1,
+			metronome: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failinstruct: 1,
+		},
+		condition: {duration: 2},
+		target: "normal",
+		type: "Ground",
+		contestType: "Tough",
+	},
+	direclaw: {
+		num: 827,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Dire Claw",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 50},
+		target: "normal",
+		type: "Poison",
+	},
+	disable: {
+		num: 50,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Disable",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, bypasssub: 1, metronome: 1},
+		volatileStatus: "disable",
+		condition: {duration: 5, noCopy: true, onResidualOrder: 17, onBeforeMovePriority: 7},
+		target: "normal",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	disarmingvoice: {
+		num: 574,
+		accuracy: true,
+		basePower: 40,
+		category: "Special",
+		name: "Disarming Voice",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		target: "allAdjacentFoes",
+		type: "Fairy",
+		contestType: "Cute",
+	},
+	discharge: {
+		num: 435,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Discharge",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "par"},
+		target: "allAdjacent",
+		type: "Electric",
+		contestType: "Beautiful",
+	},
+	dive: {
+		num: 291,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Dive",
+		pp: 10,
+		priority: 0,
+		flags: {
+			contact: 1,
+			charge: 1,
+			protect: 1,
+			mirror: 1,
+			nonsky: 1,
+			allyanim: 1,
+			metronome: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failinstruct: 1,
+		},
+		condition: {duration: 2},
+		target: "normal",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	dizzypunch: {
+		num: 146,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Dizzy Punch",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		secondary: {chance: 20, volatileStatus: "confusion"},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	doodle: {
+		num: 867,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Doodle",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		target: "adjacentFoe",
+		type: "Normal",
+	},
+	doomdesire: {
+		num: 353,
+		accuracy: 100,
+		basePower: 140,
+		category: "Special",
+		name: "Doom Desire",
+		pp: 5,
+		priority: 0,
+		flags: {metronome: 1, futuremove: 1},
+		target: "normal",
+		type: "Steel",
+		contestType: "Beautiful",
+	},
+	doubleedge: {
+		num: 38,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Double-Edge",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		recoil: [33, 100],
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	doublehit: {
+		num: 458,
+		accuracy: 90,
+		basePower: 35,
+		category: "Physical",
+		name: "Double Hit",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: 2,
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 140},
+		maxMove: {basePower: 120},
+		contestType: "Cool",
+	},
+	doubleironbash: {
+		num: 742,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Double Iron Bash",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1},
+		multihit: 2,
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Steel",
+		zMove: {basePower: 180},
+		maxMove: {basePower: 140},
+		contestType: "Clever",
+	},
+	doublekick: {
+		num: 24,
+		accuracy: 100,
+		basePower: 30,
+		category: "Physical",
+		name: "Double Kick",
+		pp: 30,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: 2,
+		target: "normal",
+		type: "Fighting",
+		maxMove: {basePower: 80},
+		contestType: "Cool",
+	},
+	doubleshock: {
+		num: 892,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Double Shock",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		self: {},
+		target: "normal",
+		type: "Electric",
+		contestType: "Clever",
+	},
+	doubleslap: {
+		num: 3,
+		accuracy: 85,
+		basePower: 15,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Double Slap",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	doubleteam: {
+		num: 104,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Double Team",
+		pp: 15,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {evasion: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cool",
+	},
+	dracometeor: {
+		num: 434,
+		accuracy: 90,
+		basePower: 130,
+		category: "Special",
+		name: "Draco Meteor",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		self: {
+			boosts: {spa: -2},
+		},
+		target: "normal",
+		type: "Dragon",
+		contestType: "Beautiful",
+	},
+	dragonascent: {
+		num: 620,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Dragon Ascent",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, distance: 1},
+		self: {
+			boosts: {def: -1, spd: -1},
+		},
+		target: "any",
+		type: "Flying",
+		contestType: "Beautiful",
+	},
+	dragonbreath: {
+		num: 225,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		name: "Dragon Breath",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "par"},
+		target: "normal",
+		type: "Dragon",
+		contestType: "Cool",
+	},
+	dragoncheer: {
+		num: 913,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Dragon Cheer",
+		pp: 15,
+		priority: 0,
+		flags: {bypasssub: 1, allyanim: 1, metronome: 1},
+		volatileStatus: "dragoncheer",
+		condition: {},
+		target: "adjacentAlly",
+		type: "Dragon",
+	},
+	dragonclaw: {
+		num: 337,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Dragon Claw",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dragon",
+		contestType: "Cool",
+	},
+	dragondance: {
+		num: 349,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Dragon Dance",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, dance: 1, metronome: 1},
+		boosts: {atk: 1, spe: 1},
+		target: "self",
+		type: "Dragon",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cool",
+	},
+	dragondarts: {
+		num: 751,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Dragon Darts",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, noparentalbond: 1},
+		multihit: 2,
+		smartTarget: true,
+		target: "normal",
+		type: "Dragon",
+		maxMove: {basePower: 130},
+	},
+	dragonenergy: {
+		num: 820,
+		accuracy: 100,
+		basePower: 150,
+		category: "Special",
+		name: "Dragon Energy",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "allAdjacentFoes",
+		type: "Dragon",
+	},
+	dragonhammer: {
+		num: 692,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "Dragon Hammer",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dragon",
+		contestType: "Tough",
+	},
+	dragonpulse: {
+		num: 406,
+		accuracy: 100,
+		basePower: 85,
+		category: "Special",
+		name: "Dragon Pulse",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, distance: 1, metronome: 1, pulse: 1},
+		target: "any",
+		type: "Dragon",
+		contestType: "Beautiful",
+	},
+	dragonrage: {
+		num: 82,
+		accuracy: 100,
+		basePower: 0,
+		damage: 40,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Dragon Rage",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dragon",
+		contestType: "Cool",
+	},
+	dragonrush: {
+		num: 407,
+		accuracy: 75,
+		basePower: 100,
+		category: "Physical",
+		name: "Dragon Rush",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, minimize: 1},
+		secondary: {chance: 20, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Dragon",
+		contestType: "Tough",
+	},
+	dragontail: {
+		num: 525,
+		accuracy: 90,
+		basePower: 60,
+		category: "Physical",
+		name: "Dragon Tail",
+		pp: 10,
+		priority: -6,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, noassist: 1, failcopycat: 1},
+		forceSwitch: true,
+		target: "normal",
+		type: "Dragon",
+		contestType: "Tough",
+	},
+	drainingkiss: {
+		num: 577,
+		accuracy: 100,
+		basePower: 50,
+		category: "Special",
+		name: "Draining Kiss",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, heal: 1, metronome: 1},
+		drain: [3, 4],
+		target: "normal",
+		type: "Fairy",
+		contestType: "Cute",
+	},
+	drainpunch: {
+		num: 409,
+		accuracy: 100,
+		basePower: 75,
+		category: "Physical",
+		name: "Drain Punch",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, heal: 1, metronome: 1},
+		drain: [1, 2],
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	dreameater: {
+		num: 138,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		name: "Dream Eater",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, heal: 1, metronome: 1},
+		drain: [1, 2],
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	drillpeck: {
+		num: 65,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Drill Peck",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, distance: 1, metronome: 1},
+		target: "any",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	drillrun: {
+		num: 529,
+		accuracy: 95,
+		basePower: 80,
+		category: "Physical",
+		name: "Drill Run",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Ground",
+		contestType: "Tough",
+	},
+	drumbeating: {
+		num: 778,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Drum Beating",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spe: -1},
+		},
+		target: "normal",
+		type: "Grass",
+	},
+	dualchop: {
+		num: 530,
+		accuracy: 90,
+		basePower: 40,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Dual Chop",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: 2,
+		target: "normal",
+		type: "Dragon",
+		maxMove: {basePower: 130},
+		contestType: "Tough",
+	},
+	dualwingbeat: {
+		num: 814,
+		accuracy: 90,
+		basePower: 40,
+		category: "Physical",
+		name: "Dual Wingbeat",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: 2,
+		target: "normal",
+		type: "Flying",
+		maxMove: {basePower: 130},
+	},
+	dynamaxcannon: {
+		num: 744,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		name: "Dynamax Cannon",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, failencore: 1, nosleeptalk: 1, failcopycat: 1, failmimic: 1, failinstruct: 1, noparentalbond: 1},
+		target: "normal",
+		type: "Dragon",
+	},
+	dynamicpunch: {
+		num: 223,
+		accuracy: 50,
+		basePower: 100,
+		category: "Physical",
+		name: "Dynamic Punch",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		secondary: {chance: 100, volatileStatus: "confusion"},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	earthpower: {
+		num: 414,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Earth Power",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			boosts: {spd: -1},
+		},
+		target: "normal",
+		type: "Ground",
+		contestType: "Beautiful",
+	},
+	earthquake: {
+		num: 89,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		name: "Earthquake",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		target: "allAdjacent",
+		type: "Ground",
+		contestType: "Tough",
+	},
+	echoedvoice: {
+		num: 497,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Echoed Voice",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		condition: {duration: 2},
+		target: "normal",
+		type: "Normal",
+		contestType: "Beautiful",
+	},
+	eerieimpulse: {
+		num: 598,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Eerie Impulse",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		boosts: {spa: -2},
+		target: "normal",
+		type: "Electric",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Clever",
+	},
+	eeriespell: {
+		num: 826,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Eerie Spell",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		secondary: {chance: 100},
+		target: "normal",
+		type: "Psychic",
+	},
+	eggbomb: {
+		num: 121,
+		accuracy: 75,
+		basePower: 100,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Egg Bomb",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	electricterrain: {
+		num: 604,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Electric Terrain",
+		pp: 10,
+		priority: 0,
+		flags: {nonsky: 1, metronome: 1},
+		terrain: "electricterrain",
+		condition: {
+			effectType: "Terrain",
+			duration: 5,
+			onBasePowerPriority: 6,
+			onFieldResidualOrder: 27,
+			onFieldResidualSubOrder: 7,
+		},
+		target: "all",
+		type: "Electric",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	electrify: {
+		num: 582,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Electrify",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, allyanim: 1, metronome: 1},
+		volatileStatus: "electrify",
+		condition: {duration: 1, onModifyTypePriority: -2},
+		target: "normal",
+		type: "Electric",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	electroball: {
+		num: 486,
+		accuracy: 100,
+		basePower: 0,
+		category: "Special",
+		name: "Electro Ball",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		target: "normal",
+		type: "Electric",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Cool",
+	},
+	electrodrift: {
+		num: 879,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		name: "Electro Drift",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	electroshot: {
+		num: 905,
+		accuracy: 100,
+		basePower: 130,
+		category: "Special",
+		name: "Electro Shot",
+		pp: 10,
+		priority: 0,
+		flags: {charge: 1, protect: 1, mirror: 1, metronome: 1},
+		hasSheerForceBoost: true,
+		target: "normal",
+		type: "Electric",
+	},
+	electroweb: {
+		num: 527,
+		accuracy: 95,
+		basePower: 55,
+		category: "Special",
+		name: "Electroweb",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spe: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Electric",
+		contestType: "Beautiful",
+	},
+	embargo: {
+		num: 373,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Embargo",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		volatileStatus: "embargo",
+		condition: {duration: 5, onResidualOrder: 21},
+		target: "normal",
+		type: "Dark",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	ember: {
+		num: 52,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Ember",
+		pp: 25,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, status: "brn"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Cute",
+	},
+	encore: {
+		num: 227,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Encore",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, bypasssub: 1, metronome: 1, failencore: 1},
+		volatileStatus: "encore",
+		condition: {duration: 3, noCopy: true, onResidualOrder: 16},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Cute",
+	},
+	endeavor: {
+		num: 283,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Endeavor",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, noparentalbond: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Tough",
+	},
+	endure: {
+		num: 203,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Endure",
+		pp: 10,
+		priority: 4,
+		flags: {noassist: 1, failcopycat: 1},
+		stallingMove: true,
+		volatileStatus: "endure",
+		condition: {duration: 1, onDamagePriority: -10},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Tough",
+	},
+	energyball: {
+		num: 412,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Energy Ball",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		secondary: {
+			chance: 10,
+			boosts: {spd: -1},
+		},
+		target: "normal",
+		type: "Grass",
+		contestType: "Beautiful",
+	},
+	entrainment: {
+		num: 494,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Entrainment",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Cute",
+	},
+	eruption: {
+		num: 284,
+		accuracy: 100,
+		basePower: 150,
+		category: "Special",
+		name: "Eruption",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "allAdjacentFoes",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	esperwing: {
+		num: 840,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Esper Wing",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		secondary: {
+			chance: 100,
+			self: {
+				boosts: {spe: 1},
+			},
+		},
+		target: "normal",
+		type: "Psychic",
+	},
+	eternabeam: {
+		num: 795,
+		accuracy: 90,
+		basePower: 160,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Eternabeam",
+		pp: 5,
+		priority: 0,
+		flags: {recharge: 1, protect: 1, mirror: 1},
+		self: {volatileStatus: "mustrecharge"},
+		target: "normal",
+		type: "Dragon",
+	},
+	expandingforce: {
+		num: 797,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Expanding Force",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+	},
+	explosion: {
+		num: 153,
+		accuracy: 100,
+		basePower: 250,
+		category: "Physical",
+		name: "Explosion",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, noparentalbond: 1},
+		selfdestruct: "always",
+		target: "allAdjacent",
+		type: "Normal",
+		contestType: "Beautiful",
+	},
+	extrasensory: {
+		num: 326,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Extrasensory",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Cool",
+	},
+	extremeevoboost: {
+		num: 702,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Extreme Evoboost",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "eeviumz",
+		boosts: {atk: 2, def: 2, spa: 2, spd: 2, spe: 2},
+		target: "self",
+		type: "Normal",
+		contestType: "Beautiful",
+	},
+	extremespeed: {
+		num: 245,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Extreme Speed",
+		pp: 5,
+		priority: 2,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	facade: {
+		num: 263,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "Facade",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	fairylock: {
+		num: 587,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Fairy Lock",
+		pp: 10,
+		priority: 0,
+		flags: {mirror: 1, bypasssub: 1, metronome: 1},
+		pseudoWeather: "fairylock",
+		condition: {duration: 2},
+		target: "all",
+		type: "Fairy",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Clever",
+	},
+	fairywind: {
+		num: 584,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Fairy Wind",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, wind: 1},
+		target: "normal",
+		type: "Fairy",
+		contestType: "Beautiful",
+	},
+	fakeout: {
+		num: 252,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Fake Out",
+		pp: 10,
+		priority: 3,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 100, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	faketears: {
+		num: 313,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Fake Tears",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		boosts: {spd: -2},
+		target: "normal",
+		type: "Dark",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Cute",
+	},
+	falsesurrender: {
+		num: 793,
+		accuracy: true,
+		basePower: 80,
+		category: "Physical",
+		name: "False Surrender",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		target: "normal",
+		type: "Dark",
+	},
+	falseswipe: {
+		num: 206,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "False Swipe",
+		pp: 40,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		onDamagePriority: -20,
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	featherdance: {
+		num: 297,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Feather Dance",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, dance: 1, allyanim: 1, metronome: 1},
+		boosts: {atk: -2},
+		target: "normal",
+		type: "Flying",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Beautiful",
+	},
+	feint: {
+		num: 364,
+		accuracy: 100,
+		basePower: 30,
+		category: "Physical",
+		name: "Feint",
+		pp: 10,
+		priority: 2,
+		flags: {mirror: 1, noassist: 1, failcopycat: 1},
+		breaksProtect: true,
+		target: "normal",
+		type: "Normal",
+		contestType: "Clever",
+	},
+	feintattack: {
+		num: 185,
+		accuracy: true,
+		basePower: 60,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Feint Attack",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dark",
+		contestType: "Clever",
+	},
+	fellstinger: {
+		num: 565,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Fell Stinger",
+		pp: 25,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Bug",
+		contestType: "Cool",
+	},
+	ficklebeam: {
+		num: 907,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Fickle Beam",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dragon",
+	},
+	fierydance: {
+		num: 552,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Fiery Dance",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, dance: 1, metronome: 1},
+		secondary: {
+			chance: 50,
+			self: {
+				boosts: {spa: 1},
+			},
+		},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	fierywrath: {
+		num: 822,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Fiery Wrath",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		secondary: {chance: 20, volatileStatus: "flinch"},
+		target: "allAdjacentFoes",
+		type: "Dark",
+	},
+	filletaway: {
+		num: 868,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Fillet Away",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1},
+		boosts: {atk: 2, spa: 2, spe: 2},
+		target: "self",
+		type: "Normal",
+	},
+	finalgambit: {
+		num: 515,
+		accuracy: 100,
+		basePower: 0,
+		selfdestruct: "ifHit",
+		category: "Special",
+		name: "Final Gambit",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, metronome: 1, noparentalbond: 1},
+		target: "normal",
+		type: "Fighting",
+		zMove: {basePower: 180},
+		contestType: "Tough",
+	},
+	fireblast: {
+		num: 126,
+		accuracy: 85,
+		basePower: 110,
+		category: "Special",
+		name: "Fire Blast",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, status: "brn"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	firefang: {
+		num: 424,
+		accuracy: 95,
+		basePower: 65,
+		category: "Physical",
+		name: "Fire Fang",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, bite: 1},
+		secondaries: [
+			{chance: 10, status: "brn"},
+			{chance: 10, volatileStatus: "flinch"},
+		],
+		target: "normal",
+		type: "Fire",
+		contestType: "Cool",
+	},
+	firelash: {
+		num: 680,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Fire Lash",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Fire",
+		contestType: "Cute",
+	},
+	firepledge: {
+		num: 519,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Fire Pledge",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1, pledgecombo: 1},
+		condition: {duration: 4, onResidualOrder: 5, onResidualSubOrder: 1, onSideResidualOrder: 26, onSideResidualSubOrder: 8},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	firepunch: {
+		num: 7,
+		accuracy: 100,
+		basePower: 75,
+		category: "Physical",
+		name: "Fire Punch",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		secondary: {chance: 10, status: "brn"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Tough",
+	},
+	firespin: {
+		num: 83,
+		accuracy: 85,
+		basePower: 35,
+		category: "Special",
+		name: "Fire Spin",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		volatileStatus: "partiallytrapped",
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	firstimpression: {
+		num: 660,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "First Impression",
+		pp: 10,
+		priority: 2,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Bug",
+		contestType: "Cute",
+	},
+	fishiousrend: {
+		num: 755,
+		accuracy: 100,
+		basePower: 85,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Fishious Rend",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, bite: 1},
+		target: "normal",
+		type: "Water",
+	},
+	fissure: {
+		num: 90,
+		accuracy: 30,
+		basePower: 0,
+		category: "Physical",
+		name: "Fissure",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		ohko: true,
+		target: "normal",
+		type: "Ground",
+		zMove: {basePower: 180},
+		maxMove: {basePower: 130},
+		contestType: "Tough",
+	},
+	flail: {
+		num: 175,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Flail",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Cute",
+	},
+	flameburst: {
+		num: 481,
+		accuracy: 100,
+		basePower: 70,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Flame Burst",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	flamecharge: {
+		num: 488,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Flame Charge",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			self: {
+				boosts: {spe: 1},
+			},
+		},
+		target: "normal",
+		type: "Fire",
+		contestType: "Cool",
+	},
+	flamethrower: {
+		num: 53,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Flamethrower",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, status: "brn"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	flamewheel: {
+		num: 172,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Flame Wheel",
+		pp: 25,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, defrost: 1, metronome: 1},
+		secondary: {chance: 10, status: "brn"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	flareblitz: {
+		num: 394,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Flare Blitz",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, defrost: 1, metronome: 1},
+		recoil: [33, 100],
+		secondary: {chance: 10, status: "brn"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Cool",
+	},
+	flash: {
+		num: 148,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Flash",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		boosts: {accuracy: -1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {evasion: 1},
+		},
+		contestType: "Beautiful",
+	},
+	flashcannon: {
+		num: 430,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Flash Cannon",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			boosts: {spd: -1},
+		},
+		target: "normal",
+		type: "Steel",
+		contestType: "Beautiful",
+	},
+	flatter: {
+		num: 260,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Flatter",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		volatileStatus: "confusion",
+		boosts: {spa: 1},
+		target: "normal",
+		type: "Dark",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Clever",
+	},
+	fleurcannon: {
+		num: 705,
+		accuracy: 90,
+		basePower: 130,
+		category: "Special",
+		name: "Fleur Cannon",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		self: {
+			boosts: {spa: -2},
+		},
+		target: "normal",
+		type: "Fairy",
+		contestType: "Beautiful",
+	},
+	fling: {
+		num: 374,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Fling",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, allyanim: 1, metronome: 1, noparentalbond: 1},
+		condition: {},
+		target: "normal",
+		type: "Dark",
+		contestType: "Cute",
+	},
+	flipturn: {
+		num: 812,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Flip Turn",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		selfSwitch: true,
+		target: "normal",
+		type: "Water",
+	},
+	floatyfall: {
+		num: 731,
+		accuracy: 95,
+		basePower: 90,
+		category: "Physical",
+		isNonstandard: "LGPE",
+		name: "Floaty Fall",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, gravity: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	floralhealing: {
+		num: 666,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Floral Healing",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, heal: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Fairy",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	flowershield: {
+		num: 579,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Flower Shield",
+		pp: 10,
+		priority: 0,
+		flags: {distance: 1, metronome: 1},
+		target: "all",
+		type: "Fairy",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Beautiful",
+	},
+	flowertrick: {
+		num: 870,
+		accuracy: true,
+		basePower: 70,
+		category: "Physical",
+		name: "Flower Trick",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		willCrit: true,
+		target: "normal",
+		type: "Grass",
+	},
+	fly: {
+		num: 19,
+		accuracy: 95,
+		basePower: 90,
+		category: "Physical",
+		name: "Fly",
+		pp: 15,
+		priority: 0,
+		flags: {
+			contact: 1,
+			charge: 1,
+			protect: 1,
+			mirror: 1,
+			gravity: 1,
+			distance: 1,
+			metronome: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failinstruct: 1,
+		},
+		condition: {duration: 2},
+		target: "any",
+		type: "Flying",
+		contestType: "Clever",
+	},
+	flyingpress: {
+		num: 560,
+		accuracy: 95,
+		basePower: 100,
+		category: "Physical",
+		name: "Flying Press",
+		pp: 10,
+		flags: {contact: 1, protect: 1, mirror: 1, gravity: 1, distance: 1, nonsky: 1, metronome: 1, minimize: 1},
+		priority: 0,
+		target: "any",
+		type: "Fighting",
+		zMove: {basePower: 170},
+		contestType: "Tough",
+	},
+	focusblast: {
+		num: 411,
+		accuracy: 70,
+		basePower: 120,
+		category: "Special",
+		name: "Focus Blast",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		secondary: {
+			chance: 10,
+			boosts: {spd: -1},
+		},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	focusenergy: {
+		num: 116,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Focus Energy",
+		pp: 30,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		volatileStatus: "focusenergy",
+		condition: {},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {accuracy: 1},
+		},
+		contestType: "Cool",
+	},
+	focuspunch: {
+		num: 264,
+		accuracy: 100,
+		basePower: 150,
+		category: "Physical",
+		name: "Focus Punch",
+		pp: 20,
+		priority: -3,
+		flags: {contact: 1, protect: 1, punch: 1, failmefirst: 1, nosleeptalk: 1, noassist: 1, failcopycat: 1, failinstruct: 1},
+		condition: {duration: 1},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	followme: {
+		num: 266,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Follow Me",
+		pp: 20,
+		priority: 2,
+		flags: {noassist: 1, failcopycat: 1},
+		volatileStatus: "followme",
+		condition: {duration: 1, onFoeRedirectTargetPriority: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	forcepalm: {
+		num: 395,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Force Palm",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "par"},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	foresight: {
+		num: 193,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Foresight",
+		pp: 40,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, bypasssub: 1, metronome: 1},
+		volatileStatus: "foresight",
+		condition: {noCopy: true},
+		target: "normal",
+		type: "Normal",
+		zMove: {effect: "crit2"},
+		contestType: "Clever",
+	},
+	forestscurse: {
+		num: 571,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Forest's Curse",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Grass",
+		zMove: {
+			boost: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		},
+		contestType: "Clever",
+	},
+	foulplay: {
+		num: 492,
+		accuracy: 100,
+		basePower: 95,
+		category: "Physical",
+		name: "Foul Play",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		overrideOffensivePokemon: "target",
+		target: "normal",
+		type: "Dark",
+		contestType: "Clever",
+	},
+	freezedry: {
+		num: 573,
+		accuracy: 100,
+		basePower: 70,
+		category: "Special",
+		name: "Freeze-Dry",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, status: "frz"},
+		target: "normal",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	freezeshock: {
+		num: 553,
+		accuracy: 90,
+		basePower: 140,
+		category: "Physical",
+		name: "Freeze Shock",
+		pp: 5,
+		priority: 0,
+		flags: {charge: 1, protect: 1, mirror: 1, nosleeptalk: 1, failinstruct: 1},
+		secondary: {chance: 30, status: "par"},
+		target: "normal",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	freezingglare: {
+		num: 821,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Freezing Glare",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		secondary: {chance: 10, status: "frz"},
+		target: "normal",
+		type: "Psychic",
+	},
+	freezyfrost: {
+		num: 739,
+		accuracy: 90,
+		basePower: 100,
+		category: "Special",
+		isNonstandard: "LGPE",
+		name: "Freezy Frost",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Ice",
+		contestType: "Clever",
+	},
+	frenzyplant: {
+		num: 338,
+		accuracy: 90,
+		basePower: 150,
+		category: "Special",
+		name: "Frenzy Plant",
+		pp: 5,
+		priority: 0,
+		flags: {recharge: 1, protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		self: {volatileStatus: "mustrecharge"},
+		target: "normal",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	frostbreath: {
+		num: 524,
+		accuracy: 90,
+		basePower: 60,
+		category: "Special",
+		name: "Frost Breath",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		willCrit: true,
+		target: "normal",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	frustration: {
+		num: 218,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Frustration",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Cute",
+	},
+	furyattack: {
+		num: 31,
+		accuracy: 85,
+		basePower: 15,
+		category: "Physical",
+		name: "Fury Attack",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	furycutter: {
+		num: 210,
+		accuracy: 95,
+		basePower: 40,
+		category: "Physical",
+		name: "Fury Cutter",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		condition: {duration: 2},
+		target: "normal",
+		type: "Bug",
+		contestType: "Cool",
+	},
+	furyswipes: {
+		num: 154,
+		accuracy: 80,
+		basePower: 18,
+		category: "Physical",
+		name: "Fury Swipes",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Normal",
+		maxMove: {basePower: 100},
+		contestType: "Tough",
+	},
+	fusionbolt: {
+		num: 559,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		name: "Fusion Bolt",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	fusionflare: {
+		num: 558,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		name: "Fusion Flare",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, defrost: 1, metronome: 1},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	futuresight: {
+		num: 248,
+		accuracy: 100,
+		basePower: 120,
+		category: "Special",
+		name: "Future Sight",
+		pp: 10,
+		priority: 0,
+		flags: {allyanim: 1, metronome: 1, futuremove: 1},
+		ignoreImmunity: true,
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	gastroacid: {
+		num: 380,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Gastro Acid",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		volatileStatus: "gastroacid",
+		condition: {},
+		target: "normal",
+		type: "Poison",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Tough",
+	},
+	geargrind: {
+		num: 544,
+		accuracy: 85,
+		basePower: 50,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Gear Grind",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: 2,
+		target: "normal",
+		type: "Steel",
+		zMove: {basePower: 180},
+		maxMove: {basePower: 130},
+		contestType: "Clever",
+	},
+	gearup: {
+		num: 674,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Gear Up",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, bypasssub: 1, metronome: 1},
+		target: "allySide",
+		type: "Steel",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	genesissupernova: {
+		num: 703,
+		accuracy: true,
+		basePower: 185,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Genesis Supernova",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "mewniumz",
+		secondary: {
+			chance: 100,
+			self: {},
+		},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Cool",
+	},
+	geomancy: {
+		num: 601,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Geomancy",
+		pp: 10,
+		priority: 0,
+		flags: {charge: 1, nonsky: 1, metronome: 1, nosleeptalk: 1, failinstruct: 1},
+		boosts: {spa: 2, spd: 2, spe: 2},
+		target: "self",
+		type: "Fairy",
+		zMove: {
+			boost: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		},
+		contestType: "Beautiful",
+	},
+	gigadrain: {
+		num: 202,
+		accuracy: 100,
+		basePower: 75,
+		category: "Special",
+		name: "Giga Drain",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, heal: 1, metronome: 1},
+		drain: [1, 2],
+		target: "normal",
+		type: "Grass",
+		contestType: "Clever",
+	},
+	gigaimpact: {
+		num: 416,
+		accuracy: 90,
+		basePower: 150,
+		category: "Physical",
+		name: "Giga Impact",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, recharge: 1, protect: 1, mirror: 1, metronome: 1},
+		self: {volatileStatus: "mustrecharge"},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	gigatonhammer: {
+		num: 893,
+		accuracy: 100,
+		basePower: 160,
+		category: "Physical",
+		name: "Gigaton Hammer",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, cantusetwice: 1},
+		target: "normal",
+		type: "Steel",
+	},
+	gigavolthavoc: {
+		num: 646,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Gigavolt Havoc",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "electriumz",
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	glaciallance: {
+		num: 824,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Glacial Lance",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "allAdjacentFoes",
+		type: "Ice",
+	},
+	glaciate: {
+		num: 549,
+		accuracy: 95,
+		basePower: 65,
+		category: "Special",
+		name: "Glaciate",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spe: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	glaiverush: {
+		num: 862,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Glaive Rush",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		self: {volatileStatus: "glaiverush"},
+		condition: {noCopy: true, onBeforeMovePriority: 100},
+		target: "normal",
+		type: "Dragon",
+	},
+	glare: {
+		num: 137,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Glare",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		status: "par",
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Tough",
+	},
+	glitzyglow: {
+		num: 736,
+		accuracy: 95,
+		basePower: 80,
+		category: "Special",
+		isNonstandard: "LGPE",
+		name: "Glitzy Glow",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		self: {sideCondition: "lightscreen"},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	gmaxbefuddle: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Befuddle",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Butterfree",
+		self: {},
+		target: "adjacentFoe",
+		type: "Bug",
+		contestType: "Cool",
+	},
+	gmaxcannonade: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Cannonade",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: "Blastoise",
+		self: {},
+		condition: {duration: 4, onResidualOrder: 5, onResidualSubOrder: 1, onSideResidualOrder: 26, onSideResidualSubOrder: 11},
+		target: "adjacentFoe",
+		type: "Water",
+		contestType: "Cool",
+	},
+	gmaxcentiferno: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Centiferno",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Centiskorch",
+		self: {},
+		target: "adjacentFoe",
+		type: "Fire",
+		contestType: "Cool",
+	},
+	gmaxchistrike: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Chi Strike",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Machamp",
+		self: {},
+		condition: {noCopy: true},
+		target: "adjacentFoe",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	gmaxcuddle: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Cuddle",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Eevee",
+		self: {},
+		target: "adjacentFoe",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	gmaxdepletion: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Depletion",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Duraludon",
+		self: {},
+		target: "adjacentFoe",
+		type: "Dragon",
+		contestType: "Cool",
+	},
+	gmaxdrumsolo: {
+		num: 1000,
+		accuracy: true,
+		basePower: 160,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Drum Solo",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Rillaboom",
+		ignoreAbility: true,
+		target: "adjacentFoe",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	gmaxfinale: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Finale",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Alcremie",
+		self: {},
+		target: "adjacentFoe",
+		type: "Fairy",
+		contestType: "Cool",
+	},
+	gmaxfireball: {
+		num: 1000,
+		accuracy: true,
+		basePower: 160,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Fireball",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Cinderace",
+		ignoreAbility: true,
+		target: "adjacentFoe",
+		type: "Fire",
+		contestType: "Cool",
+	},
+	gmaxfoamburst: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Foam Burst",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Kingler",
+		self: {},
+		target: "adjacentFoe",
+		type: "Water",
+		contestType: "Cool",
+	},
+	gmaxgoldrush: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Gold Rush",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Meowth",
+		self: {},
+		target: "adjacentFoe",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	gmaxgravitas: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Gravitas",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Orbeetle",
+		self: {pseudoWeather: "gravity"},
+		target: "adjacentFoe",
+		type: "Psychic",
+		contestType: "Cool",
+	},
+	gmaxhydrosnipe: {
+		num: 1000,
+		accuracy: true,
+		basePower: 160,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Hydrosnipe",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Inteleon",
+		ignoreAbility: true,
+		target: "adjacentFoe",
+		type: "Water",
+		contestType: "Cool",
+	},
+	gmaxmalodor: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Malodor",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Garbodor",
+		self: {},
+		target: "adjacentFoe",
+		type: "Poison",
+		contestType: "Cool",
+	},
+	gmaxmeltdown: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Meltdown",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Melmetal",
+		self: {},
+		target: "adjacentFoe",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	gmaxoneblow: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max One Blow",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Urshifu",
+		target: "adjacentFoe",
+		type: "Dark",
+		contestType: "Cool",
+	},
+	gmaxrapidflow: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Rapid Flow",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Urshifu-Rapid-Strike",
+		target: "adjacentFoe",
+		type: "Water",
+		contestType: "Cool",
+	},
+	gmaxreplenish: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Replenish",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Snorlax",
+		self: {},
+		target: "adjacentFoe",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	gmaxresonance: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Resonance",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Lapras",
+		self: {sideCondition: "auroraveil"},
+		target: "adjacentFoe",
+		type: "Ice",
+		contestType: "Cool",
+	},
+	gmaxsandblast: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Sandblast",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Sandaconda",
+		self: {},
+		target: "adjacentFoe",
+		type: "Ground",
+		contestType: "Cool",
+	},
+	gmaxsmite: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Smite",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Hatterene",
+		self: {},
+		target: "adjacentFoe",
+		type: "Fairy",
+		contestType: "Cool",
+	},
+	gmaxsnooze: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Snooze",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Grimmsnarl",
+		target: "adjacentFoe",
+		type: "Dark",
+		contestType: "Cool",
+	},
+	gmaxsteelsurge: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Steelsurge",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Copperajah",
+		self: {},
+		condition: {},
+		target: "adjacentFoe",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	gmaxstonesurge: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Stonesurge",
+		pp: 5,
+		priority: 0,
+		flags: {},
+		isMax: "Drednaw",
+		self: {},
+		target: "adjacentFoe",
+		type: "Water",
+		contestType: "Cool",
+	},
+	gmaxstunshock: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Stun Shock",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: "Toxtricity",
+		self: {},
+		target: "adjacentFoe",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	gmaxsweetness: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Sweetness",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: "Appletun",
+		self: {},
+		target: "adjacentFoe",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	gmaxtartness: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Tartness",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: "Flapple",
+		self: {},
+		target: "adjacentFoe",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	gmaxterror: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Terror",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: "Gengar",
+		self: {},
+		target: "adjacentFoe",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	gmaxvinelash: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Vine Lash",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: "Venusaur",
+		self: {},
+		condition: {duration: 4, onResidualOrder: 5, onResidualSubOrder: 1, onSideResidualOrder: 26, onSideResidualSubOrder: 11},
+		target: "adjacentFoe",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	gmaxvolcalith: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Volcalith",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: "Coalossal",
+		self: {},
+		condition: {duration: 4, onResidualOrder: 5, onResidualSubOrder: 1, onSideResidualOrder: 26, onSideResidualSubOrder: 11},
+		target: "adjacentFoe",
+		type: "Rock",
+		contestType: "Cool",
+	},
+	gmaxvoltcrash: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Volt Crash",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: "Pikachu",
+		self: {},
+		target: "adjacentFoe",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	gmaxwildfire: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Wildfire",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: "Charizard",
+		self: {},
+		condition: {duration: 4, onResidualOrder: 5, onResidualSubOrder: 1, onSideResidualOrder: 26, onSideResidualSubOrder: 11},
+		target: "adjacentFoe",
+		type: "Fire",
+		contestType: "Cool",
+	},
+	gmaxwindrage: {
+		num: 1000,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "G-Max Wind Rage",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: "Corviknight",
+		self: {},
+		target: "adjacentFoe",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	grassknot: {
+		num: 447,
+		accuracy: 100,
+		basePower: 0,
+		category: "Special",
+		name: "Grass Knot",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		target: "normal",
+		type: "Grass",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Cute",
+	},
+	grasspledge: {
+		num: 520,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Grass Pledge",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1, pledgecombo: 1},
+		condition: {duration: 4, onSideResidualOrder: 26, onSideResidualSubOrder: 9},
+		target: "normal",
+		type: "Grass",
+		contestType: "Beautiful",
+	},
+	grasswhistle: {
+		num: 320,
+		accuracy: 55,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Grass Whistle",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		status: "slp",
+		target: "normal",
+		type: "Grass",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	grassyglide: {
+		num: 803,
+		accuracy: 100,
+		basePower: 55,
+		category: "Physical",
+		name: "Grassy Glide",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	grassyterrain: {
+		num: 580,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Grassy Terrain",
+		pp: 10,
+		priority: 0,
+		flags: {nonsky: 1, metronome: 1},
+		terrain: "grassyterrain",
+		condition: {
+			effectType: "Terrain",
+			duration: 5,
+			onBasePowerPriority: 6,
+			onResidualOrder: 5,
+			onResidualSubOrder: 2,
+			onFieldResidualOrder: 27,
+			onFieldResidualSubOrder: 7,
+		},
+		target: "all",
+		type: "Grass",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Beautiful",
+	},
+	gravapple: {
+		num: 788,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Grav Apple",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		secondary: {
+			chance: 100,
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Grass",
+	},
+	gravity: {
+		num: 356,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Gravity",
+		pp: 5,
+		priority: 0,
+		flags: {nonsky: 1, metronome: 1},
+		pseudoWeather: "gravity",
+		condition: {duration: 5, onBeforeMovePriority: 6, onFieldResidualOrder: 27, onFieldResidualSubOrder: 2},
+		target: "all",
+		type: "Psychic",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	growl: {
+		num: 45,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Growl",
+		pp: 40,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		boosts: {atk: -1},
+		target: "allAdjacentFoes",
+		type: "Normal",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cute",
+	},
+	growth: {
+		num: 74,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Growth",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {atk: 1, spa: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Beautiful",
+	},
+	grudge: {
+		num: 288,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Grudge",
+		pp: 5,
+		priority: 0,
+		flags: {bypasssub: 1, metronome: 1},
+		volatileStatus: "grudge",
+		condition: {onBeforeMovePriority: 100},
+		target: "self",
+		type: "Ghost",
+		zMove: {effect: "redirect"},
+		contestType: "Tough",
+	},
+	guardianofalola: {
+		num: 698,
+		accuracy: true,
+		basePower: 0,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Guardian of Alola",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "tapuniumz",
+		target: "normal",
+		type: "Fairy",
+		contestType: "Tough",
+	},
+	guardsplit: {
+		num: 470,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Guard Split",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	guardswap: {
+		num: 385,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Guard Swap",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, bypasssub: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	guillotine: {
+		num: 12,
+		accuracy: 30,
+		basePower: 0,
+		category: "Physical",
+		name: "Guillotine",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		ohko: true,
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 180},
+		maxMove: {basePower: 130},
+		contestType: "Cool",
+	},
+	gunkshot: {
+		num: 441,
+		accuracy: 80,
+		basePower: 120,
+		category: "Physical",
+		name: "Gunk Shot",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "psn"},
+		target: "normal",
+		type: "Poison",
+		contestType: "Tough",
+	},
+	gust: {
+		num: 16,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Gust",
+		pp: 35,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, distance: 1, metronome: 1, wind: 1},
+		target: "any",
+		type: "Flying",
+		contestType: "Clever",
+	},
+	gyroball: {
+		num: 360,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Gyro Ball",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		target: "normal",
+		type: "Steel",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Cool",
+	},
+	hail: {
+		num: 258,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Hail",
+		pp: 10,
+		priority: 0,
+		flags: {metronome: 1},
+		weather: "hail",
+		target: "all",
+		type: "Ice",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Beautiful",
+	},
+	hammerarm: {
+		num: 359,
+		accuracy: 90,
+		basePower: 100,
+		category: "Physical",
+		name: "Hammer Arm",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		self: {
+			boosts: {spe: -1},
+		},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	happyhour: {
+		num: 603,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Happy Hour",
+		pp: 30,
+		priority: 0,
+		flags: {metronome: 1},
+		target: "allySide",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		},
+		contestType: "Cute",
+	},
+	harden: {
+		num: 106,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Harden",
+		pp: 30,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {def: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Tough",
+	},
+	hardpress: {
+		num: 912,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Hard Press",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Steel",
+	},
+	haze: {
+		num: 114,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Haze",
+		pp: 30,
+		priority: 0,
+		flags: {bypasssub: 1, metronome: 1},
+		target: "all",
+		type: "Ice",
+		zMove: {effect: "heal"},
+		contestType: "Beautiful",
+	},
+	headbutt: {
+		num: 29,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "Headbutt",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	headcharge: {
+		num: 543,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Head Charge",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		recoil: [1, 4],
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	headlongrush: {
+		num: 838,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Headlong Rush",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		self: {
+			boosts: {def: -1, spd: -1},
+		},
+		target: "normal",
+		type: "Ground",
+	},
+	headsmash: {
+		num: 457,
+		accuracy: 80,
+		basePower: 150,
+		category: "Physical",
+		name: "Head Smash",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		recoil: [1, 2],
+		target: "normal",
+		type: "Rock",
+		contestType: "Tough",
+	},
+	healbell: {
+		num: 215,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Heal Bell",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, sound: 1, distance: 1, bypasssub: 1, metronome: 1},
+		target: "allyTeam",
+		type: "Normal",
+		zMove: {effect: "heal"},
+		contestType: "Beautiful",
+	},
+	healblock: {
+		num: 377,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Heal Block",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		volatileStatus: "healblock",
+		condition: {duration: 5, onBeforeMovePriority: 6, onResidualOrder: 20},
+		target: "allAdjacentFoes",
+		type: "Psychic",
+		zMove: {
+			boost: {spa: 2},
+		},
+		contestType: "Clever",
+	},
+	healingwish: {
+		num: 361,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Healing Wish",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		selfdestruct: "ifHit",
+		slotCondition: "healingwish",
+		condition: {},
+		target: "self",
+		type: "Psychic",
+		contestType: "Beautiful",
+	},
+	healorder: {
+		num: 456,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Heal Order",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		heal: [1, 2],
+		target: "self",
+		type: "Bug",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	healpulse: {
+		num: 505,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Heal Pulse",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, distance: 1, heal: 1, allyanim: 1, metronome: 1, pulse: 1},
+		target: "any",
+		type: "Psychic",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	heartstamp: {
+		num: 531,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Heart Stamp",
+		pp: 25,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Cute",
+	},
+	heartswap: {
+		num: 391,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Heart Swap",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, bypasssub: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {effect: "crit2"},
+		contestType: "Clever",
+	},
+	heatcrash: {
+		num: 535,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Heat Crash",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, nonsky: 1, metronome: 1, minimize: 1},
+		target: "normal",
+		type: "Fire",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Tough",
+	},
+	heatwave: {
+		num: 257,
+		accuracy: 90,
+		basePower: 95,
+		category: "Special",
+		name: "Heat Wave",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, wind: 1},
+		secondary: {chance: 10, status: "brn"},
+		target: "allAdjacentFoes",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	heavyslam: {
+		num: 484,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Heavy Slam",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, nonsky: 1, metronome: 1, minimize: 1},
+		target: "normal",
+		type: "Steel",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Tough",
+	},
+	helpinghand: {
+		num: 270,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Helping Hand",
+		pp: 20,
+		priority: 5,
+		flags: {bypasssub: 1, noassist: 1, failcopycat: 1},
+		volatileStatus: "helpinghand",
+		condition: {duration: 1, onBasePowerPriority: 10},
+		target: "adjacentAlly",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	hex: {
+		num: 506,
+		accuracy: 100,
+		basePower: 65,
+		category: "Special",
+		name: "Hex",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Ghost",
+		zMove: {basePower: 160},
+		contestType: "Clever",
+	},
+	hiddenpower: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Hidden Power",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Clever",
+	},
+	hiddenpowerbug: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Bug",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Bug",
+		contestType: "Clever",
+	},
+	hiddenpowerdark: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Dark",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Dark",
+		contestType: "Clever",
+	},
+	hiddenpowerdragon: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Dragon",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Dragon",
+		contestType: "Clever",
+	},
+	hiddenpowerelectric: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Electric",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Electric",
+		contestType: "Clever",
+	},
+	hiddenpowerfighting: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Fighting",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Clever",
+	},
+	hiddenpowerfire: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Fire",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Fire",
+		contestType: "Clever",
+	},
+	hiddenpowerflying: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Flying",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Flying",
+		contestType: "Clever",
+	},
+	hiddenpowerghost: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Ghost",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Clever",
+	},
+	hiddenpowergrass: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Grass",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Grass",
+		contestType: "Clever",
+	},
+	hiddenpowerground: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Ground",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Ground",
+		contestType: "Clever",
+	},
+	hiddenpowerice: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Ice",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Ice",
+		contestType: "Clever",
+	},
+	hiddenpowerpoison: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Poison",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Poison",
+		contestType: "Clever",
+	},
+	hiddenpowerpsychic: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Psychic",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	hiddenpowerrock: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Rock",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Rock",
+		contestType: "Clever",
+	},
+	hiddenpowersteel: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Steel",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Steel",
+		contestType: "Clever",
+	},
+	hiddenpowerwater: {
+		num: 237,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		placeholderFor: "Hidden Power",
+		isNonstandard: "Past",
+		name: "Hidden Power Water",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Water",
+		contestType: "Clever",
+	},
+	highhorsepower: {
+		num: 667,
+		accuracy: 95,
+		basePower: 95,
+		category: "Physical",
+		name: "High Horsepower",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Ground",
+		contestType: "Tough",
+	},
+	highjumpkick: {
+		num: 136,
+		accuracy: 90,
+		basePower: 130,
+		category: "Physical",
+		name: "High Jump Kick",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, gravity: 1, metronome: 1},
+		hasCrashDamage: true,
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	holdback: {
+		num: 610,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		isNonstandard: "Unobtainable",
+		name: "Hold Back",
+		pp: 40,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		onDamagePriority: -20,
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	holdhands: {
+		num: 607,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Unobtainable",
+		name: "Hold Hands",
+		pp: 40,
+		priority: 0,
+		flags: {bypasssub: 1, nosleeptalk: 1, noassist: 1, failcopycat: 1, failmimic: 1, failinstruct: 1},
+		target: "adjacentAlly",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		},
+		contestType: "Cute",
+	},
+	honeclaws: {
+		num: 468,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Hone Claws",
+		pp: 15,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {atk: 1, accuracy: 1},
+		target: "self",
+		type: "Dark",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Cute",
+	},
+	hornattack: {
+		num: 30,
+		accuracy: 100,
+		basePower: 65,
+		category: "Physical",
+		name: "Horn Attack",
+		pp: 25,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	horndrill: {
+		num: 32,
+		accuracy: 30,
+		basePower: 0,
+		category: "Physical",
+		name: "Horn Drill",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		ohko: true,
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 180},
+		maxMove: {basePower: 130},
+		contestType: "Cool",
+	},
+	hornleech: {
+		num: 532,
+		accuracy: 100,
+		basePower: 75,
+		category: "Physical",
+		name: "Horn Leech",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, heal: 1, metronome: 1},
+		drain: [1, 2],
+		target: "normal",
+		type: "Grass",
+		contestType: "Tough",
+	},
+	howl: {
+		num: 336,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Howl",
+		pp: 40,
+		priority: 0,
+		flags: {snatch: 1, sound: 1, metronome: 1},
+		boosts: {atk: 1},
+		target: "allies",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Cool",
+	},
+	hurricane: {
+		num: 542,
+		accuracy: 70,
+		basePower: 110,
+		category: "Special",
+		name: "Hurricane",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, distance: 1, metronome: 1, wind: 1},
+		secondary: {chance: 30, volatileStatus: "confusion"},
+		target: "any",
+		type: "Flying",
+		contestType: "Tough",
+	},
+	hydrocannon: {
+		num: 308,
+		accuracy: 90,
+		basePower: 150,
+		category: "Special",
+		name: "Hydro Cannon",
+		pp: 5,
+		priority: 0,
+		flags: {recharge: 1, protect: 1, mirror: 1, metronome: 1},
+		self: {volatileStatus: "mustrecharge"},
+		target: "normal",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	hydropump: {
+		num: 56,
+		accuracy: 80,
+		basePower: 110,
+		category: "Special",
+		name: "Hydro Pump",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	hydrosteam: {
+		num: 876,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Hydro Steam",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, defrost: 1, metronome: 1},
+		thawsTarget: true,
+		target: "normal",
+		type: "Water",
+	},
+	hydrovortex: {
+		num: 642,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Hydro Vortex",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "wateriumz",
+		target: "normal",
+		type: "Water",
+		contestType: "Cool",
+	},
+	hyperbeam: {
+		num: 63,
+		accuracy: 90,
+		basePower: 150,
+		category: "Special",
+		name: "Hyper Beam",
+		pp: 5,
+		priority: 0,
+		flags: {recharge: 1, protect: 1, mirror: 1, metronome: 1},
+		self: {volatileStatus: "mustrecharge"},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	hyperdrill: {
+		num: 887,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		name: "Hyper Drill",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, mirror: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Clever",
+	},
+	hyperfang: {
+		num: 158,
+		accuracy: 90,
+		basePower: 80,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Hyper Fang",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, bite: 1},
+		secondary: {chance: 10, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	hyperspacefury: {
+		num: 621,
+		accuracy: true,
+		basePower: 100,
+		category: "Physical",
+		name: "Hyperspace Fury",
+		pp: 5,
+		priority: 0,
+		flags: {mirror: 1, bypasssub: 1, nosketch: 1},
+		breaksProtect: true,
+		self: {
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Dark",
+		contestType: "Tough",
+	},
+	hyperspacehole: {
+		num: 593,
+		accuracy: true,
+		basePower: 80,
+		category: "Special",
+		name: "Hyperspace Hole",
+		pp: 5,
+		priority: 0,
+		flags: {mirror: 1, bypasssub: 1},
+		breaksProtect: true,
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	hypervoice: {
+		num: 304,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Hyper Voice",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		target: "allAdjacentFoes",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	hypnosis: {
+		num: 95,
+		accuracy: 60,
+		basePower: 0,
+		category: "Status",
+		name: "Hypnosis",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		status: "slp",
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	iceball: {
+		num: 301,
+		accuracy: 90,
+		basePower: 30,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Ice Ball",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, failinstruct: 1, bullet: 1, noparentalbond: 1},
+		condition: {duration: 1, onLockMove: "iceball"},
+		target: "normal",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	icebeam: {
+		num: 58,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Ice Beam",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, status: "frz"},
+		target: "normal",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	iceburn: {
+		num: 554,
+		accuracy: 90,
+		basePower: 140,
+		category: "Special",
+		name: "Ice Burn",
+		pp: 5,
+		priority: 0,
+		flags: {charge: 1, protect: 1, mirror: 1, nosleeptalk: 1, failinstruct: 1},
+		secondary: {chance: 30, status: "brn"},
+		target: "normal",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	icefang: {
+		num: 423,
+		accuracy: 95,
+		basePower: 65,
+		category: "Physical",
+		name: "Ice Fang",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, bite: 1},
+		secondaries: [
+			{chance: 10, status: "frz"},
+			{chance: 10, volatileStatus: "flinch"},
+		],
+		target: "normal",
+		type: "Ice",
+		contestType: "Cool",
+	},
+	icehammer: {
+		num: 665,
+		accuracy: 90,
+		basePower: 100,
+		category: "Physical",
+		name: "Ice Hammer",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		self: {
+			boosts: {spe: -1},
+		},
+		target: "normal",
+		type: "Ice",
+		contestType: "Tough",
+	},
+	icepunch: {
+		num: 8,
+		accuracy: 100,
+		basePower: 75,
+		category: "Physical",
+		name: "Ice Punch",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		secondary: {chance: 10, status: "frz"},
+		target: "normal",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	iceshard: {
+		num: 420,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Ice Shard",
+		pp: 30,
+		priority: 1,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	icespinner: {
+		num: 861,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Ice Spinner",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Ice",
+	},
+	iciclecrash: {
+		num: 556,
+		accuracy: 90,
+		basePower: 85,
+		category: "Physical",
+		name: "Icicle Crash",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	iciclespear: {
+		num: 333,
+		accuracy: 100,
+		basePower: 25,
+		category: "Physical",
+		name: "Icicle Spear",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Ice",
+		zMove: {basePower: 140},
+		maxMove: {basePower: 130},
+		contestType: "Beautiful",
+	},
+	icywind: {
+		num: 196,
+		accuracy: 95,
+		basePower: 55,
+		category: "Special",
+		name: "Icy Wind",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, wind: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spe: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	imprison: {
+		num: 286,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Imprison",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, bypasssub: 1, metronome: 1, mustpressure: 1},
+		volatileStatus: "imprison",
+		condition: {noCopy: true, onFoeBeforeMovePriority: 4},
+		target: "self",
+		type: "Psychic",
+		zMove: {
+			boost: {spd: 2},
+		},
+		contestType: "Clever",
+	},
+	incinerate: {
+		num: 510,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		name: "Incinerate",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "allAdjacentFoes",
+		type: "Fire",
+		contestType: "Tough",
+	},
+	infernalparade: {
+		num: 844,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		name: "Infernal Parade",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "brn"},
+		target: "normal",
+		type: "Ghost",
+	},
+	inferno: {
+		num: 517,
+		accuracy: 50,
+		basePower: 100,
+		category: "Special",
+		name: "Inferno",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 100, status: "brn"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	infernooverdrive: {
+		num: 640,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Inferno Overdrive",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "firiumz",
+		target: "normal",
+		type: "Fire",
+		contestType: "Cool",
+	},
+	infestation: {
+		num: 611,
+		accuracy: 100,
+		basePower: 20,
+		category: "Special",
+		name: "Infestation",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		volatileStatus: "partiallytrapped",
+		target: "normal",
+		type: "Bug",
+		contestType: "Cute",
+	},
+	ingrain: {
+		num: 275,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Ingrain",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, nonsky: 1, metronome: 1},
+		volatileStatus: "ingrain",
+		condition: {onResidualOrder: 7},
+		target: "self",
+		type: "Grass",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Clever",
+	},
+	instruct: {
+		num: 689,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Instruct",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, bypasssub: 1, allyanim: 1, failinstruct: 1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	iondeluge: {
+		num: 569,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Ion Deluge",
+		pp: 25,
+		priority: 1,
+		flags: {metronome: 1},
+		pseudoWeather: "iondeluge",
+		condition: {duration: 1, onModifyTypePriority: -2},
+		target: "all",
+		type: "Electric",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Beautiful",
+	},
+	irondefense: {
+		num: 334,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Iron Defense",
+		pp: 15,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {def: 2},
+		target: "self",
+		type: "Steel",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Tough",
+	},
+	ironhead: {
+		num: 442,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Iron Head",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Steel",
+		contestType: "Tough",
+	},
+	irontail: {
+		num: 231,
+		accuracy: 75,
+		basePower: 100,
+		category: "Physical",
+		name: "Iron Tail",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 30,
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	ivycudgel: {
+		num: 904,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		name: "Ivy Cudgel",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Grass",
+	},
+	jawlock: {
+		num: 746,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Jaw Lock",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, bite: 1},
+		target: "normal",
+		type: "Dark",
+	},
+	jetpunch: {
+		num: 857,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Jet Punch",
+		pp: 15,
+		priority: 1,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1},
+		target: "normal",
+		type: "Water",
+		contestType: "Cool",
+	},
+	judgment: {
+		num: 449,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		name: "Judgment",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Beautiful",
+	},
+	jumpkick: {
+		num: 26,
+		accuracy: 95,
+		basePower: 100,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Jump Kick",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, gravity: 1, metronome: 1},
+		hasCrashDamage: true,
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	junglehealing: {
+		num: 816,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Jungle Healing",
+		pp: 10,
+		priority: 0,
+		flags: {heal: 1, bypasssub: 1, allyanim: 1},
+		target: "allies",
+		type: "Grass",
+	},
+	karatechop: {
+		num: 2,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Karate Chop",
+		pp: 25,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	kinesis: {
+		num: 134,
+		accuracy: 80,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Kinesis",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		boosts: {accuracy: -1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {evasion: 1},
+		},
+		contestType: "Clever",
+	},
+	kingsshield: {
+		num: 588,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "King's Shield",
+		pp: 10,
+		priority: 4,
+		flags: {noassist: 1, failcopycat: 1, failinstruct: 1},
+		stallingMove: true,
+		volatileStatus: "kingsshield",
+		condition: {duration: 1, onTryHitPriority: 3},
+		target: "self",
+		type: "Steel",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cool",
+	},
+	knockoff: {
+		num: 282,
+		accuracy: 100,
+		basePower: 65,
+		category: "Physical",
+		name: "Knock Off",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dark",
+		contestType: "Clever",
+	},
+	kowtowcleave: {
+		num: 869,
+		accuracy: true,
+		basePower: 85,
+		category: "Physical",
+		name: "Kowtow Cleave",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		target: "normal",
+		type: "Dark",
+	},
+	landswrath: {
+		num: 616,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Land's Wrath",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		target: "allAdjacentFoes",
+		type: "Ground",
+		zMove: {basePower: 185},
+		contestType: "Beautiful",
+	},
+	laserfocus: {
+		num: 673,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Laser Focus",
+		pp: 30,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		volatileStatus: "laserfocus",
+		condition: {duration: 2},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Cool",
+	},
+	lashout: {
+		num: 808,
+		accuracy: 100,
+		basePower: 75,
+		category: "Physical",
+		name: "Lash Out",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dark",
+	},
+	lastresort: {
+		num: 387,
+		accuracy: 100,
+		basePower: 140,
+		category: "Physical",
+		name: "Last Resort",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	lastrespects: {
+		num: 854,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Last Respects",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Ghost",
+	},
+	lavaplume: {
+		num: 436,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Lava Plume",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "brn"},
+		target: "allAdjacent",
+		type: "Fire",
+		contestType: "Tough",
+	},
+	leafage: {
+		num: 670,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Leafage",
+		pp: 40,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Grass",
+		contestType: "Tough",
+	},
+	leafblade: {
+		num: 348,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "Leaf Blade",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	leafstorm: {
+		num: 437,
+		accuracy: 90,
+		basePower: 130,
+		category: "Special",
+		name: "Leaf Storm",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		self: {
+			boosts: {spa: -2},
+		},
+		target: "normal",
+		type: "Grass",
+		contestType: "Beautiful",
+	},
+	leaftornado: {
+		num: 536,
+		accuracy: 90,
+		basePower: 65,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Leaf Tornado",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 50,
+			boosts: {accuracy: -1},
+		},
+		target: "normal",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	leechlife: {
+		num: 141,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Leech Life",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, heal: 1, metronome: 1},
+		drain: [1, 2],
+		target: "normal",
+		type: "Bug",
+		contestType: "Clever",
+	},
+	leechseed: {
+		num: 73,
+		accuracy: 90,
+		basePower: 0,
+		category: "Status",
+		name: "Leech Seed",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		volatileStatus: "leechseed",
+		condition: {onResidualOrder: 8},
+		target: "normal",
+		type: "Grass",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	leer: {
+		num: 43,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Leer",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		boosts: {def: -1},
+		target: "allAdjacentFoes",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Cool",
+	},
+	letssnuggleforever: {
+		num: 726,
+		accuracy: true,
+		basePower: 190,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Let's Snuggle Forever",
+		pp: 1,
+		priority: 0,
+		flags: {contact: 1},
+		isZ: "mimikiumz",
+		target: "normal",
+		type: "Fairy",
+		contestType: "Cool",
+	},
+	lick: {
+		num: 122,
+		accuracy: 100,
+		basePower: 30,
+		category: "Physical",
+		name: "Lick",
+		pp: 30,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "par"},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cute",
+	},
+	lifedew: {
+		num: 791,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Life Dew",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, bypasssub: 1},
+		heal: [1, 4],
+		target: "allies",
+		type: "Water",
+	},
+	lightofruin: {
+		num: 617,
+		accuracy: 90,
+		basePower: 140,
+		category: "Special",
+		isNonstandard: "Past",
+		tags: ["Past Unobtainable"],
+		name: "Light of Ruin",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		recoil: [1, 2],
+		target: "normal",
+		type: "Fairy",
+		contestType: "Beautiful",
+	},
+	lightscreen: {
+		num: 113,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Light Screen",
+		pp: 30,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		sideCondition: "lightscreen",
+		condition: {duration: 5, onSideResidualOrder: 26, onSideResidualSubOrder: 2},
+		target: "allySide",
+		type: "Psychic",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Beautiful",
+	},
+	lightthatburnsthesky: {
+		num: 723,
+		accuracy: true,
+		basePower: 200,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Light That Burns the Sky",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		ignoreAbility: true,
+		isZ: "ultranecroziumz",
+		target: "normal",
+		type: "Psychic",
+		contestType: "Cool",
+	},
+	liquidation: {
+		num: 710,
+		accuracy: 100,
+		basePower: 85,
+		category: "Physical",
+		name: "Liquidation",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 20,
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Water",
+		contestType: "Cool",
+	},
+	lockon: {
+		num: 199,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Lock-On",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		condition: {noCopy: true, duration: 2, onSourceInvulnerabilityPriority: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	lovelykiss: {
+		num: 142,
+		accuracy: 75,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Lovely Kiss",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		status: "slp",
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Beautiful",
+	},
+	lowkick: {
+		num: 67,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Low Kick",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Fighting",
+		zMove: {basePower: 160},
+		contestType: "Tough",
+	},
+	lowsweep: {
+		num: 490,
+		accuracy: 100,
+		basePower: 65,
+		category: "Physical",
+		name: "Low Sweep",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spe: -1},
+		},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Clever",
+	},
+	luckychant: {
+		num: 381,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Lucky Chant",
+		pp: 30,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		sideCondition: "luckychant",
+		condition: {duration: 5, onCriticalHit: false, onSideResidualOrder: 26, onSideResidualSubOrder: 6},
+		target: "allySide",
+		type: "Normal",
+		zMove: {
+			boost: {evasion: 1},
+		},
+		contestType: "Cute",
+	},
+	luminacrash: {
+		num: 855,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Lumina Crash",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spd: -2},
+		},
+		target: "normal",
+		type: "Psychic",
+	},
+	lunarblessing: {
+		num: 849,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Lunar Blessing",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		target: "allies",
+		type: "Psychic",
+	},
+	lunardance: {
+		num: 461,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Lunar Dance",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, dance: 1, heal: 1, metronome: 1},
+		selfdestruct: "ifHit",
+		slotCondition: "lunardance",
+		condition: {},
+		target: "self",
+		type: "Psychic",
+		contestType: "Beautiful",
+	},
+	lunge: {
+		num: 679,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Lunge",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {atk: -1},
+		},
+		target: "normal",
+		type: "Bug",
+		contestType: "Cute",
+	},
+	lusterpurge: {
+		num: 295,
+		accuracy: 100,
+		basePower: 95,
+		category: "Special",
+		name: "Luster Purge",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 50,
+			boosts: {spd: -1},
+		},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	machpunch: {
+		num: 183,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Mach Punch",
+		pp: 30,
+		priority: 1,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	magicalleaf: {
+		num: 345,
+		accuracy: true,
+		basePower: 60,
+		category: "Special",
+		name: "Magical Leaf",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Grass",
+		contestType: "Beautiful",
+	},
+	magicaltorque: {
+		num: 900,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		isNonstandard: "Unobtainable",
+		name: "Magical Torque",
+		pp: 10,
+		priority: 0,
+		flags: {
+			protect: 1,
+			failencore: 1,
+			failmefirst: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failcopycat: 1,
+			failmimic: 1,
+			failinstruct: 1,
+			nosketch: 1,
+		},
+		secondary: {chance: 30, volatileStatus: "confusion"},
+		target: "normal",
+		type: "Fairy",
+	},
+	magiccoat: {
+		num: 277,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Magic Coat",
+		pp: 15,
+		priority: 4,
+		flags: {metronome: 1},
+		volatileStatus: "magiccoat",
+		condition: {duration: 1, onTryHitPriority: 2},
+		target: "self",
+		type: "Psychic",
+		zMove: {
+			boost: {spd: 2},
+		},
+		contestType: "Beautiful",
+	},
+	magicpowder: {
+		num: 750,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Magic Powder",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1, powder: 1},
+		target: "normal",
+		type: "Psychic",
+	},
+	magicroom: {
+		num: 478,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Magic Room",
+		pp: 10,
+		priority: 0,
+		flags: {mirror: 1, metronome: 1},
+		pseudoWeather: "magicroom",
+		condition: {duration: 5, onFieldResidualOrder: 27, onFieldResidualSubOrder: 6},
+		target: "all",
+		type: "Psychic",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Clever",
+	},
+	magmastorm: {
+		num: 463,
+		accuracy: 75,
+		basePower: 100,
+		category: "Special",
+		name: "Magma Storm",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		volatileStatus: "partiallytrapped",
+		target: "normal",
+		type: "Fire",
+		contestType: "Tough",
+	},
+	magnetbomb: {
+		num: 443,
+		accuracy: true,
+		basePower: 60,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Magnet Bomb",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		target: "normal",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	magneticflux: {
+		num: 602,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Magnetic Flux",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, distance: 1, bypasssub: 1, metronome: 1},
+		target: "allySide",
+		type: "Electric",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Clever",
+	},
+	magnetrise: {
+		num: 393,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Magnet Rise",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, gravity: 1, metronome: 1},
+		volatileStatus: "magnetrise",
+		condition: {duration: 5, onResidualOrder: 18},
+		target: "self",
+		type: "Electric",
+		zMove: {
+			boost: {evasion: 1},
+		},
+		contestType: "Clever",
+	},
+	magnitude: {
+		num: 222,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Magnitude",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		target: "allAdjacent",
+		type: "Ground",
+		zMove: {basePower: 140},
+		maxMove: {basePower: 140},
+		contestType: "Tough",
+	},
+	makeitrain: {
+		num: 874,
+		accuracy: 100,
+		basePower: 120,
+		category: "Special",
+		name: "Make It Rain",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		self: {
+			boosts: {spa: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Steel",
+		contestType: "Beautiful",
+	},
+	maliciousmoonsault: {
+		num: 696,
+		accuracy: true,
+		basePower: 180,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Malicious Moonsault",
+		pp: 1,
+		priority: 0,
+		flags: {contact: 1, minimize: 1},
+		isZ: "inciniumz",
+		target: "normal",
+		type: "Dark",
+		contestType: "Cool",
+	},
+	malignantchain: {
+		num: 919,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		name: "Malignant Chain",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 50, status: "tox"},
+		target: "normal",
+		type: "Poison",
+	},
+	matblock: {
+		num: 561,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Mat Block",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, nonsky: 1, noassist: 1, failcopycat: 1},
+		stallingMove: true,
+		sideCondition: "matblock",
+		condition: {duration: 1, onTryHitPriority: 3},
+		target: "allySide",
+		type: "Fighting",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cool",
+	},
+	matchagotcha: {
+		num: 902,
+		accuracy: 90,
+		basePower: 80,
+		category: "Special",
+		name: "Matcha Gotcha",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, defrost: 1, heal: 1, metronome: 1},
+		drain: [1, 2],
+		thawsTarget: true,
+		secondary: {chance: 20, status: "brn"},
+		target: "allAdjacentFoes",
+		type: "Grass",
+	},
+	maxairstream: {
+		num: 766,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Airstream",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	maxdarkness: {
+		num: 772,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Darkness",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Dark",
+		contestType: "Cool",
+	},
+	maxflare: {
+		num: 757,
+		accuracy: true,
+		basePower: 100,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Flare",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Fire",
+		contestType: "Cool",
+	},
+	maxflutterby: {
+		num: 758,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Flutterby",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Bug",
+		contestType: "Cool",
+	},
+	maxgeyser: {
+		num: 765,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Geyser",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Water",
+		contestType: "Cool",
+	},
+	maxguard: {
+		num: 743,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Max Guard",
+		pp: 10,
+		priority: 4,
+		flags: {},
+		isMax: true,
+		stallingMove: true,
+		volatileStatus: "maxguard",
+		condition: {duration: 1, onTryHitPriority: 3},
+		target: "self",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	maxhailstorm: {
+		num: 763,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Hailstorm",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Ice",
+		contestType: "Cool",
+	},
+	maxknuckle: {
+		num: 761,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Knuckle",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	maxlightning: {
+		num: 759,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Lightning",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	maxmindstorm: {
+		num: 769,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Mindstorm",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Psychic",
+		contestType: "Cool",
+	},
+	maxooze: {
+		num: 764,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Ooze",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Poison",
+		contestType: "Cool",
+	},
+	maxovergrowth: {
+		num: 773,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Overgrowth",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	maxphantasm: {
+		num: 762,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Phantasm",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	maxquake: {
+		num: 771,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Quake",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Ground",
+		contestType: "Cool",
+	},
+	maxrockfall: {
+		num: 770,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Rockfall",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Rock",
+		contestType: "Cool",
+	},
+	maxstarfall: {
+		num: 767,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Starfall",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Fairy",
+		contestType: "Cool",
+	},
+	maxsteelspike: {
+		num: 774,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Steelspike",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	maxstrike: {
+		num: 760,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Strike",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	maxwyrmwind: {
+		num: 768,
+		accuracy: true,
+		basePower: 10,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Max Wyrmwind",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		isMax: true,
+		self: {},
+		target: "adjacentFoe",
+		type: "Dragon",
+		contestType: "Cool",
+	},
+	meanlook: {
+		num: 212,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Mean Look",
+		pp: 5,
+		priority: 0,
+		flags: {reflectable: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Beautiful",
+	},
+	meditate: {
+		num: 96,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Meditate",
+		pp: 40,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {atk: 1},
+		target: "self",
+		type: "Psychic",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Beautiful",
+	},
+	mefirst: {
+		num: 382,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Me First",
+		pp: 20,
+		priority: 0,
+		flags: {
+			protect: 1,
+			bypasssub: 1,
+			failencore: 1,
+			failmefirst: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failcopycat: 1,
+			failmimic: 1,
+			failinstruct: 1,
+		},
+		condition: {duration: 1, onBasePowerPriority: 12},
+		callsMove: true,
+		target: "adjacentFoe",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 2},
+		},
+		contestType: "Clever",
+	},
+	megadrain: {
+		num: 72,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Mega Drain",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, heal: 1, metronome: 1},
+		drain: [1, 2],
+		target: "normal",
+		type: "Grass",
+		zMove: {basePower: 120},
+		contestType: "Clever",
+	},
+	megahorn: {
+		num: 224,
+		accuracy: 85,
+		basePower: 120,
+		category: "Physical",
+		name: "Megahorn",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Bug",
+		contestType: "Cool",
+	},
+	megakick: {
+		num: 25,
+		accuracy: 75,
+		basePower: 120,
+		category: "Physical",
+		name: "Mega Kick",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	megapunch: {
+		num: 5,
+		accuracy: 85,
+		basePower: 80,
+		category: "Physical",
+		name: "Mega Punch",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	memento: {
+		num: 262,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Memento",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		boosts: {atk: -2, spa: -2},
+		selfdestruct: "ifHit",
+		target: "normal",
+		type: "Dark",
+		zMove: {effect: "healreplacement"},
+		contestType: "Tough",
+	},
+	menacingmoonrazemaelstrom: {
+		num: 725,
+		accuracy: true,
+		basePower: 200,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Menacing Moonraze Maelstrom",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "lunaliumz",
+		ignoreAbility: true,
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	metalburst: {
+		num: 368,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Metal Burst",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, failmefirst: 1},
+		target: "scripted",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	metalclaw: {
+		num: 232,
+		accuracy: 95,
+		basePower: 50,
+		category: "Physical",
+		name: "Metal Claw",
+		pp: 35,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			self: {
+				boosts: {atk: 1},
+			},
+		},
+		target: "normal",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	metalsound: {
+		num: 319,
+		accuracy: 85,
+		basePower: 0,
+		category: "Status",
+		name: "Metal Sound",
+		pp: 40,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, sound: 1, bypasssub: 1, allyanim: 1, metronome: 1},
+		boosts: {spd: -2},
+		target: "normal",
+		type: "Steel",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	meteorassault: {
+		num: 794,
+		accuracy: 100,
+		basePower: 150,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Meteor Assault",
+		pp: 5,
+		priority: 0,
+		flags: {recharge: 1, protect: 1, mirror: 1, failinstruct: 1},
+		self: {volatileStatus: "mustrecharge"},
+		target: "normal",
+		type: "Fighting",
+	},
+	meteorbeam: {
+		num: 800,
+		accuracy: 90,
+		basePower: 120,
+		category: "Special",
+		name: "Meteor Beam",
+		pp: 10,
+		priority: 0,
+		flags: {charge: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Rock",
+	},
+	meteormash: {
+		num: 309,
+		accuracy: 90,
+		basePower: 90,
+		category: "Physical",
+		name: "Meteor Mash",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		secondary: {
+			chance: 20,
+			self: {
+				boosts: {atk: 1},
+			},
+		},
+		target: "normal",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	metronome: {
+		num: 118,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Metronome",
+		pp: 10,
+		priority: 0,
+		flags: {failencore: 1, nosleeptalk: 1, noassist: 1, failcopycat: 1, failmimic: 1, failinstruct: 1},
+		callsMove: true,
+		target: "self",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	mightycleave: {
+		num: 910,
+		accuracy: 100,
+		basePower: 95,
+		category: "Physical",
+		name: "Mighty Cleave",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, mirror: 1, metronome: 1, slicing: 1},
+		target: "normal",
+		type: "Rock",
+	},
+	milkdrink: {
+		num: 208,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Milk Drink",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		heal: [1, 2],
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	mimic: {
+		num: 102,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Mimic",
+		pp: 10,
+		priority: 0,
+		flags: {
+			protect: 1,
+			bypasssub: 1,
+			allyanim: 1,
+			failencore: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failcopycat: 1,
+			failmimic: 1,
+			failinstruct: 1,
+		},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {accuracy: 1},
+		},
+		contestType: "Cute",
+	},
+	mindblown: {
+		num: 720,
+		accuracy: 100,
+		basePower: 150,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Mind Blown",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		mindBlownRecoil: true,
+		target: "allAdjacent",
+		type: "Fire",
+		contestType: "Cool",
+	},
+	mindreader: {
+		num: 170,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Mind Reader",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	minimize: {
+		num: 107,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Minimize",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		volatileStatus: "minimize",
+		condition: {noCopy: true},
+		boosts: {evasion: 2},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	miracleeye: {
+		num: 357,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Miracle Eye",
+		pp: 40,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, bypasssub: 1, metronome: 1},
+		volatileStatus: "miracleeye",
+		condition: {noCopy: true},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	mirrorcoat: {
+		num: 243,
+		accuracy: 100,
+		basePower: 0,
+		category: "Special",
+		name: "Mirror Coat",
+		pp: 20,
+		priority: -5,
+		flags: {protect: 1, failmefirst: 1, noassist: 1},
+		condition: {duration: 1, noCopy: true, onRedirectTargetPriority: -1},
+		target: "scripted",
+		type: "Psychic",
+		contestType: "Beautiful",
+	},
+	mirrormove: {
+		num: 119,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Mirror Move",
+		pp: 20,
+		priority: 0,
+		flags: {failencore: 1, nosleeptalk: 1, noassist: 1, failcopycat: 1, failmimic: 1, failinstruct: 1},
+		callsMove: true,
+		target: "normal",
+		type: "Flying",
+		zMove: {
+			boost: {atk: 2},
+		},
+		contestType: "Clever",
+	},
+	mirrorshot: {
+		num: 429,
+		accuracy: 85,
+		basePower: 65,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Mirror Shot",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 30,
+			boosts: {accuracy: -1},
+		},
+		target: "normal",
+		type: "Steel",
+		contestType: "Beautiful",
+	},
+	mist: {
+		num: 54,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Mist",
+		pp: 30,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		sideCondition: "mist",
+		condition: {duration: 5, onSideResidualOrder: 26, onSideResidualSubOrder: 4},
+		target: "allySide",
+		type: "Ice",
+		zMove: {effect: "heal"},
+		contestType: "Beautiful",
+	},
+	mistball: {
+		num: 296,
+		accuracy: 100,
+		basePower: 95,
+		category: "Special",
+		name: "Mist Ball",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		secondary: {
+			chance: 50,
+			boosts: {spa: -1},
+		},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	mistyexplosion: {
+		num: 802,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		name: "Misty Explosion",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		selfdestruct: "always",
+		target: "allAdjacent",
+		type: "Fairy",
+	},
+	mistyterrain: {
+		num: 581,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Misty Terrain",
+		pp: 10,
+		priority: 0,
+		flags: {nonsky: 1, metronome: 1},
+		terrain: "mistyterrain",
+		condition: {
+			effectType: "Terrain",
+			duration: 5,
+			onBasePowerPriority: 6,
+			onFieldResidualOrder: 27,
+			onFieldResidualSubOrder: 7,
+		},
+		target: "all",
+		type: "Fairy",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Beautiful",
+	},
+	moonblast: {
+		num: 585,
+		accuracy: 100,
+		basePower: 95,
+		category: "Special",
+		name: "Moonblast",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 30,
+			boosts: {spa: -1},
+		},
+		target: "normal",
+		type: "Fairy",
+		contestType: "Beautiful",
+	},
+	moongeistbeam: {
+		num: 714,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		name: "Moongeist Beam",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		ignoreAbility: true,
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	moonlight: {
+		num: 236,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Moonlight",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		target: "self",
+		type: "Fairy",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	morningsun: {
+		num: 234,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Morning Sun",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	mortalspin: {
+		num: 866,
+		accuracy: 100,
+		basePower: 30,
+		category: "Physical",
+		name: "Mortal Spin",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 100, status: "psn"},
+		target: "allAdjacentFoes",
+		type: "Poison",
+	},
+	mountaingale: {
+		num: 836,
+		accuracy: 85,
+		basePower: 100,
+		category: "Physical",
+		name: "Mountain Gale",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Ice",
+	},
+	mudbomb: {
+		num: 426,
+		accuracy: 85,
+		basePower: 65,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Mud Bomb",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		secondary: {
+			chance: 30,
+			boosts: {accuracy: -1},
+		},
+		target: "normal",
+		type: "Ground",
+		contestType: "Cute",
+	},
+	muddywater: {
+		num: 330,
+		accuracy: 85,
+		basePower: 90,
+		category: "Special",
+		name: "Muddy Water",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		secondary: {
+			chance: 30,
+			boosts: {accuracy: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Water",
+		contestType: "Tough",
+	},
+	mudshot: {
+		num: 341,
+		accuracy: 95,
+		basePower: 55,
+		category: "Special",
+		name: "Mud Shot",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spe: -1},
+		},
+		target: "normal",
+		type: "Ground",
+		contestType: "Tough",
+	},
+	mudslap: {
+		num: 189,
+		accuracy: 100,
+		basePower: 20,
+		category: "Special",
+		name: "Mud-Slap",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {accuracy: -1},
+		},
+		target: "normal",
+		type: "Ground",
+		contestType: "Cute",
+	},
+	mudsport: {
+		num: 300,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Mud Sport",
+		pp: 15,
+		priority: 0,
+		flags: {nonsky: 1, metronome: 1},
+		pseudoWeather: "mudsport",
+		condition: {duration: 5, onBasePowerPriority: 1, onFieldResidualOrder: 27, onFieldResidualSubOrder: 4},
+		target: "all",
+		type: "Ground",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Cute",
+	},
+	multiattack: {
+		num: 718,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Multi-Attack",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 185},
+		maxMove: {basePower: 95},
+		contestType: "Tough",
+	},
+	mysticalfire: {
+		num: 595,
+		accuracy: 100,
+		basePower: 75,
+		category: "Special",
+		name: "Mystical Fire",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spa: -1},
+		},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	mysticalpower: {
+		num: 832,
+		accuracy: 90,
+		basePower: 70,
+		category: "Special",
+		name: "Mystical Power",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			self: {
+				boosts: {spa: 1},
+			},
+		},
+		target: "normal",
+		type: "Psychic",
+	},
+	nastyplot: {
+		num: 417,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Nasty Plot",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {spa: 2},
+		target: "self",
+		type: "Dark",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	naturalgift: {
+		num: 363,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Natural Gift",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Clever",
+	},
+	naturepower: {
+		num: 267,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Nature Power",
+		pp: 20,
+		priority: 0,
+		flags: {failencore: 1, nosleeptalk: 1, noassist: 1, failcopycat: 1, failmimic: 1, failinstruct: 1},
+		callsMove: true,
+		target: "normal",
+		type: "Normal",
+		contestType: "Beautiful",
+	},
+	naturesmadness: {
+		num: 717,
+		accuracy: 90,
+		basePower: 0,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Nature's Madness",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Fairy",
+		contestType: "Tough",
+	},
+	needlearm: {
+		num: 302,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Needle Arm",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Grass",
+		contestType: "Clever",
+	},
+	neverendingnightmare: {
+		num: 636,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Never-Ending Nightmare",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "ghostiumz",
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	nightdaze: {
+		num: 539,
+		accuracy: 95,
+		basePower: 85,
+		category: "Special",
+		name: "Night Daze",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 40,
+			boosts: {accuracy: -1},
+		},
+		target: "normal",
+		type: "Dark",
+		contestType: "Cool",
+	},
+	nightmare: {
+		num: 171,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Nightmare",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		volatileStatus: "nightmare",
+		condition: {noCopy: true, onResidualOrder: 11},
+		target: "normal",
+		type: "Ghost",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	nightshade: {
+		num: 101,
+		accuracy: 100,
+		basePower: 0,
+		damage: "level",
+		category: "Special",
+		name: "Night Shade",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Clever",
+	},
+	nightslash: {
+		num: 400,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "Night Slash",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Dark",
+		contestType: "Cool",
+	},
+	nihillight: {
+		num: 920,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		isNonstandard: "Future",
+		name: "Nihil Light",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		ignoreEvasion: true,
+		ignoreDefensive: true,
+		ignoreImmunity: {Dragon: true},
+		target: "allAdjacentFoes",
+		type: "Dragon",
+	},
+	nobleroar: {
+		num: 568,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Noble Roar",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		boosts: {atk: -1, spa: -1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Tough",
+	},
+	noretreat: {
+		num: 748,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "No Retreat",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		volatileStatus: "noretreat",
+		condition: {},
+		boosts: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		target: "self",
+		type: "Fighting",
+	},
+	noxioustorque: {
+		num: 898,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		isNonstandard: "Unobtainable",
+		name: "Noxious Torque",
+		pp: 10,
+		priority: 0,
+		flags: {
+			protect: 1,
+			failencore: 1,
+			failmefirst: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failcopycat: 1,
+			failmimic: 1,
+			failinstruct: 1,
+			nosketch: 1,
+		},
+		secondary: {chance: 30, status: "psn"},
+		target: "normal",
+		type: "Poison",
+	},
+	nuzzle: {
+		num: 609,
+		accuracy: 100,
+		basePower: 20,
+		category: "Physical",
+		name: "Nuzzle",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 100, status: "par"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cute",
+	},
+	oblivionwing: {
+		num: 613,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Oblivion Wing",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, distance: 1, heal: 1, metronome: 1},
+		drain: [3, 4],
+		target: "any",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	obstruct: {
+		num: 792,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Obstruct",
+		pp: 10,
+		priority: 4,
+		flags: {failinstruct: 1},
+		stallingMove: true,
+		volatileStatus: "obstruct",
+		condition: {duration: 1, onTryHitPriority: 3},
+		target: "self",
+		type: "Dark",
+	},
+	oceanicoperetta: {
+		num: 697,
+		accuracy: true,
+		basePower: 195,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Oceanic Operetta",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "primariumz",
+		target: "normal",
+		type: "Water",
+		contestType: "Cool",
+	},
+	octazooka: {
+		num: 190,
+		accuracy: 85,
+		basePower: 65,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Octazooka",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		secondary: {
+			chance: 50,
+			boosts: {accuracy: -1},
+		},
+		target: "normal",
+		type: "Water",
+		contestType: "Tough",
+	},
+	octolock: {
+		num: 753,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Octolock",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		volatileStatus: "octolock",
+		condition: {onResidualOrder: 14},
+		target: "normal",
+		type: "Fighting",
+	},
+	odorsleuth: {
+		num: 316,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Odor Sleuth",
+		pp: 40,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, bypasssub: 1, allyanim: 1, metronome: 1},
+		volatileStatus: "foresight",
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Clever",
+	},
+	ominouswind: {
+		num: 466,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Ominous Wind",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			self: {
+				boosts: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+			},
+		},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Beautiful",
+	},
+	orderup: {
+		num: 856,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Order Up",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1},
+		hasSheerForceBoost: true,
+		target: "normal",
+		type: "Dragon",
+	},
+	originpulse: {
+		num: 618,
+		accuracy: 85,
+		basePower: 110,
+		category: "Special",
+		name: "Origin Pulse",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, pulse: 1},
+		target: "allAdjacentFoes",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	outrage: {
+		num: 200,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Outrage",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, failinstruct: 1},
+		self: {volatileStatus: "lockedmove"},
+		target: "randomNormal",
+		type: "Dragon",
+		contestType: "Cool",
+	},
+	overdrive: {
+		num: 786,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Overdrive",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1},
+		target: "allAdjacentFoes",
+		type: "Electric",
+	},
+	overheat: {
+		num: 315,
+		accuracy: 90,
+		basePower: 130,
+		category: "Special",
+		name: "Overheat",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		self: {
+			boosts: {spa: -2},
+		},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	painsplit: {
+		num: 220,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Pain Split",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Clever",
+	},
+	paraboliccharge: {
+		num: 570,
+		accuracy: 100,
+		basePower: 65,
+		category: "Special",
+		name: "Parabolic Charge",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, heal: 1, metronome: 1},
+		drain: [1, 2],
+		target: "allAdjacent",
+		type: "Electric",
+		contestType: "Clever",
+	},
+	partingshot: {
+		num: 575,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Parting Shot",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		selfSwitch: true,
+		target: "normal",
+		type: "Dark",
+		zMove: {effect: "healreplacement"},
+		contestType: "Cool",
+	},
+	payback: {
+		num: 371,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Payback",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dark",
+		contestType: "Tough",
+	},
+	payday: {
+		num: 6,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Pay Day",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Clever",
+	},
+	peck: {
+		num: 64,
+		accuracy: 100,
+		basePower: 35,
+		category: "Physical",
+		name: "Peck",
+		pp: 35,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, distance: 1, metronome: 1},
+		target: "any",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	perishsong: {
+		num: 195,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Perish Song",
+		pp: 5,
+		priority: 0,
+		flags: {sound: 1, distance: 1, bypasssub: 1, metronome: 1},
+		condition: {duration: 4, onResidualOrder: 24},
+		target: "all",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	petalblizzard: {
+		num: 572,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "Petal Blizzard",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, wind: 1},
+		target: "allAdjacent",
+		type: "Grass",
+		contestType: "Beautiful",
+	},
+	petaldance: {
+		num: 80,
+		accuracy: 100,
+		basePower: 120,
+		category: "Special",
+		name: "Petal Dance",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, dance: 1, metronome: 1, failinstruct: 1},
+		self: {volatileStatus: "lockedmove"},
+		target: "randomNormal",
+		type: "Grass",
+		contestType: "Beautiful",
+	},
+	phantomforce: {
+		num: 566,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "Phantom Force",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, charge: 1, mirror: 1, metronome: 1, nosleeptalk: 1, noassist: 1, failinstruct: 1},
+		breaksProtect: true,
+		condition: {duration: 2, onInvulnerability: false},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	photongeyser: {
+		num: 722,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		name: "Photon Geyser",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		ignoreAbility: true,
+		target: "normal",
+		type: "Psychic",
+		contestType: "Cool",
+	},
+	pikapapow: {
+		num: 732,
+		accuracy: true,
+		basePower: 0,
+		category: "Special",
+		isNonstandard: "LGPE",
+		name: "Pika Papow",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cute",
+	},
+	pinmissile: {
+		num: 42,
+		accuracy: 95,
+		basePower: 25,
+		category: "Physical",
+		name: "Pin Missile",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Bug",
+		zMove: {basePower: 140},
+		maxMove: {basePower: 130},
+		contestType: "Cool",
+	},
+	plasmafists: {
+		num: 721,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Plasma Fists",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1},
+		pseudoWeather: "iondeluge",
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	playnice: {
+		num: 589,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Play Nice",
+		pp: 20,
+		priority: 0,
+		flags: {reflectable: 1, mirror: 1, bypasssub: 1, metronome: 1},
+		boosts: {atk: -1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cute",
+	},
+	playrough: {
+		num: 583,
+		accuracy: 90,
+		basePower: 90,
+		category: "Physical",
+		name: "Play Rough",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			boosts: {atk: -1},
+		},
+		target: "normal",
+		type: "Fairy",
+		contestType: "Cute",
+	},
+	pluck: {
+		num: 365,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Pluck",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, distance: 1, metronome: 1},
+		target: "any",
+		type: "Flying",
+		contestType: "Cute",
+	},
+	poisonfang: {
+		num: 305,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Poison Fang",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, bite: 1},
+		secondary: {chance: 50, status: "tox"},
+		target: "normal",
+		type: "Poison",
+		contestType: "Clever",
+	},
+	poisongas: {
+		num: 139,
+		accuracy: 90,
+		basePower: 0,
+		category: "Status",
+		name: "Poison Gas",
+		pp: 40,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		status: "psn",
+		target: "allAdjacentFoes",
+		type: "Poison",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Clever",
+	},
+	poisonjab: {
+		num: 398,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Poison Jab",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "psn"},
+		target: "normal",
+		type: "Poison",
+		contestType: "Tough",
+	},
+	poisonpowder: {
+		num: 77,
+		accuracy: 75,
+		basePower: 0,
+		category: "Status",
+		name: "Poison Powder",
+		pp: 35,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1, powder: 1},
+		status: "psn",
+		target: "normal",
+		type: "Poison",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Clever",
+	},
+	poisonsting: {
+		num: 40,
+		accuracy: 100,
+		basePower: 15,
+		category: "Physical",
+		name: "Poison Sting",
+		pp: 35,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "psn"},
+		target: "normal",
+		type: "Poison",
+		contestType: "Clever",
+	},
+	poisontail: {
+		num: 342,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Poison Tail",
+		pp: 25,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		secondary: {chance: 10, status: "psn"},
+		target: "normal",
+		type: "Poison",
+		contestType: "Clever",
+	},
+	pollenpuff: {
+		num: 676,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Pollen Puff",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, allyanim: 1, metronome: 1, bullet: 1},
+		target: "normal",
+		type: "Bug",
+		contestType: "Cute",
+	},
+	poltergeist: {
+		num: 809,
+		accuracy: 90,
+		basePower: 110,
+		category: "Physical",
+		name: "Poltergeist",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Ghost",
+	},
+	populationbomb: {
+		num: 860,
+		accuracy: 90,
+		basePower: 20,
+		category: "Physical",
+		name: "Population Bomb",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, slicing: 1},
+		multihit: 10,
+		multiaccuracy: true,
+		target: "normal",
+		type: "Normal",
+	},
+	pounce: {
+		num: 884,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Pounce",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spe: -1},
+		},
+		target: "normal",
+		type: "Bug",
+		contestType: "Cute",
+	},
+	pound: {
+		num: 1,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Pound",
+		pp: 35,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	powder: {
+		num: 600,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Powder",
+		pp: 20,
+		priority: 1,
+		flags: {protect: 1, reflectable: 1, mirror: 1, bypasssub: 1, metronome: 1, powder: 1},
+		volatileStatus: "powder",
+		condition: {duration: 1, onTryMovePriority: -1},
+		target: "normal",
+		type: "Bug",
+		zMove: {
+			boost: {spd: 2},
+		},
+		contestType: "Clever",
+	},
+	powdersnow: {
+		num: 181,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Powder Snow",
+		pp: 25,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, status: "frz"},
+		target: "allAdjacentFoes",
+		type: "Ice",
+		contestType: "Beautiful",
+	},
+	powergem: {
+		num: 408,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Power Gem",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Rock",
+		contestType: "Beautiful",
+	},
+	powershift: {
+		num: 829,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Unobtainable",
+		name: "Power Shift",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1},
+		volatileStatus: "powershift",
+		condition: {},
+		target: "self",
+		type: "Normal",
+	},
+	powersplit: {
+		num: 471,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Power Split",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	powerswap: {
+		num: 384,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Power Swap",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, bypasssub: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	powertrick: {
+		num: 379,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Power Trick",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		volatileStatus: "powertrick",
+		condition: {},
+		target: "self",
+		type: "Psychic",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Clever",
+	},
+	powertrip: {
+		num: 681,
+		accuracy: 100,
+		basePower: 20,
+		category: "Physical",
+		name: "Power Trip",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dark",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Clever",
+	},
+	poweruppunch: {
+		num: 612,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Power-Up Punch",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			self: {
+				boosts: {atk: 1},
+			},
+		},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	powerwhip: {
+		num: 438,
+		accuracy: 85,
+		basePower: 120,
+		category: "Physical",
+		name: "Power Whip",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Grass",
+		contestType: "Tough",
+	},
+	precipiceblades: {
+		num: 619,
+		accuracy: 85,
+		basePower: 120,
+		category: "Physical",
+		name: "Precipice Blades",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1},
+		target: "allAdjacentFoes",
+		type: "Ground",
+		contestType: "Cool",
+	},
+	present: {
+		num: 217,
+		accuracy: 90,
+		basePower: 0,
+		category: "Physical",
+		name: "Present",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	prismaticlaser: {
+		num: 711,
+		accuracy: 100,
+		basePower: 160,
+		category: "Special",
+		name: "Prismatic Laser",
+		pp: 10,
+		priority: 0,
+		flags: {recharge: 1, protect: 1, mirror: 1, metronome: 1},
+		self: {volatileStatus: "mustrecharge"},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Cool",
+	},
+	protect: {
+		num: 182,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Protect",
+		pp: 10,
+		priority: 4,
+		flags: {noassist: 1, failcopycat: 1},
+		stallingMove: true,
+		volatileStatus: "protect",
+		condition: {duration: 1, onTryHitPriority: 3},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	psybeam: {
+		num: 60,
+		accuracy: 100,
+		basePower: 65,
+		category: "Special",
+		name: "Psybeam",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, volatileStatus: "confusion"},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Beautiful",
+	},
+	psyblade: {
+		num: 875,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Psyblade",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		target: "normal",
+		type: "Psychic",
+	},
+	psychic: {
+		num: 94,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Psychic",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			boosts: {spd: -1},
+		},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	psychicfangs: {
+		num: 706,
+		accuracy: 100,
+		basePower: 85,
+		category: "Physical",
+		name: "Psychic Fangs",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, bite: 1},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	psychicnoise: {
+		num: 917,
+		accuracy: 100,
+		basePower: 75,
+		category: "Special",
+		name: "Psychic Noise",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		secondary: {chance: 100, volatileStatus: "healblock"},
+		target: "normal",
+		type: "Psychic",
+	},
+	psychicterrain: {
+		num: 678,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Psychic Terrain",
+		pp: 10,
+		priority: 0,
+		flags: {nonsky: 1, metronome: 1},
+		terrain: "psychicterrain",
+		condition: {
+			effectType: "Terrain",
+			duration: 5,
+			onTryHitPriority: 4,
+			onBasePowerPriority: 6,
+			onFieldResidualOrder: 27,
+			onFieldResidualSubOrder: 7,
+		},
+		target: "all",
+		type: "Psychic",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	psychoboost: {
+		num: 354,
+		accuracy: 90,
+		basePower: 140,
+		category: "Special",
+		name: "Psycho Boost",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		self: {
+			boosts: {spa: -2},
+		},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	psychocut: {
+		num: 427,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "Psycho Cut",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Psychic",
+		contestType: "Cool",
+	},
+	psychoshift: {
+		num: 375,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Psycho Shift",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		self: {},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spa: 2},
+		},
+		contestType: "Clever",
+	},
+	psychup: {
+		num: 244,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Psych Up",
+		pp: 10,
+		priority: 0,
+		flags: {bypasssub: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {effect: "heal"},
+		contestType: "Clever",
+	},
+	psyshieldbash: {
+		num: 828,
+		accuracy: 90,
+		basePower: 70,
+		category: "Physical",
+		name: "Psyshield Bash",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			self: {
+				boosts: {def: 1},
+			},
+		},
+		target: "normal",
+		type: "Psychic",
+	},
+	psyshock: {
+		num: 473,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		overrideDefensiveStat: "def",
+		name: "Psyshock",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Beautiful",
+	},
+	psystrike: {
+		num: 540,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		overrideDefensiveStat: "def",
+		name: "Psystrike",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Cool",
+	},
+	psywave: {
+		num: 149,
+		accuracy: 100,
+		basePower: 0,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Psywave",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	pulverizingpancake: {
+		num: 701,
+		accuracy: true,
+		basePower: 210,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Pulverizing Pancake",
+		pp: 1,
+		priority: 0,
+		flags: {contact: 1},
+		isZ: "snorliumz",
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	punishment: {
+		num: 386,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Punishment",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dark",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Cool",
+	},
+	purify: {
+		num: 685,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Purify",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, heal: 1, metronome: 1},
+		target: "normal",
+		type: "Poison",
+		zMove: {
+			boost: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		},
+		contestType: "Beautiful",
+	},
+	pursuit: {
+		num: 228,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Pursuit",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		condition: {duration: 1},
+		target: "normal",
+		type: "Dark",
+		contestType: "Clever",
+	},
+	pyroball: {
+		num: 780,
+		accuracy: 90,
+		basePower: 120,
+		category: "Physical",
+		name: "Pyro Ball",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, defrost: 1, bullet: 1},
+		secondary: {chance: 10, status: "brn"},
+		target: "normal",
+		type: "Fire",
+	},
+	quash: {
+		num: 511,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Quash",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Dark",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	quickattack: {
+		num: 98,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Quick Attack",
+		pp: 30,
+		priority: 1,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	quickguard: {
+		num: 501,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Quick Guard",
+		pp: 15,
+		priority: 3,
+		flags: {snatch: 1},
+		sideCondition: "quickguard",
+		condition: {duration: 1, onTryHitPriority: 4},
+		target: "allySide",
+		type: "Fighting",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cool",
+	},
+	quiverdance: {
+		num: 483,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Quiver Dance",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, dance: 1, metronome: 1},
+		boosts: {spa: 1, spd: 1, spe: 1},
+		target: "self",
+		type: "Bug",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	rage: {
+		num: 99,
+		accuracy: 100,
+		basePower: 20,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Rage",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		self: {volatileStatus: "rage"},
+		condition: {onBeforeMovePriority: 100},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	ragefist: {
+		num: 889,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Rage Fist",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1},
+		target: "normal",
+		type: "Ghost",
+	},
+	ragepowder: {
+		num: 476,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Rage Powder",
+		pp: 20,
+		priority: 2,
+		flags: {noassist: 1, failcopycat: 1, powder: 1},
+		volatileStatus: "ragepowder",
+		condition: {duration: 1, onFoeRedirectTargetPriority: 1},
+		target: "self",
+		type: "Bug",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	ragingbull: {
+		num: 873,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "Raging Bull",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		target: "normal",
+		type: "Normal",
+	},
+	ragingfury: {
+		num: 833,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Raging Fury",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		self: {volatileStatus: "lockedmove"},
+		target: "randomNormal",
+		type: "Fire",
+	},
+	raindance: {
+		num: 240,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Rain Dance",
+		pp: 5,
+		priority: 0,
+		flags: {metronome: 1},
+		weather: "RainDance",
+		target: "all",
+		type: "Water",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Beautiful",
+	},
+	rapidspin: {
+		num: 229,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Rapid Spin",
+		pp: 40,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			self: {
+				boosts: {spe: 1},
+			},
+		},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	razorleaf: {
+		num: 75,
+		accuracy: 95,
+		basePower: 55,
+		category: "Physical",
+		name: "Razor Leaf",
+		pp: 25,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		critRatio: 2,
+		target: "allAdjacentFoes",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	razorshell: {
+		num: 534,
+		accuracy: 95,
+		basePower: 75,
+		category: "Physical",
+		name: "Razor Shell",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		secondary: {
+			chance: 50,
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Water",
+		contestType: "Cool",
+	},
+	razorwind: {
+		num: 13,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Razor Wind",
+		pp: 10,
+		priority: 0,
+		flags: {charge: 1, protect: 1, mirror: 1, metronome: 1, nosleeptalk: 1, failinstruct: 1},
+		critRatio: 2,
+		target: "allAdjacentFoes",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	recover: {
+		num: 105,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Recover",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		heal: [1, 2],
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	recycle: {
+		num: 278,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Recycle",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 2},
+		},
+		contestType: "Clever",
+	},
+	reflect: {
+		num: 115,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Reflect",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		sideCondition: "reflect",
+		condition: {duration: 5, onSideResidualOrder: 26, onSideResidualSubOrder: 1},
+		target: "allySide",
+		type: "Psychic",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Clever",
+	},
+	reflecttype: {
+		num: 513,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Reflect Type",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, bypasssub: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	refresh: {
+		num: 287,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Refresh",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "heal"},
+		contestType: "Cute",
+	},
+	relicsong: {
+		num: 547,
+		accuracy: 100,
+		basePower: 75,
+		category: "Special",
+		name: "Relic Song",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1},
+		secondary: {chance: 10, status: "slp"},
+		target: "allAdjacentFoes",
+		type: "Normal",
+		contestType: "Beautiful",
+	},
+	rest: {
+		num: 156,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Rest",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		target: "self",
+		type: "Psychic",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	retaliate: {
+		num: 514,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "Retaliate",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	return: {
+		num: 216,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Return",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Cute",
+	},
+	revelationdance: {
+		num: 686,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Revelation Dance",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, dance: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Beautiful",
+	},
+	revenge: {
+		num: 279,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Revenge",
+		pp: 10,
+		priority: -4,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	reversal: {
+		num: 179,
+		accuracy: 100,
+		basePower: 0,
+		category: "Physical",
+		name: "Reversal",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Fighting",
+		zMove: {basePower: 160},
+		contestType: "Cool",
+	},
+	revivalblessing: {
+		num: 863,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Revival Blessing",
+		pp: 1,
+		noPPBoosts: true,
+		priority: 0,
+		flags: {heal: 1, nosketch: 1},
+		slotCondition: "revivalblessing",
+		selfSwitch: true,
+		condition: {duration: 1},
+		target: "self",
+		type: "Normal",
+	},
+	risingvoltage: {
+		num: 804,
+		accuracy: 100,
+		basePower: 70,
+		category: "Special",
+		name: "Rising Voltage",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Electric",
+		maxMove: {basePower: 140},
+	},
+	roar: {
+		num: 46,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Roar",
+		pp: 20,
+		priority: -6,
+		flags: {reflectable: 1, mirror: 1, sound: 1, bypasssub: 1, allyanim: 1, metronome: 1, noassist: 1, failcopycat: 1},
+		forceSwitch: true,
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cool",
+	},
+	roaroftime: {
+		num: 459,
+		accuracy: 90,
+		basePower: 150,
+		category: "Special",
+		name: "Roar of Time",
+		pp: 5,
+		priority: 0,
+		flags: {recharge: 1, protect: 1, mirror: 1, metronome: 1},
+		self: {volatileStatus: "mustrecharge"},
+		target: "normal",
+		type: "Dragon",
+		contestType: "Beautiful",
+	},
+	rockblast: {
+		num: 350,
+		accuracy: 90,
+		basePower: 25,
+		category: "Physical",
+		name: "Rock Blast",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Rock",
+		zMove: {basePower: 140},
+		maxMove: {basePower: 130},
+		contestType: "Tough",
+	},
+	rockclimb: {
+		num: 431,
+		accuracy: 85,
+		basePower: 90,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Rock Climb",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 20, volatileStatus: "confusion"},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	rockpolish: {
+		num: 397,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Rock Polish",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {spe: 2},
+		target: "self",
+		type: "Rock",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Tough",
+	},
+	rockslide: {
+		num: 157,
+		accuracy: 90,
+		basePower: 75,
+		category: "Physical",
+		name: "Rock Slide",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "allAdjacentFoes",
+		type: "Rock",
+		contestType: "Tough",
+	},
+	rocksmash: {
+		num: 249,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Rock Smash",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 50,
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	rockthrow: {
+		num: 88,
+		accuracy: 90,
+		basePower: 50,
+		category: "Physical",
+		name: "Rock Throw",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Rock",
+		contestType: "Tough",
+	},
+	rocktomb: {
+		num: 317,
+		accuracy: 95,
+		basePower: 60,
+		category: "Physical",
+		name: "Rock Tomb",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spe: -1},
+		},
+		target: "normal",
+		type: "Rock",
+		contestType: "Clever",
+	},
+	rockwrecker: {
+		num: 439,
+		accuracy: 90,
+		basePower: 150,
+		category: "Physical",
+		name: "Rock Wrecker",
+		pp: 5,
+		priority: 0,
+		flags: {recharge: 1, protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		self: {volatileStatus: "mustrecharge"},
+		target: "normal",
+		type: "Rock",
+		contestType: "Tough",
+	},
+	roleplay: {
+		num: 272,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Role Play",
+		pp: 10,
+		priority: 0,
+		flags: {bypasssub: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Cute",
+	},
+	rollingkick: {
+		num: 27,
+		accuracy: 85,
+		basePower: 60,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Rolling Kick",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	rollout: {
+		num: 205,
+		accuracy: 90,
+		basePower: 30,
+		category: "Physical",
+		name: "Rollout",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, failinstruct: 1, noparentalbond: 1},
+		condition: {duration: 1, onLockMove: "rollout"},
+		target: "normal",
+		type: "Rock",
+		contestType: "Cute",
+	},
+	roost: {
+		num: 355,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Roost",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		heal: [1, 2],
+		self: {volatileStatus: "roost"},
+		condition: {duration: 1, onResidualOrder: 25, onTypePriority: -1},
+		target: "self",
+		type: "Flying",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	rototiller: {
+		num: 563,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Rototiller",
+		pp: 10,
+		priority: 0,
+		flags: {distance: 1, nonsky: 1, metronome: 1},
+		target: "all",
+		type: "Ground",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Tough",
+	},
+	round: {
+		num: 496,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		name: "Round",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Beautiful",
+	},
+	ruination: {
+		num: 877,
+		accuracy: 90,
+		basePower: 0,
+		category: "Special",
+		name: "Ruination",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Dark",
+		contestType: "Tough",
+	},
+	sacredfire: {
+		num: 221,
+		accuracy: 95,
+		basePower: 100,
+		category: "Physical",
+		name: "Sacred Fire",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, defrost: 1, metronome: 1},
+		secondary: {chance: 50, status: "brn"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	sacredsword: {
+		num: 533,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "Sacred Sword",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		ignoreEvasion: true,
+		ignoreDefensive: true,
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	safeguard: {
+		num: 219,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Safeguard",
+		pp: 25,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		sideCondition: "safeguard",
+		condition: {duration: 5, onSideResidualOrder: 26, onSideResidualSubOrder: 3},
+		target: "allySide",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Beautiful",
+	},
+	saltcure: {
+		num: 864,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Salt Cure",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		condition: {noCopy: true, onResidualOrder: 13},
+		secondary: {chance: 100, volatileStatus: "saltcure"},
+		target: "normal",
+		type: "Rock",
+	},
+	sandattack: {
+		num: 28,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Sand Attack",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		boosts: {accuracy: -1},
+		target: "normal",
+		type: "Ground",
+		zMove: {
+			boost: {evasion: 1},
+		},
+		contestType: "Cute",
+	},
+	sandsearstorm: {
+		num: 848,
+		accuracy: 80,
+		basePower: 100,
+		category: "Special",
+		name: "Sandsear Storm",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, wind: 1},
+		secondary: {chance: 20, status: "brn"},
+		target: "allAdjacentFoes",
+		type: "Ground",
+	},
+	sandstorm: {
+		num: 201,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Sandstorm",
+		pp: 10,
+		priority: 0,
+		flags: {metronome: 1, wind: 1},
+		weather: "Sandstorm",
+		target: "all",
+		type: "Rock",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Tough",
+	},
+	sandtomb: {
+		num: 328,
+		accuracy: 85,
+		basePower: 35,
+		category: "Physical",
+		name: "Sand Tomb",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		volatileStatus: "partiallytrapped",
+		target: "normal",
+		type: "Ground",
+		contestType: "Clever",
+	},
+	sappyseed: {
+		num: 738,
+		accuracy: 90,
+		basePower: 100,
+		category: "Physical",
+		isNonstandard: "LGPE",
+		name: "Sappy Seed",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1},
+		target: "normal",
+		type: "Grass",
+		contestType: "Clever",
+	},
+	savagespinout: {
+		num: 634,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Savage Spin-Out",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "buginiumz",
+		target: "normal",
+		type: "Bug",
+		contestType: "Cool",
+	},
+	scald: {
+		num: 503,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Scald",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, defrost: 1, metronome: 1},
+		thawsTarget: true,
+		secondary: {chance: 30, status: "brn"},
+		target: "normal",
+		type: "Water",
+		contestType: "Tough",
+	},
+	scaleshot: {
+		num: 799,
+		accuracy: 90,
+		basePower: 25,
+		category: "Physical",
+		name: "Scale Shot",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		multihit: [2, 5],
+		selfBoost: {
+			boosts: {def: -1, spe: 1},
+		},
+		target: "normal",
+		type: "Dragon",
+		zMove: {basePower: 140},
+		maxMove: {basePower: 130},
+	},
+	scaryface: {
+		num: 184,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Scary Face",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		boosts: {spe: -2},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Tough",
+	},
+	scorchingsands: {
+		num: 815,
+		accuracy: 100,
+		basePower: 70,
+		category: "Special",
+		name: "Scorching Sands",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, defrost: 1, metronome: 1},
+		thawsTarget: true,
+		secondary: {chance: 30, status: "brn"},
+		target: "normal",
+		type: "Ground",
+	},
+	scratch: {
+		num: 10,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Scratch",
+		pp: 35,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	screech: {
+		num: 103,
+		accuracy: 85,
+		basePower: 0,
+		category: "Status",
+		name: "Screech",
+		pp: 40,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, sound: 1, bypasssub: 1, allyanim: 1, metronome: 1},
+		boosts: {def: -2},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Clever",
+	},
+	searingshot: {
+		num: 545,
+		accuracy: 100,
+		basePower: 100,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Searing Shot",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		secondary: {chance: 30, status: "brn"},
+		target: "allAdjacent",
+		type: "Fire",
+		contestType: "Cool",
+	},
+	searingsunrazesmash: {
+		num: 724,
+		accuracy: true,
+		basePower: 200,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Searing Sunraze Smash",
+		pp: 1,
+		priority: 0,
+		flags: {contact: 1},
+		isZ: "solganiumz",
+		ignoreAbility: true,
+		target: "normal",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	secretpower: {
+		num: 290,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Secret Power",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "par"},
+		target: "normal",
+		type: "Normal",
+		contestType: "Clever",
+	},
+	secretsword: {
+		num: 548,
+		accuracy: 100,
+		basePower: 85,
+		category: "Special",
+		overrideDefensiveStat: "def",
+		name: "Secret Sword",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, slicing: 1},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Beautiful",
+	},
+	seedbomb: {
+		num: 402,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Seed Bomb",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		target: "normal",
+		type: "Grass",
+		contestType: "Tough",
+	},
+	seedflare: {
+		num: 465,
+		accuracy: 85,
+		basePower: 120,
+		category: "Special",
+		name: "Seed Flare",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 40,
+			boosts: {spd: -2},
+		},
+		target: "normal",
+		type: "Grass",
+		contestType: "Beautiful",
+	},
+	seismictoss: {
+		num: 69,
+		accuracy: 100,
+		basePower: 0,
+		damage: "level",
+		category: "Physical",
+		name: "Seismic Toss",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		target: "normal",
+		type: "Fighting",
+		maxMove: {basePower: 75},
+		contestType: "Tough",
+	},
+	selfdestruct: {
+		num: 120,
+		accuracy: 100,
+		basePower: 200,
+		category: "Physical",
+		name: "Self-Destruct",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, noparentalbond: 1},
+		selfdestruct: "always",
+		target: "allAdjacent",
+		type: "Normal",
+		contestType: "Beautiful",
+	},
+	shadowball: {
+		num: 247,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Shadow Ball",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		secondary: {
+			chance: 20,
+			boosts: {spd: -1},
+		},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Clever",
+	},
+	shadowbone: {
+		num: 708,
+		accuracy: 100,
+		basePower: 85,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Shadow Bone",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 20,
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	shadowclaw: {
+		num: 421,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "Shadow Claw",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	shadowforce: {
+		num: 467,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Shadow Force",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, charge: 1, mirror: 1, metronome: 1, nosleeptalk: 1, noassist: 1, failinstruct: 1},
+		breaksProtect: true,
+		condition: {duration: 2, onInvulnerability: false},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	shadowpunch: {
+		num: 325,
+		accuracy: true,
+		basePower: 60,
+		category: "Physical",
+		name: "Shadow Punch",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Clever",
+	},
+	shadowsneak: {
+		num: 425,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Shadow Sneak",
+		pp: 30,
+		priority: 1,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Clever",
+	},
+	sharpen: {
+		num: 159,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Sharpen",
+		pp: 30,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {atk: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Cute",
+	},
+	shatteredpsyche: {
+		num: 648,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Shattered Psyche",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "psychiumz",
+		target: "normal",
+		type: "Psychic",
+		contestType: "Cool",
+	},
+	shedtail: {
+		num: 880,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Shed Tail",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		volatileStatus: "substitute",
+		self: {},
+		selfSwitch: "shedtail",
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+	},
+	sheercold: {
+		num: 329,
+		accuracy: 30,
+		basePower: 0,
+		category: "Special",
+		name: "Sheer Cold",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		ohko: "Ice",
+		target: "normal",
+		type: "Ice",
+		zMove: {basePower: 180},
+		maxMove: {basePower: 130},
+		contestType: "Beautiful",
+	},
+	shellsidearm: {
+		num: 801,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Shell Side Arm",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 20, status: "psn"},
+		target: "normal",
+		type: "Poison",
+	},
+	shellsmash: {
+		num: 504,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Shell Smash",
+		pp: 15,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {def: -1, spd: -1, atk: 2, spa: 2, spe: 2},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Tough",
+	},
+	shelltrap: {
+		num: 704,
+		accuracy: 100,
+		basePower: 150,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Shell Trap",
+		pp: 5,
+		priority: -3,
+		flags: {protect: 1, failmefirst: 1, nosleeptalk: 1, noassist: 1, failcopycat: 1, failinstruct: 1},
+		condition: {duration: 1},
+		target: "allAdjacentFoes",
+		type: "Fire",
+		contestType: "Tough",
+	},
+	shelter: {
+		num: 842,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Shelter",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {def: 2},
+		target: "self",
+		type: "Steel",
+	},
+	shiftgear: {
+		num: 508,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Shift Gear",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {spe: 2, atk: 1},
+		target: "self",
+		type: "Steel",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	shockwave: {
+		num: 351,
+		accuracy: true,
+		basePower: 60,
+		category: "Special",
+		name: "Shock Wave",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	shoreup: {
+		num: 659,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Shore Up",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		target: "self",
+		type: "Ground",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	signalbeam: {
+		num: 324,
+		accuracy: 100,
+		basePower: 75,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Signal Beam",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, volatileStatus: "confusion"},
+		target: "normal",
+		type: "Bug",
+		contestType: "Beautiful",
+	},
+	silktrap: {
+		num: 852,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Silk Trap",
+		pp: 10,
+		priority: 4,
+		flags: {},
+		stallingMove: true,
+		volatileStatus: "silktrap",
+		condition: {duration: 1, onTryHitPriority: 3},
+		target: "self",
+		type: "Bug",
+	},
+	silverwind: {
+		num: 318,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Silver Wind",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			self: {
+				boosts: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+			},
+		},
+		target: "normal",
+		type: "Bug",
+		contestType: "Beautiful",
+	},
+	simplebeam: {
+		num: 493,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Simple Beam",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Cute",
+	},
+	sing: {
+		num: 47,
+		accuracy: 55,
+		basePower: 0,
+		category: "Status",
+		name: "Sing",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		status: "slp",
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Cute",
+	},
+	sinisterarrowraid: {
+		num: 695,
+		accuracy: true,
+		basePower: 180,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Sinister Arrow Raid",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "decidiumz",
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	sizzlyslide: {
+		num: 735,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		isNonstandard: "LGPE",
+		name: "Sizzly Slide",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, defrost: 1},
+		secondary: {chance: 100, status: "brn"},
+		target: "normal",
+		type: "Fire",
+		contestType: "Clever",
+	},
+	sketch: {
+		num: 166,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Sketch",
+		pp: 1,
+		noPPBoosts: true,
+		priority: 0,
+		flags: {
+			bypasssub: 1,
+			allyanim: 1,
+			failencore: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failcopycat: 1,
+			failmimic: 1,
+			failinstruct: 1,
+			nosketch: 1,
+		},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		},
+		contestType: "Clever",
+	},
+	skillswap: {
+		num: 285,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Skill Swap",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, bypasssub: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	skittersmack: {
+		num: 806,
+		accuracy: 90,
+		basePower: 70,
+		category: "Physical",
+		name: "Skitter Smack",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spa: -1},
+		},
+		target: "normal",
+		type: "Bug",
+	},
+	skullbash: {
+		num: 130,
+		accuracy: 100,
+		basePower: 130,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Skull Bash",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, charge: 1, protect: 1, mirror: 1, metronome: 1, nosleeptalk: 1, failinstruct: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	skyattack: {
+		num: 143,
+		accuracy: 90,
+		basePower: 140,
+		category: "Physical",
+		name: "Sky Attack",
+		pp: 5,
+		priority: 0,
+		flags: {charge: 1, protect: 1, mirror: 1, distance: 1, metronome: 1, nosleeptalk: 1, failinstruct: 1},
+		critRatio: 2,
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "any",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	skydrop: {
+		num: 507,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Sky Drop",
+		pp: 10,
+		priority: 0,
+		flags: {
+			contact: 1,
+			charge: 1,
+			protect: 1,
+			mirror: 1,
+			gravity: 1,
+			distance: 1,
+			metronome: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failinstruct: 1,
+		},
+		condition: {duration: 2, onFoeTrapPokemonPriority: -15, onFoeBeforeMovePriority: 12, onRedirectTargetPriority: 99},
+		target: "any",
+		type: "Flying",
+		contestType: "Tough",
+	},
+	skyuppercut: {
+		num: 327,
+		accuracy: 90,
+		basePower: 85,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Sky Uppercut",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	slackoff: {
+		num: 303,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Slack Off",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		heal: [1, 2],
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	slam: {
+		num: 21,
+		accuracy: 75,
+		basePower: 80,
+		category: "Physical",
+		name: "Slam",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	slash: {
+		num: 163,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "Slash",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	sleeppowder: {
+		num: 79,
+		accuracy: 75,
+		basePower: 0,
+		category: "Status",
+		name: "Sleep Powder",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1, powder: 1},
+		status: "slp",
+		target: "normal",
+		type: "Grass",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	sleeptalk: {
+		num: 214,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Sleep Talk",
+		pp: 10,
+		priority: 0,
+		flags: {failencore: 1, nosleeptalk: 1, noassist: 1, failcopycat: 1, failmimic: 1, failinstruct: 1},
+		sleepUsable: true,
+		callsMove: true,
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "crit2"},
+		contestType: "Cute",
+	},
+	sludge: {
+		num: 124,
+		accuracy: 100,
+		basePower: 65,
+		category: "Special",
+		name: "Sludge",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "psn"},
+		target: "normal",
+		type: "Poison",
+		contestType: "Tough",
+	},
+	sludgebomb: {
+		num: 188,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Sludge Bomb",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		secondary: {chance: 30, status: "psn"},
+		target: "normal",
+		type: "Poison",
+		contestType: "Tough",
+	},
+	sludgewave: {
+		num: 482,
+		accuracy: 100,
+		basePower: 95,
+		category: "Special",
+		name: "Sludge Wave",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, status: "psn"},
+		target: "allAdjacent",
+		type: "Poison",
+		contestType: "Tough",
+	},
+	smackdown: {
+		num: 479,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Smack Down",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		volatileStatus: "smackdown",
+		condition: {noCopy: true},
+		target: "normal",
+		type: "Rock",
+		contestType: "Tough",
+	},
+	smartstrike: {
+		num: 684,
+		accuracy: true,
+		basePower: 70,
+		category: "Physical",
+		name: "Smart Strike",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	smellingsalts: {
+		num: 265,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Smelling Salts",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	smog: {
+		num: 123,
+		accuracy: 70,
+		basePower: 30,
+		category: "Special",
+		name: "Smog",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 40, status: "psn"},
+		target: "normal",
+		type: "Poison",
+		contestType: "Tough",
+	},
+	smokescreen: {
+		num: 108,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Smokescreen",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		boosts: {accuracy: -1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {evasion: 1},
+		},
+		contestType: "Clever",
+	},
+	snaptrap: {
+		num: 779,
+		accuracy: 100,
+		basePower: 35,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Snap Trap",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		volatileStatus: "partiallytrapped",
+		target: "normal",
+		type: "Grass",
+	},
+	snarl: {
+		num: 555,
+		accuracy: 95,
+		basePower: 55,
+		category: "Special",
+		name: "Snarl",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spa: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Dark",
+		contestType: "Tough",
+	},
+	snatch: {
+		num: 289,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Snatch",
+		pp: 10,
+		priority: 4,
+		flags: {bypasssub: 1, mustpressure: 1, noassist: 1, failcopycat: 1},
+		volatileStatus: "snatch",
+		condition: {duration: 1, onAnyPrepareHitPriority: -1},
+		target: "self",
+		type: "Dark",
+		zMove: {
+			boost: {spe: 2},
+		},
+		contestType: "Clever",
+	},
+	snipeshot: {
+		num: 745,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Snipe Shot",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		tracksTarget: true,
+		target: "normal",
+		type: "Water",
+	},
+	snore: {
+		num: 173,
+		accuracy: 100,
+		basePower: 50,
+		category: "Special",
+		name: "Snore",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1},
+		sleepUsable: true,
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	snowscape: {
+		num: 883,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Snowscape",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		weather: "snowscape",
+		target: "all",
+		type: "Ice",
+	},
+	soak: {
+		num: 487,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Soak",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Water",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Cute",
+	},
+	softboiled: {
+		num: 135,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Soft-Boiled",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		heal: [1, 2],
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	solarbeam: {
+		num: 76,
+		accuracy: 100,
+		basePower: 120,
+		category: "Special",
+		name: "Solar Beam",
+		pp: 10,
+		priority: 0,
+		flags: {charge: 1, protect: 1, mirror: 1, metronome: 1, nosleeptalk: 1, failinstruct: 1},
+		target: "normal",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	solarblade: {
+		num: 669,
+		accuracy: 100,
+		basePower: 125,
+		category: "Physical",
+		name: "Solar Blade",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, charge: 1, protect: 1, mirror: 1, metronome: 1, nosleeptalk: 1, failinstruct: 1, slicing: 1},
+		target: "normal",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	sonicboom: {
+		num: 49,
+		accuracy: 90,
+		basePower: 0,
+		damage: 20,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Sonic Boom",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	soulstealing7starstrike: {
+		num: 699,
+		accuracy: true,
+		basePower: 195,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Soul-Stealing 7-Star Strike",
+		pp: 1,
+		priority: 0,
+		flags: {contact: 1},
+		isZ: "marshadiumz",
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	spacialrend: {
+		num: 460,
+		accuracy: 95,
+		basePower: 100,
+		category: "Special",
+		name: "Spacial Rend",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Dragon",
+		contestType: "Beautiful",
+	},
+	spark: {
+		num: 209,
+		accuracy: 100,
+		basePower: 65,
+		category: "Physical",
+		name: "Spark",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "par"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	sparklingaria: {
+		num: 664,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Sparkling Aria",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		secondary: {chance: 100, volatileStatus: "sparklingaria"},
+		target: "allAdjacent",
+		type: "Water",
+		contestType: "Tough",
+	},
+	sparklyswirl: {
+		num: 740,
+		accuracy: 85,
+		basePower: 120,
+		category: "Special",
+		isNonstandard: "LGPE",
+		name: "Sparkly Swirl",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		self: {},
+		target: "normal",
+		type: "Fairy",
+		contestType: "Clever",
+	},
+	spectralthief: {
+		num: 712,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Spectral Thief",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, bypasssub: 1},
+		stealsBoosts: true,
+		target: "normal",
+		type: "Ghost",
+		contestType: "Cool",
+	},
+	speedswap: {
+		num: 683,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Speed Swap",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, bypasssub: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	spicyextract: {
+		num: 858,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Spicy Extract",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1},
+		boosts: {atk: 2, def: -2},
+		target: "normal",
+		type: "Grass",
+	},
+	spiderweb: {
+		num: 169,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Spider Web",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Bug",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Clever",
+	},
+	spikecannon: {
+		num: 131,
+		accuracy: 100,
+		basePower: 20,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Spike Cannon",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Normal",
+		maxMove: {basePower: 120},
+		contestType: "Cool",
+	},
+	spikes: {
+		num: 191,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Spikes",
+		pp: 20,
+		priority: 0,
+		flags: {reflectable: 1, nonsky: 1, metronome: 1, mustpressure: 1},
+		sideCondition: "spikes",
+		condition: {},
+		target: "foeSide",
+		type: "Ground",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Clever",
+	},
+	spikyshield: {
+		num: 596,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Spiky Shield",
+		pp: 10,
+		priority: 4,
+		flags: {noassist: 1, failcopycat: 1},
+		stallingMove: true,
+		volatileStatus: "spikyshield",
+		condition: {duration: 1, onTryHitPriority: 3},
+		target: "self",
+		type: "Grass",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Tough",
+	},
+	spinout: {
+		num: 859,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		name: "Spin Out",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		self: {
+			boosts: {spe: -2},
+		},
+		target: "normal",
+		type: "Steel",
+	},
+	spiritbreak: {
+		num: 789,
+		accuracy: 100,
+		basePower: 75,
+		category: "Physical",
+		name: "Spirit Break",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spa: -1},
+		},
+		target: "normal",
+		type: "Fairy",
+	},
+	spiritshackle: {
+		num: 662,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Spirit Shackle",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 100},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Tough",
+	},
+	spite: {
+		num: 180,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Spite",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, bypasssub: 1, metronome: 1},
+		target: "normal",
+		type: "Ghost",
+		zMove: {effect: "heal"},
+		contestType: "Tough",
+	},
+	spitup: {
+		num: 255,
+		accuracy: 100,
+		basePower: 0,
+		category: "Special",
+		name: "Spit Up",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	splash: {
+		num: 150,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Splash",
+		pp: 40,
+		priority: 0,
+		flags: {gravity: 1, metronome: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 3},
+		},
+		contestType: "Cute",
+	},
+	splinteredstormshards: {
+		num: 727,
+		accuracy: true,
+		basePower: 190,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Splintered Stormshards",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "lycaniumz",
+		target: "normal",
+		type: "Rock",
+		contestType: "Cool",
+	},
+	splishysplash: {
+		num: 730,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		isNonstandard: "LGPE",
+		name: "Splishy Splash",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		secondary: {chance: 30, status: "par"},
+		target: "allAdjacentFoes",
+		type: "Water",
+		contestType: "Cool",
+	},
+	spore: {
+		num: 147,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Spore",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1, powder: 1},
+		status: "slp",
+		target: "normal",
+		type: "Grass",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	spotlight: {
+		num: 671,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Spotlight",
+		pp: 15,
+		priority: 3,
+		flags: {protect: 1, reflectable: 1, allyanim: 1, noassist: 1, failcopycat: 1},
+		volatileStatus: "spotlight",
+		condition: {duration: 1, noCopy: true, onFoeRedirectTargetPriority: 2},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Cute",
+	},
+	springtidestorm: {
+		num: 831,
+		accuracy: 80,
+		basePower: 100,
+		category: "Special",
+		name: "Springtide Storm",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, wind: 1},
+		secondary: {
+			chance: 30,
+			boosts: {atk: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Fairy",
+	},
+	stealthrock: {
+		num: 446,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Stealth Rock",
+		pp: 20,
+		priority: 0,
+		flags: {reflectable: 1, metronome: 1, mustpressure: 1},
+		sideCondition: "stealthrock",
+		condition: {},
+		target: "foeSide",
+		type: "Rock",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cool",
+	},
+	steameruption: {
+		num: 592,
+		accuracy: 95,
+		basePower: 110,
+		category: "Special",
+		name: "Steam Eruption",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, defrost: 1},
+		thawsTarget: true,
+		secondary: {chance: 30, status: "brn"},
+		target: "normal",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	steamroller: {
+		num: 537,
+		accuracy: 100,
+		basePower: 65,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Steamroller",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, minimize: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Bug",
+		contestType: "Tough",
+	},
+	steelbeam: {
+		num: 796,
+		accuracy: 95,
+		basePower: 140,
+		category: "Special",
+		name: "Steel Beam",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		mindBlownRecoil: true,
+		target: "normal",
+		type: "Steel",
+	},
+	steelroller: {
+		num: 798,
+		accuracy: 100,
+		basePower: 130,
+		category: "Physical",
+		name: "Steel Roller",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Steel",
+	},
+	steelwing: {
+		num: 211,
+		accuracy: 90,
+		basePower: 70,
+		category: "Physical",
+		name: "Steel Wing",
+		pp: 25,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 10,
+			self: {
+				boosts: {def: 1},
+			},
+		},
+		target: "normal",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	stickyweb: {
+		num: 564,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Sticky Web",
+		pp: 20,
+		priority: 0,
+		flags: {reflectable: 1, metronome: 1},
+		sideCondition: "stickyweb",
+		condition: {},
+		target: "foeSide",
+		type: "Bug",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Tough",
+	},
+	stockpile: {
+		num: 254,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Stockpile",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		volatileStatus: "stockpile",
+		condition: {noCopy: true},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "heal"},
+		contestType: "Tough",
+	},
+	stokedsparksurfer: {
+		num: 700,
+		accuracy: true,
+		basePower: 175,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Stoked Sparksurfer",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "aloraichiumz",
+		secondary: {chance: 100, status: "par"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	stomp: {
+		num: 23,
+		accuracy: 100,
+		basePower: 65,
+		category: "Physical",
+		name: "Stomp",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, nonsky: 1, metronome: 1, minimize: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	stompingtantrum: {
+		num: 707,
+		accuracy: 100,
+		basePower: 75,
+		category: "Physical",
+		name: "Stomping Tantrum",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Ground",
+		contestType: "Tough",
+	},
+	stoneaxe: {
+		num: 830,
+		accuracy: 90,
+		basePower: 65,
+		category: "Physical",
+		name: "Stone Axe",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		secondary: {},
+		target: "normal",
+		type: "Rock",
+	},
+	stoneedge: {
+		num: 444,
+		accuracy: 80,
+		basePower: 100,
+		category: "Physical",
+		name: "Stone Edge",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		target: "normal",
+		type: "Rock",
+		contestType: "Tough",
+	},
+	storedpower: {
+		num: 500,
+		accuracy: 100,
+		basePower: 20,
+		category: "Special",
+		name: "Stored Power",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Clever",
+	},
+	stormthrow: {
+		num: 480,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Storm Throw",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		willCrit: true,
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	strangesteam: {
+		num: 790,
+		accuracy: 95,
+		basePower: 90,
+		category: "Special",
+		name: "Strange Steam",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		secondary: {chance: 20, volatileStatus: "confusion"},
+		target: "normal",
+		type: "Fairy",
+	},
+	strength: {
+		num: 70,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Strength",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	strengthsap: {
+		num: 668,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Strength Sap",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, heal: 1, metronome: 1},
+		target: "normal",
+		type: "Grass",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cute",
+	},
+	stringshot: {
+		num: 81,
+		accuracy: 95,
+		basePower: 0,
+		category: "Status",
+		name: "String Shot",
+		pp: 40,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		boosts: {spe: -2},
+		target: "allAdjacentFoes",
+		type: "Bug",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	struggle: {
+		num: 165,
+		accuracy: true,
+		basePower: 50,
+		category: "Physical",
+		name: "Struggle",
+		pp: 1,
+		noPPBoosts: true,
+		priority: 0,
+		flags: {
+			contact: 1,
+			protect: 1,
+			failencore: 1,
+			failmefirst: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failcopycat: 1,
+			failmimic: 1,
+			failinstruct: 1,
+			nosketch: 1,
+		},
+		struggleRecoil: true,
+		target: "randomNormal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	strugglebug: {
+		num: 522,
+		accuracy: 100,
+		basePower: 50,
+		category: "Special",
+		name: "Struggle Bug",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {spa: -1},
+		},
+		target: "allAdjacentFoes",
+		type: "Bug",
+		contestType: "Cute",
+	},
+	stuffcheeks: {
+		num: 747,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Stuff Cheeks",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		target: "self",
+		type: "Normal",
+	},
+	stunspore: {
+		num: 78,
+		accuracy: 75,
+		basePower: 0,
+		category: "Status",
+		name: "Stun Spore",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1, powder: 1},
+		status: "par",
+		target: "normal",
+		type: "Grass",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Clever",
+	},
+	submission: {
+		num: 66,
+		accuracy: 80,
+		basePower: 80,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Submission",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		recoil: [1, 4],
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	substitute: {
+		num: 164,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Substitute",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, nonsky: 1, metronome: 1},
+		volatileStatus: "substitute",
+		condition: {onTryPrimaryHitPriority: -1},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	subzeroslammer: {
+		num: 650,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Subzero Slammer",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "iciumz",
+		target: "normal",
+		type: "Ice",
+		contestType: "Cool",
+	},
+	suckerpunch: {
+		num: 389,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "Sucker Punch",
+		pp: 5,
+		priority: 1,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Dark",
+		contestType: "Clever",
+	},
+	sunnyday: {
+		num: 241,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Sunny Day",
+		pp: 5,
+		priority: 0,
+		flags: {metronome: 1},
+		weather: "sunnyday",
+		target: "all",
+		type: "Fire",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Beautiful",
+	},
+	sunsteelstrike: {
+		num: 713,
+		accuracy: 100,
+		basePower: 100,
+		category: "Physical",
+		name: "Sunsteel Strike",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		ignoreAbility: true,
+		target: "normal",
+		type: "Steel",
+		contestType: "Cool",
+	},
+	supercellslam: {
+		num: 916,
+		accuracy: 95,
+		basePower: 100,
+		category: "Physical",
+		name: "Supercell Slam",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, minimize: 1},
+		hasCrashDamage: true,
+		target: "normal",
+		type: "Electric",
+	},
+	superfang: {
+		num: 162,
+		accuracy: 90,
+		basePower: 0,
+		category: "Physical",
+		name: "Super Fang",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	superpower: {
+		num: 276,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Superpower",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		self: {
+			boosts: {atk: -1, def: -1},
+		},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	supersonic: {
+		num: 48,
+		accuracy: 55,
+		basePower: 0,
+		category: "Status",
+		name: "Supersonic",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		volatileStatus: "confusion",
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	supersonicskystrike: {
+		num: 626,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Supersonic Skystrike",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "flyiniumz",
+		target: "normal",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	surf: {
+		num: 57,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Surf",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1},
+		target: "allAdjacent",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	surgingstrikes: {
+		num: 818,
+		accuracy: 100,
+		basePower: 25,
+		category: "Physical",
+		name: "Surging Strikes",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1},
+		willCrit: true,
+		multihit: 3,
+		target: "normal",
+		type: "Water",
+		zMove: {basePower: 140},
+		maxMove: {basePower: 130},
+	},
+	swagger: {
+		num: 207,
+		accuracy: 85,
+		basePower: 0,
+		category: "Status",
+		name: "Swagger",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		volatileStatus: "confusion",
+		boosts: {atk: 2},
+		target: "normal",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Cute",
+	},
+	swallow: {
+		num: 256,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Swallow",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Tough",
+	},
+	sweetkiss: {
+		num: 186,
+		accuracy: 75,
+		basePower: 0,
+		category: "Status",
+		name: "Sweet Kiss",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		volatileStatus: "confusion",
+		target: "normal",
+		type: "Fairy",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Cute",
+	},
+	sweetscent: {
+		num: 230,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Sweet Scent",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		boosts: {evasion: -2},
+		target: "allAdjacentFoes",
+		type: "Normal",
+		zMove: {
+			boost: {accuracy: 1},
+		},
+		contestType: "Cute",
+	},
+	swift: {
+		num: 129,
+		accuracy: true,
+		basePower: 60,
+		category: "Special",
+		name: "Swift",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "allAdjacentFoes",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	switcheroo: {
+		num: 415,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Switcheroo",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, allyanim: 1, noassist: 1, failcopycat: 1},
+		target: "normal",
+		type: "Dark",
+		zMove: {
+			boost: {spe: 2},
+		},
+		contestType: "Clever",
+	},
+	swordsdance: {
+		num: 14,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Swords Dance",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, dance: 1, metronome: 1},
+		boosts: {atk: 2},
+		target: "self",
+		type: "Normal",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	synchronoise: {
+		num: 485,
+		accuracy: 100,
+		basePower: 120,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Synchronoise",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "allAdjacent",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	synthesis: {
+		num: 235,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Synthesis",
+		pp: 5,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		target: "self",
+		type: "Grass",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Clever",
+	},
+	syrupbomb: {
+		num: 903,
+		accuracy: 85,
+		basePower: 60,
+		category: "Special",
+		name: "Syrup Bomb",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		condition: {noCopy: true, duration: 4, onResidualOrder: 14},
+		secondary: {chance: 100, volatileStatus: "syrupbomb"},
+		target: "normal",
+		type: "Grass",
+	},
+	tachyoncutter: {
+		num: 911,
+		accuracy: true,
+		basePower: 50,
+		category: "Special",
+		name: "Tachyon Cutter",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		multihit: 2,
+		target: "normal",
+		type: "Steel",
+		zMove: {basePower: 180},
+		maxMove: {basePower: 140},
+		contestType: "Clever",
+	},
+	tackle: {
+		num: 33,
+		accuracy: 100,
+		basePower: 40,
+		category: "Physical",
+		name: "Tackle",
+		pp: 35,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	tailglow: {
+		num: 294,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Tail Glow",
+		pp: 20,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {spa: 3},
+		target: "self",
+		type: "Bug",
+		zMove: {effect: "clearnegativeboost"},
+		contestType: "Beautiful",
+	},
+	tailslap: {
+		num: 541,
+		accuracy: 85,
+		basePower: 25,
+		category: "Physical",
+		name: "Tail Slap",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 140},
+		maxMove: {basePower: 130},
+		contestType: "Cute",
+	},
+	tailwhip: {
+		num: 39,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Tail Whip",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		boosts: {def: -1},
+		target: "allAdjacentFoes",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Cute",
+	},
+	tailwind: {
+		num: 366,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Tailwind",
+		pp: 15,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1, wind: 1},
+		sideCondition: "tailwind",
+		condition: {duration: 4, onSideResidualOrder: 26, onSideResidualSubOrder: 5},
+		target: "allySide",
+		type: "Flying",
+		zMove: {effect: "crit2"},
+		contestType: "Cool",
+	},
+	takedown: {
+		num: 36,
+		accuracy: 85,
+		basePower: 90,
+		category: "Physical",
+		name: "Take Down",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		recoil: [1, 4],
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	takeheart: {
+		num: 850,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Take Heart",
+		pp: 15,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		target: "self",
+		type: "Psychic",
+	},
+	tarshot: {
+		num: 749,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Tar Shot",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		volatileStatus: "tarshot",
+		condition: {onEffectivenessPriority: -2},
+		boosts: {spe: -1},
+		target: "normal",
+		type: "Rock",
+	},
+	taunt: {
+		num: 269,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Taunt",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, bypasssub: 1, metronome: 1},
+		volatileStatus: "taunt",
+		condition: {duration: 3, onResidualOrder: 15, onBeforeMovePriority: 5},
+		target: "normal",
+		type: "Dark",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Clever",
+	},
+	tearfullook: {
+		num: 715,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Tearful Look",
+		pp: 20,
+		priority: 0,
+		flags: {reflectable: 1, mirror: 1, metronome: 1},
+		boosts: {atk: -1, spa: -1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cute",
+	},
+	teatime: {
+		num: 752,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Teatime",
+		pp: 10,
+		priority: 0,
+		flags: {bypasssub: 1, metronome: 1},
+		target: "all",
+		type: "Normal",
+	},
+	technoblast: {
+		num: 546,
+		accuracy: 100,
+		basePower: 120,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Techno Blast",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cool",
+	},
+	tectonicrage: {
+		num: 630,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Tectonic Rage",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "groundiumz",
+		target: "normal",
+		type: "Ground",
+		contestType: "Cool",
+	},
+	teeterdance: {
+		num: 298,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Teeter Dance",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, dance: 1, metronome: 1},
+		volatileStatus: "confusion",
+		target: "allAdjacent",
+		type: "Normal",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Cute",
+	},
+	telekinesis: {
+		num: 477,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Telekinesis",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, gravity: 1, allyanim: 1, metronome: 1},
+		volatileStatus: "telekinesis",
+		condition: {duration: 3, onAccuracyPriority: -1, onResidualOrder: 19},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spa: 1},
+		},
+		contestType: "Clever",
+	},
+	teleport: {
+		num: 100,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Teleport",
+		pp: 20,
+		priority: -6,
+		flags: {metronome: 1},
+		selfSwitch: true,
+		target: "self",
+		type: "Psychic",
+		zMove: {effect: "heal"},
+		contestType: "Cool",
+	},
+	temperflare: {
+		num: 915,
+		accuracy: 100,
+		basePower: 75,
+		category: "Physical",
+		name: "Temper Flare",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Fire",
+	},
+	terablast: {
+		num: 851,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Tera Blast",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, mustpressure: 1},
+		target: "normal",
+		type: "Normal",
+	},
+	terastarstorm: {
+		num: 906,
+		accuracy: 100,
+		basePower: 120,
+		category: "Special",
+		name: "Tera Starstorm",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, noassist: 1, failcopycat: 1, failmimic: 1, nosketch: 1},
+		target: "normal",
+		type: "Normal",
+	},
+	terrainpulse: {
+		num: 805,
+		accuracy: 100,
+		basePower: 50,
+		category: "Special",
+		name: "Terrain Pulse",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, pulse: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+	},
+	thief: {
+		num: 168,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Thief",
+		pp: 25,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, failmefirst: 1, noassist: 1, failcopycat: 1},
+		target: "normal",
+		type: "Dark",
+		contestType: "Tough",
+	},
+	thousandarrows: {
+		num: 614,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Thousand Arrows",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1},
+		volatileStatus: "smackdown",
+		ignoreImmunity: {Ground: true},
+		target: "allAdjacentFoes",
+		type: "Ground",
+		zMove: {basePower: 180},
+		contestType: "Beautiful",
+	},
+	thousandwaves: {
+		num: 615,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Thousand Waves",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1},
+		target: "allAdjacentFoes",
+		type: "Ground",
+		contestType: "Tough",
+	},
+	thrash: {
+		num: 37,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Thrash",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, failinstruct: 1},
+		self: {volatileStatus: "lockedmove"},
+		target: "randomNormal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	throatchop: {
+		num: 675,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Throat Chop",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		condition: {duration: 2, onBeforeMovePriority: 6, onResidualOrder: 22},
+		secondary: {chance: 100},
+		target: "normal",
+		type: "Dark",
+		contestType: "Clever",
+	},
+	thunder: {
+		num: 87,
+		accuracy: 70,
+		basePower: 110,
+		category: "Special",
+		name: "Thunder",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, status: "par"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	thunderbolt: {
+		num: 85,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Thunderbolt",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, status: "par"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	thundercage: {
+		num: 819,
+		accuracy: 90,
+		basePower: 80,
+		category: "Special",
+		name: "Thunder Cage",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		volatileStatus: "partiallytrapped",
+		target: "normal",
+		type: "Electric",
+	},
+	thunderclap: {
+		num: 909,
+		accuracy: 100,
+		basePower: 70,
+		category: "Special",
+		name: "Thunderclap",
+		pp: 5,
+		priority: 1,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Electric",
+		contestType: "Clever",
+	},
+	thunderfang: {
+		num: 422,
+		accuracy: 95,
+		basePower: 65,
+		category: "Physical",
+		name: "Thunder Fang",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, bite: 1},
+		secondaries: [
+			{chance: 10, status: "par"},
+			{chance: 10, volatileStatus: "flinch"},
+		],
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	thunderouskick: {
+		num: 823,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "Thunderous Kick",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		secondary: {
+			chance: 100,
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Fighting",
+	},
+	thunderpunch: {
+		num: 9,
+		accuracy: 100,
+		basePower: 75,
+		category: "Physical",
+		name: "Thunder Punch",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1, metronome: 1},
+		secondary: {chance: 10, status: "par"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	thundershock: {
+		num: 84,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Thunder Shock",
+		pp: 30,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 10, status: "par"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	thunderwave: {
+		num: 86,
+		accuracy: 90,
+		basePower: 0,
+		category: "Status",
+		name: "Thunder Wave",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		status: "par",
+		ignoreImmunity: false,
+		target: "normal",
+		type: "Electric",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Cool",
+	},
+	tickle: {
+		num: 321,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Tickle",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		boosts: {atk: -1, def: -1},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cute",
+	},
+	tidyup: {
+		num: 882,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Tidy Up",
+		pp: 10,
+		priority: 0,
+		flags: {},
+		target: "self",
+		type: "Normal",
+	},
+	topsyturvy: {
+		num: 576,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Topsy-Turvy",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Dark",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Clever",
+	},
+	torchsong: {
+		num: 871,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Torch Song",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			self: {
+				boosts: {spa: 1},
+			},
+		},
+		target: "normal",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+	torment: {
+		num: 259,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Torment",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, bypasssub: 1, metronome: 1},
+		volatileStatus: "torment",
+		condition: {noCopy: true},
+		target: "normal",
+		type: "Dark",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Tough",
+	},
+	toxic: {
+		num: 92,
+		accuracy: 90,
+		basePower: 0,
+		category: "Status",
+		name: "Toxic",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		status: "tox",
+		target: "normal",
+		type: "Poison",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Clever",
+	},
+	toxicspikes: {
+		num: 390,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Toxic Spikes",
+		pp: 20,
+		priority: 0,
+		flags: {reflectable: 1, nonsky: 1, metronome: 1, mustpressure: 1},
+		sideCondition: "toxicspikes",
+		condition: {},
+		target: "foeSide",
+		type: "Poison",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Clever",
+	},
+	toxicthread: {
+		num: 672,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Toxic Thread",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		status: "psn",
+		boosts: {spe: -1},
+		target: "normal",
+		type: "Poison",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Tough",
+	},
+	trailblaze: {
+		num: 885,
+		accuracy: 100,
+		basePower: 50,
+		category: "Physical",
+		name: "Trailblaze",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		secondary: {
+			chance: 100,
+			self: {
+				boosts: {spe: 1},
+			},
+		},
+		target: "normal",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	transform: {
+		num: 144,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Transform",
+		pp: 10,
+		priority: 0,
+		flags: {allyanim: 1, failencore: 1, noassist: 1, failcopycat: 1, failmimic: 1, failinstruct: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {effect: "heal"},
+		contestType: "Clever",
+	},
+	triattack: {
+		num: 161,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Tri Attack",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 20},
+		target: "normal",
+		type: "Normal",
+		contestType: "Beautiful",
+	},
+	trick: {
+		num: 271,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Trick",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, allyanim: 1, noassist: 1, failcopycat: 1},
+		target: "normal",
+		type: "Psychic",
+		zMove: {
+			boost: {spe: 2},
+		},
+		contestType: "Clever",
+	},
+	trickortreat: {
+		num: 567,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Trick-or-Treat",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Ghost",
+		zMove: {
+			boost: {atk: 1, def: 1, spa: 1, spd: 1, spe: 1},
+		},
+		contestType: "Cute",
+	},
+	trickroom: {
+		num: 433,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Trick Room",
+		pp: 5,
+		priority: -7,
+		flags: {mirror: 1, metronome: 1},
+		pseudoWeather: "trickroom",
+		condition: {duration: 5, onFieldResidualOrder: 27, onFieldResidualSubOrder: 1},
+		target: "all",
+		type: "Psychic",
+		zMove: {
+			boost: {accuracy: 1},
+		},
+		contestType: "Clever",
+	},
+	triplearrows: {
+		num: 843,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "Triple Arrows",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		critRatio: 2,
+		secondaries: [
+			{
+				chance: 50,
+				boosts: {def: -1},
+			},
+			{chance: 30, volatileStatus: "flinch"},
+		],
+		target: "normal",
+		type: "Fighting",
+	},
+	tripleaxel: {
+		num: 813,
+		accuracy: 90,
+		basePower: 20,
+		category: "Physical",
+		name: "Triple Axel",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: 3,
+		multiaccuracy: true,
+		target: "normal",
+		type: "Ice",
+		zMove: {basePower: 120},
+		maxMove: {basePower: 140},
+	},
+	tripledive: {
+		num: 865,
+		accuracy: 95,
+		basePower: 30,
+		category: "Physical",
+		name: "Triple Dive",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: 3,
+		target: "normal",
+		type: "Water",
+	},
+	triplekick: {
+		num: 167,
+		accuracy: 90,
+		basePower: 10,
+		category: "Physical",
+		name: "Triple Kick",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		multihit: 3,
+		multiaccuracy: true,
+		target: "normal",
+		type: "Fighting",
+		zMove: {basePower: 120},
+		maxMove: {basePower: 80},
+		contestType: "Cool",
+	},
+	tropkick: {
+		num: 688,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "Trop Kick",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {
+			chance: 100,
+			boosts: {atk: -1},
+		},
+		target: "normal",
+		type: "Grass",
+		contestType: "Cute",
+	},
+	trumpcard: {
+		num: 376,
+		accuracy: true,
+		basePower: 0,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Trump Card",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Cool",
+	},
+	twinbeam: {
+		num: 888,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Twin Beam",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		multihit: 2,
+		target: "normal",
+		type: "Psychic",
+		contestType: "Cool",
+	},
+	twineedle: {
+		num: 41,
+		accuracy: 100,
+		basePower: 25,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Twineedle",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		multihit: 2,
+		secondary: {chance: 20, status: "psn"},
+		target: "normal",
+		type: "Bug",
+		maxMove: {basePower: 100},
+		contestType: "Cool",
+	},
+	twinkletackle: {
+		num: 656,
+		accuracy: true,
+		basePower: 1,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Twinkle Tackle",
+		pp: 1,
+		priority: 0,
+		flags: {},
+		isZ: "fairiumz",
+		target: "normal",
+		type: "Fairy",
+		contestType: "Cool",
+	},
+	twister: {
+		num: 239,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Twister",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, wind: 1},
+		secondary: {chance: 20, volatileStatus: "flinch"},
+		target: "allAdjacentFoes",
+		type: "Dragon",
+		contestType: "Cool",
+	},
+	upperhand: {
+		num: 918,
+		accuracy: 100,
+		basePower: 65,
+		category: "Physical",
+		name: "Upper Hand",
+		pp: 15,
+		priority: 3,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 100, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Fighting",
+	},
+	uproar: {
+		num: 253,
+		accuracy: 100,
+		basePower: 90,
+		category: "Special",
+		name: "Uproar",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, sound: 1, bypasssub: 1, metronome: 1, nosleeptalk: 1, failinstruct: 1},
+		self: {volatileStatus: "uproar"},
+		condition: {duration: 3, onResidualOrder: 28, onResidualSubOrder: 1, onLockMove: "uproar"},
+		target: "randomNormal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	uturn: {
+		num: 369,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		name: "U-turn",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		selfSwitch: true,
+		target: "normal",
+		type: "Bug",
+		contestType: "Cute",
+	},
+	vacuumwave: {
+		num: 410,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Vacuum Wave",
+		pp: 30,
+		priority: 1,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	vcreate: {
+		num: 557,
+		accuracy: 95,
+		basePower: 180,
+		category: "Physical",
+		isNonstandard: "Unobtainable",
+		name: "V-create",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		self: {
+			boosts: {spe: -1, def: -1, spd: -1},
+		},
+		target: "normal",
+		type: "Fire",
+		zMove: {basePower: 220},
+		contestType: "Cool",
+	},
+	veeveevolley: {
+		num: 741,
+		accuracy: true,
+		basePower: 0,
+		category: "Physical",
+		isNonstandard: "LGPE",
+		name: "Veevee Volley",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Cute",
+	},
+	venomdrench: {
+		num: 599,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Venom Drench",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		target: "allAdjacentFoes",
+		type: "Poison",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Clever",
+	},
+	venoshock: {
+		num: 474,
+		accuracy: 100,
+		basePower: 65,
+		category: "Special",
+		name: "Venoshock",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Poison",
+		contestType: "Beautiful",
+	},
+	victorydance: {
+		num: 837,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Victory Dance",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, dance: 1, metronome: 1},
+		boosts: {atk: 1, def: 1, spe: 1},
+		target: "self",
+		type: "Fighting",
+	},
+	vinewhip: {
+		num: 22,
+		accuracy: 100,
+		basePower: 45,
+		category: "Physical",
+		name: "Vine Whip",
+		pp: 25,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Grass",
+		contestType: "Cool",
+	},
+	visegrip: {
+		num: 11,
+		accuracy: 100,
+		basePower: 55,
+		category: "Physical",
+		name: "Vise Grip",
+		pp: 30,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	vitalthrow: {
+		num: 233,
+		accuracy: true,
+		basePower: 70,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Vital Throw",
+		pp: 10,
+		priority: -1,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Cool",
+	},
+	voltswitch: {
+		num: 521,
+		accuracy: 100,
+		basePower: 70,
+		category: "Special",
+		name: "Volt Switch",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		selfSwitch: true,
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	volttackle: {
+		num: 344,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Volt Tackle",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		recoil: [33, 100],
+		secondary: {chance: 10, status: "par"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	wakeupslap: {
+		num: 358,
+		accuracy: 100,
+		basePower: 70,
+		category: "Physical",
+		isNonstandard: "Past",
+		name: "Wake-Up Slap",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Fighting",
+		contestType: "Tough",
+	},
+	waterfall: {
+		num: 127,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Waterfall",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 20, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Water",
+		contestType: "Tough",
+	},
+	watergun: {
+		num: 55,
+		accuracy: 100,
+		basePower: 40,
+		category: "Special",
+		name: "Water Gun",
+		pp: 25,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Water",
+		contestType: "Cute",
+	},
+	waterpledge: {
+		num: 518,
+		accuracy: 100,
+		basePower: 80,
+		category: "Special",
+		name: "Water Pledge",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, nonsky: 1, metronome: 1, pledgecombo: 1},
+		condition: {duration: 4, onSideResidualOrder: 26, onSideResidualSubOrder: 7},
+		target: "normal",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	waterpulse: {
+		num: 352,
+		accuracy: 100,
+		basePower: 60,
+		category: "Special",
+		name: "Water Pulse",
+		pp: 20,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, distance: 1, metronome: 1, pulse: 1},
+		secondary: {chance: 20, volatileStatus: "confusion"},
+		target: "any",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	watershuriken: {
+		num: 594,
+		accuracy: 100,
+		basePower: 15,
+		category: "Special",
+		name: "Water Shuriken",
+		pp: 20,
+		priority: 1,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		multihit: [2, 5],
+		target: "normal",
+		type: "Water",
+		contestType: "Cool",
+	},
+	watersport: {
+		num: 346,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		isNonstandard: "Past",
+		name: "Water Sport",
+		pp: 15,
+		priority: 0,
+		flags: {nonsky: 1, metronome: 1},
+		pseudoWeather: "watersport",
+		condition: {duration: 5, onBasePowerPriority: 1, onFieldResidualOrder: 27, onFieldResidualSubOrder: 3},
+		target: "all",
+		type: "Water",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Cute",
+	},
+	waterspout: {
+		num: 323,
+		accuracy: 100,
+		basePower: 150,
+		category: "Special",
+		name: "Water Spout",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		target: "allAdjacentFoes",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	wavecrash: {
+		num: 834,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Wave Crash",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		recoil: [33, 100],
+		target: "normal",
+		type: "Water",
+	},
+	weatherball: {
+		num: 311,
+		accuracy: 100,
+		basePower: 50,
+		category: "Special",
+		name: "Weather Ball",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 160},
+		maxMove: {basePower: 130},
+		contestType: "Beautiful",
+	},
+	whirlpool: {
+		num: 250,
+		accuracy: 85,
+		basePower: 35,
+		category: "Special",
+		name: "Whirlpool",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1},
+		volatileStatus: "partiallytrapped",
+		target: "normal",
+		type: "Water",
+		contestType: "Beautiful",
+	},
+	whirlwind: {
+		num: 18,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Whirlwind",
+		pp: 20,
+		priority: -6,
+		flags: {reflectable: 1, mirror: 1, bypasssub: 1, allyanim: 1, metronome: 1, noassist: 1, failcopycat: 1, wind: 1},
+		forceSwitch: true,
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Clever",
+	},
+	wickedblow: {
+		num: 817,
+		accuracy: 100,
+		basePower: 75,
+		category: "Physical",
+		name: "Wicked Blow",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, punch: 1},
+		willCrit: true,
+		target: "normal",
+		type: "Dark",
+	},
+	wickedtorque: {
+		num: 897,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		isNonstandard: "Unobtainable",
+		name: "Wicked Torque",
+		pp: 10,
+		priority: 0,
+		flags: {
+			protect: 1,
+			failencore: 1,
+			failmefirst: 1,
+			nosleeptalk: 1,
+			noassist: 1,
+			failcopycat: 1,
+			failmimic: 1,
+			failinstruct: 1,
+			nosketch: 1,
+		},
+		secondary: {chance: 10, status: "slp"},
+		target: "normal",
+		type: "Dark",
+	},
+	wideguard: {
+		num: 469,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Wide Guard",
+		pp: 10,
+		priority: 3,
+		flags: {snatch: 1},
+		sideCondition: "wideguard",
+		condition: {duration: 1, onTryHitPriority: 4},
+		target: "allySide",
+		type: "Rock",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Tough",
+	},
+	wildboltstorm: {
+		num: 847,
+		accuracy: 80,
+		basePower: 100,
+		category: "Special",
+		name: "Wildbolt Storm",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, wind: 1},
+		secondary: {chance: 20, status: "par"},
+		target: "allAdjacentFoes",
+		type: "Electric",
+	},
+	wildcharge: {
+		num: 528,
+		accuracy: 100,
+		basePower: 90,
+		category: "Physical",
+		name: "Wild Charge",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		recoil: [1, 4],
+		target: "normal",
+		type: "Electric",
+		contestType: "Tough",
+	},
+	willowisp: {
+		num: 261,
+		accuracy: 85,
+		basePower: 0,
+		category: "Status",
+		name: "Will-O-Wisp",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		status: "brn",
+		target: "normal",
+		type: "Fire",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Beautiful",
+	},
+	wingattack: {
+		num: 17,
+		accuracy: 100,
+		basePower: 60,
+		category: "Physical",
+		name: "Wing Attack",
+		pp: 35,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, distance: 1, metronome: 1},
+		target: "any",
+		type: "Flying",
+		contestType: "Cool",
+	},
+	wish: {
+		num: 273,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Wish",
+		pp: 10,
+		priority: 0,
+		flags: {snatch: 1, heal: 1, metronome: 1},
+		slotCondition: "Wish",
+		condition: {onResidualOrder: 4},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Cute",
+	},
+	withdraw: {
+		num: 110,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Withdraw",
+		pp: 40,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {def: 1},
+		target: "self",
+		type: "Water",
+		zMove: {
+			boost: {def: 1},
+		},
+		contestType: "Cute",
+	},
+	wonderroom: {
+		num: 472,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Wonder Room",
+		pp: 10,
+		priority: 0,
+		flags: {mirror: 1, metronome: 1},
+		pseudoWeather: "wonderroom",
+		condition: {duration: 5, onFieldResidualOrder: 27, onFieldResidualSubOrder: 5},
+		target: "all",
+		type: "Psychic",
+		zMove: {
+			boost: {spd: 1},
+		},
+		contestType: "Clever",
+	},
+	woodhammer: {
+		num: 452,
+		accuracy: 100,
+		basePower: 120,
+		category: "Physical",
+		name: "Wood Hammer",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		recoil: [33, 100],
+		target: "normal",
+		type: "Grass",
+		contestType: "Tough",
+	},
+	workup: {
+		num: 526,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Work Up",
+		pp: 30,
+		priority: 0,
+		flags: {snatch: 1, metronome: 1},
+		boosts: {atk: 1, spa: 1},
+		target: "self",
+		type: "Normal",
+		zMove: {
+			boost: {atk: 1},
+		},
+		contestType: "Tough",
+	},
+	worryseed: {
+		num: 388,
+		accuracy: 100,
+		basePower: 0,
+		category: "Status",
+		name: "Worry Seed",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, allyanim: 1, metronome: 1},
+		target: "normal",
+		type: "Grass",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Clever",
+	},
+	wrap: {
+		num: 35,
+		accuracy: 90,
+		basePower: 15,
+		category: "Physical",
+		name: "Wrap",
+		pp: 20,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		volatileStatus: "partiallytrapped",
+		target: "normal",
+		type: "Normal",
+		contestType: "Tough",
+	},
+	wringout: {
+		num: 378,
+		accuracy: 100,
+		basePower: 0,
+		category: "Special",
+		isNonstandard: "Past",
+		name: "Wring Out",
+		pp: 5,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		target: "normal",
+		type: "Normal",
+		zMove: {basePower: 190},
+		maxMove: {basePower: 140},
+		contestType: "Tough",
+	},
+	xscissor: {
+		num: 404,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "X-Scissor",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1, slicing: 1},
+		target: "normal",
+		type: "Bug",
+		contestType: "Cool",
+	},
+	yawn: {
+		num: 281,
+		accuracy: true,
+		basePower: 0,
+		category: "Status",
+		name: "Yawn",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, reflectable: 1, mirror: 1, metronome: 1},
+		volatileStatus: "yawn",
+		condition: {noCopy: true, duration: 2, onResidualOrder: 23},
+		target: "normal",
+		type: "Normal",
+		zMove: {
+			boost: {spe: 1},
+		},
+		contestType: "Cute",
+	},
+	zapcannon: {
+		num: 192,
+		accuracy: 50,
+		basePower: 120,
+		category: "Special",
+		name: "Zap Cannon",
+		pp: 5,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, metronome: 1, bullet: 1},
+		secondary: {chance: 100, status: "par"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	zenheadbutt: {
+		num: 428,
+		accuracy: 90,
+		basePower: 80,
+		category: "Physical",
+		name: "Zen Headbutt",
+		pp: 15,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 20, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Psychic",
+		contestType: "Clever",
+	},
+	zingzap: {
+		num: 716,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		name: "Zing Zap",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1, metronome: 1},
+		secondary: {chance: 30, volatileStatus: "flinch"},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	zippyzap: {
+		num: 729,
+		accuracy: 100,
+		basePower: 80,
+		category: "Physical",
+		isNonstandard: "LGPE",
+		name: "Zippy Zap",
+		pp: 10,
+		priority: 2,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		secondary: {
+			chance: 100,
+			self: {
+				boosts: {evasion: 1},
+			},
+		},
+		target: "normal",
+		type: "Electric",
+		contestType: "Cool",
+	},
+	paleowave: {
+		num: -1,
+		accuracy: 100,
+		basePower: 85,
+		category: "Special",
+		isNonstandard: "CAP",
+		name: "Paleo Wave",
+		pp: 15,
+		priority: 0,
+		flags: {protect: 1, mirror: 1},
+		secondary: {
+			chance: 20,
+			boosts: {atk: -1},
+		},
+		target: "normal",
+		type: "Rock",
+		contestType: "Beautiful",
+	},
+	shadowstrike: {
+		num: -2,
+		accuracy: 95,
+		basePower: 80,
+		category: "Physical",
+		isNonstandard: "CAP",
+		name: "Shadow Strike",
+		pp: 10,
+		priority: 0,
+		flags: {contact: 1, protect: 1, mirror: 1},
+		secondary: {
+			chance: 50,
+			boosts: {def: -1},
+		},
+		target: "normal",
+		type: "Ghost",
+		contestType: "Clever",
+	},
+	polarflare: {
+		num: -3,
+		accuracy: 100,
+		basePower: 75,
+		category: "Special",
+		isNonstandard: "CAP",
+		name: "Polar Flare",
+		pp: 10,
+		priority: 0,
+		flags: {protect: 1, mirror: 1, defrost: 1, nosketch: 1},
+		secondary: {chance: 10, status: "frz"},
+		target: "allAdjacentFoes",
+		type: "Fire",
+		contestType: "Beautiful",
+	},
+};
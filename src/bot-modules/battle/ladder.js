@@ -15,7 +15,7 @@ exports.setup = function (App) {
 	const Config = App.config.modules.battle;
 
 	function getLanguage(room) {
-		return App.config.language.rooms[room] || App.config.language['default'];
+		return App.multilang.getLanguage(room);
 	}
 
 	const LadderManager = Object.create(null);
@@ -7,6 +7,8 @@
 const Path = require('path');
 const Text = Tools('text');
 
+const BattleStats = require(Path.resolve(__dirname, 'battle-stats.js'));
+
 exports.setup = function (App) {
 	if (!App.config.modules.battle) {
 		App.config.modules.battle = {
@@ -20,9 +22,17 @@ exports.setup = function (App) {
 			ignoreAbandonedbattles: false,
 			turnTimerOn: true,
 			maxTurns: 0,
+			decisionLog: true,
+			maxDecisionLogs: 64,
+			teamSelection: 'random',
 		};
 	}
 
+	if (App.config.modules.battle.decisionLog === undefined) {
+		App.config.modules.battle.decisionLog = true;
+		App.config.modules.battle.maxDecisionLogs = 64;
+	}
+
 	if (!App.config.modules.battle.otherMessages) {
 		App.config.modules.battle.otherMessages = Object.create(null);
 	}
@@ -35,8 +45,10 @@ exports.setup = function (App) {
 
 	BattleModule.challengeExceptions = Object.create(null);
 
-	const BattleBot = BattleModule.BattleBot = require(Path.resolve(__dirname, 'battle-ai', 'index.js')).setup(App);
-	const TeamBuilder = BattleModule.TeamBuilder = require(Path.resolve(__dirname, 'teambuilder.js')).setup(App);
+	BattleModule.BattleStats = new BattleStats(App);
+
+	const BattleBot = BattleModule.BattleBot = require(Path.resolve(__dirname, 'battle-ai', 'index.js')).setup(App, BattleModule.BattleStats);
+	const TeamBuilder = BattleModule.TeamBuilder = require(Path.resolve(__dirname, 'teambuilder.js')).setup(App, BattleModule.BattleStats);
 	const ChallManager = BattleModule.ChallManager = require(Path.resolve(__dirname, 'challenges.js')).setup(App);
 	const TourManager = BattleModule.TourManager = require(Path.resolve(__dirname, 'tournaments.js')).setup(App);
 	const LadderManager = BattleModule.LadderManager = require(Path.resolve(__dirname, 'ladder.js')).setup(App);
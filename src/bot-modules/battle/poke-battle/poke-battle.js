@@ -659,7 +659,7 @@ class PokeBattle {
 	}
 
 	getLanguage() {
-		return this.app.config.language.rooms[this.room] || this.app.config.language['default'];
+		return this.app.multilang.getLanguage(this.room);
 	}
 
 	mlt(key) {
@@ -10,9 +10,14 @@ const check = Tools('check');
 const SubMenu = Tools('submenu');
 const Template = Tools('html-template');
 
+const TeamSelection = require(Path.resolve(__dirname, 'team-selection.js'));
+
 const configTemplate = new Template(Path.resolve(__dirname, 'templates', 'config.html'));
 const teamsMainTemplate = new Template(Path.resolve(__dirname, 'templates', 'teams-main.html'));
 const teamsItemTemplate = new Template(Path.resolve(__dirname, 'templates', 'teams-item.html'));
+const statsTemplate = new Template(Path.resolve(__dirname, 'templates', 'stats.html'));
+
+const Stats_Last_Battles = 50;
 
 exports.setup = function (App) {
 	const Config = App.config.modules.battle;
@@ -37,6 +42,7 @@ exports.setup = function (App) {
 			{ id: 'algo', title: 'Battle&nbsp;Algorithms', url: '/battle/algo/', handler: battleAlgorithmsHandler },
 			{ id: 'chall', title: 'Challenge', url: '/battle/chall/', handler: battleChallengeHandler },
 			{ id: 'ladder', title: 'Ladder', url: '/battle/ladder/', handler: battleLadderHandler },
+			{ id: 'stats', title: 'Statistics', url: '/battle/stats/', handler: battleStatsHandler },
 		], 'config');
 
 		return submenu.run();
@@ -48,10 +54,12 @@ exports.setup = function (App) {
 			let maxBattles = parseInt(context.post.maxbattles);
 			let ladderBattles = parseInt(context.post.maxladder);
 			let maxTurns = parseInt(context.post.maxturns);
+			let maxDecisionLogs = parseInt(context.post.maxdecisionlogs);
 			try {
 				check(!isNaN(maxBattles) && maxBattles >= 0, "Invalid max battles value");
 				check(!isNaN(ladderBattles) && ladderBattles > 0, "Invalid max ladder battles value");
 				check(!isNaN(maxTurns) && maxTurns >= 0, "Invalid max turns value");
+				check(!isNaN(maxDecisionLogs) && maxDecisionLogs >= 0, "Invalid max decision logs value");
 			} catch (err) {
 				error = err.message;
 			}
@@ -61,6 +69,8 @@ exports.setup = function (App) {
 				Config.ignoreAbandonedbattles = !context.post.joinabandoned;
 				Config.turnTimerOn = !!context.post.timeron;
 				Config.maxTurns = maxTurns;
+				Config.decisionLog = !!context.post.decisionlog;
+				Config.maxDecisionLogs = maxDecisionLogs;
 				Config.ladderBattles = ladderBattles;
 				let joinTours = (context.post.jointours || "").split(',');
 				let aux = Object.create(null);
@@ -98,6 +108,8 @@ exports.setup = function (App) {
 		htmlVars.maxbattles = Text.escapeHTML(Config.maxBattles);
 		htmlVars.maxladder = Text.escapeHTML(Config.ladderBattles);
 		htmlVars.maxturns = Text.escapeHTML(Config.maxTurns || 0);
+		htmlVars.decision_log = (Config.decisionLog ? "checked=\"checked\"" : "");
+		htmlVars.maxdecisionlogs = Text.escapeHTML(Config.maxDecisionLogs || 0);
 		htmlVars.jointours = Object.keys(Config.joinTours).join(', ');
 		htmlVars.join_abandoned = (!Config.ignoreAbandonedbattles ? "checked=\"checked\"" : "");
 		htmlVars.timer_on = (Config.turnTimerOn === false ? "" : "checked=\"checked\"");
@@ -183,6 +195,7 @@ exports.setup = function (App) {
 				let cmds = [];
 				if (team) {
 					cmds.push('|/utm ' + mod.TeamBuilder.dynTeams[team].packed);
+					mod.TeamBuilder.registerSentTeam(format, team, mod.TeamBuilder.dynTeams[team].packed);
 				} else {
 					let randTeam = mod.TeamBuilder.getTeam(format);
 					if (randTeam) {
@@ -297,6 +310,77 @@ exports.setup = function (App) {
 		context.endWithWebPage(html, { title: "Battle Bot - Showdown ChatBot" });
 	}
 
+	function battleStatsHandler(context, html) {
+		const Stats = App.modules.battle.system.BattleStats;
+		let ok = null, error = null;
+
+		if (context.post.clearstats) {
+			let format = Text.toId(context.post.format);
+			try {
+				check(!format || Stats.getFormats().indexOf(format) >= 0, "Format not found");
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				Stats.clear(format);
+				App.logServerAction(context.user.id, "Clear Battle Statistics" + (format ? (": " + format) : ""));
+				ok = "Removed the battle statistics" + (format ? (" of format: " + Text.escapeHTML(format)) : "");
+			}
+		}
+
+		let format = Text.toId(context.get.format);
+		let battles = Stats.getBattles(format);
+
+		let htmlVars = Object.create(null);
+
+		htmlVars.formats = '<option value="">All formats</option>';
+		for (let f of Stats.getFormats()) {
+			htmlVars.formats += '<option value="' + Text.escapeHTML(f) + '"' + (f === format ? ' selected="selected"' : '') +
+				'>' + Text.escapeHTML(App.bot.formats[f] ? App.bot.formats[f].name : f) + '</option>';
+		}
+
+		let summary = Stats.summarize(battles);
+		htmlVars.summary = '<strong>' + summary.total + '</strong> battles | <strong>' + summary.win + '</strong> wins | <strong>' +
+			summary.loss + '</strong> losses | <strong>' + summary.tie + '</strong> ties | Win rate: <strong>' + summary.winRate +
+			'%</strong> | Average turns: <strong>' + summary.turns + '</strong>';
+		if (summary.rated > 0) {
+			htmlVars.summary += ' | Rating change: <strong>' + getRatingChange(summary.ratingChange) + '</strong> (' + summary.rated + ' rated battles)';
+		}
+
+		htmlVars.groups = '';
+		if (format) {
+			htmlVars.groups += getStatsTable("Teams", "Team", Stats.groupBy(battles, 'team'), "(unknown team)");
+		} else {
+			htmlVars.groups += getStatsTable("Formats", "Format", Stats.groupBy(battles, 'format'), "-");
+		}
+		htmlVars.groups += getStatsTable("Battle algorithms", "Algorithm", Stats.groupBy(battles, 'module'), "(random)");
+
+		htmlVars.battles = '';
+		for (let entry of battles.slice(-Stats_Last_Battles).reverse()) {
+			htmlVars.battles += '<tr>';
+			htmlVars.battles += '<td>' + Text.escapeHTML(new Date(entry.time).toISOString().substr(0, 19).replace('T', ' ')) + '</td>';
+			htmlVars.battles += '<td>' + Text.escapeHTML(entry.id) + '</td>';
+			htmlVars.battles += '<td>' + Text.escapeHTML(entry.formatName || entry.format) + (entry.rated ? ' (rated)' : '') + '</td>';
+			htmlVars.battles += '<td>' + Text.escapeHTML(entry.opponent || "-") + '</td>';
+			htmlVars.battles += '<td>' + Text.escapeHTML(entry.team || "-") + '</td>';
+			htmlVars.battles += '<td>' + Text.escapeHTML(entry.module || "(random)") + '</td>';
+			htmlVars.battles += '<td>' + entry.turns + '</td>';
+			htmlVars.battles += '<td>' + Text.escapeHTML(entry.result) + '</td>';
+			htmlVars.battles += '<td>' + (entry.rating ? (entry.rating.before + ' &rarr; ' + entry.rating.after) : '-') + '</td>';
+			htmlVars.battles += '</tr>';
+		}
+
+		htmlVars.selected_format = Text.escapeHTML(format);
+		htmlVars.clear_text = format ? ("Clear Statistics of " + Text.escapeHTML(format)) : "Clear All Statistics";
+
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		html += statsTemplate.make(htmlVars);
+		context.endWithWebPage(html, { title: "Battle Statistics - Showdown ChatBot" });
+	}
+
 	App.server.setHandler('teams', (context, parts) => {
 		if (!context.user || !context.user.can('teams')) {
 			context.endWith403();
@@ -322,15 +406,46 @@ exports.setup = function (App) {
 			} else {
 				error = "Team not found";
 			}
+		} else if (context.post.setweight) {
+			let id = Text.toId(context.post.id);
+			let weight = parseFloat(context.post.weight);
+			try {
+				check(id && mod.TeamBuilder.dynTeams[id], "Team not found");
+				check(!isNaN(weight) && weight >= 0, "The weight must be a number greater than or equal to 0");
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				mod.TeamBuilder.setWeight(id, weight);
+				App.logServerAction(context.user.id, "Set Team Weight: " + id + " | " + weight);
+				ok = 'Weight of team <strong>' + Text.escapeHTML(id) + '</strong> set to ' + weight;
+			}
+		} else if (context.post.setstrategy) {
+			let strategy = Text.toId(context.post.strategy);
+			try {
+				check(TeamSelection.Strategies.indexOf(strategy) >= 0, "Invalid team selection strategy");
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				Config.teamSelection = strategy;
+				App.db.write();
+				App.logServerAction(context.user.id, "Set Team Selection: " + strategy);
+				ok = 'Team selection strategy set to <strong>' + TeamSelection.Strategy_Names[strategy] + '</strong>';
+			}
 		} else if (context.post.add) {
 			let exportable = (context.post.exportable || "");
 			//console.log("EXPORTABLE = " + exportable);
 			let format = Text.toId(context.post.format);
 			let name = (context.post.id || "") + "";
 			let id = Text.toId(context.post.id);
+			let weight = parseFloat(context.post.weight || "1");
 			let packed = '';
 			try {
 				check(id, "You must specify an id");
+				check(!isNaN(weight) && weight >= 0, "The weight must be a number greater than or equal to 0");
 				check(exportable, "Team cannot be blank");
 				check(format, "You must specify a format");
 				check(Object.keys(App.bot.formats).length === 0 || App.bot.formats[format], "Invalid Format");
@@ -347,6 +462,9 @@ exports.setup = function (App) {
 					format: format,
 					packed: packed,
 				};
+				if (weight !== 1) {
+					mod.TeamBuilder.dynTeams[id].weight = weight;
+				}
 				mod.TeamBuilder.saveTeams();
 				mod.TeamBuilder.mergeTeams();
 				App.logServerAction(context.user.id, "Add Team: " + id);
@@ -359,12 +477,22 @@ exports.setup = function (App) {
 		htmlVars.exportable = Text.escapeHTML(context.post.exportable || "");
 		htmlVars.formats = getFormatsMenu(Text.toId(context.get.format));
 
+		htmlVars.strategies = '';
+		for (let strategy of TeamSelection.Strategies) {
+			htmlVars.strategies += '<option value="' + strategy + '"' + (strategy === mod.TeamBuilder.getStrategy() ? ' selected="selected"' : '') +
+				'>' + TeamSelection.Strategy_Names[strategy] + '</option>';
+		}
+
 		let submenu = [];
 		let formats = Object.create(null);
 		let selectedFormat = Text.toId(context.get.format);
 		submenu.push('<a class="submenu-option' + (!selectedFormat ? '-selected' : '') + '" href="./">All&nbsp;Teams</a>');
 		htmlVars.teams = '';
 		let teams = mod.TeamBuilder.dynTeams;
+		let results = Object.create(null);
+		for (let summary of mod.BattleStats.groupBy(mod.BattleStats.getBattles(), 'team')) {
+			if (summary.key) results[Text.toId(summary.key)] = summary;
+		}
 		for (let id of Object.keys(teams)) {
 			let formatName = teams[id].format;
 			if (App.bot.formats[formatName]) formatName = App.bot.formats[formatName].name;
@@ -377,6 +505,9 @@ exports.setup = function (App) {
 				name: Text.escapeHTML(teams[id].name || id),
 				format: Text.escapeHTML(formatName),
 				pokemon: Text.escapeHTML(Teams.teamOverview(teams[id].packed)),
+				results: results[id] ? (results[id].total + ' battles, ' + results[id].win + ' wins, ' + results[id].loss + ' losses, ' +
+					results[id].tie + ' ties (<strong>' + results[id].winRate + '%</strong> win rate)') : '<i>(No battles recorded)</i>',
+				weight: mod.TeamBuilder.getWeight(id),
 			});
 		}
 
@@ -402,6 +533,31 @@ exports.setup = function (App) {
 	});
 
 	/* Auxiliar functions */
+	function getRatingChange(change) {
+		return (change >= 0 ? "+" : "") + change;
+	}
+
+	function getStatsTable(title, keyTitle, list, none) {
+		let html = '<h3>' + title + '</h3>';
+		html += '<table border="1"><tr><th width="200">' + keyTitle + '</th><th width="70">Battles</th><th width="60">Wins</th>' +
+			'<th width="60">Losses</th><th width="60">Ties</th><th width="80">Win rate</th><th width="80">Avg. turns</th>' +
+			'<th width="100">Rating change</th></tr>';
+		for (let summary of list) {
+			html += '<tr>';
+			html += '<td>' + Text.escapeHTML(summary.key || none) + '</td>';
+			html += '<td>' + summary.total + '</td>';
+			html += '<td>' + summary.win + '</td>';
+			html += '<td>' + summary.loss + '</td>';
+			html += '<td>' + summary.tie + '</td>';
+			html += '<td><strong>' + summary.winRate + '%</strong></td>';
+			html += '<td>' + summary.turns + '</td>';
+			html += '<td>' + (summary.rated > 0 ? getRatingChange(summary.ratingChange) : '-') + '</td>';
+			html += '</tr>';
+		}
+		html += '</table>';
+		return html;
+	}
+
 	function getLadderFormatsMenu() {
 		let formats = [];
 		for (let f in App.bot.formats) {
@@ -466,6 +622,35 @@ exports.setup = function (App) {
 		}
 	}
 
+	/* API */
+	App.server.setApiHandler('teams', 'teams', (context, parts) => {
+		if (context.request.method !== 'GET') {
+			return context.endWithApiError(405, "Method not allowed");
+		}
+		let mod = App.modules.battle.system;
+		const Teams = mod.TeamBuilder.tools;
+		let teams = mod.TeamBuilder.dynTeams;
+		let getTeamData = function (id) {
+			return {
+				id: id,
+				name: teams[id].name || id,
+				format: teams[id].format,
+				weight: mod.TeamBuilder.getWeight(id),
+				pokemon: Teams.teamOverview(teams[id].packed),
+			};
+		};
+		let id = Text.toId(parts[0]);
+		if (!id) {
+			return context.endWithJSON({strategy: mod.TeamBuilder.getStrategy(), teams: Object.keys(teams).map(getTeamData)});
+		}
+		if (!teams[id]) {
+			return context.endWithApiError(404, "Team not found");
+		}
+		let team = getTeamData(id);
+		team.exportable = Teams.exportTeam(teams[id].packed);
+		context.endWithJSON(team);
+	});
+
 	function serveTeam(context, parts) {
 		let mod = App.modules.battle.system;
 		const Teams = mod.TeamBuilder.tools;
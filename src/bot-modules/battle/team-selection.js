@@ -0,0 +1,109 @@
+/**
+ * Team selection strategies
+ *
+ *  - random: every team has the same chance of being chosen (default)
+ *  - weights: random, proportional to the manual weight of each team
+ *  - roundrobin: the teams are used one after another
+ *  - winrate: random, proportional to the recorded win rate of each team (multiplied by its weight)
+ *  - bandit: plays the team with the best win rate, exploring the teams with few battles (UCB1)
+ *
+ * Teams with weight 0 are never chosen
+ */
+
+'use strict';
+
+const Strategies = ['random', 'weights', 'roundrobin', 'winrate', 'bandit'];
+
+const Strategy_Names = {
+	random: 'Random',
+	weights: 'Random (manual weights)',
+	roundrobin: 'Round-robin',
+	winrate: 'Weighted by win rate',
+	bandit: 'Best win rate with exploration (bandit)',
+};
+
+/**
+ * @param {Object} team - Battles, wins and ties of the team
+ * @returns {Number} Win rate (0-1), smoothed for teams with few battles
+ */
+function getWinRate(team) {
+	return (team.win + team.tie / 2 + 1) / (team.total + 2);
+}
+
+/**
+ * @param {Array<Object>} teams
+ * @param {Array<Number>} weights
+ * @returns {Object} Chosen team
+ */
+function weightedRandom(teams, weights) {
+	let sum = 0;
+	for (let weight of weights) sum += weight;
+	if (sum <= 0) return teams[Math.floor(Math.random() * teams.length)];
+	let r = Math.random() * sum;
+	for (let i = 0; i < teams.length; i++) {
+		r -= weights[i];
+		if (r < 0) return teams[i];
+	}
+	return teams[teams.length - 1];
+}
+
+/**
+ * @param {Array<Object>} teams
+ * @param {Object} state - Round-robin state (last used team)
+ * @returns {Object} Next team
+ */
+function nextTeam(teams, state) {
+	let ids = teams.map(team => team.id).sort();
+	let next = ids[(ids.indexOf(state.last) + 1) % ids.length];
+	state.last = next;
+	return teams.filter(team => team.id === next)[0];
+}
+
+/**
+ * UCB1: win rate plus an exploration bonus for the teams with few battles
+ * @param {Array<Object>} teams
+ * @returns {Object} Chosen team
+ */
+function banditTeam(teams) {
+	let untested = teams.filter(team => team.total === 0);
+	if (untested.length) return untested[Math.floor(Math.random() * untested.length)];
+	let total = 0;
+	for (let team of teams) total += team.total;
+	let best = null, bestScore = -1;
+	for (let team of teams) {
+		let score = (team.win + team.tie / 2) / team.total + Math.sqrt(2 * Math.log(total) / team.total);
+		if (score > bestScore) {
+			best = team;
+			bestScore = score;
+		}
+	}
+	return best;
+}
+
+/**
+ * Chooses a team
+ * @param {String} strategy
+ * @param {Array<Object>} teams - Candidate teams (id, weight, total, win, tie)
+ * @param {Object} state - Strategy state of the format
+ * @returns {Object} Chosen team or null if there are no candidates
+ */
+function choose(strategy, teams, state) {
+	teams = teams.filter(team => team.weight > 0);
+	if (!teams.length) return null;
+	switch (strategy) {
+		case 'weights':
+			return weightedRandom(teams, teams.map(team => team.weight));
+		case 'roundrobin':
+			return nextTeam(teams, state);
+		case 'winrate':
+			return weightedRandom(teams, teams.map(team => getWinRate(team) * team.weight));
+		case 'bandit':
+			return banditTeam(teams);
+		default:
+			return teams[Math.floor(Math.random() * teams.length)];
+	}
+}
+
+exports.Strategies = Strategies;
+exports.Strategy_Names = Strategy_Names;
+exports.choose = choose;
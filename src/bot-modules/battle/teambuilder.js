@@ -9,14 +9,21 @@ const Path = require('path');
 const Text = Tools('text');
 const randomize = Tools('randomize');
 
-exports.setup = function (App) {
+const TeamSelection = require(Path.resolve(__dirname, 'team-selection.js'));
+
+const Max_Sent_Teams = 20;
+const Sent_Team_Expiration = 60 * 60 * 1000;
+
+exports.setup = function (App, BattleStats) {
 	const Teams = require(Path.resolve(__dirname, 'teams.js')).setup(App);
 	const teamsDataBase = App.dam.getDataBase('teams.json');
 
-	return {
+	const TeamBuilder = {
 		tools: Teams,
 		teams: Object.create(null),
 		dynTeams: Object.create(null),
+		selectionState: Object.create(null),
+		sentTeams: Object.create(null),
 
 		loadTeamList: function () {
 			this.dynTeams = teamsDataBase.data;
@@ -28,12 +35,13 @@ exports.setup = function (App) {
 			this.teams = Object.create(null);
 			for (let i in this.dynTeams) {
 				let team = this.dynTeams[i];
+				if (this.getWeight(i) <= 0) continue; // Disabled
 				if (!this.teams[team.format]) this.teams[team.format] = [];
-				this.teams[team.format].push(team.packed);
+				this.teams[team.format].push(i);
 			}
 		},
 
-		addTeam: function (name, format, packed) {
+		addTeam: function (name, format, packed, weight) {
 			const id = Text.toId(name);
 			if (this.dynTeams[id]) return false;
 			this.dynTeams[id] = {
@@ -41,6 +49,9 @@ exports.setup = function (App) {
 				format: format,
 				packed: packed,
 			};
+			if (weight !== undefined && weight !== 1) {
+				this.dynTeams[id].weight = weight;
+			}
 			this.mergeTeams();
 			this.saveTeams();
 			return true;
@@ -59,11 +70,142 @@ exports.setup = function (App) {
 			teamsDataBase.write();
 		},
 
+		/**
+		 * @param {String} id - Team ID
+		 * @returns {Number} Manual weight of the team (1 by default, 0 = disabled)
+		 */
+		getWeight: function (id) {
+			if (!this.dynTeams[id]) return 0;
+			let weight = this.dynTeams[id].weight;
+			return (typeof weight === "number" && weight >= 0) ? weight : 1;
+		},
+
+		setWeight: function (id, weight) {
+			if (!this.dynTeams[id]) return false;
+			if (weight === 1) {
+				delete this.dynTeams[id].weight;
+			} else {
+				this.dynTeams[id].weight = weight;
+			}
+			this.mergeTeams();
+			this.saveTeams();
+			return true;
+		},
+
+		/**
+		 * @returns {String} Configured team selection strategy
+		 */
+		getStrategy: function () {
+			let strategy = App.config.modules.battle.teamSelection;
+			return TeamSelection.Strategies.indexOf(strategy) >= 0 ? strategy : 'random';
+		},
+
+		/**
+		 * Gets the candidate teams of a format with their recorded results
+		 * @param {String} format - Format ID
+		 * @returns {Array<Object>} id, name, weight, total, win, loss, tie, winRate
+		 */
+		getTeamsStats: function (format) {
+			let battles = Object.create(null);
+			for (let entry of BattleStats.getBattles(format)) {
+				/* Entries recorded before the team ID was stored only have the team name */
+				let id = entry.teamId || Text.toId(entry.team);
+				if (!id) continue;
+				if (!battles[id]) battles[id] = [];
+				battles[id].push(entry);
+			}
+			let list = [];
+			for (let id of (this.teams[format] || [])) {
+				let summary = BattleStats.summarize(battles[id] || []);
+				list.push({
+					id: id,
+					name: this.dynTeams[id].name || id,
+					weight: this.getWeight(id),
+					total: summary.total,
+					win: summary.win,
+					loss: summary.loss,
+					tie: summary.tie,
+					winRate: summary.winRate,
+				});
+			}
+			return list;
+		},
+
+		/**
+		 * Chooses a team for a format, using the configured strategy
+		 * @param {String} format - Format ID
+		 * @returns {String} Team ID or null
+		 */
+		chooseTeam: function (format) {
+			if (!this.selectionState[format]) this.selectionState[format] = Object.create(null);
+			let chosen = TeamSelection.choose(this.getStrategy(), this.getTeamsStats(format), this.selectionState[format]);
+			if (!chosen) return null;
+			return chosen.id;
+		},
+
+		/**
+		 * Registers a team sent to the server (/utm), so the battle
+		 * started with it can be matched with the team
+		 * @param {String} format - Format ID
+		 * @param {String} id - Team ID
+		 * @param {String} packed - Packed team sent to the server
+		 */
+		registerSentTeam: function (format, id, packed) {
+			let species;
+			try {
+				species = Teams.fastUnpackTeam(packed).map(poke => Text.toId(poke.species));
+			} catch (err) {
+				return;
+			}
+			let now = Date.now();
+			if (!this.sentTeams[format]) this.sentTeams[format] = [];
+			let sent = this.sentTeams[format].filter(entry => now - entry.time < Sent_Team_Expiration);
+			sent.push({ id: id, species: species, time: now });
+			this.sentTeams[format] = sent.slice(-Max_Sent_Teams);
+		},
+
+		/**
+		 * Finds the team sent to the server for a battle and removes it from the sent teams
+		 * @param {String} format - Format ID (all formats if it is not known yet)
+		 * @param {Array<String>} species - Species of the bot team in the battle
+		 * @returns {String} Team ID or empty string if not found
+		 */
+		takeSentTeam: function (format, species) {
+			if (!species || !species.length) return "";
+			const ids = species.map(Text.toId);
+			const formats = format ? [format] : Object.keys(this.sentTeams);
+			for (let f of formats) {
+				let sent = this.sentTeams[f] || [];
+				for (let i = 0; i < sent.length; i++) {
+					if (sent[i].species.length !== ids.length) continue;
+					let remaining = ids.slice();
+					for (let poke of sent[i].species) {
+						for (let j = 0; j < remaining.length; j++) {
+							/* Formes changed before the battle (e.g. Zacian-Crowned) start with the base species */
+							if (remaining[j] === poke || remaining[j].indexOf(poke) === 0) {
+								remaining.splice(j, 1);
+								break;
+							}
+						}
+					}
+					if (remaining.length === 0) {
+						let id = sent[i].id;
+						sent.splice(i, 1);
+						return id;
+					}
+				}
+			}
+			return "";
+		},
+
 		getTeam: function (format) {
 			let formatId = Text.toId(format);
 			let teamStuff = this.teams[formatId];
 			if (!teamStuff || !teamStuff.length) return false;
-			let teamChosen = teamStuff[Math.floor(Math.random() * teamStuff.length)]; //choose team
+			let teamId = this.chooseTeam(formatId);
+			let teamChosen = this.dynTeams[teamId]; //choose team
+			if (!teamChosen) return false;
+			teamChosen = teamChosen.packed;
 			let teamStr = '';
 			try {
 				if (typeof teamChosen === 'string') {
@@ -91,6 +233,7 @@ exports.setup = function (App) {
 					App.log("invalid team data type: " + JSON.stringify(teamChosen));
 					return false;
 				}
+				this.registerSentTeam(formatId, teamId, teamStr);
 				return teamStr;
 			} catch (e) {
 				App.reportCrash(e.stack);
@@ -109,4 +252,10 @@ exports.setup = function (App) {
 			return Teams.packTeam(team);
 		},
 	};
+
+	teamsDataBase.on('reload', () => {
+		TeamBuilder.loadTeamList();
+	});
+
+	return TeamBuilder;
 };
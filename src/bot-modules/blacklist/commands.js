@@ -88,7 +88,7 @@ module.exports = {
 		}
 		let bl = App.modules.blacklist.system.data[room];
 		if (!bl || Object.keys(bl).length === 0) {
-			return this.pmReply(this.mlt(5) + " " + Chat.italics(this.parser.getRoomTitle(room)));
+			return this.pmReply(this.mltUser(5) + " " + Chat.italics(this.parser.getRoomTitle(room)));
 		}
 		let html = '';
 		html += '<h3>Users blacklisted in ' + Text.escapeHTML(this.parser.getRoomTitle(room)) + '</h3>';
@@ -115,7 +115,7 @@ module.exports = {
 		}
 		let bl = App.modules.blacklist.system.data[room];
 		if (!bl || Object.keys(bl).length === 0) {
-			return this.pmReply(this.mlt(5) + " " + Chat.italics(this.parser.getRoomTitle(room)));
+			return this.pmReply(this.mltUser(5) + " " + Chat.italics(this.parser.getRoomTitle(room)));
 		}
 		let text = '';
 		text += 'Users blacklisted in ' + this.parser.getRoomTitle(room) + ':\n\n';
@@ -125,7 +125,7 @@ module.exports = {
 		}
 		Hastebin.upload(text, function (link, err) {
 			if (err) {
-				this.pmReply(this.mlt(4));
+				this.pmReply(this.mltUser(4));
 			} else {
 				this.pmReply(link);
 			}
@@ -11,7 +11,7 @@ const Lang_File = Path.resolve(__dirname, 'blacklist.translations');
 
 exports.setup = function (App) {
 	function getLanguage(room) {
-		return App.config.language.rooms[room] || App.config.language['default'];
+		return App.multilang.getLanguage(room);
 	}
 
 	function botCanBan(room) {
@@ -17,6 +17,9 @@
  * parserunignore: unlocks an user from using commands
  * setcontrolroom: sets a control room
  * rmcontrolroom: removes a control room
+ * cooldown: sets the cooldown of a command
+ * roomcooldown: sets the cooldown of a command for a room
+ * cooldowns: lists the configured cooldowns
  */
 
 'use strict';
@@ -26,9 +29,52 @@ const Path = require('path');
 const Text = Tools('text');
 const Chat = Tools('chat');
 const LineSplitter = Tools('line-splitter');
+const CmdTemplate = Tools('cmd-template');
 
 const Lang_File = Path.resolve(__dirname, 'cmd-admin.translations');
 
+/**
+ * Parses the arguments of the cooldown commands
+ * @param {CommandContext} context
+ * @param {ChatBotApp} App
+ * @returns {Object} cmd, time, scope, exempt or error (message)
+ */
+function parseCooldownArgs(context, App) {
+	const scopes = App.parser.cooldownScopes;
+	const usage = context.usage({ desc: context.usageTrans('command') }, { desc: context.mlt('seconds') },
+		{ desc: scopes.join('/'), optional: true }, { desc: context.mlt('exempt'), optional: true });
+	if (context.args.length < 2 || context.args.length > 4) return { error: usage };
+	let cmd = Text.toCmdid(context.args[0]);
+	let seconds = parseFloat(context.args[1]);
+	let scope = Text.toId(context.args[2] || 'user');
+	let exempt = (context.args[3] || 'excepted').toLowerCase().trim();
+	if (!cmd || isNaN(seconds) || seconds < 0) return { error: usage };
+	if (!App.parser.commands[cmd] && !App.parser.data.dyncmds[cmd] && App.parser.data.aliases[cmd]) {
+		cmd = App.parser.data.aliases[cmd];
+	}
+	if (!App.parser.commandExists(cmd)) {
+		return { error: context.mlt(0) + ' ' + Chat.italics(cmd) + ' ' + context.mlt(1) };
+	}
+	if (scopes.indexOf(scope) === -1) {
+		return { error: context.mlt('invalidscope') + ": " + scopes.join(', ') };
+	}
+	let groups = ['excepted'].concat(App.config.parser.groups);
+	if (groups.indexOf(exempt) === -1) {
+		return { error: context.mlt(23) + ": " + groups.join(', ') };
+	}
+	return { cmd: cmd, time: Math.round(seconds * 1000), scope: scope, exempt: exempt };
+}
+
+/**
+ * @param {CommandContext} context
+ * @param {Object} cooldown
+ * @returns {String} Cooldown description
+ */
+function cooldownToString(context, cooldown) {
+	return (cooldown.time / 1000) + "s (" + context.mlt('scope' + cooldown.scope) +
+		(cooldown.exempt !== 'excepted' ? (", " + context.mlt('exempt') + ": " + cooldown.exempt) : "") + ")";
+}
+
 module.exports = {
 	/* Aliases */
 	setalias: function (App) {
@@ -114,6 +160,10 @@ module.exports = {
 		if (typeof App.parser.data.dyncmds[cmd] === 'object') {
 			return this.errorReply(this.mlt(0) + ' ' + Chat.italics(cmd) + ' ' + this.mlt(12));
 		}
+		let templateError = CmdTemplate.validate(message);
+		if (templateError) {
+			return this.errorReply(this.mlt(37) + ': ' + templateError);
+		}
 		App.parser.data.dyncmds[cmd] = message;
 		App.parser.saveData();
 		this.addToSecurityLog();
@@ -146,6 +196,10 @@ module.exports = {
 		if (typeof App.parser.data.dyncmds[cmd] !== 'object') {
 			return this.errorReply(this.mlt(0) + ' ' + Chat.italics(cmd) + ' ' + this.mlt(16));
 		}
+		let templateError = CmdTemplate.validate(message);
+		if (templateError) {
+			return this.errorReply(this.mlt(37) + ': ' + templateError);
+		}
 		App.parser.data.dyncmds[cmd][sub] = message;
 		App.parser.saveData();
 		this.addToSecurityLog();
@@ -358,4 +412,64 @@ module.exports = {
 		this.addToSecurityLog();
 		this.reply(this.mlt(34) + ' ' + Chat.italics(control) + ' ' + this.mlt(17));
 	},
+
+	/* Cooldowns */
+
+	cooldown: function (App) {
+		this.setLangFile(Lang_File);
+		if (!this.can('commands', this.room)) return this.replyAccessDenied('commands');
+		let cooldown = parseCooldownArgs(this, App);
+		if (cooldown.error) return this.errorReply(cooldown.error);
+		if (cooldown.time === 0) {
+			if (!App.parser.removeCooldown(cooldown.cmd, null)) {
+				return this.errorReply(this.mlt('nocooldown') + ' ' + Chat.italics(cooldown.cmd));
+			}
+			App.parser.saveData();
+			this.addToSecurityLog();
+			return this.reply(this.mlt('cooldownremoved') + ' ' + Chat.italics(cooldown.cmd));
+		}
+		App.parser.setCooldown(cooldown.cmd, null, cooldown.time, cooldown.scope, cooldown.exempt);
+		App.parser.saveData();
+		this.addToSecurityLog();
+		this.reply(this.mlt('cooldownset') + ' ' + Chat.italics(cooldown.cmd) + ': ' + cooldownToString(this, App.parser.data.cooldowns[cooldown.cmd]));
+	},
+
+	roomcooldown: function (App) {
+		this.setLangFile(Lang_File);
+		if (!this.can('set', this.room)) return this.replyAccessDenied('set');
+		let room = this.targetRoom;
+		if (this.getRoomType(room) !== 'chat') return this.errorReply(this.mlt(6));
+		let cooldown = parseCooldownArgs(this, App);
+		if (cooldown.error) return this.errorReply(cooldown.error);
+		if (cooldown.time === 0) {
+			if (!App.parser.removeCooldown(cooldown.cmd, room)) {
+				return this.errorReply(this.mlt('nocooldown') + ' ' + Chat.italics(cooldown.cmd) + ' ' + this.mlt(26) + ' ' + Chat.italics(room));
+			}
+			App.parser.saveData();
+			this.addToSecurityLog();
+			return this.reply(this.mlt('cooldownremoved') + ' ' + Chat.italics(cooldown.cmd) + ' ' + this.mlt(26) + ' ' + Chat.italics(room));
+		}
+		App.parser.setCooldown(cooldown.cmd, room, cooldown.time, cooldown.scope, cooldown.exempt);
+		App.parser.saveData();
+		this.addToSecurityLog();
+		this.reply(this.mlt('cooldownset') + ' ' + Chat.italics(cooldown.cmd) + ' ' + this.mlt(26) + ' ' + Chat.italics(room) + ': ' +
+			cooldownToString(this, App.parser.data.roomcooldowns[room][cooldown.cmd]));
+	},
+
+	cooldowns: function (App) {
+		this.setLangFile(Lang_File);
+		if (!this.can('set', this.room)) return this.replyAccessDenied('set');
+		let room = this.targetRoom;
+		let lines = [];
+		for (let cmd of Object.keys(App.parser.data.cooldowns).sort()) {
+			lines.push("    " + this.token + cmd + ": " + cooldownToString(this, App.parser.data.cooldowns[cmd]));
+		}
+		if (room && App.parser.data.roomcooldowns[room]) {
+			for (let cmd of Object.keys(App.parser.data.roomcooldowns[room]).sort()) {
+				lines.push("    " + this.token + cmd + " [" + room + "]: " + cooldownToString(this, App.parser.data.roomcooldowns[room][cmd]));
+			}
+		}
+		if (!lines.length) return this.errorReply(this.mlt('nocooldowns'));
+		this.replyCommand("!code " + this.mlt('cooldownlist') + ":\n\n" + lines.join("\n"));
+	},
 };
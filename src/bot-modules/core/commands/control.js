@@ -46,7 +46,7 @@ module.exports = {
 			rooms.push(roomid);
 		}
 		if (rooms.length > 0) {
-			this.parser.bot.joinRooms(rooms);
+			this.bot.joinRooms(rooms);
 			this.parser.app.logCommandAction(this);
 		}
 	},
@@ -65,7 +65,7 @@ module.exports = {
 			rooms.push(roomid);
 		}
 		if (rooms.length > 0) {
-			this.parser.bot.leaveRooms(rooms);
+			this.bot.leaveRooms(rooms);
 			this.parser.app.logCommandAction(this);
 		}
 	},
@@ -77,7 +77,11 @@ module.exports = {
 		this.setLangFile(Lang_File);
 		if (!this.can('reconnect', this.room)) return this.replyAccessDenied('reconnect');
 		this.addToSecurityLog();
-		App.restartBot();
+		if (this.bot !== App.bot) {
+			App.connections.restart(App.connections.getId(this.bot)); /* Additional account */
+		} else {
+			App.restartBot();
+		}
 	},
 
 	/* Config commands */
@@ -280,11 +284,11 @@ module.exports = {
 		this.restrictReply(Chat.bold(this.mlt(10) + ':') + ' ' + Chat.italics(times.join(', ')), 'info');
 	},
 
-	contime: function (App) {
-		if (!App.bot.conntime) return;
+	contime: function () {
+		if (!this.bot.conntime) return;
 		this.setLangFile(Lang_File);
 		let times = [];
-		let time = Math.round((Date.now() - App.bot.conntime) / 1000);
+		let time = Math.round((Date.now() - this.bot.conntime) / 1000);
 		let aux;
 		aux = time % 60; // Seconds
 		if (aux > 0 || time === 0) times.unshift(aux + ' ' + (aux === 1 ? this.mlt(2) : this.mlt(3)));
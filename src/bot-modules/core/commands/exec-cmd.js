@@ -25,7 +25,8 @@ module.exports = {
 		this.args = this.arg.split(',');
 		if (!this.parser.exec(this)) {
 			if (!this.parser.execDyn(this)) {
-				let exactCmd = this.parser.searchCommand(this.cmd);
+				if (this.parser.data.suggestions && this.parser.sendSuggestions(this)) return;
+				let exactCmd = this.parser.searchCommand(this.cmd, this.byIdent, this.room);
 				this.errorReply(this.mlt(0) + ' ' + Chat.italics(this.cmd) + ' ' + this.mlt(1) + '.' +
 					(exactCmd ? (' ' + this.mlt(2) + ' ' + Chat.italics(exactCmd) + '?') : '') + " " + this.mlt(3) + " " + Chat.code(this.token + "help") + " " + this.mlt(4) + ".");
 			}
@@ -42,7 +43,8 @@ module.exports = {
 		this.wall = true;
 		if (!this.parser.exec(this)) {
 			if (!this.parser.execDyn(this)) {
-				let exactCmd = this.parser.searchCommand(this.cmd);
+				if (this.parser.data.suggestions && this.parser.sendSuggestions(this)) return;
+				let exactCmd = this.parser.searchCommand(this.cmd, this.byIdent, this.room);
 				this.errorReply(this.mlt(0) + ' ' + Chat.italics(this.cmd) + ' ' + this.mlt(1) + '.' +
 					(exactCmd ? (' ' + this.mlt(2) + ' ' + Chat.italics(exactCmd) + '?') : '') + " " + this.mlt(3) + " " + Chat.code(this.token + "help") + " " + this.mlt(4) + ".");
 			}
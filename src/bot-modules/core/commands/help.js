@@ -0,0 +1,182 @@
+/**
+ * Commands File
+ *
+ * help: Gets the help of a command or the list of commands of a module
+ */
+
+'use strict';
+
+const Path = require('path');
+
+const Text = Tools('text');
+const Chat = Tools('chat');
+const LineSplitter = Tools('line-splitter');
+
+const Lang_File = Path.resolve(__dirname, 'help.translations');
+
+/**
+ * @param {ChatBotApp} App
+ * @param {String} cmd - Command ID
+ * @returns {BotMod} The module of the command, or null
+ */
+function getCommandModule(App, cmd) {
+	for (let id in App.modules) {
+		if (App.modules[id].commands && typeof App.modules[id].commands[cmd] === 'function') {
+			return App.modules[id];
+		}
+	}
+	return null;
+}
+
+/**
+ * @param {ChatBotApp} App
+ * @param {String} id - Module ID or name
+ * @returns {BotMod} The module, or null
+ */
+function findModule(App, id) {
+	for (let mod in App.modules) {
+		if (Text.toId(mod) === id || Text.toId(App.modules[mod].name) === id) {
+			return App.modules[mod];
+		}
+	}
+	return null;
+}
+
+/**
+ * Translates a text declared in botmodule.json, it can be
+ * a string or an object (language => text)
+ * @param {CommandContext} context
+ * @param {String|Object} text
+ * @returns {String}
+ */
+function getDocText(context, text) {
+	if (!text) return "";
+	if (typeof text === "string") return text;
+	return text[context.lang] || text['english'] || "";
+}
+
+/**
+ * @param {CommandContext} context
+ * @param {String} cmd - Command ID
+ * @param {Array<Object>} args - Arguments declared in botmodule.json (desc, optional)
+ * @returns {String} Usage of the command
+ */
+function getUsage(context, cmd, args) {
+	let list = args.map(arg => {
+		let desc = getDocText(context, arg.desc);
+		/* The common arguments (user, room, command...) are translated */
+		let trans = context.usageTrans(desc);
+		return { desc: (trans !== 'undefined' ? trans : desc), optional: !!arg.optional };
+	});
+	let cmdBackup = context.cmd;
+	context.cmd = cmd;
+	let usage = context.usage.apply(context, list);
+	context.cmd = cmdBackup;
+	return usage;
+}
+
+/**
+ * @param {CommandContext} context
+ * @param {String} perm - Permission ID
+ * @param {Boolean} exceptedOnly - true if only excepted users can use the command
+ * @returns {String} Required permission and rank
+ */
+function getPermission(context, perm, exceptedOnly) {
+	if (exceptedOnly) return context.mlt('exceptedonly');
+	if (!perm) return context.mlt('noperm');
+	let group = context.parser.getPermissionGroup(perm, context.room);
+	let rank;
+	if (group === 'excepted') {
+		rank = context.mlt('excepted');
+	} else if (group === 'user') {
+		rank = context.mlt('anyuser');
+	} else {
+		rank = group + (context.parser.app.config.parser[group] ? (" (" + context.parser.app.config.parser[group] + ")") : "");
+	}
+	return context.mlt('perm') + ": " + Chat.italics(perm) + " | " + context.mlt('rank') + ": " + Chat.italics(rank);
+}
+
+/**
+ * Checks if the dynamic command named help must run instead of the help
+ * of a command: always without arguments and, for index commands, when
+ * the argument is one of its sub-commands
+ * @param {ChatBotApp} App
+ * @param {String} arg - Command argument
+ * @returns {Boolean}
+ */
+function isDynamicHelp(App, arg) {
+	let conf = App.parser.data.dyncmds['help'];
+	if (!conf) return false;
+	if (!arg) return true;
+	return typeof conf === 'object' && !!conf[Text.toCmdid(arg.split(' ')[0])];
+}
+
+module.exports = {
+	help: function (App) {
+		if (isDynamicHelp(App, this.arg) && App.parser.execDyn(this)) return;
+		this.setLangFile(Lang_File);
+		let id = Text.toCmdid(this.arg);
+		if (!id) {
+			if (App.parser.data.helpmsg) return App.parser.sendHelpMsg(this.byIdent.id, this.byIdent.name, this.bot);
+			return this.errorReply(this.usage({ desc: this.usageTrans('command'), optional: true }));
+		}
+
+		let lines = [];
+		let cmd = id;
+		if (!App.parser.commands[cmd] && !App.parser.data.dyncmds[cmd] && App.parser.data.aliases[cmd]) {
+			cmd = App.parser.data.aliases[cmd];
+		}
+
+		if (App.parser.commands[cmd]) {
+			let mod = getCommandModule(App, cmd);
+			let doc = App.parser.getCommandDoc(cmd) || {};
+			let desc = getDocText(this, doc.desc);
+			lines.push(Chat.bold(this.mlt('command') + " " + this.token + cmd) + (cmd !== id ? (" (" + this.mlt('alias') + ": " + this.token + id + ")") : "") +
+				(mod ? (" | " + this.mlt('module') + ": " + mod.name) : "") + (desc ? (" | " + desc) : ""));
+			if (doc.args) {
+				lines.push(getUsage(this, cmd, doc.args));
+			}
+			lines.push(getPermission(this, doc.perm, doc.excepted));
+		} else if (App.parser.data.dyncmds[cmd]) {
+			lines.push(Chat.bold(this.mlt('command') + " " + this.token + cmd) + (cmd !== id ? (" (" + this.mlt('alias') + ": " + this.token + id + ")") : "") +
+				" | " + this.mlt('dyncmd'));
+		} else {
+			let provider = null;
+			for (let key in App.parser.commandKeysProviders) {
+				if (App.parser.commandKeysProviders[key]().indexOf(id) >= 0) {
+					provider = key;
+					break;
+				}
+			}
+			if (provider) {
+				let handler = App.parser.commandKeysHandlers[provider];
+				lines.push(Chat.bold(this.mlt('command') + " " + this.token + id) + " | " + this.mlt('custom'));
+				let doc = App.parser.getCommandDoc(handler) || {};
+				lines.push(getPermission(this, doc.perm, doc.excepted));
+			} else {
+				let mod = findModule(App, Text.toId(this.arg));
+				if (!mod) {
+					let similar = App.parser.searchCommand(id, this.byIdent, this.room);
+					return this.errorReply(this.mlt('notfound') + " " + Chat.italics(id) + "." +
+						(similar ? (" " + this.mlt('didyoumean') + " " + Chat.code(this.token + "help " + similar) + "?") : ""));
+				}
+				let cmds = Object.keys(mod.commands).filter(key => {
+					return typeof mod.commands[key] === 'function' && App.parser.canRunCommand(this.byIdent, key, this.room);
+				}).sort();
+				let spl = new LineSplitter(App.config.bot.maxMessageLength);
+				spl.add(Chat.bold(this.mlt('module') + " " + mod.name) + (mod.description ? (" | " + mod.description) : "") + ". ");
+				if (cmds.length === 0) {
+					spl.add(this.mlt('nocmds'));
+				} else {
+					spl.add(this.mlt('cmds') + ":");
+					for (let i = 0; i < cmds.length; i++) {
+						spl.add(" " + this.token + cmds[i] + (i < (cmds.length - 1) ? ',' : ''));
+					}
+				}
+				lines = spl.getLines();
+			}
+		}
+
+		this.restrictReply(lines, 'info');
+	},
+};
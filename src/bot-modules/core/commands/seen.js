@@ -20,6 +20,7 @@ const Max_Alts_No_Full = 7;
 module.exports = {
 	seen: function (App) {
 		this.setLangFile(Lang_File);
+		this.lang = this.getUserLanguage(); // Replies are private messages
 
 		if (App.config.disableuserdata) {
 			return this.pmReply(this.mlt('disabled'));
@@ -93,6 +94,7 @@ module.exports = {
 
 	alts: function (App) {
 		this.setLangFile(Lang_File);
+		this.lang = this.getUserLanguage(); // Replies are private messages
 
 		if (App.config.disableuserdata) {
 			return this.pmReply(this.mlt('disabled'));
@@ -0,0 +1,51 @@
+/**
+ * Commands File
+ *
+ * mylanguage: sets the language of the user (for private messages)
+ */
+
+'use strict';
+
+const Path = require('path');
+
+const Text = Tools('text');
+const Chat = Tools('chat');
+
+const Lang_File = Path.resolve(__dirname, 'user-lang.translations');
+
+module.exports = {
+	mylang: "mylanguage",
+	mylanguage: function (App) {
+		this.setLangFile(Lang_File);
+		let languages = App.multilang.getLanguages();
+		let available = Object.keys(languages).filter(lang => App.multilang.isLangEnabled(lang));
+		let arg = Text.toId(this.arg);
+		if (!arg) {
+			this.lang = this.getUserLanguage();
+			let lang = App.userdata.getLanguage(this.byIdent.id);
+			return this.pmReply((lang && available.indexOf(lang) >= 0) ?
+				(this.mlt('current') + ": " + Chat.italics(languages[lang])) :
+				(this.mlt('nolang') + " " + this.usage({ desc: this.mlt('language') })));
+		}
+		if (arg in { 'default': 1, 'room': 1, 'none': 1, 'off': 1 }) {
+			App.userdata.setLanguage(this.byIdent.id, null);
+			this.lang = this.getUserLanguage();
+			return this.pmReply(this.mlt('removed'));
+		}
+		let lang = null;
+		for (let id of available) {
+			if (id === arg || Text.toId(languages[id]) === arg) {
+				lang = id;
+				break;
+			}
+		}
+		if (!lang) {
+			this.lang = this.getUserLanguage();
+			return this.pmReply(this.mlt('invalid') + " " + Chat.italics(arg) + ". " +
+				this.mlt('available') + ": " + available.map(id => languages[id]).join(', '));
+		}
+		App.userdata.setLanguage(this.byIdent.id, lang);
+		this.lang = lang;
+		this.pmReply(this.mlt('set') + ": " + Chat.italics(languages[lang]));
+	},
+};
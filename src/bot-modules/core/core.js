@@ -69,6 +69,8 @@ function setup(App) {
 				}
 			}
 		}
+		/* The rooms assigned to other connections are joined by them */
+		rooms = rooms.filter(room => App.connections.getRoomConnection(room) === 'main');
 		let cmds = [];
 		for (let i = 0; i < rooms.length; i++) {
 			cmds.push('|/join ' + rooms[i]);
@@ -94,39 +96,30 @@ function setup(App) {
 		}, time);
 	}
 
-	CoreMod.waitingQueryResponse = false;
-
-	App.bot.on('queryresponse', data => {
-		if (!CoreMod.waitingQueryResponse) return;
-		data = data.split("|");
-		if (data.shift() !== "rooms") return;
-		CoreMod.waitingQueryResponse = false;
-		data = data.join("|");
-		try {
-			data = JSON.parseNoPrototype(data);
+	function joinPublicRooms() {
+		App.bot.queryRoomList({ cache: 0 }).then(data => {
 			if (typeof data !== "object" || data === null) {
 				App.logToConsole("Parse Failure (queryresponse): " + JSON.stringify(data));
 				runFirstLogin();
 				return;
 			}
-		} catch (err) {
-			App.logToConsole("Parse Failure (queryresponse): " + err.message);
-			runFirstLogin();
-			return;
-		}
-		let rooms = [];
-		if (data.official && App.config.modules.core.joinofficial) {
-			for (let room of data.official) {
-				rooms.push(Text.toRoomid(room.title));
+			let rooms = [];
+			if (data.official && App.config.modules.core.joinofficial) {
+				for (let room of data.official) {
+					rooms.push(Text.toRoomid(room.title));
+				}
 			}
-		}
-		if (data.chat && App.config.modules.core.joinall) {
-			for (let room of data.chat) {
-				rooms.push(Text.toRoomid(room.title));
+			if (data.chat && App.config.modules.core.joinall) {
+				for (let room of data.chat) {
+					rooms.push(Text.toRoomid(room.title));
+				}
 			}
-		}
-		runFirstLogin(rooms);
-	});
+			runFirstLogin(rooms);
+		}, err => {
+			App.logToConsole("Could not get the rooms list: " + err.message);
+			if (App.bot.isConnected()) runFirstLogin();
+		});
+	}
 
 	App.bot.on('updateuser', (nick, named) => {
 		if (named && CoreMod.loginTimer) {
@@ -136,8 +129,7 @@ function setup(App) {
 		App.logToConsole('Nick Changed: ' + nick);
 		App.log('[Bot Core] Nick Changed: ' + nick);
 		if (!lastLogin.named && named && (App.config.modules.core.joinall || App.config.modules.core.joinofficial)) {
-			CoreMod.waitingQueryResponse = true;
-			App.bot.send(["|/cmd rooms"]);
+			joinPublicRooms();
 		} else if (!lastLogin.named && named) {
 			runFirstLogin();
 		}
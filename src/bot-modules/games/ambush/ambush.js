@@ -13,7 +13,7 @@ const Lang_File = Path.resolve(__dirname, 'ambush.translations');
 
 exports.setup = function (App) {
 	function getLanguage(room) {
-		return App.config.language.rooms[room] || App.config.language['default'];
+		return App.multilang.getLanguage(room);
 	}
 
 	class Ambush {
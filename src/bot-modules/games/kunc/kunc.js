@@ -24,7 +24,7 @@ function toWordId(str) {
 
 exports.setup = function (App) {
 	function getLanguage(room) {
-		return App.config.language.rooms[room] || App.config.language['default'];
+		return App.multilang.getLanguage(room);
 	}
 
 	class Kunc {
@@ -14,10 +14,15 @@ exports.setup = function (App) {
 	const db = KuncGameSystem.db = App.dam.getDataBase('kunc-sets.json');
 	const data = KuncGameSystem.data = db.data;
 
-	if (!data.sets) {
-		data.sets = KuncSets;
+	function loadData() {
+		if (!data.sets) {
+			data.sets = KuncSets;
+		}
 	}
 
+	db.on('reload', loadData);
+	loadData();
+
 	KuncGameSystem.kunc = require(Path.resolve(__dirname, 'kunc.js')).setup(App);
 
 	return KuncGameSystem;
@@ -16,7 +16,7 @@ exports.setup = function (App) {
 	const games = GamesModule.games = Object.create(null);
 
 	function getLanguage(room) {
-		return App.config.language.rooms[room] || App.config.language['default'];
+		return App.multilang.getLanguage(room);
 	}
 
 	const Error_Msg = 'There is already a game';
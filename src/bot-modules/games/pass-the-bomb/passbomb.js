@@ -16,7 +16,7 @@ const Lang_File = Path.resolve(__dirname, 'passbomb.translations');
 
 exports.setup = function (App) {
 	function getLanguage(room) {
-		return App.config.language.rooms[room] || App.config.language['default'];
+		return App.multilang.getLanguage(room);
 	}
 
 	class PassBomb {
@@ -8,6 +8,11 @@ exports.setup = function (App) {
 	class HtmlBoxModule {
 		constructor() {
 			this.db = App.dam.getDataBase('html-cmd.json');
+			this.db.on('reload', this.load.bind(this));
+			this.load();
+		}
+
+		load() {
 			this.data = this.db.data;
 			if (!this.data.commands) {
 				this.data.commands = Object.create(null);
@@ -43,7 +48,7 @@ exports.setup = function (App) {
 			return !!Mod.data.commands[Mod.data.aliases[a]];
 		});
 		return cmds.concat(aliases);
-	});
+	}, 'htmlcmd');
 
 	return new HtmlBoxModule();
 };
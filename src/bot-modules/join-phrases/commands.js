@@ -124,7 +124,7 @@ module.exports = {
 		}
 		Hastebin.upload(text, function (link, err) {
 			if (err) {
-				this.pmReply(this.mlt(5));
+				this.pmReply(this.mltUser(5));
 			} else {
 				this.pmReply(link);
 			}
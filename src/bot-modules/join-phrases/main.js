@@ -10,9 +10,15 @@ exports.setup = function (App) {
 	const JoinPhrasesMod = Object.create(null);
 	JoinPhrasesMod.db = App.dam.getDataBase('join-phrases.json');
 	JoinPhrasesMod.config = JoinPhrasesMod.db.data;
-	if (!JoinPhrasesMod.config.rooms) {
-		JoinPhrasesMod.config.rooms = Object.create(null);
-	}
+
+	JoinPhrasesMod.loadData = function () {
+		if (!this.config.rooms) {
+			this.config.rooms = Object.create(null);
+		}
+	};
+
+	JoinPhrasesMod.db.on('reload', JoinPhrasesMod.loadData.bind(JoinPhrasesMod));
+	JoinPhrasesMod.loadData();
 
 	const config = JoinPhrasesMod.config;
 
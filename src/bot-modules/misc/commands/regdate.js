@@ -63,9 +63,9 @@ module.exports = {
 	regdate: function (App) {
 		this.setLangFile(Lang_File);
 		let target = Text.toId(this.arg) || Text.toId(this.by);
-		if (!target || target.length > 18) return this.pmReply(this.mlt('inv'));
+		if (!target || target.length > 18) return this.pmReply(this.mltUser('inv'));
 		let url = "https://pokemonshowdown.com/users/" + target + ".json";
-		if (markDownload(this.byIdent.id)) return this.pmReply(this.mlt('busy'));
+		if (markDownload(this.byIdent.id)) return this.pmReply(this.mltUser('busy'));
 		let cacheData = regdateCache.get(target);
 		let callback = function (data) {
 			// Parse Data
@@ -86,19 +86,19 @@ module.exports = {
 			App.data.wget(url, function (data, err) {
 				markDownload(this.byIdent.id, false);
 				if (err) {
-					return this.pmReply(this.mlt('err') + " " + url);
+					return this.pmReply(this.mltUser('err') + " " + url);
 				}
 				try {
 					data = JSON.parseNoPrototype(data);
 				} catch (error) {
-					return this.pmReply(this.mlt('err') + " " + url);
+					return this.pmReply(this.mltUser('err') + " " + url);
 				}
 				if (typeof data.registertime !== "number") {
-					return this.pmReply(this.mlt('err') + " " + url);
+					return this.pmReply(this.mltUser('err') + " " + url);
 				}
 				if (data.registertime <= 0) {
-					return this.pmReply(this.mlt('user') + " " +
-						(data.username || target) + " " + this.mlt('not'));
+					return this.pmReply(this.mltUser('user') + " " +
+						(data.username || target) + " " + this.mltUser('not'));
 				}
 				regdateCache.cache(target, data);
 				return callback(data);
@@ -109,9 +109,9 @@ module.exports = {
 	regtime: function (App) {
 		this.setLangFile(Lang_File);
 		let target = Text.toId(this.arg) || Text.toId(this.by);
-		if (!target || target.length > 18) return this.pmReply(this.mlt('inv'));
+		if (!target || target.length > 18) return this.pmReply(this.mltUser('inv'));
 		let url = "https://pokemonshowdown.com/users/" + target + ".json";
-		if (markDownload(this.byIdent.id)) return this.pmReply(this.mlt('busy'));
+		if (markDownload(this.byIdent.id)) return this.pmReply(this.mltUser('busy'));
 		let cacheData = regdateCache.get(target);
 		let callback = function (data) {
 			// Parse Data
@@ -146,19 +146,19 @@ module.exports = {
 			App.data.wget(url, function (data, err) {
 				markDownload(this.byIdent.id, false);
 				if (err) {
-					return this.pmReply(this.mlt('err') + " " + url);
+					return this.pmReply(this.mltUser('err') + " " + url);
 				}
 				try {
 					data = JSON.parseNoPrototype(data);
 				} catch (error) {
-					return this.pmReply(this.mlt('err') + " " + url);
+					return this.pmReply(this.mltUser('err') + " " + url);
 				}
 				if (typeof data.registertime !== "number") {
-					return this.pmReply(this.mlt('err') + " " + url);
+					return this.pmReply(this.mltUser('err') + " " + url);
 				}
 				if (data.registertime <= 0) {
-					return this.pmReply(this.mlt('user') + " " +
-						(data.username || target) + " " + this.mlt('not'));
+					return this.pmReply(this.mltUser('user') + " " +
+						(data.username || target) + " " + this.mltUser('not'));
 				}
 				regdateCache.cache(target, data);
 				return callback(data);
@@ -169,9 +169,9 @@ module.exports = {
 	autoconfirmedhelp: function (App) {
 		this.setLangFile(Lang_File);
 		let target = Text.toId(this.arg) || Text.toId(this.by);
-		if (!target || target.length > 18) return this.pmReply(this.mlt('inv'));
+		if (!target || target.length > 18) return this.pmReply(this.mltUser('inv'));
 		let url = "https://pokemonshowdown.com/users/" + target + ".json";
-		if (markDownload(this.byIdent.id)) return this.pmReply(this.mlt('busy'));
+		if (markDownload(this.byIdent.id)) return this.pmReply(this.mltUser('busy'));
 		let cacheData = regdateCache.get(target);
 		let callback = function (data) {
 			// Parse Data
@@ -180,9 +180,9 @@ module.exports = {
 			let acCurr = AutoConfirmed_RegTime - time;
 			if (acCurr <= 0) {
 				if (typeof data.ratings !== "object" || Object.keys(data.ratings).length === 0) {
-					this.pmReply(this.mlt(10) + " " + Chat.bold(data.username || target) + " " + this.mlt(11));
+					this.pmReply(this.mltUser(10) + " " + Chat.bold(data.username || target) + " " + this.mltUser(11));
 				} else {
-					this.pmReply(this.mlt(10) + " " + Chat.bold(data.username || target) + " " + this.mlt(12));
+					this.pmReply(this.mltUser(10) + " " + Chat.bold(data.username || target) + " " + this.mltUser(12));
 				}
 				return;
 			}
@@ -201,9 +201,9 @@ module.exports = {
 			time = Math.floor(time / 24); // Days
 			if (time > 0) times.unshift(time + ' ' + (time === 1 ? this.mlt(8) : this.mlt(9)));
 			/* Reply */
-			this.pmReply(this.mlt(14) + " " + Chat.bold(data.username || target) +
-				" " + this.mlt(15) + " " + Chat.italics(times.join(', ')) +
-				" " + this.mlt(16));
+			this.pmReply(this.mltUser(14) + " " + Chat.bold(data.username || target) +
+				" " + this.mltUser(15) + " " + Chat.italics(times.join(', ')) +
+				" " + this.mltUser(16));
 		}.bind(this);
 		if (cacheData) {
 			return callback(cacheData);
@@ -212,19 +212,19 @@ module.exports = {
 			App.data.wget(url, function (data, err) {
 				markDownload(this.byIdent.id, false);
 				if (err) {
-					return this.pmReply(this.mlt('err') + " " + url);
+					return this.pmReply(this.mltUser('err') + " " + url);
 				}
 				try {
 					data = JSON.parseNoPrototype(data);
 				} catch (error) {
-					return this.pmReply(this.mlt('err') + " " + url);
+					return this.pmReply(this.mltUser('err') + " " + url);
 				}
 				if (typeof data.registertime !== "number") {
-					return this.pmReply(this.mlt('err') + " " + url);
+					return this.pmReply(this.mltUser('err') + " " + url);
 				}
 				if (data.registertime <= 0) {
-					return this.pmReply(this.mlt(10) + " " +
-						Chat.italics(data.username || target) + " " + this.mlt(13));
+					return this.pmReply(this.mltUser(10) + " " +
+						Chat.italics(data.username || target) + " " + this.mltUser(13));
 				}
 				regdateCache.cache(target, data);
 				return callback(data);
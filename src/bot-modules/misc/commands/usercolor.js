@@ -24,7 +24,7 @@ module.exports = {
 	usernamecolor: function (App) {
 		this.setLangFile(Lang_File);
 		let target = Text.toId(this.arg) || Text.toId(this.by);
-		if (!target || target.length > 18) return this.pmReply(this.mlt('inv'));
+		if (!target || target.length > 18) return this.pmReply(this.mltUser('inv'));
 
 		const Mod = App.modules.misc.system;
 
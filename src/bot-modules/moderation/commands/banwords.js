@@ -18,6 +18,26 @@ const HtmlMaker = Tools('html-maker');
 
 const Lang_File = Path.resolve(__dirname, 'banwords.translations');
 
+const WordMatcher = require(Path.resolve(__dirname, '..', 'word-matcher.js'));
+
+function getUsage(context) {
+	return context.usage({desc: context.mlt('word')}, {desc: 'banned/inap/insult/emote', optional: true},
+		{desc: context.mlt('punishment'), optional: true}, {desc: 'std/strict', optional: true},
+		{desc: 'std/ignorenicks', optional: true}, {desc: WordMatcher.Match_Modes.join('/'), optional: true},
+		{desc: context.mlt('normalization') + ' (all/' + WordMatcher.Normalizations.join('/') + ')', optional: true});
+}
+
+function getWordOptions(data) {
+	let opts = [];
+	if (data.match && data.match !== 'text') {
+		opts.push('Match: ' + data.match);
+	}
+	if (data.normalize && data.normalize.length) {
+		opts.push('Normalization: ' + data.normalize.join(', '));
+	}
+	return opts;
+}
+
 module.exports = {
 	banword: function (App) {
 		this.setLangFile(Lang_File);
@@ -25,19 +45,26 @@ module.exports = {
 		let room = this.targetRoom;
 		if (this.getRoomType(room) !== 'chat') return this.errorReply(this.mlt('nochat'));
 		const config = App.modules.moderation.system.data;
-		let word = this.args[0].toLowerCase().trim();
 		let type = Text.toId(this.args[1]) || 'banned';
 		let punishment = Text.toId(this.args[2]) || 'mute';
 		let strictMode = Text.toId(this.args[3]) || 'std';
 		let nicks = Text.toId(this.args[4]) || 'std';
-		if (!word || !(type in {'banned': 1, 'inap': 1, 'insult': 1, 'emote': 1}) || !(strictMode in {'std': 1, 'strict': 1}) || !(nicks in {'std': 1, 'ignorenicks': 1})) {
-			return this.errorReply(this.usage({desc: this.mlt('word')}, {desc: 'banned/inap/insult/emote', optional: true},
-				{desc: this.mlt('punishment'), optional: true}, {desc: 'std/strict', optional: true},
-				{desc: 'std/ignorenicks', optional: true}));
+		let match = Text.toId(this.args[5]) || 'text';
+		let normalize = this.args.slice(6).map(Text.toId).filter(step => !!step);
+		let word = this.args[0].trim();
+		if (match !== 'regex') word = word.toLowerCase();
+		if (normalize.indexOf('all') >= 0) normalize = WordMatcher.Normalizations.slice();
+		if (!word || !(type in {'banned': 1, 'inap': 1, 'insult': 1, 'emote': 1}) || !(strictMode in {'std': 1, 'strict': 1}) || !(nicks in {'std': 1, 'ignorenicks': 1}) ||
+			WordMatcher.Match_Modes.indexOf(match) === -1 || normalize.some(step => WordMatcher.Normalizations.indexOf(step) === -1)) {
+			return this.errorReply(getUsage(this));
 		}
 		if (config.punishments.indexOf(punishment) === -1) {
 			return this.errorReply(this.mlt(0) + ": " + config.punishments.join(', '));
 		}
+		let error = WordMatcher.validate(word, match);
+		if (error) {
+			return this.errorReply(this.mlt(8) + ": " + error);
+		}
 		if (config.bannedWords[room] && config.bannedWords[room][word]) {
 			return this.errorReply(this.mlt(1) + " \"" + word + "\" " + this.mlt(2) +
 				" " + Chat.italics(this.parser.getRoomTitle(room)));
@@ -60,6 +87,12 @@ module.exports = {
 				config.bannedWords[room][word].type = 'e';
 				break;
 		}
+		if (match !== 'text') {
+			config.bannedWords[room][word].match = match;
+		}
+		if (normalize.length) {
+			config.bannedWords[room][word].normalize = normalize;
+		}
 		config.bannedWords[room][word].val = config.punishments.indexOf(punishment) + 1;
 		App.modules.moderation.system.db.write();
 		App.logCommandAction(this);
@@ -73,8 +106,11 @@ module.exports = {
 		let room = this.targetRoom;
 		if (this.getRoomType(room) !== 'chat') return this.errorReply(this.mlt('nochat'));
 		const config = App.modules.moderation.system.data;
-		let word = this.args[0].toLowerCase().trim();
+		let word = this.arg.trim();
 		if (!word) return this.errorReply(this.usage({desc: this.mlt('word')}));
+		if (config.bannedWords[room] && !config.bannedWords[room][word]) {
+			word = word.toLowerCase();
+		}
 		if (!config.bannedWords[room] || !config.bannedWords[room][word]) {
 			return this.errorReply(this.mlt(1) + " \"" + word + "\" " + this.mlt(4) +
 				" " + Chat.italics(this.parser.getRoomTitle(room)));
@@ -101,7 +137,7 @@ module.exports = {
 		if (this.getRoomType(room) !== 'chat') return this.errorReply(this.mlt('nochat'));
 		const config = App.modules.moderation.system.data;
 		let words = config.bannedWords[room];
-		if (!words) return this.pmReply(this.mlt(6) + " " + Chat.italics(this.parser.getRoomTitle(room)));
+		if (!words) return this.pmReply(this.mltUser(6) + " " + Chat.italics(this.parser.getRoomTitle(room)));
 		let html = '';
 		html += '<h3>Banned Words in ' + Text.escapeHTML(App.parser.getRoomTitle(room)) + '</h3>';
 		html += '<ul>';
@@ -126,7 +162,7 @@ module.exports = {
 					break;
 			}
 			html += '&nbsp;|&nbsp;';
-			html += 'Punishment: ' + App.modules.moderation.system.modBot.getPunishment(config.bannedWords[room][word].val);
+			html += 'Punishment: ' + App.modules.moderation.system.modBot.getPunishment(config.bannedWords[room][word].val, room, 'bannedwords');
 			if (config.bannedWords[room][word].strict) {
 				html += '&nbsp;|&nbsp;';
 				html += 'Strict Word';
@@ -135,6 +171,10 @@ module.exports = {
 				html += '&nbsp;|&nbsp;';
 				html += 'Ignore Nicknames';
 			}
+			for (let opt of getWordOptions(config.bannedWords[room][word])) {
+				html += '&nbsp;|&nbsp;';
+				html += Text.escapeHTML(opt);
+			}
 			html += '</li>';
 		}
 		html += '</ul>';
@@ -153,7 +193,7 @@ module.exports = {
 		if (this.getRoomType(room) !== 'chat') return this.errorReply(this.mlt('nochat'));
 		const config = App.modules.moderation.system.data;
 		let words = config.bannedWords[room];
-		if (!words) return this.pmReply(this.mlt(6) + " " + Chat.italics(this.parser.getRoomTitle(room)));
+		if (!words) return this.pmReply(this.mltUser(6) + " " + Chat.italics(this.parser.getRoomTitle(room)));
 		let text = '';
 		text += 'Banned Words in ' + this.parser.getRoomTitle(room) + ':\n\n';
 		words = Object.keys(words).sort();
@@ -175,7 +215,7 @@ module.exports = {
 					break;
 			}
 			text += ' | ';
-			text += 'Punishment: ' + App.modules.moderation.system.modBot.getPunishment(config.bannedWords[room][word].val);
+			text += 'Punishment: ' + App.modules.moderation.system.modBot.getPunishment(config.bannedWords[room][word].val, room, 'bannedwords');
 			if (config.bannedWords[room][word].strict) {
 				text += ' | ';
 				text += 'Strict Word';
@@ -184,11 +224,15 @@ module.exports = {
 				text += ' | ';
 				text += 'Ignore Nicknames';
 			}
+			for (let opt of getWordOptions(config.bannedWords[room][word])) {
+				text += ' | ';
+				text += opt;
+			}
 			text += '\n';
 		}
 		Hastebin.upload(text, function (link, err) {
 			if (err) {
-				this.pmReply(this.mlt(7));
+				this.pmReply(this.mltUser(7));
 			} else {
 				this.pmReply(link);
 			}
@@ -0,0 +1,72 @@
+/**
+ * Commands File
+ *
+ * modhistory: gets the automatic moderation history of an user
+ */
+
+'use strict';
+
+const Max_Entries_PM = 5;
+
+const Path = require('path');
+
+const Text = Tools('text');
+const Chat = Tools('chat');
+const HtmlMaker = Tools('html-maker');
+
+const Lang_File = Path.resolve(__dirname, 'history.translations');
+
+function formatDate(time) {
+	return new Date(time).toISOString().substr(0, 16).replace('T', ' ');
+}
+
+module.exports = {
+	modhist: 'modhistory',
+	modhistory: function (App) {
+		this.setLangFile(Lang_File);
+		let user = Text.toId(this.args[0]);
+		let room = this.args[1] ? this.parseRoomAliases(Text.toRoomid(this.args[1])) : this.targetRoom;
+		if (!user) return this.errorReply(this.usage({desc: this.usageTrans('user')}, {desc: this.usageTrans('room'), optional: true}));
+		if (user.length > 19) return this.errorReply(this.mlt(0));
+		if (!this.can('modhistory', room)) return this.replyAccessDenied('modhistory');
+		if (room && this.getRoomType(room) !== 'chat') return this.errorReply(this.mlt('nochat'));
+		const history = App.modules.moderation.system.history;
+		let entries = history.search({room: room, user: user});
+		let where = room ? (" " + this.mltUser(2) + " " + Chat.italics(this.parser.getRoomTitle(room))) : "";
+		if (entries.length === 0) {
+			return this.pmReply(this.mltUser(1) + " " + Chat.italics(user) + " " + this.mltUser(3) + where);
+		}
+		this.pmReply(this.mltUser(1) + " " + Chat.italics(user) + " " + this.mltUser(4) + " " + Chat.bold(entries.length) +
+			" " + this.mltUser(5) + where + ". " + this.mltUser(6) + ":");
+		let server = App.config.server.url;
+		if (!server) {
+			for (let entry of entries.slice(0, Max_Entries_PM)) {
+				this.pmReply("[" + formatDate(entry.time) + "] " + (room ? "" : ("<<" + entry.room + ">> ")) +
+					entry.punishment + " (" + entry.filters.join(", ") + "): " + entry.msg);
+			}
+			return;
+		}
+		let title = 'Moderation history of ' + user + (room ? (' in ' + App.parser.getRoomTitle(room)) : '');
+		let html = '';
+		html += '<h3>' + Text.escapeHTML(title) + '</h3>';
+		html += '<table border="1" cellspacing="0" cellpadding="3">';
+		html += '<tr><th>Date</th><th>Room</th><th>Filters</th><th>Punishment</th><th>Points</th><th>Message</th></tr>';
+		for (let entry of entries) {
+			html += '<tr>';
+			html += '<td>' + formatDate(entry.time) + '</td>';
+			html += '<td>' + Text.escapeHTML(entry.room) + '</td>';
+			html += '<td>' + Text.escapeHTML(entry.filters.join(', ')) + '</td>';
+			html += '<td>' + Text.escapeHTML(entry.punishment) + '</td>';
+			html += '<td>' + entry.points + '</td>';
+			html += '<td>' + Text.escapeHTML(entry.msg) + '</td>';
+			html += '</tr>';
+		}
+		html += '</table>';
+		let key = App.data.temp.createTempFile(HtmlMaker.wrapHTML(html, Text.escapeHTML(title)));
+		if (server.charAt(server.length - 1) === '/') {
+			return this.pmReply(App.config.server.url + 'temp/' + key);
+		} else {
+			return this.pmReply(App.config.server.url + '/temp/' + key);
+		}
+	},
+};
@@ -3,6 +3,10 @@
  *
  * setmoderation: configures moderation filters
  * modexception: configures moderation exception
+ * shadowmoderation: configures shadow mode (dry-run) for moderation filters
+ * modladder: gets the punishments ladder of a room
+ * setmodladder: configures the punishments ladder of a room (or a filter in a room)
+ * setmoddecay: configures the infraction points decay of a room
  */
 
 'use strict';
@@ -41,6 +45,118 @@ module.exports = {
 		}
 	},
 
+	shadowmod: 'shadowmoderation',
+	shadowmoderation: function (App) {
+		this.setLangFile(Lang_File);
+		if (!this.can('moderation', this.room)) return this.replyAccessDenied('moderation');
+		if (this.args.length !== 2) return this.errorReply(this.usage({desc: 'mod-type'}, {desc: 'on/off'}));
+		let room = this.targetRoom;
+		if (this.getRoomType(room) !== 'chat') return this.errorReply(this.mlt('nochat'));
+		let mod = Text.toId(this.args[0]);
+		let set = Text.toId(this.args[1]);
+		if (set !== 'on' && set !== 'off') return this.errorReply(this.usage({desc: 'mod-type'}, {desc: 'on/off'}));
+		let modtypes = App.modules.moderation.system.modBot.filters;
+		if (!(mod in modtypes)) {
+			return this.errorReply(this.mlt(5) + ": " + Object.keys(modtypes).join(', '));
+		}
+		let config = App.modules.moderation.system.data;
+		if (set === 'on') {
+			if (!config.shadowFilters[room]) {
+				config.shadowFilters[room] = Object.create(null);
+			}
+			config.shadowFilters[room][mod] = true;
+		} else if (config.shadowFilters[room]) {
+			delete config.shadowFilters[room][mod];
+			if (Object.keys(config.shadowFilters[room]).length === 0) {
+				delete config.shadowFilters[room];
+			}
+		}
+		App.modules.moderation.system.db.write();
+		App.logCommandAction(this);
+		this.reply(this.mlt(12) + " " + Chat.italics(mod) + " " + this.mlt(1) +
+			" " + (set === 'on' ? this.mlt(14) : this.mlt(15)) + " " +
+			this.mlt(4) + " " + Chat.italics(this.parser.getRoomTitle(room)) +
+			(set === 'on' ? (". " + this.mlt(13)) : ""));
+	},
+
+	modladder: function (App) {
+		this.setLangFile(Lang_File);
+		if (!this.can('moderation', this.room)) return this.replyAccessDenied('moderation');
+		let room = this.targetRoom;
+		if (this.getRoomType(room) !== 'chat') return this.errorReply(this.mlt('nochat'));
+		const modBot = App.modules.moderation.system.modBot;
+		const config = App.modules.moderation.system.data;
+		let overrides = [];
+		for (let f in modBot.filters) {
+			if ((config.roomLadders[room] && config.roomLadders[room][f]) || config.filterLadders[f]) {
+				overrides.push(Chat.bold(f) + ": " + modBot.getLadder(room, f).join(' > '));
+			}
+		}
+		let decay = modBot.getDecay(room);
+		this.reply(this.mlt(16) + " " + Chat.italics(this.parser.getRoomTitle(room)) + ": " +
+			modBot.getLadder(room).join(' > ') + (overrides.length ? (". " + this.mlt(17) + ": " + overrides.join(', ')) : "") +
+			". " + this.mlt(18) + ": " + this.mlt(19, {points: decay.points, interval: decay.interval}));
+	},
+
+	setmodladder: function (App) {
+		this.setLangFile(Lang_File);
+		if (!this.can('moderation', this.room)) return this.replyAccessDenied('moderation');
+		let room = this.targetRoom;
+		if (this.getRoomType(room) !== 'chat') return this.errorReply(this.mlt('nochat'));
+		let target = Text.toId(this.args[0]);
+		let ladder = this.args.slice(1).map(Text.toId).filter(pun => !!pun);
+		if (!target) {
+			return this.errorReply(this.usage({desc: 'default / mod-type'}, {desc: this.mlt('punishments'), optional: true}));
+		}
+		let modtypes = App.modules.moderation.system.modBot.filters;
+		if (target !== 'default' && !(target in modtypes)) {
+			return this.errorReply(this.mlt(5) + ": " + Object.keys(modtypes).join(', '));
+		}
+		let config = App.modules.moderation.system.data;
+		if (ladder.length) {
+			if (!config.roomLadders[room]) {
+				config.roomLadders[room] = Object.create(null);
+			}
+			config.roomLadders[room][target] = ladder;
+		} else if (config.roomLadders[room]) {
+			delete config.roomLadders[room][target];
+			if (Object.keys(config.roomLadders[room]).length === 0) {
+				delete config.roomLadders[room];
+			}
+		}
+		App.modules.moderation.system.db.write();
+		App.logCommandAction(this);
+		let name = (target === 'default' ? this.mlt(20) : (this.mlt(21) + " " + Chat.italics(target)));
+		if (ladder.length) {
+			this.reply(name + " " + this.mlt(4) + " " + Chat.italics(this.parser.getRoomTitle(room)) + ": " + ladder.join(' > '));
+		} else {
+			this.reply(name + " " + this.mlt(4) + " " + Chat.italics(this.parser.getRoomTitle(room)) + " " + this.mlt(22));
+		}
+	},
+
+	setmoddecay: function (App) {
+		this.setLangFile(Lang_File);
+		if (!this.can('moderation', this.room)) return this.replyAccessDenied('moderation');
+		let room = this.targetRoom;
+		if (this.getRoomType(room) !== 'chat') return this.errorReply(this.mlt('nochat'));
+		let config = App.modules.moderation.system.data;
+		if (Text.toId(this.arg) === 'default') {
+			delete config.roomDecay[room];
+		} else {
+			let points = parseInt(this.args[0]);
+			let interval = parseInt(this.args[1]);
+			if (this.args.length !== 2 || isNaN(points) || isNaN(interval) || points < 0 || interval < 1) {
+				return this.errorReply(this.usage({desc: this.mlt('points')}, {desc: this.mlt('minutes')}));
+			}
+			config.roomDecay[room] = {points: points, interval: interval};
+		}
+		App.modules.moderation.system.db.write();
+		App.logCommandAction(this);
+		let decay = App.modules.moderation.system.modBot.getDecay(room);
+		this.reply(this.mlt(18) + " " + this.mlt(4) + " " + Chat.italics(this.parser.getRoomTitle(room)) + ": " +
+			this.mlt(19, {points: decay.points, interval: decay.interval}));
+	},
+
 	modexception: function (App) {
 		this.setLangFile(Lang_File);
 		if (!this.can('moderation', this.room)) return this.replyAccessDenied('moderation');
@@ -81,8 +81,8 @@ module.exports = {
 		const config = App.modules.moderation.system.data;
 		let zt = config.zeroTolerance[room];
 		if (!zt) {
-			return this.pmReply(this.mlt(8) + " " + Chat.italics(this.parser.getRoomTitle(room)) +
-				" " + this.mlt(9));
+			return this.pmReply(this.mltUser(8) + " " + Chat.italics(this.parser.getRoomTitle(room)) +
+				" " + this.mltUser(9));
 		}
 		let html = '';
 		html += '<h3>Zero tolerance configuration of ' + Text.escapeHTML(App.parser.getRoomTitle(room)) + '</h3>';
@@ -112,8 +112,8 @@ module.exports = {
 		const config = App.modules.moderation.system.data;
 		let zt = config.zeroTolerance[room];
 		if (!zt) {
-			return this.pmReply(this.mlt(8) + " " + Chat.italics(this.parser.getRoomTitle(room)) +
-				" " + this.mlt(9));
+			return this.pmReply(this.mltUser(8) + " " + Chat.italics(this.parser.getRoomTitle(room)) +
+				" " + this.mltUser(9));
 		}
 		let text = '';
 		text += 'Zero tolerance configuration of ' + this.parser.getRoomTitle(room) + ':\n\n';
@@ -126,7 +126,7 @@ module.exports = {
 		}
 		Hastebin.upload(text, function (link, err) {
 			if (err) {
-				this.pmReply(this.mlt(7));
+				this.pmReply(this.mltUser(7));
 			} else {
 				this.pmReply(link);
 			}
@@ -154,12 +154,12 @@ module.exports = {
 		}
 		let config = App.modules.moderation.system.data;
 		if (!config.zeroTolerance[room] || !config.zeroTolerance[room][user]) {
-			this.pmReply(this.mlt(1) + " " + Chat.italics(user) + " " + this.mlt(12) +
-				" " + this.mlt(4) + " " + Chat.italics(this.parser.getRoomTitle(room)));
+			this.pmReply(this.mltUser(1) + " " + Chat.italics(user) + " " + this.mltUser(12) +
+				" " + this.mltUser(4) + " " + Chat.italics(this.parser.getRoomTitle(room)));
 		} else {
 			let level = config.zeroTolerance[room][user];
-			this.pmReply(this.mlt(1) + " " + Chat.italics(user) + " " + this.mlt(13) +
-				" (" + this.mlt(3) + ": " + level + ") " + this.mlt(4) +
+			this.pmReply(this.mltUser(1) + " " + Chat.italics(user) + " " + this.mltUser(13) +
+				" (" + this.mltUser(3) + ": " + level + ") " + this.mltUser(4) +
 				" " + Chat.italics(this.parser.getRoomTitle(room)));
 		}
 	},
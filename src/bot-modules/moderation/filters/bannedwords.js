@@ -8,33 +8,36 @@ const Path = require('path');
 
 const Lang_File = Path.resolve(__dirname, 'bannedwords.translations');
 
+const WordMatcher = require(Path.resolve(__dirname, '..', 'word-matcher.js'));
+
 exports.id = 'bannedwords';
 
 exports.parse = function (context) {
-	let msgLow = context.msgLow;
-	let msgAltLow = context.noNicksMsgLow;
 	let banwords = context.app.modules.moderation.system.data.bannedWords[context.room];
 	if (!banwords) return;
+	let normalized = Object.create(null), normalizedNoNicks = Object.create(null);
+	let rawMsg = null, rawNoNicksMsg = null;
 	let val = 0, wordType = '';
 	for (let word in banwords) {
 		let type = banwords[word].type;
 		let value = banwords[word].val;
-		let strict = banwords[word].strict;
 		let nonicks = banwords[word].nonicks;
-		let hasWord = false;
+		let msg = nonicks ? context.noNicksMsg : context.msg;
+		let hasWord;
 
-		if (!strict && !nonicks) {
-			hasWord = (msgLow.indexOf(word) >= 0);
-		} else if (strict && !nonicks) {
-			let regex = new RegExp("[^a-z0-9A-Z]" + word.replace(/[.?*+^$[\]\\(){}|-]/g, "\\$&") + "[^a-z0-9A-Z]", 'g');
-			hasWord = !!regex.test(" " + msgLow + " ");
-		} else if (!strict && nonicks) {
-			hasWord = (msgAltLow.indexOf(word) >= 0);
-		} else if (strict && nonicks) {
-			let regex = new RegExp("[^a-z0-9A-Z]" + word.replace(/[.?*+^$[\]\\(){}|-]/g, "\\$&") + "[^a-z0-9A-Z]", 'g');
-			hasWord = !!regex.test(" " + msgAltLow + " ");
+		if (banwords[word].normalize && banwords[word].normalize.indexOf('separators') >= 0) {
+			/* Keep the zero-width characters, so they can be removed instead of being spaces */
+			if (rawMsg === null) {
+				rawMsg = context.originalMessage.trim().replace(/[ \u0000]+/g, " ");
+			}
+			if (nonicks && rawNoNicksMsg === null) {
+				rawNoNicksMsg = context.removeNicks(rawMsg);
+			}
+			msg = nonicks ? rawNoNicksMsg : rawMsg;
 		}
 
+		hasWord = WordMatcher.test(msg, word, banwords[word], nonicks ? normalizedNoNicks : normalized);
+
 		if (hasWord && val < value) {
 			val = value;
 			wordType = type;
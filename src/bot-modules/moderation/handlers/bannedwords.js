@@ -12,6 +12,8 @@ const Template = Tools('html-template');
 const mainTemplate = new Template(Path.resolve(__dirname, 'templates', 'bannedwords.html'));
 const roomTemplate = new Template(Path.resolve(__dirname, 'templates', 'bannedwords-room.html'));
 
+const WordMatcher = require(Path.resolve(__dirname, '..', 'word-matcher.js'));
+
 exports.setup = function (App) {
 	/* Menu Options */
 	App.server.setMenuOption('banwords', 'Banned&nbsp;Words', '/banwords/', 'moderation', 0);
@@ -70,15 +72,20 @@ exports.setup = function (App) {
 		let ok = null, error = null;
 
 		if (context.post.add) {
-			let word = (context.post.word || "").trim().toLowerCase();
+			let match = Text.toId(context.post.match) || 'text';
+			let word = (context.post.word || "").trim();
+			if (match !== 'regex') word = word.toLowerCase();
 			let type = Text.toId(context.post.type);
 			let punishment = Text.toId(context.post.punishment);
 			let strict = !!context.post.strict;
 			let nonicks = !!context.post.nonicks;
+			let normalize = WordMatcher.Normalizations.filter(step => !!context.post['normalize_' + step]);
 			try {
 				check(word, "You must specify a word");
 				check(type in { 'banned': 1, 'inap': 1, 'insult': 1, 'emote': 1 }, "Invalid Type");
 				check(config.punishments.indexOf(punishment) >= 0, "Invalid punishment");
+				let wordError = WordMatcher.validate(word, match);
+				check(!wordError, Text.escapeHTML(wordError));
 			} catch (err) {
 				error = err.message;
 			}
@@ -102,6 +109,12 @@ exports.setup = function (App) {
 						config.bannedWords[room][word].type = 'e';
 						break;
 				}
+				if (match !== 'text') {
+					config.bannedWords[room][word].match = match;
+				}
+				if (normalize.length) {
+					config.bannedWords[room][word].normalize = normalize;
+				}
 				config.bannedWords[room][word].val = config.punishments.indexOf(punishment) + 1;
 				App.modules.moderation.system.db.write();
 				App.logServerAction(context.user.id, "Add Banword. Room: " + room + " | Word: " + word);
@@ -150,7 +163,7 @@ exports.setup = function (App) {
 		for (let word in wordsData) {
 			htmlVars.words += '<tr>';
 			htmlVars.words += '<td>' + Text.escapeHTML(word) + '</td>';
-			htmlVars.words += '<td>' + Text.escapeHTML(App.modules.moderation.system.modBot.getPunishment(wordsData[word].val)) + '</td>';
+			htmlVars.words += '<td>' + Text.escapeHTML(App.modules.moderation.system.modBot.getPunishment(wordsData[word].val, room, 'bannedwords')) + '</td>';
 			switch (wordsData[word].type) {
 				case 'i':
 					htmlVars.words += '<td>Inappropriate</td>';
@@ -175,12 +188,38 @@ exports.setup = function (App) {
 			} else {
 				htmlVars.words += '<td>No</td>';
 			}
+			htmlVars.words += '<td>' + Text.escapeHTML(wordsData[word].match || 'text') + '</td>';
+			htmlVars.words += '<td>' + Text.escapeHTML((wordsData[word].normalize || []).join(', ') || '-') + '</td>';
 			htmlVars.words += '<td><div align="center"><form style="display:inline;" method="post" action="">' +
 				'<input type="hidden" name="word" value="' + Text.escapeHTML(word) +
 				'" /><input type="submit" name="remove" value="Delete" /></form></div></td>';
 			htmlVars.words += '</tr>';
 		}
 
+		htmlVars.normalization = WordMatcher.Normalizations.map(step => {
+			return '<input type="checkbox" name="normalize_' + step + '" value="true" />&nbsp;' + step;
+		}).join(' | ');
+
+		htmlVars.test_msg = '';
+		htmlVars.test_result = '';
+		if (context.post.test) {
+			let msg = (context.post.msg || "").trim();
+			let matches = [];
+			for (let word in wordsData) {
+				if (WordMatcher.test(msg, word, wordsData[word])) {
+					matches.push(word);
+				}
+			}
+			htmlVars.test_msg = Text.escapeHTML(msg);
+			if (matches.length) {
+				htmlVars.test_result = 'The message contains the following banned words: <strong>' +
+					matches.map(word => Text.escapeHTML(word)).join('</strong>, <strong>') + '</strong>';
+			} else {
+				htmlVars.test_result = 'The message does not contain any banned word';
+			}
+			htmlVars.test_result += '<br />Normalized message: <code>' + Text.escapeHTML(WordMatcher.normalize(msg, WordMatcher.Normalizations)) + '</code>';
+		}
+
 		htmlVars.punishments = '<select name="punishment">';
 		let punishments = App.modules.moderation.system.data.punishments;
 		for (let i = 0; i < punishments.length; i++) {
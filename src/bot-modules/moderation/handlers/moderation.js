@@ -15,6 +15,12 @@ const settingsTemplate = new Template(Path.resolve(__dirname, 'templates', 'sett
 const exceptionTemplate = new Template(Path.resolve(__dirname, 'templates', 'exception.html'));
 const rulesTemplate = new Template(Path.resolve(__dirname, 'templates', 'rules.html'));
 const otherTemplate = new Template(Path.resolve(__dirname, 'templates', 'other.html'));
+const historyTemplate = new Template(Path.resolve(__dirname, 'templates', 'history.html'));
+const shadowTemplate = new Template(Path.resolve(__dirname, 'templates', 'shadow.html'));
+const laddersTemplate = new Template(Path.resolve(__dirname, 'templates', 'ladders.html'));
+
+const History_Entries_Per_Page = 50;
+const Shadow_Report_Max_Entries = 50;
 
 exports.setup = function (App) {
 	/* Menu Options */
@@ -30,14 +36,61 @@ exports.setup = function (App) {
 		let submenu = new SubMenu("Moderation", parts, context, [
 			{id: 'config', title: 'Configuration', url: '/moderation/', handler: moderationConfigHandler},
 			{id: 'settings', title: 'Settings', url: '/moderation/settings/', handler: moderationSettingsHandler},
+			{id: 'ladders', title: 'Punishment&nbsp;Ladders', url: '/moderation/ladders/', handler: moderationLaddersHandler},
 			{id: 'exception', title: 'Moderation&nbsp;Exception', url: '/moderation/exception/', handler: moderationExceptionHandler},
 			{id: 'rules', title: 'Rules&nbsp;link', url: '/moderation/rules/', handler: moderationRulesHandler},
 			{id: 'other', title: 'Other', url: '/moderation/other/', handler: moderationOtherHandler},
+			{id: 'shadow', title: 'Shadow&nbsp;Mode', url: '/moderation/shadow/', handler: moderationShadowHandler},
+			{id: 'history', title: 'History', url: '/moderation/history/', handler: moderationHistoryHandler},
 		], 'config');
 
 		return submenu.run();
 	});
 
+	/* API */
+	App.server.setApiHandler('moderation', 'moderation', (context, parts) => {
+		let config = App.modules.moderation.system.data;
+		let method = context.request.method;
+		if (!parts[0] && method === 'GET') {
+			return context.endWithJSON({
+				filters: Object.keys(App.modules.moderation.system.modBot.filters),
+				punishments: config.punishments,
+				values: config.values,
+				settings: config.settings,
+				roomSettings: config.roomSettings,
+				modexception: config.modexception,
+				rulesLink: config.rulesLink,
+				roomLadders: config.roomLadders,
+				filterLadders: config.filterLadders,
+			});
+		}
+
+		if (parts[0] !== 'settings') {
+			return context.endWithApiError(404, "Not found");
+		}
+
+		/* Settings: GET|PUT /moderation/settings (default) or /moderation/settings/{room}, DELETE /moderation/settings/{room} */
+		let room = Text.toRoomid(parts[1]);
+		if (method === 'GET') {
+			if (room && !config.roomSettings[room]) {
+				return context.endWithApiError(404, "Room not found");
+			}
+			return context.endWithJSON({room: room, settings: (room ? config.roomSettings[room] : config.settings)});
+		} else if (method === 'PUT') {
+			setSettings(room, context.json, context.user.id);
+			return context.endWithJSON({room: room, settings: (room ? config.roomSettings[room] : config.settings)});
+		} else if (method === 'DELETE' && room) {
+			try {
+				removeRoomSettings(room, context.user.id);
+			} catch (err) {
+				return context.endWithApiError(404, err.message);
+			}
+			return context.endWithJSON({deleted: true});
+		} else {
+			return context.endWithApiError(405, "Method not allowed");
+		}
+	});
+
 	function moderationConfigHandler(context, html) {
 		let config = App.modules.moderation.system.data;
 		let ok = null, error = null;
@@ -108,6 +161,42 @@ exports.setup = function (App) {
 		return '<p>' + opts.join(' | ') + '</p>';
 	}
 
+	/**
+	 * Sets the enabled filters (shared by the form and the API)
+	 * @param {String} room - Room ID (empty for the default settings)
+	 * @param {Object} values - Filter ID => true to enable it
+	 * @param {String} by - User ID
+	 */
+	function setSettings(room, values, by) {
+		let config = App.modules.moderation.system.data;
+		let settings = Object.create(null);
+		for (let k in App.modules.moderation.system.modBot.filters) {
+			settings[k] = !!values[k];
+		}
+		if (!room) {
+			config.settings = settings; /* Default */
+		} else {
+			config.roomSettings[room] = settings; /* Specific Room */
+		}
+		App.modules.moderation.system.db.write();
+		App.logServerAction(by, "Moderation Settings: Edit" + (room ? (": " + room) : ""));
+	}
+
+	/**
+	 * Makes a room use the default settings (shared by the form and the API)
+	 * @param {String} room - Room ID
+	 * @param {String} by - User ID
+	 * @throws {Error} If the room does not have specific settings
+	 */
+	function removeRoomSettings(room, by) {
+		let config = App.modules.moderation.system.data;
+		check(room, "You must specify a room");
+		check(config.roomSettings[room], "Room not found");
+		delete config.roomSettings[room];
+		App.modules.moderation.system.db.write();
+		App.logServerAction(by, "Moderation Settings: Delete Room: " + room);
+	}
+
 	function moderationSettingsHandler(context, html) {
 		let config = App.modules.moderation.system.data;
 		let ok = null, error = null;
@@ -130,31 +219,13 @@ exports.setup = function (App) {
 		} else if (context.post.delroom) {
 			let room = Text.toRoomid(context.post.room);
 			try {
-				check(room, "You must specify a room");
-				check(config.roomSettings[room], "Room not found");
+				removeRoomSettings(room, context.user.id);
+				ok = "Removed room: " + Text.escapeHTML(room);
 			} catch (err) {
 				error = err.message;
 			}
-
-			if (!error) {
-				delete config.roomSettings[room];
-				App.modules.moderation.system.db.write();
-				App.logServerAction(context.user.id, "Moderation Settings: Delete Room: " + room);
-				ok = "Removed room: " + Text.escapeHTML(room);
-			}
 		} else if (context.post.edit) {
-			let room = Text.toRoomid(context.post.room);
-			let settings = Object.create(null);
-			for (let k in App.modules.moderation.system.modBot.filters) {
-				settings[k] = !!context.post[k];
-			}
-			if (!room) {
-				config.settings = settings; /* Default */
-			} else {
-				config.roomSettings[room] = settings; /* Specific Room */
-			}
-			App.modules.moderation.system.db.write();
-			App.logServerAction(context.user.id, "Moderation Settings: Edit");
+			setSettings(Text.toRoomid(context.post.room), context.post, context.user.id);
 			ok = "Moderation settings saved";
 		}
 
@@ -181,6 +252,154 @@ exports.setup = function (App) {
 		context.endWithWebPage(html, {title: "Moderation Settings - Showdown ChatBot"});
 	}
 
+	function parseLadder(str) {
+		return (str || "").split(/[,>]/).map(Text.toId).filter(pun => !!pun);
+	}
+
+	function getLadderRow(name, title, ladder) {
+		return '<tr><td>' + title + '</td><td><input name="' + Text.escapeHTML(name) + '" type="text" size="60" value="' +
+			Text.escapeHTML((ladder || []).join(', ')) + '" /></td></tr>';
+	}
+
+	function parseDecay(context) {
+		let points = parseInt(context.post.decaypoints);
+		let interval = parseInt(context.post.decayinterval);
+		check(!isNaN(points) && points >= 0, "Invalid decay points");
+		check(!isNaN(interval) && interval >= 1, "Invalid decay interval. It must be at least 1 minute");
+		return {points: points, interval: interval};
+	}
+
+	function moderationLaddersHandler(context, html) {
+		let config = App.modules.moderation.system.data;
+		let filters = App.modules.moderation.system.modBot.filters;
+		let ok = null, error = null;
+
+		if (context.post.editglobal) {
+			let decay;
+			try {
+				decay = parseDecay(context);
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				let ladders = Object.create(null);
+				for (let k in filters) {
+					let ladder = parseLadder(context.post['ladder_' + k]);
+					if (ladder.length) {
+						ladders[k] = ladder;
+					}
+				}
+				config.filterLadders = ladders;
+				config.decay = decay;
+				App.modules.moderation.system.db.write();
+				App.logServerAction(context.user.id, "Moderation Ladders: Edit default settings");
+				ok = "Punishment ladders saved";
+			}
+		} else if (context.post.add) {
+			let room = Text.toRoomid(context.post.room);
+			try {
+				check(room, "You must specify a room");
+				check(!config.roomLadders[room] && !config.roomDecay[room], "Room already exists");
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				config.roomLadders[room] = Object.create(null);
+				App.modules.moderation.system.db.write();
+				App.logServerAction(context.user.id, "Moderation Ladders: Add Room: " + room);
+				ok = "Added room: " + Text.escapeHTML(room);
+			}
+		} else if (context.post.delroom) {
+			let room = Text.toRoomid(context.post.room);
+			try {
+				check(room, "You must specify a room");
+				check(config.roomLadders[room] || config.roomDecay[room], "Room not found");
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				delete config.roomLadders[room];
+				delete config.roomDecay[room];
+				App.modules.moderation.system.db.write();
+				App.logServerAction(context.user.id, "Moderation Ladders: Delete Room: " + room);
+				ok = "Removed room: " + Text.escapeHTML(room);
+			}
+		} else if (context.post.editroom) {
+			let room = Text.toRoomid(context.post.room);
+			let decay = null;
+			try {
+				check(room, "You must specify a room");
+				if (context.post.decaypoints || context.post.decayinterval) {
+					decay = parseDecay(context);
+				}
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				let ladders = Object.create(null);
+				for (let k of ['default'].concat(Object.keys(filters))) {
+					let ladder = parseLadder(context.post['ladder_' + k]);
+					if (ladder.length) {
+						ladders[k] = ladder;
+					}
+				}
+				config.roomLadders[room] = ladders;
+				if (decay) {
+					config.roomDecay[room] = decay;
+				} else {
+					delete config.roomDecay[room];
+				}
+				App.modules.moderation.system.db.write();
+				App.logServerAction(context.user.id, "Moderation Ladders: Edit: " + room);
+				ok = "Punishment ladders saved";
+			}
+		}
+
+		let htmlVars = Object.create(null);
+
+		htmlVars.punishments = Text.escapeHTML(config.punishments.join(', '));
+		htmlVars.decaypoints = Text.escapeHTML(config.decay.points);
+		htmlVars.decayinterval = Text.escapeHTML(config.decay.interval);
+
+		htmlVars.global = '';
+		for (let k in filters) {
+			htmlVars.global += getLadderRow('ladder_' + k, Text.escapeHTML(k), config.filterLadders[k]);
+		}
+
+		htmlVars.rooms = '';
+		let rooms = Object.keys(config.roomLadders).concat(Object.keys(config.roomDecay)).filter((room, i, arr) => arr.indexOf(room) === i).sort();
+		for (let room of rooms) {
+			let ladders = config.roomLadders[room] || {};
+			let decay = config.roomDecay[room];
+			htmlVars.rooms += '<h3>Room: ' + Text.escapeHTML(room) + '</h3>';
+			htmlVars.rooms += '<form method="post" action="">';
+			htmlVars.rooms += '<input type="hidden" name="room" value="' + Text.escapeHTML(room) + '" />';
+			htmlVars.rooms += '<table border="1">';
+			htmlVars.rooms += getLadderRow('ladder_default', '<strong>Room ladder</strong>', ladders['default']);
+			for (let k in filters) {
+				htmlVars.rooms += getLadderRow('ladder_' + k, Text.escapeHTML(k), ladders[k]);
+			}
+			htmlVars.rooms += '</table>';
+			htmlVars.rooms += '<p><strong>Points decay</strong>:&nbsp;<input name="decaypoints" type="text" size="5" value="' +
+				(decay ? decay.points : '') + '" />&nbsp;point(s) every&nbsp;<input name="decayinterval" type="text" size="5" value="' +
+				(decay ? decay.interval : '') + '" />&nbsp;minute(s)</p>';
+			htmlVars.rooms += '<p><input type="submit" name="editroom" value="Save Changes" />&nbsp;';
+			htmlVars.rooms += '<input type="submit" name="delroom" value="Use Default Settings" /></p>';
+			htmlVars.rooms += '</form>';
+			htmlVars.rooms += '<hr />';
+		}
+
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		html += laddersTemplate.make(htmlVars);
+		context.endWithWebPage(html, {title: "Moderation Punishment Ladders - Showdown ChatBot"});
+	}
+
 	function getRankSelect(name, rank) {
 		if (!rank) rank = '';
 		if (rank.length > 1 && App.config.parser[rank]) {
@@ -354,4 +573,301 @@ exports.setup = function (App) {
 		html += otherTemplate.make(htmlVars);
 		context.endWithWebPage(html, {title: "Moderation - Showdown ChatBot"});
 	}
+
+	function getHistoryQuery(options, extra) {
+		let query = [];
+		for (let k in options) {
+			if (options[k]) query.push(k + '=' + encodeURIComponent(options[k]));
+		}
+		for (let k in extra) {
+			query.push(k + '=' + encodeURIComponent(extra[k]));
+		}
+		return query.length ? ('?' + query.join('&')) : '';
+	}
+
+	function moderationHistoryHandler(context, html) {
+		let history = App.modules.moderation.system.history;
+		let ok = null, error = null;
+
+		if (context.post.clearroom) {
+			let room = Text.toRoomid(context.post.room);
+			try {
+				check(room, "You must specify a room");
+				check(history.data.rooms[room], "Room not found");
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				history.clearRoom(room);
+				App.logServerAction(context.user.id, "Moderation History: Clear Room: " + room);
+				ok = "Removed the moderation history of room: " + Text.escapeHTML(room);
+			}
+		}
+
+		let options = {
+			room: Text.toRoomid(context.get.room),
+			user: Text.toId(context.get.user),
+			filter: Text.toId(context.get.filter),
+			q: (context.get.q || "").trim(),
+		};
+		let entries = history.search({room: options.room, user: options.user, filter: options.filter, text: options.q});
+
+		if (context.get.export === 'json') {
+			context.response.writeHead(200, {
+				'Content-Type': 'application/json; charset=utf-8',
+				'Content-Disposition': 'attachment; filename="moderation_history.json"',
+			});
+			context.response.end(JSON.stringify(entries, null, 4));
+			return;
+		} else if (context.get.export === 'csv') {
+			context.response.writeHead(200, {
+				'Content-Type': 'text/csv; charset=utf-8',
+				'Content-Disposition': 'attachment; filename="moderation_history.csv"',
+			});
+			context.response.end(history.toCSV(entries));
+			return;
+		}
+
+		let pages = Math.max(1, Math.ceil(entries.length / History_Entries_Per_Page));
+		let page = Math.min(pages, Math.max(1, parseInt(context.get.page) || 1));
+
+		let htmlVars = Object.create(null);
+
+		htmlVars.rooms = '<option value="">All rooms</option>';
+		htmlVars.clear_rooms = '';
+		for (let room of history.getRooms()) {
+			htmlVars.rooms += '<option value="' + Text.escapeHTML(room) + '"' + (room === options.room ? ' selected="selected"' : '') +
+				'>' + Text.escapeHTML(room) + '</option>';
+			htmlVars.clear_rooms += '<option value="' + Text.escapeHTML(room) + '">' + Text.escapeHTML(room) + '</option>';
+		}
+
+		htmlVars.filters = '<option value="">All filters</option>';
+		let filters = Object.keys(App.modules.moderation.system.modBot.filters).concat(['zerotolerance']);
+		for (let filter of filters) {
+			htmlVars.filters += '<option value="' + Text.escapeHTML(filter) + '"' + (filter === options.filter ? ' selected="selected"' : '') +
+				'>' + Text.escapeHTML(filter) + '</option>';
+		}
+
+		htmlVars.user = Text.escapeHTML(options.user);
+		htmlVars.text = Text.escapeHTML(options.q);
+		htmlVars.count = '<strong>' + entries.length + '</strong> entries found';
+		htmlVars.export_json = Text.escapeHTML(getHistoryQuery(options, {export: 'json'}));
+		htmlVars.export_csv = Text.escapeHTML(getHistoryQuery(options, {export: 'csv'}));
+
+		htmlVars.entries = '';
+		for (let entry of entries.slice((page - 1) * History_Entries_Per_Page, page * History_Entries_Per_Page)) {
+			htmlVars.entries += '<tr>';
+			htmlVars.entries += '<td>' + Text.escapeHTML(new Date(entry.time).toISOString().substr(0, 19).replace('T', ' ')) + '</td>';
+			htmlVars.entries += '<td>' + Text.escapeHTML(entry.room) + '</td>';
+			htmlVars.entries += '<td><a href="' + Text.escapeHTML(getHistoryQuery({user: entry.user})) + '">' +
+				Text.escapeHTML(entry.name || entry.user) + '</a></td>';
+			htmlVars.entries += '<td>' + Text.escapeHTML(entry.filters.join(', ')) + '</td>';
+			htmlVars.entries += '<td>' + Text.escapeHTML(entry.punishment) + '</td>';
+			htmlVars.entries += '<td>' + entry.points + '</td>';
+			htmlVars.entries += '<td>' + Text.escapeHTML(entry.msg) + '</td>';
+			htmlVars.entries += '</tr>';
+		}
+
+		let pageLinks = [];
+		for (let i = 1; i <= pages; i++) {
+			if (i === page) {
+				pageLinks.push('<strong>' + i + '</strong>');
+			} else {
+				pageLinks.push('<a href="' + Text.escapeHTML(getHistoryQuery(options, {page: i})) + '">' + i + '</a>');
+			}
+		}
+		htmlVars.pages = pages > 1 ? ('Page: ' + pageLinks.join('&nbsp;')) : '';
+
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		html += historyTemplate.make(htmlVars);
+		context.endWithWebPage(html, {title: "Moderation History - Showdown ChatBot"});
+	}
+
+	function getShadowForm(room) {
+		let config = App.modules.moderation.system.data;
+		let opts = [];
+		for (let k in App.modules.moderation.system.modBot.filters) {
+			let shadowed = !!(config.shadowFilters[room] && config.shadowFilters[room][k]);
+			opts.push('<input name="' + Text.escapeHTML(k) + '" type="checkbox" value="true"' + (shadowed ? ' checked="checked"' : '') +
+				' />&nbsp;' + Text.escapeHTML(k));
+		}
+		return '<p>' + opts.join(' | ') + '</p>';
+	}
+
+	function getShadowEntryRow(entry, extra) {
+		let html = '';
+		html += '<tr>';
+		html += '<td>' + Text.escapeHTML(new Date(entry.time).toISOString().substr(0, 19).replace('T', ' ')) + '</td>';
+		html += '<td>' + Text.escapeHTML(entry.room) + '</td>';
+		html += '<td>' + Text.escapeHTML(entry.name || entry.user) + '</td>';
+		html += '<td>' + Text.escapeHTML(entry.filters.join(', ')) + '</td>';
+		html += '<td>' + Text.escapeHTML(entry.punishment) + '</td>';
+		html += '<td>' + Text.escapeHTML(entry.msg) + '</td>';
+		html += '<td>' + extra + '</td>';
+		html += '</tr>';
+		return html;
+	}
+
+	function moderationShadowHandler(context, html) {
+		let config = App.modules.moderation.system.data;
+		let history = App.modules.moderation.system.history;
+		let ok = null, error = null;
+
+		if (context.post.setreportroom) {
+			let room = Text.toRoomid(context.post.reportroom);
+			config.shadowReportRoom = room;
+			App.modules.moderation.system.db.write();
+			App.logServerAction(context.user.id, "Moderation Shadow Mode: Set Report Room: " + (room || "(none)"));
+			ok = "Shadow mode report room saved";
+		} else if (context.post.add) {
+			let room = Text.toRoomid(context.post.room);
+			try {
+				check(room, "You must specify a room");
+				check(!config.shadowFilters[room], "Room already exists");
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				config.shadowFilters[room] = Object.create(null);
+				App.modules.moderation.system.db.write();
+				App.logServerAction(context.user.id, "Moderation Shadow Mode: Add Room: " + room);
+				ok = "Added room: " + Text.escapeHTML(room);
+			}
+		} else if (context.post.delroom) {
+			let room = Text.toRoomid(context.post.room);
+			try {
+				check(room, "You must specify a room");
+				check(config.shadowFilters[room], "Room not found");
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				delete config.shadowFilters[room];
+				App.modules.moderation.system.db.write();
+				App.logServerAction(context.user.id, "Moderation Shadow Mode: Delete Room: " + room);
+				ok = "Removed room: " + Text.escapeHTML(room);
+			}
+		} else if (context.post.edit) {
+			let room = Text.toRoomid(context.post.room);
+			try {
+				check(room, "You must specify a room");
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				let filters = Object.create(null);
+				for (let k in App.modules.moderation.system.modBot.filters) {
+					if (context.post[k]) {
+						filters[k] = true;
+					}
+				}
+				config.shadowFilters[room] = filters;
+				App.modules.moderation.system.db.write();
+				App.logServerAction(context.user.id, "Moderation Shadow Mode: Edit: " + room);
+				ok = "Shadow mode settings saved";
+			}
+		} else if (context.post.setstatus) {
+			let id = parseInt(context.post.entry);
+			let status = context.post.status;
+			try {
+				check(status === 'confirmed' || status === 'falsepositive', "Invalid status");
+				check(history.setShadowStatus(id, status), "Record not found");
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				ok = "Shadow mode record marked as " + (status === 'confirmed' ? "correct" : "false positive");
+			}
+		} else if (context.post.clearreport) {
+			let room = Text.toRoomid(context.post.room);
+			try {
+				check(room, "You must specify a room");
+				check(history.data.shadow[room], "Room not found");
+			} catch (err) {
+				error = err.message;
+			}
+
+			if (!error) {
+				history.clearShadow(room);
+				App.logServerAction(context.user.id, "Moderation Shadow Mode: Clear Report: " + room);
+				ok = "Removed the shadow mode report of room: " + Text.escapeHTML(room);
+			}
+		}
+
+		let htmlVars = Object.create(null);
+
+		htmlVars.reportroom = Text.escapeHTML(config.shadowReportRoom);
+
+		htmlVars.rooms = '';
+		for (let room in config.shadowFilters) {
+			htmlVars.rooms += '<h3>Room: ' + Text.escapeHTML(room) + '</h3>';
+			htmlVars.rooms += '<form method="post" action="">';
+			htmlVars.rooms += '<input type="hidden" name="room" value="' + Text.escapeHTML(room) + '" />';
+			htmlVars.rooms += getShadowForm(room);
+			htmlVars.rooms += '<p><input type="submit" name="edit" value="Save Changes" />&nbsp;';
+			htmlVars.rooms += '<input type="submit" name="delroom" value="Disable Shadow Mode" /></p>';
+			htmlVars.rooms += '</form>';
+			htmlVars.rooms += '<hr />';
+		}
+
+		let reportRoom = Text.toRoomid(context.get.room);
+		htmlVars.report_rooms = '<option value="">All rooms</option>';
+		for (let room of Object.keys(history.data.shadow).sort()) {
+			htmlVars.report_rooms += '<option value="' + Text.escapeHTML(room) + '"' + (room === reportRoom ? ' selected="selected"' : '') +
+				'>' + Text.escapeHTML(room) + '</option>';
+		}
+
+		let summary = history.getShadowSummary(reportRoom);
+		htmlVars.summary = '';
+		for (let filter of Object.keys(summary).sort()) {
+			htmlVars.summary += '<tr><td>' + Text.escapeHTML(filter) + '</td>';
+			htmlVars.summary += '<td>' + summary[filter].hits + '</td>';
+			htmlVars.summary += '<td>' + summary[filter].confirmed + '</td>';
+			htmlVars.summary += '<td>' + summary[filter].candidates + '</td></tr>';
+		}
+
+		let entries = history.getShadow(reportRoom);
+
+		htmlVars.candidates = '';
+		for (let entry of entries.filter(e => history.isFalsePositiveCandidate(e)).slice(0, Shadow_Report_Max_Entries)) {
+			let buttons = '<form style="display:inline;" method="post" action="">' +
+				'<input type="hidden" name="entry" value="' + entry.id + '" />';
+			if (entry.status !== 'falsepositive') {
+				buttons += '<button type="submit" name="status" value="falsepositive">False positive</button>&nbsp;';
+			}
+			buttons += '<button type="submit" name="status" value="confirmed">Correct</button>' +
+				'<input type="hidden" name="setstatus" value="true" /></form>';
+			htmlVars.candidates += getShadowEntryRow(entry, buttons);
+		}
+
+		htmlVars.recent = '';
+		for (let entry of entries.slice(0, Shadow_Report_Max_Entries)) {
+			let status = 'Pending';
+			if (entry.status === 'confirmed') {
+				status = 'Correct';
+			} else if (history.isFalsePositiveCandidate(entry)) {
+				status = 'False positive candidate';
+			}
+			htmlVars.recent += getShadowEntryRow(entry, status);
+		}
+
+		htmlVars.clear = '';
+		if (reportRoom && history.data.shadow[reportRoom]) {
+			htmlVars.clear = '<form method="post" action=""><input type="hidden" name="room" value="' + Text.escapeHTML(reportRoom) + '" />' +
+				'<p><input type="submit" name="clearreport" value="Clear Report" /></p></form>';
+		}
+
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		html += shadowTemplate.make(htmlVars);
+		context.endWithWebPage(html, {title: "Moderation Shadow Mode - Showdown ChatBot"});
+	}
 };
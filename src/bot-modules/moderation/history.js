@@ -0,0 +1,307 @@
+/**
+ * Moderation History
+ * Stores the automatic moderation actions and
+ * the shadow mode (dry-run) reports
+ */
+
+'use strict';
+
+const Max_Entries_Per_Room = 5000;
+const Max_Excerpt_Length = 200;
+const Shadow_Confirm_Time = 10 * 60 * 1000;
+const Write_Delay = 30 * 1000;
+
+const Text = Tools('text');
+
+class ModerationHistory {
+	/**
+	 * @param {ChatBotApp} app
+	 */
+	constructor(app) {
+		this.app = app;
+		this.writeTimer = null;
+		this.db = app.dam.getDataBase('moderation-history.json');
+		this.db.on('reload', this.load.bind(this));
+		this.load();
+	}
+
+	/**
+	 * Reads the data of the database (also when it is rolled back)
+	 */
+	load() {
+		this.data = this.db.data;
+		if (!this.data.rooms) {
+			this.data.rooms = Object.create(null);
+		}
+		if (!this.data.shadow) {
+			this.data.shadow = Object.create(null);
+		}
+		if (!this.data.shadowId) {
+			this.data.shadowId = 0;
+		}
+	}
+
+	/**
+	 * Writes the data after a delay, to avoid
+	 * writing the database on every infraction
+	 */
+	save() {
+		if (this.writeTimer) return;
+		this.writeTimer = setTimeout(function () {
+			this.writeTimer = null;
+			this.db.write();
+		}.bind(this), Write_Delay);
+	}
+
+	/**
+	 * Writes the data now
+	 */
+	flush() {
+		if (this.writeTimer) {
+			clearTimeout(this.writeTimer);
+			this.writeTimer = null;
+		}
+		this.db.write();
+	}
+
+	/**
+	 * Adds an entry to the history
+	 * @param {String} room - Room ID
+	 * @param {String} user - User name
+	 * @param {Array<String>} filters - Filters that detected the infraction
+	 * @param {String} msg - Original message
+	 * @param {String} punishment - Punishment applied (warn, mute, ...)
+	 * @param {String} reason - Reason sent with the punishment
+	 * @param {Number} points - Infraction points
+	 * @returns {Object} The new entry
+	 */
+	add(room, user, filters, msg, punishment, reason, points) {
+		if (!this.data.rooms[room]) {
+			this.data.rooms[room] = [];
+		}
+		let entry = {
+			time: Date.now(),
+			room: room,
+			user: Text.toId(user),
+			name: ("" + user).trim(),
+			filters: (filters || []).slice(),
+			msg: ("" + (msg || "")).substr(0, Max_Excerpt_Length),
+			punishment: punishment,
+			reason: reason || "",
+			points: points || 0,
+		};
+		let list = this.data.rooms[room];
+		list.push(entry);
+		if (list.length > Max_Entries_Per_Room) {
+			list.splice(0, list.length - Max_Entries_Per_Room);
+		}
+		this.save();
+		return entry;
+	}
+
+	/**
+	 * @returns {Array<String>} Rooms with history
+	 */
+	getRooms() {
+		return Object.keys(this.data.rooms).sort();
+	}
+
+	/**
+	 * Searches the history
+	 * @param {Object} options - room, user, filter, punishment, text (all optional)
+	 * @returns {Array<Object>} Entries, most recent first
+	 */
+	search(options) {
+		options = options || {};
+		let rooms = options.room ? [options.room] : Object.keys(this.data.rooms);
+		let user = Text.toId(options.user);
+		let text = ("" + (options.text || "")).toLowerCase().trim();
+		let results = [];
+		for (let room of rooms) {
+			for (let entry of (this.data.rooms[room] || [])) {
+				if (user && entry.user !== user) continue;
+				if (options.filter && entry.filters.indexOf(options.filter) === -1) continue;
+				if (options.punishment && entry.punishment !== options.punishment) continue;
+				if (text && entry.msg.toLowerCase().indexOf(text) === -1) continue;
+				results.push(entry);
+			}
+		}
+		return results.sort(function (a, b) {
+			return b.time - a.time;
+		});
+	}
+
+	/**
+	 * Removes the history of a room
+	 * @param {String} room - Room ID
+	 */
+	clearRoom(room) {
+		delete this.data.rooms[room];
+		this.flush();
+	}
+
+	/**
+	 * Adds a would-be punishment to the shadow mode report
+	 * @param {String} room - Room ID
+	 * @param {String} user - User name
+	 * @param {Array<String>} filters - Shadowed filters that detected the infraction
+	 * @param {String} msg - Original message
+	 * @param {String} punishment - Punishment that would have been applied
+	 * @param {String} reason - Reason that would have been sent
+	 * @param {Number} points - Infraction points
+	 * @returns {Object} The new entry
+	 */
+	addShadow(room, user, filters, msg, punishment, reason, points) {
+		if (!this.data.shadow[room]) {
+			this.data.shadow[room] = [];
+		}
+		let entry = {
+			id: ++this.data.shadowId,
+			time: Date.now(),
+			room: room,
+			user: Text.toId(user),
+			name: ("" + user).trim(),
+			filters: (filters || []).slice(),
+			msg: ("" + (msg || "")).substr(0, Max_Excerpt_Length),
+			punishment: punishment,
+			reason: reason || "",
+			points: points || 0,
+			status: '',
+		};
+		let list = this.data.shadow[room];
+		list.push(entry);
+		if (list.length > Max_Entries_Per_Room) {
+			list.splice(0, list.length - Max_Entries_Per_Room);
+		}
+		this.save();
+		return entry;
+	}
+
+	/**
+	 * Confirms the recent shadow mode records of an user
+	 * (the room staff punished the user)
+	 * @param {String} room - Room ID
+	 * @param {String} user - User ID
+	 */
+	confirmShadow(room, user) {
+		let now = Date.now();
+		let changed = false;
+		for (let entry of (this.data.shadow[room] || [])) {
+			if (entry.user === user && !entry.status && now - entry.time <= Shadow_Confirm_Time) {
+				entry.status = 'confirmed';
+				changed = true;
+			}
+		}
+		if (changed) this.save();
+	}
+
+	/**
+	 * Sets the status of a shadow mode record
+	 * @param {Number} id - Entry ID
+	 * @param {String} status - confirmed, falsepositive or empty string
+	 * @returns {Boolean} True if the entry was found
+	 */
+	setShadowStatus(id, status) {
+		for (let room in this.data.shadow) {
+			for (let entry of this.data.shadow[room]) {
+				if (entry.id === id) {
+					entry.status = status;
+					this.flush();
+					return true;
+				}
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * @param {Object} entry - Shadow mode record
+	 * @returns {Boolean} True if the record is a false positive candidate
+	 *                    (nobody from the staff punished the user)
+	 */
+	isFalsePositiveCandidate(entry) {
+		if (entry.status === 'falsepositive') return true;
+		return !entry.status && (Date.now() - entry.time > Shadow_Confirm_Time);
+	}
+
+	/**
+	 * @param {String} room - Room ID (optional)
+	 * @returns {Array<Object>} Shadow mode records, most recent first
+	 */
+	getShadow(room) {
+		let rooms = room ? [room] : Object.keys(this.data.shadow);
+		let results = [];
+		for (let r of rooms) {
+			results = results.concat(this.data.shadow[r] || []);
+		}
+		return results.sort(function (a, b) {
+			return b.time - a.time;
+		});
+	}
+
+	/**
+	 * @param {String} room - Room ID (optional)
+	 * @returns {Object} Summary per filter (filter => {hits, confirmed, candidates})
+	 */
+	getShadowSummary(room) {
+		let summary = Object.create(null);
+		for (let entry of this.getShadow(room)) {
+			for (let filter of entry.filters) {
+				if (!summary[filter]) {
+					summary[filter] = {hits: 0, confirmed: 0, candidates: 0};
+				}
+				summary[filter].hits++;
+				if (entry.status === 'confirmed') {
+					summary[filter].confirmed++;
+				} else if (this.isFalsePositiveCandidate(entry)) {
+					summary[filter].candidates++;
+				}
+			}
+		}
+		return summary;
+	}
+
+	/**
+	 * Removes the shadow mode report of a room
+	 * @param {String} room - Room ID
+	 */
+	clearShadow(room) {
+		delete this.data.shadow[room];
+		this.flush();
+	}
+
+	/**
+	 * Transforms a list of entries to CSV. Text cells that spreadsheets
+	 * would run as formulas (=, +, -, @) are prefixed with a quote
+	 * @param {Array<Object>} entries
+	 * @returns {String}
+	 */
+	toCSV(entries) {
+		let escapeCSV = function (value) {
+			let str = "" + value;
+			if (typeof value === "string" && (/^[=+\-@\t\r]/).test(str)) {
+				str = "'" + str;
+			}
+			if ((/[",\n\r]/).test(str)) {
+				return '"' + str.replace(/"/g, '""') + '"';
+			}
+			return str;
+		};
+		let lines = ['date,room,user,filters,punishment,points,reason,message'];
+		for (let entry of entries) {
+			lines.push([
+				new Date(entry.time).toISOString(),
+				entry.room,
+				entry.name || entry.user,
+				entry.filters.join(' '),
+				entry.punishment,
+				entry.points,
+				entry.reason,
+				entry.msg,
+			].map(escapeCSV).join(','));
+		}
+		return lines.join('\n');
+	}
+}
+
+module.exports = ModerationHistory;
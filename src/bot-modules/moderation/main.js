@@ -6,11 +6,20 @@
 
 const Path = require('path');
 const ModeratorBot = require(Path.resolve(__dirname, 'moderator-bot.js')).ModeratorBot;
+const ModerationHistory = require(Path.resolve(__dirname, 'history.js'));
 
 exports.setup = function (App) {
 	class ModerationModule {
 		constructor() {
 			this.db = App.dam.getDataBase('moderation.json');
+			this.db.on('reload', this.load.bind(this));
+			this.load();
+
+			this.history = new ModerationHistory(App);
+			this.modBot = new ModeratorBot(App, Path.resolve(__dirname, 'filters/'));
+		}
+
+		load() {
 			let data = this.data = this.db.data;
 			if (!data.punishments) {
 				data.punishments = ['warn', 'mute', 'hourmute', 'roomban'];
@@ -51,11 +60,33 @@ exports.setup = function (App) {
 				data.enableZeroTol = Object.create(null);
 			}
 
+			if (!data.roomLadders) {
+				data.roomLadders = Object.create(null);
+			}
+
+			if (!data.filterLadders) {
+				data.filterLadders = Object.create(null);
+			}
+
+			if (!data.decay) {
+				data.decay = {points: 1, interval: 60};
+			}
+
+			if (!data.roomDecay) {
+				data.roomDecay = Object.create(null);
+			}
+
+			if (!data.shadowFilters) {
+				data.shadowFilters = Object.create(null);
+			}
+
+			if (!data.shadowReportRoom) {
+				data.shadowReportRoom = '';
+			}
+
 			if (!data.serversWhitelist) {
 				data.serversWhitelist = ['sim', 'showdown', 'smogtours'];
 			}
-
-			this.modBot = new ModeratorBot(App, Path.resolve(__dirname, 'filters/'));
 		}
 	}
 
@@ -66,6 +97,7 @@ exports.setup = function (App) {
 		if (msg.substr(0, 5) === "/log ") {
 			ModerationMod.modBot.parseRaw(room, msg.substr(5));
 			ModerationMod.modBot.doHideText(room, msg.substr(5));
+			ModerationMod.modBot.checkStaffAction(room, msg.substr(5));
 		} else if (msg.substr(0, 5) !== "/raw ") {
 			ModerationMod.modBot.parse(room, time, by, msg);
 		}
@@ -81,6 +113,7 @@ exports.setup = function (App) {
 	App.bot.on('line', (room, line, spl, isIntro) => {
 		if (isIntro) return;
 		if (!App.bot.rooms[room] || App.bot.rooms[room].type !== 'chat') return;
+		if (line.charAt(0) !== '|') ModerationMod.modBot.checkStaffAction(room, line);
 		if (!ModerationMod.data.enableZeroTol[room]) return;
 		if (line.charAt(0) !== '|') ModerationMod.modBot.parseRaw(room, line);
 	});
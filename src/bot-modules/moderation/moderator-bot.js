@@ -6,6 +6,7 @@
 
 const MAX_MODTIME_DURATION = 24 * 60 * 60 * 1000;
 const MAX_MODTIME_RELEVANCE = 60 * 60 * 1000;
+const CLEAN_INTERVAL = 60 * 1000;
 
 const Path = require('path');
 const FileSystem = require('fs');
@@ -32,18 +33,27 @@ class ModeratorBot {
 			}
 		}
 
-		this.cleanInterval = setInterval(this.clean.bind(this), MAX_MODTIME_RELEVANCE);
+		this.cleanInterval = setInterval(this.clean.bind(this), CLEAN_INTERVAL);
 	}
 
 	clean() {
+		let now = Date.now();
 		for (let room in this.chatData) {
+			let decay = this.getDecay(room);
+			let decayInterval = decay.interval * 60 * 1000;
 			for (let user in this.chatData[room]) {
-				let now = Date.now();
-				if (!this.chatData[room][user] || !this.chatData[room][user].times.length) {
+				if (!this.chatData[room][user]) {
 					delete this.chatData[room][user];
 					continue;
 				}
-				if (now - this.chatData[room][user].times[this.chatData[room][user].times.length - 1] > MAX_MODTIME_DURATION) {
+				this.decayPoints(this.chatData[room][user], decay.points, decayInterval, now);
+				/* Users with infraction points are kept until the points decay */
+				let hasPoints = this.chatData[room][user].points > 0;
+				if (!this.chatData[room][user].times.length) {
+					if (!hasPoints) delete this.chatData[room][user];
+					continue;
+				}
+				if (!hasPoints && now - this.chatData[room][user].times[this.chatData[room][user].times.length - 1] > MAX_MODTIME_DURATION) {
 					delete this.chatData[room][user];
 					continue;
 				}
@@ -55,13 +65,28 @@ class ModeratorBot {
 				}
 				delete this.chatData[room][user].times;
 				this.chatData[room][user].times = newTimes;
-				if (this.chatData[room][user].points) {
-					this.chatData[room][user].points--;
-				}
 			}
 		}
 	}
 
+	/**
+	 * Removes the infraction points of an user, depending
+	 * on the time since the last infraction or decay
+	 * @param {Object} userData - Chat data of the user
+	 * @param {Number} points - Points removed each interval
+	 * @param {Number} interval - Decay interval (milliseconds)
+	 * @param {Number} now - Current timestamp
+	 */
+	decayPoints(userData, points, interval, now) {
+		if (!userData.points) return;
+		if (!userData.decayTime) userData.decayTime = now;
+		if (points <= 0 || interval <= 0) return;
+		let steps = Math.floor((now - userData.decayTime) / interval);
+		if (steps <= 0) return;
+		userData.points = Math.max(0, userData.points - (steps * points));
+		userData.decayTime += steps * interval;
+	}
+
 	isExcepted(ident, room) {
 		let config = this.app.modules.moderation.system.data;
 		if (config.modexception.rooms[room]) {
@@ -112,7 +137,7 @@ class ModeratorBot {
 	}
 
 	getLanguage(room) {
-		return this.app.config.language.rooms[room] || this.app.config.language['default'];
+		return this.app.multilang.getLanguage(room);
 	}
 
 	getRulesLink(room) {
@@ -124,9 +149,36 @@ class ModeratorBot {
 		}
 	}
 
-	getPunishment(val) {
+	/**
+	 * @param {String} room - Room ID (optional)
+	 * @param {String} filter - Filter ID (optional)
+	 * @returns {Array<String>} Punishments ladder
+	 */
+	getLadder(room, filter) {
+		let config = this.app.modules.moderation.system.data;
+		let roomLadders = room ? config.roomLadders[room] : null;
+		if (filter && roomLadders && roomLadders[filter]) {
+			return roomLadders[filter];
+		} else if (filter && config.filterLadders[filter]) {
+			return config.filterLadders[filter];
+		} else if (roomLadders && roomLadders['default']) {
+			return roomLadders['default'];
+		} else {
+			return config.punishments;
+		}
+	}
+
+	/**
+	 * @param {String} room - Room ID
+	 * @returns {Object} Points decay configuration (points, interval in minutes)
+	 */
+	getDecay(room) {
 		let config = this.app.modules.moderation.system.data;
-		let punishments = config.punishments;
+		return config.roomDecay[room] || config.decay;
+	}
+
+	getPunishment(val, room, filter) {
+		let punishments = this.getLadder(room, filter);
 		if (val <= 0) return null;
 		if (val > punishments.length) {
 			return punishments[punishments.length - 1];
@@ -135,6 +187,18 @@ class ModeratorBot {
 		}
 	}
 
+	getRoomPunishment(room, val, filter) {
+		let cmd = this.getPunishment(val, room, filter);
+		if (cmd === 'roomban' && !this.botCanBan(room)) cmd = 'hourmute'; // Bot cannot ban
+		if (this.app.config.modules.core.privaterooms.indexOf(room) >= 0 && cmd === 'warn') cmd = 'mute'; // Cannot warn in private rooms
+		return cmd;
+	}
+
+	isShadowed(modType, room) {
+		let config = this.app.modules.moderation.system.data;
+		return !!(config.shadowFilters[room] && config.shadowFilters[room][modType]);
+	}
+
 	getModTypeValue(modType, defaultVal) {
 		let config = this.app.modules.moderation.system.data;
 		return config.values[modType] || defaultVal;
@@ -169,7 +233,7 @@ class ModeratorBot {
 		if (!this.chatData[room]) this.chatData[room] = Object.create(null);
 
 		if (!this.chatData[room][user]) {
-			this.chatData[room][user] = {times:[], lastMsgs: ['', '', ''], points:0, lastAction:0};
+			this.chatData[room][user] = {times:[], lastMsgs: ['', '', ''], points:0, decayTime:0};
 		}
 
 		this.chatData[room][user].lastMsgs.push(context.msgLow);
@@ -178,34 +242,113 @@ class ModeratorBot {
 		this.chatData[room][user].times.push(time);
 
 		/* Filters */
-		for (let f in this.filters) {
-			if (f === 'spam') continue;
-			if (!this.modEnabled(f, room)) continue;
-			this.filters[f].call(this, context);
-		}
+		this.runFilters(context, f => {
+			return this.modEnabled(f, room) && !this.isShadowed(f, room);
+		});
 
-		/* Spam */
-		if (this.filters['spam'] && this.modEnabled('spam', room)) {
-			this.filters['spam'].call(this, context);
-		}
+		/* Shadow mode */
+		this.parseShadow(room, time, by, msg);
 
 		/* Zero Tolerance */
 		this.applyZeroTolerance(context);
 
 		/* Punishment */
 		if (context.pointVal > 0) {
+			let decay = this.getDecay(room);
+			this.decayPoints(this.chatData[room][user], decay.points, decay.interval * 60 * 1000, Date.now());
+
 			context.pointVal += this.chatData[room][user].points;
 			this.chatData[room][user].points++;
+			this.chatData[room][user].decayTime = Date.now();
 
-			let cmd = this.getPunishment(context.pointVal);
-			if (cmd === 'roomban' && !this.botCanBan(room)) cmd = 'hourmute'; // Bot cannot ban
-			if (this.app.config.modules.core.privaterooms.indexOf(room) >= 0 && cmd === 'warn') cmd = 'mute'; // Cannot warn in private rooms
+			let cmd = this.getRoomPunishment(room, context.pointVal, context.mainFilter);
 
 			this.app.bot.sendTo(room, '/' + cmd + ' ' + user + ', ' + this.app.multilang.mlt(Lang_File, this.getLanguage(room), 'mod') +
 				': ' + context.muteMessage + this.getRulesLink(room));
+
+			this.addToHistory(room, context.byIdent.name, context.infractions, msg, cmd, context.muteMessage, context.pointVal);
 		}
 	}
 
+	/**
+	 * Runs the moderation filters (spam is always the last one)
+	 * @param {ModerationContext} context
+	 * @param {function(String)} filter - Returns true for the filters to run
+	 * @returns {Array<String>} Filters that changed the context
+	 */
+	runFilters(context, filter) {
+		let triggered = [];
+		let ids = Object.keys(this.filters).filter(f => f !== 'spam');
+		if (this.filters['spam']) ids.push('spam');
+		for (let f of ids) {
+			if (!filter(f)) continue;
+			let infractions = context.infractions.length;
+			let pointVal = context.pointVal;
+			this.filters[f].call(this, context);
+			if (context.infractions.length !== infractions || context.pointVal !== pointVal) {
+				triggered.push(f);
+			}
+			if (context.pointVal !== pointVal) {
+				context.mainFilter = f;
+			}
+		}
+		return triggered;
+	}
+
+	/**
+	 * Evaluates the filters in shadow mode as if they were enabled,
+	 * and records the would-be punishments without sending them
+	 */
+	parseShadow(room, time, by, msg) {
+		let config = this.app.modules.moderation.system.data;
+		if (!config.shadowFilters[room] || Object.keys(config.shadowFilters[room]).length === 0) return;
+		let context = new ModerationContext(this.app, room, time, by, msg, this.getLanguage(room));
+		let triggered = this.runFilters(context, f => {
+			return this.isShadowed(f, room) || this.modEnabled(f, room);
+		}).filter(f => this.isShadowed(f, room));
+		if (!triggered.length || context.pointVal <= 0) return;
+
+		this.applyZeroTolerance(context);
+		let val = context.pointVal + this.chatData[room][context.byIdent.id].points;
+		let cmd = this.getRoomPunishment(room, val, context.mainFilter);
+		let mod = this.app.modules.moderation.system;
+		if (mod.history) {
+			mod.history.addShadow(room, context.byIdent.name, triggered, msg, cmd, context.muteMessage, val);
+		}
+
+		let reportRoom = config.shadowReportRoom;
+		if (reportRoom && this.app.bot.rooms[reportRoom]) {
+			this.app.bot.sendTo(reportRoom, this.app.multilang.mlt(Lang_File, this.getLanguage(reportRoom), 'shadow', {
+				room: room,
+				user: context.byIdent.name,
+				cmd: cmd,
+				filters: triggered.join(', '),
+			}) + ': ' + Text.stripCommands(msg).substr(0, 150));
+		}
+	}
+
+	/**
+	 * Checks the moderation actions of the room staff, to confirm
+	 * the shadow mode records for the punished users
+	 */
+	checkStaffAction(room, raw) {
+		let res = (/^(.+?) was (warned|muted|banned|locked|kicked|blacklisted)\b.*? by ([^.(]+)/).exec(raw);
+		if (!res) return;
+		let user = Text.toId(res[1]);
+		let staff = Text.toId(res[3]);
+		if (!user || !staff || staff === Text.toId(this.app.bot.getBotNick())) return;
+		let mod = this.app.modules.moderation.system;
+		if (mod.history) {
+			mod.history.confirmShadow(room, user);
+		}
+	}
+
+	addToHistory(room, user, filters, msg, punishment, reason, points) {
+		let mod = this.app.modules.moderation;
+		if (!mod || !mod.system || !mod.system.history) return;
+		mod.system.history.add(room, user, filters, msg, punishment, reason, points);
+	}
+
 	doHideText(room, raw) {
 		if (!this.modEnabled('hidetext', room) && !this.modEnabled('cleartext', room)) return; // Not enabled
 		if (!this.botCanModerate(room)) return;
@@ -264,12 +407,12 @@ class ModeratorBot {
 			} else {
 				return;
 			}
-			let cmd = this.getPunishment(val);
-			if (cmd === 'roomban' && !this.botCanBan(room)) cmd = 'hourmute'; // Bot cannot ban
-			if (this.app.config.modules.core.privaterooms.indexOf(room) >= 0 && cmd === 'warn') cmd = 'mute'; // Cannot warn in private rooms
+			let cmd = this.getRoomPunishment(room, val);
 
 			this.app.bot.sendTo(room, '/' + cmd + ' ' + by + ', ' + this.app.multilang.mlt(Lang_File, this.getLanguage(room), 'mod') +
 				': ' + this.app.multilang.mlt(Lang_File, this.getLanguage(room), 'ztmsg'));
+
+			this.addToHistory(room, by, ['zerotolerance'], raw, cmd, this.app.multilang.mlt(Lang_File, this.getLanguage(room), 'ztmsg'), val);
 		}
 	}
 
@@ -291,24 +434,29 @@ class ModerationContext {
 		this.msgLow = this.msg.toLowerCase();
 
 		this.infractions = [];
+		this.mainFilter = '';
 		this.muteMessage = '';
 		this.pointVal = 0;
 		this.totalPointVal = 0;
 
 		/* No-Nicks Msg */
-		this.noNicksMsg = " " + this.msg + " ";
-		if (this.app.bot.rooms[room]) {
+		this.noNicksMsg = this.removeNicks(this.msg);
+		this.noNicksMsgLow = this.noNicksMsg.toLowerCase();
+	}
+
+	removeNicks(msg) {
+		msg = " " + msg + " ";
+		if (this.app.bot.rooms[this.room]) {
 			let usernum = 0;
-			for (let userid in this.app.bot.rooms[room].users) {
+			for (let userid in this.app.bot.rooms[this.room].users) {
 				usernum++;
-				if (!this.app.bot.rooms[room].localNames[userid]) continue;
-				let name = this.app.bot.rooms[room].localNames[userid].replace(/[.?*+^$[\]\\(){}|-]/g, "\\$&");
+				if (!this.app.bot.rooms[this.room].localNames[userid]) continue;
+				let name = this.app.bot.rooms[this.room].localNames[userid].replace(/[.?*+^$[\]\\(){}|-]/g, "\\$&");
 				let regex = new RegExp("[^a-z0-9A-Z]" + name + "[^a-z0-9A-Z]", 'g');
-				this.noNicksMsg = this.noNicksMsg.replace(regex, " %" + usernum + "% ");
+				msg = msg.replace(regex, " %" + usernum + "% ");
 			}
 		}
-		this.noNicksMsg = this.noNicksMsg.trim();
-		this.noNicksMsgLow = this.noNicksMsg.toLowerCase();
+		return msg.trim();
 	}
 
 	mlt(file, key, vars) {
@@ -0,0 +1,284 @@
+/**
+ * Banned Words Matcher
+ *
+ * Match modes:
+ *  - text: plain text (default)
+ *  - wildcard: * matches any sequence of characters in a word, ? matches a single character
+ *  - regex: regular expression (case insensitive). Expressions that can take
+ *    exponential time (nested or ambiguous quantifiers, backreferences) are rejected,
+ *    since they are tested against every chat message
+ *
+ * Normalization steps (applied to both the message and the banned word):
+ *  - homoglyphs: folds diacritics, full-width and look-alike characters (Cyrillic, Greek)
+ *  - leet: maps leetspeak characters (4 -> a, 3 -> e, 0 -> o, $ -> s, ...)
+ *  - separators: removes separators inside words (b.a.n, b-a-n, b a n)
+ *  - repeated: squashes repeated letters (baaaan -> ban)
+ */
+
+'use strict';
+
+const Max_Regex_Length = 200;
+const Max_Cache_Size = 1000;
+
+const Match_Modes = ['text', 'wildcard', 'regex'];
+const Normalizations = ['homoglyphs', 'leet', 'separators', 'repeated'];
+
+const Homoglyphs = {
+	'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c',
+	'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w',
+	'һ': 'h', 'ɡ': 'g', 'ѵ': 'v', 'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v',
+	'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w', 'ß': 'b', 'ø': 'o', 'đ': 'd', 'ł': 'l',
+	'ı': 'i', 'ɑ': 'a', 'ƅ': 'b', 'ᴄ': 'c', 'ԍ': 'g',
+};
+
+const Leet = {
+	'4': 'a', '@': 'a', '8': 'b', '(': 'c', '3': 'e', '€': 'e', '6': 'g', '9': 'g', '#': 'h',
+	'1': 'i', '!': 'i', '|': 'i', '¡': 'i', '0': 'o', '5': 's', '$': 's', '7': 't', '+': 't', '2': 'z',
+};
+
+const Zero_Width_Chars = /[\u00AD\u200B-\u200F\u2060\uFEFF]/g;
+
+const cache = Object.create(null);
+let cacheSize = 0;
+
+/**
+ * Normalizes a text
+ * @param {String} text
+ * @param {Array<String>} steps - Normalization steps
+ * @returns {String} Normalized text
+ */
+function normalize(text, steps) {
+	text = ("" + text).toLowerCase();
+	if (!steps || !steps.length) return text;
+	if (steps.indexOf('homoglyphs') >= 0) {
+		text = text.normalize('NFKD').replace(/[\u0300-\u036F]/g, '').toLowerCase();
+		text = text.replace(/[^\x00-\x7F]/g, c => (Homoglyphs[c] || c));
+	}
+	if (steps.indexOf('leet') >= 0) {
+		/* Symbols are only replaced inside words (not trailing punctuation) */
+		text = text.replace(/[@(€#!|¡$+]+(?=[a-z0-9])/g, symbols => symbols.split('').map(c => Leet[c]).join(''));
+		text = text.replace(/[0-9]/g, c => (Leet[c] || c));
+	}
+	if (steps.indexOf('separators') >= 0) {
+		text = text.replace(Zero_Width_Chars, '');
+		/* Separators between characters of a word: b.a.n, b-a-n, b_a_n */
+		text = text.replace(/([a-z0-9])[^a-z0-9\s]+(?=[a-z0-9])/g, '$1');
+		/* Spaced letters: b a n */
+		text = text.replace(/(^|\s)([a-z0-9](?:\s+[a-z0-9](?=\s|$)){2,})/g, (match, start, letters) => {
+			return start + letters.replace(/\s+/g, '');
+		});
+	}
+	if (steps.indexOf('repeated') >= 0) {
+		text = text.replace(/(.)\1+/g, '$1');
+	}
+	return text;
+}
+
+/**
+ * Checks a banned word
+ * @param {String} word - Banned word, wildcard pattern or regular expression
+ * @param {String} match - Match mode (text, wildcard, regex)
+ * @returns {String} Error message or empty string if the word is valid
+ */
+function validate(word, match) {
+	if (!word) return "You must specify a word";
+	if (Match_Modes.indexOf(match || 'text') === -1) return "Invalid match mode";
+	if (match === 'wildcard' && !word.replace(/[*?\s]/g, '')) {
+		return "The wildcard pattern must contain at least one character";
+	}
+	if (match === 'regex') {
+		if (word.length > Max_Regex_Length) return "The regular expression is too long (max " + Max_Regex_Length + " characters)";
+		let regex;
+		try {
+			regex = new RegExp(word, 'i');
+		} catch (err) {
+			return err.message;
+		}
+		let error = checkRegExpSafety(word);
+		if (error) return error;
+		if (regex.test("")) return "The regular expression matches empty messages";
+	}
+	return "";
+}
+
+/**
+ * Checks that a regular expression cannot take exponential time to match
+ * (star height > 1, repeated groups with ambiguous alternatives or backreferences)
+ * @param {String} source - Regular expression source
+ * @returns {String} Error message or empty string if the expression is safe
+ */
+function checkRegExpSafety(source) {
+	let stack = [{ repeated: false, branches: [""] }];
+	let last = null; // Last atom: { repeated } for groups, null for single characters
+	let i = 0;
+	while (i < source.length) {
+		let c = source.charAt(i);
+		let frame = stack[stack.length - 1];
+		let atom = c;
+		if (c === '\\') {
+			let next = source.charAt(i + 1);
+			if ((/[1-9]/).test(next) || next === 'k') return "Backreferences are not allowed";
+			atom = source.substr(i, 2);
+			i += 2;
+			last = null;
+		} else if (c === '[') {
+			let j = i + 1;
+			if (source.charAt(j) === ']') j++;
+			while (j < source.length && source.charAt(j) !== ']') {
+				if (source.charAt(j) === '\\') j++;
+				j++;
+			}
+			atom = source.substring(i, j + 1);
+			i = j + 1;
+			last = null;
+		} else if (c === '(') {
+			let prefix = (/^\((?:\?(?:[:=!]|<[=!]|<[a-zA-Z0-9_$]+>))?/).exec(source.substr(i))[0];
+			stack.push({ repeated: false, branches: [""] });
+			i += prefix.length;
+			continue;
+		} else if (c === ')') {
+			if (stack.length < 2) return "Unmatched parenthesis";
+			stack.pop();
+			last = frame;
+			frame = stack[stack.length - 1];
+			atom = "(" + frame.branches.length + ")";
+			if (last.repeated) frame.repeated = true;
+			i++;
+		} else if (c === '|') {
+			frame.branches.push("");
+			i++;
+			continue;
+		} else if (c === '*' || c === '+' || c === '{') {
+			let quantifier = (/^(?:[*+]|\{[0-9]+(?:,[0-9]*)?\})/).exec(source.substr(i));
+			if (!quantifier) {
+				i++;
+				continue;
+			}
+			let bounds = (/^\{([0-9]+)(?:(,)([0-9]*))?\}$/).exec(quantifier[0]);
+			let repeats = !bounds || (bounds[2] && (!bounds[3] || parseInt(bounds[3]) > 1)) || parseInt(bounds[1]) > 1;
+			i += quantifier[0].length;
+			if (source.charAt(i) === '?') i++;
+			if (!repeats) continue;
+			if (last) {
+				if (last.repeated) return "Nested quantifiers are not allowed (for example (a+)+)";
+				if (isAmbiguous(last.branches)) return "Repeated groups cannot have alternatives that match the same text (for example (a|ab)+)";
+			}
+			frame.repeated = true;
+			last = null;
+			continue;
+		} else {
+			i++;
+			last = null;
+		}
+		frame.branches[frame.branches.length - 1] += atom;
+	}
+	if (stack.length > 1) return "Unclosed group";
+	return "";
+}
+
+/**
+ * @param {Array<String>} branches - Alternatives of a group
+ * @returns {Boolean} true if the alternatives could match the same text
+ */
+function isAmbiguous(branches) {
+	if (branches.length < 2) return false;
+	let first = Object.create(null);
+	for (let branch of branches) {
+		/* Only alternatives starting with different plain characters are safe */
+		if (!branch || !(/^[a-z0-9 ]/i).test(branch)) return true;
+		let c = branch.charAt(0).toLowerCase();
+		if (first[c]) return true;
+		first[c] = true;
+	}
+	return false;
+}
+
+function escapeRegExp(str) {
+	return str.replace(/[.?*+^$[\]\\(){}|-]/g, "\\$&");
+}
+
+/**
+ * Compiles a banned word to a regular expression
+ * @param {String} word
+ * @param {Object} options - strict, match, normalize
+ * @returns {RegExp}
+ */
+function compile(word, options) {
+	let source;
+	switch (options.match) {
+		case 'regex':
+			/* Expressions saved before the safety check was added */
+			if (checkRegExpSafety(word)) throw new Error("Unsafe regular expression");
+			source = word;
+			break;
+		case 'wildcard':
+			source = word.split(/([*?])/).map(part => {
+				if (part === '*') return '\\S*';
+				if (part === '?') return '\\S';
+				return escapeRegExp(normalize(part, options.normalize));
+			}).join('');
+			break;
+		default:
+			source = escapeRegExp(normalize(word, options.normalize));
+	}
+	if (options.strict) {
+		source = "(?:^|[^a-z0-9])(?:" + source + ")(?:[^a-z0-9]|$)";
+	}
+	return new RegExp(source, 'i');
+}
+
+/**
+ * Gets the compiled regular expression for a banned word
+ * @param {String} word
+ * @param {Object} options - strict, match, normalize
+ * @returns {RegExp} Regular expression or null if it is not valid
+ */
+function getRegExp(word, options) {
+	let key = [word, options.match || 'text', (options.normalize || []).join(','), options.strict ? 1 : 0].join('\n');
+	if (!(key in cache)) {
+		if (cacheSize >= Max_Cache_Size) {
+			for (let k in cache) delete cache[k];
+			cacheSize = 0;
+		}
+		try {
+			cache[key] = compile(word, options);
+		} catch (err) {
+			cache[key] = null;
+		}
+		cacheSize++;
+	}
+	return cache[key];
+}
+
+/**
+ * Checks if a text contains a banned word
+ * @param {String} text - Message (not normalized)
+ * @param {String} word - Banned word
+ * @param {Object} options - strict, match, normalize
+ * @param {Object} normalized - Cache of normalized messages (optional)
+ * @returns {Boolean}
+ */
+function test(text, word, options, normalized) {
+	let steps = options.normalize || [];
+	let key = steps.join(',');
+	let msg;
+	if (normalized && (key in normalized)) {
+		msg = normalized[key];
+	} else {
+		msg = normalize(text, steps);
+		if (normalized) normalized[key] = msg;
+	}
+	if (!options.match || options.match === 'text') {
+		if (!options.strict) {
+			return (msg.indexOf(normalize(word, steps)) >= 0);
+		}
+	}
+	let regex = getRegExp(word, options);
+	return !!(regex && regex.test(msg));
+}
+
+exports.Match_Modes = Match_Modes;
+exports.Normalizations = Normalizations;
+exports.normalize = normalize;
+exports.validate = validate;
+exports.test = test;
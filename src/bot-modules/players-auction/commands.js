@@ -366,10 +366,10 @@ module.exports = {
 				this.reply(this.mlt(38, {player: Chat.bold(auction.nominated.name), team: Chat.italics(auction.nominatedTeam.name),
 					cost: Chat.italics(auction.nominatedCost + "K"), seg: Math.floor(auction.data.timer / 1000)}));
 			} else {
-				this.pmReply(this.mlt(39, {team: Chat.italics(team.name)}));
+				this.pmReply(this.mltUser(39, {team: Chat.italics(team.name)}));
 			}
 		} else {
-			this.pmReply(this.mlt(40));
+			this.pmReply(this.mltUser(40));
 		}
 	},
 
@@ -381,16 +381,16 @@ module.exports = {
 			let team = auction.getTeam(auction.data.turn);
 			if (!team || team.captain === this.byIdent.id || team.subcaptain === this.byIdent.id) {
 				if (auction.data.minplayers && auction.playersForTeam(team).length < auction.data.minplayers) {
-					this.pmReply(this.mlt(41));
+					this.pmReply(this.mltUser(41));
 				} else {
 					auction.setNextTurn();
 					auction.db.write();
 				}
 			} else {
-				this.pmReply(this.mlt(39, {team: Chat.italics(team.name)}));
+				this.pmReply(this.mltUser(39, {team: Chat.italics(team.name)}));
 			}
 		} else {
-			this.pmReply(this.mlt(40));
+			this.pmReply(this.mltUser(40));
 		}
 	},
 
@@ -407,20 +407,20 @@ module.exports = {
 						money = parseFloat(this.arg);
 					}
 					if (isNaN(money) || money < 0) return this.pmReply(this.usage({desc: this.mlt('u7'), optional: true}));
-					if ((money * 10) % 5 !== 0) return this.pmReply(this.mlt(11));
-					if (team.money < money) return this.pmReply(this.mlt(42, {money: money + "K"}));
+					if ((money * 10) % 5 !== 0) return this.pmReply(this.mltUser(11));
+					if (team.money < money) return this.pmReply(this.mltUser(42, {money: money + "K"}));
 					if (team.money - money < ((auction.data.minplayers - auction.playersForTeam(team).length - 1) * auction.data.mincost)) {
-						return this.pmReply(this.mlt(43));
+						return this.pmReply(this.mltUser(43));
 					}
-					if (money <= auction.nominatedCost) return this.pmReply(this.mlt(44));
+					if (money <= auction.nominatedCost) return this.pmReply(this.mltUser(44));
 					auction.bid(team, money);
 					this.reply(this.mlt(45, {team: Chat.bold(auction.nominatedTeam.name), cost: Chat.bold(auction.nominatedCost + "K"),
 						player: Chat.bold(auction.nominated.name), seg: Math.floor(auction.data.timer / 1000)}));
 				} else {
-					this.pmReply(this.mlt(46));
+					this.pmReply(this.mltUser(46));
 				}
 			} else {
-				this.pmReply(this.mlt(47));
+				this.pmReply(this.mltUser(47));
 			}
 		} else {
 			this.errorReply(this.mlt(48));
@@ -9,7 +9,7 @@ const Auction = require(Path.resolve(__dirname, 'auction.js'));
 
 exports.setup = function (App) {
 	function getLanguage(room) {
-		return App.config.language.rooms[room] || App.config.language['default'];
+		return App.multilang.getLanguage(room);
 	}
 
 	const PlayersAuctionMod = Object.create(null);
@@ -107,7 +107,7 @@ module.exports = {
 		this.setLangFile(Lang_File);
 		let server = App.config.server.url;
 		if (!server) {
-			return this.pmReply(this.mlt(9));
+			return this.pmReply(this.mltUser(9));
 		}
 
 		const lang = Text.toId(this.args[0]) || 'es';
@@ -49,7 +49,7 @@ module.exports = {
 		this.setLangFile(Lang_File);
 		let server = App.config.server.url;
 		if (!server) {
-			return this.pmReply(this.mlt(12));
+			return this.pmReply(this.mltUser(12));
 		}
 		if (server.charAt(server.length - 1) === '/') {
 			return this.restrictReply(App.config.server.url + 'quotejoke/listquotes/', 'quote');
@@ -86,7 +86,7 @@ module.exports = {
 		this.setLangFile(Lang_File);
 		let server = App.config.server.url;
 		if (!server) {
-			return this.pmReply(this.mlt(12));
+			return this.pmReply(this.mltUser(12));
 		}
 		if (server.charAt(server.length - 1) === '/') {
 			return this.restrictReply(App.config.server.url + 'quotejoke/listjokes/', 'joke');
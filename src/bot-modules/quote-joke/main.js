@@ -7,6 +7,11 @@
 class QuoteMod {
 	constructor(App) {
 		this.db = App.dam.getDataBase('quote-joke.json');
+		this.db.on('reload', this.load.bind(this));
+		this.load();
+	}
+
+	load() {
 		this.data = this.db.data;
 		if (!this.data.jokes) {
 			this.data.jokes = Object.create(null);
@@ -11,6 +11,10 @@
  * clearrepeatroom: clears repeat for a room
  * clearallrepeats: clears all repeats of a room
  * showrepeats: shows the list of repeats of a room
+ * schedule: schedules a message (cron expression or date, with timezone)
+ * schedulecommand: schedules a command
+ * unschedule: cancels a schedule
+ * showschedules: shows the list of schedules of a room
  */
 
 'use strict';
@@ -23,10 +27,62 @@ const Max_Repeat = 48 * 60 * 60 * 1000;
 
 const Path = require('path');
 const Text = Tools('text');
+const Chat = Tools('chat');
 const LineSplitter = Tools('line-splitter');
 
+const Cron = require(Path.resolve(__dirname, 'cron.js'));
+
 const Lang_File = Path.resolve(__dirname, 'commands.translations');
 
+/**
+ * Creates a schedule (.schedule and .schedulecommand)
+ * @param {CommandContext} context
+ * @param {ChatBotApp} App
+ * @param {Boolean} command - true to schedule a command
+ */
+function addSchedule(context, App, command) {
+	const Mod = App.modules.timers.system;
+	const perm = (command ? 'schedulecmd' : 'schedule');
+	context.setLangFile(Lang_File);
+	if (!context.can(perm, context.room)) return context.replyAccessDenied(perm);
+	if (context.getRoomType(context.room) !== 'chat') {
+		return context.errorReply(context.mlt('nochat'));
+	}
+
+	const usage = context.usage({ desc: context.mlt('schedexpr') }, { desc: context.mlt('timezone') }, { desc: (command ? context.mlt(23) : context.mlt('schedtext')) });
+	if (context.args.length < 3) {
+		return context.errorReply(usage);
+	}
+	/* The expression can contain commas (lists), so the timezone is the first valid one */
+	let tzIndex = 1;
+	for (let i = 1; i < context.args.length - 1; i++) {
+		if (Cron.isValidTimezone(context.args[i].trim())) {
+			tzIndex = i;
+			break;
+		}
+	}
+	let expr = context.args.slice(0, tzIndex).join(",").trim();
+	let timezone = context.args[tzIndex].trim();
+	let text = context.args.slice(tzIndex + 1).join(",").trim();
+	if (!expr || !text) {
+		return context.errorReply(usage);
+	}
+	if (!Cron.isValidTimezone(timezone)) {
+		return context.errorReply(context.mlt('badtimezone') + ": " + Chat.italics(timezone));
+	}
+	let schedule;
+	try {
+		schedule = Mod.createSchedule(context.room, expr, timezone, text, context.by, command);
+	} catch (err) {
+		return context.errorReply(context.mlt('badschedule') + " (" + err.message + ")");
+	}
+	if (!schedule) {
+		return context.errorReply(context.mlt('toomanyschedules'));
+	}
+	context.reply(context.mlt('scheduled') + " " + Chat.code("#" + schedule.id) + ". " +
+		context.mlt('nextrun') + ": " + Cron.formatTime(schedule.next, schedule.timezone) + " (" + schedule.timezone + ")");
+}
+
 function isValidFloat(str) {
 	return (/^[0-9]*(\.)?[0-9]+$/).test(str);
 }
@@ -327,7 +383,7 @@ module.exports = {
 		if (!Mod.createRepeat(this.room, text, time, this.by, false)) {
 			this.errorReply(this.mlt(21));
 		} else {
-			this.pmReply(this.mlt(18) + " " + Mod.getRepeatTime(time, this.room));
+			this.pmReply(this.mltUser(18) + " " + Mod.getRepeatTime(time, this.room));
 		}
 	},
 
@@ -368,7 +424,7 @@ module.exports = {
 		if (!Mod.createRepeat(this.room, text, time, this.by, true)) {
 			this.errorReply(this.mlt(21));
 		} else {
-			this.pmReply(this.mlt(24) + " " + Mod.getRepeatTime(time, this.room));
+			this.pmReply(this.mltUser(24) + " " + Mod.getRepeatTime(time, this.room));
 		}
 	},
 
@@ -475,4 +531,73 @@ module.exports = {
 
 		this.replyCommand("!code " + this.mlt(17) + ":\n\n" + Mod.getRepeats(room).join("\n"));
 	},
+	schedule: function (App) {
+		addSchedule(this, App, false);
+	},
+
+	schedulecmd: "schedulecommand",
+	schedulecommand: function (App) {
+		addSchedule(this, App, true);
+	},
+
+	rmschedule: "unschedule",
+	unschedule: function (App) {
+		this.setLangFile(Lang_File);
+		if (!this.can('schedule', this.room)) return this.replyAccessDenied('schedule');
+		if (this.getRoomType(this.room) !== 'chat') {
+			return this.errorReply(this.mlt('nochat'));
+		}
+		let id = parseInt((this.arg || "").replace("#", "").trim());
+		if (!id) {
+			return this.errorReply(this.usage({ desc: this.mlt('scheduleid') }));
+		}
+		const Mod = App.modules.timers.system;
+		let schedule = Mod.schedules[id];
+		if (!schedule || schedule.room !== this.room) {
+			return this.errorReply(this.mlt('noschedule'));
+		}
+		if (schedule.command && !this.can('schedulecmd', this.room)) return this.replyAccessDenied('schedulecmd');
+		Mod.cancelSchedule(id);
+		this.reply(this.mlt('unscheduled') + " " + Chat.code("#" + id));
+	},
+
+	schedules: "showschedules",
+	seeschedules: "showschedules",
+	showschedules: function (App) {
+		this.setLangFile(Lang_File);
+		if (this.getRoomType(this.room) !== 'chat' && !this.arg) {
+			return this.errorReply(this.usage({ desc: this.usageTrans('room') }));
+		}
+
+		const room = this.parseRoomAliases(Text.toRoomid(this.arg)) || this.room;
+
+		if (!App.bot.rooms[room]) {
+			return this.errorReply(this.mlt('noschedules'));
+		}
+
+		if (!App.bot.rooms[room].users[this.byIdent.id]) {
+			return this.replyAccessDenied('schedule');
+		}
+
+		const group = App.bot.rooms[room].users[this.byIdent.id];
+
+		if (!App.parser.can({ group: group, id: this.byIdent.id }, "schedule", room)) {
+			return this.replyAccessDenied('schedule');
+		}
+
+		const Mod = App.modules.timers.system;
+		const schedules = Mod.getSchedules(room);
+
+		if (schedules.length === 0) {
+			return this.errorReply(this.mlt('noschedules'));
+		}
+
+		this.replyCommand("!code " + this.mlt('schedulelist') + ":\n\n" + schedules.map(schedule => {
+			return "#" + schedule.id + " " +
+				"[" + schedule.expr + " " + schedule.timezone + "] " +
+				"[" + this.mlt('nextrun') + ": " + Cron.formatTime(schedule.next, schedule.timezone) + "] " +
+				"[" + (schedule.command ? this.mlt('cmdtype') : this.mlt('texttype')) + "] " +
+				schedule.text;
+		}).join("\n"));
+	},
 };
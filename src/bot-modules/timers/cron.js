@@ -0,0 +1,234 @@
+/**
+ * Cron-style schedules
+ *
+ * Expressions have 5 fields: minute hour day-of-month month day-of-week
+ * Each field can be "*", a number, a range (1-5), a list (1,15) or
+ * a range followed by a step (8-18/2, or * followed by /15 for every 15).
+ * Months and days of the week can be written with their english names
+ * (jan, feb... / sun, mon...)
+ *
+ * Example: "0 20 * * fri" - Every Friday at 20:00
+ *
+ * The time is calculated in the timezone of the schedule (IANA name, eg: Europe/Madrid)
+ */
+
+'use strict';
+
+const Minute = 60 * 1000;
+
+/* Max time to search the next run (5 years, for the 29th of February) */
+const Max_Search = 5 * 366 * 24 * 60 * Minute;
+
+const Month_Names = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const Weekday_Names = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const Fields = [
+	{ name: 'minute', min: 0, max: 59 },
+	{ name: 'hour', min: 0, max: 23 },
+	{ name: 'day', min: 1, max: 31 },
+	{ name: 'month', min: 1, max: 12, names: Month_Names, namesOffset: 1 },
+	{ name: 'weekday', min: 0, max: 7, names: Weekday_Names, namesOffset: 0 },
+];
+
+const formatters = Object.create(null);
+
+/**
+ * @param {String} timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timezone) {
+	if (!formatters[timezone]) {
+		formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+			timeZone: timezone,
+			hourCycle: 'h23',
+			year: 'numeric',
+			month: 'numeric',
+			day: 'numeric',
+			hour: 'numeric',
+			minute: 'numeric',
+			weekday: 'short',
+		});
+	}
+	return formatters[timezone];
+}
+
+/**
+ * @param {String} timezone
+ * @returns {Boolean} true if the timezone is valid
+ */
+function isValidTimezone(timezone) {
+	if (!timezone) return false;
+	try {
+		getFormatter(timezone);
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+/**
+ * @param {Number} time - Timestamp
+ * @param {String} timezone
+ * @returns {Object} Local time (year, month, day, hour, minute, weekday)
+ */
+function getLocalTime(time, timezone) {
+	let local = Object.create(null);
+	for (let part of getFormatter(timezone).formatToParts(new Date(time))) {
+		if (part.type === 'weekday') {
+			local.weekday = Weekday_Names.indexOf(part.value.toLowerCase().substr(0, 3));
+		} else if (part.type !== 'literal') {
+			local[part.type] = parseInt(part.value);
+		}
+	}
+	return local;
+}
+
+/**
+ * @param {String} str - Value of a field
+ * @param {Object} field
+ * @returns {Number}
+ */
+function parseValue(str, field) {
+	if (field.names && field.names.indexOf(str.substr(0, 3)) >= 0 && (/^[a-z]+$/).test(str)) {
+		return field.names.indexOf(str.substr(0, 3)) + field.namesOffset;
+	}
+	if (!(/^[0-9]+$/).test(str)) {
+		throw new Error("Invalid value for " + field.name + ": " + str);
+	}
+	let value = parseInt(str);
+	if (value < field.min || value > field.max) {
+		throw new Error("Invalid value for " + field.name + ": " + str);
+	}
+	return value;
+}
+
+/**
+ * @param {String} str - Field of the expression
+ * @param {Object} field
+ * @returns {Array<Number>} Allowed values, null for any value
+ */
+function parseField(str, field) {
+	if (str === '*') return null;
+	let values = Object.create(null);
+	for (let part of str.split(',')) {
+		let step = 1;
+		let stepIndex = part.indexOf('/');
+		if (stepIndex >= 0) {
+			step = parseInt(part.substr(stepIndex + 1));
+			if (!(/^[0-9]+$/).test(part.substr(stepIndex + 1)) || step <= 0) {
+				throw new Error("Invalid step for " + field.name + ": " + part);
+			}
+			part = part.substr(0, stepIndex);
+		}
+		let from, to;
+		if (part === '*') {
+			from = field.min;
+			to = field.max;
+		} else if (part.indexOf('-') > 0) {
+			from = parseValue(part.split('-')[0], field);
+			to = parseValue(part.split('-')[1], field);
+			if (from > to) throw new Error("Invalid range for " + field.name + ": " + part);
+		} else {
+			from = parseValue(part, field);
+			to = (stepIndex >= 0 ? field.max : from);
+		}
+		for (let i = from; i <= to; i += step) {
+			values[field.name === 'weekday' ? (i % 7) : i] = true;
+		}
+	}
+	return Object.keys(values).map(value => parseInt(value)).sort((a, b) => (a - b));
+}
+
+/**
+ * Parses a cron expression
+ * @param {String} expr
+ * @returns {Object} Allowed values for each field (null = any)
+ * @throws {Error} If the expression is not valid
+ */
+function parse(expr) {
+	let parts = (expr + "").trim().toLowerCase().split(/\s+/);
+	if (parts.length !== Fields.length) {
+		throw new Error("The expression must have " + Fields.length + " fields (minute hour day month weekday)");
+	}
+	let cron = Object.create(null);
+	for (let i = 0; i < Fields.length; i++) {
+		cron[Fields[i].name] = parseField(parts[i], Fields[i]);
+	}
+	return cron;
+}
+
+/**
+ * @param {Object} cron - Parsed expression
+ * @param {Object} local - Local time
+ * @returns {Boolean} true if the day matches the expression
+ */
+function matchesDay(cron, local) {
+	if (cron.month && cron.month.indexOf(local.month) === -1) return false;
+	if (cron.day && cron.weekday) {
+		/* Both restricted: any of them (standard cron behaviour) */
+		return cron.day.indexOf(local.day) >= 0 || cron.weekday.indexOf(local.weekday) >= 0;
+	}
+	if (cron.day && cron.day.indexOf(local.day) === -1) return false;
+	if (cron.weekday && cron.weekday.indexOf(local.weekday) === -1) return false;
+	return true;
+}
+
+/**
+ * Gets the next time the expression matches
+ * @param {Object} cron - Parsed expression
+ * @param {String} timezone
+ * @param {Number} from - Timestamp (the result is after this time)
+ * @returns {Number} Timestamp or 0 if the expression never matches
+ */
+function getNext(cron, timezone, from) {
+	let time = from - (from % Minute) + Minute;
+	let limit = from + Max_Search;
+	while (time <= limit) {
+		let local = getLocalTime(time, timezone);
+		if (!matchesDay(cron, local)) {
+			/* Go to the last hour of the day (checked again, since DST changes the length of the day) */
+			if (local.hour < 23) {
+				time += ((23 - local.hour) * 60 - local.minute) * Minute;
+			} else {
+				time += (60 - local.minute) * Minute;
+			}
+		} else if (cron.hour && cron.hour.indexOf(local.hour) === -1) {
+			time += (60 - local.minute) * Minute;
+		} else if (cron.minute && cron.minute.indexOf(local.minute) === -1) {
+			time += Minute;
+		} else {
+			return time;
+		}
+	}
+	return 0;
+}
+
+/**
+ * @param {Number} time - Timestamp
+ * @param {String} timezone
+ * @returns {String} Local date (YYYY-MM-DD HH:MM)
+ */
+function formatTime(time, timezone) {
+	let local = getLocalTime(time, timezone);
+	let pad = n => (n < 10 ? "0" : "") + n;
+	return local.year + "-" + pad(local.month) + "-" + pad(local.day) + " " + pad(local.hour) + ":" + pad(local.minute);
+}
+
+/**
+ * Parses a date (YYYY-MM-DD HH:MM), for one-shot schedules
+ * @param {String} str
+ * @returns {Object} Parsed expression (for that day and time) and year, or null if it is not a date
+ */
+function parseDate(str) {
+	let match = (/^([0-9]{4})-([0-9]{1,2})-([0-9]{1,2})\s+([0-9]{1,2}):([0-9]{2})$/).exec((str + "").trim());
+	if (!match) return null;
+	let cron = parse(parseInt(match[5]) + " " + parseInt(match[4]) + " " + parseInt(match[3]) + " " + parseInt(match[2]) + " *");
+	return { cron: cron, year: parseInt(match[1]) };
+}
+
+exports.parse = parse;
+exports.parseDate = parseDate;
+exports.getNext = getNext;
+exports.getLocalTime = getLocalTime;
+exports.formatTime = formatTime;
+exports.isValidTimezone = isValidTimezone;
@@ -8,14 +8,20 @@ const Path = require('path');
 const Chat = Tools('chat');
 const Text = Tools('text');
 
+const Cron = require(Path.resolve(__dirname, 'cron.js'));
+
 const TIMER_LIMIT_PER_ROOM = 32;
 const REPEAT_LIMIT_PER_ROOM = 100;
+const SCHEDULE_LIMIT_PER_ROOM = 20;
+
+/* Schedules delayed more than this (eg: the bot was offline) are skipped */
+const SCHEDULE_MAX_DELAY = 5 * 60 * 1000;
 
 const Lang_File = Path.resolve(__dirname, 'timers.translations');
 
 exports.setup = function (App) {
 	function getLanguage(room) {
-		return App.config.language.rooms[room] || App.config.language['default'];
+		return App.multilang.getLanguage(room);
 	}
 
 	function trans(room, key, vars) {
@@ -25,6 +31,11 @@ exports.setup = function (App) {
 	class TimersModule {
 		constructor() {
 			this.db = App.dam.getDataBase('room-timers.json');
+			this.db.on('reload', this.load.bind(this));
+			this.load();
+		}
+
+		load() {
 			this.data = this.db.data;
 
 			if (!this.data.timers) {
@@ -38,6 +49,16 @@ exports.setup = function (App) {
 			}
 
 			this.repeats = this.data.repeat;
+
+			if (!this.data.schedules) {
+				this.data.schedules = Object.create(null);
+			}
+
+			this.schedules = this.data.schedules;
+
+			if (!this.data.scheduleId) {
+				this.data.scheduleId = 0;
+			}
 		}
 
 		save() {
@@ -351,12 +372,12 @@ exports.setup = function (App) {
 					repeatText = repeatText.split(" ").slice(1).join(" ");
 
 					if (repeatText) {
-						App.bot.sendTo(room, "/announce " + repeatText);
+						App.bot.sendTo(room, "/announce " + repeatText, 'low');
 					}
 				} else if (repeatText.startsWith("!") || repeatText.startsWith("/addhtmlbox ")) {
-					App.bot.sendTo(room, repeatText);
+					App.bot.sendTo(room, repeatText, 'low');
 				} else {
-					App.bot.sendTo(room, Text.stripCommands(repeatText));
+					App.bot.sendTo(room, Text.stripCommands(repeatText), 'low');
 				}
 			}
 		}
@@ -403,9 +424,150 @@ exports.setup = function (App) {
 			return true;
 		}
 
+		/**
+		 * @param {String} expr - Cron expression or date (YYYY-MM-DD HH:MM)
+		 * @param {String} timezone
+		 * @param {Number} from - Timestamp
+		 * @returns {Number} Next run or 0 if it will not run again
+		 * @throws {Error} If the expression is not valid
+		 */
+		getNextRun(expr, timezone, from) {
+			let date = Cron.parseDate(expr);
+			if (date) {
+				/* Search from the start of the year (one day before, since the timezone can be ahead of UTC) */
+				from = Math.max(from, Date.UTC(date.year, 0, 1) - 24 * 60 * 60 * 1000);
+			}
+			let next = Cron.getNext((date ? date.cron : Cron.parse(expr)), timezone, from);
+			if (date && next && Cron.getLocalTime(next, timezone).year !== date.year) {
+				/* One-shot schedules only run in the specified year */
+				return 0;
+			}
+			return next;
+		}
+
+		/**
+		 * Parses the time of a schedule
+		 * @param {String} expr - Cron expression or date (YYYY-MM-DD HH:MM)
+		 * @param {String} timezone
+		 * @returns {Object} once, next
+		 * @throws {Error} If the expression or timezone are not valid
+		 */
+		parseSchedule(expr, timezone) {
+			if (!Cron.isValidTimezone(timezone)) {
+				throw new Error("Invalid timezone: " + timezone);
+			}
+			let once = !!Cron.parseDate(expr);
+			let next = this.getNextRun(expr, timezone, Date.now());
+			if (!next) {
+				throw new Error(once ? "The date is in the past" : "The expression never matches");
+			}
+			return { once: once, next: next };
+		}
+
+		countSchedules(room) {
+			return this.getSchedules(room).length;
+		}
+
+		getSchedules(room) {
+			let res = [];
+			for (let id in this.schedules) {
+				if (!room || this.schedules[id].room === room) {
+					res.push(this.schedules[id]);
+				}
+			}
+			return res.sort((a, b) => (a.next - b.next));
+		}
+
+		/**
+		 * @param {String} room
+		 * @param {String} expr - Cron expression or date (YYYY-MM-DD HH:MM)
+		 * @param {String} timezone
+		 * @param {String} text - Message or command
+		 * @param {String} by - User who created the schedule
+		 * @param {Boolean} command - true to run the text as a command
+		 * @returns {Object} The new schedule, or null if there are too many schedules in the room
+		 * @throws {Error} If the schedule is not valid
+		 */
+		createSchedule(room, expr, timezone, text, by, command) {
+			if (this.countSchedules(room) >= SCHEDULE_LIMIT_PER_ROOM) {
+				return null;
+			}
+			let time = this.parseSchedule(expr, timezone);
+			let id = ++this.data.scheduleId;
+			this.schedules[id] = {
+				id: id,
+				room: room,
+				expr: (expr + "").trim(),
+				timezone: timezone,
+				text: text,
+				command: !!command,
+				by: by || "",
+				once: time.once,
+				next: time.next,
+				created: Date.now(),
+			};
+			this.save();
+			return this.schedules[id];
+		}
+
+		/**
+		 * @param {Number} id - Schedule ID
+		 * @param {String} expr
+		 * @param {String} timezone
+		 * @param {String} text
+		 * @param {Boolean} command
+		 * @returns {Object} The schedule
+		 * @throws {Error} If the schedule does not exist or is not valid
+		 */
+		updateSchedule(id, expr, timezone, text, command) {
+			let schedule = this.schedules[id];
+			if (!schedule) {
+				throw new Error("The schedule does not exist");
+			}
+			let time = this.parseSchedule(expr, timezone);
+			schedule.expr = (expr + "").trim();
+			schedule.timezone = timezone;
+			schedule.text = text;
+			schedule.command = !!command;
+			schedule.once = time.once;
+			schedule.next = time.next;
+			this.save();
+			return schedule;
+		}
+
+		cancelSchedule(id) {
+			if (!this.schedules[id]) return false;
+			delete this.schedules[id];
+			this.save();
+			return true;
+		}
+
+		checkSchedules() {
+			let now = Date.now();
+			for (let id of Object.keys(this.schedules)) {
+				let schedule = this.schedules[id];
+				if (!schedule.next || now < schedule.next) continue;
+				if (now - schedule.next <= SCHEDULE_MAX_DELAY) {
+					this.sendRepeat(schedule.room, schedule.text, schedule.command, schedule.by);
+				}
+				if (schedule.once) {
+					delete this.schedules[id];
+				} else {
+					try {
+						schedule.next = this.getNextRun(schedule.expr, schedule.timezone, now);
+					} catch (err) {
+						schedule.next = 0;
+					}
+					if (!schedule.next) delete this.schedules[id];
+				}
+				this.save();
+			}
+		}
+
 		check() {
 			this.checkTimers();
 			this.checkRepeats();
+			this.checkSchedules();
 		}
 	}
 
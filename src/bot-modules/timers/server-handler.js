@@ -8,6 +8,8 @@ const Path = require('path');
 const Text = Tools('text');
 const Template = Tools('html-template');
 
+const Cron = require(Path.resolve(__dirname, 'cron.js'));
+
 const mainTemplate = new Template(Path.resolve(__dirname, 'template.html'));
 
 exports.setup = function (App) {
@@ -39,6 +41,27 @@ exports.setup = function (App) {
 			Mod.cancelRepeatIndex(room, ri);
 			App.logServerAction(context.user.id, "Cancel repeat: " + room);
 			ok = "Repeat canceled.";
+		} else if (context.post.addschedule || context.post.editschedule) {
+			let id = context.post.addschedule ? null : parseInt(context.post.id);
+			let room = Text.toRoomid(context.post.room);
+			let expr = (context.post.expr || "").trim();
+			let timezone = (context.post.timezone || "").trim();
+			let text = (context.post.text || "").trim();
+			let command = context.post.type === 'command';
+			try {
+				id = saveSchedule(id, room, expr, timezone, text, command, context.user.id).id;
+				ok = "Schedule #" + id + " saved.";
+			} catch (err) {
+				error = err.message;
+			}
+		} else if (context.post.clearschedule) {
+			let id = parseInt(context.post.id);
+			if (Mod.cancelSchedule(id)) {
+				App.logServerAction(context.user.id, "Cancel schedule: #" + id);
+				ok = "Schedule canceled.";
+			} else {
+				error = "The schedule does not exist.";
+			}
 		}
 
 		let htmlVars = Object.create(null);
@@ -90,9 +113,121 @@ exports.setup = function (App) {
 			}
 		}
 
+		htmlVars.schedules = "";
+
+		for (let schedule of Mod.getSchedules()) {
+			let form = 'schedule-' + schedule.id;
+			htmlVars.schedules += '<tr><td class="bold">#' + schedule.id + '</td><td>' + Text.escapeHTML(schedule.room) + '</td><td>' +
+				'<input name="expr" type="text" size="20" form="' + form + '" value="' + Text.escapeHTML(schedule.expr) + '" /></td><td>' +
+				'<input name="timezone" type="text" size="15" form="' + form + '" value="' + Text.escapeHTML(schedule.timezone) + '" /></td><td>' +
+				Text.escapeHTML(Cron.formatTime(schedule.next, schedule.timezone)) + '</td><td>' +
+				Text.escapeHTML(schedule.by || "-") + '</td><td>' +
+				'<select name="type" form="' + form + '">' +
+				'<option value="text"' + (schedule.command ? '' : ' selected="selected"') + '>Text</option>' +
+				'<option value="command"' + (schedule.command ? ' selected="selected"' : '') + '>Command</option></select></td><td>' +
+				'<input name="text" type="text" size="40" form="' + form + '" value="' + Text.escapeHTML(schedule.text) + '" /></td><td>' +
+				'<form id="' + form + '" action="" method="post" style="margin-block-end: 0;">' +
+				'<input name="id" type="hidden" value="' + schedule.id + '" />' +
+				'<input type="submit" name="editschedule" value="Save" />&nbsp;' +
+				'<input type="submit" name="clearschedule" value="Cancel schedule" />' +
+				'</form></td></tr>';
+		}
+
 		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
 		htmlVars.request_msg = (ok ? ok : (error || ""));
 
 		context.endWithWebPage(mainTemplate.make(htmlVars), { title: "Timers and Repeats - Showdown ChatBot" });
 	});
+
+	/* API */
+	App.server.setApiHandler('timers', 'timers', (context, parts) => {
+		const Mod = App.modules.timers.system;
+		let method = context.request.method;
+
+		if (!parts[0] && method === 'GET') {
+			let timers = [];
+			for (let timer of Object.values(Mod.timers)) {
+				for (let timerSingle of (Array.isArray(timer) ? timer : [timer])) {
+					timers.push({ room: timerSingle.room, name: timerSingle.name || "", remaining: Mod.getDiff(timerSingle) });
+				}
+			}
+			let repeats = [];
+			for (let repeat of Object.values(Mod.repeats)) {
+				for (let activeRepeat of (repeat.active || [])) {
+					repeats.push({
+						room: repeat.room,
+						interval: activeRepeat.interval,
+						by: activeRepeat.by || "",
+						command: !!activeRepeat.command,
+						text: activeRepeat.text,
+					});
+				}
+			}
+			return context.endWithJSON({ timers: timers, repeats: repeats, schedules: Mod.getSchedules() });
+		}
+
+		if (parts[0] !== 'schedules') {
+			return context.endWithApiError(404, "Not found");
+		}
+
+		/* Schedules: GET /timers/schedules, POST /timers/schedules, PUT|DELETE /timers/schedules/{id} */
+		let id = parts[1] ? parseInt(parts[1]) : null;
+		if (method === 'GET') {
+			return context.endWithJSON({ schedules: Mod.getSchedules() });
+		} else if ((method === 'POST' && id === null) || (method === 'PUT' && id !== null)) {
+			try {
+				let schedule = saveSchedule(id, Text.toRoomid(context.json.room), ((context.json.expr || "") + "").trim(),
+					((context.json.timezone || "") + "").trim(), ((context.json.text || "") + "").trim(), context.json.type === 'command', context.user.id);
+				return context.endWithJSON(schedule, id === null ? 201 : 200);
+			} catch (err) {
+				return context.endWithApiError(400, err.message);
+			}
+		} else if (method === 'DELETE' && id !== null) {
+			if (Mod.cancelSchedule(id)) {
+				App.logServerAction(context.user.id, "Cancel schedule: #" + id);
+				return context.endWithJSON({ deleted: true });
+			} else {
+				return context.endWithApiError(404, "The schedule does not exist.");
+			}
+		} else {
+			return context.endWithApiError(405, "Method not allowed");
+		}
+	});
+
+	/**
+	 * Creates or edits a schedule (shared by the form and the API)
+	 * @param {Number} id - Schedule ID (null to create a new one)
+	 * @param {String} room - Room (only for new schedules)
+	 * @param {String} expr - Cron expression or date
+	 * @param {String} timezone
+	 * @param {String} text - Message or command
+	 * @param {Boolean} command - true to run the text as a command
+	 * @param {String} by - User ID
+	 * @returns {Object} The schedule
+	 * @throws {Error} If the schedule is not valid
+	 */
+	function saveSchedule(id, room, expr, timezone, text, command, by) {
+		const Mod = App.modules.timers.system;
+		if (id === null && !room) {
+			throw new Error("You must specify a room.");
+		}
+		if (!expr || !text) {
+			throw new Error("You must specify the time and the text of the schedule.");
+		}
+		if (!Cron.isValidTimezone(timezone)) {
+			throw new Error("Invalid timezone: " + timezone);
+		}
+		let schedule;
+		if (id === null) {
+			schedule = Mod.createSchedule(room, expr, timezone, text, by, command);
+			if (!schedule) {
+				throw new Error("There are already too many schedules in that room.");
+			}
+		} else {
+			schedule = Mod.updateSchedule(id, expr, timezone, text, command);
+		}
+		App.logServerAction(by, (id === null ? "Add" : "Edit") + " schedule: #" + schedule.id +
+			" | Room: " + schedule.room + " | " + expr + " " + timezone);
+		return schedule;
+	}
 };
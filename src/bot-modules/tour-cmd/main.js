@@ -207,7 +207,7 @@ exports.setup = function (App) {
 	const tournaments = TourCommandMod.tournaments;
 
 	function getLanguage(room) {
-		return App.config.language.rooms[room] || App.config.language['default'];
+		return App.multilang.getLanguage(room);
 	}
 
 	function parseErrorMessage(room, spl) {
@@ -21,7 +21,7 @@ exports.setup = function (App) {
 	checkDir(Path.resolve(App.dataDir, 'tour-tables-custom/'));
 
 	function getLanguage(room) {
-		return App.config.language.rooms[room] || App.config.language['default'];
+		return App.multilang.getLanguage(room);
 	}
 
 	class TourLeaderBoardsModule {
@@ -34,6 +34,11 @@ exports.setup = function (App) {
 			this.isOfficial = this.dbOfficial.data;
 
 			this.dbTourCache = App.dam.getDataBase('leaderloards-custom-tour-cache.json');
+			this.dbTourCache.on('reload', this.loadTourCache.bind(this));
+			this.loadTourCache();
+		}
+
+		loadTourCache() {
 			this.tourCacheData = this.dbTourCache.data;
 
 			if (!this.tourCacheData.cache) {
@@ -600,7 +600,7 @@ module.exports = {
 			this.send("/addhtmlbox " + html, this.room);
 		} else {
 			if (!server) {
-				return this.pmReply(this.mlt(13));
+				return this.pmReply(this.mltUser(13));
 			}
 			if (server.charAt(server.length - 1) === '/') {
 				return this.restrictReply(App.config.server.url + 'tourtable/' + room + '/get', 'toursrank');
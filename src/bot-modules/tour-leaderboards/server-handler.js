@@ -204,4 +204,34 @@ exports.setup = function (App) {
 
 		context.endWithWebPage(mainTemplate.make(htmlVars), {title: "Tour Ledaerboards - Showdown ChatBot"});
 	});
+
+	/* API */
+	App.server.setApiHandler('leaderboards', 'tourleaderboards', (context, parts) => {
+		if (context.request.method !== 'GET') {
+			return context.endWithApiError(405, "Method not allowed");
+		}
+		let room = Text.toRoomid(parts[0]);
+		if (!room) {
+			return context.endWithJSON({rooms: Config});
+		}
+		let top = App.modules.tourleaderboards.system.getTop(room);
+		if (!top) {
+			return context.endWithApiError(404, "Room not found");
+		}
+		context.endWithJSON({
+			room: room,
+			config: Config[room],
+			ranking: top.map(entry => {
+				return {
+					name: entry[0],
+					wins: entry[1],
+					finals: entry[2],
+					semis: entry[3],
+					battles: entry[4],
+					tours: entry[5],
+					points: entry[6],
+				};
+			}),
+		});
+	});
 };
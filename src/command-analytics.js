@@ -0,0 +1,307 @@
+/**
+ * Command Analytics for Showdown ChatBot
+ * Showdown ChatBot is distributed under the terms of the MIT License
+ * (https://github.com/AgustinSRG/Showdown-ChatBot/blob/master/LICENSE)
+ *
+ * This file records the usage of the bot commands
+ * (per command, room and user, in hourly and daily buckets)
+ * to show them in the control panel.
+ * Only the most recently active users are kept
+ */
+
+'use strict';
+
+const Hour = 60 * 60 * 1000;
+const Day = 24 * Hour;
+
+const Max_Hours = 48;
+const Max_Days = 90;
+const Max_Users = 1000;
+const Write_Delay = 30 * 1000;
+
+class CommandAnalytics {
+	/**
+	 * @param {ChatBotApp} app
+	 */
+	constructor(app) {
+		this.app = app;
+		this.writeTimer = null;
+		this.db = app.dam.getDataBase('cmd-analytics.json');
+		this.db.on('reload', this.load.bind(this));
+		this.load();
+	}
+
+	/**
+	 * Reads the data of the database (also when it is rolled back)
+	 */
+	load() {
+		this.data = this.db.data;
+		if (!this.data.commands) this.data.commands = Object.create(null); /* Totals per command */
+		if (!this.data.rooms) this.data.rooms = Object.create(null); /* Totals per room and command */
+		if (!this.data.users) this.data.users = Object.create(null); /* Uses per user and command (last, commands) */
+		if (!this.data.hourly) this.data.hourly = Object.create(null); /* Hourly buckets */
+		if (!this.data.daily) this.data.daily = Object.create(null); /* Daily buckets */
+	}
+
+	/**
+	 * Writes the data after a delay, to avoid
+	 * writing the database on every command
+	 */
+	save() {
+		if (this.writeTimer) return;
+		this.writeTimer = setTimeout(function () {
+			this.writeTimer = null;
+			this.db.write();
+		}.bind(this), Write_Delay);
+	}
+
+	/**
+	 * Writes the data now
+	 */
+	flush() {
+		if (this.writeTimer) {
+			clearTimeout(this.writeTimer);
+			this.writeTimer = null;
+		}
+		this.db.write();
+	}
+
+	/**
+	 * Records the use of a command
+	 * @param {String} cmd - Command ID (aliases resolved)
+	 * @param {String} room - Room ID or null if private message
+	 * @param {String} userid - User ID
+	 * @param {Boolean} error - true if the command crashed
+	 */
+	record(cmd, room, userid, error) {
+		let now = Date.now();
+		let command = this.data.commands[cmd];
+		if (!command) {
+			command = this.data.commands[cmd] = { uses: 0, errors: 0, first: now, last: 0 };
+		}
+		command.uses++;
+		command.last = now;
+		if (error) command.errors++;
+
+		if (room) {
+			if (!this.data.rooms[room]) this.data.rooms[room] = Object.create(null);
+			let roomCommand = this.data.rooms[room][cmd];
+			if (!roomCommand) {
+				roomCommand = this.data.rooms[room][cmd] = { uses: 0, errors: 0, last: 0 };
+			}
+			roomCommand.uses++;
+			roomCommand.last = now;
+			if (error) roomCommand.errors++;
+		}
+
+		if (userid) {
+			let user = this.data.users[userid];
+			if (!user || !user.commands) {
+				user = this.data.users[userid] = { last: now, commands: Object.create(null) };
+				this.pruneUsers(now);
+			}
+			user.last = now;
+			user.commands[cmd] = (user.commands[cmd] || 0) + 1;
+		}
+
+		this.addToBucket(this.data.hourly, now - (now % Hour), cmd, room, error, Max_Hours * Hour);
+		this.addToBucket(this.data.daily, now - (now % Day), cmd, room, error, Max_Days * Day);
+
+		this.save();
+	}
+
+	/**
+	 * Removes the users without commands in the last days (Max_Days)
+	 * and the least recently active ones over the limit (Max_Users)
+	 * @param {Number} now - Current time
+	 */
+	pruneUsers(now) {
+		let users = this.data.users;
+		for (let userid in users) {
+			if (!users[userid].commands || users[userid].last <= now - Max_Days * Day) delete users[userid];
+		}
+		let ids = Object.keys(users);
+		if (ids.length <= Max_Users) return;
+		ids.sort((a, b) => (users[a].last - users[b].last));
+		for (let i = 0; i < ids.length - Max_Users; i++) {
+			delete users[ids[i]];
+		}
+	}
+
+	/**
+	 * @param {Object} buckets - Hourly or daily buckets
+	 * @param {Number} time - Start of the bucket
+	 * @param {String} cmd - Command ID
+	 * @param {String} room - Room ID or null
+	 * @param {Boolean} error
+	 * @param {Number} maxAge - Buckets older than this are removed
+	 */
+	addToBucket(buckets, time, cmd, room, error, maxAge) {
+		if (!buckets[time]) {
+			buckets[time] = Object.create(null);
+			for (let key in buckets) {
+				if (parseInt(key) <= time - maxAge) delete buckets[key];
+			}
+		}
+		if (!buckets[time][cmd]) buckets[time][cmd] = { uses: 0, errors: 0, rooms: Object.create(null) };
+		let bucket = buckets[time][cmd];
+		bucket.uses++;
+		if (error) bucket.errors++;
+		if (room) {
+			if (!bucket.rooms[room]) bucket.rooms[room] = { uses: 0, errors: 0 };
+			bucket.rooms[room].uses++;
+			if (error) bucket.rooms[room].errors++;
+		}
+	}
+
+	/**
+	 * @param {Object} bucket - Uses of a command in a bucket
+	 * @param {String} room - Room ID (optional)
+	 * @returns {Object} uses, errors
+	 */
+	getBucketUses(bucket, room) {
+		if (!room) return bucket;
+		return (bucket.rooms && bucket.rooms[room]) || { uses: 0, errors: 0 };
+	}
+
+	/**
+	 * @param {String} room - Room ID (optional)
+	 * @returns {Array<Object>} Commands (cmd, uses, errors, last), most used first
+	 */
+	getTopCommands(room) {
+		let commands = (room ? (this.data.rooms[room] || {}) : this.data.commands);
+		let list = [];
+		for (let cmd in commands) {
+			list.push({ cmd: cmd, uses: commands[cmd].uses, errors: commands[cmd].errors, last: commands[cmd].last });
+		}
+		return list.sort((a, b) => (b.uses - a.uses) || (a.cmd < b.cmd ? -1 : 1));
+	}
+
+	/**
+	 * @returns {Array<Object>} Users (id, uses, favorite command), most active first
+	 */
+	getTopUsers() {
+		let list = [];
+		for (let userid in this.data.users) {
+			let commands = this.data.users[userid].commands || {};
+			let uses = 0, favorite = "";
+			for (let cmd in commands) {
+				uses += commands[cmd];
+				if (!favorite || commands[cmd] > commands[favorite]) favorite = cmd;
+			}
+			list.push({ id: userid, uses: uses, favorite: favorite });
+		}
+		return list.sort((a, b) => (b.uses - a.uses));
+	}
+
+	/**
+	 * Sums the uses of the commands in a time interval
+	 * @param {Number} from - Start time
+	 * @param {Number} to - End time
+	 * @param {String} room - Room ID (optional)
+	 * @returns {Object} Command ID => { uses, errors }
+	 */
+	getUsesBetween(from, to, room) {
+		let result = Object.create(null);
+		for (let key in this.data.daily) {
+			let time = parseInt(key);
+			if (time < from || time >= to) continue;
+			for (let cmd in this.data.daily[key]) {
+				let uses = this.getBucketUses(this.data.daily[key][cmd], room);
+				if (!uses.uses) continue;
+				if (!result[cmd]) result[cmd] = { uses: 0, errors: 0 };
+				result[cmd].uses += uses.uses;
+				result[cmd].errors += uses.errors;
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Compares the uses of the last days with the previous period
+	 * @param {Number} days - Length of the period in days
+	 * @param {String} room - Room ID (optional)
+	 * @returns {Object} Command ID => { current, previous }
+	 */
+	getTrends(days, room) {
+		let today = Date.now() - (Date.now() % Day);
+		let current = this.getUsesBetween(today - (days - 1) * Day, today + Day, room);
+		let previous = this.getUsesBetween(today - (2 * days - 1) * Day, today - (days - 1) * Day, room);
+		let result = Object.create(null);
+		for (let cmd in current) {
+			result[cmd] = { current: current[cmd].uses, previous: 0 };
+		}
+		for (let cmd in previous) {
+			if (!result[cmd]) result[cmd] = { current: 0, previous: 0 };
+			result[cmd].previous = previous[cmd].uses;
+		}
+		return result;
+	}
+
+	/**
+	 * @param {String} type - hourly or daily
+	 * @param {Number} length - Number of buckets
+	 * @param {String} room - Room ID (optional)
+	 * @returns {Array<Object>} Buckets (time, uses, errors), oldest first, including the empty ones
+	 */
+	getTimeline(type, length, room) {
+		let size = (type === 'hourly' ? Hour : Day);
+		let buckets = (type === 'hourly' ? this.data.hourly : this.data.daily);
+		let last = Date.now() - (Date.now() % size);
+		let result = [];
+		for (let i = length - 1; i >= 0; i--) {
+			let time = last - i * size;
+			let bucket = { time: time, uses: 0, errors: 0 };
+			for (let cmd in (buckets[time] || {})) {
+				let uses = this.getBucketUses(buckets[time][cmd], room);
+				bucket.uses += uses.uses;
+				bucket.errors += uses.errors;
+			}
+			result.push(bucket);
+		}
+		return result;
+	}
+
+	/**
+	 * @param {Number} days - Days without uses
+	 * @param {String} room - Room ID (optional)
+	 * @returns {Array<Object>} Dynamic commands (cmd, uses, last) not used in the last days
+	 */
+	getUnusedDynCmds(days, room) {
+		let limit = Date.now() - days * Day;
+		let commands = (room ? (this.data.rooms[room] || {}) : this.data.commands);
+		let result = [];
+		for (let cmd of Object.keys(this.app.parser.data.dyncmds).sort()) {
+			let command = commands[cmd];
+			if (!command || command.last < limit) {
+				result.push({ cmd: cmd, uses: (command ? command.uses : 0), last: (command ? command.last : 0) });
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * @returns {Number} Time of the first recorded command
+	 */
+	getStartTime() {
+		let start = 0;
+		for (let cmd in this.data.commands) {
+			if (!start || this.data.commands[cmd].first < start) start = this.data.commands[cmd].first;
+		}
+		return start;
+	}
+
+	/**
+	 * Removes the recorded data
+	 */
+	clear() {
+		this.data.commands = Object.create(null);
+		this.data.rooms = Object.create(null);
+		this.data.users = Object.create(null);
+		this.data.hourly = Object.create(null);
+		this.data.daily = Object.create(null);
+		this.flush();
+	}
+}
+
+module.exports = CommandAnalytics;
@@ -16,6 +16,14 @@ const Help_Msg_Interval = 2 * 60 * 1000;
 const Command_Wait_Interval = 1500;
 const Command_Reply_Wait_Interval = 10 * 1000;
 const Flood_Ban_Duration = 60 * 60 * 1000;
+const Max_Cooldown = 24 * 60 * 60 * 1000;
+const Suggestions_Interval = 30 * 1000;
+const Max_Suggestions = 3;
+
+const Cooldown_Scopes = ['user', 'room', 'global'];
+
+/* Commands that run other commands (the analytics record the command they run) */
+const Dispatch_Commands = ['exec', 'wall', 'execdyn'];
 
 const Util = require('util');
 const Path = require('path');
@@ -24,6 +32,9 @@ const Text = Tools('text');
 const Chat = Tools('chat');
 const AbuseMonitor = Tools('abuse-monitor');
 const LineSplitter = Tools('line-splitter');
+const CmdTemplate = Tools('cmd-template');
+
+const CommandAnalytics = require(Path.resolve(__dirname, 'command-analytics.js'));
 
 const Lang_File = Path.resolve(__dirname, 'command-parser.translations');
 const Lang_File_Usage = Path.resolve(__dirname, 'command-usage.translations');
@@ -46,12 +57,43 @@ class CommandParser {
 			after: Object.create(null),
 		};
 		this.commandKeysProviders = Object.create(null);
+		this.commandKeysHandlers = Object.create(null);
 		this.lastHelpCommand = Object.create(null);
 		this.lastPrivateCommand = Object.create(null);
 		this.lastReplyCommand = Object.create(null);
+		this.lastSuggestion = Object.create(null);
+		this.commandCooldownEnd = Object.create(null);
+		this.cooldownNotices = Object.create(null);
+		this.cooldownScopes = Cooldown_Scopes;
 
 		/* Configuration DataBase */
 		this.db = app.dam.getDataBase('cmd-parser.json');
+		this.db.on('reload', this.load.bind(this));
+		this.load();
+
+		/* Permissions */
+		this.modPermissions = {
+			wall: { group: 'driver' },
+			info: { group: 'voice' },
+		};
+
+		/* Abuse Monitor */
+		this.monitor = new AbuseMonitor(Max_Cmd_Flood, Flood_Interval, Flood_Ban_Duration);
+		this.monitor.on('lock', function (user, msg) {
+			this.app.log("[PARSER - ABUSE] [LOCK: " + user + "]" + (msg ? (' ' + msg) : ''));
+		}.bind(this));
+		this.monitor.on('unlock', function (user) {
+			this.app.log("[PARSER - ABUSE] [UNLOCK: " + user + "]");
+		}.bind(this));
+
+		/* Usage Analytics */
+		this.analytics = new CommandAnalytics(app);
+	}
+
+	/**
+	 * Loads the configuration (also when the database is rolled back)
+	 */
+	load() {
 		this.data = this.db.data;
 		if (!this.data.aliases) this.data.aliases = Object.create(null); /* Command Aliases */
 		if (!this.data.exceptions) this.data.exceptions = Object.create(null); /* Excepted users */
@@ -68,28 +110,16 @@ class CommandParser {
 		if (!this.data.antirepeat) this.data.antirepeat = false; /* Anti-Repeat System */
 		if (!this.data.antimixtoken) this.data.antimixtoken = false; /* Anti-Repeat System */
 		if (!this.data.antimultitoken) this.data.antimultitoken = false; /* Anti Multi-Token */
+		if (!this.data.suggestions) this.data.suggestions = false; /* Suggestions for unknown commands */
 		if (!this.data.pmTokens || !(this.data.pmTokens instanceof Array)) this.data.pmTokens = []; /* Command Aliases */
+		if (!this.data.cooldowns) this.data.cooldowns = Object.create(null); /* Command cooldowns */
+		if (!this.data.roomcooldowns) this.data.roomcooldowns = Object.create(null); /* Command cooldowns in rooms */
 
 		/* Dynamic Commands */
 		if (!this.data.dyncmds) this.data.dyncmds = Object.create(null);
 		if (Object.keys(this.data.dyncmds).length === 0) {
 			this.data.dyncmds['help'] = 'https://github.com/AgustinSRG/Showdown-ChatBot/wiki/Commands-List';
 		}
-
-		/* Permissions */
-		this.modPermissions = {
-			wall: { group: 'driver' },
-			info: { group: 'voice' },
-		};
-
-		/* Abuse Monitor */
-		this.monitor = new AbuseMonitor(Max_Cmd_Flood, Flood_Interval, Flood_Ban_Duration);
-		this.monitor.on('lock', function (user, msg) {
-			this.app.log("[PARSER - ABUSE] [LOCK: " + user + "]" + (msg ? (' ' + msg) : ''));
-		}.bind(this));
-		this.monitor.on('unlock', function (user) {
-			this.app.log("[PARSER - ABUSE] [UNLOCK: " + user + "]");
-		}.bind(this));
 	}
 
 	/**
@@ -108,42 +138,45 @@ class CommandParser {
 	/**
 	 * Inexact search for commands
 	 * @param {String} cmd - Inexact command id
-	 * @returns {String} Exact command or empty string if not found
+	 * @param {Object} ident - User (optional). Commands the user cannot run are ignored
+	 * @param {String} room - Room to check the permissions, null if private message
+	 * @returns {Array<String>} Similar commands, closest first
 	 */
-	searchCommand(cmd) {
-		if (!cmd) return '';
+	searchCommands(cmd, ident, room) {
+		if (!cmd) return [];
 		let results = [];
+		let found = Object.create(null);
 		let maxLd = 3;
 
 		if (cmd.length <= 1) {
-			return '';
+			return [];
 		} else if (cmd.length <= 4) {
 			maxLd = 1;
 		} else if (cmd.length <= 6) {
 			maxLd = 2;
 		}
 
-		for (let command of Object.keys(this.commands)) {
+		let check = function (command, handler) {
+			if (found[command]) return;
 			let ld = Text.levenshtein(command, cmd, maxLd);
-			if (ld <= maxLd) {
-				results.push({ cmd: command, ld: ld });
-			}
+			if (ld > maxLd) return;
+			if (ident && !this.canRunCommand(ident, handler || command, room)) return;
+			found[command] = true;
+			results.push({ cmd: command, ld: ld });
+		}.bind(this);
+
+		for (let command of Object.keys(this.commands)) {
+			check(command);
 		}
 
 		for (let command of Object.keys(this.data.dyncmds)) {
-			let ld = Text.levenshtein(command, cmd, maxLd);
-			if (ld <= maxLd) {
-				results.push({ cmd: command, ld: ld });
-			}
+			check(command);
 		}
 
 		for (let command of Object.keys(this.data.aliases)) {
 			let aliasRef = this.data.aliases[command];
 			if (this.commandExists(aliasRef)) {
-				let ld = Text.levenshtein(command, cmd, maxLd);
-				if (ld <= maxLd) {
-					results.push({ cmd: command, ld: ld });
-				}
+				check(command, aliasRef);
 			}
 		}
 
@@ -151,24 +184,81 @@ class CommandParser {
 			const provider = this.commandKeysProviders[providerKey];
 			const providerCommands = provider();
 			for (let command of providerCommands) {
-				let ld = Text.levenshtein(command, cmd, maxLd);
-				if (ld <= maxLd) {
-					results.push({ cmd: command, ld: ld });
-				}
+				check(command, this.commandKeysHandlers[providerKey]);
 			}
 		}
 
-		let currLd = 10;
-		let chosen = '';
+		return results.sort((a, b) => (a.ld - b.ld)).map(result => result.cmd);
+	}
+
+	/**
+	 * Inexact search for commands
+	 * @param {String} cmd - Inexact command id
+	 * @param {Object} ident - User (optional). Commands the user cannot run are ignored
+	 * @param {String} room - Room to check the permissions, null if private message
+	 * @returns {String} Exact command or empty string if not found
+	 */
+	searchCommand(cmd, ident, room) {
+		return this.searchCommands(cmd, ident, room)[0] || '';
+	}
+
+	/**
+	 * Returns false if the user does not have the permission
+	 * required to run a command
+	 * @param {Object} ident - Object with "id" and group attributes of the user
+	 * @param {String} cmd - Command ID (aliases resolved)
+	 * @param {String} room - Room ID, null if private message
+	 * @returns {Boolean}
+	 */
+	canRunCommand(ident, cmd, room) {
+		if (this.commands[cmd]) {
+			let doc = this.getCommandDoc(cmd);
+			if (!doc) return true;
+			if (doc.excepted && !this.data.exceptions[ident.id]) return false;
+			return !doc.perm || !!this.can(ident, doc.perm, room);
+		}
+		return !!this.data.dyncmds[cmd];
+	}
 
-		for (let i = 0; i < results.length; i++) {
-			if (results[i].ld < currLd) {
-				currLd = results[i].ld;
-				chosen = results[i].cmd;
+	/**
+	 * Gets the documentation of a static command, declared
+	 * in the help section of the botmodule.json of its module
+	 * @param {String} cmd - Command ID (aliases resolved)
+	 * @returns {Object} Command docs (args, desc, perm, excepted) or null if it is not declared
+	 */
+	getCommandDoc(cmd) {
+		for (let id in this.app.modules) {
+			let mod = this.app.modules[id];
+			if (mod.commands && typeof mod.commands[cmd] === 'function' && mod.help && mod.help[cmd]) {
+				return mod.help[cmd];
 			}
 		}
+		return null;
+	}
 
-		return chosen;
+	/**
+	 * Sends the commands similar to an unknown
+	 * command to the user, by private message
+	 * @param {CommandContext} context
+	 * @returns {Boolean} true if the suggestions were sent (now or recently)
+	 */
+	sendSuggestions(context) {
+		let userid = context.byIdent.id;
+		let now = Date.now();
+		for (let user in this.lastSuggestion) {
+			if (now - this.lastSuggestion[user] >= Suggestions_Interval) {
+				delete this.lastSuggestion[user];
+			}
+		}
+		if (this.lastSuggestion[userid]) return true;
+		let suggestions = this.searchCommands(context.cmd, context.byIdent, context.room).slice(0, Max_Suggestions);
+		if (!suggestions.length) return false;
+		this.lastSuggestion[userid] = now;
+		context.pmReply(this.app.multilang.mlt(Lang_File, context.getUserLanguage(), 'suggest', {
+			cmd: Chat.italics(context.cmd),
+			list: suggestions.map(cmd => Chat.code(context.token + cmd)).join(', '),
+		}));
+		return true;
 	}
 
 	/**
@@ -254,9 +344,11 @@ class CommandParser {
 	 * Adds a command keys provider
 	 * @param {String} id - Provider ID
 	 * @param {function()} func - Function that returns a list of command keys
+	 * @param {String} handler - Static command that runs the commands (optional, to check the permissions)
 	 */
-	addCommandKeysProvider(id, func) {
+	addCommandKeysProvider(id, func, handler) {
 		this.commandKeysProviders[id] = func;
+		if (handler) this.commandKeysHandlers[id] = handler;
 	}
 
 	/**
@@ -289,8 +381,10 @@ class CommandParser {
 	 * Sends a help message
 	 * @param {String} userid - User ID
 	 * @param {String} by - User name
+	 * @param {Bot} bot - Connection to send the message (optional)
 	 */
-	sendHelpMsg(userid, by) {
+	sendHelpMsg(userid, by, bot) {
+		bot = bot || this.bot;
 		for (let user in this.lastHelpCommand) {
 			if (Date.now() - this.lastHelpCommand[user] >= Help_Msg_Interval) {
 				delete this.lastHelpCommand[user];
@@ -300,19 +394,21 @@ class CommandParser {
 		this.lastHelpCommand[userid] = Date.now();
 		let helpmsg = this.data.helpmsg;
 		helpmsg = helpmsg.replace(/\$USER/, by);
-		helpmsg = helpmsg.replace(/\$BOT/, this.bot.getBotNick());
-		this.bot.pm(userid, Text.stripCommands(helpmsg));
+		helpmsg = helpmsg.replace(/\$BOT/, bot.getBotNick());
+		bot.pm(userid, Text.stripCommands(helpmsg));
 	}
 
 	/**
 	 * Anti Spam System (check method)
 	 * @param {String} userid - User ID
 	 * @param {String} room - Room where the command is used
+	 * @param {Bot} bot - Connection that received the command (optional)
 	 * @returns {Boolean}
 	 */
-	checkAntiSpamSystem(userid, room) {
+	checkAntiSpamSystem(userid, room, bot) {
+		bot = bot || this.bot;
 		if (!this.data.antispam) return false;
-		if (room && this.bot.rooms[room] && this.bot.rooms[room].type === 'chat') return false; // Public command
+		if (room && bot.rooms[room] && bot.rooms[room].type === 'chat') return false; // Public command
 		for (let user in this.lastPrivateCommand) {
 			if (Date.now() - this.lastPrivateCommand[user] >= Command_Wait_Interval) {
 				delete this.lastPrivateCommand[user];
@@ -325,13 +421,151 @@ class CommandParser {
 	 * Anti Spam System (set method)
 	 * @param {String} userid - User ID
 	 * @param {String} room - Room where the command is used
+	 * @param {Bot} bot - Connection that received the command (optional)
 	 */
-	markPrivateCommand(userid, room) {
+	markPrivateCommand(userid, room, bot) {
+		bot = bot || this.bot;
 		if (!this.data.antispam) return;
-		if (room && this.bot.rooms[room] && this.bot.rooms[room].type === 'chat') return false; // Public command
+		if (room && bot.rooms[room] && bot.rooms[room].type === 'chat') return false; // Public command
 		this.lastPrivateCommand[userid] = Date.now();
 	}
 
+	/**
+	 * Gets the cooldown configuration of a command
+	 * @param {String} cmd - Command ID (aliases resolved)
+	 * @param {String} room - Room ID or null
+	 * @returns {Object} Cooldown (time, scope, exempt) or null if the command has no cooldown
+	 */
+	getCooldown(cmd, room) {
+		if (room && this.data.roomcooldowns[room] && this.data.roomcooldowns[room][cmd]) {
+			return this.data.roomcooldowns[room][cmd];
+		}
+		return this.data.cooldowns[cmd] || null;
+	}
+
+	/**
+	 * Sets the cooldown of a command
+	 * @param {String} cmd - Command ID
+	 * @param {String} room - Room ID or null to set it for every room
+	 * @param {Number} time - Cooldown in milliseconds
+	 * @param {String} scope - user, room or global
+	 * @param {String} exempt - Group exempted from the cooldown (and higher groups)
+	 */
+	setCooldown(cmd, room, time, scope, exempt) {
+		let cooldown = {
+			time: Math.min(Max_Cooldown, time),
+			scope: Cooldown_Scopes.indexOf(scope) >= 0 ? scope : 'user',
+			exempt: exempt || 'excepted',
+		};
+		if (room) {
+			if (!this.data.roomcooldowns[room]) this.data.roomcooldowns[room] = Object.create(null);
+			this.data.roomcooldowns[room][cmd] = cooldown;
+		} else {
+			this.data.cooldowns[cmd] = cooldown;
+		}
+	}
+
+	/**
+	 * Removes the cooldown of a command
+	 * @param {String} cmd - Command ID
+	 * @param {String} room - Room ID or null
+	 * @returns {Boolean} true if the cooldown existed
+	 */
+	removeCooldown(cmd, room) {
+		if (room) {
+			if (!this.data.roomcooldowns[room] || !this.data.roomcooldowns[room][cmd]) return false;
+			delete this.data.roomcooldowns[room][cmd];
+			if (Object.keys(this.data.roomcooldowns[room]).length === 0) {
+				delete this.data.roomcooldowns[room];
+			}
+		} else {
+			if (!this.data.cooldowns[cmd]) return false;
+			delete this.data.cooldowns[cmd];
+		}
+		return true;
+	}
+
+	/**
+	 * Gets the key used to register the cooldown of a command
+	 * @param {CommandContext} context
+	 * @param {String} cmd - Command ID (aliases resolved)
+	 * @returns {Object} Key and cooldown, or null if the user is not affected by any cooldown
+	 */
+	getCooldownKey(context, cmd) {
+		let cooldown = this.getCooldown(cmd, context.room);
+		if (!cooldown) return null;
+		if (this.data.exceptions[context.byIdent.id]) return null;
+		if (this.equalOrHigherGroup(context.byIdent, cooldown.exempt)) return null;
+		let key;
+		if (cooldown.scope === 'global') {
+			key = cmd;
+		} else if (cooldown.scope === 'room' && context.room) {
+			key = cmd + '|' + context.room;
+		} else {
+			key = cmd + '||' + context.byIdent.id;
+		}
+		return { key: key, time: cooldown.time };
+	}
+
+	/**
+	 * Checks the cooldown of a command
+	 * @param {CommandContext} context
+	 * @param {String} cmd - Command ID (aliases resolved)
+	 * @returns {Boolean} true if the command is in cooldown (it must not run)
+	 */
+	checkCooldown(context, cmd) {
+		if (context.handler === cmd) return false; /* Already checked (a static command running the dynamic command with the same name) */
+		if (!this.canRunCommand(context.byIdent, cmd, context.room)) return false; /* The command denies the access */
+		let cooldown = this.getCooldownKey(context, cmd);
+		if (!cooldown) return false;
+		let now = Date.now();
+		for (let k in this.commandCooldownEnd) {
+			if (now >= this.commandCooldownEnd[k]) {
+				delete this.commandCooldownEnd[k];
+			}
+		}
+		for (let k in this.cooldownNotices) {
+			if (now >= this.cooldownNotices[k]) {
+				delete this.cooldownNotices[k];
+			}
+		}
+		if (!this.commandCooldownEnd[cooldown.key]) return false;
+		this.sendCooldownNotice(context, cmd, cooldown.key, now);
+		return true;
+	}
+
+	/**
+	 * Tells the user that a command is in cooldown, once per cooldown window
+	 * (so the notices cannot be used to flood the room)
+	 * @param {CommandContext} context
+	 * @param {String} cmd - Command ID (aliases resolved)
+	 * @param {String} key - Cooldown key
+	 * @param {Number} now - Current timestamp
+	 */
+	sendCooldownNotice(context, cmd, key, now) {
+		let noticeKey = key + '|' + context.byIdent.id;
+		if (this.cooldownNotices[noticeKey]) return;
+		let end = this.commandCooldownEnd[key];
+		this.cooldownNotices[noticeKey] = end;
+		context.errorReply(this.app.multilang.mlt(Lang_File, context.lang, 'cooldown', {
+			cmd: Chat.italics(context.token + cmd),
+			time: Math.ceil((end - now) / 1000),
+		}));
+	}
+
+	/**
+	 * Starts the cooldown of a command once it ran. Users who
+	 * were denied access do not start the cooldown
+	 * @param {CommandContext} context
+	 * @param {String} cmd - Command ID (aliases resolved)
+	 */
+	startCooldown(context, cmd) {
+		if (context.accessDenied || !this.canRunCommand(context.byIdent, cmd, context.room)) return;
+		let cooldown = this.getCooldownKey(context, cmd);
+		if (!cooldown || this.commandCooldownEnd[cooldown.key]) return;
+		this.commandCooldownEnd[cooldown.key] = Date.now() + cooldown.time;
+	}
+
 	/**
 	 * Runs a dynamic command if it exists
 	 * @param {CommandContext} context
@@ -344,8 +578,10 @@ class CommandParser {
 			handler = this.data.aliases[handler]; /* Parse aliases */
 		}
 		if (cmds[handler]) {
+			if (this.checkCooldown(context, handler)) return true;
 			let command = new DynamicCommand(handler, cmds[handler]);
 			command.exec(context); /* Run command */
+			this.startCooldown(context, handler);
 			return true;
 		}
 		return false;
@@ -358,15 +594,14 @@ class CommandParser {
 	 */
 	exec(context) {
 		let handler = context.cmd;
+		if (!this.commands[handler] && this.data.aliases[handler]) {
+			handler = this.data.aliases[handler]; /* Parse aliases */
+		}
 		if (this.commands[handler]) {
+			if (this.checkCooldown(context, handler)) return true;
 			this.commands[handler].exec(context); /* Run command */
+			this.startCooldown(context, handler);
 			return true;
-		} else if (this.data.aliases[handler]) {
-			handler = this.data.aliases[handler]; /* Parse aliases */
-			if (this.commands[handler]) {
-				this.commands[handler].exec(context); /* Run command */
-				return true;
-			}
 		}
 		return false;
 	}
@@ -377,21 +612,26 @@ class CommandParser {
 	 * @param {String} msg - Message
 	 * @param {String} room - Room ID, null if Private message
 	 * @param {String} by - User name
+	 * @param {Boolean} isShortcut - true if the message comes from a shortcut
+	 * @param {Bot} bot - Connection that received the message (by default, the one assigned to the room)
 	 */
-	parse(msg, room, by, isShortcut) {
+	parse(msg, room, by, isShortcut, bot) {
 		if (!room && msg.substring(0, 8) === '/invite ') {
-			return this.parse((this.app.config.parser.tokens[0] || '') + 'joinroom ' + msg.substr(8), room, by, isShortcut);
+			return this.parse((this.app.config.parser.tokens[0] || '') + 'joinroom ' + msg.substr(8), room, by, isShortcut, bot);
 		}
 		if (msg.substring(0, 8) === '/botmsg ') {
-			return this.parse(msg.substring('/botmsg '.length), room, by, isShortcut);
+			return this.parse(msg.substring('/botmsg '.length), room, by, isShortcut, bot);
 		}
 		if (msg.substring(0, 6) === '/html ') {
-			return this.parse(msg.substring(6), room, by, isShortcut);
+			return this.parse(msg.substring(6), room, by, isShortcut, bot);
+		}
+		if (!bot) {
+			bot = (room ? this.app.connections.getRoomBot(room) : this.bot);
 		}
 		let userid = Text.toId(by);
 		if (room && this.data.sleep[room]) return; /* Sleeping room */
 		if (!this.data.exceptions[userid] && (this.monitor.isLocked(userid) || this.data.lockedUsers[userid])) return; /* User locked */
-		if (!isShortcut && !this.data.exceptions[userid] && this.checkAntiSpamSystem(userid, room)) return;
+		if (!isShortcut && !this.data.exceptions[userid] && this.checkAntiSpamSystem(userid, room, bot)) return;
 
 		/* Target Room */
 		let tarRoom = room;
@@ -425,7 +665,7 @@ class CommandParser {
 
 		if (!token) {
 			if (!room && this.data.helpmsg && !(msg.charAt(0) in { "/": 1, "!": 1 })) {
-				this.sendHelpMsg(Text.toId(by), by); /* Help Message */
+				this.sendHelpMsg(Text.toId(by), by, bot); /* Help Message */
 			}
 			return;
 		}
@@ -445,7 +685,7 @@ class CommandParser {
 		cmd = Text.toCmdid(cmd);
 
 		/* Create Command Context */
-		let context = new CommandContext(this, room, by, token, cmd, arg, tarRoom, false, msg);
+		let context = new CommandContext(this, room, by, token, cmd, arg, tarRoom, false, msg, bot);
 
 		context.isShortcut = !!isShortcut;
 
@@ -469,7 +709,7 @@ class CommandParser {
 			if (!this.exec(context)) { /* Static commands have preference */
 				if (this.execDyn(context)) {
 					this.monitor.count(userid);
-					if (!this.data.exceptions[userid]) this.markPrivateCommand(userid, room);
+					if (!this.data.exceptions[userid]) this.markPrivateCommand(userid, room, bot);
 				} else {
 					if (!this.execTriggers('after', context)) {
 						if (Text.toId(cmd)) {
@@ -483,10 +723,15 @@ class CommandParser {
 				}
 			} else {
 				this.monitor.count(userid);
-				if (!this.data.exceptions[userid]) this.markPrivateCommand(userid, room);
+				if (!this.data.exceptions[userid]) this.markPrivateCommand(userid, room, bot);
 			}
+			if (Dispatch_Commands.indexOf(context.handler) >= 0 && context.cmd !== context.handler) {
+				context.handler = null; /* The command to run was not found */
+			}
+			if (context.handler) this.analytics.record(context.handler, room, userid, false);
 		} catch (err) {
 			this.app.log("[COMMAND CRASH] " + err.code + ":" + err.message + " | " + context.toString() + "\n" + err.stack);
+			if (context.handler) this.analytics.record(context.handler, room, userid, true);
 			context.errorReply("The command crashed: " + err.code + " (" + err.message + ")");
 		}
 	}
@@ -585,6 +830,24 @@ class CommandParser {
 		return this.equalOrHigherGroup(ident, tarGroup);
 	}
 
+	/**
+	 * Returns the group required for a permission
+	 * @param {String} perm - The permission
+	 * @param {String} room - Room ID, null for the global configuration
+	 * @returns {String} Group, 'user' if any user has the permission or 'excepted' if only excepted users have it
+	 */
+	getPermissionGroup(perm, room) {
+		if (room && this.data.roompermissions[room] && this.data.roompermissions[room][perm]) {
+			return this.data.roompermissions[room][perm];
+		} else if (this.data.permissions[perm]) {
+			return this.data.permissions[perm];
+		} else if (this.modPermissions[perm] && !this.modPermissions[perm].excepted && this.modPermissions[perm].group) {
+			return this.modPermissions[perm].group;
+		} else {
+			return 'excepted';
+		}
+	}
+
 	/**
 	 * Returns an array with all commands ids
 	 * @returns {Array<String>}
@@ -601,8 +864,9 @@ class CommandParser {
 	 * @returns {String}
 	 */
 	getRoomTitle(room) {
-		if (this.app.bot.rooms[room]) {
-			return (this.app.bot.rooms[room].title || room);
+		let bot = this.app.connections.getRoomBot(room);
+		if (bot.rooms[room]) {
+			return (bot.rooms[room].title || room);
 		} else {
 			return Text.escapeHTML(room);
 		}
@@ -647,7 +911,7 @@ class Command {
 	 */
 	exec(context) {
 		context.handler = this.id;
-		this.func.call(context, context.parser.app, context);
+		this.func.call(context, context.parser.app.connections.getBotApp(context.bot), context);
 	}
 }
 
@@ -673,24 +937,45 @@ class DynamicCommand {
 		this.execNext(this.conf, context);
 	}
 
-	botCanHtml(room, App) {
-		let roomData = App.bot.rooms[room];
-		let botid = Text.toId(App.bot.getBotNick());
+	botCanHtml(room, App, bot) {
+		bot = bot || App.bot;
+		let roomData = bot.rooms[room];
+		let botid = Text.toId(bot.getBotNick());
 		return (roomData && roomData.users[botid] && App.parser.equalOrHigherGroup({ group: roomData.users[botid] }, 'bot'));
 	}
 
-	botCanUseBasicCommands(room, App) {
-		let roomData = App.bot.rooms[room];
-		let botid = Text.toId(App.bot.getBotNick());
+	botCanUseBasicCommands(room, App, bot) {
+		bot = bot || App.bot;
+		let roomData = bot.rooms[room];
+		let botid = Text.toId(bot.getBotNick());
 		return (roomData && roomData.users[botid] && App.parser.equalOrHigherGroup({ group: roomData.users[botid] }, 'driver'));
 	}
 
+	/**
+	 * Resolves the placeholders of a dynamic command content
+	 * @param {String} template - Command content
+	 * @param {CommandContext} context
+	 * @param {Boolean} isHtml - true to escape the values as HTML
+	 * @returns {String} Expanded content
+	 */
+	expandTemplate(template, context, isHtml) {
+		if (!CmdTemplate.hasPlaceholders(template)) return template;
+		return CmdTemplate.expand(template, {
+			user: context.byIdent.name,
+			userid: context.byIdent.id,
+			room: context.room ? context.parser.getRoomTitle(context.room) : "",
+			roomid: context.room || "",
+			bot: context.bot.getBotNick(),
+			arg: context.arg,
+		}, isHtml ? Text.escapeHTML : null);
+	}
+
 	sendReply(reply, context) {
 		if (!reply) {
 			return;
 		}
 
-		const replyText = reply + "";
+		const template = reply + "";
 		const COMMAND_EXCEPTIONS = [
 			"/addhtmlbox",
 		];
@@ -698,7 +983,7 @@ class DynamicCommand {
 		let hasExemptedCommand = false;
 
 		for (let cmd of COMMAND_EXCEPTIONS) {
-			if (replyText.startsWith(cmd + " ")) {
+			if (template.startsWith(cmd + " ")) {
 				hasExemptedCommand = true;
 				break;
 			}
@@ -711,28 +996,41 @@ class DynamicCommand {
 				if (!cmdTrim) {
 					continue;
 				}
-				if (replyText.startsWith(cmdTrim + " ")) {
+				if (template.startsWith(cmdTrim + " ")) {
 					hasExemptedCommand = true;
 					break;
 				}
 			}
 		}
 
-		if (replyText.startsWith("/wall ") || replyText.startsWith("/announce ")) {
+		/* The reply type is decided with the template, so the arguments cannot change it */
+		let replyText;
+		try {
+			replyText = this.expandTemplate(template, context, hasExemptedCommand);
+		} catch (err) {
+			/* Not a valid template (eg: contents saved before the templates with a literal "${"), sent as plain text */
+			replyText = template;
+		}
+
+		if (!replyText) {
+			return;
+		}
+
+		if (template.startsWith("/wall ") || template.startsWith("/announce ")) {
 			const actualMessage = replyText.split(" ").slice(1).join(" ");
 			context.wall = true;
 			context.restrictReply(Text.stripCommands(actualMessage), 'info');
-		} else if (replyText.startsWith("!") || hasExemptedCommand) {
+		} else if (template.startsWith("!") || hasExemptedCommand) {
 			if (!context.can('info', context.room)) {
 				return context.replyAccessDenied('info');
 			}
 			if (context.getRoomType(context.room) !== 'chat') {
 				return context.errorReply(context.parser.app.multilang.mlt(Lang_File, context.lang, 'nochat'));
 			}
-			if (!this.botCanUseBasicCommands(context.room, context.parser.app)) {
+			if (!this.botCanUseBasicCommands(context.room, context.parser.app, context.bot)) {
 				return context.errorReply(context.parser.app.multilang.mlt(Lang_File, context.lang, 'nobot'));
 			}
-			if (hasExemptedCommand && !this.botCanHtml(context.room, context.parser.app)) {
+			if (hasExemptedCommand && !this.botCanHtml(context.room, context.parser.app, context.bot)) {
 				return context.errorReply(context.parser.app.multilang.mlt(Lang_File, context.lang, 'nobot'));
 			}
 			context.replyCommand(replyText);
@@ -791,10 +1089,12 @@ class CommandContext {
 	 * @param {String} targetRoom - Target room (control rooms for example)
 	 * @param {Boolean} replyWithWall - true to reply with /announce
 	 * @param {String} originalMessage - Original message before parsing
+	 * @param {Bot} bot - Connection that received the message (replies are sent through it)
 	 */
-	constructor(parser, room, by, token, cmd, arg, targetRoom, replyWithWall, originalMessage) {
+	constructor(parser, room, by, token, cmd, arg, targetRoom, replyWithWall, originalMessage, bot) {
 		/* Initial values */
 		this.parser = parser;
+		this.bot = bot || parser.bot;
 		this.by = by;
 		this.byIdent = Text.parseUserIdent(by);
 		this.room = this.targetRoom = room;
@@ -805,6 +1105,8 @@ class CommandContext {
 		this.wall = !!replyWithWall;
 		this.originalMessage = originalMessage;
 		this.isShortcut = false;
+		this.handler = null;
+		this.accessDenied = false; /* Set when the user is denied access to the command */
 
 		/* Room type */
 		if (room === null) {
@@ -812,7 +1114,7 @@ class CommandContext {
 			this.roomType = 'pm';
 		} else {
 			this.isPM = false;
-			let rData = this.parser.bot.rooms[room];
+			let rData = this.bot.rooms[room];
 			if (rData) {
 				this.roomType = rData.type;
 			} else {
@@ -834,9 +1136,9 @@ class CommandContext {
 	 */
 	send(data, room) {
 		if (room === undefined) {
-			return this.parser.bot.send(data);
+			return this.bot.send(data);
 		} else {
-			return this.parser.bot.sendTo(room, data);
+			return this.bot.sendTo(room, data);
 		}
 	}
 
@@ -846,7 +1148,7 @@ class CommandContext {
 	 * @param {Array<String>|String} data
 	 */
 	sendPM(to, data) {
-		return this.parser.bot.pm(to, data);
+		return this.bot.pm(to, data);
 	}
 
 	/**
@@ -880,8 +1182,8 @@ class CommandContext {
 	 * @param {Array<String>|String} msg
 	 */
 	wallReply(msg) {
-		let roomData = this.parser.bot.rooms[this.room];
-		let botid = Text.toId(this.parser.bot.getBotNick());
+		let roomData = this.bot.rooms[this.room];
+		let botid = Text.toId(this.bot.getBotNick());
 		if (this.isPM) {
 			return this.sendPM(this.byIdent.id, msg);
 		} else if (roomData && roomData.users[botid] && this.parser.equalOrHigherGroup({ group: roomData.users[botid] }, 'driver')) {
@@ -944,7 +1246,8 @@ class CommandContext {
 	 * @param {String} perm - Permission required to use the command
 	 */
 	replyAccessDenied(perm) {
-		return this.pmReply(this.parser.app.multilang.mlt(Lang_File, this.lang, 0, { perm: Chat.italics(perm) }));
+		this.accessDenied = true;
+		return this.pmReply(this.parser.app.multilang.mlt(Lang_File, this.getUserLanguage(), 0, { perm: Chat.italics(perm) }));
 	}
 
 	/**
@@ -956,15 +1259,21 @@ class CommandContext {
 	}
 
 	/**
-	 * Returns the room configured language
-	 * @returns {String} Room language
+	 * Returns the language of the context (the room language,
+	 * or the user language for private messages)
+	 * @returns {String} Language
 	 */
 	getLanguage() {
-		if (!this.room) {
-			return this.parser.app.config.language['default'];
-		} else {
-			return this.parser.app.config.language.rooms[this.room] || this.parser.app.config.language['default'];
-		}
+		return this.parser.app.multilang.getLanguage(this.room, this.isPM ? this.byIdent.id : null);
+	}
+
+	/**
+	 * Returns the language chosen by the user (for private messages),
+	 * or the room language if the user did not choose one
+	 * @returns {String} User language
+	 */
+	getUserLanguage() {
+		return this.parser.app.multilang.getLanguage(this.room, this.byIdent.id);
 	}
 
 	/**
@@ -1009,7 +1318,7 @@ class CommandContext {
 		if (room === null) {
 			return 'pm';
 		} else {
-			let rData = this.parser.bot.rooms[room];
+			let rData = this.bot.rooms[room];
 			if (rData) {
 				return rData.type;
 			} else {
@@ -1070,11 +1379,33 @@ class CommandContext {
 	 * @returns {String}
 	 */
 	mlt(key, vars) {
+		return this.mltLang(this.lang, key, vars);
+	}
+
+	/**
+	 * Gets a message from the language file, in the language
+	 * of the user (for private messages)
+	 * @param {String} key
+	 * @param {Object} vars
+	 * @returns {String}
+	 */
+	mltUser(key, vars) {
+		return this.mltLang(this.getUserLanguage(), key, vars);
+	}
+
+	/**
+	 * Gets a message from the language file
+	 * @param {String} lang - Language ID
+	 * @param {String} key
+	 * @param {Object} vars
+	 * @returns {String}
+	 */
+	mltLang(lang, key, vars) {
 		if (!this.langFile) {
 			if (!this.langData) return "(no langfile)";
-			return this.parser.app.multilang.mltData(this.langData, this.lang, key, vars);
+			return this.parser.app.multilang.mltData(this.langData, lang, key, vars);
 		}
-		return this.parser.app.multilang.mlt(this.langFile, this.lang, key, vars);
+		return this.parser.app.multilang.mlt(this.langFile, lang, key, vars);
 	}
 
 	/**
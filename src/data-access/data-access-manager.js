@@ -20,6 +20,9 @@ exports.getDataAccessManager = function (access_type, options) {
 		case "MYSQL":
 			ObjectConstructor = require(Path.resolve(__dirname, "mysql.js"));
 			break;
+		case "SQLITE":
+			ObjectConstructor = require(Path.resolve(__dirname, "sqlite.js"));
+			break;
 		default:
 			throw new Error("Invalid access type: " + access_type);
 	}
@@ -0,0 +1,201 @@
+/**
+ * Data migration between data access managers
+ *
+ * Copies every file (databases, keys, add-ons...) from a data access
+ * manager to another one and verifies the checksums after copying.
+ * Encrypted databases (*.crypto) are copied with their keys (*.key),
+ * they are checked before copying to ensure they can be decrypted
+ * in the new storage
+ */
+
+'use strict';
+
+const Path = require('path');
+const Crypto = require('crypto');
+const DataAccessManager = require(Path.resolve(__dirname, 'data-access-manager.js'));
+const AES = Tools('aes');
+
+const Crypto_Algorithm = "aes-256-ctr";
+
+/**
+ * Creates a data access manager using the application configuration
+ * @param {String} mode - Data mode (RAW, MYSQL, SQLITE)
+ * @param {Object} config - Application configuration (config.js)
+ * @param {Path} confDir - Configuration path
+ * @returns {DataAccessManager}
+ */
+function createDataAccessManager(mode, config, confDir) {
+	let dataconfig = {
+		confDir: confDir,
+	};
+	for (let k in config) {
+		if (!dataconfig[k]) {
+			dataconfig[k] = config[k];
+		}
+	}
+	dataconfig.path = confDir;
+	return DataAccessManager.getDataAccessManager(mode, dataconfig);
+}
+
+/**
+ * @param {String} content
+ * @returns {String} SHA-256 checksum (hex)
+ */
+function getChecksum(content) {
+	return Crypto.createHash('sha256').update(content + "", 'utf8').digest('hex');
+}
+
+/**
+ * @param {String} file - Encrypted database
+ * @returns {String} File of its key
+ */
+function getKeyFile(file) {
+	return file.substr(0, file.length - ".crypto".length) + ".key";
+}
+
+/**
+ * @param {String} content - Encrypted database
+ * @param {String} key
+ * @returns {Boolean} true if the database can be decrypted with the key
+ */
+function canDecrypt(content, key) {
+	try {
+		JSON.parse(AES.decrypt(content, Crypto_Algorithm, key));
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+/**
+ * @param {DataAccessManager} dam
+ * @returns {Array<String>} Files used by the data access manager to store its data
+ */
+function getStorageFiles(dam) {
+	if (typeof dam.getStorageFiles === "function") {
+		return dam.getStorageFiles();
+	}
+	return [];
+}
+
+/**
+ * @param {DataAccessManager} dam
+ * @param {String} file
+ * @returns {String} Content of the file or null if it does not exist
+ */
+function tryGetFileContent(dam, file) {
+	try {
+		return dam.getFileContent(file);
+	} catch (err) {
+		return null;
+	}
+}
+
+/**
+ * Copies the data from a data access manager to another one
+ * @param {DataAccessManager} source - Initialized data access manager
+ * @param {DataAccessManager} target - Initialized data access manager
+ * @param {Object} options - dryRun: only list the files to copy
+ * @param {function(Error, Object)} callback - Receives the report (files, directories, errors, dryRun, completed)
+ */
+function migrate(source, target, options, callback) {
+	options = options || {};
+	if (typeof source.getBackup !== "function" || typeof target.restoreBackup !== "function") {
+		return callback(new Error("Migration is not supported between " + source.type + " and " + target.type));
+	}
+
+	let report = {
+		files: [],
+		directories: [],
+		errors: [],
+		dryRun: !!options.dryRun,
+		completed: false,
+	};
+
+	let backup;
+	try {
+		backup = source.getBackup();
+	} catch (err) {
+		return callback(err);
+	}
+
+	/* Files used by the storage itself are not copied (eg: the SQLite database in the configuration path) */
+	let excluded = getStorageFiles(source).concat(getStorageFiles(target));
+	let files = backup.files.filter(file => excluded.indexOf(file.file) === -1);
+	let contents = Object.create(null);
+	for (let file of files) {
+		contents[file.file] = file.content + "";
+	}
+
+	/* Directories (including the ones of the files, not every storage keeps them) */
+	let directories = Object.create(null);
+	for (let dir of backup.directories) {
+		directories[dir] = true;
+	}
+	for (let file of files) {
+		let parts = file.file.split("/");
+		for (let i = 1; i < parts.length; i++) {
+			directories[parts.slice(0, i).join("/") + "/"] = true;
+		}
+	}
+	report.directories = Object.keys(directories).sort((a, b) => (a.length - b.length));
+
+	for (let file of files) {
+		let content = contents[file.file];
+		let existing = tryGetFileContent(target, file.file);
+		let entry = {
+			file: file.file,
+			size: Buffer.byteLength(content, 'utf8'),
+			checksum: getChecksum(content),
+			action: (existing === null ? 'new' : (existing === content ? 'identical' : 'overwrite')),
+			crypto: (/\.crypto$/).test(file.file),
+		};
+		if (entry.crypto) {
+			let keyFile = getKeyFile(file.file);
+			if (!(keyFile in contents)) {
+				report.errors.push("The key of the encrypted database " + file.file + " (" + keyFile + ") was not found.");
+			} else if (!canDecrypt(content, contents[keyFile])) {
+				report.errors.push("The encrypted database " + file.file + " could not be decrypted with its key (" + keyFile + ").");
+			}
+		}
+		report.files.push(entry);
+	}
+
+	if (report.dryRun || report.errors.length > 0) {
+		return callback(null, report);
+	}
+
+	/* Copy */
+	try {
+		target.restoreBackup(report.directories, files.map(file => {
+			return {file: file.file, content: contents[file.file]};
+		}));
+	} catch (err) {
+		return callback(err);
+	}
+
+	let verify = function () {
+		for (let entry of report.files) {
+			let content = tryGetFileContent(target, entry.file);
+			if (content === null) {
+				report.errors.push("The file " + entry.file + " was not copied.");
+			} else if (getChecksum(content) !== entry.checksum) {
+				report.errors.push("Checksum mismatch: " + entry.file);
+			} else if (entry.crypto && !canDecrypt(content, tryGetFileContent(target, getKeyFile(entry.file)) || "")) {
+				report.errors.push("The encrypted database " + entry.file + " could not be decrypted after copying.");
+			}
+		}
+		report.completed = (report.errors.length === 0);
+		return callback(null, report);
+	};
+
+	if (typeof target.flush === "function") {
+		target.flush(verify);
+	} else {
+		verify();
+	}
+}
+
+exports.createDataAccessManager = createDataAccessManager;
+exports.getChecksum = getChecksum;
+exports.migrate = migrate;
@@ -4,50 +4,8 @@
 
 'use strict';
 
-const Crypto = require('crypto');
 const EventsManager = Tools('events');
-
-/**
- * Encrypts a text
- * @param {String} text
- * @param {String} algorithm
- * @param {String} password
- * @returns {String} Encrypted text
- */
-function encrypt(text, algorithm, password) {
-	const iv = Buffer.from(Crypto.randomBytes(32));
-	const hash = Crypto.createHash('sha256');
-	hash.update(password);
-	let cipher = Crypto.createCipheriv(algorithm, hash.digest(), iv);
-	let crypted = cipher.update(text, 'utf8', 'hex');
-	crypted += cipher.final('hex');
-	return iv.toString("hex") + ":" + crypted;
-}
-
-/**
- * Decrypts a text
- * @param {String} text - Encrypted text
- * @param {String} algorithm
- * @param {String} password
- * @returns {String} Decrypted text
- */
-function decrypt(text, algorithm, password) {
-	if (text.indexOf(":") === -1) {
-		let decipher = Crypto.createDecipher(algorithm, password);
-		let data = decipher.update(text, 'hex', 'utf8');
-		data += decipher.final('utf8');
-		return data;
-	} else {
-		const parts = text.split(":");
-		const iv = Buffer.from(parts[0], 'hex');
-		const hash = Crypto.createHash('sha256');
-		hash.update(password);
-		let decipher = Crypto.createDecipheriv(algorithm, hash.digest(), iv);
-		let data = decipher.update(parts[1], 'hex', 'utf8');
-		data += decipher.final('utf8');
-		return data;
-	}
-}
+const AES = Tools('aes');
 
 /**
  * Represents an encrypted JSON database
@@ -65,7 +23,7 @@ class JSONDataBase {
 
 	write(callback) {
 		let data = JSON.stringify(this.data);
-		data = encrypt(data, this.algo, this.password);
+		data = AES.encrypt(data, this.algo, this.password);
 		this.dam.setFileContent(this.file, data);
 		this.events.emit('write');
 		if (callback && typeof callback === "function") {
@@ -85,9 +43,9 @@ class JSONDataBase {
 		try {
 			let data = this.dam.getFileContent(this.file);
 			try {
-				this.data = JSON.parseNoPrototype(decrypt(data, this.algo, this.password));
+				this.data = JSON.parseNoPrototype(AES.decrypt(data, this.algo, this.password));
 			} catch (err) {
-				this.data = JSON.parseNoPrototype(decrypt(this.dam.getFileContent(this.file, true), this.algo, this.password));
+				this.data = JSON.parseNoPrototype(AES.decrypt(this.dam.getFileContent(this.file, true), this.algo, this.password));
 			}
 		} catch (err) {
 			this.data = Object.create(null);
@@ -32,6 +32,7 @@ class DataAccessManager {
 		this.data = [];
 		this.running = Object.create(null);
 		this.waiting = Object.create(null);
+		this.dataBaseCreatedFunction = null;
 	}
 
 	init(callback) {
@@ -156,11 +157,50 @@ class DataAccessManager {
 	}
 
 	getDataBase(filename, options) {
+		let db;
 		if (options && options.crypto) {
-			return new CryptoDataBase(this, filename, options.key);
+			db = new CryptoDataBase(this, filename, options.key);
 		} else {
-			return new DataBase(this, filename);
+			db = new DataBase(this, filename);
 		}
+		if (typeof this.dataBaseCreatedFunction === "function") {
+			this.dataBaseCreatedFunction(filename, db, options || {});
+		}
+		return db;
+	}
+
+	getBackup() {
+		let data = {files: [], directories: []};
+		let files = Object.create(null);
+		for (let row of this.data) {
+			files[row.file] = true;
+		}
+		for (let file of Object.keys(files).sort()) {
+			data.files.push({file: file, content: this.getFileContent(file)});
+		}
+		return data;
+	}
+
+	restoreBackup(directories, files) {
+		/* Directories are not needed, files are stored with their full path */
+		for (let file of files) {
+			this.setFileContent(file.file, file.content + "");
+		}
+	}
+
+	/**
+	 * Waits until every change is written in the database
+	 * @param {function} callback
+	 */
+	flush(callback) {
+		if (Object.keys(this.running).length === 0) {
+			return callback();
+		}
+		setTimeout(this.flush.bind(this, callback), 100);
+	}
+
+	close() {
+		this.pool.end();
 	}
 }
 
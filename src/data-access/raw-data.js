@@ -16,6 +16,7 @@ class DataAccessManager {
 		this.type = "RAW";
 		this.path = options.path || Path.resolve(__dirname, '../../config/');
 		this.logErrorFunction = null;
+		this.dataBaseCreatedFunction = null;
 	}
 
 	init(callback) {
@@ -36,11 +37,16 @@ class DataAccessManager {
 	}
 
 	getDataBase(filename, options) {
+		let db;
 		if (options && options.crypto) {
-			return new CryptoDataBase(Path.resolve(this.path, filename), options.key, undefined, this.logErrorFunction);
+			db = new CryptoDataBase(Path.resolve(this.path, filename), options.key, undefined, this.logErrorFunction);
 		} else {
-			return new DataBase(Path.resolve(this.path, filename), this.logErrorFunction);
+			db = new DataBase(Path.resolve(this.path, filename), this.logErrorFunction);
 		}
+		if (typeof this.dataBaseCreatedFunction === "function") {
+			this.dataBaseCreatedFunction(filename, db, options || {});
+		}
+		return db;
 	}
 
 	checkSubpath(subpath) {
@@ -0,0 +1,153 @@
+/**
+ * Data Access Manager for SQLite databases
+ * simulates a basic file system using an embedded database file
+ *
+ * Every file is stored in a single row, so writing a file is
+ * atomic: if the process crashes in the middle of a write,
+ * the previous content of the file is kept
+ */
+
+'use strict';
+
+const Files_Table = "SHOWDOWN_CHATBOT_FILES";
+const Directories_Table = "SHOWDOWN_CHATBOT_DIRECTORIES";
+
+const Default_File_Name = "data.sqlite";
+
+const SQLite = require('better-sqlite3');
+const Path = require('path');
+const checkDir = Tools('checkdir');
+const DataBase = require(Path.resolve(__dirname, 'mysql-json-db.js'));
+const CryptoDataBase = require(Path.resolve(__dirname, 'mysql-json-db-crypto.js'));
+
+class DataAccessManager {
+	constructor(options) {
+		this.type = "SQLITE";
+		let path = options.path || Path.resolve(__dirname, '../../config/');
+		this.path = path;
+		this.file = Path.resolve(path, (options.SQLITE && options.SQLITE.file) || Default_File_Name);
+		this.db = null;
+		this.statements = Object.create(null);
+		this.logErrorFunction = null;
+		this.dataBaseCreatedFunction = null;
+	}
+
+	init(callback) {
+		try {
+			checkDir(Path.dirname(this.file));
+			this.db = new SQLite(this.file);
+			this.db.pragma('journal_mode = WAL');
+			this.db.pragma('synchronous = FULL');
+			this.db.exec("CREATE TABLE IF NOT EXISTS " + Files_Table + " (file TEXT PRIMARY KEY NOT NULL, content TEXT NOT NULL, updated INTEGER NOT NULL);");
+			this.db.exec("CREATE TABLE IF NOT EXISTS " + Directories_Table + " (dir TEXT PRIMARY KEY NOT NULL);");
+			this.statements.get = this.db.prepare("SELECT content FROM " + Files_Table + " WHERE file = ?;");
+			this.statements.set = this.db.prepare("INSERT INTO " + Files_Table + " (file, content, updated) VALUES (?, ?, ?) " +
+				"ON CONFLICT (file) DO UPDATE SET content = excluded.content, updated = excluded.updated;");
+			this.statements.remove = this.db.prepare("DELETE FROM " + Files_Table + " WHERE file = ?;");
+			this.statements.files = this.db.prepare("SELECT file FROM " + Files_Table + " WHERE file LIKE ? ESCAPE '\\' AND file NOT LIKE ? ESCAPE '\\';");
+			this.statements.addDir = this.db.prepare("INSERT OR IGNORE INTO " + Directories_Table + " (dir) VALUES (?);");
+			return callback();
+		} catch (err) {
+			return callback(err);
+		}
+	}
+
+	/**
+	 * Reports an error writing the database
+	 * @param {Error} err
+	 * @param {String} msg
+	 */
+	reportError(err, msg) {
+		if (typeof this.logErrorFunction === "function") {
+			this.logErrorFunction(err, msg);
+		} else {
+			throw err;
+		}
+	}
+
+	getFileContent(filename) {
+		let row = this.statements.get.get(filename);
+		if (!row) {
+			throw new Error("The file with name \"" + filename + "\" does not exists");
+		}
+		return row.content;
+	}
+
+	setFileContent(filename, content) {
+		try {
+			this.statements.set.run(filename, content + "", Date.now());
+		} catch (err) {
+			this.reportError(err, "Could not write the file " + filename);
+		}
+	}
+
+	removeFile(filename) {
+		try {
+			this.statements.remove.run(filename);
+		} catch (err) {
+			this.reportError(err, "Could not remove the file " + filename);
+		}
+	}
+
+	checkSubpath(subpath) {
+		this.statements.addDir.run(subpath + "/");
+	}
+
+	getFiles(subpath) {
+		/* Only the files of the directory, not the ones of its subdirectories */
+		let prefix = (subpath + "/").replace(/[\\%_]/g, "\\$&");
+		return this.statements.files.all(prefix + "%", prefix + "%/%").map(row => row.file);
+	}
+
+	getDataBase(filename, options) {
+		let db;
+		if (options && options.crypto) {
+			db = new CryptoDataBase(this, filename, options.key);
+		} else {
+			db = new DataBase(this, filename);
+		}
+		if (typeof this.dataBaseCreatedFunction === "function") {
+			this.dataBaseCreatedFunction(filename, db, options || {});
+		}
+		return db;
+	}
+
+	getBackup() {
+		let data = {files: [], directories: []};
+		for (let row of this.db.prepare("SELECT dir FROM " + Directories_Table + " ORDER BY dir;").all()) {
+			data.directories.push(row.dir);
+		}
+		for (let row of this.db.prepare("SELECT file, content FROM " + Files_Table + " ORDER BY file;").all()) {
+			data.files.push({file: row.file, content: row.content});
+		}
+		return data;
+	}
+
+	/**
+	 * @returns {Array<String>} Files used to store the database (relative to the configuration path)
+	 */
+	getStorageFiles() {
+		let name = Path.relative(this.path, this.file).split(Path.sep).join("/");
+		return [name, name + "-wal", name + "-shm", name + "-journal"];
+	}
+
+	close() {
+		if (this.db) {
+			this.db.close();
+		}
+	}
+
+	restoreBackup(directories, files) {
+		/* Single transaction: the backup is restored completely or not at all */
+		this.db.transaction(() => {
+			for (let dir of directories) {
+				this.statements.addDir.run(dir);
+			}
+			for (let file of files) {
+				this.statements.set.run(file.file, file.content + "", Date.now());
+			}
+		})();
+	}
+}
+
+module.exports = DataAccessManager;
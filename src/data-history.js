@@ -0,0 +1,362 @@
+/**
+ * Databases History for Showdown ChatBot
+ * Showdown ChatBot is distributed under the terms of the MIT License
+ * (https://github.com/AgustinSRG/Showdown-ChatBot/blob/master/LICENSE)
+ *
+ * This file keeps the last revisions (snapshots) of the JSON databases
+ * with the history enabled, in order to compare them and roll back
+ * a database while the bot is running.
+ * Each revision is stored in its own file (history/<database>/<rev>.json)
+ * and listed in an index, both written with the data access manager.
+ * Encrypted databases are not versioned.
+ *
+ * A revision is saved on every write, so the history should not be enabled
+ * for databases written very often (e.g. alts.json, user-prefs.json,
+ * leaderboards, cmd-analytics.json, moderation-history.json).
+ *
+ * Modules that keep state derived from a database (defaults, references to
+ * nested objects, indexes) must listen to its 'reload' event. Rolling back a
+ * loaded database without 'reload' listeners requires restarting the bot.
+ */
+
+'use strict';
+
+const History_Path = "history";
+
+const Max_Diff_Changes = 500;
+const Max_Diff_Value_Length = 200;
+
+/**
+ * @param {*} value
+ * @returns {String} Short representation of a JSON value
+ */
+function formatValue(value) {
+	if (value === undefined) return "";
+	let str = JSON.stringify(value);
+	if (str.length > Max_Diff_Value_Length) {
+		str = str.substr(0, Max_Diff_Value_Length) + "...";
+	}
+	return str;
+}
+
+/**
+ * Compares two JSON values
+ * @param {*} a - Old value
+ * @param {*} b - New value
+ * @param {String} path - Path of the values
+ * @param {Array<Object>} changes - Output (path, type, before, after)
+ */
+function diffValues(a, b, path, changes) {
+	if (changes.length >= Max_Diff_Changes) return;
+	let aObject = (a !== null && typeof a === "object");
+	let bObject = (b !== null && typeof b === "object");
+	if (aObject && bObject && Array.isArray(a) === Array.isArray(b)) {
+		let keys = Object.create(null);
+		for (let key in a) keys[key] = true;
+		for (let key in b) keys[key] = true;
+		for (let key in keys) {
+			let subpath = Array.isArray(a) ? (path + "[" + key + "]") : (path ? (path + "." + key) : key);
+			if (!(key in b)) {
+				changes.push({ path: subpath, type: 'removed', before: formatValue(a[key]), after: "" });
+			} else if (!(key in a)) {
+				changes.push({ path: subpath, type: 'added', before: "", after: formatValue(b[key]) });
+			} else {
+				diffValues(a[key], b[key], subpath, changes);
+			}
+			if (changes.length >= Max_Diff_Changes) return;
+		}
+	} else if (JSON.stringify(a) !== JSON.stringify(b)) {
+		changes.push({ path: path || "(root)", type: 'changed', before: formatValue(a), after: formatValue(b) });
+	}
+}
+
+class DataHistory {
+	/**
+	 * @param {ChatBotApp} App
+	 */
+	constructor(App) {
+		this.app = App;
+		this.databases = Object.create(null);
+		this.indexes = Object.create(null);
+		this.pending = Object.create(null);
+		this.last = Object.create(null);
+		if (!App.config.dbhistory) {
+			App.config.dbhistory = Object.create(null);
+		}
+		this.config = App.config.dbhistory;
+	}
+
+	/**
+	 * Registers a database created by the data access manager
+	 * @param {String} file - Database file
+	 * @param {JSONDataBase} db
+	 * @param {Object} options - Database options (crypto, key)
+	 */
+	register(file, db, options) {
+		if (options.crypto || file.indexOf(History_Path + "/") === 0) return;
+		this.databases[file] = db;
+		db.on('write', () => {
+			if (this.databases[file] === db) {
+				this.addRevision(file, JSON.stringify(db.data));
+			}
+		});
+		/* Initial state, to be able to undo the first change */
+		this.addRevision(file, JSON.stringify(db.data), "Loaded");
+	}
+
+	/**
+	 * @param {String} file - Database file
+	 * @returns {Boolean} true if the history is enabled for the database
+	 */
+	isEnabled(file) {
+		return !!this.config[file];
+	}
+
+	/**
+	 * @returns {Array<String>} Known databases (loaded or with history)
+	 */
+	getDataBases() {
+		let files = Object.create(null);
+		for (let file in this.databases) files[file] = true;
+		for (let file in this.config) files[file] = true;
+		return Object.keys(files).sort();
+	}
+
+	/**
+	 * @param {String} file - Database file
+	 * @returns {String} Directory where the revisions are stored
+	 */
+	getHistoryPath(file) {
+		return History_Path + "/" + file.replace(/[^a-zA-Z0-9._-]/g, "_");
+	}
+
+	/**
+	 * @param {String} file - Database file
+	 * @param {Number} rev - Revision number
+	 * @returns {String} File where the revision data is stored
+	 */
+	getRevisionFile(file, rev) {
+		return this.getHistoryPath(file) + "/" + rev + ".json";
+	}
+
+	/**
+	 * @param {String} file - Database file
+	 * @returns {JSONDataBase} Index of the revisions
+	 */
+	getIndex(file) {
+		if (!this.indexes[file]) {
+			this.app.dam.checkSubpath(History_Path);
+			this.app.dam.checkSubpath(this.getHistoryPath(file));
+			let index = this.app.dam.getDataBase(this.getHistoryPath(file) + "/index.json");
+			if (!Array.isArray(index.data.revisions)) {
+				index.data.revisions = [];
+			}
+			this.indexes[file] = index;
+		}
+		return this.indexes[file];
+	}
+
+	/**
+	 * @param {String} file - Database file
+	 * @returns {Array<Object>} Revisions (rev, time, size, note), the oldest first
+	 */
+	getRevisions(file) {
+		return this.getIndex(file).data.revisions;
+	}
+
+	/**
+	 * @param {String} file - Database file
+	 * @param {Number} rev - Revision number
+	 * @returns {Object} Revision or null if it does not exist
+	 */
+	getRevision(file, rev) {
+		for (let revision of this.getRevisions(file)) {
+			if (revision.rev === rev) return revision;
+		}
+		return null;
+	}
+
+	/**
+	 * @param {String} file - Database file
+	 * @param {Number} rev - Revision number
+	 * @returns {String} JSON data of the revision
+	 * @throws {Error} If the revision does not exist
+	 */
+	getRevisionData(file, rev) {
+		if (!this.getRevision(file, rev)) throw new Error("The revision #" + rev + " does not exist.");
+		if (this.pending[file] && this.pending[file][rev] !== undefined) {
+			return this.pending[file][rev];
+		}
+		return this.app.dam.getFileContent(this.getRevisionFile(file, rev));
+	}
+
+	/**
+	 * Saves a revision of a database (if the history is enabled and the data changed).
+	 * Each revision is written to its own file, and only the
+	 * index is rewritten when a revision is added
+	 * @param {String} file - Database file
+	 * @param {String} data - JSON data
+	 * @param {String} note - Optional description
+	 */
+	addRevision(file, data, note) {
+		if (!this.isEnabled(file)) return;
+		let revisions = this.getRevisions(file);
+		let last = revisions[revisions.length - 1];
+		if (last && this.last[file] === undefined) {
+			try {
+				this.last[file] = this.getRevisionData(file, last.rev);
+			} catch (err) {}
+		}
+		if (last && this.last[file] === data) return;
+		let rev = (last ? (last.rev + 1) : 1);
+		revisions.push({
+			rev: rev,
+			time: Date.now(),
+			size: Buffer.byteLength(data, 'utf8'),
+			note: note || "",
+		});
+		this.last[file] = data;
+		this.writeRevision(file, rev, data);
+		this.prune(file);
+		this.getIndex(file).write();
+	}
+
+	/**
+	 * Writes the data of a revision. The data is kept in memory until it is written
+	 * @param {String} file - Database file
+	 * @param {Number} rev - Revision number
+	 * @param {String} data - JSON data
+	 */
+	writeRevision(file, rev, data) {
+		if (!this.pending[file]) {
+			this.pending[file] = Object.create(null);
+		}
+		this.pending[file][rev] = data;
+		let db = this.app.dam.getDataBase(this.getRevisionFile(file, rev));
+		db.set(JSON.parseNoPrototype(data));
+		db.write(() => {
+			if (this.pending[file]) {
+				delete this.pending[file][rev];
+			}
+			if (!this.isEnabled(file) || !this.getRevision(file, rev)) {
+				/* Removed while it was being written */
+				this.removeRevisionFile(file, rev);
+			}
+		});
+	}
+
+	/**
+	 * Removes the revisions over the limit
+	 * @param {String} file - Database file
+	 */
+	prune(file) {
+		let revisions = this.getRevisions(file);
+		while (revisions.length > this.config[file]) {
+			this.removeRevisionFile(file, revisions.shift().rev);
+		}
+	}
+
+	/**
+	 * @param {String} file - Database file
+	 * @param {Number} rev - Revision number
+	 */
+	removeRevisionFile(file, rev) {
+		if (this.pending[file] && this.pending[file][rev] !== undefined) return;
+		try {
+			this.app.dam.removeFile(this.getRevisionFile(file, rev));
+		} catch (err) {}
+	}
+
+	/**
+	 * Enables the history of a database
+	 * @param {String} file - Database file
+	 * @param {Number} max - Max number of revisions to keep
+	 */
+	enable(file, max) {
+		this.config[file] = max;
+		if (this.getRevisions(file).length > max) {
+			this.prune(file);
+			this.getIndex(file).write();
+		}
+		if (this.databases[file]) {
+			this.addRevision(file, JSON.stringify(this.databases[file].data), "History enabled");
+		}
+	}
+
+	/**
+	 * Disables the history of a database and removes its revisions
+	 * @param {String} file - Database file
+	 */
+	disable(file) {
+		let revisions = this.getRevisions(file);
+		delete this.config[file];
+		delete this.last[file];
+		while (revisions.length) {
+			this.removeRevisionFile(file, revisions.shift().rev);
+		}
+		this.getIndex(file).write();
+	}
+
+	/**
+	 * Compares two revisions
+	 * @param {String} file - Database file
+	 * @param {Number} from - Revision number
+	 * @param {Number} to - Revision number (0 for the current data)
+	 * @returns {Array<Object>} Changes (path, type, before, after)
+	 * @throws {Error} If the revisions do not exist
+	 */
+	diff(file, from, to) {
+		let a = this.getRevisionData(file, from);
+		let b;
+		if (to) {
+			b = this.getRevisionData(file, to);
+		} else {
+			if (!this.databases[file]) throw new Error("The database is not loaded.");
+			b = JSON.stringify(this.databases[file].data);
+		}
+		let changes = [];
+		diffValues(JSON.parse(a), JSON.parse(b), "", changes);
+		return changes;
+	}
+
+	/**
+	 * @param {String} file - Database file
+	 * @returns {Boolean} true if the database can be rolled back without restarting the bot
+	 */
+	canReload(file) {
+		let db = this.databases[file];
+		return !db || db.events.listenerCount('reload') > 0;
+	}
+
+	/**
+	 * Restores a revision of a database. If the database is loaded,
+	 * its data is replaced and the database emits the 'reload' event,
+	 * for the modules to read it again
+	 * @param {String} file - Database file
+	 * @param {Number} rev - Revision number
+	 * @returns {Boolean} true if the data was reloaded, false if the bot must be restarted (see canReload)
+	 * @throws {Error} If the revision does not exist
+	 */
+	rollback(file, rev) {
+		let reloaded = this.canReload(file);
+		let revisionData = this.getRevisionData(file, rev);
+		let data = JSON.parseNoPrototype(revisionData);
+		let db = this.databases[file];
+		if (db) {
+			/* The main object is kept, since the modules keep references to it */
+			for (let key of Object.keys(db.data)) {
+				delete db.data[key];
+			}
+			Object.assign(db.data, data);
+			db.events.emit('reload');
+			this.addRevision(file, JSON.stringify(db.data), "Rollback to #" + rev);
+			db.write();
+		} else {
+			this.app.dam.setFileContent(file, revisionData);
+			this.addRevision(file, revisionData, "Rollback to #" + rev);
+		}
+		return reloaded;
+	}
+}
+
+module.exports = DataHistory;
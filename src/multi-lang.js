@@ -5,15 +5,55 @@
  *
  * This tool manages multi-language system for Showdown-side
  * messages (commands and modules)
+ *
+ * Language packs (*.lang files in the languages folder of the data
+ * directory) add new languages without editing the source files:
+ *
+ *    %Language Name
+ *    @translations-file-id
+ *    $key = value
  */
 
 'use strict';
 
 const Translator = Tools('translate');
 const Text = Tools('text');
+const checkDir = Tools('checkdir');
 const FileSystem = require('fs');
 const Path = require('path');
 
+const Default_Language = 'english';
+
+/**
+ * Parses a language pack
+ * @param {String} str - Language pack content
+ * @returns {Object} Language name and data (translations file id => key => value)
+ */
+function parseLanguagePack(str) {
+	let pack = { name: '', data: Object.create(null) };
+	let currFile = null;
+	for (let line of str.split('\n')) {
+		line = line.trim();
+		switch (line.charAt(0)) {
+			case '%':
+				if (!pack.name) pack.name = Text.trim(line.substr(1));
+				break;
+			case '@':
+				currFile = Text.toRoomid(line.substr(1));
+				if (currFile && !pack.data[currFile]) pack.data[currFile] = Object.create(null);
+				break;
+			case '$':
+				if (!currFile) continue;
+				let spl = line.substr(1).split('=');
+				let key = Text.toId(spl.shift());
+				if (!key) continue;
+				pack.data[currFile][key] = spl.join('=').trim();
+				break;
+		}
+	}
+	return pack;
+}
+
 /**
  * Represents a Showdown-ChatBot language manager
  */
@@ -27,7 +67,19 @@ class MultiLanguageManager {
 		this.config = config || {};
 		this.cache = Object.create(null);
 		this.langfiles = Object.create(null);
+		this.langfileModules = Object.create(null);
+		this.packs = Object.create(null);
+		this.packsDir = Path.resolve(app.dataDir, 'languages');
 		this.db = app.dam.getDataBase('custom-lang.json');
+		this.db.on('reload', this.load.bind(this));
+		this.load();
+		this.loadPacks();
+	}
+
+	/**
+	 * Reads the data of the database (also when it is rolled back)
+	 */
+	load() {
 		this.data = this.db.data;
 		if (!this.data.langdefs) {
 			this.data.langdefs = Object.create(null);
@@ -37,6 +89,41 @@ class MultiLanguageManager {
 		}
 	}
 
+	/**
+	 * Loads the language packs from the data directory
+	 * @returns {Array<String>} Errors
+	 */
+	loadPacks() {
+		let errors = [];
+		this.packs = Object.create(null);
+		checkDir(this.packsDir);
+		for (let file of FileSystem.readdirSync(this.packsDir).sort()) {
+			if (Path.extname(file) !== '.lang') continue;
+			let pack;
+			try {
+				pack = parseLanguagePack(FileSystem.readFileSync(Path.resolve(this.packsDir, file)).toString());
+			} catch (err) {
+				errors.push(file + ": " + err.message);
+				continue;
+			}
+			let id = Text.toId(pack.name);
+			if (!id) {
+				errors.push(file + ": Missing language name (%Name)");
+				continue;
+			}
+			if (this.packs[id]) {
+				errors.push(file + ": The language " + pack.name + " is already defined in " + this.packs[id].file);
+				continue;
+			}
+			pack.file = file;
+			this.packs[id] = pack;
+		}
+		for (let error of errors) {
+			this.app.log("[Language packs] " + error);
+		}
+		return errors;
+	}
+
 	/**
 	 * Asynchronous method to write the configuration
 	 * to persistent storage
@@ -54,6 +141,9 @@ class MultiLanguageManager {
 		for (let l in this.app.supportedLanguages) {
 			langs[l] = this.app.supportedLanguages[l];
 		}
+		for (let l in this.packs) {
+			langs[l] = this.packs[l].name;
+		}
 		for (let l in this.data.langdefs) {
 			langs[l] = this.data.langdefs[l];
 		}
@@ -81,17 +171,79 @@ class MultiLanguageManager {
 	 * @returns {String}
 	 */
 	mlt(file, lang, key, vars) {
-		let value;
+		let translator = this.getTranslator(file);
+		let value = null;
+		if (translator.hasId()) {
+			value = this.getCustomValue(translator.id, lang, key);
+		}
+		if (value === null) {
+			value = translator.get(key, lang);
+		}
+		return this.replaceVars(value, vars || {});
+	}
+
+	/**
+	 * @param {String} file - Translation file path
+	 * @returns {Translator}
+	 */
+	getTranslator(file) {
 		if (!this.cache[file]) {
 			this.cache[file] = new Translator(file, this.config);
 		}
-		if (this.cache[file].hasId() && this.data.langdata[lang] && this.data.langdata[lang][this.cache[file].id]) {
-			if (typeof this.data.langdata[lang][this.cache[file].id][key] === 'string') {
-				return this.replaceVars(this.data.langdata[lang][this.cache[file].id][key], vars || {});
+		return this.cache[file];
+	}
+
+	/**
+	 * Gets a translation that is not in the source files
+	 * (customized in the control panel or from a language pack)
+	 * @param {String} id - Translations file ID
+	 * @param {String} lang - Language ID
+	 * @param {String} key
+	 * @returns {String} The translation or null
+	 */
+	getCustomValue(id, lang, key) {
+		if (typeof key !== 'string') key = '' + key;
+		if (this.data.langdata[lang] && this.data.langdata[lang][id] && typeof this.data.langdata[lang][id][key] === 'string') {
+			return this.data.langdata[lang][id][key];
+		}
+		return this.getPackValue(id, lang, key);
+	}
+
+	/**
+	 * @param {String} id - Translations file ID
+	 * @param {String} lang - Language ID
+	 * @param {String} key
+	 * @returns {String} The translation from the language pack or null
+	 */
+	getPackValue(id, lang, key) {
+		if (this.packs[lang] && this.packs[lang].data[id] && typeof this.packs[lang].data[id][key] === 'string') {
+			return this.packs[lang].data[id][key];
+		}
+		return null;
+	}
+
+	/**
+	 * Gets the keys without translation for a language
+	 * @param {String} lang - Language ID
+	 * @returns {Array<Object>} For each translations file: id, module, total (number of keys), missing (keys)
+	 */
+	getCoverage(lang) {
+		let result = [];
+		for (let id of Object.keys(this.langfiles).sort()) {
+			let translator;
+			try {
+				translator = this.getTranslator(this.langfiles[id]);
+			} catch (err) {
+				continue;
 			}
+			let keys = Object.keys(translator.data[Default_Language] || {});
+			let missing = keys.filter(key => {
+				if (translator.data[lang] && typeof translator.data[lang][key] === 'string') return false;
+				return this.getCustomValue(id, lang, key) === null;
+			});
+			result.push({ id: id, module: this.langfileModules[id] || '', total: keys.length, missing: missing });
 		}
-		value = this.cache[file].get(key, lang);
-		return this.replaceVars(value, vars || {});
+		return result;
 	}
 
 	/**
@@ -135,7 +287,13 @@ class MultiLanguageManager {
 		});
 	}
 
-	addLangFiles(files, path) {
+	/**
+	 * Registers the translations files of a module
+	 * @param {Array<String>} files - Translations files
+	 * @param {Path} path - Module path
+	 * @param {String} mod - Module ID (optional)
+	 */
+	addLangFiles(files, path, mod) {
 		for (let name of files) {
 			let file = Path.resolve(path, name);
 			let str;
@@ -151,6 +309,7 @@ class MultiLanguageManager {
 					let id = Text.toRoomid(line.substr(1));
 					if (id) {
 						this.langfiles[id] = file;
+						if (mod && !this.langfileModules[id]) this.langfileModules[id] = mod;
 						break;
 					}
 				}
@@ -159,11 +318,19 @@ class MultiLanguageManager {
 	}
 
 	/**
-	 * Returns the room configured language
+	 * Returns the language to use for a room or
+	 * for private messages to an user
 	 * @param {String} room - Room ID
-	 * @returns {String} Room language
+	 * @param {String} user - User ID (optional). If the user has chosen a language, it is used instead of the room language
+	 * @returns {String} Language
 	 */
-	getLanguage(room) {
+	getLanguage(room, user) {
+		if (user && this.app.userdata) {
+			let lang = this.app.userdata.getLanguage(user);
+			if (lang && (lang in this.getLanguages()) && this.isLangEnabled(lang)) {
+				return lang;
+			}
+		}
 		if (!room) {
 			return this.app.config.language['default'];
 		} else {
@@ -0,0 +1,160 @@
+/**
+ * Server Handler: API
+ * JSON API (/api/v1/...) for scripts and dashboards.
+ * Requests are authenticated with API tokens (Authorization: Bearer <token>),
+ * restricted to some of the permissions of the user who created them.
+ * The endpoints are registered by the handlers with App.server.setApiHandler
+ */
+
+'use strict';
+
+const Path = require('path');
+const Text = Tools('text');
+const check = Tools('check');
+const Template = Tools('html-template');
+
+const mainTemplate = new Template(Path.resolve(__dirname, 'templates', 'apitokens.html'));
+
+const Api_Version = "v1";
+const Max_Token_Name_Length = 50;
+
+exports.setup = function (App) {
+	/* Permissions */
+	App.server.setPermission('apitokens', 'Permission for creating API tokens for your own account');
+
+	/* Menu Options */
+	App.server.setMenuOption('apitokens', 'API&nbsp;Tokens', '/apitokens/', 'apitokens', 2);
+
+	/* Handlers */
+	App.server.setHandler('api', (context, parts) => {
+		parts = parts.map(part => part.split('?')[0]);
+		while (parts.length > 0 && !parts[parts.length - 1]) {
+			parts.pop();
+		}
+
+		if (parts[0] !== Api_Version) {
+			return context.endWithApiError(404, "Unknown API version. Use /api/" + Api_Version + "/");
+		}
+
+		let handler = App.server.apiHandlers[parts[1]];
+		if (!handler) {
+			return context.endWithApiError(404, "Not found");
+		}
+
+		if (App.server.loginMonitor.isLocked(context.ip)) {
+			return context.endWithApiError(403, "Too many invalid tokens. You are locked for 60 minutes.");
+		}
+
+		let auth = /^Bearer\s+(\S+)$/i.exec(((context.request.headers['authorization'] || "") + "").trim());
+		let user = auth ? App.server.getApiUser(auth[1]) : null;
+		if (!user) {
+			if (auth) {
+				App.server.loginMonitor.count(context.ip);
+				App.log('[API] [INVALID TOKEN] IP: ' + context.ip);
+			}
+			context.headers['WWW-Authenticate'] = 'Bearer';
+			return context.endWithApiError(401, "You must provide a valid API token in the Authorization header (Bearer scheme).");
+		}
+		context.setUser(user);
+
+		if (!user.can(handler.permission)) {
+			return context.endWithApiError(403, "The token does not have the required permission: " + handler.permission);
+		}
+
+		let method = context.request.method;
+		if (method === 'GET' || method === 'DELETE') {
+			context.json = Object.create(null);
+		} else if (!context.json) {
+			return context.endWithApiError(400, "The request body must be a JSON object (Content-Type: application/json).");
+		}
+
+		if (method !== 'GET') {
+			App.logServerAction(user.id, "API request: " + method + " " + context.url.pathname +
+				" | Token: " + user.apiToken.name + " | IP: " + context.ip);
+		}
+
+		try {
+			handler.func(context, parts.slice(2));
+		} catch (err) {
+			App.reportCrash(err);
+			context.endWithApiError(500, "Internal Server Error");
+		}
+	});
+
+	App.server.setHandler('apitokens', (context, parts) => {
+		if (!context.user || !context.user.can('apitokens')) {
+			context.endWith403();
+			return;
+		}
+
+		let ok = null, error = null;
+		if (context.post.addtoken) {
+			let name = (context.post.name || "").trim();
+			let scopes = [];
+			for (let perm in App.server.permissions) {
+				if (context.post['scope-' + perm] && context.user.can(perm) && (perm !== 'root' || context.user.permissions['root'])) {
+					scopes.push(perm);
+				}
+			}
+			try {
+				check(App.server.users[context.user.id], "You are not a registered user.");
+				check(name, "You must specify a name for the token.");
+				check(name.length <= Max_Token_Name_Length, "The name must not be longer than " + Max_Token_Name_Length + " characters.");
+				check(scopes.length > 0, "You must select at least one permission.");
+				let token = App.server.makeApiToken(context.user.id, name, scopes);
+				ok = 'Token <strong>' + Text.escapeHTML(name) + '</strong> created. Copy it now, it will not be shown again:' +
+					'<br /><br /><code>' + Text.escapeHTML(token) + '</code>';
+			} catch (err) {
+				error = err.message;
+			}
+			if (!error) {
+				App.logServerAction(context.user.id, "Create API token: " + name + " | Permissions: " + scopes.join(", "));
+			}
+		} else if (context.post.deltoken) {
+			let id = Text.toId(context.post.id);
+			if (App.server.removeApiToken(context.user.id, id)) {
+				App.logServerAction(context.user.id, "Revoke API token: " + id);
+				ok = "The token was revoked.";
+			} else {
+				error = "The token does not exist.";
+			}
+		}
+
+		let htmlVars = Object.create(null);
+		htmlVars.api_url = Text.escapeHTML("/api/" + Api_Version + "/");
+
+		htmlVars.scopes = '';
+		for (let perm in App.server.permissions) {
+			if (!context.user.can(perm) || (perm === 'root' && !context.user.permissions['root'])) continue;
+			htmlVars.scopes += '<div class="user-perm-option">';
+			htmlVars.scopes += '<input name="scope-' + Text.escapeHTML(perm) + '" type="checkbox" value="true" />';
+			htmlVars.scopes += '&nbsp;<strong>' + Text.escapeHTML(perm) + '</strong>&nbsp;(' + Text.escapeHTML(App.server.permissions[perm].desc) + ')';
+			htmlVars.scopes += '</div>';
+		}
+
+		htmlVars.tokens = '';
+		let tokens = (App.server.users[context.user.id] && App.server.users[context.user.id].apiTokens) || Object.create(null);
+		for (let id in tokens) {
+			htmlVars.tokens += '<tr><td>' + Text.escapeHTML(tokens[id].name) + '</td><td>' + Text.escapeHTML(tokens[id].scopes.join(", ")) +
+				'</td><td>' + Text.escapeHTML(new Date(tokens[id].created).toString()) +
+				'</td><td>' + (tokens[id].lastUsed ? Text.escapeHTML(new Date(tokens[id].lastUsed).toString()) : '<i>Never</i>') +
+				'</td><td><form method="post" action="" style="margin-block-end: 0;">' +
+				'<input type="hidden" name="id" value="' + Text.escapeHTML(id) + '" />' +
+				'<input type="submit" name="deltoken" value="Revoke" /></form></td></tr>';
+		}
+		if (!htmlVars.tokens) {
+			htmlVars.tokens = '<tr><td colspan="5"><i>(No API tokens)</i></td></tr>';
+		}
+
+		htmlVars.endpoints = '';
+		for (let id of Object.keys(App.server.apiHandlers).sort()) {
+			htmlVars.endpoints += '<tr><td><code>' + Text.escapeHTML("/api/" + Api_Version + "/" + id + "/") + '</code></td><td>' +
+				Text.escapeHTML(App.server.apiHandlers[id].permission) + '</td></tr>';
+		}
+
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		context.endWithWebPage(mainTemplate.make(htmlVars), { title: "API Tokens - Showdown ChatBot" });
+	});
+};
@@ -176,4 +176,36 @@ exports.setup = function (App) {
 			scripts: ['/static/jquery-3.7.0.min.js']
 		});
 	});
+
+	/* API */
+	App.server.setApiHandler('status', 'bot', (context, parts) => {
+		if (context.request.method !== 'GET') {
+			return context.endWithApiError(405, "Method not allowed");
+		}
+		context.endWithJSON({
+			version: App.env.package.version,
+			status: App.status,
+			connections: App.connections.getIds().map(id => App.connections.getStatus(id)),
+		});
+	});
+
+	App.server.setApiHandler('rooms', 'bot', (context, parts) => {
+		if (context.request.method !== 'GET') {
+			return context.endWithApiError(405, "Method not allowed");
+		}
+		let rooms = [];
+		for (let id of App.connections.getIds()) {
+			let bot = App.connections.get(id);
+			for (let r in bot.rooms) {
+				if (bot.rooms[r].type !== 'chat') continue;
+				rooms.push({
+					id: bot.rooms[r].id,
+					title: bot.rooms[r].title || bot.rooms[r].id,
+					users: Object.keys(bot.rooms[r].users).length,
+					connection: id,
+				});
+			}
+		}
+		context.endWithJSON({rooms: rooms});
+	});
 };
@@ -0,0 +1,251 @@
+/**
+ * Server Handler: Bot Connections
+ * Allows administrators to configure additional bot accounts,
+ * assign rooms and modules to them and check their status
+ */
+
+'use strict';
+
+const Path = require('path');
+const check = Tools('check');
+const Text = Tools('text');
+const Template = Tools('html-template');
+
+const listTemplate = new Template(Path.resolve(__dirname, 'templates', 'connections-list.html'));
+const editTemplate = new Template(Path.resolve(__dirname, 'templates', 'connections-edit.html'));
+
+const Account_Types = {
+	regular: "Regular account",
+	trusted: "Trusted account",
+	gbot: "Global bot",
+};
+
+exports.setup = function (App) {
+	/* Menu Options */
+	App.server.setMenuOption('connections', 'Connections', '/connections/', 'bot', 1);
+
+	/* Handlers */
+	App.server.setHandler('connections', (context, parts) => {
+		if (!context.user || !context.user.can('bot')) {
+			context.endWith403();
+			return;
+		}
+
+		let ok = null, error = null;
+		let id = Text.toId(context.post.id);
+		let conf = App.config.connections[id];
+
+		if (context.post.add) {
+			try {
+				check(id, "You must specify an ID for the connection.");
+				check(id !== 'main', "The main connection is configured in the Bot Configuration section.");
+				check(!conf, "The connection <strong>" + Text.escapeHTML(id) + "</strong> already exists.");
+			} catch (err) {
+				error = err.message;
+			}
+			if (!error) {
+				App.connections.set(id, {
+					server: "",
+					port: 8000,
+					serverid: "showdown",
+					secure: false,
+					retrydelay: (10 * 1000),
+					accountType: "regular",
+					nick: "",
+					pass: "",
+					avatar: "",
+					status: "",
+					rooms: [],
+					modules: [],
+					disabled: false,
+				});
+				App.saveConfig();
+				App.logServerAction(context.user.id, "Add Bot Connection: " + id);
+				return editHandler(context, id, "Connection <strong>" + Text.escapeHTML(id) + "</strong> created.", null);
+			}
+		} else if (context.post.edit) {
+			let port = parseInt(context.post.port);
+			let retry = parseInt(context.post.retry);
+			let rooms = (context.post.rooms || "").split(',').map(Text.toRoomid).filter(room => room);
+			let modules = [];
+			for (let mod in App.modules) {
+				if (mod !== 'core' && context.post['module-' + mod]) modules.push(mod);
+			}
+			try {
+				check(conf, "The connection <strong>" + Text.escapeHTML(id) + "</strong> does not exist.");
+				check(!isNaN(port) && port > 0, "Invalid port.");
+				check(!isNaN(retry) && retry > 0, "Invalid time to retry the connection.");
+				check(Account_Types[context.post.accounttype], "Invalid account type.");
+				for (let room of rooms) {
+					let assigned = App.connections.getRoomConnection(room);
+					check(assigned === 'main' || assigned === id, "The room <strong>" + Text.escapeHTML(room) +
+						"</strong> is already assigned to the connection <strong>" + Text.escapeHTML(assigned) + "</strong>.");
+				}
+				for (let mod of modules) {
+					let assigned = App.connections.getModuleConnection(mod);
+					check(assigned === 'main' || assigned === id, "The module <strong>" + Text.escapeHTML(mod) +
+						"</strong> is already assigned to the connection <strong>" + Text.escapeHTML(assigned) + "</strong>.");
+				}
+			} catch (err) {
+				error = err.message;
+			}
+			if (!error) {
+				let modulesChanged = (modules.slice().sort().join(',') !== (conf.modules || []).slice().sort().join(','));
+				let pass = conf.pass || "";
+				if (context.post.clearpass) {
+					pass = "";
+				} else if (context.post.pass) {
+					pass = context.post.pass;
+				}
+				App.connections.set(id, {
+					server: Text.trim(context.post.server),
+					port: port,
+					serverid: Text.trim(context.post.serverid) || 'showdown',
+					secure: !!context.post.secure,
+					retrydelay: retry * 1000,
+					accountType: context.post.accounttype,
+					nick: Text.trim(context.post.nick),
+					pass: pass,
+					avatar: Text.toRoomid(context.post.avatar),
+					status: Text.trim(context.post.status),
+					rooms: rooms,
+					modules: modules,
+					disabled: !context.post.enabled,
+				});
+				App.saveConfig();
+				App.logServerAction(context.user.id, "Edit Bot Connection: " + id);
+				ok = "Connection configuration saved. Restart the connection to make the changes effective.";
+				if (modulesChanged) {
+					ok += " The module assignments changed, restart the application to apply them.";
+				}
+			}
+		} else if (context.post.delete) {
+			try {
+				check(conf, "The connection <strong>" + Text.escapeHTML(id) + "</strong> does not exist.");
+			} catch (err) {
+				error = err.message;
+			}
+			if (!error) {
+				let hadModules = (conf.modules || []).length > 0;
+				App.connections.remove(id);
+				App.saveConfig();
+				App.logServerAction(context.user.id, "Delete Bot Connection: " + id);
+				ok = "Connection <strong>" + Text.escapeHTML(id) + "</strong> deleted.";
+				if (hadModules) {
+					ok += " Restart the application to move its modules to the main connection.";
+				}
+			}
+		} else if (context.post.start || context.post.restart || context.post.stop) {
+			try {
+				check(conf, "The connection <strong>" + Text.escapeHTML(id) + "</strong> does not exist.");
+				check(conf.server || context.post.stop, "The connection could not start because the Server was not defined.");
+			} catch (err) {
+				error = err.message;
+			}
+			if (!error) {
+				if (context.post.stop) {
+					if (App.connections.stop(id)) {
+						ok = "Connection <strong>" + Text.escapeHTML(id) + "</strong> stopped.";
+						App.logServerAction(context.user.id, "Stop Bot Connection: " + id);
+					} else {
+						error = "The connection was already stopped.";
+					}
+				} else if (App.connections.restart(id)) {
+					ok = "Connection <strong>" + Text.escapeHTML(id) + "</strong> " + (context.post.start ? "started" : "restarted") + ".";
+					App.logServerAction(context.user.id, (context.post.start ? "Start" : "Restart") + " Bot Connection: " + id);
+				} else {
+					error = "Could not restart the connection because it was already connecting.";
+				}
+			}
+		}
+
+		if (parts.length && parts[0]) {
+			return editHandler(context, Text.toId(parts[0]), ok, error);
+		}
+
+		let htmlVars = Object.create(null);
+
+		htmlVars.connections = '';
+		for (let connection of App.connections.getIds()) {
+			let status = App.connections.getStatus(connection);
+			let modules = [];
+			for (let mod in App.modules) {
+				if (App.connections.getModuleConnection(mod) === connection && mod !== 'core') modules.push(mod);
+			}
+			htmlVars.connections += '<tr>';
+			htmlVars.connections += '<td><strong>' + Text.escapeHTML(connection) + '</strong></td>';
+			htmlVars.connections += '<td>' + Text.escapeHTML(status.server || '-') + '</td>';
+			htmlVars.connections += '<td>' + Text.escapeHTML(status.nick || '-') + '</td>';
+			if (status.connected) {
+				htmlVars.connections += '<td><font color="green"><strong>CONNECTED</strong></font></td>';
+			} else if (status.connecting) {
+				htmlVars.connections += '<td><font color="orange"><strong>CONNECTING...</strong></font></td>';
+			} else {
+				htmlVars.connections += '<td><font color="red"><strong>NOT CONNECTED</strong></font></td>';
+			}
+			htmlVars.connections += '<td>' + Text.escapeHTML(status.rooms.join(', ') || '-') + '</td>';
+			htmlVars.connections += '<td>' + status.battles.length + '</td>';
+			htmlVars.connections += '<td>' + status.queue + '</td>';
+			htmlVars.connections += '<td>' + Text.escapeHTML(connection === 'main' ? 'Other modules' : (modules.join(', ') || '-')) + '</td>';
+			if (connection === 'main') {
+				htmlVars.connections += '<td><a href="/bot/"><button>Configure</button></a></td>';
+			} else {
+				let escId = Text.escapeHTML(connection);
+				htmlVars.connections += '<td><a href="/connections/' + encodeURIComponent(connection) + '/"><button>Edit</button></a>&nbsp;' +
+					'<form style="display:inline;" method="post" action=""><input type="hidden" name="id" value="' + escId + '" />' +
+					(status.connected || status.connecting ? '<input type="submit" name="restart" value="Restart" />&nbsp;<input type="submit" name="stop" value="Stop" />' :
+						'<input type="submit" name="start" value="Start" />') + '</form>&nbsp;' +
+					'<button onclick="showConfirm(\'delete\', \'' + escId + '\', \'Delete\');">Delete</button><span id="confirm-delete-' + escId + '"></span></td>';
+			}
+			htmlVars.connections += '</tr>';
+		}
+
+		htmlVars.new_id = Text.escapeHTML(context.post.add ? (context.post.id || "") : "");
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		context.endWithWebPage(listTemplate.make(htmlVars), { title: "Bot Connections - Showdown ChatBot" });
+	});
+
+	function editHandler(context, id, ok, error) {
+		let conf = App.config.connections[id];
+		if (!conf) {
+			context.endWithWebPage('<h1>Connection Not Found</h1><p>The connection <b>' + Text.escapeHTML(id) + '</b> was not found</p>',
+				{ title: 'Connection not found' });
+			return;
+		}
+
+		let htmlVars = Object.create(null);
+
+		htmlVars.id = Text.escapeHTML(id);
+		htmlVars.server = Text.escapeHTML(conf.server || "");
+		htmlVars.port = Text.escapeHTML(conf.port || "");
+		htmlVars.serverid = Text.escapeHTML(conf.serverid || "");
+		htmlVars.retry = Text.escapeHTML(Math.floor((conf.retrydelay || 10000) / 1000));
+		htmlVars.secure = (conf.secure ? 'checked="checked"' : '');
+		htmlVars.account_types = '';
+		for (let type in Account_Types) {
+			htmlVars.account_types += '<option value="' + type + '"' + (conf.accountType === type ? ' selected="selected"' : '') + '>' +
+				Account_Types[type] + '</option>';
+		}
+		htmlVars.nick = Text.escapeHTML(conf.nick || "");
+		htmlVars.pass_placeholder = (conf.pass ? "(unchanged)" : "");
+		htmlVars.avatar = Text.escapeHTML(conf.avatar || "");
+		htmlVars.status = Text.escapeHTML(conf.status || "");
+		htmlVars.rooms = Text.escapeHTML((conf.rooms || []).join(', '));
+		htmlVars.modules = '';
+		for (let mod of Object.keys(App.modules).sort()) {
+			if (mod === 'core') continue;
+			let assigned = App.connections.getModuleConnection(mod);
+			htmlVars.modules += '<div><input name="module-' + Text.escapeHTML(mod) + '" type="checkbox" value="true"' +
+				(assigned === id ? ' checked="checked"' : '') + ' />&nbsp;<strong>' + Text.escapeHTML(App.modules[mod].name || mod) + '</strong>' +
+				(assigned !== 'main' && assigned !== id ? ' (assigned to ' + Text.escapeHTML(assigned) + ')' : '') + '</div>';
+		}
+		htmlVars.enabled = (conf.disabled ? '' : 'checked="checked"');
+
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		context.endWithWebPage(editTemplate.make(htmlVars), { title: "Connection " + Text.escapeHTML(id) + " - Showdown ChatBot" });
+	}
+};
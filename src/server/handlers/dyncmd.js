@@ -9,6 +9,7 @@ const Path = require('path');
 const Text = Tools('text');
 const check = Tools('check');
 const Template = Tools('html-template');
+const CmdTemplate = Tools('cmd-template');
 
 const mainTemplate = new Template(Path.resolve(__dirname, 'templates', 'dyncmd-main.html'));
 const indexCommandTemplate = new Template(Path.resolve(__dirname, 'templates', 'dyncmd-indexcmd.html'));
@@ -46,138 +47,94 @@ exports.setup = function (App) {
 			let content = (context.post.content || "").trim();
 
 			try {
-				check(cmd, "You must specify a command.");
-				check(content, "The command content must not be blank.");
-				check(content.length <= 300, "The command content must not be longer than 300 characters.");
-				check(!App.parser.data.dyncmds[cmd], "The command <strong>" + Text.escapeHTML(cmd) + "</strong> already exists.");
+				addTextCommand(cmd, content, context.user.id);
+				ok = "The command <strong>" + Text.escapeHTML(cmd) + "</strong> was added as a text command.";
 			} catch (err) {
 				error = err.message;
 				addFail.id = cmd || "";
 				addFail.content = content || "";
 			}
+		} else if (context.post.previewcmd) {
+			let cmd = Text.toCmdid(context.post.cmd);
+			let content = (context.post.content || "").trim();
+			addFail.id = cmd || "";
+			addFail.content = content || "";
+
+			try {
+				check(content, "The command content must not be blank.");
+				checkTemplate(content);
+			} catch (err) {
+				error = err.message;
+			}
 
 			if (!error) {
-				App.parser.data.dyncmds[cmd] = content;
-				App.parser.saveData();
-				App.logServerAction(context.user.id, 'Add dynamic command (Type: Text) cmd: ' + cmd);
-				ok = "The command <strong>" + Text.escapeHTML(cmd) + "</strong> was added as a text command.";
+				ok = getPreview(content) || ("<p><i>Preview:</i>&nbsp;" + Text.escapeHTML(content) + "</p>");
 			}
 		} else if (context.post.addindexcmd) {
 			let cmd = Text.toCmdid(context.post.cmd);
 
 			try {
-				check(cmd, "You must specify a command.");
-				check(!App.parser.data.dyncmds[cmd], "The command <strong>" + Text.escapeHTML(cmd) + "</strong> already exists.");
+				addIndexCommand(cmd, context.user.id);
+				ok = "The command <strong>" + Text.escapeHTML(cmd) + "</strong> was added as an index command.";
 			} catch (err) {
 				error = err.message;
 				addFail.id = cmd || "";
 				addFail.index = true;
 			}
-
-			if (!error) {
-				App.parser.data.dyncmds[cmd] = Object.create(null);
-				App.parser.saveData();
-				App.logServerAction(context.user.id, 'Add dynamic command (Type: Index) cmd: ' + cmd);
-				ok = "The command <strong>" + Text.escapeHTML(cmd) + "</strong> was added as an index command.";
-			}
 		} else if (context.post.delcmd) {
 			let cmd = Text.toCmdid(context.post.cmd);
 
 			try {
-				check(cmd, "You must specify a command.");
-				check(App.parser.data.dyncmds[cmd], "The command <strong>" + Text.escapeHTML(cmd) + "</strong> does not exists.");
+				deleteCommand(cmd, context.user.id);
+				ok = "The command <strong>" + Text.escapeHTML(cmd) + "</strong> was deleted successfully.";
 			} catch (err) {
 				error = err.message;
 			}
-
-			if (!error) {
-				delete App.parser.data.dyncmds[cmd];
-				App.parser.saveData();
-				App.logServerAction(context.user.id, 'Delete dynamic command. cmd: ' + cmd);
-				ok = "The command <strong>" + Text.escapeHTML(cmd) + "</strong> was deleted successfully.";
-			}
 		} else if (context.post.delsubcmd) {
 			let cmd = Text.toCmdid(context.post.cmd);
 			let sub = Text.toCmdid(context.post.subcmd);
 
 			try {
-				check(cmd && sub, "You must specify a subcommand.");
-				check(typeof App.parser.data.dyncmds[cmd] === 'object' && App.parser.data.dyncmds[cmd][sub],
-					"The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> does not exists.");
+				deleteSubCommand(cmd, sub, context.user.id);
+				ok = "The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> was deleted successfully.";
 			} catch (err) {
 				error = err.message;
 			}
-
-			if (!error) {
-				delete App.parser.data.dyncmds[cmd][sub];
-				App.parser.saveData();
-				App.logServerAction(context.user.id, 'Delete dynamic sub-command. cmd: ' + cmd + '. sub: ' + sub);
-				ok = "The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> was deleted successfully.";
-			}
 		} else if (context.post.editcmd) {
 			let cmd = Text.toCmdid(context.post.cmd);
 			let content = (context.post.content || "").trim();
 
 			try {
-				check(cmd, "You must specify a command.");
-				check(typeof App.parser.data.dyncmds[cmd] === 'string', "The command <strong>" + Text.escapeHTML(cmd) + "</strong> is not a text command.");
-				check(content, "The command content must not be blank.");
-				check(content.length <= 300, "The command content must not be longer than 300 characters.");
+				editTextCommand(cmd, content, context.user.id);
+				ok = "The command <strong>" + Text.escapeHTML(cmd) + "</strong> was edited successfully.";
 			} catch (err) {
 				error = err.message;
 			}
-
-			if (!error) {
-				App.parser.data.dyncmds[cmd] = content;
-				App.parser.saveData();
-				App.logServerAction(context.user.id, 'Edit dynamic command. cmd: ' + cmd);
-				ok = "The command <strong>" + Text.escapeHTML(cmd) + "</strong> was edited successfully.";
-			}
 		} else if (context.post.addsubcmd) {
 			let cmd = Text.toCmdid(context.post.cmd);
 			let sub = Text.toCmdid(context.post.subcmd);
 			let content = (context.post.content || "").trim();
 
 			try {
-				check(cmd && sub, "You must specify a subcommand.");
-				check(typeof App.parser.data.dyncmds[cmd] === 'object', "The command <strong>" + Text.escapeHTML(cmd) + "</strong> is not an index command.");
-				check(content, "The command content must not be blank.");
-				check(content.length <= 300, "The command content must not be longer than 300 characters.");
-				check(!App.parser.data.dyncmds[cmd][sub], "The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> already exists.");
+				addSubCommand(cmd, sub, content, context.user.id);
+				ok = "The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> was added as a text subcommand.";
 			} catch (err) {
 				error = err.message;
 				addFail.id = sub || "";
 				addFail.cmd = cmd || "";
 				addFail.content = content || "";
 			}
-
-			if (!error) {
-				App.parser.data.dyncmds[cmd][sub] = content;
-				App.parser.saveData();
-				App.logServerAction(context.user.id, 'Add dynamic sub-command (Type: Text) cmd: ' + cmd + '. sub: ' + sub);
-				ok = "The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> was added as a text subcommand.";
-			}
 		} else if (context.post.editsubcmd) {
 			let cmd = Text.toCmdid(context.post.cmd);
 			let sub = Text.toCmdid(context.post.subcmd);
 			let content = (context.post.content || "").trim();
 
 			try {
-				check(cmd && sub, "You must specify a subcommand.");
-				check(typeof App.parser.data.dyncmds[cmd] === 'object', "The command <strong>" + Text.escapeHTML(cmd) + "</strong> is not an index command.");
-				check(content, "The command content must not be blank.");
-				check(content.length <= 300, "The command content must not be longer than 300 characters.");
-				check(App.parser.data.dyncmds[cmd][sub], "The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> does not exists.");
+				editSubCommand(cmd, sub, content, context.user.id);
+				ok = "The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> was edited successfully.";
 			} catch (err) {
 				error = err.message;
 			}
-
-			if (!error) {
-				App.parser.data.dyncmds[cmd][sub] = content;
-				App.parser.saveData();
-				App.logServerAction(context.user.id, 'Edit dynamic sub-command. cmd: ' + cmd + '. sub: ' + sub);
-				ok = "The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> was edited successfully.";
-			}
 		}
 
 		let htmlVars = Object.create(null);
@@ -198,6 +155,64 @@ exports.setup = function (App) {
 		context.endWithWebPage(mainTemplate.make(htmlVars), { title: "Dynamic Commands - Showdown ChatBot" });
 	});
 
+	/* API */
+	App.server.setApiHandler('dyncmds', 'dyncmd', (context, parts) => {
+		let method = context.request.method;
+		let cmd = Text.toCmdid(parts[0]);
+		let sub = Text.toCmdid(parts[1]);
+		let content = ((context.json.content || "") + "").trim();
+		let dynCmds = App.parser.data.dyncmds;
+
+		if (cmd && method !== 'POST') {
+			if (!dynCmds[cmd]) {
+				return context.endWithApiError(404, "The command " + cmd + " does not exists.");
+			}
+			if (sub && (typeof dynCmds[cmd] !== 'object' || !dynCmds[cmd][sub])) {
+				return context.endWithApiError(404, "The command " + cmd + " " + sub + " does not exists.");
+			}
+		}
+
+		try {
+			if (method === 'GET') {
+				if (!cmd) return context.endWithJSON({ commands: dynCmds });
+				if (!sub) return context.endWithJSON({ command: cmd, content: dynCmds[cmd] });
+				return context.endWithJSON({ command: cmd, subcommand: sub, content: dynCmds[cmd][sub] });
+			} else if (method === 'POST') {
+				/* POST /dyncmds {cmd, content | index} or /dyncmds/{cmd} {subcmd, content} */
+				if (!cmd) {
+					cmd = Text.toCmdid(context.json.cmd);
+					if (context.json.index) {
+						addIndexCommand(cmd, context.user.id);
+					} else {
+						addTextCommand(cmd, content, context.user.id);
+					}
+					return context.endWithJSON({ command: cmd, content: dynCmds[cmd] }, 201);
+				}
+				sub = Text.toCmdid(context.json.subcmd);
+				addSubCommand(cmd, sub, content, context.user.id);
+				return context.endWithJSON({ command: cmd, subcommand: sub, content: dynCmds[cmd][sub] }, 201);
+			} else if (method === 'PUT') {
+				if (sub) {
+					editSubCommand(cmd, sub, content, context.user.id);
+					return context.endWithJSON({ command: cmd, subcommand: sub, content: dynCmds[cmd][sub] });
+				}
+				editTextCommand(cmd, content, context.user.id);
+				return context.endWithJSON({ command: cmd, content: dynCmds[cmd] });
+			} else if (method === 'DELETE') {
+				if (sub) {
+					deleteSubCommand(cmd, sub, context.user.id);
+				} else {
+					deleteCommand(cmd, context.user.id);
+				}
+				return context.endWithJSON({ deleted: true });
+			} else {
+				return context.endWithApiError(405, "Method not allowed");
+			}
+		} catch (err) {
+			return context.endWithApiError(400, err.message);
+		}
+	});
+
 	function serveDynCmdList(context) {
 		let html = '';
 		let cmdList = [];
@@ -405,13 +420,108 @@ exports.setup = function (App) {
 		context.endWithHtml(aliasesTemplate.make({ list: html }));
 	}
 
+	/* Actions (shared by the forms and the API) */
+
+	function checkContent(content) {
+		check(content, "The command content must not be blank.");
+		check(content.length <= 300, "The command content must not be longer than 300 characters.");
+		checkTemplate(content);
+	}
+
+	function addTextCommand(cmd, content, by) {
+		check(cmd, "You must specify a command.");
+		checkContent(content);
+		check(!App.parser.data.dyncmds[cmd], "The command <strong>" + Text.escapeHTML(cmd) + "</strong> already exists.");
+		App.parser.data.dyncmds[cmd] = content;
+		App.parser.saveData();
+		App.logServerAction(by, 'Add dynamic command (Type: Text) cmd: ' + cmd);
+	}
+
+	function addIndexCommand(cmd, by) {
+		check(cmd, "You must specify a command.");
+		check(!App.parser.data.dyncmds[cmd], "The command <strong>" + Text.escapeHTML(cmd) + "</strong> already exists.");
+		App.parser.data.dyncmds[cmd] = Object.create(null);
+		App.parser.saveData();
+		App.logServerAction(by, 'Add dynamic command (Type: Index) cmd: ' + cmd);
+	}
+
+	function deleteCommand(cmd, by) {
+		check(cmd, "You must specify a command.");
+		check(App.parser.data.dyncmds[cmd], "The command <strong>" + Text.escapeHTML(cmd) + "</strong> does not exists.");
+		delete App.parser.data.dyncmds[cmd];
+		App.parser.saveData();
+		App.logServerAction(by, 'Delete dynamic command. cmd: ' + cmd);
+	}
+
+	function deleteSubCommand(cmd, sub, by) {
+		check(cmd && sub, "You must specify a subcommand.");
+		check(typeof App.parser.data.dyncmds[cmd] === 'object' && App.parser.data.dyncmds[cmd][sub],
+			"The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> does not exists.");
+		delete App.parser.data.dyncmds[cmd][sub];
+		App.parser.saveData();
+		App.logServerAction(by, 'Delete dynamic sub-command. cmd: ' + cmd + '. sub: ' + sub);
+	}
+
+	function editTextCommand(cmd, content, by) {
+		check(cmd, "You must specify a command.");
+		check(typeof App.parser.data.dyncmds[cmd] === 'string', "The command <strong>" + Text.escapeHTML(cmd) + "</strong> is not a text command.");
+		checkContent(content);
+		App.parser.data.dyncmds[cmd] = content;
+		App.parser.saveData();
+		App.logServerAction(by, 'Edit dynamic command. cmd: ' + cmd);
+	}
+
+	function addSubCommand(cmd, sub, content, by) {
+		check(cmd && sub, "You must specify a subcommand.");
+		check(typeof App.parser.data.dyncmds[cmd] === 'object', "The command <strong>" + Text.escapeHTML(cmd) + "</strong> is not an index command.");
+		checkContent(content);
+		check(!App.parser.data.dyncmds[cmd][sub], "The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> already exists.");
+		App.parser.data.dyncmds[cmd][sub] = content;
+		App.parser.saveData();
+		App.logServerAction(by, 'Add dynamic sub-command (Type: Text) cmd: ' + cmd + '. sub: ' + sub);
+	}
+
+	function editSubCommand(cmd, sub, content, by) {
+		check(cmd && sub, "You must specify a subcommand.");
+		check(typeof App.parser.data.dyncmds[cmd] === 'object', "The command <strong>" + Text.escapeHTML(cmd) + "</strong> is not an index command.");
+		checkContent(content);
+		check(App.parser.data.dyncmds[cmd][sub], "The command <strong>" + Text.escapeHTML(cmd) + "&nbsp;" + Text.escapeHTML(sub) + "</strong> does not exists.");
+		App.parser.data.dyncmds[cmd][sub] = content;
+		App.parser.saveData();
+		App.logServerAction(by, 'Edit dynamic sub-command. cmd: ' + cmd + '. sub: ' + sub);
+	}
+
 	/* Auxiliar Functions */
+	function checkTemplate(content) {
+		let templateError = CmdTemplate.validate(content);
+		check(!templateError, "Invalid template: " + Text.escapeHTML(templateError));
+	}
+
+	function getPreview(content) {
+		if (!CmdTemplate.hasPlaceholders(content)) return '';
+		let preview;
+		try {
+			preview = CmdTemplate.expand(content, {
+				user: "Example User",
+				userid: "exampleuser",
+				room: "Lobby",
+				roomid: "lobby",
+				bot: App.bot.getBotNick() || "Bot",
+				arg: "first, second, third",
+			});
+		} catch (err) {
+			return '<p><span class="error-msg">Invalid template: ' + Text.escapeHTML(err.message) + '</span></p>';
+		}
+		return '<p><i>Preview (Example User, lobby, arguments: first, second, third):</i>&nbsp;' + Text.escapeHTML(preview) + '</p>';
+	}
+
 	function getCommandTable(cmdid, addFail) {
 		let dynCmds = App.parser.data.dyncmds;
 		let htmlVars = Object.create(null);
 		htmlVars.cmdid = Text.escapeHTML(cmdid);
 		if (typeof dynCmds[cmdid] === 'string') {
 			htmlVars.text = Text.escapeHTML(dynCmds[cmdid]);
+			htmlVars.preview = getPreview(dynCmds[cmdid]);
 			return textCommandTemplate.make(htmlVars);
 		} else if (typeof dynCmds[cmdid] === 'object') {
 			htmlVars.subcmds = '';
@@ -420,12 +530,14 @@ exports.setup = function (App) {
 					cmdid: Text.escapeHTML(cmdid),
 					subcmd: Text.escapeHTML(k),
 					text: Text.escapeHTML(dynCmds[cmdid][k]),
+					preview: getPreview(dynCmds[cmdid][k]),
 				});
 			}
 			htmlVars.fail_id = Text.escapeHTML(addFail.cmd === cmdid ? addFail.id : '');
 			htmlVars.fail_text = Text.escapeHTML(addFail.cmd === cmdid ? addFail.content : '');
 			return indexCommandTemplate.make(htmlVars);
 		}
+		htmlVars.preview = '';
 		return textCommandTemplate.make(htmlVars);
 	}
 };
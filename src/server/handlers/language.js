@@ -14,6 +14,7 @@ const TranslationFile = Tools('translate');
 const mainTemplate = new Template(Path.resolve(__dirname, 'templates', 'language.html'));
 const customTemplate = new Template(Path.resolve(__dirname, 'templates', 'customlangs.html'));
 const customExportTemplate = new Template(Path.resolve(__dirname, 'templates', 'lang-export.html'));
+const coverageTemplate = new Template(Path.resolve(__dirname, 'templates', 'lang-coverage.html'));
 
 exports.setup = function (App) {
 	/* Menu Options */
@@ -29,6 +30,7 @@ exports.setup = function (App) {
 		let submenu = new SubMenu("Bot&nbsp;Languages", parts, context, [
 			{id: 'config', title: 'Bot&nbsp;Language&nbsp;Configuration', url: '/lang/', handler: configHandler},
 			{id: 'custom', title: 'Customize&nbsp;Language&nbsp;Files', url: '/lang/custom/', handler: customHandler},
+			{id: 'coverage', title: 'Translation&nbsp;Coverage', url: '/lang/coverage/', handler: coverageHandler},
 			{id: 'export', title: 'Export&nbsp;/&nbsp;Import&nbsp;Custom&nbsp;Languages', url: '/lang/export/', handler: customExportHandler},
 		], 'config');
 
@@ -159,6 +161,7 @@ exports.setup = function (App) {
 		let ok = null, error = null;
 		let selectedLang = Text.toId(context.get.lang);
 		let selectedFile = Text.toRoomid(context.get.tfile);
+		let onlyMissing = !!context.get.missing;
 		let langdata = App.multilang.data.langdata;
 
 		if (context.post.edit) {
@@ -171,11 +174,14 @@ exports.setup = function (App) {
 			if (!error) {
 				let dataFile = new TranslationFile(langfiles[selectedFile]);
 				if (!langdata[selectedLang]) langdata[selectedLang] = Object.create(null);
-				langdata[selectedLang][selectedFile] = Object.create(null);
+				if (!langdata[selectedLang][selectedFile]) langdata[selectedLang][selectedFile] = Object.create(null);
 				let listKeys = dataFile.getKeys();
 				for (let key of listKeys) {
+					if (!(('custom-' + key) in context.post)) continue; // Not in the form (only missing keys)
 					if (context.post['custom-' + key]) {
 						langdata[selectedLang][selectedFile][key] = Text.trim(context.post['custom-' + key]);
+					} else {
+						delete langdata[selectedLang][selectedFile][key];
 					}
 				}
 				App.multilang.saveData();
@@ -212,9 +218,15 @@ exports.setup = function (App) {
 			opts = [];
 			for (let l in languages) {
 				opts.push('<a class="submenu-option' + (l === selectedLang ? '-selected' : '') +
-					'" href="/lang/custom/?tfile=' + encodeURIComponent(selectedFile) + '&lang=' + encodeURIComponent(l) + '">' + Text.escapeHTML(languages[l]) + '</a>');
+					'" href="/lang/custom/?tfile=' + encodeURIComponent(selectedFile) + '&lang=' + encodeURIComponent(l) +
+					(onlyMissing ? '&missing=1' : '') + '">' + Text.escapeHTML(languages[l]) + '</a>');
 			}
-			content += "<big><b><u>Current Language:</u></b></big> " + opts.join('&nbsp;| ') + "<hr />";
+			content += "<big><b><u>Current Language:</u></b></big> " + opts.join('&nbsp;| ') + "<br />";
+			content += (onlyMissing ?
+				('Showing the keys without translation. <a href="/lang/custom/?tfile=' + encodeURIComponent(selectedFile) + '&lang=' +
+				encodeURIComponent(selectedLang) + '">Show all keys</a>') :
+				('<a href="/lang/custom/?tfile=' + encodeURIComponent(selectedFile) + '&lang=' + encodeURIComponent(selectedLang) +
+				'&missing=1">Show only the keys without translation</a>')) + "<hr />";
 
 			content += '<form method="post" action="">';
 			if (selectedLang in languages) {
@@ -223,13 +235,27 @@ exports.setup = function (App) {
 				if (!langdata[selectedLang][selectedFile]) langdata[selectedLang][selectedFile] = Object.create(null);
 				let dataFileMod = langdata[selectedLang][selectedFile];
 				let listKeys = dataFile.getKeys();
+				if (onlyMissing) {
+					let missing = [];
+					for (let file of App.multilang.getCoverage(selectedLang)) {
+						if (file.id === selectedFile) missing = file.missing;
+					}
+					listKeys = listKeys.filter(key => missing.indexOf(key) >= 0);
+					if (listKeys.length === 0) {
+						content += '<p>All the keys of this file are translated.</p>';
+					}
+				}
 				for (let key of listKeys) {
+					let defaultValue = App.multilang.getPackValue(selectedFile, selectedLang, key);
+					if (defaultValue === null) {
+						defaultValue = dataFile.get(key, selectedLang) || "";
+					}
 					content += '<br /><table border="1">';
 					content += '<tr><td width="200px"><b>Key ID</b></td><td width="500px"><b>' + key + '</b></td></tr>';
 					content += '<tr><td>Default (English)</td><td>' + Text.escapeHTML(dataFile.get(key, "english")) + '</td></tr>';
 					content += '<tr><td>Custom (' + Text.escapeHTML(languages[selectedLang]) + ')</td><td>' +
 						'<input type="text" name="custom-' + key + '" value="' + Text.escapeHTML(dataFileMod[key] || "") +
-						'" placeholder="' + Text.escapeHTML(dataFile.get(key, selectedLang) || "") + '" size="100" />' + '</td></tr>';
+						'" placeholder="' + Text.escapeHTML(defaultValue) + '" size="100" />' + '</td></tr>';
 					content += '</table>';
 				}
 			}
@@ -283,6 +309,75 @@ exports.setup = function (App) {
 		context.endWithWebPage(html + customExportTemplate.make(htmlVars), {title: "Bot language customize - Showdown ChatBot"});
 	}
 
+	function coverageHandler(context, html, parts) {
+		let htmlVars = Object.create(null);
+		let ok = null, error = null;
+
+		if (context.post.reloadpacks) {
+			let errors = App.multilang.loadPacks();
+			App.logServerAction(context.user.id, "Reload language packs");
+			if (errors.length) {
+				error = "Some language packs could not be loaded: " + Text.escapeHTML(errors.join(" | "));
+			} else {
+				ok = "Language packs reloaded.";
+			}
+		}
+
+		let languages = App.multilang.getLanguages();
+		let selectedLang = Text.toId(context.get.lang);
+
+		htmlVars.packs_dir = Text.escapeHTML(App.multilang.packsDir);
+		htmlVars.packs = '';
+		for (let lang in App.multilang.packs) {
+			let pack = App.multilang.packs[lang];
+			let keys = 0;
+			for (let file in pack.data) keys += Object.keys(pack.data[file]).length;
+			htmlVars.packs += '<tr><td>' + Text.escapeHTML(pack.name) + '</td><td>' + Text.escapeHTML(pack.file) + '</td><td>' +
+				keys + '</td></tr>';
+		}
+
+		htmlVars.coverage = '';
+		for (let lang in languages) {
+			if (lang === 'english') continue;
+			let total = 0, missing = 0;
+			for (let file of App.multilang.getCoverage(lang)) {
+				total += file.total;
+				missing += file.missing.length;
+			}
+			htmlVars.coverage += '<tr><td>' + Text.escapeHTML(languages[lang]) + (App.multilang.isLangEnabled(lang) ? '' : ' (disabled)') +
+				'</td><td>' + (total - missing) + ' / ' + total + '</td><td>' + (total ? Math.floor((total - missing) * 100 / total) : 100) +
+				'%</td><td>' + missing + '</td><td><a href="/lang/coverage/?lang=' + encodeURIComponent(lang) + '">Missing keys</a></td></tr>';
+		}
+
+		htmlVars.details = '';
+		if (selectedLang && languages[selectedLang]) {
+			let details = '<h3>Missing keys: ' + Text.escapeHTML(languages[selectedLang]) + '</h3>';
+			let files = App.multilang.getCoverage(selectedLang).filter(file => file.missing.length > 0);
+			files.sort((a, b) => (a.module < b.module ? -1 : (a.module > b.module ? 1 : (a.id < b.id ? -1 : 1))));
+			if (files.length === 0) {
+				details += '<p>All the keys are translated.</p>';
+			} else {
+				details += '<table border="1"><tr><td width="120px"><div align="center"><strong>Module</strong></div></td>' +
+					'<td width="200px"><div align="center"><strong>Translations file</strong></div></td>' +
+					'<td width="80px"><div align="center"><strong>Missing</strong></div></td>' +
+					'<td><div align="center"><strong>Keys</strong></div></td><td>&nbsp;</td></tr>';
+				for (let file of files) {
+					details += '<tr><td>' + Text.escapeHTML(file.module || '-') + '</td><td>' + Text.escapeHTML(file.id) + '</td><td>' +
+						file.missing.length + ' / ' + file.total + '</td><td>' + Text.escapeHTML(file.missing.join(', ')) +
+						'</td><td><a href="/lang/custom/?tfile=' + encodeURIComponent(file.id) + '&lang=' + encodeURIComponent(selectedLang) +
+						'&missing=1">Translate</a></td></tr>';
+				}
+				details += '</table>';
+			}
+			htmlVars.details = details;
+		}
+
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		context.endWithWebPage(html + coverageTemplate.make(htmlVars), {title: "Translation coverage - Showdown ChatBot"});
+	}
+
 	/* Auxiliar Functions */
 	function getLanguageComboBox(selected) {
 		let html = '';
@@ -301,6 +396,9 @@ exports.setup = function (App) {
 		lines.push('# Exportable language customization');
 		lines.push('# Showdown-Chatbot v' + App.env.package.version);
 		lines.push('# Language: ' + lang);
+		lines.push('# Save this file as ' + lang + '.lang in the languages folder of the data directory to use it as a language pack');
+		lines.push('');
+		lines.push('%' + (App.multilang.getLanguages()[lang] || lang));
 		lines.push('');
 
 		if (langdata[lang]) {
@@ -15,6 +15,12 @@ const permissionsTemplate = new Template(Path.resolve(__dirname, 'templates', 'p
 const roomControlTemplate = new Template(Path.resolve(__dirname, 'templates', 'parser-controlrooms.html'));
 const roomAliasesTemplate = new Template(Path.resolve(__dirname, 'templates', 'parser-roomalias.html'));
 const abuseMonitorTemplate = new Template(Path.resolve(__dirname, 'templates', 'parser-monitor.html'));
+const cooldownsTemplate = new Template(Path.resolve(__dirname, 'templates', 'parser-cooldowns.html'));
+const usageTemplate = new Template(Path.resolve(__dirname, 'templates', 'parser-usage.html'));
+
+const Max_Top_Commands = 50;
+const Max_Top_Users = 20;
+const Unused_Days = [7, 30, 90];
 
 exports.setup = function (App) {
 	/* Permissions */
@@ -36,6 +42,8 @@ exports.setup = function (App) {
 			{ id: 'permissions', title: 'Permissions', url: '/parser/permissions/', handler: parserPermissionsHandler },
 			{ id: 'roomctrl', title: 'Control&nbsp;Rooms', url: '/parser/roomctrl/', handler: parserRoomControlHandler },
 			{ id: 'roomalias', title: 'Rooms&nbsp;Aliases', url: '/parser/roomalias/', handler: parserRoomAliasHandler },
+			{ id: 'cooldowns', title: 'Cooldowns', url: '/parser/cooldowns/', handler: parserCooldownsHandler },
+			{ id: 'usage', title: 'Usage&nbsp;Statistics', url: '/parser/usage/', handler: parserUsageHandler },
 			{ id: 'monitor', title: 'Abuse&nbsp;Monitor', url: '/parser/monitor/', handler: parserAbuseMonitorHandler },
 		], 'config');
 
@@ -69,6 +77,7 @@ exports.setup = function (App) {
 				App.parser.data.antirepeat = !!context.post.antirepeat;
 				App.parser.data.antimixtoken = !!context.post.antimixtoken;
 				App.parser.data.antimultitoken = !!context.post.antimultitoken;
+				App.parser.data.suggestions = !!context.post.suggestions;
 				App.parser.data.pmTokens = (context.post.pmtokens || "").split(' ').map(Text.toCmdTokenid).filter(id => id);
 				App.parser.data.sleep = Object.createFromKeys((context.post.sleep || "").split(',').map(Text.toRoomid).filter(room => room));
 				App.parser.data.lockedUsers = Object.createFromKeys((context.post.locklist || "").split(',').map(Text.toId).filter(u => u));
@@ -98,6 +107,7 @@ exports.setup = function (App) {
 		htmlVars.antirepeat = (App.parser.data.antirepeat ? ' checked="checked"' : '');
 		htmlVars.antimixtoken = (App.parser.data.antimixtoken ? ' checked="checked"' : '');
 		htmlVars.antimultitoken = (App.parser.data.antimultitoken ? ' checked="checked"' : '');
+		htmlVars.suggestions = (App.parser.data.suggestions ? ' checked="checked"' : '');
 
 		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
 		htmlVars.request_msg = (ok ? ok : (error || ""));
@@ -280,6 +290,143 @@ exports.setup = function (App) {
 		context.endWithWebPage(html, { title: "Commands Permissions - Showdown ChatBot" });
 	}
 
+	function parserCooldownsHandler(context, html) {
+		let ok = null, error = null;
+		if (context.post.set) {
+			let cmd = Text.toCmdid(context.post.cmd);
+			let room = Text.toRoomid(context.post.room);
+			let seconds = parseFloat(context.post.seconds);
+			let scope = Text.toId(context.post.scope);
+			let exempt = (context.post.exempt || "").trim();
+			if (!App.parser.commands[cmd] && !App.parser.data.dyncmds[cmd] && App.parser.data.aliases[cmd]) {
+				cmd = App.parser.data.aliases[cmd];
+			}
+			if (!cmd) {
+				error = "You must specify a command.";
+			} else if (!App.parser.commandExists(cmd)) {
+				error = 'The command <strong>' + Text.escapeHTML(cmd) + '</strong> does not exist.';
+			} else if (isNaN(seconds) || seconds <= 0) {
+				error = "The cooldown must be a number of seconds greater than 0.";
+			} else if (App.parser.cooldownScopes.indexOf(scope) === -1) {
+				error = "Invalid scope.";
+			} else if (exempt !== 'excepted' && App.config.parser.groups.indexOf(exempt) === -1) {
+				error = "Invalid rank.";
+			} else {
+				App.parser.setCooldown(cmd, room || null, Math.round(seconds * 1000), scope, exempt);
+				App.parser.saveData();
+				App.logServerAction(context.user.id, "Set command cooldown: " + cmd + (room ? (" | Room: " + room) : "") + " | " + seconds + "s | " + scope);
+				ok = 'Cooldown of command <strong>' + Text.escapeHTML(cmd) + '</strong> set successfully.';
+			}
+		} else if (context.post.remove) {
+			let cmd = Text.toCmdid(context.post.cmd);
+			let room = Text.toRoomid(context.post.room);
+			if (App.parser.removeCooldown(cmd, room || null)) {
+				App.parser.saveData();
+				App.logServerAction(context.user.id, "Delete command cooldown: " + cmd + (room ? (" | Room: " + room) : ""));
+				ok = 'Cooldown of command <strong>' + Text.escapeHTML(cmd) + '</strong> was deleted successfully.';
+			} else {
+				error = 'Cooldown of command <strong>' + Text.escapeHTML(cmd) + '</strong> was not found.';
+			}
+		}
+
+		let htmlVars = Object.create(null);
+
+		let list = [];
+		for (let cmd of Object.keys(App.parser.data.cooldowns).sort()) {
+			list.push({ cmd: cmd, room: '', cooldown: App.parser.data.cooldowns[cmd] });
+		}
+		for (let room of Object.keys(App.parser.data.roomcooldowns).sort()) {
+			for (let cmd of Object.keys(App.parser.data.roomcooldowns[room]).sort()) {
+				list.push({ cmd: cmd, room: room, cooldown: App.parser.data.roomcooldowns[room][cmd] });
+			}
+		}
+
+		htmlVars.cooldowns = '';
+		for (let item of list) {
+			htmlVars.cooldowns += '<tr><td>' + Text.escapeHTML(item.cmd) + '</td><td>' + (item.room ? Text.escapeHTML(item.room) : '<i>(All rooms)</i>') +
+				'</td><td>' + (item.cooldown.time / 1000) + ' s</td><td>' + Text.escapeHTML(item.cooldown.scope) + '</td><td>' +
+				Text.escapeHTML(item.cooldown.exempt) + '</td><td><div align="center"><form style="display:inline;" method="post" action="">' +
+				'<input type="hidden" name="cmd" value="' + Text.escapeHTML(item.cmd) + '" /><input type="hidden" name="room" value="' +
+				Text.escapeHTML(item.room) + '" /><input type="submit" name="remove" value="Remove Cooldown" /></form></div></td></tr>';
+		}
+
+		htmlVars.scopes = App.parser.cooldownScopes.map(scope => '<option value="' + scope + '">' + scope + '</option>').join('');
+		htmlVars.groups = ['excepted'].concat(App.config.parser.groups).map(group => {
+			return '<option value="' + Text.escapeHTML(group) + '">' + Text.escapeHTML(group) + '</option>';
+		}).join('');
+
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		html += cooldownsTemplate.make(htmlVars);
+		context.endWithWebPage(html, { title: "Command Cooldowns - Showdown ChatBot" });
+	}
+
+	function parserUsageHandler(context, html) {
+		let ok = null;
+		const Analytics = App.parser.analytics;
+		if (context.post.clear) {
+			Analytics.clear();
+			App.logServerAction(context.user.id, "Clear command usage statistics");
+			ok = "Removed the command usage statistics.";
+		}
+
+		let room = Text.toRoomid(context.get.room);
+		let days = parseInt(context.get.days);
+		if (Unused_Days.indexOf(days) === -1) days = Unused_Days[1];
+
+		let htmlVars = Object.create(null);
+
+		let rooms = Object.keys(Analytics.data.rooms).sort();
+		htmlVars.rooms = '<option value="">(All rooms)</option>' + rooms.map(r => {
+			return '<option value="' + Text.escapeHTML(r) + '"' + (r === room ? ' selected="selected"' : '') + '>' + Text.escapeHTML(r) + '</option>';
+		}).join('');
+		htmlVars.days = Unused_Days.map(d => {
+			return '<option value="' + d + '"' + (d === days ? ' selected="selected"' : '') + '>' + d + ' days</option>';
+		}).join('');
+
+		let commands = Analytics.getTopCommands(room);
+		let trends = Analytics.getTrends(7, room);
+		let totalUses = 0, totalErrors = 0;
+		for (let command of commands) {
+			totalUses += command.uses;
+			totalErrors += command.errors;
+		}
+		let start = Analytics.getStartTime();
+		htmlVars.summary = (start ? ('Recording since <strong>' + formatDate(start) + '</strong> (UTC). ') : 'No commands recorded yet. ') +
+			'Commands used' + (room ? (' in <strong>' + Text.escapeHTML(room) + '</strong>') : '') + ': <strong>' + totalUses + '</strong>. Errors: <strong>' + totalErrors + '</strong>';
+
+		htmlVars.commands = '';
+		for (let command of commands.slice(0, Max_Top_Commands)) {
+			let trend = trends[command.cmd] || { current: 0, previous: 0 };
+			htmlVars.commands += '<tr><td>' + Text.escapeHTML(command.cmd) + '</td><td>' + (App.parser.data.dyncmds[command.cmd] ? 'dynamic' : 'static') +
+				'</td><td>' + command.uses + '</td><td>' + command.errors + '</td><td>' + trend.current + '</td><td>' +
+				trend.previous + '</td><td>' + getTrendChange(trend) + '</td><td>' + (command.last ? formatDate(command.last) : '-') + '</td></tr>';
+		}
+
+		htmlVars.users = '';
+		for (let user of Analytics.getTopUsers().slice(0, Max_Top_Users)) {
+			htmlVars.users += '<tr><td>' + Text.escapeHTML(user.id) + '</td><td>' + user.uses + '</td><td>' + Text.escapeHTML(user.favorite) + '</td></tr>';
+		}
+
+		htmlVars.unused_days = days;
+		htmlVars.unused_room = (room ? (' in <strong>' + Text.escapeHTML(room) + '</strong>') : ' in any room');
+		htmlVars.unused = '';
+		for (let command of Analytics.getUnusedDynCmds(days, room)) {
+			htmlVars.unused += '<tr><td>' + Text.escapeHTML(command.cmd) + '</td><td>' + command.uses + '</td><td>' +
+				(command.last ? formatDate(command.last) : '<i>Never</i>') + '</td></tr>';
+		}
+
+		htmlVars.daily = getTimelineRows(Analytics.getTimeline('daily', 30, room), false);
+		htmlVars.hourly = getTimelineRows(Analytics.getTimeline('hourly', 24, room), true);
+
+		htmlVars.request_result = (ok ? 'ok-msg' : '');
+		htmlVars.request_msg = (ok ? ok : "");
+
+		html += usageTemplate.make(htmlVars);
+		context.endWithWebPage(html, { title: "Command Usage Statistics - Showdown ChatBot" });
+	}
+
 	function parserRoomControlHandler(context, html) {
 		let ok = null, error = null;
 		if (context.post.set) {
@@ -425,6 +572,31 @@ exports.setup = function (App) {
 	}
 
 	/* Auxiliar Functions */
+	function formatDate(time) {
+		return new Date(time).toISOString().substr(0, 16).replace('T', ' ');
+	}
+
+	function getTrendChange(trend) {
+		if (!trend.previous) return (trend.current ? 'new' : '-');
+		let change = Math.round((trend.current - trend.previous) * 100 / trend.previous);
+		return (change > 0 ? '+' : '') + change + '%';
+	}
+
+	function getTimelineRows(timeline, hourly) {
+		let max = 0;
+		for (let bucket of timeline) {
+			if (bucket.uses > max) max = bucket.uses;
+		}
+		let html = '';
+		for (let bucket of timeline.reverse()) {
+			let width = max ? Math.round(bucket.uses * 300 / max) : 0;
+			let date = new Date(bucket.time).toISOString();
+			html += '<tr><td>' + (hourly ? (date.substr(11, 5)) : date.substr(0, 10)) + '</td><td>' + bucket.uses +
+				'</td><td>' + bucket.errors + '</td><td><div style="background:#4a8;height:10px;width:' + width + 'px;"></div></td></tr>';
+		}
+		return html;
+	}
+
 	function getPermissionChart(room, title) {
 		let html = '';
 		html += '<h3>' + Text.escapeHTML(title) + '</h3>';
@@ -5,6 +5,7 @@
 'use strict';
 
 const Path = require('path');
+const FileSystem = require('fs');
 const check = Tools('check');
 const Template = Tools('html-template');
 const Text = Tools('text');
@@ -69,4 +70,28 @@ exports.setup = function (App) {
 
 		context.endWithWebPage(mainTemplate.make(htmlVars), {title: "Security Log - Showdown ChatBot"});
 	});
+
+	/* API */
+	App.server.setApiHandler('logs', 'seclog', (context, parts) => {
+		if (context.request.method !== 'GET') {
+			return context.endWithApiError(405, "Method not allowed");
+		}
+		let logs = App.logger.getFilesList();
+		if (!parts[0]) {
+			return context.endWithJSON({files: logs});
+		}
+		let file = null;
+		for (let log of logs) {
+			if (log.file === parts[0]) file = log.file;
+		}
+		if (!file) {
+			return context.endWithApiError(404, "Log file not found");
+		}
+		FileSystem.readFile(Path.resolve(App.logger.path, file), (err, data) => {
+			if (err) {
+				return context.endWithApiError(500, "Could not read the log file");
+			}
+			context.endWithJSON({file: file, lines: data.toString().split("\n").filter(line => !!line)});
+		});
+	});
 };
@@ -10,7 +10,7 @@ const Text = Tools('text');
 const getEvalResult = Tools('eval');
 const SubMenu = Tools('submenu');
 const Template = Tools('html-template');
-const Crypto = require('crypto');
+const check = Tools('check');
 
 const getServerTemplate = new Template(Path.resolve(__dirname, 'templates', 'tool-getserver.html'));
 const botSendTemplate = new Template(Path.resolve(__dirname, 'templates', 'tool-botsend.html'));
@@ -22,7 +22,15 @@ const dowloadDataTemplate = new Template(Path.resolve(__dirname, 'templates', 't
 const cacheTemplate = new Template(Path.resolve(__dirname, 'templates', 'tool-cache.html'));
 const monitorTemplate = new Template(Path.resolve(__dirname, 'templates', 'tool-monitor.html'));
 const backupsTemplate = new Template(Path.resolve(__dirname, 'templates', 'tool-backups.html'));
+const backupViewTemplate = new Template(Path.resolve(__dirname, 'templates', 'tool-backup-view.html'));
 const evalTemplate = new Template(Path.resolve(__dirname, 'templates', 'tool-eval.html'));
+const migrationTemplate = new Template(Path.resolve(__dirname, 'templates', 'tool-migration.html'));
+const historyTemplate = new Template(Path.resolve(__dirname, 'templates', 'tool-history.html'));
+const historyViewTemplate = new Template(Path.resolve(__dirname, 'templates', 'tool-history-db.html'));
+
+const Migration = require(Path.resolve(__dirname, '../../data-access/migration.js'));
+
+const Data_Modes = ['RAW', 'MYSQL', 'SQLITE'];
 
 exports.setup = function (App) {
 	/* Menu Options */
@@ -46,6 +54,8 @@ exports.setup = function (App) {
 			{ id: 'cache', title: 'Clear&nbsp;Cache', url: '/tools/cache/', handler: toolClearCache },
 			{ id: 'cnnmonitor', title: 'Connection&nbsp;Monitor', url: '/tools/cnnmonitor/', handler: toolConnectionMonitor },
 			{ id: 'backups', title: 'Backups', url: '/tools/backups/', handler: toolBackups },
+			{ id: 'migration', title: 'Data&nbsp;Migration', url: '/tools/migration/', handler: toolMigration },
+			{ id: 'history', title: 'Databases&nbsp;History', url: '/tools/history/', handler: toolHistory },
 			{ id: 'eval', title: 'Eval&nbsp;(JavaScript)', url: '/tools/eval/', handler: toolEval },
 		], 'getserver');
 
@@ -308,6 +318,19 @@ exports.setup = function (App) {
 		htmlVars.cmd = Text.escapeHTML(App.config.connmonitor.msg);
 		htmlVars.enabled = (App.config.connmonitor.enabled ? ' checked="checked"' : '');
 
+		let queue = App.bot.getQueueStatus();
+		let priorityNames = { moderation: "Moderation", battle: "Battle decisions", tour: "Tournament actions", normal: "Normal", low: "Low priority" };
+		htmlVars.queue_length = queue.length;
+		htmlVars.queue_max = queue.maxLength;
+		htmlVars.queue_rooms = Object.keys(queue.rooms).sort().map(room => {
+			return Text.escapeHTML(room || "global / private") + ": " + queue.rooms[room];
+		}).join(", ");
+		if (htmlVars.queue_rooms) htmlVars.queue_rooms = " (" + htmlVars.queue_rooms + ")";
+		htmlVars.queue_priorities = queue.priorities.map(priority => {
+			return '<tr><td>' + priorityNames[priority.id] + '</td><td>' + priority.queued + '</td><td>' + Math.floor(priority.oldest / 1000) +
+				'</td><td>' + priority.sent + '</td><td>' + priority.dropped + '</td></tr>';
+		}).join("");
+
 		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
 		htmlVars.request_msg = (ok ? ok : (error || ""));
 
@@ -319,12 +342,14 @@ exports.setup = function (App) {
 	function toolBackups(context, html, parts) {
 		let ok = null, error = null;
 
-		if (App.dam.type !== "RAW") {
-			html += '<p><span class="error-msg">This tool is only available for raw-files mode.</span></p>';
+		if (typeof App.dam.getBackup !== "function") {
+			html += '<p><span class="error-msg">This tool is not available for the current data mode.</span></p>';
 			context.endWithWebPage(html, { title: "Develoment Tools - Showdown ChatBot" });
 			return;
 		}
 
+		let conf = App.config.backups;
+
 		if (context.post.savebackup) {
 			if (!context.post.cryptopassword) {
 				context.endWithText("Error: You must specify a password.");
@@ -337,14 +362,7 @@ exports.setup = function (App) {
 					'Content-Disposition': 'inline; filename="showdown_chatbot_' + f.getFullYear() + '_' +
 						(f.getMonth() + 1) + '_' + f.getDate() + '.backup"'
 				});
-				let backupData = App.dam.getBackup();
-				let backup = {
-					signature: "$BACKUP$NATIVE$ENCRYPTED$/Showdown-Chatbot/" + App.env.package.version,
-					time: Date.now(),
-					files: backupData.files,
-					directories: backupData.directories,
-				};
-				context.response.end(encrypt(JSON.stringify(backup), "aes-256-ctr", context.post.cryptopassword));
+				context.response.end(App.backups.create(context.post.cryptopassword));
 			}
 			return;
 		} else if (context.post.restorebackup) {
@@ -356,46 +374,108 @@ exports.setup = function (App) {
 				} else if (!App.jsInject) {
 					error = "[Javascript injection is disabled]";
 				} else {
-					let backup = context.files.backupfile.data;
+					let backup = null;
 					try {
-						backup = decrypt(backup, "aes-256-ctr", context.post.cryptopassword);
+						backup = App.backups.read(context.files.backupfile.data, context.post.cryptopassword);
 					} catch (err) {
-						App.reportCrash(err);
-						error = "Invalid backup file: Corrupted data.";
+						error = "Invalid backup file: " + err.message;
 					}
 					if (!error) {
-						try {
-							backup = JSON.parseNoPrototype(backup);
-							if (typeof backup !== "object" || typeof backup.signature !== "string") {
-								throw new Error("Invalid backup.");
-							}
-						} catch (err) {
-							error = "Invalid backup file: Invalid password or corrupted file.";
-						}
-						if (!error) {
-							let signature = "$BACKUP$NATIVE$ENCRYPTED$";
-							if (backup.signature.substr(0, signature.length) === signature) {
-								App.dam.restoreBackup(backup.directories, backup.files);
-								App.logServerAction(context.user.id, 'Restore Backup | ' + backup.signature +
-									" | " + (new Date(backup.time)).toString());
-								App.logServerAction(context.user.id, 'Exit due to backup restore.');
-								let buf = '';
-								buf += '<html><head><title>Process Exited</title><link rel="stylesheet" href="/static/style.css" /></head><body><p>Backup Completed.' +
-									' The application exits successfully.</p><a href=""><button>Refresh Page</button></a></body></html>';
-								context.response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-								context.response.end(buf);
-								console.log("Backup Completed | Exit via server, By: " + context.user.id);
-								process.exit(0);
-							} else {
-								error = "Invalid backup file: Invalid signature.";
-							}
+						let corrupted = App.backups.verify(backup);
+						if (corrupted && corrupted.length > 0) {
+							error = "Invalid backup file: Corrupted files: " + Text.escapeHTML(corrupted.join(", "));
 						}
 					}
+					if (!error) {
+						App.backups.restore(backup);
+						App.logServerAction(context.user.id, 'Restore Backup | ' + backup.signature +
+							" | " + (new Date(backup.time)).toString());
+						return exitAfterRestore(context);
+					}
 				}
 			}
+		} else if (context.post.editauto) {
+			let interval = parseInt(context.post.interval);
+			let keepDaily = parseInt(context.post.keepdaily);
+			let keepWeekly = parseInt(context.post.keepweekly);
+			let password = context.post.autopassword || "";
+			try {
+				check(!isNaN(interval) && interval > 0, "Invalid interval.");
+				check(!isNaN(keepDaily) && keepDaily >= 0, "Invalid number of daily backups to keep.");
+				check(!isNaN(keepWeekly) && keepWeekly >= 0, "Invalid number of weekly backups to keep.");
+				check(password === (context.post.autopassword2 || ""), "The passwords do not match.");
+				check(password || App.backups.hasKey() || !context.post.enabled, "You must specify a password for the automatic backups.");
+			} catch (err) {
+				error = err.message;
+			}
+			if (!error) {
+				conf.enabled = !!context.post.enabled;
+				conf.dir = Text.trim(context.post.dir || "");
+				conf.interval = interval;
+				conf.keepDaily = keepDaily;
+				conf.keepWeekly = keepWeekly;
+				if (password) {
+					App.backups.setPassword(password);
+				}
+				App.saveConfig();
+				App.backups.start();
+				App.logServerAction(context.user.id, "Edit automatic backups configuration");
+				ok = "Automatic backups configuration saved.";
+			}
+		} else if (context.post.savenow) {
+			if (!App.backups.hasKey()) {
+				error = "You must set the password of the automatic backups first.";
+			} else {
+				try {
+					let file = App.backups.save(App.backups.getKey());
+					App.logServerAction(context.user.id, "Save Backup: " + file);
+					ok = "Backup <strong>" + Text.escapeHTML(file) + "</strong> saved and verified.";
+				} catch (err) {
+					error = "Could not save the backup: " + Text.escapeHTML(err.message);
+				}
+			}
+		} else if (context.post.deletebackup) {
+			if (!App.backups.getFile(context.post.backup || "")) {
+				error = "The backup does not exist.";
+			} else {
+				try {
+					App.backups.remove(context.post.backup);
+					App.logServerAction(context.user.id, "Delete Backup: " + context.post.backup);
+					ok = "Backup <strong>" + Text.escapeHTML(context.post.backup) + "</strong> deleted.";
+				} catch (err) {
+					error = "Could not delete the backup: " + Text.escapeHTML(err.message);
+				}
+			}
+		}
+
+		if (context.get.backup) {
+			return backupViewHandler(context, html, context.get.backup);
 		}
 
 		let htmlVars = Object.create(null);
+
+		htmlVars.enabled = (conf.enabled ? 'checked="checked"' : '');
+		htmlVars.dir = Text.escapeHTML(conf.dir || "");
+		htmlVars.default_dir = Text.escapeHTML(Path.resolve(App.dataDir, "backups"));
+		htmlVars.interval = Text.escapeHTML(conf.interval);
+		htmlVars.keep_daily = Text.escapeHTML(conf.keepDaily);
+		htmlVars.keep_weekly = Text.escapeHTML(conf.keepWeekly);
+		htmlVars.password_placeholder = (App.backups.hasKey() ? "(unchanged)" : "");
+		htmlVars.key_file = Text.escapeHTML(App.backups.getKeyFile());
+
+		htmlVars.backups = '';
+		let backups = App.backups.list();
+		for (let backup of backups) {
+			htmlVars.backups += '<tr><td>' + Text.escapeHTML(backup.file) + '</td><td>' + Text.escapeHTML((new Date(backup.time)).toString()) + '</td>' +
+				'<td>' + Math.ceil(backup.size / 1024) + ' KB</td>' +
+				'<td><a href="./?backup=' + encodeURIComponent(backup.file) + '"><button>Open</button></a>&nbsp;' +
+				'<form style="display:inline;" method="post" action=""><input type="hidden" name="backup" value="' + Text.escapeHTML(backup.file) + '" />' +
+				'<input type="submit" name="deletebackup" value="Delete" /></form></td></tr>';
+		}
+		if (!backups.length) {
+			htmlVars.backups = '<tr><td colspan="4"><i>(No backups saved)</i></td></tr>';
+		}
+
 		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
 		htmlVars.request_msg = (ok ? ok : (error || ""));
 
@@ -404,55 +484,304 @@ exports.setup = function (App) {
 		context.endWithWebPage(html, { title: "Develoment Tools - Showdown ChatBot" });
 	}
 
-	/* Auxiliar Functions */
-	function tryGetRoomTitle(room) {
-		if (App.bot.rooms[room]) {
-			return App.bot.rooms[room].title || room;
-		} else {
-			return room;
+	function backupViewHandler(context, html, file) {
+		let ok = null, error = null;
+		let password = context.post.cryptopassword || App.backups.getKey() || "";
+		let backup = null;
+
+		try {
+			backup = App.backups.load(file, password);
+		} catch (err) {
+			error = Text.escapeHTML(err.message);
 		}
-	}
 
+		let corrupted = (backup ? App.backups.verify(backup) : null);
 
-	/**
-	 * Encrypts a text
-	 * @param {String} text
-	 * @param {String} algorithm
-	 * @param {String} password
-	 * @returns {String} Encrypted text
-	 */
-	function encrypt(text, algorithm, password) {
-		const iv = Buffer.from(Crypto.randomBytes(16));
-		const hash = Crypto.createHash('sha256');
-		hash.update(password);
-		let cipher = Crypto.createCipheriv(algorithm, hash.digest(), iv);
-		let crypted = cipher.update(text, 'utf8', 'hex');
-		crypted += cipher.final('hex');
-		return iv.toString("hex") + ":" + crypted;
+		if (backup && context.post.restorefiles) {
+			let files = [];
+			for (let i = 0; i < backup.files.length; i++) {
+				if (context.post['file-' + i]) {
+					files.push(backup.files[i].file);
+				}
+			}
+			if (!files.length) {
+				error = "You must select the files to restore.";
+			} else if (!App.jsInject) {
+				error = "[Javascript injection is disabled]";
+			} else if (corrupted && files.some(f => corrupted.indexOf(f) >= 0)) {
+				error = "Some of the selected files are corrupted.";
+			} else {
+				App.backups.restore(backup, files);
+				App.logServerAction(context.user.id, 'Restore Backup | ' + file + " | Files: " + files.join(", "));
+				return exitAfterRestore(context);
+			}
+		}
+
+		let htmlVars = Object.create(null);
+
+		htmlVars.backup = Text.escapeHTML(file);
+		htmlVars.backup_url = encodeURIComponent(file);
+		htmlVars.files = '';
+		htmlVars.info = '';
+		if (backup) {
+			htmlVars.info = '<p><strong>Date</strong>: ' + Text.escapeHTML((new Date(backup.time)).toString()) + '</p>' +
+				'<p><strong>Version</strong>: ' + Text.escapeHTML(backup.signature.split("/").pop()) + '</p>';
+			if (corrupted === null) {
+				htmlVars.info += '<p><strong>Integrity</strong>: Not available (the backup does not have checksums)</p>';
+			} else if (corrupted.length === 0) {
+				htmlVars.info += '<p><strong>Integrity</strong>: <font color="green">Verified</font></p>';
+			} else {
+				htmlVars.info += '<p><strong>Integrity</strong>: <font color="red">' + corrupted.length + ' corrupted file(s)</font></p>';
+			}
+			for (let i = 0; i < backup.files.length; i++) {
+				let f = backup.files[i];
+				htmlVars.files += '<tr><td><input name="file-' + i + '" type="checkbox" value="true" />&nbsp;' + Text.escapeHTML(f.file) + '</td>' +
+					'<td>' + Buffer.byteLength(f.content + "", 'utf8') + '</td>' +
+					'<td>' + (corrupted === null ? '-' : (corrupted.indexOf(f.file) >= 0 ? '<font color="red">Corrupted</font>' : 'OK')) + '</td></tr>';
+			}
+		}
+		htmlVars.hidden = (backup ? '' : ' style="display:none;"');
+
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		html += backupViewTemplate.make(htmlVars);
+
+		context.endWithWebPage(html, { title: "Backup " + Text.escapeHTML(file) + " - Showdown ChatBot" });
 	}
 
 	/**
-	 * Decrypts a text
-	 * @param {String} text - Encrypted text
-	 * @param {String} algorithm
-	 * @param {String} password
-	 * @returns {String} Decrypted text
+	 * Exits the process after restoring a backup (the application
+	 * is restarted by the run-forever script)
+	 * @param {RequestContext} context
 	 */
-	function decrypt(text, algorithm, password) {
-		if (text.indexOf(":") === -1) {
-			let decipher = Crypto.createDecipher(algorithm, password);
-			let data = decipher.update(text, 'hex', 'utf8');
-			data += decipher.final('utf8');
-			return data;
+	function exitAfterRestore(context) {
+		App.logServerAction(context.user.id, 'Exit due to backup restore.');
+		let exit = function () {
+			let buf = '';
+			buf += '<html><head><title>Process Exited</title><link rel="stylesheet" href="/static/style.css" /></head><body><p>Backup Completed.' +
+				' The application exits successfully.</p><a href=""><button>Refresh Page</button></a></body></html>';
+			context.response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+			context.response.end(buf);
+			console.log("Backup Completed | Exit via server, By: " + context.user.id);
+			process.exit(0);
+		};
+		/* Wait until the restored files are written (MYSQL) */
+		if (typeof App.dam.flush === "function") {
+			App.dam.flush(exit);
+		} else {
+			exit();
+		}
+	}
+
+	function toolMigration(context, html, parts) {
+		let ok = null, error = null;
+		let target = (context.post.target || "").toUpperCase();
+		let report = null;
+
+		let done = function () {
+			let htmlVars = Object.create(null);
+			htmlVars.current = Text.escapeHTML(App.dam.type);
+			htmlVars.targets = '';
+			for (let mode of Data_Modes) {
+				if (mode === App.dam.type) continue;
+				htmlVars.targets += '<option value="' + mode + '"' + (mode === target ? ' selected="selected"' : '') + '>' + mode + '</option>';
+			}
+			htmlVars.report = '';
+			if (report) {
+				htmlVars.report += '<h3>' + (report.dryRun ? 'Files to copy' : 'Copied files') + ' (' + report.files.length + ')</h3>';
+				htmlVars.report += '<table border="1"><tr><td width="250"><div align="center"><strong>File</strong></div></td>' +
+					'<td width="80"><div align="center"><strong>Size</strong></div></td>' +
+					'<td width="100"><div align="center"><strong>Action</strong></div></td>' +
+					'<td><div align="center"><strong>Checksum (SHA-256)</strong></div></td></tr>';
+				for (let file of report.files) {
+					htmlVars.report += '<tr><td>' + Text.escapeHTML(file.file) + (file.crypto ? ' (encrypted)' : '') + '</td>' +
+						'<td>' + file.size + '</td><td>' + file.action + '</td><td><code>' + file.checksum + '</code></td></tr>';
+				}
+				htmlVars.report += '</table>';
+			}
+			htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+			htmlVars.request_msg = (ok ? ok : (error || ""));
+
+			html += migrationTemplate.make(htmlVars);
+			context.endWithWebPage(html, { title: "Develoment Tools - Showdown ChatBot" });
+		};
+
+		if (!context.post.dryrun && !context.post.migrate) {
+			return done();
+		}
+
+		if (Data_Modes.indexOf(target) === -1 || target === App.dam.type) {
+			error = "Invalid destination storage.";
+			return done();
+		}
+
+		let dam;
+		try {
+			dam = Migration.createDataAccessManager(target, App.env.config || {}, App.confDir);
+		} catch (err) {
+			error = "Could not use the " + target + " storage: " + Text.escapeHTML(err.message);
+			return done();
+		}
+
+		let dryRun = !context.post.migrate;
+		dam.init(err => {
+			if (err) {
+				error = "Could not connect to the " + target + " storage: " + Text.escapeHTML(err.message);
+				if (typeof dam.close === "function") dam.close();
+				return done();
+			}
+			Migration.migrate(App.dam, dam, { dryRun: dryRun }, (err, result) => {
+				if (typeof dam.close === "function") dam.close();
+				report = result || null;
+				if (err) {
+					error = "Migration error: " + Text.escapeHTML(err.message);
+				} else if (report.errors.length) {
+					error = report.errors.map(Text.escapeHTML).join('<br />');
+				} else if (dryRun) {
+					ok = report.files.length + " files would be copied to the " + target + " storage.";
+				} else {
+					ok = report.files.length + " files were copied to the " + target + " storage and verified. " +
+						"Change <strong>Data_Mode</strong> to <strong>" + target + "</strong> in config.js and restart the application to use it.";
+					App.logServerAction(context.user.id, "Data Migration: " + App.dam.type + " to " + target + " (" + report.files.length + " files)");
+				}
+				done();
+			});
+		});
+	}
+
+	function toolHistory(context, html, parts) {
+		let ok = null, error = null;
+		let file = context.post.db || context.get.db || "";
+
+		if (context.post.sethistory) {
+			let max = parseInt(context.post.revisions);
+			try {
+				check(App.history.getDataBases().indexOf(file) >= 0, "The database <strong>" + Text.escapeHTML(file) + "</strong> does not exist.");
+				check(!isNaN(max) && max >= 0, "Invalid number of revisions.");
+			} catch (err) {
+				error = err.message;
+			}
+			if (!error) {
+				if (max > 0) {
+					App.history.enable(file, max);
+					ok = "History of <strong>" + Text.escapeHTML(file) + "</strong> enabled (" + max + " revisions).";
+				} else {
+					App.history.disable(file);
+					ok = "History of <strong>" + Text.escapeHTML(file) + "</strong> disabled.";
+				}
+				App.saveConfig();
+				App.logServerAction(context.user.id, "Set database history: " + file + " (" + max + " revisions)");
+			}
+		} else if (context.post.rollback) {
+			let rev = parseInt(context.post.rev);
+			let reloaded = false;
+			try {
+				reloaded = App.history.rollback(file, rev);
+			} catch (err) {
+				error = Text.escapeHTML(err.message);
+			}
+			if (!error) {
+				App.logServerAction(context.user.id, "Database rollback: " + file + " to revision #" + rev);
+				ok = "Database <strong>" + Text.escapeHTML(file) + "</strong> restored to the revision #" + rev + ".";
+				if (!reloaded) {
+					ok += " The modules using this database cannot reload it, restart the application to apply the changes.";
+				}
+			}
+		}
+
+		if (context.get.db) {
+			return historyViewHandler(context, html, context.get.db, ok, error);
+		}
+
+		let htmlVars = Object.create(null);
+
+		htmlVars.databases = '';
+		for (let db of App.history.getDataBases()) {
+			let escFile = Text.escapeHTML(db);
+			htmlVars.databases += '<tr><td>' + escFile + '</td>' +
+				'<td>' + (App.history.databases[db] ? 'Yes' : 'No') + '</td>' +
+				'<td>' + (App.history.canReload(db) ? 'Yes' : 'No') + '</td>' +
+				'<td>' + (App.history.isEnabled(db) ? App.history.getRevisions(db).length : '-') + '</td>' +
+				'<td><form style="display:inline;" method="post" action=""><input type="hidden" name="db" value="' + escFile + '" />' +
+				'<input name="revisions" type="text" size="5" value="' + (App.config.dbhistory[db] || 0) + '" />&nbsp;' +
+				'<input type="submit" name="sethistory" value="Save" /></form>' +
+				(App.history.isEnabled(db) ? ('&nbsp;<a href="./?db=' + encodeURIComponent(db) + '"><button>Revisions</button></a>') : '') + '</td></tr>';
+		}
+
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		html += historyTemplate.make(htmlVars);
+
+		context.endWithWebPage(html, { title: "Develoment Tools - Showdown ChatBot" });
+	}
+
+	function historyViewHandler(context, html, file, ok, error) {
+		let revisions = App.history.getRevisions(file);
+		let from = parseInt(context.get.from);
+		let to = parseInt(context.get.to);
+
+		let htmlVars = Object.create(null);
+
+		htmlVars.db = Text.escapeHTML(file);
+		htmlVars.db_url = encodeURIComponent(file);
+		htmlVars.revisions = '';
+		for (let i = revisions.length - 1; i >= 0; i--) {
+			let revision = revisions[i];
+			htmlVars.revisions += '<tr><td>#' + revision.rev + '</td><td>' + Text.escapeHTML((new Date(revision.time)).toString()) + '</td>' +
+				'<td>' + revision.size + '</td><td>' + Text.escapeHTML(revision.note || '-') + '</td>' +
+				'<td><input type="radio" name="from" value="' + revision.rev + '"' + (from === revision.rev ? ' checked="checked"' : '') + ' /></td>' +
+				'<td><input type="radio" name="to" value="' + revision.rev + '"' + (to === revision.rev ? ' checked="checked"' : '') + ' /></td>' +
+				'<td><button onclick="showConfirm(\'rollback\', \'' + revision.rev + '\', \'Restore\');return false;">Restore</button>' +
+				'<span id="confirm-rollback-' + revision.rev + '"></span></td></tr>';
+		}
+		if (!revisions.length) {
+			htmlVars.revisions = '<tr><td colspan="7"><i>(No revisions)</i></td></tr>';
+		}
+		htmlVars.current_checked = ((from && !to) ? ' checked="checked"' : '');
+		htmlVars.current_disabled = (App.history.databases[file] ? '' : ' disabled="disabled"');
+
+		htmlVars.diff = '';
+		if (from) {
+			let changes = null;
+			try {
+				changes = App.history.diff(file, from, to || 0);
+			} catch (err) {
+				error = Text.escapeHTML(err.message);
+			}
+			if (changes) {
+				htmlVars.diff += '<h3>Changes from #' + from + ' to ' + (to ? ('#' + to) : 'the current data') + '</h3>';
+				if (!changes.length) {
+					htmlVars.diff += '<p><i>(No changes)</i></p>';
+				} else {
+					htmlVars.diff += '<table border="1"><tr><td width="250"><div align="center"><strong>Path</strong></div></td>' +
+						'<td width="300"><div align="center"><strong>Before</strong></div></td>' +
+						'<td width="300"><div align="center"><strong>After</strong></div></td></tr>';
+					for (let change of changes) {
+						htmlVars.diff += '<tr><td><code>' + Text.escapeHTML(change.path) + '</code></td>' +
+							'<td style="background:' + (change.type === 'added' ? 'none' : '#fdd') + ';"><code>' + Text.escapeHTML(change.before) + '</code></td>' +
+							'<td style="background:' + (change.type === 'removed' ? 'none' : '#dfd') + ';"><code>' + Text.escapeHTML(change.after) + '</code></td></tr>';
+					}
+					htmlVars.diff += '</table>';
+				}
+			}
+		}
+
+		htmlVars.request_result = (ok ? 'ok-msg' : (error ? 'error-msg' : ''));
+		htmlVars.request_msg = (ok ? ok : (error || ""));
+
+		html += historyViewTemplate.make(htmlVars);
+
+		context.endWithWebPage(html, { title: "Database " + Text.escapeHTML(file) + " - Showdown ChatBot" });
+	}
+
+	/* Auxiliar Functions */
+	function tryGetRoomTitle(room) {
+		if (App.bot.rooms[room]) {
+			return App.bot.rooms[room].title || room;
 		} else {
-			const parts = text.split(":");
-			const iv = Buffer.from(parts[0], 'hex');
-			const hash = Crypto.createHash('sha256');
-			hash.update(password);
-			let decipher = Crypto.createDecipheriv(algorithm, hash.digest(), iv);
-			let data = decipher.update(parts[1], 'hex', 'utf8');
-			data += decipher.final('utf8');
-			return data;
+			return room;
 		}
 	}
 };
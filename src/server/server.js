@@ -20,6 +20,8 @@ const Max_Untrusted_Body_Size = 2 * 1024;
 const Max_Login_Flood = 5;
 const Login_Flood_Interval = 15 * 1000;
 const Login_Lock_Max_Duration = 1 * 60 * 60 * 1000;
+const Max_Api_Tokens_Per_User = 20;
+const Api_Token_Save_Interval = 60 * 1000;
 
 const Path = require('path');
 const Http = require('http');
@@ -32,6 +34,7 @@ const Busboy = require('busboy');
 const Static = Tools('server-static');
 const AbuseMonitor = Tools('abuse-monitor');
 const Text = Tools('text');
+const AES = Tools('aes');
 
 const PageMaker = Tools('html-maker');
 
@@ -50,45 +53,28 @@ function secureCompare(a, b) {
 }
 
 /**
- * Encrypts a text
- * @param {String} text
- * @param {String} algorithm
- * @param {String} password
- * @returns {String} Encrypted text
+ * @param {String} secret - Secret part of an API token
+ * @returns {String} SHA-256 hash (hex)
  */
-function encrypt(text, algorithm, password) {
-	const iv = Buffer.from(Crypto.randomBytes(16));
-	const hash = Crypto.createHash('sha256');
-	hash.update(password);
-	let cipher = Crypto.createCipheriv(algorithm, hash.digest(), iv);
-	let crypted = cipher.update(text, 'utf8', 'hex');
-	crypted += cipher.final('hex');
-	return iv.toString("hex") + ":" + crypted;
+function hashApiSecret(secret) {
+	return Crypto.createHash('sha256').update(secret + "", 'utf8').digest('hex');
 }
 
 /**
- * Decrypts a text
- * @param {String} text - Encrypted text
- * @param {String} algorithm
- * @param {String} password
- * @returns {String} Decrypted text
+ * Converts an html message (eg: the error messages of the forms) to plain text
+ * @param {String} html
+ * @returns {String}
  */
-function decrypt(text, algorithm, password) {
-	if (text.indexOf(":") === -1) {
-		let decipher = Crypto.createDecipher(algorithm, password);
-		let data = decipher.update(text, 'hex', 'utf8');
-		data += decipher.final('utf8');
-		return data;
-	} else {
-		const parts = text.split(":");
-		const iv = Buffer.from(parts[0], 'hex');
-		const hash = Crypto.createHash('sha256');
-		hash.update(password);
-		let decipher = Crypto.createDecipheriv(algorithm, hash.digest(), iv);
-		let data = decipher.update(parts[1], 'hex', 'utf8');
-		data += decipher.final('utf8');
-		return data;
-	}
+function htmlToText(html) {
+	const ENTITIES = {
+		'&nbsp;': ' ',
+		'&lt;': '<',
+		'&gt;': '>',
+		'&quot;': '"',
+		'&apos;': "'",
+		'&amp;': '&',
+	};
+	return ("" + html).replace(/<[^>]*>/g, "").replace(/&(nbsp|lt|gt|quot|apos|amp);/g, m => ENTITIES[m]);
 }
 
 /**
@@ -180,7 +166,7 @@ class Server {
 						cert: FileSystem.readFileSync(sslcert)
 					}, this.requestHandler.bind(this));
 				} catch (err) {
-					console.log('Could not create a ssl server. Missing key and certificate.');
+					this.app.logToConsole('Could not create a ssl server. Missing key and certificate.');
 				}
 				if (this.https) {
 					this.https.on('error', function (error) {
@@ -219,7 +205,7 @@ class Server {
 					}.bind(this));
 				}
 			} else {
-				console.log('Could not create a ssl server. Missing key and certificate.');
+				this.app.logToConsole('Could not create a ssl server. Missing key and certificate.');
 			}
 		}
 
@@ -254,7 +240,7 @@ class Server {
 		this.userdb = app.dam.getDataBase('users.crypto', { crypto: true, key: this.privatekey });
 		this.users = this.userdb.data;
 		if (Object.keys(this.users).length === 0) {
-			console.log('Users Database empty. Creating initial admin account');
+			app.logToConsole('Users Database empty. Creating initial admin account');
 
 			const defaultUsername = process.env.DEFAULT_ADMIN_USERNAME || "Admin";
 			const defaultPassword = process.env.DEFAULT_ADMIN_PASSWORD || "admin";
@@ -295,6 +281,7 @@ class Server {
 		this.tokens = Object.create(null);
 		this.menu = Object.create(null);
 		this.handlers = Object.create(null);
+		this.apiHandlers = Object.create(null);
 	}
 
 	/**
@@ -349,6 +336,23 @@ class Server {
 		delete this.handlers[id];
 	}
 
+	/**
+	 * Sets an API handler (/api/v1/{id}/...)
+	 * @param {String} id - url sub-path where the handler works
+	 * @param {String} permission - Permission required to use the handler
+	 * @param {function(RequestContext, Array<String>)} func - Must end the request with JSON
+	 */
+	setApiHandler(id, permission, func) {
+		this.apiHandlers[id] = { permission: permission, func: func };
+	}
+
+	/**
+	 * @param {String} id
+	 */
+	removeApiHandler(id) {
+		delete this.apiHandlers[id];
+	}
+
 	/**
 	 * Gets the available menu options in the context
 	 * @param {RequestContext} context
@@ -436,6 +440,73 @@ class Server {
 		return null;
 	}
 
+	/**
+	 * Creates an API token for an user. Only the hash of
+	 * the secret is stored, so the token cannot be shown again
+	 * @param {String} userid - User ID
+	 * @param {String} name - Token name
+	 * @param {Array<String>} scopes - Permissions the token can use
+	 * @returns {String} token
+	 */
+	makeApiToken(userid, name, scopes) {
+		let user = this.users[userid];
+		if (!user.apiTokens) {
+			user.apiTokens = Object.create(null);
+		}
+		if (Object.keys(user.apiTokens).length >= Max_Api_Tokens_Per_User) {
+			throw new Error("You cannot have more than " + Max_Api_Tokens_Per_User + " API tokens.");
+		}
+		let id;
+		do {
+			id = Text.randomId(10);
+		} while (user.apiTokens[id]);
+		let secret = Crypto.randomBytes(24).toString("hex");
+		user.apiTokens[id] = {
+			name: name,
+			hash: hashApiSecret(secret),
+			scopes: scopes,
+			created: Date.now(),
+			lastUsed: 0,
+		};
+		this.userdb.write();
+		return userid + "." + id + "." + secret;
+	}
+
+	/**
+	 * @param {String} userid - User ID
+	 * @param {String} id - Token ID
+	 * @returns {Boolean} true if the token was removed
+	 */
+	removeApiToken(userid, id) {
+		let user = this.users[userid];
+		if (!user || !user.apiTokens || !user.apiTokens[id]) return false;
+		delete user.apiTokens[id];
+		this.userdb.write();
+		return true;
+	}
+
+	/**
+	 * Fetches the user of an API token
+	 * @param {String} token
+	 * @returns {User} User restricted to the token scopes, or null if the token is not valid
+	 */
+	getApiUser(token) {
+		let parts = (token + "").split(".");
+		if (parts.length !== 3) return null;
+		let user = Object.prototype.hasOwnProperty.call(this.users, parts[0]) ? this.users[parts[0]] : null;
+		if (!user || !user.apiTokens || !Object.prototype.hasOwnProperty.call(user.apiTokens, parts[1])) return null;
+		let apiToken = user.apiTokens[parts[1]];
+		if (!secureCompare(apiToken.hash, hashApiSecret(parts[2]))) return null;
+		let save = (Date.now() - apiToken.lastUsed > Api_Token_Save_Interval);
+		apiToken.lastUsed = Date.now();
+		if (save) {
+			this.userdb.write();
+		}
+		let apiUser = new User(user, apiToken.scopes);
+		apiUser.apiToken = { id: parts[1], name: apiToken.name };
+		return apiUser;
+	}
+
 	/**
 	 * Checks trusted connection for limits
 	 * @param {RequestContext} context
@@ -509,7 +580,7 @@ class Server {
 	checkPassword(pass, str) {
 		if (typeof pass === "object") {
 			return secureCompare(
-				decrypt(pass.hash, pass.encrypted || Encrypt_Algo, str),
+				AES.decrypt(pass.hash, pass.encrypted || Encrypt_Algo, str),
 				this.privatekey
 			);
 		} else if (typeof pass === "string") {
@@ -526,7 +597,7 @@ class Server {
 	encryptPassword(str) {
 		return {
 			encrypted: Encrypt_Algo,
-			hash: encrypt(this.privatekey, Encrypt_Algo, str),
+			hash: AES.encrypt(this.privatekey, Encrypt_Algo, str),
 		};
 	}
 
@@ -659,7 +730,7 @@ class Server {
 	listen(callback) {
 		if (typeof callback === 'function') {
 			this.http.on('listening', () => {
-				console.log("Server lstening at http://" +
+				this.app.logToConsole("Server lstening at http://" +
 					(this.httpOptions.bindaddress ? this.httpOptions.bindaddress : "localhost") + ":" + this.httpOptions.port);
 				callback();
 			});
@@ -670,7 +741,7 @@ class Server {
 		this.http.listen(this.httpOptions.port, this.httpOptions.bindaddress);
 		if (this.https) {
 			this.https.on('listening', () => {
-				console.log("Server lstening at https://" +
+				this.app.logToConsole("Server lstening at https://" +
 					(this.httpsOptions.bindaddress ? this.httpsOptions.bindaddress : "localhost") + ":" + this.httpsOptions.port);
 			});
 			this.https.listen(this.httpsOptions.port, this.httpsOptions.bindaddress);
@@ -696,18 +767,35 @@ function parseCookies(request) {
 	return list;
 }
 
+/**
+ * @param {ClientRequest} request
+ * @returns {Boolean} true if the body of the request is JSON
+ */
+function isJSONRequest(request) {
+	return ((request.headers['content-type'] || "") + "").split(";")[0].trim().toLowerCase() === "application/json";
+}
+
 /**
  * Represents a register user of Showdown ChatBot control panel
  */
 class User {
 	/**
 	 * @param {Object} config - Configuration object (id, name, group, permissions)
+	 * @param {Array<String>} scopes - Permissions allowed for an API token (optional)
 	 */
-	constructor(config) {
+	constructor(config, scopes) {
 		this.id = config.id;
 		this.name = config.name;
 		this.group = config.group;
 		this.permissions = config.permissions;
+		this.scopes = null;
+		this.apiToken = null;
+		if (scopes) {
+			this.scopes = Object.create(null);
+			for (let scope of scopes) {
+				this.scopes[scope] = true;
+			}
+		}
 	}
 
 	/**
@@ -716,6 +804,9 @@ class User {
 	 * @returns {Boolean}
 	 */
 	can(permission) {
+		if (this.scopes && !this.scopes['root'] && !this.scopes[permission]) {
+			return false;
+		}
 		if (this.permissions['root'] || this.permissions[permission]) {
 			return true;
 		} else {
@@ -755,6 +846,7 @@ class RequestContext {
 		this.invalidLogin = false;
 		this.get = Object.create(null);
 		this.post = Object.create(null);
+		this.json = null;
 		this.cookies = parseCookies(this.request);
 		this.theme = this.cookies.theme || "";
 		/* Transform COOKIES to string */
@@ -783,7 +875,7 @@ class RequestContext {
 			}
 		}
 		const bodyMaxSize = this.trusted ? Max_Trusted_Body_Request_Size : Max_Untrusted_Body_Size;
-		if (this.request.method === 'POST') {
+		if (this.request.method === 'POST' || this.request.method === 'PUT') {
 			let body = '';
 			this.request.on('data', function (data) {
 				if ((body.length + data.length) > bodyMaxSize) {
@@ -801,7 +893,19 @@ class RequestContext {
 						this.server.app.debug("Error: " + ex.message);
 					}
 				}
-				if (busboy) {
+				if (isJSONRequest(this.request)) {
+					/* JSON body (API requests) */
+					try {
+						let json = JSON.parseNoPrototype(body);
+						if (json && typeof json === "object" && !Array.isArray(json)) {
+							this.json = json;
+						}
+					} catch (ex) {
+						this.server.app.debug("Error: " + ex.message);
+					}
+					this.files = Object.create(null);
+					if (typeof callback === "function") return callback();
+				} else if (busboy) {
 					let files = this.files = Object.create(null);
 					let post = this.post = Object.create(null);
 					busboy.on('file', function (fieldname, file, filename, encoding, mimetype) {
@@ -895,12 +999,26 @@ class RequestContext {
 		this.response.end(text);
 	}
 
+	/**
+	 * Sends a JSON object to the client
+	 * @param {Object} json
+	 * @param {Number|String} code - Response code (200 by default)
+	 */
 	endWithJSON(json, code) {
 		this.headers['Content-Type'] = 'application/json; charset=utf-8';
 		this.response.writeHead(code || 200, this.headers);
 		this.response.end(JSON.stringify(json));
 	}
 
+	/**
+	 * Sends an API error to the client
+	 * @param {Number|String} code - Response code
+	 * @param {String} msg - Error description (html tags are removed)
+	 */
+	endWithApiError(code, msg) {
+		this.endWithJSON({ error: htmlToText(msg) }, code);
+	}
+
 	/**
 	 * Sends a pre-formated html page to the client
 	 * @param {String} body
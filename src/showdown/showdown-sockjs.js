@@ -35,6 +35,22 @@ const THROTTLE_DELAY_TRUSTED = 100;
 const THROTTLE_DELAY_PUBLIC_BOT = 25;
 const THROTTLE_BUFFER_LIMIT = 5;
 
+/* Priority classes of the outgoing messages, the first ones are sent first */
+const Priorities = ['moderation', 'battle', 'tour', 'normal', 'low'];
+const Default_Priority = 'normal';
+
+const Moderation_Commands = ['mute', 'm', 'hourmute', 'hm', 'unmute', 'warn', 'k', 'kick', 'roomban', 'rb', 'unroomban', 'roomunban',
+	'lock', 'l', 'unlock', 'ban', 'b', 'unban', 'hidetext', 'htext', 'cleartext', 'hidealtstext', 'modchat', 'modnote', 'blacklist',
+	'bl', 'unblacklist'];
+const Battle_Commands = ['choose', 'team', 'move', 'switch', 'undo', 'timer', 'forfeit', 'confirmready', 'challenge', 'accept',
+	'reject', 'search', 'cancelsearch', 'cancelchallenge', 'utm'];
+const Tour_Commands = ['tour', 'tournament'];
+
+const Low_Priority_Max_Wait = 60 * 1000; // Low priority messages waiting more than this are discarded
+
+const Query_Timeout = 10 * 1000;
+const Query_Cache_Time = 10 * 1000;
+
 /**
  * Represents a Pokemon Showdown Bot
  */
@@ -90,6 +106,13 @@ class Bot {
 		this.sendingQueue = [];
 		this.sendingQueueTimeout = null;
 
+		this.queueTurn = 0;
+		this.queueTurns = Object.create(null);
+		this.queueStats = { sent: Priorities.map(() => 0), dropped: Priorities.map(() => 0) };
+
+		this.queries = [];
+		this.queryCache = Object.create(null);
+
 		if (connectionRetry) {
 			this.on('connectFailed', function () {
 				if (this.closed || this.connecting || this.status.connected) return;
@@ -198,6 +221,7 @@ class Bot {
 			this.sendingQueueTimeout = null;
 		}
 		this.status.onDisconnect();
+		this.cancelQueries("Disconnected from the server");
 	}
 
 	/* Events */
@@ -413,14 +437,120 @@ class Bot {
 		return this.nextSend++;
 	}
 
-	addToMsgQueue(msg) {
+	/**
+	 * @param {String} msg - Message to send (room|text)
+	 * @returns {String} Priority class of the message, guessed from its command
+	 */
+	getMessagePriority(msg) {
+		let text = msg.substr(msg.indexOf('|') + 1);
+		if (text.charAt(0) !== '/' || text.charAt(1) === '/') return Default_Priority;
+		let cmd = Text.toId(text.substr(1).split(' ')[0]);
+		if (Moderation_Commands.indexOf(cmd) >= 0) return 'moderation';
+		if (Battle_Commands.indexOf(cmd) >= 0) return 'battle';
+		if (Tour_Commands.indexOf(cmd) >= 0) return 'tour';
+		return Default_Priority;
+	}
+
+	/**
+	 * Discards the low priority messages waiting for too long
+	 */
+	removeStaleMessages() {
+		let now = Date.now();
+		let low = Priorities.indexOf('low');
+		this.msgQueue = this.msgQueue.filter(entry => {
+			if (entry.priority === low && now - entry.time > Low_Priority_Max_Wait) {
+				this.queueStats.dropped[low]++;
+				return false;
+			}
+			return true;
+		});
+	}
+
+	/**
+	 * Adds a message to the sending queue. If the queue is full,
+	 * the oldest message of the least important class is discarded
+	 * (or the new one, if it is less important than every queued message)
+	 * @param {String} msg - Message to send (room|text)
+	 * @param {String} priority - Priority class (optional, guessed from the message if not specified)
+	 */
+	addToMsgQueue(msg, priority) {
+		if (Priorities.indexOf(priority) === -1) {
+			priority = this.getMessagePriority(msg);
+		}
+
+		let entry = {
+			msg: msg,
+			room: msg.substr(0, Math.max(0, msg.indexOf('|'))),
+			priority: Priorities.indexOf(priority),
+			time: Date.now(),
+		};
+
+		this.removeStaleMessages();
+
 		if (this.msgQueueMaxLength > 0) {
 			while (this.msgQueue.length >= this.msgQueueMaxLength) {
-				this.msgQueue.shift();
+				let victim = 0;
+				for (let i = 1; i < this.msgQueue.length; i++) {
+					if (this.msgQueue[i].priority > this.msgQueue[victim].priority) victim = i;
+				}
+				if (this.msgQueue[victim].priority < entry.priority) {
+					this.queueStats.dropped[entry.priority]++;
+					return;
+				}
+				this.queueStats.dropped[this.msgQueue[victim].priority]++;
+				this.msgQueue.splice(victim, 1);
 			}
 		}
 
-		this.msgQueue.push(msg);
+		this.msgQueue.push(entry);
+	}
+
+	/**
+	 * Takes the next message of the sending queue: the most important class first and,
+	 * for the same class, the room that has waited the most since its last message
+	 * @returns {Object} Queue entry (msg, room, priority, time)
+	 */
+	shiftMsgQueue() {
+		let next = 0;
+		for (let i = 1; i < this.msgQueue.length; i++) {
+			let entry = this.msgQueue[i];
+			if (entry.priority < this.msgQueue[next].priority || (entry.priority === this.msgQueue[next].priority &&
+				(this.queueTurns[entry.room] || 0) < (this.queueTurns[this.msgQueue[next].room] || 0))) {
+				next = i;
+			}
+		}
+		let entry = this.msgQueue.splice(next, 1)[0];
+		this.queueStats.sent[entry.priority]++;
+		if (this.msgQueue.length > 0) {
+			this.queueTurns[entry.room] = ++this.queueTurn;
+		} else {
+			this.queueTurn = 0;
+			this.queueTurns = Object.create(null);
+		}
+		return entry;
+	}
+
+	/**
+	 * @returns {Object} Sending queue status (length, maxLength, priorities, rooms)
+	 */
+	getQueueStatus() {
+		let now = Date.now();
+		let status = {
+			length: this.msgQueue.length,
+			maxLength: this.msgQueueMaxLength,
+			priorities: [],
+			rooms: Object.create(null),
+		};
+		for (let i = 0; i < Priorities.length; i++) {
+			status.priorities.push({ id: Priorities[i], queued: 0, oldest: 0, sent: this.queueStats.sent[i], dropped: this.queueStats.dropped[i] });
+		}
+		for (let entry of this.msgQueue) {
+			let priority = status.priorities[entry.priority];
+			priority.queued++;
+			priority.oldest = Math.max(priority.oldest, now - entry.time);
+			status.rooms[entry.room] = (status.rooms[entry.room] || 0) + 1;
+		}
+		return status;
 	}
 
 	processMessageQueue() {
@@ -429,6 +559,8 @@ class Bot {
 			this.sendingQueueTimeout = null;
 		}
 
+		this.removeStaleMessages();
+
 		if (this.msgQueue.length === 0) {
 			return;
 		}
@@ -447,7 +579,7 @@ class Bot {
 		const throttleDelay = this.getThrottleDelay();
 
 		while (THROTTLE_BUFFER_LIMIT - this.sendingQueue.length > 0 && this.msgQueue.length > 0) {
-			const lineToSend = this.msgQueue.shift();
+			const lineToSend = this.shiftMsgQueue().msg;
 
 			this.socket.send(lineToSend);
 			this.events.emit('send', lineToSend);
@@ -497,8 +629,9 @@ class Bot {
 
 	/**
 	 * @param {String|Array<String>} data
+	 * @param {String} priority - Priority class (moderation, battle, tour, normal, low). Optional
 	 */
-	send(data) {
+	send(data, priority) {
 		if (!this.socket) return null;
 
 		if (!Array.isArray(data)) {
@@ -508,7 +641,7 @@ class Bot {
 		}
 
 		for (let msg of data) {
-			this.addToMsgQueue(msg);
+			this.addToMsgQueue(msg, priority);
 		}
 
 		this.processMessageQueue();
@@ -517,36 +650,175 @@ class Bot {
 	/**
 	 * @param {String} room
 	 * @param {String|Array<String>} data
+	 * @param {String} priority - Priority class (optional)
 	 */
-	sendTo(room, data) {
+	sendTo(room, data, priority) {
 		if (!(data instanceof Array)) {
 			data = [data.toString()];
 		}
 		for (let i = 0; i < data.length; i++) {
 			data[i] = (room + '|' + data[i]);
 		}
-		return this.send(data);
+		return this.send(data, priority);
 	}
 
 	/**
 	 * @param {String|Array<String>} data
+	 * @param {String} priority - Priority class (optional)
 	 */
-	sendToGlobal(data) {
-		return this.sendTo('', data);
+	sendToGlobal(data, priority) {
+		return this.sendTo('', data, priority);
 	}
 
 	/**
 	 * @param {String} user
 	 * @param {String|Array<String>} data
+	 * @param {String} priority - Priority class (optional)
 	 */
-	pm(user, data) {
+	pm(user, data, priority) {
 		if (!(data instanceof Array)) {
 			data = [data.toString()];
 		}
 		for (let i = 0; i < data.length; i++) {
 			data[i] = ('|/msg ' + user + "," + data[i]);
 		}
-		return this.send(data);
+		return this.send(data, priority);
+	}
+
+	/* Queries */
+
+	/**
+	 * Sends a query (/cmd) to the server and waits for the response
+	 * @param {String} type - Query type (userdetails, rooms, roominfo, laddertop...)
+	 * @param {String} target - Query target (can be empty)
+	 * @param {function(Object):Boolean} match - Checks if a response of the same type is for this query (optional)
+	 * @param {Object} options - timeout (milliseconds), cache (milliseconds to reuse the response, 0 to skip the cache)
+	 * @returns {Promise<Object>} Parsed response
+	 */
+	query(type, target, match, options) {
+		options = options || {};
+		let key = type + "|" + (target || "");
+		let cacheTime = (options.cache === undefined ? Query_Cache_Time : options.cache);
+		let cached = this.queryCache[key];
+		if (cached && cacheTime > 0 && Date.now() - cached.time < cacheTime) {
+			return Promise.resolve(cached.data);
+		}
+		for (let query of this.queries) {
+			if (query.key === key) return query.promise; // Same query waiting for the response
+		}
+		if (!this.isConnected() || !this.socket) {
+			return Promise.reject(new Error("Not connected to the server"));
+		}
+		let query = { key: key, type: type, match: match, timer: null };
+		query.promise = new Promise((resolve, reject) => {
+			query.resolve = resolve;
+			query.reject = reject;
+		});
+		query.timer = setTimeout(() => {
+			this.removeQuery(query);
+			query.reject(new Error("Query timed out: " + key));
+		}, options.timeout || Query_Timeout);
+		this.queries.push(query);
+		this.send('|/cmd ' + type + (target ? (' ' + target) : ''));
+		return query.promise;
+	}
+
+	/**
+	 * @param {Object} query - Pending query
+	 */
+	removeQuery(query) {
+		clearTimeout(query.timer);
+		let index = this.queries.indexOf(query);
+		if (index >= 0) this.queries.splice(index, 1);
+	}
+
+	/**
+	 * Rejects the pending queries
+	 * @param {String} reason
+	 */
+	cancelQueries(reason) {
+		let queries = this.queries;
+		this.queries = [];
+		for (let query of queries) {
+			clearTimeout(query.timer);
+			query.reject(new Error(reason));
+		}
+	}
+
+	/**
+	 * Resolves the pending query of a response
+	 * @param {String} data - Query response (type|json)
+	 */
+	parseQueryResponse(data) {
+		let type = data.split('|')[0];
+		let response;
+		try {
+			response = JSON.parseNoPrototype(data.substr(type.length + 1));
+		} catch (err) {
+			return;
+		}
+		let now = Date.now();
+		for (let key in this.queryCache) {
+			if (now - this.queryCache[key].time >= Query_Cache_Time) delete this.queryCache[key];
+		}
+		for (let query of this.queries) {
+			if (query.type !== type) continue;
+			if (query.match && !query.match(response)) continue;
+			this.removeQuery(query);
+			this.queryCache[query.key] = { time: now, data: response };
+			query.resolve(response);
+			return;
+		}
+	}
+
+	/**
+	 * @param {String} user
+	 * @param {Object} options - Query options (timeout, cache)
+	 * @returns {Promise<Object>} User details (userid, name, avatar, group, status, rooms). rooms is false if the user is offline
+	 */
+	queryUserDetails(user, options) {
+		let userid = Text.toId(user);
+		if (!userid) return Promise.reject(new Error("Invalid user"));
+		return this.query('userdetails', userid, data => {
+			return !!data && Text.toId(data.userid || data.id) === userid;
+		}, options);
+	}
+
+	/**
+	 * @param {Object} options - Query options (timeout, cache)
+	 * @returns {Promise<Object>} Public rooms (official, pspl, chat...) and user count
+	 */
+	queryRoomList(options) {
+		return this.query('rooms', '', null, options);
+	}
+
+	/**
+	 * @param {String} room
+	 * @param {Object} options - Query options (timeout, cache)
+	 * @returns {Promise<Object>} Room info (roomid, title, type, visibility, modchat, auth, users). Rejects if the room is not found
+	 */
+	queryRoomInfo(room, options) {
+		let roomid = Text.toRoomid(room);
+		if (!roomid) return Promise.reject(new Error("Invalid room"));
+		return this.query('roominfo', roomid, data => {
+			return !!data && Text.toRoomid(data.id || data.roomid) === roomid;
+		}, options).then(data => {
+			if (data.error) throw new Error("Room info (" + roomid + "): " + data.error);
+			return data;
+		});
+	}
+
+	/**
+	 * @param {String} format
+	 * @param {Object} options - Query options (timeout, cache)
+	 * @returns {Promise<Array>} Ladder top players (userid, username, elo, gxe, w, l, t...)
+	 */
+	queryLaddertop(format, options) {
+		let formatid = Text.toId(format);
+		if (!formatid) return Promise.reject(new Error("Invalid format"));
+		return this.query('laddertop', formatid, data => {
+			return Array.isArray(data) && Text.toId(data[0]) === formatid;
+		}, options).then(data => (data[1] || []));
 	}
 
 	/**
@@ -653,6 +925,7 @@ class Bot {
 					this.status.named, this.status.avatar, this.status.away);
 				break;
 			case 'queryresponse':
+				this.parseQueryResponse(line.substr(15));
 				this.events.emit('queryresponse', line.substr(15));
 				break;
 			case 'popup':
@@ -912,5 +1185,6 @@ class BotRoom {
 }
 
 exports.Bot = Bot;
+exports.Priorities = Priorities;
 exports.BotStatus = BotStatus;
 exports.BotRoom = BotRoom;
@@ -0,0 +1,99 @@
+/**
+ * AES encryption tool
+ * Used for the encrypted databases, the backups
+ * and the control panel private key
+ */
+
+'use strict';
+
+const Crypto = require('crypto');
+
+/**
+ * @param {String} password
+ * @returns {Buffer} Key derived from the password (SHA-256)
+ */
+function getKey(password) {
+	return Crypto.createHash('sha256').update(password).digest();
+}
+
+/**
+ * @param {String} password
+ * @param {String} salt
+ * @returns {Buffer} Key derived from the password and the salt (scrypt)
+ */
+function deriveKey(password, salt) {
+	return Crypto.scryptSync(password, salt, 32);
+}
+
+/**
+ * Key and IV of the old format (no IV stored), derived
+ * the same way the removed crypto.createCipher did (EVP_BytesToKey, MD5)
+ * @param {String} algorithm
+ * @param {String} password
+ * @returns {Object} key, iv
+ */
+function getLegacyKey(algorithm, password) {
+	const info = Crypto.getCipherInfo(algorithm);
+	const length = info.keyLength + (info.ivLength || 0);
+	let buffers = [];
+	let prev = Buffer.alloc(0);
+	let total = 0;
+	while (total < length) {
+		prev = Crypto.createHash('md5').update(Buffer.concat([prev, Buffer.from(password, 'utf8')])).digest();
+		buffers.push(prev);
+		total += prev.length;
+	}
+	const result = Buffer.concat(buffers);
+	return {
+		key: result.slice(0, info.keyLength),
+		iv: result.slice(info.keyLength, length),
+	};
+}
+
+/**
+ * Encrypts a text
+ * @param {String} text
+ * @param {String} algorithm
+ * @param {String|Buffer} password - Password or key (see getKey)
+ * @returns {String} Encrypted text (iv:data)
+ */
+function encrypt(text, algorithm, password) {
+	const iv = Crypto.randomBytes(16);
+	const key = Buffer.isBuffer(password) ? password : getKey(password);
+	let cipher = Crypto.createCipheriv(algorithm, key, iv);
+	let crypted = cipher.update(text, 'utf8', 'hex');
+	crypted += cipher.final('hex');
+	return iv.toString("hex") + ":" + crypted;
+}
+
+/**
+ * Decrypts a text
+ * @param {String} text - Encrypted text
+ * @param {String} algorithm
+ * @param {String|Buffer} password - Password or key (see getKey)
+ * @returns {String} Decrypted text
+ * @throws {Error} If the text uses the old format and the password is not provided
+ */
+function decrypt(text, algorithm, password) {
+	let decipher;
+	if (text.indexOf(":") === -1) {
+		if (Buffer.isBuffer(password)) {
+			throw new Error("The password is required to decrypt data in the old format");
+		}
+		const legacy = getLegacyKey(algorithm, password);
+		decipher = Crypto.createDecipheriv(algorithm, legacy.key, legacy.iv);
+	} else {
+		const parts = text.split(":");
+		const key = Buffer.isBuffer(password) ? password : getKey(password);
+		decipher = Crypto.createDecipheriv(algorithm, key, Buffer.from(parts[0], 'hex'));
+		text = parts[1];
+	}
+	let data = decipher.update(text, 'hex', 'utf8');
+	data += decipher.final('utf8');
+	return data;
+}
+
+exports.getKey = getKey;
+exports.deriveKey = deriveKey;
+exports.encrypt = encrypt;
+exports.decrypt = decrypt;
@@ -22,6 +22,7 @@ class BotMod {
 		this.description = config.description || "";
 		this.version = config.version;
 		this.langfiles = config.langfiles || [];
+		this.help = config.help || Object.create(null);
 		if (config.main) {
 			this.system = require(Path.resolve(path, config.main));
 			if (typeof this.system.setup === "function") {
@@ -0,0 +1,213 @@
+/**
+ * Command Templates
+ * Resolves placeholders in dynamic commands
+ * content at reply time
+ *
+ * Syntax: ${name} or ${name:parameter}
+ *
+ *  - ${user} / ${userid} - Name / ID of the user that used the command
+ *  - ${room} / ${roomid} - Title / ID of the room where the command was used
+ *  - ${bot} - Bot nickname
+ *  - ${arg} - Full command argument
+ *  - ${arg1}, ${arg2}, ... - Positional arguments (comma separated)
+ *  - ${argN:default} - Positional argument with a default value
+ *  - ${date}, ${date:timezone} - Current date
+ *  - ${time}, ${time:timezone} - Current time
+ *  - ${random:a|b|c} - Random choice from a list
+ *
+ * Contents that are not valid templates (eg: saved before the
+ * templates were added) are sent as plain text
+ */
+
+'use strict';
+
+const Max_Arguments = 20;
+const Default_Timezone = 'UTC';
+
+const Text = Tools('text');
+
+const Variables = ['user', 'userid', 'room', 'roomid', 'bot', 'arg', 'date', 'time', 'random'];
+
+/**
+ * Checks if a timezone is supported
+ * @param {String} tz
+ * @returns {Boolean}
+ */
+function isValidTimezone(tz) {
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone: tz }).format(new Date());
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+/**
+ * Parses a template
+ * @param {String} str - Template
+ * @returns {Array<Object>} List of parts (text or variable)
+ * @throws {Error} If the template is malformed
+ */
+function parse(str) {
+	str = "" + str;
+	let parts = [];
+	let i = 0;
+	while (i < str.length) {
+		let start = str.indexOf("${", i);
+		if (start === -1) {
+			parts.push({ text: str.substr(i) });
+			break;
+		}
+		if (start > i) {
+			parts.push({ text: str.substring(i, start) });
+		}
+		let end = str.indexOf("}", start + 2);
+		if (end === -1) {
+			throw new Error("Unclosed placeholder at position " + start + ".");
+		}
+		let inner = str.substring(start + 2, end);
+		if (inner.indexOf("${") !== -1) {
+			throw new Error("Nested placeholders are not allowed (position " + start + ").");
+		}
+		let colonIndex = inner.indexOf(":");
+		let name, param;
+		if (colonIndex === -1) {
+			name = Text.toId(inner);
+			param = null;
+		} else {
+			name = Text.toId(inner.substr(0, colonIndex));
+			param = inner.substr(colonIndex + 1).trim();
+		}
+		let argIndex = 0;
+		if ((/^arg[0-9]+$/).test(name)) {
+			argIndex = parseInt(name.substr(3));
+			if (argIndex < 1 || argIndex > Max_Arguments) {
+				throw new Error("Invalid argument index in ${" + inner + "}. It must be between 1 and " + Max_Arguments + ".");
+			}
+			name = 'argn';
+		} else if (Variables.indexOf(name) === -1) {
+			throw new Error("Unknown placeholder: ${" + inner + "}");
+		}
+		switch (name) {
+			case 'date':
+			case 'time':
+				if (param && !isValidTimezone(param)) {
+					throw new Error("Invalid timezone in ${" + inner + "}");
+				}
+				break;
+			case 'random':
+				if (!param || param.split("|").filter(a => !!a.trim()).length === 0) {
+					throw new Error("The placeholder ${" + inner + "} requires a list of options separated by |");
+				}
+				break;
+			case 'argn':
+				break;
+			default:
+				if (param !== null) {
+					throw new Error("The placeholder ${" + inner + "} does not accept parameters.");
+				}
+		}
+		parts.push({ name: name, param: param, index: argIndex });
+		i = end + 1;
+	}
+	return parts;
+}
+
+/**
+ * Checks a template
+ * @param {String} str - Template
+ * @returns {String} Error message or empty string if the template is valid
+ */
+function validate(str) {
+	try {
+		parse(str);
+		return "";
+	} catch (err) {
+		return err.message;
+	}
+}
+
+/**
+ * Returns true if the string contains placeholders
+ * @param {String} str
+ * @returns {Boolean}
+ */
+function hasPlaceholders(str) {
+	return (("" + str).indexOf("${") !== -1);
+}
+
+/**
+ * Formats the current date or time for a timezone
+ * @param {String} type - date or time
+ * @param {String} tz - Timezone
+ * @returns {String}
+ */
+function formatDate(type, tz) {
+	let options = { timeZone: tz || Default_Timezone };
+	if (type === 'date') {
+		options.year = 'numeric';
+		options.month = '2-digit';
+		options.day = '2-digit';
+	} else {
+		options.hour = '2-digit';
+		options.minute = '2-digit';
+		options.hour12 = false;
+	}
+	try {
+		return new Intl.DateTimeFormat('en-GB', options).format(new Date());
+	} catch (err) {
+		return "";
+	}
+}
+
+/**
+ * Expands a template
+ * @param {String} str - Template
+ * @param {Object} vars - Values (user, userid, room, roomid, bot, arg)
+ * @param {function(String)} escape - Function to sanitize the user input (optional)
+ * @returns {String} Expanded template
+ * @throws {Error} If the template is malformed
+ */
+function expand(str, vars, escape) {
+	let parts = parse(str);
+	let args = (vars.arg || "").split(",").map(a => a.trim());
+	let sanitize = function (val) {
+		val = ("" + (val || "")).replace(/[\r\n]+/g, " ");
+		return escape ? escape(val) : val;
+	};
+	let result = "";
+	for (let part of parts) {
+		if (part.text !== undefined) {
+			result += part.text;
+			continue;
+		}
+		switch (part.name) {
+			case 'user':
+			case 'userid':
+			case 'room':
+			case 'roomid':
+			case 'bot':
+			case 'arg':
+				result += sanitize(vars[part.name]);
+				break;
+			case 'argn':
+				result += sanitize(args[part.index - 1] || part.param || "");
+				break;
+			case 'date':
+			case 'time':
+				result += formatDate(part.name, part.param);
+				break;
+			case 'random':
+				let options = part.param.split("|").map(a => a.trim()).filter(a => !!a);
+				result += options[Math.floor(Math.random() * options.length)];
+				break;
+		}
+	}
+	return result;
+}
+
+exports.parse = parse;
+exports.validate = validate;
+exports.expand = expand;
+exports.hasPlaceholders = hasPlaceholders;
+exports.isValidTimezone = isValidTimezone;
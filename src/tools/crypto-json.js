@@ -4,51 +4,9 @@
 
 'use strict';
 
-const Crypto = require('crypto');
 const FileSystem = require('fs');
 const EventsManager = Tools('events');
-
-/**
- * Encrypts a text
- * @param {String} text
- * @param {String} algorithm
- * @param {String} password
- * @returns {String} Encrypted text
- */
-function encrypt(text, algorithm, password) {
-	const iv = Buffer.from(Crypto.randomBytes(16));
-	const hash = Crypto.createHash('sha256');
-	hash.update(password);
-	let cipher = Crypto.createCipheriv(algorithm, hash.digest(), iv);
-	let crypted = cipher.update(text, 'utf8', 'hex');
-	crypted += cipher.final('hex');
-	return iv.toString("hex") + ":" + crypted;
-}
-
-/**
- * Decrypts a text
- * @param {String} text - Encrypted text
- * @param {String} algorithm
- * @param {String} password
- * @returns {String} Decrypted text
- */
-function decrypt(text, algorithm, password) {
-	if (text.indexOf(":") === -1) {
-		let decipher = Crypto.createDecipher(algorithm, password);
-		let data = decipher.update(text, 'hex', 'utf8');
-		data += decipher.final('utf8');
-		return data;
-	} else {
-		const parts = text.split(":");
-		const iv = Buffer.from(parts[0], 'hex');
-		const hash = Crypto.createHash('sha256');
-		hash.update(password);
-		let decipher = Crypto.createDecipheriv(algorithm, hash.digest(), iv);
-		let data = decipher.update(parts[1], 'hex', 'utf8');
-		data += decipher.final('utf8');
-		return data;
-	}
-}
+const AES = Tools('aes');
 
 /**
  * Represents an encrypted JSON database
@@ -73,7 +31,7 @@ class JSONDataBase {
 
 	write(callback) {
 		let data = JSON.stringify(this.data);
-		data = encrypt(data, this.algo, this.password);
+		data = AES.encrypt(data, this.algo, this.password);
 		let finishWriting = function () {
 			this.writing = false;
 			this.events.emit('write');
@@ -125,7 +83,7 @@ class JSONDataBase {
 
 			try {
 				data = FileSystem.readFileSync(this.file).toString();
-				data = decrypt(data, this.algo, this.password);
+				data = AES.decrypt(data, this.algo, this.password);
 			} catch (err) {
 				data = "{}";
 				if (loadErrorLogFn) {
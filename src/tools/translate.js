@@ -66,6 +66,8 @@ class Translator {
 		if (typeof key !== 'string') key = '' + key;
 		if (lang && this.data[lang] && typeof this.data[lang][key] === 'string') {
 			return this.data[lang][key];
+		} else if (this.data['english'] && typeof this.data['english'][key] === 'string') {
+			return this.data['english'][key];
 		} else {
 			for (let l in this.data) {
 				if (typeof this.data[l][key] === 'string') {
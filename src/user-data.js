@@ -4,7 +4,7 @@
  * (https://github.com/AgustinSRG/Showdown-ChatBot/blob/master/LICENSE)
  *
  * This tool stores Pokemon Showdown users data like
- * names, last actions and alts
+ * names, last actions, alts and preferences (language)
  */
 
 'use strict';
@@ -29,6 +29,9 @@ class UserDataManager {
 		this.altstree = this.altsdb.data;
 		this.altsChanged = false;
 
+		this.prefsdb = App.dam.getDataBase('user-prefs.json');
+		this.prefs = this.prefsdb.data;
+
 		App.bot.on('disconnect', function () {
 			if (App.config.autoremoveuserdata) {
 				this.clean();
@@ -273,6 +276,34 @@ class UserDataManager {
 		this.cleanAlts();
 		this.cleanSeen();
 	}
+
+	/**
+	 * @param {String} user - User name or ID
+	 * @returns {String} Language chosen by the user, or null
+	 */
+	getLanguage(user) {
+		let id = Text.toId(user);
+		if (!id || !this.prefs[id]) return null;
+		return this.prefs[id].lang || null;
+	}
+
+	/**
+	 * Sets the language of an user (for private messages)
+	 * @param {String} user - User name or ID
+	 * @param {String} lang - Language ID, or null to use the room language
+	 */
+	setLanguage(user, lang) {
+		let id = Text.toId(user);
+		if (!id) return;
+		if (lang) {
+			if (!this.prefs[id]) this.prefs[id] = Object.create(null);
+			this.prefs[id].lang = lang;
+		} else if (this.prefs[id]) {
+			delete this.prefs[id].lang;
+			if (Object.keys(this.prefs[id]).length === 0) delete this.prefs[id];
+		}
+		this.prefsdb.write();
+	}
 }
 
 module.exports = UserDataManager;
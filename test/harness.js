@@ -0,0 +1,288 @@
+/**
+ * Test Harness
+ * Showdown ChatBot is distributed under the terms of the MIT License
+ * (https://github.com/AgustinSRG/Showdown-ChatBot/blob/master/LICENSE)
+ *
+ * Boots a ChatBotApp with a temporal data directory and
+ * connects it to a MockShowdownServer, so scenarios can
+ * simulate users and check the bot replies.
+ */
+
+'use strict';
+
+const Default_Bot_Nick = "Test Bot";
+const Connect_Timeout = 10000;
+const Case_Timeout = 20000;
+
+const Path = require('path');
+const FileSystem = require('fs');
+const OS = require('os');
+
+const Root_Dir = Path.resolve(__dirname, '..');
+
+require(Path.resolve(Root_Dir, 'src/dependencies.js'));
+
+const ToolsManager = require(Path.resolve(Root_Dir, 'src/tools.js'));
+ToolsManager.setPath(Path.resolve(Root_Dir, 'src/tools/'));
+ToolsManager.makeGlobal();
+
+const MockShowdownServer = require(Path.resolve(__dirname, 'mock-server.js')).MockShowdownServer;
+
+/**
+ * Represents a bot running against the mock server
+ */
+class TestBot {
+	/**
+	 * @param {Object} options - rooms: Rooms of the mock server (roomid => { type, title, users })
+	 *                           join: Rooms the bot joins on login (default: all chat rooms)
+	 *                           nick: Bot nickname
+	 *                           botGroup: Group of the bot in the rooms (default: *)
+	 *                           modules: List of bot modules to load (default: all)
+	 *                           configure: function(App) to change the configuration before connecting
+	 *                           storage: Data access mode (RAW or SQLITE, default: RAW)
+	 */
+	constructor(options) {
+		this.options = options || {};
+		this.nick = this.options.nick || Default_Bot_Nick;
+		this.server = new MockShowdownServer({
+			rooms: this.options.rooms,
+			botGroup: this.options.botGroup,
+		});
+		this.dir = null;
+		this.app = null;
+		this.output = [];
+	}
+
+	/**
+	 * Starts the mock server and the bot, waits until
+	 * the bot is logged in and has joined the rooms
+	 * @returns {Promise}
+	 */
+	start() {
+		return new Promise((resolve, reject) => {
+			this.server.listen((err, port) => {
+				if (err) return reject(err);
+				try {
+					this.createApp(port);
+				} catch (ex) {
+					return reject(ex);
+				}
+				let pending = Object.create(null);
+				for (let room of this.getJoinRooms()) {
+					pending[room] = true;
+				}
+				let timer = setTimeout(() => {
+					reject(new Error("Timed out waiting for the bot to connect (pending rooms: " + Object.keys(pending).join(", ") + ")"));
+				}, Connect_Timeout);
+				let checkReady = () => {
+					if (this.app.bot.status.named && Object.keys(pending).length === 0) {
+						clearTimeout(timer);
+						resolve();
+					}
+				};
+				this.app.bot.on('roomjoin', room => {
+					delete pending[room];
+					checkReady();
+				});
+				this.app.bot.on('updateuser', checkReady);
+				this.app.tryRunBot();
+			});
+		});
+	}
+
+	/**
+	 * @returns {Array<String>} Rooms to join on login
+	 */
+	getJoinRooms() {
+		if (this.options.join) return this.options.join.slice();
+		return Object.keys(this.server.rooms).filter(room => this.server.rooms[room].type === 'chat');
+	}
+
+	/**
+	 * Creates the application
+	 * @param {Number} port - Mock server port
+	 */
+	createApp(port) {
+		this.dir = FileSystem.mkdtempSync(Path.resolve(OS.tmpdir(), 'showdown-chatbot-test-'));
+
+		const DataAccessManager = require(Path.resolve(Root_Dir, 'src/data-access/data-access-manager.js'));
+		const confDir = Path.resolve(this.dir, 'config/');
+		const dam = DataAccessManager.getDataAccessManager(this.options.storage || "RAW", { path: confDir, confDir: confDir });
+		dam.init(err => {
+			if (err) throw err;
+		});
+
+		/* The application console is kept in memory, it is shown when a case fails */
+		const output = this.output;
+		const ChatBotApp = require(Path.resolve(Root_Dir, 'src/app.js'));
+		const App = this.app = new ChatBotApp(dam, confDir, Path.resolve(this.dir, 'data/'), Path.resolve(this.dir, 'logs/'), {
+			package: require(Path.resolve(Root_Dir, 'package.json')),
+			console: {
+				log: function (text) {
+					output.push("" + text);
+				},
+			},
+		});
+
+		App.config.blockautodownload = true;
+		App.config.bot.server = '127.0.0.1';
+		App.config.bot.port = port;
+		App.config.bot.secure = false;
+		App.config.bot.accountType = 'gbot';
+		App.bot.server = App.config.bot.server;
+		App.bot.port = App.config.bot.port;
+		App.bot.secure = false;
+		App.bot.accountType = 'gbot';
+
+		/* The login server is not available, the mock server accepts any assertion */
+		App.bot.getRename = function (nick, pass, callback) {
+			if (callback) callback.call(this, 'mockassertion');
+		};
+
+		const SourceLoader = Tools('loader');
+		new SourceLoader(Path.resolve(Root_Dir, 'src/server/handlers/'), App).loadAll(/.*\.js$/);
+
+		if (this.options.modules) {
+			for (let file of FileSystem.readdirSync(Path.resolve(Root_Dir, 'src/bot-modules/'))) {
+				let conf = require(Path.resolve(Root_Dir, 'src/bot-modules/', file, 'botmodule.json'));
+				App.config.loadmodules[conf.id] = (conf.id === 'core' || this.options.modules.indexOf(conf.id) >= 0);
+			}
+		}
+
+		App.loadModules(Path.resolve(Root_Dir, 'src/bot-modules/'));
+
+		App.config.modules.core.nick = this.nick;
+		App.config.modules.core.pass = '';
+		App.config.modules.core.rooms = this.getJoinRooms();
+
+		if (typeof this.options.configure === 'function') {
+			this.options.configure(App);
+		}
+	}
+
+	/**
+	 * A user says something in a room
+	 * @param {String} room - Room ID
+	 * @param {String} user - User name, with the group symbol
+	 * @param {String} msg
+	 */
+	chat(room, user, msg) {
+		this.server.chatAs(room, user, msg);
+	}
+
+	/**
+	 * A user sends a private message to the bot
+	 * @param {String} user - User name, with the group symbol
+	 * @param {String} msg
+	 */
+	pm(user, msg) {
+		this.server.pmAs(user, msg);
+	}
+
+	/**
+	 * Stops the bot and the mock server, removes the temporal data
+	 * @returns {Promise}
+	 */
+	stop() {
+		return new Promise(resolve => {
+			if (this.app) {
+				this.app.stopBot();
+				FileSystem.unwatchFile(this.app.jsInjectFile);
+			}
+			this.server.close(() => {
+				if (this.dir) {
+					try {
+						FileSystem.rmSync(this.dir, { recursive: true, force: true });
+					} catch (err) {}
+				}
+				resolve();
+			});
+		});
+	}
+}
+
+/**
+ * Waits some time
+ * @param {Number} ms - Milliseconds
+ * @returns {Promise}
+ */
+function wait(ms) {
+	return new Promise(resolve => {
+		setTimeout(resolve, ms);
+	});
+}
+
+/**
+ * @param {Promise} promise
+ * @param {Number} ms - Milliseconds
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+	return new Promise((resolve, reject) => {
+		let timer = setTimeout(() => {
+			reject(new Error("Timed out after " + ms + " ms"));
+		}, ms);
+		promise.then(value => {
+			clearTimeout(timer);
+			resolve(value);
+		}, err => {
+			clearTimeout(timer);
+			reject(err);
+		});
+	});
+}
+
+/**
+ * Prints the output of the application
+ * @param {Array<String>} lines
+ */
+function printOutput(lines) {
+	if (!lines.length) return;
+	console.log("       Application output:");
+	for (let line of lines) {
+		console.log("         " + line.split("\n").join("\n         "));
+	}
+}
+
+/**
+ * Runs a scenario file: boots a bot, runs the cases
+ * in order and exits the process with the result
+ * @param {String} name - Scenario name
+ * @param {Object} options - TestBot options
+ * @param {Array<Object>} cases - List of { name, run: function(TestBot) => Promise }
+ */
+function runScenario(name, options, cases) {
+	let bot = new TestBot(options);
+	let failures = 0;
+	console.log(name);
+
+	let chain = withTimeout(bot.start(), Connect_Timeout + 1000);
+	for (let testCase of cases) {
+		chain = chain.then(() => {
+			let outputStart = bot.output.length;
+			return withTimeout(Promise.resolve().then(() => testCase.run(bot)), Case_Timeout).then(() => {
+				console.log("  OK   " + testCase.name);
+			}, err => {
+				failures++;
+				console.log("  FAIL " + testCase.name);
+				console.log("       " + (err.stack || err.message || err));
+				printOutput(bot.output.slice(outputStart));
+			});
+		});
+	}
+
+	chain.then(() => {
+		return bot.stop();
+	}, err => {
+		failures++;
+		console.log("  FAIL Could not start the bot: " + (err.stack || err.message || err));
+		printOutput(bot.output);
+		return bot.stop();
+	}).then(() => {
+		process.exit(failures > 0 ? 1 : 0);
+	});
+}
+
+exports.TestBot = TestBot;
+exports.wait = wait;
+exports.runScenario = runScenario;
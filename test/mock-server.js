@@ -0,0 +1,476 @@
+/**
+ * Mock Showdown Server
+ * Showdown ChatBot is distributed under the terms of the MIT License
+ * (https://github.com/AgustinSRG/Showdown-ChatBot/blob/master/LICENSE)
+ *
+ * Local stand-in for a Pokemon Showdown server. It implements
+ * the minimum of the SockJS protocol required by sockjs-client
+ * (info request and websocket transport) and the Showdown line
+ * protocol, so the bot can be tested without network access.
+ */
+
+'use strict';
+
+const Default_Wait_Timeout = 5000;
+
+const Http = require('http');
+const EventEmitter = require('events').EventEmitter;
+const WebSocketServer = require('websocket').server;
+
+/**
+ * Transforms string to ID
+ * @param {String} str
+ * @returns {String} id
+ */
+function toId(str) {
+	if (!str) return '';
+	return ('' + str).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Represents a chat room of the mock server
+ */
+class MockRoom {
+	/**
+	 * @param {String} id - Room ID
+	 * @param {String} type - chat or battle
+	 * @param {String} title - Room title
+	 */
+	constructor(id, type, title) {
+		this.id = id;
+		this.type = type || 'chat';
+		this.title = title || id;
+		this.users = Object.create(null);
+	}
+
+	/**
+	 * @param {String} ident - User name with the group symbol (e.g. "@Mod")
+	 */
+	addUser(ident) {
+		ident = ident.charAt(0) in {' ': 1, '+': 1, '%': 1, '@': 1, '*': 1, '#': 1, '~': 1, '&': 1} ? ident : (' ' + ident);
+		this.users[toId(ident)] = ident;
+	}
+
+	/**
+	 * @param {String} user
+	 */
+	removeUser(user) {
+		delete this.users[toId(user)];
+	}
+
+	/**
+	 * @returns {String} The |users| line
+	 */
+	getUsersLine() {
+		let list = Object.values(this.users);
+		return '|users|' + list.length + ',' + list.join(',');
+	}
+}
+
+/**
+ * Represents a Pokemon Showdown server stand-in
+ */
+class MockShowdownServer extends EventEmitter {
+	/**
+	 * @param {Object} options - botGroup (group of the bot in the rooms),
+	 *                           rooms (Object: roomid => { type, title, users })
+	 */
+	constructor(options) {
+		super();
+		options = options || {};
+		this.botGroup = options.botGroup || '*';
+		this.rooms = Object.create(null);
+		this.connection = null;
+		this.nick = '';
+		this.received = [];
+		this.http = null;
+		this.ws = null;
+		this.port = 0;
+		this.nextChallstr = 1;
+
+		let rooms = options.rooms || { lobby: {} };
+		for (let room in rooms) {
+			this.addRoom(room, rooms[room].type, rooms[room].title, rooms[room].users);
+		}
+	}
+
+	/**
+	 * Starts listening in a random local port
+	 * @param {function(Error, Number)} callback - Gets the port
+	 */
+	listen(callback) {
+		this.http = Http.createServer(this.handleHttpRequest.bind(this));
+		this.ws = new WebSocketServer({ httpServer: this.http, autoAcceptConnections: false });
+		this.ws.on('request', this.handleWebSocketRequest.bind(this));
+		let called = false;
+		this.http.on('error', err => {
+			if (called) return;
+			called = true;
+			return callback(err);
+		});
+		this.http.listen(0, '127.0.0.1', () => {
+			this.port = this.http.address().port;
+			if (called) return;
+			called = true;
+			return callback(null, this.port);
+		});
+	}
+
+	/**
+	 * Closes the server
+	 * @param {function} callback
+	 */
+	close(callback) {
+		if (this.connection) {
+			this.connection.drop();
+			this.connection = null;
+		}
+		if (this.ws) {
+			this.ws.shutDown();
+			this.ws = null;
+		}
+		if (!this.http) {
+			return callback && callback();
+		}
+		this.http.close(() => {
+			return callback && callback();
+		});
+		this.http = null;
+	}
+
+	/* SockJS protocol */
+
+	handleHttpRequest(req, res) {
+		if ((/\/info(\?.*)?$/).test(req.url)) {
+			res.writeHead(200, {
+				'Content-Type': 'application/json; charset=UTF-8',
+				'Access-Control-Allow-Origin': '*',
+				'Cache-Control': 'no-store, no-cache, must-revalidate, max-age=0',
+			});
+			res.end(JSON.stringify({
+				websocket: true,
+				origins: ['*:*'],
+				cookie_needed: false,
+				entropy: Math.floor(Math.random() * 4294967295),
+			}));
+		} else {
+			res.writeHead(404);
+			res.end();
+		}
+	}
+
+	handleWebSocketRequest(request) {
+		if (this.connection) {
+			request.reject(409, 'Only one connection is allowed');
+			return;
+		}
+		let connection = request.accept(null, request.origin);
+		this.connection = connection;
+		connection.sendUTF('o');
+		connection.on('message', message => {
+			if (message.type !== 'utf8') return;
+			let data;
+			try {
+				data = JSON.parse(message.utf8Data);
+			} catch (err) {
+				return;
+			}
+			if (!Array.isArray(data)) data = [data];
+			for (let msg of data) {
+				this.handleClientMessage('' + msg);
+			}
+		});
+		connection.on('close', () => {
+			if (this.connection === connection) {
+				this.connection = null;
+				this.nick = '';
+			}
+			this.emit('disconnect');
+		});
+		this.emit('connect');
+		this.send('|challstr|4|' + (this.nextChallstr++) + 'mockchallstr');
+	}
+
+	/**
+	 * Sends raw data to the bot
+	 * @param {String} data
+	 */
+	send(data) {
+		if (!this.connection) return;
+		this.connection.sendUTF('a' + JSON.stringify([data]));
+	}
+
+	/* Showdown protocol (client to server) */
+
+	/**
+	 * @param {String} msg - Message sent by the bot (room|text)
+	 */
+	handleClientMessage(msg) {
+		let sepIndex = msg.indexOf('|');
+		let room = sepIndex === -1 ? '' : msg.substr(0, sepIndex);
+		let text = sepIndex === -1 ? msg : msg.substr(sepIndex + 1);
+		let entry = { room: room, text: text, time: Date.now() };
+		this.received.push(entry);
+		this.emit('receive', entry);
+
+		let cmd = '', arg = '';
+		if (text.charAt(0) === '/' && text.charAt(1) !== '/') {
+			let spaceIndex = text.indexOf(' ');
+			cmd = toId(spaceIndex === -1 ? text.substr(1) : text.substr(1, spaceIndex - 1));
+			arg = spaceIndex === -1 ? '' : text.substr(spaceIndex + 1);
+		}
+
+		switch (cmd) {
+			case 'trn':
+				this.setNick(arg.split(',')[0].trim());
+				break;
+			case 'join':
+			case 'j':
+				this.joinRoom(toId(arg));
+				break;
+			case 'leave':
+			case 'part':
+				this.leaveRoom(toId(arg) || room);
+				break;
+			case 'msg':
+			case 'pm':
+			case 'w':
+				let commaIndex = arg.indexOf(',');
+				if (commaIndex !== -1) {
+					this.send('|pm| ' + this.nick + '| ' + arg.substr(0, commaIndex).trim() + '|' + arg.substr(commaIndex + 1));
+				}
+				break;
+			case '':
+				if (room && this.rooms[room] && this.rooms[room].users[toId(this.nick)]) {
+					this.chatAs(room, this.rooms[room].users[toId(this.nick)], text);
+				}
+				break;
+		}
+	}
+
+	/* Showdown protocol (server to client) */
+
+	/**
+	 * Changes the bot nickname
+	 * @param {String} nick
+	 */
+	setNick(nick) {
+		let oldId = toId(this.nick);
+		this.nick = nick;
+		for (let room in this.rooms) {
+			if (oldId && this.rooms[room].users[oldId]) {
+				this.rooms[room].removeUser(oldId);
+				this.rooms[room].addUser(this.botGroup + nick);
+			}
+		}
+		this.send('|updateuser| ' + nick + '|1|1|{}');
+	}
+
+	/**
+	 * Creates a room
+	 * @param {String} id - Room ID
+	 * @param {String} type - chat or battle
+	 * @param {String} title
+	 * @param {Array<String>} users - List of user idents (e.g. "@Mod")
+	 * @returns {MockRoom}
+	 */
+	addRoom(id, type, title, users) {
+		let room = new MockRoom(id, type, title);
+		for (let user of (users || [])) {
+			room.addUser(user);
+		}
+		this.rooms[id] = room;
+		return room;
+	}
+
+	/**
+	 * Makes the bot join a room (sends the init message)
+	 * @param {String} id - Room ID
+	 */
+	joinRoom(id) {
+		let room = this.rooms[id];
+		if (!room) {
+			this.send('>' + id + '\n|noinit|nonexistent|The room "' + id + '" does not exist.');
+			return;
+		}
+		if (this.nick) {
+			room.addUser(this.botGroup + this.nick);
+		}
+		this.send('>' + id + '\n|init|' + room.type + '\n|title|' + room.title + '\n' + room.getUsersLine() + '\n|:|' + Math.floor(Date.now() / 1000));
+	}
+
+	/**
+	 * Makes the bot leave a room (sends the deinit message)
+	 * @param {String} id - Room ID
+	 */
+	leaveRoom(id) {
+		if (this.rooms[id]) {
+			this.rooms[id].removeUser(this.nick);
+		}
+		this.send('>' + id + '\n|deinit');
+	}
+
+	/**
+	 * Sends lines to a room
+	 * @param {String} room - Room ID
+	 * @param {String|Array<String>} lines
+	 */
+	sendToRoom(room, lines) {
+		if (!Array.isArray(lines)) lines = [lines];
+		this.send('>' + room + '\n' + lines.join('\n'));
+	}
+
+	/**
+	 * A user joins a room
+	 * @param {String} room - Room ID
+	 * @param {String} ident - User name with the group symbol
+	 */
+	userJoin(room, ident) {
+		if (this.rooms[room]) this.rooms[room].addUser(ident);
+		this.sendToRoom(room, '|J|' + ident);
+	}
+
+	/**
+	 * A user leaves a room
+	 * @param {String} room - Room ID
+	 * @param {String} ident - User name with the group symbol
+	 */
+	userLeave(room, ident) {
+		if (this.rooms[room]) this.rooms[room].removeUser(ident);
+		this.sendToRoom(room, '|L|' + ident);
+	}
+
+	/**
+	 * Sends a chat message to a room
+	 * @param {String} room - Room ID
+	 * @param {String} ident - User name with the group symbol
+	 * @param {String} msg - Message
+	 */
+	chatAs(room, ident, msg) {
+		if ((/^[a-z0-9]/i).test(ident)) ident = " " + ident;
+		this.sendToRoom(room, '|c:|' + Math.floor(Date.now() / 1000) + '|' + ident + '|' + msg);
+	}
+
+	/**
+	 * Sends a private message to the bot
+	 * @param {String} ident - User name with the group symbol
+	 * @param {String} msg - Message
+	 */
+	pmAs(ident, msg) {
+		if ((/^[a-z0-9]/i).test(ident)) ident = " " + ident;
+		this.send('|pm|' + ident + '| ' + this.nick + '|' + msg);
+	}
+
+	/**
+	 * Sends a tournament line to a room
+	 * @param {String} room - Room ID
+	 * @param {Array<String>} args - Tournament message arguments (e.g. ['create', 'gen9ou', 'Elimination'])
+	 */
+	tournament(room, args) {
+		this.sendToRoom(room, '|tournament|' + args.join('|'));
+	}
+
+	/**
+	 * Sends a battle request to a battle room
+	 * @param {String} room - Battle room ID
+	 * @param {Object} request - Request object
+	 */
+	battleRequest(room, request) {
+		this.sendToRoom(room, '|request|' + JSON.stringify(request));
+	}
+
+	/**
+	 * Sends a query response to the bot
+	 * @param {String} type - Query type (e.g. userdetails)
+	 * @param {Object} data
+	 */
+	queryResponse(type, data) {
+		this.send('|queryresponse|' + type + '|' + JSON.stringify(data));
+	}
+
+	/* Expectations */
+
+	/**
+	 * Waits for a message sent by the bot
+	 * @param {function(Object)} filter - Receives {room, text, time}, returns true if it matches
+	 * @param {Number} timeout - Milliseconds to wait
+	 * @returns {Promise<Object>}
+	 */
+	waitFor(filter, timeout) {
+		return new Promise((resolve, reject) => {
+			let timer = null;
+			let listener = entry => {
+				if (filter(entry)) {
+					clearTimeout(timer);
+					this.removeListener('receive', listener);
+					resolve(entry);
+				}
+			};
+			timer = setTimeout(() => {
+				this.removeListener('receive', listener);
+				reject(new Error("Timed out waiting for a message from the bot"));
+			}, timeout || Default_Wait_Timeout);
+			this.on('receive', listener);
+		});
+	}
+
+	/**
+	 * Waits for a message sent by the bot to a room
+	 * @param {String} room - Room ID
+	 * @param {RegExp|String} pattern - Pattern to match the message text
+	 * @param {Number} timeout - Milliseconds to wait
+	 * @returns {Promise<Object>}
+	 */
+	waitForRoomMessage(room, pattern, timeout) {
+		return this.waitFor(entry => {
+			return entry.room === room && matchPattern(entry.text, pattern);
+		}, timeout);
+	}
+
+	/**
+	 * Waits for a private message sent by the bot
+	 * @param {String} user - User the message is sent to
+	 * @param {RegExp|String} pattern - Pattern to match the message text
+	 * @param {Number} timeout - Milliseconds to wait
+	 * @returns {Promise<Object>}
+	 */
+	waitForPM(user, pattern, timeout) {
+		let prefix = '/msg ' + toId(user) + ',';
+		return this.waitFor(entry => {
+			if (entry.text.substr(0, 5) !== '/msg ') return false;
+			let commaIndex = entry.text.indexOf(',');
+			if (commaIndex === -1 || toId(entry.text.substring(5, commaIndex)) !== toId(user)) return false;
+			return matchPattern(entry.text.substr(commaIndex + 1), pattern);
+		}, timeout).then(entry => {
+			entry.pm = entry.text.substr(prefix.length);
+			return entry;
+		});
+	}
+
+	/**
+	 * Checks that the bot does not send a matching message
+	 * @param {function(Object)} filter
+	 * @param {Number} time - Milliseconds to wait
+	 * @returns {Promise}
+	 */
+	expectNothing(filter, time) {
+		return this.waitFor(filter, time).then(entry => {
+			throw new Error("Unexpected message from the bot: " + entry.room + "|" + entry.text);
+		}, () => {});
+	}
+}
+
+/**
+ * @param {String} text
+ * @param {RegExp|String} pattern
+ * @returns {Boolean}
+ */
+function matchPattern(text, pattern) {
+	if (pattern === undefined || pattern === null) return true;
+	if (pattern instanceof RegExp) return pattern.test(text);
+	return text.indexOf(pattern) !== -1;
+}
+
+exports.MockShowdownServer = MockShowdownServer;
+exports.MockRoom = MockRoom;
+exports.toId = toId;
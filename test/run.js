@@ -0,0 +1,43 @@
+/**
+ * Test Runner
+ * Showdown ChatBot is distributed under the terms of the MIT License
+ * (https://github.com/AgustinSRG/Showdown-ChatBot/blob/master/LICENSE)
+ *
+ * Runs every scenario in test/scenarios/ in its own process
+ * Usage: node test/run [scenario-name ...]
+ */
+
+'use strict';
+
+const Scenario_Timeout = 2 * 60 * 1000;
+
+const Path = require('path');
+const FileSystem = require('fs');
+const ChildProcess = require('child_process');
+
+const Scenarios_Dir = Path.resolve(__dirname, 'scenarios');
+
+let filter = process.argv.slice(2).map(name => name.replace(/\.js$/, ''));
+let files = FileSystem.readdirSync(Scenarios_Dir).filter(file => {
+	return (/\.js$/).test(file) && (filter.length === 0 || filter.indexOf(file.replace(/\.js$/, '')) >= 0);
+}).sort();
+
+let failed = [];
+
+for (let file of files) {
+	let result = ChildProcess.spawnSync(process.execPath, [Path.resolve(Scenarios_Dir, file)], {
+		stdio: 'inherit',
+		timeout: Scenario_Timeout,
+	});
+	if (result.status !== 0) {
+		failed.push(file);
+	}
+}
+
+console.log("");
+console.log((files.length - failed.length) + " / " + files.length + " scenarios passed");
+
+if (failed.length > 0) {
+	console.log("Failed: " + failed.join(", "));
+	process.exit(1);
+}
@@ -0,0 +1,118 @@
+/**
+ * Scenario: Command Analytics
+ * Uses of the commands per command, room and user
+ */
+
+'use strict';
+
+const Path = require('path');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+
+const Day = 24 * 60 * 60 * 1000;
+
+Harness.runScenario("Command Analytics", {
+	rooms: {
+		lobby: { title: "Lobby", users: [" Regular", " Other"] },
+		other: { title: "Other", users: [" Regular"] },
+	},
+	modules: [],
+	configure: function (App) {
+		App.parser.data.dyncmds['hello'] = 'Hello!';
+		App.parser.data.dyncmds['unused'] = 'Never used';
+		App.parser.data.aliases['hi'] = 'hello';
+	},
+}, [
+	{
+		name: "The uses of the commands are recorded",
+		run: function (bot) {
+			bot.chat('lobby', ' Regular', '.hello');
+			bot.chat('lobby', ' Regular', '.hello');
+			bot.chat('other', ' Regular', '.hello');
+			bot.chat('lobby', ' Other', '.hello');
+			return Harness.wait(500).then(() => {
+				let analytics = bot.app.parser.analytics;
+				let top = analytics.getTopCommands();
+				if (!top.length || top[0].cmd !== 'hello' || top[0].uses !== 4) throw new Error("Unexpected commands: " + JSON.stringify(top));
+				let room = analytics.getTopCommands('other');
+				if (room.length !== 1 || room[0].uses !== 1) throw new Error("Unexpected room commands: " + JSON.stringify(room));
+				let users = analytics.getTopUsers();
+				if (users[0].id !== 'regular' || users[0].uses !== 3 || users[0].favorite !== 'hello') {
+					throw new Error("Unexpected users: " + JSON.stringify(users));
+				}
+			});
+		},
+	},
+	{
+		name: "The uses are grouped by time",
+		run: function (bot) {
+			let analytics = bot.app.parser.analytics;
+			let timeline = analytics.getTimeline('hourly', 3);
+			if (timeline.length !== 3 || timeline[2].uses !== 4 || timeline[0].uses !== 0) throw new Error("Unexpected timeline: " + JSON.stringify(timeline));
+			let trends = analytics.getTrends(7, 'lobby');
+			if (!trends['hello'] || trends['hello'].current !== 3 || trends['hello'].previous !== 0) {
+				throw new Error("Unexpected trends: " + JSON.stringify(trends));
+			}
+			let unused = analytics.getUnusedDynCmds(30).map(command => command.cmd);
+			if (unused.indexOf('unused') === -1 || unused.indexOf('hello') >= 0) throw new Error("Unexpected unused commands: " + unused.join(", "));
+		},
+	},
+	{
+		name: "The database is not written on every command",
+		run: function (bot) {
+			let analytics = bot.app.parser.analytics;
+			if (!analytics.writeTimer) throw new Error("The write was not delayed");
+			analytics.flush();
+			if (analytics.writeTimer) throw new Error("The delayed write was not cancelled");
+		},
+	},
+	{
+		name: "Commands run through exec and aliases are recorded under the resolved command",
+		run: function (bot) {
+			let analytics = bot.app.parser.analytics;
+			let uses = analytics.data.commands['hello'].uses;
+			bot.chat('other', ' Regular', '.exec hello');
+			bot.chat('other', ' Regular', '.exec hi');
+			bot.chat('other', ' Regular', '.hi');
+			bot.chat('other', ' Regular', '.notacommand');
+			bot.chat('other', ' Regular', '.exec notacommand');
+			return Harness.wait(500).then(() => {
+				if (analytics.data.commands['hello'].uses !== uses + 3) throw new Error("Unexpected uses: " + analytics.data.commands['hello'].uses);
+				let commands = Object.keys(analytics.data.commands);
+				if (commands.indexOf('exec') >= 0 || commands.indexOf('hi') >= 0 || commands.indexOf('notacommand') >= 0) {
+					throw new Error("Unexpected commands: " + commands.join(", "));
+				}
+			});
+		},
+	},
+	{
+		name: "Inactive users are removed",
+		run: function (bot) {
+			let analytics = bot.app.parser.analytics;
+			let now = Date.now();
+			analytics.data.users['inactive'] = { last: now - 100 * Day, commands: { hello: 1 } };
+			analytics.data.users['olduser'] = { hello: 5 };
+			bot.chat('lobby', ' New User', '.hello');
+			return bot.server.waitForPM('New User', 'Hello!').then(() => {
+				let users = analytics.data.users;
+				if (users['inactive'] || users['olduser']) throw new Error("The inactive users were not removed");
+				if (!users['newuser'] || !users['regular']) throw new Error("Active users were removed");
+			});
+		},
+	},
+	{
+		name: "The number of users is limited",
+		run: function (bot) {
+			let analytics = bot.app.parser.analytics;
+			let now = Date.now();
+			for (let i = 0; i < 1000; i++) {
+				analytics.data.users['user' + i] = { last: now - Day + i, commands: { hello: 1 } };
+			}
+			bot.chat('lobby', ' Last User', '.hello');
+			return bot.server.waitForPM('Last User', 'Hello!').then(() => {
+				let users = analytics.data.users;
+				if (Object.keys(users).length !== 1000) throw new Error("Unexpected number of users: " + Object.keys(users).length);
+				if (!users['lastuser'] || !users['regular'] || users['user0']) throw new Error("The least recently active users were not removed");
+			});
+		},
+	},
+]);
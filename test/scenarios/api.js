@@ -0,0 +1,240 @@
+/**
+ * Scenario: API
+ * Authentication of the JSON API with tokens and
+ * the dynamic commands endpoints
+ */
+
+'use strict';
+
+const Path = require('path');
+const Http = require('http');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+
+let port = 0;
+let tokens = Object.create(null);
+
+/**
+ * Sends a request to the API
+ * @param {String} method
+ * @param {String} path - Path after /api/v1/
+ * @param {String} token - API token (optional)
+ * @param {Object|String} body - Request body (optional)
+ * @returns {Promise<Object>} Status code, headers and JSON body of the response
+ */
+function request(method, path, token, body) {
+	return new Promise((resolve, reject) => {
+		let headers = {};
+		if (token) headers['Authorization'] = 'Bearer ' + token;
+		if (body !== undefined) {
+			body = (typeof body === 'string' ? body : JSON.stringify(body));
+			headers['Content-Type'] = 'application/json';
+			headers['Content-Length'] = Buffer.byteLength(body);
+		}
+		let req = Http.request({ host: '127.0.0.1', port: port, method: method, path: '/api/v1/' + path, headers: headers }, res => {
+			let data = '';
+			res.on('data', chunk => {
+				data += chunk;
+			});
+			res.on('end', () => {
+				let json = null;
+				try {
+					json = JSON.parse(data);
+				} catch (err) {}
+				resolve({ status: res.statusCode, headers: res.headers, json: json });
+			});
+		});
+		req.on('error', reject);
+		if (body !== undefined) req.write(body);
+		req.end();
+	});
+}
+
+/**
+ * @param {Object} res - Response
+ * @param {Number} status - Expected status code
+ */
+function expectStatus(res, status) {
+	if (res.status !== status) {
+		throw new Error("Expected status " + status + ", got " + res.status + ": " + JSON.stringify(res.json));
+	}
+}
+
+Harness.runScenario("API", {
+	rooms: {
+		lobby: { title: "Lobby", users: [" Regular"] },
+	},
+	modules: ['timers'],
+	configure: function (App) {
+		App.server.users['apiuser'] = {
+			id: 'apiuser',
+			name: 'ApiUser',
+			group: '',
+			password: App.server.encryptPassword('password'),
+			permissions: { dyncmd: true, timers: true },
+		};
+	},
+}, [
+	{
+		name: "The API server is listening",
+		run: function (bot) {
+			let server = bot.app.server;
+			tokens.dyncmd = server.makeApiToken('apiuser', 'Commands', ['dyncmd']);
+			tokens.timers = server.makeApiToken('apiuser', 'Timers', ['timers']);
+			tokens.revoked = server.makeApiToken('apiuser', 'Revoked', ['dyncmd']);
+			return new Promise((resolve, reject) => {
+				server.http.once('error', reject);
+				server.http.listen(0, '127.0.0.1', () => {
+					port = server.http.address().port;
+					resolve();
+				});
+			});
+		},
+	},
+	{
+		name: "Requests without a token are rejected",
+		run: function () {
+			return request('GET', 'dyncmds').then(res => {
+				expectStatus(res, 401);
+				if (res.headers['www-authenticate'] !== 'Bearer') throw new Error("Missing WWW-Authenticate header");
+			});
+		},
+	},
+	{
+		name: "Malformed tokens are rejected",
+		run: function () {
+			return request('GET', 'dyncmds', 'not-a-token').then(res => {
+				expectStatus(res, 401);
+			});
+		},
+	},
+	{
+		name: "Tokens with a wrong secret are rejected",
+		run: function () {
+			let parts = tokens.dyncmd.split('.');
+			parts[2] = parts[2].split('').reverse().join('');
+			return request('GET', 'dyncmds', parts.join('.')).then(res => {
+				expectStatus(res, 401);
+			});
+		},
+	},
+	{
+		name: "Revoked tokens are rejected",
+		run: function (bot) {
+			return request('GET', 'dyncmds', tokens.revoked).then(res => {
+				expectStatus(res, 200);
+				if (!bot.app.server.removeApiToken('apiuser', tokens.revoked.split('.')[1])) throw new Error("Could not revoke the token");
+				return request('GET', 'dyncmds', tokens.revoked);
+			}).then(res => {
+				expectStatus(res, 401);
+			});
+		},
+	},
+	{
+		name: "Tokens cannot use the permissions they were not granted",
+		run: function (bot) {
+			return request('POST', 'dyncmds', tokens.timers, { cmd: 'forbidden', content: 'Forbidden' }).then(res => {
+				expectStatus(res, 403);
+				if (bot.app.parser.data.dyncmds['forbidden']) throw new Error("The command was created");
+				return request('GET', 'timers', tokens.timers);
+			}).then(res => {
+				expectStatus(res, 200);
+			});
+		},
+	},
+	{
+		name: "Oversized request bodies are not accepted",
+		run: function (bot) {
+			return request('POST', 'dyncmds', tokens.dyncmd, { cmd: 'oversized', content: 'x'.repeat(4 * 1024) }).then(res => {
+				throw new Error("Unexpected response: " + res.status);
+			}, () => {
+				if (bot.app.parser.data.dyncmds['oversized']) throw new Error("The command was created");
+			});
+		},
+	},
+	{
+		name: "Dynamic commands can be created",
+		run: function (bot) {
+			return request('POST', 'dyncmds', tokens.dyncmd, { cmd: 'apicmd', content: 'Created by the API' }).then(res => {
+				expectStatus(res, 201);
+				if (bot.app.parser.data.dyncmds['apicmd'] !== 'Created by the API') throw new Error("The command was not created");
+				return request('GET', 'dyncmds/apicmd', tokens.dyncmd);
+			}).then(res => {
+				expectStatus(res, 200);
+				if (JSON.stringify(res.json).indexOf('Created by the API') === -1) throw new Error("Unexpected command: " + JSON.stringify(res.json));
+				bot.chat('lobby', ' Regular', '.apicmd');
+				return bot.server.waitForPM('Regular', 'Created by the API');
+			});
+		},
+	},
+	{
+		name: "Dynamic commands can be edited",
+		run: function (bot) {
+			return request('PUT', 'dyncmds/apicmd', tokens.dyncmd, { content: 'Edited by the API' }).then(res => {
+				expectStatus(res, 200);
+				bot.chat('lobby', ' Regular', '.apicmd');
+				return bot.server.waitForPM('Regular', 'Edited by the API');
+			});
+		},
+	},
+	{
+		name: "Invalid contents are rejected",
+		run: function (bot) {
+			return request('PUT', 'dyncmds/apicmd', tokens.dyncmd, { content: '' }).then(res => {
+				expectStatus(res, 400);
+				if (bot.app.parser.data.dyncmds['apicmd'] !== 'Edited by the API') throw new Error("The command was changed");
+				return request('PUT', 'dyncmds/apicmd', tokens.dyncmd, 'not json');
+			}).then(res => {
+				expectStatus(res, 400);
+			});
+		},
+	},
+	{
+		name: "Sub-commands can be created, edited and deleted",
+		run: function (bot) {
+			return request('POST', 'dyncmds', tokens.dyncmd, { cmd: 'apiindex', index: true }).then(res => {
+				expectStatus(res, 201);
+				return request('POST', 'dyncmds/apiindex', tokens.dyncmd, { subcmd: 'one', content: 'First' });
+			}).then(res => {
+				expectStatus(res, 201);
+				return request('PUT', 'dyncmds/apiindex/one', tokens.dyncmd, { content: 'First (edited)' });
+			}).then(res => {
+				expectStatus(res, 200);
+				if (bot.app.parser.data.dyncmds['apiindex']['one'] !== 'First (edited)') throw new Error("The sub-command was not edited");
+				return request('DELETE', 'dyncmds/apiindex/one', tokens.dyncmd);
+			}).then(res => {
+				expectStatus(res, 200);
+				if (bot.app.parser.data.dyncmds['apiindex']['one']) throw new Error("The sub-command was not deleted");
+				return request('PUT', 'dyncmds/apiindex/one', tokens.dyncmd, { content: 'Again' });
+			}).then(res => {
+				expectStatus(res, 404);
+			});
+		},
+	},
+	{
+		name: "Dynamic commands can be deleted",
+		run: function (bot) {
+			return request('DELETE', 'dyncmds/apicmd', tokens.dyncmd).then(res => {
+				expectStatus(res, 200);
+				if (bot.app.parser.data.dyncmds['apicmd']) throw new Error("The command was not deleted");
+				return request('DELETE', 'dyncmds/apicmd', tokens.dyncmd);
+			}).then(res => {
+				expectStatus(res, 404);
+			});
+		},
+	},
+	{
+		name: "Too many invalid tokens lock the address",
+		run: function (bot) {
+			let chain = Promise.resolve();
+			for (let i = 0; i < 5; i++) {
+				chain = chain.then(() => request('GET', 'dyncmds', 'apiuser.invalid.token'));
+			}
+			return chain.then(() => {
+				return request('GET', 'dyncmds', tokens.dyncmd);
+			}).then(res => {
+				expectStatus(res, 403);
+				bot.app.server.http.close();
+			});
+		},
+	},
+]);
@@ -0,0 +1,120 @@
+/**
+ * Scenario: Backups
+ * Retention of the saved backups, verification and selective restore
+ */
+
+'use strict';
+
+const Path = require('path');
+const FileSystem = require('fs');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+const AES = require(Path.resolve(__dirname, '..', '..', 'src/tools/aes.js'));
+
+let savedBackup = null;
+
+Harness.runScenario("Backups", {
+	rooms: {
+		lobby: { title: "Lobby", users: [" Regular"] },
+	},
+	modules: [],
+	configure: function (App) {
+		App.config.backups.dir = Path.resolve(App.dataDir, 'test-backups');
+		App.config.backups.keepDaily = 2;
+		App.config.backups.keepWeekly = 2;
+	},
+}, [
+	{
+		name: "Old backups are removed following the retention rules",
+		run: function (bot) {
+			let backups = bot.app.backups;
+			let dir = backups.getDirectory();
+			FileSystem.mkdirSync(dir, { recursive: true });
+			let files = [
+				"showdown_chatbot_2024_01_10_12_00_00.backup",
+				"showdown_chatbot_2024_01_10_08_00_00.backup",
+				"showdown_chatbot_2024_01_09_12_00_00.backup",
+				"showdown_chatbot_2024_01_08_12_00_00.backup",
+				"showdown_chatbot_2024_01_05_12_00_00.backup",
+				"showdown_chatbot_2023_12_20_12_00_00.backup",
+			];
+			for (let file of files) {
+				FileSystem.writeFileSync(Path.resolve(dir, file), "");
+			}
+			let removed = backups.applyRetention().sort();
+			let expected = [files[1], files[3], files[5]].sort();
+			if (removed.join(",") !== expected.join(",")) throw new Error("Unexpected removed backups: " + removed.join(", "));
+			let kept = backups.list().map(backup => backup.file);
+			if (kept.join(",") !== [files[0], files[2], files[4]].join(",")) throw new Error("Unexpected backups: " + kept.join(", "));
+		},
+	},
+	{
+		name: "The password of the automatic backups is not stored",
+		run: function (bot) {
+			let backups = bot.app.backups;
+			backups.setPassword("backup-password");
+			let key = FileSystem.readFileSync(backups.getKeyFile()).toString();
+			if (key.indexOf("backup-password") >= 0) throw new Error("The password was stored");
+			backups.setPassword("backup-password");
+			if (FileSystem.readFileSync(backups.getKeyFile()).toString() === key) throw new Error("The key was derived without salt");
+			bot.app.dam.setFileContent('test-a.json', '{"value":"A"}');
+			bot.app.dam.setFileContent('test-b.json', '{"value":"B"}');
+			savedBackup = backups.save(backups.getKey());
+			let backup = backups.load(savedBackup, "backup-password");
+			if (!backup.files.some(file => file.file === 'test-a.json')) throw new Error("The backup does not contain the files");
+			let storedKey = backups.getKey().key.toString('hex');
+			if (backup.files.some(file => file.content.indexOf(storedKey) >= 0)) throw new Error("The key is included in the backup");
+		},
+	},
+	{
+		name: "Backups saved with older versions can be opened with the password",
+		run: function (bot) {
+			let backups = bot.app.backups;
+			let data = AES.encrypt(JSON.stringify({ signature: "$BACKUP$NATIVE$ENCRYPTED$/Showdown-Chatbot/0.0.0", files: [], directories: [] }), 'aes-256-ctr', "old-password");
+			if (backups.read(data, "old-password").signature.indexOf("0.0.0") === -1) throw new Error("Unexpected backup");
+			try {
+				backups.read(data, backups.getKey());
+			} catch (err) {
+				return;
+			}
+			throw new Error("The backup was opened without the password");
+		},
+	},
+	{
+		name: "Backups with a wrong password are not opened",
+		run: function (bot) {
+			try {
+				bot.app.backups.load(savedBackup, "wrong-password");
+			} catch (err) {
+				return;
+			}
+			throw new Error("The backup was opened");
+		},
+	},
+	{
+		name: "Corrupted files are detected",
+		run: function (bot) {
+			let backups = bot.app.backups;
+			let backup = backups.load(savedBackup, backups.getKey());
+			if (backups.verify(backup).length !== 0) throw new Error("The backup is not valid");
+			for (let file of backup.files) {
+				if (file.file === 'test-b.json') file.content = '{"value":"X"}';
+			}
+			let corrupted = backups.verify(backup);
+			if (corrupted.join(",") !== 'test-b.json') throw new Error("Unexpected corrupted files: " + corrupted.join(", "));
+			delete backup.checksums;
+			if (backups.verify(backup) !== null) throw new Error("Backups without checksums cannot be verified");
+		},
+	},
+	{
+		name: "Only the selected files are restored",
+		run: function (bot) {
+			let dam = bot.app.dam;
+			let backup = bot.app.backups.load(savedBackup, "backup-password");
+			dam.setFileContent('test-a.json', '{"value":"changed"}');
+			dam.setFileContent('test-b.json', '{"value":"changed"}');
+			bot.app.backups.restore(backup, ['test-a.json']);
+			if (dam.getFileContent('test-a.json') !== '{"value":"A"}') throw new Error("The selected file was not restored");
+			if (dam.getFileContent('test-b.json') !== '{"value":"changed"}') throw new Error("A file that was not selected was restored");
+		},
+	},
+]);
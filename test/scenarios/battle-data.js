@@ -0,0 +1,100 @@
+/**
+ * Scenario: Battle Data
+ * Downloaded data of the battle AI, completed with the local gen 9 data
+ */
+
+'use strict';
+
+const Path = require('path');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+const BattleData = require(Path.resolve(__dirname, '..', '..', 'src/bot-modules/battle/battle-ai/battle-data.js'));
+
+let data = null;
+
+/**
+ * Replaces the downloaded data of the bot
+ * @param {TestBot} bot
+ * @param {Object} tables - Method name (getPokedex, getFormatsData, ...) => Data table
+ */
+function setDownloaded(bot, tables) {
+	for (let method in tables) {
+		let table = tables[method];
+		bot.app.data[method] = function () {
+			return table;
+		};
+	}
+}
+
+Harness.runScenario("Battle Data", {
+	rooms: {
+		lobby: { title: "Lobby", users: [" Regular"] },
+	},
+	modules: [],
+}, [
+	{
+		name: "The local gen 9 data is used without downloaded data",
+		run: function (bot) {
+			data = BattleData.setup(bot.app);
+			let pokemon = data.getPokemon('Meowscarada', 9);
+			if (pokemon.species !== "Meowscarada" || pokemon.types.join("/") !== "Grass/Dark") {
+				throw new Error("Unexpected pokemon: " + JSON.stringify(pokemon));
+			}
+			let move = data.getMove('Flamethrower', 9);
+			if (move.basePower !== 90 || move.type !== "Fire" || move.secondary.status !== "brn") throw new Error("Unexpected move: " + JSON.stringify(move));
+			if (data.getItem('Choice Scarf', 9).name !== "Choice Scarf" || data.getAbility('Protosynthesis', 9).name !== "Protosynthesis") {
+				throw new Error("Unexpected item or ability");
+			}
+			let formatsData = data.getFormatsData(9);
+			if (!formatsData || formatsData['meowscarada'].tier !== "UUBL" || formatsData['sprigatito'].tier !== "LC" || !formatsData['pikachu']) {
+				throw new Error("Unexpected formats data");
+			}
+		},
+	},
+	{
+		name: "The changes of older generations are applied to the local data",
+		run: function () {
+			let zacian = data.getPokemon('Zacian-Crowned', 8);
+			if (zacian.types.join("/") !== "Fairy/Steel" || zacian.baseStats.atk !== 170) throw new Error("Unexpected pokemon: " + JSON.stringify(zacian));
+			if (data.getPokemon('Zacian-Crowned', 9).baseStats.atk !== 150) throw new Error("The gen 8 changes were applied to gen 9");
+		},
+	},
+	{
+		name: "Unknown entries get the default values",
+		run: function () {
+			if (data.getPokemon('notapokemon', 9).species !== "Unknown") throw new Error("Unexpected pokemon");
+			if (data.getMove('notamove', 9).name !== "Struggle") throw new Error("Unexpected move");
+			if (data.getItem('notanitem', 9).name !== "Poke Ball") throw new Error("Unexpected item");
+			if (data.getAbility('notanability', 9).name !== "None") throw new Error("Unexpected ability");
+		},
+	},
+	{
+		name: "The downloaded data has priority over the local data",
+		run: function (bot) {
+			setDownloaded(bot, {
+				getPokedex: {
+					meowscarada: { num: 908, name: "Meowscarada", types: ["Grass", "Dark"], baseStats: { hp: 1, atk: 1, def: 1, spa: 1, spd: 1, spe: 1 } },
+					growlithehisui: { num: 58, name: "Growlithe-Hisui", types: ["Fire", "Rock"], abilities: { 0: "Intimidate", 1: "Flash Fire", H: "Rock Head" } },
+				},
+				getFormatsData: {
+					meowscarada: { tier: "OU" },
+				},
+			});
+			if (data.getPokemon('meowscarada', 9).baseStats.hp !== 1) throw new Error("The local data was used");
+			if (data.getPokemon('fuecoco', 9).species !== "Fuecoco") throw new Error("The local data was not used for missing entries");
+			let formatsData = data.getFormatsData(9);
+			if (formatsData['meowscarada'].tier !== "OU" || formatsData['sprigatito'].tier !== "LC") {
+				throw new Error("Unexpected formats data: " + JSON.stringify([formatsData['meowscarada'], formatsData['sprigatito']]));
+			}
+		},
+	},
+	{
+		name: "The changes of older generations are applied",
+		run: function () {
+			let pokemon = data.getPokemon('growlithehisui', 8);
+			if (pokemon.abilities.H !== "Justified" || pokemon.types.join("/") !== "Fire/Rock") {
+				throw new Error("Unexpected pokemon: " + JSON.stringify(pokemon));
+			}
+			if (data.getPokemon('growlithehisui', 9).abilities.H !== "Rock Head") throw new Error("The gen 8 changes were applied to gen 9");
+		},
+	},
+]);
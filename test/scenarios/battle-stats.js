@@ -0,0 +1,112 @@
+/**
+ * Scenario: Battle Statistics
+ * Results of the battles played by the bot
+ */
+
+'use strict';
+
+const Path = require('path');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+
+/**
+ * @param {String} id - Battle ID
+ * @param {String} team - Team ID
+ * @param {String} module - Battle algorithm
+ * @returns {Object} Battle, with the fields used by the statistics
+ */
+function getBattle(id, team, module) {
+	let self = { name: "Bot" };
+	return {
+		id: id,
+		tier: "[Gen 9] OU",
+		rated: true,
+		players: { p1: self, p2: { name: "Opponent" } },
+		self: self,
+		teamId: team,
+		moduleId: module,
+		turn: 20,
+	};
+}
+
+Harness.runScenario("Battle Statistics", {
+	rooms: {
+		lobby: { title: "Lobby", users: ["%Driver", " Regular"] },
+	},
+	modules: ['battle'],
+}, [
+	{
+		name: "The results are stored with the team and the battle algorithm",
+		run: function (bot) {
+			let mod = bot.app.modules.battle.system;
+			mod.TeamBuilder.addTeam("Starters", "gen9ou", "Meowscarada|||protean|uturn|||||||]Fuecoco|||blaze|ember|||||||");
+			let entry = mod.BattleStats.add(getBattle('battle-gen9ou-1', 'starters', 'singles-eff'), 'win');
+			if (entry.format !== 'gen9ou' || entry.opponent !== "Opponent" || entry.team !== "Starters" || entry.module !== 'singles-eff') {
+				throw new Error("Unexpected entry: " + JSON.stringify(entry));
+			}
+			mod.BattleStats.setRating('battle-gen9ou-1', 1000, 1030);
+			mod.BattleStats.add(getBattle('battle-gen9ou-2', "", 'singles-eff'), 'loss');
+			mod.BattleStats.add(getBattle('battle-gen9ou-3', 'starters', 'ingame-nostatus'), 'tie');
+			if (mod.BattleStats.getBattles('gen9ou')[1].team !== "") throw new Error("A team was found for a battle without team");
+		},
+	},
+	{
+		name: "The results are summarized",
+		run: function (bot) {
+			let stats = bot.app.modules.battle.system.BattleStats;
+			let summary = stats.summarize(stats.getBattles());
+			if (summary.total !== 3 || summary.win !== 1 || summary.loss !== 1 || summary.tie !== 1 || summary.winRate !== 33.3 ||
+				summary.turns !== 20 || summary.rated !== 1 || summary.ratingChange !== 30) {
+				throw new Error("Unexpected summary: " + JSON.stringify(summary));
+			}
+			let modules = stats.groupBy(stats.getBattles(), 'module');
+			if (modules[0].key !== 'singles-eff' || modules[0].total !== 2 || modules[1].key !== 'ingame-nostatus') {
+				throw new Error("Unexpected groups: " + JSON.stringify(modules));
+			}
+			if (stats.getFormats().join(",") !== 'gen9ou') throw new Error("Unexpected formats: " + stats.getFormats().join(", "));
+		},
+	},
+	{
+		name: "The statistics can be viewed in the chat",
+		run: function (bot) {
+			bot.chat('lobby', '%Driver', '.battlestats gen9ou');
+			return bot.server.waitForRoomMessage('lobby', 'Battle statistics - [Gen 9] OU').then(message => {
+				if (message.text.indexOf("Starters: 2 battles, 1 wins, 0 losses, 1 ties") === -1) throw new Error("Unexpected statistics: " + message.text);
+			});
+		},
+	},
+	{
+		name: "The statistics can be cleared",
+		run: function (bot) {
+			let stats = bot.app.modules.battle.system.BattleStats;
+			stats.clear('gen8ou');
+			if (stats.getBattles().length !== 3) throw new Error("Battles of other formats were removed");
+			stats.clear('gen9ou');
+			if (stats.getBattles().length !== 0) throw new Error("The battles were not removed");
+			bot.chat('lobby', '%Driver', '.battlestats');
+			return bot.server.waitForRoomMessage('lobby', 'There are no battle statistics yet');
+		},
+	},
+	{
+		name: "The team sent for each battle is recorded",
+		run: function (bot) {
+			let mod = bot.app.modules.battle.system;
+			let builder = mod.TeamBuilder;
+			builder.addTeam("Mirror", "gen9ou", "Fuecoco|||blaze|ember|||||||]Meowscarada|||protean|uturn|||||||");
+			/* Two battles of the same format with teams of the same pokemon */
+			builder.registerSentTeam('gen9ou', 'starters', builder.dynTeams['starters'].packed);
+			builder.registerSentTeam('gen9ou', 'mirror', builder.dynTeams['mirror'].packed);
+			if (builder.takeSentTeam('gen9ou', ["Sprigatito"]) !== "") throw new Error("A team with other pokemon was found");
+			let first = builder.takeSentTeam('gen9ou', ["Meowscarada", "Fuecoco"]);
+			let second = builder.takeSentTeam('', ["Fuecoco", "Meowscarada"]);
+			if (first !== 'starters' || second !== 'mirror') throw new Error("Unexpected teams: " + first + ", " + second);
+			if (builder.takeSentTeam('gen9ou', ["Fuecoco", "Meowscarada"]) !== "") throw new Error("A sent team was used twice");
+			/* The teams of the battles are kept if the bot is restarted */
+			mod.BattleStats.setBattleTeam('battle-gen9ou-4', 'mirror');
+			mod.BattleStats.renameBattle('battle-gen9ou-4', 'battle-gen9ou-4-password');
+			let entry = mod.BattleStats.add(getBattle('battle-gen9ou-4-password', "", 'singles-eff'), 'win');
+			if (entry.team !== "Mirror" || mod.BattleStats.getBattleTeam('battle-gen9ou-4-password') !== "") {
+				throw new Error("Unexpected entry: " + JSON.stringify(entry));
+			}
+		},
+	},
+]);
@@ -0,0 +1,115 @@
+/**
+ * Scenario: Connections
+ * Additional bot accounts, with their own server and rooms
+ */
+
+'use strict';
+
+const Path = require('path');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+const MockShowdownServer = require(Path.resolve(__dirname, '..', 'mock-server.js')).MockShowdownServer;
+
+const secondServer = new MockShowdownServer({
+	rooms: {
+		other: { title: "Other Room", users: ["@Staff", " Regular"] },
+	},
+});
+
+Harness.runScenario("Connections", {
+	rooms: {
+		lobby: { title: "Lobby", users: ["@Staff", " Regular"] },
+	},
+}, [
+	{
+		name: "Additional connections join their rooms",
+		run: function (bot) {
+			return new Promise((resolve, reject) => {
+				secondServer.listen((err, port) => {
+					if (err) return reject(err);
+					let second = bot.app.connections.set('second', {
+						server: '127.0.0.1',
+						port: port,
+						serverid: 'showdown',
+						secure: false,
+						retrydelay: 10000,
+						accountType: 'gbot',
+						nick: 'Second Bot',
+						pass: '',
+						rooms: ['other'],
+						modules: ['quote'],
+						disabled: false,
+					});
+					second.getRename = function (nick, pass, callback) {
+						if (callback) callback.call(this, 'mockassertion');
+					};
+					second.on('roomjoin', room => {
+						if (room === 'other') resolve();
+					});
+					bot.app.connections.start('second');
+				});
+			});
+		},
+	},
+	{
+		name: "Commands use the connection that received them",
+		run: function (bot) {
+			secondServer.chatAs('other', ' Regular', '.seen Second Bot');
+			return secondServer.waitForPM('Regular', 'I am right here');
+		},
+	},
+	{
+		name: "Room titles come from the connection of the room",
+		run: function (bot) {
+			bot.app.parser.data.dyncmds['where'] = 'This is ${room}';
+			secondServer.chatAs('other', '@Staff', '.where');
+			return secondServer.waitForRoomMessage('other', 'This is Other Room');
+		},
+	},
+	{
+		name: "The main connection does not handle the rooms of other connections",
+		run: function (bot) {
+			bot.chat('lobby', '@Staff', '.where');
+			return bot.server.waitForRoomMessage('lobby', 'This is Lobby').then(() => {
+				return secondServer.expectNothing(entry => entry.room === 'lobby', 1000);
+			});
+		},
+	},
+	{
+		name: "Modules use the connection assigned to them",
+		run: function (bot) {
+			let app = bot.app;
+			let modApp = app.connections.getModuleApp('quote');
+			if (modApp.bot !== app.connections.get('second')) throw new Error("The module does not use its connection");
+			if (app.connections.getModuleApp('timers') !== app) throw new Error("Unassigned modules must use the application");
+			if (modApp.parser !== app.parser) throw new Error("The module does not share the parser");
+		},
+	},
+	{
+		name: "Assignments to the module App change the application",
+		run: function (bot) {
+			let app = bot.app;
+			let modApp = app.connections.getModuleApp('quote');
+			let status = app.status;
+			modApp.status = 'changed';
+			if (app.status !== 'changed') throw new Error("The assignment did not reach the application");
+			app.status = status;
+			try {
+				modApp.newProperty = 'value';
+			} catch (err) {}
+			if (Object.prototype.hasOwnProperty.call(modApp, 'newProperty')) throw new Error("The property hides the application one");
+			if (modApp.bot !== app.connections.get('second') || app.bot === modApp.bot) throw new Error("Unexpected App.bot");
+		},
+	},
+	{
+		name: "Removed connections fall back to the main one",
+		run: function (bot) {
+			let app = bot.app;
+			let modApp = app.connections.getModuleApp('quote');
+			app.connections.remove('second');
+			if (modApp.bot !== app.bot) throw new Error("The module still uses the removed connection");
+			return new Promise(resolve => {
+				secondServer.close(resolve);
+			});
+		},
+	},
+]);
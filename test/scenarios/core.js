@@ -0,0 +1,236 @@
+/**
+ * Scenario: Core
+ * Connection, login and command parser basics
+ */
+
+'use strict';
+
+const Path = require('path');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+const Text = Tools('text');
+
+Harness.runScenario("Core", {
+	rooms: {
+		lobby: { title: "Lobby", users: ["@Staff", " Regular"] },
+	},
+}, [
+	{
+		name: "Bot logs in and joins the configured rooms",
+		run: function (bot) {
+			if (Text.toId(bot.app.bot.getBotNick()) !== "testbot") throw new Error("Unexpected nick: " + bot.app.bot.getBotNick());
+			if (!bot.app.bot.rooms['lobby']) throw new Error("The bot did not join the lobby");
+			if (bot.app.bot.rooms['lobby'].title !== "Lobby") throw new Error("Unexpected room title");
+		},
+	},
+	{
+		name: "Dynamic commands reply in the room",
+		run: function (bot) {
+			bot.app.parser.data.dyncmds['greet'] = 'Hello ${user}, welcome to ${room}';
+			bot.chat('lobby', '@Staff', '.greet');
+			return bot.server.waitForRoomMessage('lobby', 'Hello Staff, welcome to Lobby');
+		},
+	},
+	{
+		name: "Regular users get dynamic commands by private message",
+		run: function (bot) {
+			bot.chat('lobby', ' Regular', '.greet');
+			return bot.server.waitForPM('Regular', 'Hello Regular, welcome to Lobby');
+		},
+	},
+	{
+		name: "Commands work in private messages",
+		run: function (bot) {
+			bot.pm(' Regular', '.greet');
+			return bot.server.waitForPM('Regular', /^Hello Regular, welcome to$/);
+		},
+	},
+	{
+		name: "Command usage is recorded",
+		run: function (bot) {
+			let analytics = bot.app.parser.analytics;
+			if (!analytics.data.commands['greet'] || analytics.data.commands['greet'].uses !== 3) throw new Error("Unexpected uses of greet");
+			if (!analytics.data.rooms['lobby'] || analytics.data.rooms['lobby']['greet'].uses !== 2) throw new Error("Unexpected uses of greet in lobby");
+			if (!analytics.data.users['regular'] || analytics.data.users['regular'].commands['greet'] !== 2) throw new Error("Unexpected uses of greet by Regular");
+		},
+	},
+	{
+		name: "Access denied for restricted commands",
+		run: function (bot) {
+			bot.chat('lobby', ' Regular', '.setcmd test, test');
+			return bot.server.waitForPM('Regular', 'Access denied');
+		},
+	},
+	{
+		name: "Unknown commands get suggestions by private message",
+		run: function (bot) {
+			bot.app.parser.data.suggestions = true;
+			bot.chat('lobby', ' Regular', '.greeet');
+			return bot.server.waitForPM('Regular', 'Did you mean: ``.greet``?');
+		},
+	},
+	{
+		name: "Suggestions do not include restricted commands",
+		run: function (bot) {
+			delete bot.app.parser.lastSuggestion['regular'];
+			bot.chat('lobby', ' Regular', '.setcdm test');
+			return bot.server.expectNothing(entry => entry.text.indexOf('Did you mean') >= 0, 1500);
+		},
+	},
+	{
+		name: "Unknown commands without suggestions still run the exec fallback",
+		run: function (bot) {
+			bot.chat('lobby', ' Regular', '.qwertyuiop');
+			return bot.server.waitForPM('Regular', 'Command __qwertyuiop__ not found');
+		},
+	},
+	{
+		name: "Help of a command shows its usage and permission",
+		run: function (bot) {
+			bot.chat('lobby', '@Staff', '.help seen');
+			return bot.server.waitForRoomMessage('lobby', 'Usage: .seen');
+		},
+	},
+	{
+		name: "Help shows the permission declared by the module",
+		run: function (bot) {
+			bot.chat('lobby', '@Staff', '.help schedulecommand');
+			return bot.server.waitForRoomMessage('lobby', 'Required permission: __schedulecmd__');
+		},
+	},
+	{
+		name: "Help of a module lists the commands the user can use",
+		run: function (bot) {
+			bot.pm(' Regular', '.help core');
+			return bot.server.waitForPM('Regular', 'Commands you can use').then(entry => {
+				if (entry.text.indexOf('.seen') === -1) throw new Error("Missing command: seen");
+				if (entry.text.indexOf('.joinroom') !== -1) throw new Error("Restricted command listed: joinroom");
+			});
+		},
+	},
+	{
+		name: "Sub-commands of the dynamic help command have preference",
+		run: function (bot) {
+			let parser = bot.app.parser;
+			let backup = parser.data.dyncmds['help'];
+			parser.data.dyncmds['help'] = { 'rules': 'Read the rules', 'staff': 'Ask the staff' };
+			bot.chat('lobby', '@Staff', '.help rules');
+			return bot.server.waitForRoomMessage('lobby', 'Read the rules').then(() => {
+				bot.chat('lobby', '@Staff', '.help seen');
+				return bot.server.waitForRoomMessage('lobby', 'Usage: .seen');
+			}).then(() => {
+				parser.data.dyncmds['help'] = backup;
+			});
+		},
+	},
+	{
+		name: "Help without arguments sends the help message",
+		run: function (bot) {
+			let parser = bot.app.parser;
+			let backup = parser.data.dyncmds['help'];
+			delete parser.data.dyncmds['help'];
+			parser.data.helpmsg = 'Hi $USER, I am $BOT';
+			bot.pm(' Regular', '.help');
+			return bot.server.waitForPM('Regular', 'Hi Regular, I am').then(() => {
+				parser.data.dyncmds['help'] = backup;
+				parser.data.helpmsg = '';
+			});
+		},
+	},
+	{
+		name: "Commands in cooldown are not run",
+		run: function (bot) {
+			bot.app.parser.setCooldown('greet', 'lobby', 60 * 1000, 'room', '%');
+			bot.chat('lobby', ' Regular', '.greet');
+			return bot.server.waitForPM('Regular', 'Hello Regular').then(() => {
+				bot.chat('lobby', ' Regular', '.greet');
+				return bot.server.waitForPM('Regular', /is in cooldown\. Try again in (60|59) seconds/);
+			}).then(() => {
+				bot.chat('lobby', ' Regular', '.greet');
+				return bot.server.expectNothing(entry => entry.text.indexOf('Hello Regular') >= 0 || entry.text.indexOf('cooldown') >= 0, 1500);
+			});
+		},
+	},
+	{
+		name: "Exempt ranks are not affected by cooldowns",
+		run: function (bot) {
+			bot.chat('lobby', '@Staff', '.greet');
+			return bot.server.waitForRoomMessage('lobby', 'Hello Staff, welcome to Lobby');
+		},
+	},
+	{
+		name: "Users without permission do not start the cooldown",
+		run: function (bot) {
+			let parser = bot.app.parser;
+			parser.setCooldown('cooldowns', 'lobby', 60 * 1000, 'global', '#');
+			parser.data.roompermissions['lobby'] = { set: '@' };
+			bot.chat('lobby', ' Regular', '.cooldowns');
+			return bot.server.waitForPM('Regular', 'Access denied').then(() => {
+				bot.chat('lobby', '@Staff', '.cooldowns');
+				return bot.server.waitForRoomMessage('lobby', 'Command cooldowns');
+			}).then(entry => {
+				if (entry.text.indexOf('.cooldowns [lobby]: 60s (global') === -1) throw new Error("Unexpected cooldown list: " + entry.text);
+				parser.removeCooldown('cooldowns', 'lobby');
+				delete parser.data.roompermissions['lobby'];
+			});
+		},
+	},
+	{
+		name: "Users can choose the language of their private messages",
+		run: function (bot) {
+			bot.pm(' Regular', '.mylanguage spanish');
+			return bot.server.waitForPM('Regular', 'Los mensajes privados').then(() => {
+				bot.chat('lobby', ' Regular', '.joinroom test');
+				return bot.server.waitForPM('Regular', 'Acceso Denegado');
+			});
+		},
+	},
+	{
+		name: "Room replies keep the room language",
+		run: function (bot) {
+			bot.app.userdata.setLanguage('Staff', 'spanish');
+			bot.chat('lobby', '@Staff', '.help seen');
+			return bot.server.waitForRoomMessage('lobby', 'Command .seen').then(() => {
+				bot.app.userdata.setLanguage('Staff', null);
+				bot.pm(' Regular', '.mylanguage default');
+				return bot.server.waitForPM('Regular', 'language of the room');
+			});
+		},
+	},
+	{
+		name: "Moderation messages skip the queued messages",
+		run: function (bot) {
+			let lines = [];
+			for (let i = 0; i < 10; i++) lines.push("Queued line " + i);
+			let order = [];
+			let listener = entry => {
+				if ((/^(Queued line 9|\/modnote)/).test(entry.text)) order.push(entry.text);
+			};
+			bot.server.on('receive', listener);
+			bot.app.bot.sendTo('lobby', lines, 'low');
+			bot.app.bot.sendTo('lobby', '/modnote queue test');
+			return bot.server.waitFor(entry => entry.text === 'Queued line 9', 15000).then(() => {
+				bot.server.removeListener('receive', listener);
+				if (order[0] !== '/modnote queue test') throw new Error("Wrong order: " + order.join(", "));
+			});
+		},
+	},
+	{
+		name: "Queries are resolved with the response of the server",
+		run: function (bot) {
+			let sent = bot.server.waitFor(entry => entry.text === '/cmd userdetails someuser');
+			let query = bot.app.bot.queryUserDetails('Some User');
+			return sent.then(() => {
+				bot.server.queryResponse('userdetails', { id: 'otheruser', userid: 'otheruser', rooms: false });
+				bot.server.queryResponse('userdetails', { id: 'someuser', userid: 'someuser', group: '+', rooms: { lobby: {} } });
+				return query;
+			}).then(details => {
+				if (details.group !== '+') throw new Error("Wrong user details: " + JSON.stringify(details));
+				return bot.app.bot.queryRoomInfo('Secret Room', { timeout: 500 }).then(() => {
+					throw new Error("The query did not time out");
+				}, err => {
+					if (!(/timed out/).test(err.message)) throw err;
+				});
+			});
+		},
+	},
+]);
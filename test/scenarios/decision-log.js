@@ -0,0 +1,105 @@
+/**
+ * Scenario: Battle Decisions Log
+ * Records of the decisions made by the battle bot
+ */
+
+'use strict';
+
+const Path = require('path');
+const FileSystem = require('fs');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+const BattleDecisionLog = require(Path.resolve(__dirname, '..', '..', 'src/bot-modules/battle/battle-ai/decision-log.js'));
+
+let log = null;
+let maxBattles = 3;
+
+/**
+ * @param {Number} turn
+ * @returns {Object} Battle, with the fields used by the log
+ */
+function getBattle(turn) {
+	return {
+		turn: turn,
+		rqid: turn + 1,
+		request: {},
+		self: { active: [{ name: "Meowscarada" }] },
+		foe: { active: [{ name: "Skeledirge" }] },
+	};
+}
+
+Harness.runScenario("Battle Decisions Log", {
+	rooms: {
+		lobby: { title: "Lobby", users: [" Regular"] },
+	},
+	modules: [],
+}, [
+	{
+		name: "Decisions are described in a readable way",
+		run: function () {
+			let str = BattleDecisionLog.decisionToString;
+			let cases = [
+				[[{ type: "move", move: 1, target: -1, terastallize: true }], "move 1 (target: -1) + terastallize"],
+				[[{ type: "switch", poke: "p1a: Fuecoco" }], "switch Fuecoco"],
+				[[{ type: "team", team: [2, 0, 1] }], "team 312"],
+				[[{ type: "move", move: 2 }, { type: "pass" }], "move 2, pass"],
+				[[], "-"],
+			];
+			for (let test of cases) {
+				if (str(test[0]) !== test[1]) throw new Error("Unexpected description: " + str(test[0]));
+			}
+		},
+	},
+	{
+		name: "Records are stored in order with the evaluated options",
+		run: function (bot) {
+			log = new BattleDecisionLog(Path.resolve(bot.dir, 'battle-decisions'), () => maxBattles);
+			let options = [[{ type: "move", move: 1 }], [{ type: "switch", poke: "p1a: Fuecoco" }]];
+			for (let turn = 1; turn <= 2; turn++) {
+				let record = log.createRecord(getBattle(turn), options);
+				log.explainOption(record, options[0], { damage: 50 });
+				log.explainOption(record, options[0], { priority: 1 });
+				log.addNote(record, "Turn " + turn);
+				record.reason = "Best damage";
+				log.write('battle-gen9ou-1', record, options[0]);
+			}
+			let records = log.get('battle-gen9ou-1');
+			if (records.length !== 2 || records[0].turn !== 1 || records[1].turn !== 2) throw new Error("Unexpected records: " + JSON.stringify(records));
+			let record = records[0];
+			if (record.chosen !== "move 1" || record.reason !== "Best damage" || record.self[0] !== "Meowscarada" || record.notes[0] !== "Turn 1") {
+				throw new Error("Unexpected record: " + JSON.stringify(record));
+			}
+			if (record.options.length !== 2 || record.options[0].info.damage !== 50 || record.options[0].info.priority !== 1) {
+				throw new Error("Unexpected options: " + JSON.stringify(record.options));
+			}
+			if (log.get('battle-gen9ou-2').length !== 0) throw new Error("Unexpected records of another battle");
+		},
+	},
+	{
+		name: "The records follow the renamed battles",
+		run: function () {
+			log.rename('battle-gen9ou-1', 'battle-gen9ou-1-password');
+			if (log.get('battle-gen9ou-1').length !== 0 || log.get('battle-gen9ou-1-password').length !== 2) {
+				throw new Error("The log was not renamed");
+			}
+		},
+	},
+	{
+		name: "The oldest logs are removed",
+		run: function (bot) {
+			let dir = Path.resolve(bot.dir, 'battle-decisions');
+			let now = Date.now() / 1000;
+			for (let i = 2; i <= 4; i++) {
+				let file = Path.resolve(dir, 'battle-gen9ou-' + i + '.log');
+				FileSystem.writeFileSync(file, "");
+				FileSystem.utimesSync(file, now - 10 * i, now - 10 * i);
+			}
+			let record = log.createRecord(getBattle(1), []);
+			log.write('battle-gen9ou-5', record, []);
+			return Harness.wait(200).then(() => {
+				let files = FileSystem.readdirSync(dir).sort();
+				let expected = ['battle-gen9ou-1-password.log', 'battle-gen9ou-2.log', 'battle-gen9ou-5.log'];
+				if (files.join(",") !== expected.join(",")) throw new Error("Unexpected logs: " + files.join(", "));
+			});
+		},
+	},
+]);
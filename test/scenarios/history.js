@@ -0,0 +1,158 @@
+/**
+ * Scenario: Databases History
+ * Revisions of the JSON databases, differences and rollback
+ */
+
+'use strict';
+
+const Path = require('path');
+const FileSystem = require('fs');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+
+const Quotes_File = 'quote-joke.json';
+
+/**
+ * Changes the quotes database and waits until it is written
+ * @param {TestBot} bot
+ * @param {function} change - function(QuoteMod)
+ * @returns {Promise}
+ */
+function changeQuotes(bot, change) {
+	let mod = bot.app.modules.quote.system;
+	change(mod);
+	return new Promise(resolve => {
+		mod.db.write(resolve);
+	}).then(() => Harness.wait(100));
+}
+
+/**
+ * @param {TestBot} bot
+ * @param {Number} rev - Revision number
+ * @returns {Boolean} true if the file of the revision exists
+ */
+function revisionFileExists(bot, rev) {
+	return FileSystem.existsSync(Path.resolve(bot.dir, 'config', bot.app.history.getRevisionFile(Quotes_File, rev)));
+}
+
+Harness.runScenario("Databases History", {
+	rooms: {
+		lobby: { title: "Lobby", users: [" Regular"] },
+	},
+	modules: ['quote'],
+}, [
+	{
+		name: "Each revision is stored in its own file",
+		run: function (bot) {
+			let history = bot.app.history;
+			if (FileSystem.existsSync(Path.resolve(bot.dir, 'config', 'history'))) throw new Error("The history directory was created without revisions");
+			history.enable(Quotes_File, 3);
+			return changeQuotes(bot, mod => {
+				mod.addQuote("First quote");
+			}).then(() => {
+				let revisions = history.getRevisions(Quotes_File);
+				if (revisions.length !== 2) throw new Error("Unexpected revisions: " + JSON.stringify(revisions));
+				if (!revisionFileExists(bot, 1) || !revisionFileExists(bot, 2)) throw new Error("The revision files were not written");
+				if (JSON.parse(history.getRevisionData(Quotes_File, 2)).quotes[0] !== "First quote") throw new Error("Unexpected revision data");
+			});
+		},
+	},
+	{
+		name: "Writes without changes do not add revisions",
+		run: function (bot) {
+			return changeQuotes(bot, () => {}).then(() => {
+				if (bot.app.history.getRevisions(Quotes_File).length !== 2) throw new Error("A revision was added");
+			});
+		},
+	},
+	{
+		name: "Differences between revisions",
+		run: function (bot) {
+			let history = bot.app.history;
+			return changeQuotes(bot, mod => {
+				mod.quotes[0] = "First quote (edited)";
+				mod.addQuote("Second quote");
+			}).then(() => {
+				let changes = history.diff(Quotes_File, 1, 2);
+				if (changes.length !== 1 || changes[0].path !== 'quotes.0' || changes[0].type !== 'added') {
+					throw new Error("Unexpected changes: " + JSON.stringify(changes));
+				}
+				changes = history.diff(Quotes_File, 2, 3);
+				let types = changes.map(change => change.path + ":" + change.type).sort().join(",");
+				if (types !== "quotes.0:changed,quotes.1:added") throw new Error("Unexpected changes: " + types);
+				if (changes[0].before !== '"First quote"') throw new Error("Unexpected value: " + changes[0].before);
+				return changeQuotes(bot, mod => {
+					mod.removeQuote(1);
+				});
+			}).then(() => {
+				let changes = history.diff(Quotes_File, 3, 0);
+				if (changes.length !== 1 || changes[0].path !== 'quotes.1' || changes[0].type !== 'removed') {
+					throw new Error("Unexpected changes: " + JSON.stringify(changes));
+				}
+				try {
+					history.diff(Quotes_File, 99, 0);
+				} catch (err) {
+					return;
+				}
+				throw new Error("The diff of a missing revision did not fail");
+			});
+		},
+	},
+	{
+		name: "Old revisions are removed",
+		run: function (bot) {
+			let revisions = bot.app.history.getRevisions(Quotes_File);
+			if (revisions.map(revision => revision.rev).join(",") !== "2,3,4") throw new Error("Unexpected revisions: " + JSON.stringify(revisions));
+			if (revisionFileExists(bot, 1)) throw new Error("The revision file was not removed");
+		},
+	},
+	{
+		name: "Rollback restores the data and reloads the module",
+		run: function (bot) {
+			let history = bot.app.history;
+			let mod = bot.app.modules.quote.system;
+			let oldQuotes = mod.quotes;
+			history.rollback(Quotes_File, 2);
+			if (mod.quotes === oldQuotes) throw new Error("The module did not reload the data");
+			if (mod.data !== mod.db.data || mod.quotes[0] !== "First quote" || mod.quotes[1]) {
+				throw new Error("Unexpected data: " + JSON.stringify(mod.db.data));
+			}
+			let revisions = history.getRevisions(Quotes_File);
+			if (revisions[revisions.length - 1].note !== "Rollback to #2") throw new Error("The rollback revision was not added");
+			bot.chat('lobby', ' Regular', '.quote');
+			return bot.server.waitFor(entry => entry.text.indexOf('First quote') >= 0);
+		},
+	},
+	{
+		name: "Databases that the modules cannot reload require a restart",
+		run: function (bot) {
+			let history = bot.app.history;
+			let parser = bot.app.parser;
+			history.enable('cmd-parser.json', 3);
+			parser.data.aliases['rollbackalias'] = 'help';
+			return new Promise(resolve => {
+				parser.db.write(resolve);
+			}).then(() => Harness.wait(100)).then(() => {
+				if (!history.canReload('cmd-parser.json') || !history.rollback('cmd-parser.json', 1)) throw new Error("The parser did not reload the data");
+				if (parser.data.aliases['rollbackalias'] || parser.data !== parser.db.data) throw new Error("Unexpected aliases: " + JSON.stringify(parser.data.aliases));
+				history.enable('alts.json', 3);
+				if (history.canReload('alts.json') || history.rollback('alts.json', 1)) throw new Error("The database cannot be reloaded");
+				history.disable('cmd-parser.json');
+				history.disable('alts.json');
+			});
+		},
+	},
+	{
+		name: "Disabling the history removes the revisions",
+		run: function (bot) {
+			let history = bot.app.history;
+			let revisions = history.getRevisions(Quotes_File).map(revision => revision.rev);
+			return Harness.wait(100).then(() => {
+				history.disable(Quotes_File);
+				if (history.getRevisions(Quotes_File).length) throw new Error("The revisions were not removed");
+				for (let rev of revisions) {
+					if (revisionFileExists(bot, rev)) throw new Error("The file of the revision #" + rev + " was not removed");
+				}
+			});
+		},
+	},
+]);
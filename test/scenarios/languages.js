@@ -0,0 +1,84 @@
+/**
+ * Scenario: Language Packs
+ * Languages added from the data directory and translation coverage
+ */
+
+'use strict';
+
+const Path = require('path');
+const FileSystem = require('fs');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+
+const Pirate_Pack = [
+	"# Example language pack",
+	"%Pirate",
+	"$ignored = Keys before the first file are ignored",
+	"@seen",
+	"$0 = Arr, ye be lookin' at yerself",
+	"$seen = was last sighted = at sea",
+	"@ Unknown File ",
+	"$key = value",
+].join("\n");
+
+Harness.runScenario("Language Packs", {
+	rooms: {
+		lobby: { title: "Lobby", users: [" Regular"] },
+	},
+	modules: [],
+}, [
+	{
+		name: "The language packs are loaded from the data directory",
+		run: function (bot) {
+			let multilang = bot.app.multilang;
+			FileSystem.writeFileSync(Path.resolve(multilang.packsDir, 'pirate.lang'), Pirate_Pack);
+			FileSystem.writeFileSync(Path.resolve(multilang.packsDir, 'unnamed.lang'), "@seen\n$0 = No name");
+			FileSystem.writeFileSync(Path.resolve(multilang.packsDir, 'z-pirate.lang'), "%Pirate\n@seen\n$0 = Duplicated");
+			FileSystem.writeFileSync(Path.resolve(multilang.packsDir, 'notes.txt'), "%Not a pack");
+			let errors = multilang.loadPacks();
+			if (errors.length !== 2 || errors[0].indexOf('unnamed.lang') !== 0 || errors[1].indexOf('z-pirate.lang') !== 0) {
+				throw new Error("Unexpected errors: " + errors.join(", "));
+			}
+			if (multilang.getLanguages()['pirate'] !== "Pirate") throw new Error("The language was not added");
+			let pack = multilang.packs['pirate'];
+			if (pack.file !== 'pirate.lang' || Object.keys(pack.data).sort().join(",") !== 'seen,unknownfile') {
+				throw new Error("Unexpected pack: " + JSON.stringify(pack));
+			}
+			if (pack.data['seen']['seen'] !== "was last sighted = at sea") throw new Error("Unexpected value: " + pack.data['seen']['seen']);
+		},
+	},
+	{
+		name: "The translations of the packs are used by the commands",
+		run: function (bot) {
+			bot.app.config.language.rooms['lobby'] = 'pirate';
+			bot.chat('lobby', ' Regular', '.seen Regular');
+			return bot.server.waitForPM('Regular', "Arr, ye be lookin' at yerself").then(() => {
+				bot.chat('lobby', ' Regular', '.seen ' + bot.app.bot.getBotNick());
+				return bot.server.waitForPM('Regular', "I am right here");
+			});
+		},
+	},
+	{
+		name: "The customized translations have priority over the packs",
+		run: function (bot) {
+			let multilang = bot.app.multilang;
+			multilang.data.langdata['pirate'] = { seen: { '0': "Customized" } };
+			if (multilang.getCustomValue('seen', 'pirate', 0) !== "Customized") throw new Error("The customized translation was not used");
+			delete multilang.data.langdata['pirate'];
+			if (multilang.getCustomValue('seen', 'pirate', 0) !== "Arr, ye be lookin' at yerself") throw new Error("The pack was not used");
+			if (multilang.getCustomValue('seen', 'pirate', 1) !== null) throw new Error("Unexpected value for a missing key");
+		},
+	},
+	{
+		name: "The coverage lists the keys without translation",
+		run: function (bot) {
+			let multilang = bot.app.multilang;
+			let seen = multilang.getCoverage('pirate').filter(file => file.id === 'seen')[0];
+			if (!seen || seen.module !== 'core' || seen.total < 3) throw new Error("Unexpected coverage: " + JSON.stringify(seen));
+			if (seen.missing.length !== seen.total - 2 || seen.missing.indexOf('0') >= 0 || seen.missing.indexOf('1') === -1) {
+				throw new Error("Unexpected missing keys: " + seen.missing.join(", "));
+			}
+			let english = multilang.getCoverage('english');
+			if (english.some(file => file.missing.length > 0)) throw new Error("English is the default language");
+		},
+	},
+]);
@@ -0,0 +1,144 @@
+/**
+ * Scenario: Migration
+ * Copies the data of the bot from the RAW storage to SQLite and back
+ */
+
+'use strict';
+
+const Path = require('path');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+const Migration = require(Path.resolve(__dirname, '..', '..', 'src/data-access/migration.js'));
+
+let storages = Object.create(null);
+
+/**
+ * @param {TestBot} bot
+ * @param {String} mode - Data access mode
+ * @param {String} name - Directory
+ * @returns {DataAccessManager}
+ */
+function createStorage(bot, mode, name) {
+	let dam = Migration.createDataAccessManager(mode, {}, Path.resolve(bot.dir, name));
+	dam.init(err => {
+		if (err) throw err;
+	});
+	return dam;
+}
+
+/**
+ * @param {DataAccessManager} source
+ * @param {DataAccessManager} target
+ * @param {Object} options
+ * @returns {Promise<Object>} Migration report
+ */
+function migrate(source, target, options) {
+	return new Promise((resolve, reject) => {
+		Migration.migrate(source, target, options, (err, report) => {
+			if (err) return reject(err);
+			resolve(report);
+		});
+	});
+}
+
+/**
+ * @param {DataAccessManager} dam
+ * @returns {Object} Files (name => content), without the ones used by the storage itself
+ */
+function getFiles(dam) {
+	let excluded = (typeof dam.getStorageFiles === "function" ? dam.getStorageFiles() : []);
+	let files = Object.create(null);
+	for (let file of dam.getBackup().files) {
+		if (excluded.indexOf(file.file) === -1) files[file.file] = file.content + "";
+	}
+	return files;
+}
+
+Harness.runScenario("Migration", {
+	rooms: {
+		lobby: { title: "Lobby", users: [" Regular"] },
+	},
+	modules: ['quote'],
+}, [
+	{
+		name: "The data of the bot is written",
+		run: function (bot) {
+			let app = bot.app;
+			app.modules.quote.system.addQuote("Migrated quote");
+			app.modules.quote.system.save();
+			app.dam.checkSubpath('add-ons');
+			app.dam.setFileContent('add-ons/example.js', '"use strict";');
+			return new Promise(resolve => {
+				app.saveConfig(resolve);
+			}).then(() => Harness.wait(100));
+		},
+	},
+	{
+		name: "The dry run lists the files without copying them",
+		run: function (bot) {
+			storages.sqlite = createStorage(bot, 'SQLITE', 'sqlite');
+			return migrate(bot.app.dam, storages.sqlite, { dryRun: true }).then(report => {
+				if (report.errors.length) throw new Error(report.errors.join("\n"));
+				let crypto = report.files.filter(entry => entry.file === 'config.crypto')[0];
+				if (!crypto || !crypto.crypto || crypto.action !== 'new') throw new Error("Unexpected report: " + JSON.stringify(crypto));
+				if (Object.keys(getFiles(storages.sqlite)).length) throw new Error("The files were copied");
+			});
+		},
+	},
+	{
+		name: "The data is copied to SQLite",
+		run: function (bot) {
+			return migrate(bot.app.dam, storages.sqlite, {}).then(report => {
+				if (!report.completed) throw new Error(report.errors.join("\n"));
+				let source = getFiles(bot.app.dam);
+				let target = getFiles(storages.sqlite);
+				for (let file in source) {
+					if (target[file] !== source[file]) throw new Error("The file " + file + " was not copied");
+				}
+				if (storages.sqlite.getFiles('add-ons').join(",") !== 'add-ons/example.js') throw new Error("The directories were not copied");
+			});
+		},
+	},
+	{
+		name: "The encrypted configuration can be opened in SQLite",
+		run: function (bot) {
+			let key = storages.sqlite.getFileContent('config.key');
+			let db = storages.sqlite.getDataBase('config.crypto', { crypto: true, key: key });
+			if (JSON.stringify(db.data) !== JSON.stringify(bot.app.config)) throw new Error("The configuration does not match");
+			let quotes = storages.sqlite.getDataBase('quote-joke.json');
+			if (quotes.data.quotes[0] !== "Migrated quote") throw new Error("Unexpected quotes: " + JSON.stringify(quotes.data));
+		},
+	},
+	{
+		name: "The data is copied back to RAW without changes",
+		run: function (bot) {
+			storages.raw = createStorage(bot, 'RAW', 'raw');
+			return migrate(storages.sqlite, storages.raw, {}).then(report => {
+				if (!report.completed) throw new Error(report.errors.join("\n"));
+				let source = getFiles(bot.app.dam);
+				let target = getFiles(storages.raw);
+				if (Object.keys(target).sort().join(",") !== Object.keys(source).sort().join(",")) {
+					throw new Error("Unexpected files: " + Object.keys(target).sort().join(", "));
+				}
+				for (let file in source) {
+					if (Migration.getChecksum(target[file]) !== Migration.getChecksum(source[file])) throw new Error("The file " + file + " changed");
+				}
+				return migrate(storages.sqlite, storages.raw, { dryRun: true });
+			}).then(report => {
+				if (report.files.some(entry => entry.action !== 'identical')) throw new Error("The copies are not identical");
+			});
+		},
+	},
+	{
+		name: "Encrypted databases with a wrong key are not copied",
+		run: function (bot) {
+			storages.raw.setFileContent('config.key', 'wrong-key');
+			let target = createStorage(bot, 'SQLITE', 'sqlite2');
+			return migrate(storages.raw, target, {}).then(report => {
+				if (report.completed || !report.errors.some(error => error.indexOf('config.crypto') >= 0)) {
+					throw new Error("Unexpected report: " + JSON.stringify(report.errors));
+				}
+				if (Object.keys(getFiles(target)).length) throw new Error("The files were copied");
+			});
+		},
+	},
+]);
@@ -0,0 +1,206 @@
+/**
+ * Scenario: Moderation
+ * Automatic moderation, infraction history, shadow mode and punishment ladders
+ */
+
+'use strict';
+
+const Path = require('path');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+const WordMatcher = require(Path.resolve(__dirname, '..', '..', 'src/bot-modules/moderation/word-matcher.js'));
+
+Harness.runScenario("Moderation", {
+	rooms: {
+		lobby: { title: "Lobby", users: ["#Owner", "%Driver", " Regular", " Other", " Third", " Fourth"] },
+		staff: { title: "Staff", users: ["%Driver"] },
+	},
+	botGroup: '@',
+	modules: ['moderation'],
+	configure: function (App) {
+		App.modules.moderation.system.data.settings['caps'] = true;
+		App.modules.moderation.system.data.settings['bannedwords'] = true;
+	},
+}, [
+	{
+		name: "Infractions are punished",
+		run: function (bot) {
+			bot.chat('lobby', ' Regular', 'THIS MESSAGE HAS TOO MANY CAPS');
+			return bot.server.waitForRoomMessage('lobby', /^\/warn regular, /);
+		},
+	},
+	{
+		name: "Infractions are recorded in the history",
+		run: function (bot) {
+			let entries = bot.app.modules.moderation.system.history.search({user: 'regular'});
+			if (entries.length !== 1) throw new Error("Expected 1 entry, found " + entries.length);
+			if (entries[0].room !== 'lobby' || entries[0].filters.indexOf('caps') === -1 || entries[0].punishment !== 'warn') {
+				throw new Error("Unexpected entry: " + JSON.stringify(entries[0]));
+			}
+		},
+	},
+	{
+		name: "Staff can check the history of an user",
+		run: function (bot) {
+			let reply = Promise.all([
+				bot.server.waitForPM('Driver', /has \*\*1\*\* recorded infractions/),
+				bot.server.waitForPM('Driver', 'THIS MESSAGE HAS TOO MANY CAPS'),
+			]);
+			bot.chat('lobby', '%Driver', '.modhistory Regular');
+			return reply;
+		},
+	},
+	{
+		name: "Regular users cannot check the history",
+		run: function (bot) {
+			bot.chat('lobby', ' Regular', '.modhistory Regular');
+			return bot.server.waitForPM('Regular', 'Access denied');
+		},
+	},
+	{
+		name: "Filters in shadow mode do not punish",
+		run: function (bot) {
+			let config = bot.app.modules.moderation.system.data;
+			config.shadowFilters['lobby'] = {caps: true};
+			config.shadowReportRoom = 'staff';
+			let report = bot.server.waitForRoomMessage('staff', /^\[Shadow mode\] Other would receive warn in lobby \(caps\)/);
+			let punishment = bot.server.expectNothing(entry => entry.room === 'lobby' && entry.text.indexOf('/warn other') === 0, 1500);
+			bot.chat('lobby', ' Other', 'THIS MESSAGE HAS TOO MANY CAPS');
+			return Promise.all([report, punishment]);
+		},
+	},
+	{
+		name: "Shadow mode records are confirmed by staff actions",
+		run: function (bot) {
+			let history = bot.app.modules.moderation.system.history;
+			let entries = history.getShadow('lobby');
+			if (entries.length !== 1 || entries[0].user !== 'other' || entries[0].status) {
+				throw new Error("Unexpected shadow report: " + JSON.stringify(entries));
+			}
+			if (history.search({user: 'other'}).length !== 0) throw new Error("Shadow mode records must not be in the history");
+			bot.chat('lobby', '%Driver', '/log Other was warned by Driver.');
+			return Harness.wait(200).then(() => {
+				if (entries[0].status !== 'confirmed') throw new Error("The record was not confirmed");
+			});
+		},
+	},
+	{
+		name: "Banned words are detected with normalization",
+		run: function (bot) {
+			let config = bot.app.modules.moderation.system.data;
+			config.bannedWords['lobby'] = {
+				'forbidden': {type: 'b', val: 2, strict: true, nonicks: false, normalize: ['homoglyphs', 'leet', 'separators', 'repeated']},
+			};
+			let punishment = bot.server.waitForRoomMessage('lobby', /^\/mute third, /);
+			bot.chat('lobby', ' Third', 'this is f.0.r.b.1.d.d.3.n!');
+			return punishment;
+		},
+	},
+	{
+		name: "Regular expressions that can block the bot are rejected",
+		run: function () {
+			let unsafe = ['(a+)+$', '(a|a)*b', '(\\w|\\d)+$', '(.*a){12}', '(a)\\1'];
+			for (let regex of unsafe) {
+				if (!WordMatcher.validate(regex, 'regex')) throw new Error("The regular expression " + regex + " was accepted");
+			}
+			if (WordMatcher.test("a".repeat(40) + "!", '(a+)+$', { match: 'regex' })) throw new Error("An unsafe saved expression was used");
+			for (let regex of ['(foo|bar)+', 'ba+d', '[a-z]+ing', '\\d{1,3}']) {
+				let error = WordMatcher.validate(regex, 'regex');
+				if (error) throw new Error("The regular expression " + regex + " was rejected: " + error);
+			}
+		},
+	},
+	{
+		name: "Leet normalization keeps the letter l",
+		run: function () {
+			let steps = ['leet'];
+			if (WordMatcher.normalize("lil 1!l", steps) !== "lil iil") throw new Error("Unexpected text: " + WordMatcher.normalize("lil 1!l", steps));
+			if (WordMatcher.test("a little pill", "ill", { normalize: steps, strict: true })) throw new Error("False positive");
+			if (!WordMatcher.test("you are 1ll", "ill", { normalize: steps, strict: true })) throw new Error("The leetspeak was not detected");
+		},
+	},
+	{
+		name: "Filter ladders override the default punishments",
+		run: function (bot) {
+			let config = bot.app.modules.moderation.system.data;
+			config.filterLadders['bannedwords'] = ['hourmute', 'roomban'];
+			let punishment = bot.server.waitForRoomMessage('lobby', /^\/roomban fourth, /);
+			bot.chat('lobby', ' Fourth', 'forbidden');
+			return punishment;
+		},
+	},
+	{
+		name: "Room ladders can be configured with commands",
+		run: function (bot) {
+			let reply = bot.server.waitForRoomMessage('lobby', /mute > roomban$/);
+			bot.chat('lobby', '#Owner', '.setmodladder caps, mute, roomban');
+			return reply.then(() => {
+				let modBot = bot.app.modules.moderation.system.modBot;
+				if (modBot.getPunishment(1, 'lobby', 'caps') !== 'mute') throw new Error("The room ladder was not applied");
+				if (modBot.getPunishment(1, 'lobby', 'flood') !== 'warn') throw new Error("The room ladder affects other filters");
+			});
+		},
+	},
+	{
+		name: "Infraction points decay",
+		run: function (bot) {
+			let modBot = bot.app.modules.moderation.system.modBot;
+			let userData = {points: 3, decayTime: 1000};
+			modBot.decayPoints(userData, 1, 60000, 1000 + 130000);
+			if (userData.points !== 1 || userData.decayTime !== 121000) throw new Error("Unexpected decay: " + JSON.stringify(userData));
+			modBot.decayPoints(userData, 2, 60000, 1000 + 200000);
+			if (userData.points !== 0) throw new Error("Unexpected decay: " + JSON.stringify(userData));
+		},
+	},
+	{
+		name: "The message times of users with points are pruned",
+		run: function (bot) {
+			let modBot = bot.app.modules.moderation.system.modBot;
+			let now = Date.now();
+			modBot.chatData['lobby'] = modBot.chatData['lobby'] || Object.create(null);
+			modBot.chatData['lobby']['pruned'] = {times: [now - 3 * 60 * 60 * 1000, now - 2 * 60 * 60 * 1000, now - 1000], lastMsgs: ['', '', ''], points: 3, decayTime: now};
+			modBot.chatData['lobby']['expired'] = {times: [now - 2 * 24 * 60 * 60 * 1000], lastMsgs: ['', '', ''], points: 0, decayTime: 0};
+			modBot.clean();
+			let userData = modBot.chatData['lobby']['pruned'];
+			if (!userData || userData.points !== 3) throw new Error("The user with points was removed");
+			if (userData.times.length !== 1 || userData.times[0] !== now - 1000) throw new Error("Unexpected times: " + JSON.stringify(userData.times));
+			if (modBot.chatData['lobby']['expired']) throw new Error("The user without points was not removed");
+		},
+	},
+	{
+		name: "The history is not written on every infraction",
+		run: function (bot) {
+			let history = bot.app.modules.moderation.system.history;
+			let writes = 0;
+			let onWrite = function () {
+				writes++;
+			};
+			history.flush();
+			return Harness.wait(100).then(() => {
+				history.db.on('write', onWrite);
+				for (let i = 0; i < 10; i++) {
+					history.add('lobby', 'Batch', ['caps'], 'MESSAGE', 'warn', 'caps', 1);
+				}
+				return Harness.wait(200);
+			}).then(() => {
+				if (writes !== 0 || !history.writeTimer) throw new Error("The history was written " + writes + " times");
+				history.flush();
+				return Harness.wait(200);
+			}).then(() => {
+				history.db.removeListener('write', onWrite);
+				if (writes !== 1) throw new Error("Unexpected writes: " + writes);
+			});
+		},
+	},
+	{
+		name: "The CSV export does not contain formulas",
+		run: function (bot) {
+			let history = bot.app.modules.moderation.system.history;
+			let csv = history.toCSV([
+				{ time: 0, room: 'lobby', name: '@Staff', filters: ['caps'], punishment: 'warn', points: 1, reason: '-reason', msg: '=HYPERLINK("x")' },
+				{ time: 0, room: 'lobby', name: 'User', filters: ['caps'], punishment: 'warn', points: 1, reason: '+1', msg: 'plain, text' },
+			]).split('\n');
+			if (csv[1] !== '1970-01-01T00:00:00.000Z,lobby,\'@Staff,caps,warn,1,\'-reason,"\'=HYPERLINK(""x"")"') throw new Error("Unexpected line: " + csv[1]);
+			if (csv[2] !== '1970-01-01T00:00:00.000Z,lobby,User,caps,warn,1,\'+1,"plain, text"') throw new Error("Unexpected line: " + csv[2]);
+		},
+	},
+]);
@@ -0,0 +1,92 @@
+/**
+ * Scenario: SQLite
+ * The bot running with the SQLite storage
+ */
+
+'use strict';
+
+const Path = require('path');
+const FileSystem = require('fs');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+const DataAccessManager = require(Path.resolve(__dirname, '..', '..', 'src/data-access/data-access-manager.js'));
+
+/**
+ * Opens the SQLite database of the bot with another data access manager
+ * @param {TestBot} bot
+ * @returns {DataAccessManager}
+ */
+function openStorage(bot) {
+	let dam = DataAccessManager.getDataAccessManager("SQLITE", { path: Path.resolve(bot.dir, 'config') });
+	dam.init(err => {
+		if (err) throw err;
+	});
+	return dam;
+}
+
+Harness.runScenario("SQLite", {
+	rooms: {
+		lobby: { title: "Lobby", users: [" Regular"] },
+	},
+	modules: ['quote'],
+	storage: 'SQLITE',
+}, [
+	{
+		name: "The files are stored in the SQLite database",
+		run: function (bot) {
+			let dam = bot.app.dam;
+			if (dam.type !== 'SQLITE') throw new Error("Unexpected storage: " + dam.type);
+			bot.app.saveConfig();
+			if (!(/^[0-9a-f]+:/).test(dam.getFileContent('config.crypto'))) throw new Error("The configuration is not encrypted");
+			let files = FileSystem.readdirSync(Path.resolve(bot.dir, 'config'));
+			if (files.indexOf('config.crypto') >= 0 || files.indexOf('data.sqlite') === -1) throw new Error("Unexpected files: " + files.join(", "));
+		},
+	},
+	{
+		name: "Databases written by the modules are persisted",
+		run: function (bot) {
+			let mod = bot.app.modules.quote.system;
+			mod.addQuote("Stored in SQLite");
+			mod.save();
+			let content = openStorage(bot).getFileContent('quote-joke.json');
+			if (JSON.parse(content).quotes[0] !== "Stored in SQLite") throw new Error("Unexpected content: " + content);
+		},
+	},
+	{
+		name: "Only the files of the directory are listed",
+		run: function (bot) {
+			let dam = bot.app.dam;
+			dam.checkSubpath('add-ons');
+			dam.setFileContent('add-ons/a.js', 'a');
+			dam.setFileContent('add-ons/sub/b.js', 'b');
+			dam.setFileContent('add-ons_c.js', 'c');
+			dam.setFileContent('add-onsd/d.js', 'd');
+			let files = dam.getFiles('add-ons');
+			if (files.join(",") !== 'add-ons/a.js') throw new Error("Unexpected files: " + files.join(", "));
+			if (dam.getFiles('add-ons/sub').join(",") !== 'add-ons/sub/b.js') throw new Error("Unexpected files in the subdirectory");
+		},
+	},
+	{
+		name: "Files can be removed",
+		run: function (bot) {
+			let dam = bot.app.dam;
+			dam.removeFile('add-ons/a.js');
+			try {
+				dam.getFileContent('add-ons/a.js');
+			} catch (err) {
+				return;
+			}
+			throw new Error("The file was not removed");
+		},
+	},
+	{
+		name: "Backups can be restored",
+		run: function (bot) {
+			let dam = bot.app.dam;
+			let backup = dam.getBackup();
+			if (backup.directories.indexOf('add-ons/') === -1) throw new Error("The directories are not in the backup");
+			dam.removeFile('add-ons/sub/b.js');
+			dam.restoreBackup(backup.directories, backup.files);
+			if (dam.getFileContent('add-ons/sub/b.js') !== 'b') throw new Error("The file was not restored");
+		},
+	},
+]);
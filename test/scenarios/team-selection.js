@@ -0,0 +1,139 @@
+/**
+ * Scenario: Team Selection
+ * Strategies to choose the team of the battle bot and manual team weights
+ */
+
+'use strict';
+
+const Path = require('path');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+const TeamSelection = require(Path.resolve(__dirname, '..', '..', 'src/bot-modules/battle/team-selection.js'));
+
+/**
+ * @param {String} id - Team ID
+ * @param {Number} weight
+ * @param {Number} total - Battles
+ * @param {Number} win - Wins
+ * @returns {Object} Candidate team
+ */
+function getTeam(id, weight, total, win) {
+	return { id: id, weight: weight, total: total, win: win, tie: 0 };
+}
+
+/**
+ * Runs a function with a fixed result for Math.random
+ * @param {Number} value
+ * @param {function} func
+ * @returns {any} The result of the function
+ */
+function withRandom(value, func) {
+	let random = Math.random;
+	Math.random = function () {
+		return value;
+	};
+	try {
+		return func();
+	} finally {
+		Math.random = random;
+	}
+}
+
+Harness.runScenario("Team Selection", {
+	rooms: {
+		lobby: { title: "Lobby", users: [" Regular"] },
+	},
+	modules: ['battle'],
+}, [
+	{
+		name: "Teams with weight 0 are never chosen",
+		run: function () {
+			let teams = [getTeam('a', 0, 0, 0), getTeam('b', 1, 0, 0)];
+			for (let strategy of TeamSelection.Strategies) {
+				for (let value of [0, 0.99]) {
+					let chosen = withRandom(value, () => TeamSelection.choose(strategy, teams, {}));
+					if (chosen.id !== 'b') throw new Error("A disabled team was chosen by the strategy " + strategy);
+				}
+			}
+			if (TeamSelection.choose('random', [getTeam('a', 0, 0, 0)], {}) !== null) throw new Error("A team was chosen without candidates");
+		},
+	},
+	{
+		name: "The manual weights are used",
+		run: function () {
+			let teams = [getTeam('a', 1, 0, 0), getTeam('b', 3, 0, 0)];
+			if (withRandom(0.2, () => TeamSelection.choose('weights', teams, {})).id !== 'a') throw new Error("Unexpected team for a low value");
+			if (withRandom(0.3, () => TeamSelection.choose('weights', teams, {})).id !== 'b') throw new Error("Unexpected team for a high value");
+			let winrate = [getTeam('a', 1, 10, 9), getTeam('b', 1, 10, 1)];
+			if (withRandom(0.7, () => TeamSelection.choose('winrate', winrate, {})).id !== 'a') throw new Error("The win rate was not used");
+		},
+	},
+	{
+		name: "The round-robin strategy uses the teams one after another",
+		run: function () {
+			let teams = [getTeam('c', 1, 0, 0), getTeam('a', 1, 0, 0), getTeam('b', 1, 0, 0)];
+			let state = {};
+			let chosen = [];
+			for (let i = 0; i < 4; i++) {
+				chosen.push(TeamSelection.choose('roundrobin', teams, state).id);
+			}
+			if (chosen.join("") !== "abca") throw new Error("Unexpected teams: " + chosen.join(", "));
+		},
+	},
+	{
+		name: "The bandit strategy explores the teams with few battles",
+		run: function () {
+			let untested = [getTeam('a', 1, 10, 9), getTeam('b', 1, 0, 0)];
+			if (TeamSelection.choose('bandit', untested, {}).id !== 'b') throw new Error("The untested team was not chosen");
+			let best = [getTeam('a', 1, 50, 40), getTeam('b', 1, 50, 10)];
+			if (TeamSelection.choose('bandit', best, {}).id !== 'a') throw new Error("The best team was not chosen");
+			let explore = [getTeam('a', 1, 10, 6), getTeam('b', 1, 1, 0)];
+			if (TeamSelection.choose('bandit', explore, {}).id !== 'b') throw new Error("The team with few battles was not explored");
+		},
+	},
+	{
+		name: "The teams of the bot are chosen with the configured strategy",
+		run: function (bot) {
+			let mod = bot.app.modules.battle.system;
+			let builder = mod.TeamBuilder;
+			builder.addTeam("Alpha", "gen9ou", "Meowscarada|||protean|uturn|||||||");
+			builder.addTeam("Beta", "gen9ou", "Fuecoco|||blaze|ember|||||||", 0);
+			if (builder.teams['gen9ou'].join(",") !== 'alpha') throw new Error("A disabled team can be used");
+			builder.setWeight('beta', 2);
+			if (builder.dynTeams['beta'].weight !== 2 || builder.getWeight('alpha') !== 1) throw new Error("Unexpected weights");
+			bot.app.config.modules.battle.teamSelection = 'unknown';
+			if (builder.getStrategy() !== 'random') throw new Error("Unknown strategies are not ignored");
+			bot.app.config.modules.battle.teamSelection = 'roundrobin';
+			let chosen = [builder.chooseTeam('gen9ou'), builder.chooseTeam('gen9ou'), builder.chooseTeam('gen9ou')];
+			if (chosen.join(",") !== 'alpha,beta,alpha') {
+				throw new Error("Unexpected teams: " + chosen.join(", "));
+			}
+		},
+	},
+	{
+		name: "The recorded results of the teams are used",
+		run: function (bot) {
+			let mod = bot.app.modules.battle.system;
+			let self = { name: "Bot" };
+			let results = ['win', 'win', 'loss'];
+			for (let i = 0; i < results.length; i++) {
+				mod.BattleStats.add({
+					id: 'battle-gen9ou-' + i,
+					tier: "[Gen 9] OU",
+					players: { p1: self, p2: { name: "Opponent" } },
+					self: self,
+					initialTeam: ["Meowscarada"],
+					teamId: 'alpha',
+					turn: 10,
+				}, results[i]);
+			}
+			let stats = mod.TeamBuilder.getTeamsStats('gen9ou');
+			let alpha = stats.filter(team => team.id === 'alpha')[0];
+			let beta = stats.filter(team => team.id === 'beta')[0];
+			if (alpha.total !== 3 || alpha.win !== 2 || beta.total !== 0 || beta.weight !== 2) {
+				throw new Error("Unexpected statistics: " + JSON.stringify(stats));
+			}
+			bot.app.config.modules.battle.teamSelection = 'bandit';
+			if (mod.TeamBuilder.chooseTeam('gen9ou') !== 'beta') throw new Error("The team without battles was not chosen");
+		},
+	},
+]);
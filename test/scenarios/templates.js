@@ -0,0 +1,84 @@
+/**
+ * Scenario: Command Templates
+ * Placeholders in the content of the dynamic commands
+ */
+
+'use strict';
+
+const Path = require('path');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+
+const CmdTemplate = Tools('cmd-template');
+
+Harness.runScenario("Command Templates", {
+	rooms: {
+		lobby: { title: "Lobby Room", users: ["#Admin", "+Voice", " Regular"] },
+	},
+	modules: [],
+	configure: function (App) {
+		App.parser.data.exceptions['admin'] = true;
+		App.parser.data.dyncmds['vars'] = 'Hi ${user} (${userid}) in ${room} (${roomid}), args: ${arg1}/${arg2:none}';
+		App.parser.data.dyncmds['box'] = '/addhtmlbox <b>${arg}</b>';
+		App.parser.data.dyncmds['echo'] = '${arg}';
+		App.parser.data.dyncmds['legacy'] = 'The price is ${5} or ${ten';
+	},
+}, [
+	{
+		name: "Placeholders are replaced",
+		run: function (bot) {
+			bot.chat('lobby', '+Voice', '.vars first');
+			return bot.server.waitForRoomMessage('lobby', 'Hi Voice (voice) in Lobby Room (lobby), args: first/none');
+		},
+	},
+	{
+		name: "Values are escaped in HTML commands",
+		run: function (bot) {
+			bot.chat('lobby', '+Voice', '.box <i onclick="x">');
+			return bot.server.waitForRoomMessage('lobby', '/addhtmlbox <b>&lt;i onclick=&quot;x&quot;&gt;</b>');
+		},
+	},
+	{
+		name: "Values cannot add commands to plain replies",
+		run: function (bot) {
+			bot.chat('lobby', '+Voice', '.echo /announce Hello');
+			return bot.server.waitForRoomMessage('lobby', '//announce Hello');
+		},
+	},
+	{
+		name: "Contents that are not valid templates are sent as plain text",
+		run: function (bot) {
+			bot.chat('lobby', '+Voice', '.legacy');
+			return bot.server.waitForRoomMessage('lobby', 'The price is ${5} or ${ten');
+		},
+	},
+	{
+		name: "Invalid templates cannot be saved",
+		run: function (bot) {
+			bot.chat('lobby', '#Admin', '.setcmd broken, Hello ${unknown}');
+			return bot.server.waitForRoomMessage('lobby', 'Invalid command template: Unknown placeholder: ${unknown}').then(() => {
+				if (bot.app.parser.data.dyncmds['broken']) throw new Error("The command was saved");
+			});
+		},
+	},
+	{
+		name: "Malformed templates are reported",
+		run: function () {
+			let errors = {
+				"${arg": "Unclosed placeholder",
+				"${a${b}}": "Nested placeholders",
+				"${arg0}": "Invalid argument index",
+				"${arg21}": "Invalid argument index",
+				"${date:Nowhere/Invalid}": "Invalid timezone",
+				"${random:}": "requires a list of options",
+				"${user:x}": "does not accept parameters",
+			};
+			for (let template in errors) {
+				let error = CmdTemplate.validate(template);
+				if (error.indexOf(errors[template]) === -1) throw new Error("Unexpected error for " + template + ": " + error);
+			}
+			if (CmdTemplate.validate("${arg20:default} ${date:Europe/Madrid} ${random:a|b}")) throw new Error("A valid template was rejected");
+			if (CmdTemplate.expand("${random: only |}", {}) !== "only") throw new Error("Unexpected random choice");
+			if (!(/^[0-9]{2}:[0-9]{2}$/).test(CmdTemplate.expand("${time:UTC}", {}))) throw new Error("Unexpected time");
+		},
+	},
+]);
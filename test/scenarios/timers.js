@@ -0,0 +1,60 @@
+/**
+ * Scenario: Timers
+ */
+
+'use strict';
+
+const Path = require('path');
+const Harness = require(Path.resolve(__dirname, '..', 'harness.js'));
+
+Harness.runScenario("Timers", {
+	rooms: {
+		lobby: { title: "Lobby", users: ["%Driver", " Regular"] },
+	},
+	modules: ['timers'],
+}, [
+	{
+		name: "Drivers can set a timer",
+		run: function (bot) {
+			bot.chat('lobby', '%Driver', '.timer 0, 5');
+			return bot.server.waitForRoomMessage('lobby', /Timer/i);
+		},
+	},
+	{
+		name: "The timer is announced when it ends",
+		run: function (bot) {
+			return bot.server.waitForRoomMessage('lobby', /Timer.*\*\*/i, 8000);
+		},
+	},
+	{
+		name: "Regular users cannot set timers",
+		run: function (bot) {
+			bot.chat('lobby', ' Regular', '.timer 1');
+			return bot.server.waitForPM('Regular', 'Access denied');
+		},
+	},
+	{
+		name: "Drivers can schedule messages",
+		run: function (bot) {
+			bot.chat('lobby', '%Driver', '.schedule 0 20 * * mon,fri, UTC, Weekly event');
+			return bot.server.waitForRoomMessage('lobby', /Created schedule.*Next run: [0-9-]+ 20:00 \(UTC\)/);
+		},
+	},
+	{
+		name: "Schedules are listed",
+		run: function (bot) {
+			bot.chat('lobby', '%Driver', '.schedules');
+			return bot.server.waitFor(entry => (/0 20 \* \* mon,fri UTC.*Weekly event/).test(entry.text));
+		},
+	},
+	{
+		name: "Scheduled messages are sent at their time",
+		run: function (bot) {
+			let schedule = bot.app.modules.timers.system.getSchedules('lobby')[0];
+			schedule.next = Date.now() - 1000;
+			return bot.server.waitForRoomMessage('lobby', /^Weekly event$/).then(() => {
+				if (schedule.next <= Date.now()) throw new Error("The next run was not updated");
+			});
+		},
+	},
+]);